@@ -8,7 +8,7 @@
  * @module components/about
  * @generated-from: task-id:AGRO-006
  * @modifies: none
- * @dependencies: ["data/company"]
+ * @dependencies: ["data/company", "components/testimonials-carousel", "components/certification-dialog", "utils/feature-flags", "utils/i18n"]
  */
 
 import {
@@ -20,8 +20,18 @@ import {
   getTrustIndicators,
   getStatistics,
   getTestimonials,
+  getAggregateRating,
+  CERTIFICATION_STATUS,
   validateCompanyInfo,
 } from '../data/company.js';
+import { createTestimonialsCarousel, createStarRating } from './testimonials-carousel.js';
+import {
+  initCertificationDialog,
+  openCertificationDetail,
+  describeCertificationStatus,
+} from './certification-dialog.js';
+import { isFeatureEnabled, bindFeature } from '../utils/feature-flags.js';
+import { t, formatNumber, onLocaleChange } from '../utils/i18n.js';
 
 /**
  * Performance timing marks for observability
@@ -35,16 +45,6 @@ const PERF_MARKS = Object.freeze({
   INTERACTIVE_END: 'about-interactive-end',
 });
 
-/**
- * Feature flag for company overview section
- */
-const FEATURE_FLAGS = Object.freeze({
-  COMPANY_OVERVIEW: true,
-  ANIMATED_STATS: true,
-  TESTIMONIALS: false,
-  CERTIFICATIONS_MODAL: false,
-});
-
 /**
  * Configuration constants
  */
@@ -148,9 +148,9 @@ const renderBackground = (container) => {
 
     const detailsList = createElement('ul', { role: 'list' });
     const details = [
-      `Founded: ${background.foundedYear}`,
-      `Location: ${background.location}`,
-      `Team: ${background.teamSize}`,
+      t('about.founded', { year: background.foundedYear }),
+      t('about.location', { location: background.location }),
+      t('about.teamSize', { team: background.teamSize }),
     ];
 
     details.forEach((detail) => {
@@ -184,7 +184,7 @@ const renderMissionAndValues = (container) => {
 
     const missionSection = createElement('div', { className: 'mission-section' });
 
-    const missionTitle = createElement('h3', {}, 'Our Mission');
+    const missionTitle = createElement('h3', {}, t('about.missionTitle'));
     missionSection.appendChild(missionTitle);
 
     const missionStatement = createElement('p', {}, mission.statement);
@@ -197,7 +197,7 @@ const renderMissionAndValues = (container) => {
 
     const valuesSection = createElement('div', { className: 'values-section' });
 
-    const valuesTitle = createElement('h3', {}, 'Our Values');
+    const valuesTitle = createElement('h3', {}, t('about.valuesTitle'));
     valuesSection.appendChild(valuesTitle);
 
     const valuesList = createElement('ul', { role: 'list' });
@@ -238,12 +238,12 @@ const animateNumber = (element, target, duration) => {
     const easeOutQuad = 1 - (1 - progress) * (1 - progress);
     const current = Math.floor(start + (target - start) * easeOutQuad);
 
-    element.textContent = current.toString();
+    element.textContent = formatNumber(current);
 
     if (progress < 1) {
       requestAnimationFrame(animate);
     } else {
-      element.textContent = target.toString();
+      element.textContent = formatNumber(target);
     }
   };
 
@@ -251,7 +251,7 @@ const animateNumber = (element, target, duration) => {
 };
 
 /**
- * Render statistics grid with animated counters
+ * Render statistics grid
  * @param {HTMLElement} container - Container element
  * @returns {void}
  */
@@ -262,7 +262,7 @@ const renderStatistics = (container) => {
     const statsGrid = createElement('div', {
       className: 'stats-grid',
       role: 'region',
-      'aria-label': 'Company statistics',
+      'aria-label': t('about.statisticsLabel'),
     });
 
     statistics.forEach((stat) => {
@@ -271,19 +271,18 @@ const renderStatistics = (container) => {
         dataset: { statId: stat.id },
       });
 
-      const numberMatch = stat.number.match(/\d+/);
-      const numericValue = numberMatch ? parseInt(numberMatch[0], 10) : 0;
-      const suffix = stat.number.replace(/\d+/, '');
+      // Localized display such as "25+" or "98 %"
+      const display = t(`stats.${stat.key}Value`, { value: stat.value });
 
       const statNumber = createElement('span', {
         className: 'stat-number',
-        'aria-label': stat.description,
-        dataset: { target: numericValue, suffix },
-      }, '0' + suffix);
+        'aria-label': t(`stats.${stat.key}Label`, { value: stat.value }),
+        dataset: { target: stat.value, display },
+      }, display);
 
       const statLabel = createElement('span', {
         className: 'stat-label',
-      }, stat.label);
+      }, t(`stats.${stat.key}`));
 
       statItem.appendChild(statNumber);
       statItem.appendChild(statLabel);
@@ -292,40 +291,8 @@ const renderStatistics = (container) => {
 
     container.appendChild(statsGrid);
 
-    if (FEATURE_FLAGS.ANIMATED_STATS && 'IntersectionObserver' in window) {
-      const observer = new IntersectionObserver(
-        (entries) => {
-          entries.forEach((entry) => {
-            if (entry.isIntersecting) {
-              const numbers = entry.target.querySelectorAll('.stat-number');
-              numbers.forEach((numberEl) => {
-                const target = parseInt(numberEl.dataset.target, 10);
-                const suffix = numberEl.dataset.suffix || '';
-
-                const tempSpan = createElement('span', {}, '0');
-                numberEl.textContent = '';
-                numberEl.appendChild(tempSpan);
-
-                animateNumber(tempSpan, target, CONFIG.STAT_COUNT_DURATION);
-
-                setTimeout(() => {
-                  numberEl.textContent = target + suffix;
-                }, CONFIG.STAT_COUNT_DURATION);
-              });
-
-              observer.unobserve(entry.target);
-            }
-          });
-        },
-        { threshold: CONFIG.INTERSECTION_THRESHOLD }
-      );
-
-      observer.observe(statsGrid);
-    }
-
     console.info('[About] Statistics rendered successfully', {
       count: statistics.length,
-      animated: FEATURE_FLAGS.ANIMATED_STATS,
     });
   } catch (error) {
     console.error('[About] Error rendering statistics:', {
@@ -336,6 +303,58 @@ const renderStatistics = (container) => {
   }
 };
 
+/**
+ * Count the statistics up from zero when the grid scrolls into view
+ * @param {HTMLElement} statsGrid - Rendered statistics grid
+ * @returns {void}
+ */
+const animateStatistics = (statsGrid) => {
+  if (!isFeatureEnabled('animated_stats') || !('IntersectionObserver' in window)) {
+    return;
+  }
+
+  const statistics = getStatistics();
+
+  // Show zero until the count-up starts, so the numbers do not jump back down
+  statsGrid.querySelectorAll('.stat-item').forEach((statItem) => {
+    const stat = statistics.find((entry) => entry.id === statItem.dataset.statId);
+    const statNumber = statItem.querySelector('.stat-number');
+
+    if (stat && statNumber) {
+      statNumber.textContent = t(`stats.${stat.key}Value`, { value: 0 });
+    }
+  });
+
+  const observer = new IntersectionObserver(
+    (entries) => {
+      entries.forEach((entry) => {
+        if (entry.isIntersecting) {
+          const numbers = entry.target.querySelectorAll('.stat-number');
+          numbers.forEach((numberEl) => {
+            const target = parseInt(numberEl.dataset.target, 10);
+            const { display } = numberEl.dataset;
+
+            const tempSpan = createElement('span', {}, '0');
+            numberEl.textContent = '';
+            numberEl.appendChild(tempSpan);
+
+            animateNumber(tempSpan, target, CONFIG.STAT_COUNT_DURATION);
+
+            setTimeout(() => {
+              numberEl.textContent = display;
+            }, CONFIG.STAT_COUNT_DURATION);
+          });
+
+          observer.unobserve(entry.target);
+        }
+      });
+    },
+    { threshold: CONFIG.INTERSECTION_THRESHOLD }
+  );
+
+  observer.observe(statsGrid);
+};
+
 /**
  * Render trust indicators section
  * @param {HTMLElement} container - Container element
@@ -348,10 +367,10 @@ const renderTrustIndicators = (container) => {
     const trustSection = createElement('div', {
       className: 'trust-indicators',
       role: 'region',
-      'aria-label': 'Trust indicators',
+      'aria-label': t('about.trustLabel'),
     });
 
-    const trustTitle = createElement('h3', {}, 'Why Trust Us');
+    const trustTitle = createElement('h3', {}, t('about.trustTitle'));
     trustSection.appendChild(trustTitle);
 
     const trustGrid = createElement('div', { className: 'trust-grid' });
@@ -402,6 +421,19 @@ const renderTrustIndicators = (container) => {
   }
 };
 
+/**
+ * Open the certification detail dialog from a card's "View details" button
+ * @param {MouseEvent} event - Click event
+ * @returns {void}
+ */
+const handleCertificationClick = (event) => {
+  const button = event.target.closest('.cert-details-button');
+
+  if (button) {
+    openCertificationDetail(button.dataset.certId, button);
+  }
+};
+
 /**
  * Render certifications section
  * @param {HTMLElement} container - Container element
@@ -414,10 +446,10 @@ const renderCertifications = (container) => {
     const certSection = createElement('div', {
       className: 'certifications-section',
       role: 'region',
-      'aria-label': 'Certifications and awards',
+      'aria-label': t('about.certificationsLabel'),
     });
 
-    const certTitle = createElement('h3', {}, 'Certifications & Awards');
+    const certTitle = createElement('h3', {}, t('about.certificationsTitle'));
     certSection.appendChild(certTitle);
 
     const certGrid = createElement('div', { className: 'cert-grid' });
@@ -455,6 +487,17 @@ const renderCertifications = (container) => {
       certCard.appendChild(certYear);
       certCard.appendChild(certDesc);
 
+      if (isFeatureEnabled('certifications_modal')) {
+        const detailsButton = createElement('button', {
+          type: 'button',
+          className: 'btn btn-ghost cert-details-button',
+          'aria-haspopup': 'dialog',
+          'aria-label': t('about.viewDetailsLabel', { name: cert.name }),
+          dataset: { certId: cert.id },
+        }, t('about.viewDetails'));
+        certCard.appendChild(detailsButton);
+      }
+
       certGrid.appendChild(certCard);
     });
 
@@ -473,6 +516,285 @@ const renderCertifications = (container) => {
   }
 };
 
+/**
+ * Flag lapsed and soon-to-lapse certifications as of today
+ *
+ * The badges depend on the visitor's date, so they are added on the client only:
+ * prerendered markup stays the same from day to day and can still be hydrated.
+ * @param {HTMLElement} certSection - Certifications section element
+ * @returns {void}
+ */
+const renderCertificationStatuses = (certSection) => {
+  let flaggedCount = 0;
+
+  getCertifications().forEach((cert) => {
+    const certCard = certSection.querySelector(`.cert-card[data-cert-id="${cert.id}"]`);
+    const status = describeCertificationStatus(cert);
+
+    if (!certCard || !status || status.status === CERTIFICATION_STATUS.CURRENT) {
+      return;
+    }
+
+    certCard.dataset.certStatus = status.status;
+    certCard.insertBefore(
+      createElement('span', { className: `${status.badgeClass} cert-status` }, status.label),
+      certCard.querySelector('.cert-description')
+    );
+    flaggedCount++;
+  });
+
+  if (flaggedCount > 0) {
+    console.info('[About] Certifications flagged for renewal', { flagged: flaggedCount });
+  }
+};
+
+/**
+ * Open certification details from the rendered cards when the dialog is enabled
+ * @param {HTMLElement} certSection - Rendered certifications section
+ * @returns {void}
+ */
+const bindCertificationDetails = (certSection) => {
+  const certGrid = certSection.querySelector('.cert-grid');
+
+  if (certGrid && isFeatureEnabled('certifications_modal')) {
+    initCertificationDialog();
+    certGrid.addEventListener('click', handleCertificationClick);
+  }
+};
+
+/**
+ * Rendered testimonials section and its carousel controller, kept so a
+ * re-render or the testimonials flag turning off can remove them
+ */
+let testimonialsSection = null;
+let testimonialsCarousel = null;
+
+/**
+ * Stops following the testimonials flag
+ */
+let unbindTestimonials = null;
+
+/**
+ * Remove the testimonials section and stop its carousel
+ * @returns {void}
+ */
+const removeTestimonials = () => {
+  if (testimonialsCarousel) {
+    testimonialsCarousel.destroy();
+    testimonialsCarousel = null;
+  }
+
+  if (testimonialsSection) {
+    testimonialsSection.remove();
+    testimonialsSection = null;
+  }
+};
+
+/**
+ * Render testimonials section with aggregate rating and carousel
+ * @param {HTMLElement} container - Container element
+ * @param {Object} [options] - Carousel options
+ * @param {boolean} [options.autoplay=true] - Start rotating the carousel
+ * @returns {void}
+ */
+const renderTestimonials = (container, options = {}) => {
+  try {
+    const testimonials = getTestimonials();
+    const aggregate = getAggregateRating();
+
+    removeTestimonials();
+
+    testimonialsSection = createElement('div', {
+      className: 'testimonials-section',
+      role: 'region',
+      'aria-labelledby': 'testimonials-title',
+    });
+
+    const testimonialsTitle = createElement('h3', { id: 'testimonials-title' }, t('testimonials.title'));
+    testimonialsSection.appendChild(testimonialsTitle);
+
+    if (aggregate) {
+      const summary = createElement('p', { className: 'testimonials-summary' });
+      const score = createElement(
+        'strong',
+        { className: 'testimonials-score' },
+        formatNumber(aggregate.ratingValue, { minimumFractionDigits: 1, maximumFractionDigits: 1 })
+      );
+      const count = createElement(
+        'span',
+        { className: 'testimonials-count' },
+        t('testimonials.summary', { count: aggregate.reviewCount })
+      );
+
+      summary.appendChild(score);
+      summary.appendChild(createStarRating(aggregate.ratingValue, { best: aggregate.bestRating }));
+      summary.appendChild(count);
+      testimonialsSection.appendChild(summary);
+    }
+
+    testimonialsCarousel = createTestimonialsCarousel(testimonials, options);
+
+    if (testimonialsCarousel) {
+      testimonialsSection.appendChild(testimonialsCarousel.element);
+    }
+
+    container.appendChild(testimonialsSection);
+
+    console.info('[About] Testimonials rendered successfully', {
+      count: testimonials.length,
+      averageRating: aggregate ? aggregate.ratingValue : null,
+    });
+  } catch (error) {
+    console.error('[About] Error rendering testimonials:', {
+      error: error.message,
+      stack: error.stack,
+    });
+    throw error;
+  }
+};
+
+/**
+ * Elements the about section appended to its container, kept so a re-render
+ * (such as after a language change) replaces them instead of duplicating them
+ */
+let renderedElements = [];
+
+/**
+ * Stops re-rendering the about section on language changes
+ */
+let unsubscribeLocale = null;
+
+/**
+ * Remove everything the about section rendered, including testimonials
+ * @returns {void}
+ */
+const removeAboutContent = () => {
+  if (unbindTestimonials) {
+    unbindTestimonials();
+    unbindTestimonials = null;
+  }
+
+  removeTestimonials();
+  renderedElements.forEach((element) => element.remove());
+  renderedElements = [];
+};
+
+/**
+ * Render the about section markup, without behaviour, into a container
+ * @param {HTMLElement} container - Container element
+ * @returns {void}
+ */
+const renderAboutMarkup = (container) => {
+  const aboutContent = createElement('div', { className: 'about-content' });
+
+  renderBackground(aboutContent);
+  renderMissionAndValues(aboutContent);
+
+  container.appendChild(aboutContent);
+
+  renderStatistics(container);
+  renderTrustIndicators(container);
+  renderCertifications(container);
+};
+
+/**
+ * Check whether a section element holds the testimonials
+ * @param {Element} element - Section element
+ * @returns {boolean} True for the testimonials section
+ */
+const isTestimonialsSection = (element) => element.classList.contains('testimonials-section');
+
+/**
+ * Check whether markup left in the container is exactly what the client renders,
+ * as it is when the build prerendered the section in the visitor's language
+ * @param {Element[]} existingElements - Elements already in the container
+ * @param {Element[]} renderedContent - Freshly rendered elements
+ * @returns {boolean} True if the existing markup can be hydrated
+ */
+const canHydrate = (existingElements, renderedContent) => {
+  const existingContent = existingElements.filter((element) => !isTestimonialsSection(element));
+
+  return existingContent.length === renderedContent.length
+    && existingContent.every((element, index) => element.isEqualNode(renderedContent[index]));
+};
+
+/**
+ * Attach behaviour to the rendered about content: statistics count-up,
+ * certification status badges and details, and the live testimonials carousel
+ * @param {HTMLElement} container - About section container
+ * @returns {void}
+ */
+const enhanceAboutContent = (container) => {
+  renderedElements.forEach((element) => {
+    if (element.classList.contains('stats-grid')) {
+      animateStatistics(element);
+    } else if (element.classList.contains('certifications-section')) {
+      renderCertificationStatuses(element);
+      bindCertificationDetails(element);
+    }
+  });
+
+  // Testimonials follow their flag live, so QA overrides apply without a reload
+  unbindTestimonials = bindFeature('testimonials', {
+    mount: () => renderTestimonials(container),
+    unmount: removeTestimonials,
+  });
+};
+
+/**
+ * Render the about section content into its container, replacing any previous render
+ *
+ * Markup already in the container is either the static fallback from index.html
+ * or the output of prerenderAboutSection(). Prerendered markup that matches a
+ * fresh render is hydrated in place; anything else is replaced.
+ * @param {HTMLElement} container - About section container
+ * @returns {void}
+ */
+const renderAboutContent = (container) => {
+  removeAboutContent();
+
+  const existingElements = Array.from(container.children);
+  const staging = document.createElement('div');
+
+  renderAboutMarkup(staging);
+
+  const renderedContent = Array.from(staging.children);
+
+  if (canHydrate(existingElements, renderedContent)) {
+    // The live carousel replaces the prerendered testimonials
+    existingElements.filter(isTestimonialsSection).forEach((element) => element.remove());
+    renderedElements = existingElements.filter((element) => !isTestimonialsSection(element));
+    console.info('[About] Hydrated prerendered content');
+  } else {
+    existingElements.forEach((element) => element.remove());
+    container.append(...renderedContent);
+    renderedElements = renderedContent;
+  }
+
+  enhanceAboutContent(container);
+};
+
+/**
+ * Render the about section as static markup at build time, for crawlers and
+ * visitors without JavaScript; the client hydrates it on load
+ * @param {HTMLElement} container - About section container
+ * @returns {boolean} True if the section was rendered
+ */
+const prerenderAboutSection = (container) => {
+  if (!isFeatureEnabled('company_overview') || !validateCompanyInfo()) {
+    return false;
+  }
+
+  container.replaceChildren();
+  renderAboutMarkup(container);
+
+  if (isFeatureEnabled('testimonials')) {
+    renderTestimonials(container, { autoplay: false });
+  }
+
+  return true;
+};
+
 /**
  * Initialize about section with error handling and retry logic
  * @param {number} attempt - Current attempt number
@@ -482,7 +804,7 @@ const initializeAboutSection = async (attempt = 1) => {
   try {
     performance.mark(PERF_MARKS.INIT_START);
 
-    if (!FEATURE_FLAGS.COMPANY_OVERVIEW) {
+    if (!isFeatureEnabled('company_overview')) {
       console.info('[About] Company overview feature is disabled');
       const aboutSection = document.getElementById('about');
       if (aboutSection) {
@@ -507,16 +829,11 @@ const initializeAboutSection = async (attempt = 1) => {
 
     performance.mark(PERF_MARKS.RENDER_START);
 
-    const aboutContent = createElement('div', { className: 'about-content' });
-
-    renderBackground(aboutContent);
-    renderMissionAndValues(aboutContent);
+    renderAboutContent(container);
 
-    container.appendChild(aboutContent);
-
-    renderStatistics(container);
-    renderTrustIndicators(container);
-    renderCertifications(container);
+    if (!unsubscribeLocale) {
+      unsubscribeLocale = onLocaleChange(() => renderAboutContent(container));
+    }
 
     performance.mark(PERF_MARKS.RENDER_END);
     performance.measure(
@@ -554,23 +871,11 @@ const initializeAboutSection = async (attempt = 1) => {
   }
 };
 
-/**
- * Initialize about section when DOM is ready
- */
-const init = () => {
-  if (document.readyState === 'loading') {
-    document.addEventListener('DOMContentLoaded', () => {
-      initializeAboutSection().catch((error) => {
-        console.error('[About] Fatal initialization error:', error);
-      });
-    });
-  } else {
-    initializeAboutSection().catch((error) => {
-      console.error('[About] Fatal initialization error:', error);
-    });
-  }
-};
-
-init();
-
-export { initializeAboutSection, renderStatistics, renderTrustIndicators };
\ No newline at end of file
+export {
+  initializeAboutSection,
+  prerenderAboutSection,
+  renderStatistics,
+  renderTrustIndicators,
+  renderTestimonials,
+  removeTestimonials,
+};
\ No newline at end of file
@@ -0,0 +1,248 @@
+/**
+ * Business Status Badge Module
+ * Live "open now / opens at" badge for the contact section
+ *
+ * @module business-status
+ * @description Shows whether the office is open right now, evaluated in the
+ * office time zone with seasonal hours and holiday closures applied, and
+ * highlights the emergency line while the office is closed. The badge refreshes
+ * on each minute boundary, when the tab becomes visible again and when the
+ * language changes, which also re-renders the weekly hours in the new locale.
+ * Also offers upcoming holidays and closures as a downloadable .ics file.
+ */
+
+import { getBusinessStatus, getClosuresCalendar, CLOSURES_CALENDAR_FILENAME } from '../data/contact.js';
+import { SITE_CONFIG } from '../data/site-config.js';
+import { ICALENDAR_CONFIG } from '../utils/icalendar.js';
+import { t, formatTime, onLocaleChange } from '../utils/i18n.js';
+
+// ============================================
+// Constants and Configuration
+// ============================================
+
+/**
+ * Badge configuration
+ * @type {Object}
+ */
+const STATUS_CONFIG = Object.freeze({
+  ROOT_ID: 'business-status',
+  DOWNLOAD_ID: 'closures-download',
+  OPEN_CLASS: 'is-open',
+  CLOSED_CLASS: 'is-closed',
+  HOURS_SELECTOR: '[data-site-config^="hours."]',
+  MINUTE_MS: 60 * 1000,
+});
+
+// ============================================
+// State Management
+// ============================================
+
+/**
+ * Badge state
+ * @type {Object}
+ */
+const statusState = {
+  root: null,
+  text: null,
+  emergency: null,
+  download: null,
+  timerId: null,
+  lastMessage: null,
+  unsubscribeLocale: null,
+};
+
+// ============================================
+// Rendering
+// ============================================
+
+/**
+ * Builds the badge contents: status text plus the emergency line link
+ * @param {HTMLElement} root - Badge container
+ */
+function renderBadge(root) {
+  const { display, raw } = SITE_CONFIG.contact.emergency;
+
+  const text = document.createElement('span');
+  text.className = 'business-status-text';
+
+  const emergency = document.createElement('a');
+  emergency.className = 'business-status-emergency';
+  emergency.href = `tel:${raw}`;
+  emergency.textContent = t('hours.emergencyLine', { number: display });
+  emergency.hidden = true;
+
+  root.replaceChildren(text, emergency);
+
+  statusState.text = text;
+  statusState.emergency = emergency;
+}
+
+/**
+ * Rewrites the weekly hours lines (`data-site-config="hours.*"`) in the active locale
+ * The static markup carries the English text checked by the site consistency script
+ */
+function renderWeeklyHours() {
+  document.querySelectorAll(STATUS_CONFIG.HOURS_SELECTOR).forEach((element) => {
+    const group = element.getAttribute('data-site-config').split('.')[1];
+    const entry = SITE_CONFIG.hours.schedule[group];
+
+    if (!entry) {
+      return;
+    }
+
+    const hours = entry.open && entry.close
+      ? t('hours.range', { open: formatTime(entry.open), close: formatTime(entry.close) })
+      : t('hours.closed');
+
+    element.textContent = t('hours.entry', { days: t(`hours.${group}`), hours });
+  });
+}
+
+/**
+ * Re-renders the badge and weekly hours after a language change
+ */
+function handleLocaleChange() {
+  renderBadge(statusState.root);
+  renderWeeklyHours();
+  statusState.lastMessage = null;
+  updateBusinessStatus();
+}
+
+/**
+ * Updates the badge from the current business status
+ * The DOM is only touched when the message changes
+ * @param {Date} [now=new Date()] - Instant to show
+ */
+export function updateBusinessStatus(now = new Date()) {
+  if (!statusState.root) {
+    return;
+  }
+
+  const status = getBusinessStatus(now);
+
+  if (status.message === statusState.lastMessage) {
+    return;
+  }
+
+  statusState.lastMessage = status.message;
+  statusState.text.textContent = status.message;
+  statusState.emergency.hidden = status.isOpen;
+  statusState.root.classList.toggle(STATUS_CONFIG.OPEN_CLASS, status.isOpen);
+  statusState.root.classList.toggle(STATUS_CONFIG.CLOSED_CLASS, !status.isOpen);
+  statusState.root.hidden = false;
+}
+
+// ============================================
+// Scheduling
+// ============================================
+
+/**
+ * Schedules the next refresh just after the next minute boundary
+ */
+function scheduleNextUpdate() {
+  const delay = STATUS_CONFIG.MINUTE_MS - (Date.now() % STATUS_CONFIG.MINUTE_MS) + 50;
+
+  statusState.timerId = setTimeout(() => {
+    updateBusinessStatus();
+    scheduleNextUpdate();
+  }, delay);
+}
+
+/**
+ * Refreshes immediately when the tab becomes visible (background timers are throttled)
+ */
+function handleVisibilityChange() {
+  if (document.visibilityState === 'visible') {
+    updateBusinessStatus();
+  }
+}
+
+// ============================================
+// Closures Calendar Download
+// ============================================
+
+/**
+ * Points the download link at a freshly generated calendar just before the browser follows it
+ * @param {MouseEvent} event - Click event
+ */
+function handleDownloadClick(event) {
+  const calendar = getClosuresCalendar();
+  event.currentTarget.href = `data:${ICALENDAR_CONFIG.MIME_TYPE},${encodeURIComponent(calendar)}`;
+}
+
+/**
+ * Enables the closures calendar download link, if present
+ */
+function initClosuresDownload() {
+  const link = document.getElementById(STATUS_CONFIG.DOWNLOAD_ID);
+
+  if (!link) {
+    return;
+  }
+
+  link.setAttribute('download', CLOSURES_CALENDAR_FILENAME);
+  link.addEventListener('click', handleDownloadClick);
+  link.closest('[hidden]')?.removeAttribute('hidden');
+
+  statusState.download = link;
+}
+
+// ============================================
+// Initialization
+// ============================================
+
+/**
+ * Initialize the business status badge
+ */
+export function initBusinessStatus() {
+  const root = document.getElementById(STATUS_CONFIG.ROOT_ID);
+
+  if (!root) {
+    console.warn('[BusinessStatus] Status badge container not found');
+    return;
+  }
+
+  if (statusState.root) {
+    cleanupBusinessStatus();
+  }
+
+  statusState.root = root;
+  renderBadge(root);
+  renderWeeklyHours();
+  updateBusinessStatus();
+  scheduleNextUpdate();
+
+  document.addEventListener('visibilitychange', handleVisibilityChange);
+  statusState.unsubscribeLocale = onLocaleChange(handleLocaleChange);
+
+  initClosuresDownload();
+
+  console.log('[BusinessStatus] Status badge initialized:', {
+    timezone: SITE_CONFIG.hours.timezone,
+    message: statusState.lastMessage,
+  });
+}
+
+/**
+ * Cleanup function for stopping the refresh timer and removing listeners
+ */
+export function cleanupBusinessStatus() {
+  clearTimeout(statusState.timerId);
+  document.removeEventListener('visibilitychange', handleVisibilityChange);
+
+  if (statusState.unsubscribeLocale) {
+    statusState.unsubscribeLocale();
+  }
+
+  if (statusState.download) {
+    statusState.download.removeEventListener('click', handleDownloadClick);
+  }
+
+  statusState.root = null;
+  statusState.text = null;
+  statusState.emergency = null;
+  statusState.download = null;
+  statusState.timerId = null;
+  statusState.lastMessage = null;
+  statusState.unsubscribeLocale = null;
+}
@@ -0,0 +1,480 @@
+/**
+ * Certification Detail Dialog Module
+ * Accessible modal with the details of a certification or award
+ *
+ * @module certification-dialog
+ * @description Opens a modal for a certification from data/company with its
+ * description, issuer and year, plus the certificate number, expiry date,
+ * document thumbnail and verification link when the certification has them.
+ * Expired and soon-to-expire certifications are flagged in the dialog and,
+ * through describeCertificationStatus, on the about section's cards.
+ */
+
+import {
+  getCertificationById,
+  getCertificationStatus,
+  CERTIFICATION_STATUS,
+} from '../data/company.js';
+import { createFocusTrap, announce } from '../utils/accessibility.js';
+import { t, formatDate, onLocaleChange } from '../utils/i18n.js';
+import { lockScroll, unlockScroll } from '../utils/scroll.js';
+
+// ============================================
+// Constants and Configuration
+// ============================================
+
+/**
+ * Dialog configuration
+ * @type {Object}
+ */
+const DIALOG_CONFIG = Object.freeze({
+  DIALOG_ID: 'certification-dialog',
+  TITLE_ID: 'certification-dialog-title',
+  DESCRIPTION_ID: 'certification-dialog-description',
+});
+
+// ============================================
+// State Management
+// ============================================
+
+/**
+ * Dialog state
+ * @type {Object}
+ */
+const dialogState = {
+  initialized: false,
+  openCertificationId: null,
+  focusTrap: null,
+  unsubscribeLocale: null,
+};
+
+/**
+ * Cached dialog element references
+ * @type {Object}
+ */
+let dialogElements = {
+  root: null,
+  icon: null,
+  status: null,
+  title: null,
+  description: null,
+  details: null,
+  thumbnail: null,
+  verifyLink: null,
+  dismissButton: null,
+  closeButton: null,
+};
+
+// ============================================
+// Status and Formatting
+// ============================================
+
+/**
+ * Describes a certification's validity for display
+ * @param {Object} certification - Certification object
+ * @param {Date} [now=new Date()] - Instant to check
+ * @returns {{ status: string, label: string, badgeClass: string }|null} Badge text and class,
+ *   or null for certifications without an expiry date
+ */
+export function describeCertificationStatus(certification, now = new Date()) {
+  if (!certification.expiresOn) {
+    return null;
+  }
+
+  const { status, daysRemaining } = getCertificationStatus(certification, now);
+
+  if (status === CERTIFICATION_STATUS.EXPIRED) {
+    return { status, label: t('certifications.expired'), badgeClass: 'badge badge-error' };
+  }
+
+  if (status === CERTIFICATION_STATUS.EXPIRING) {
+    const label = daysRemaining === 0
+      ? t('certifications.expiresToday')
+      : t('certifications.expiresIn', { days: daysRemaining });
+    return { status, label, badgeClass: 'badge badge-warning' };
+  }
+
+  return { status, label: t('certifications.valid'), badgeClass: 'badge badge-success' };
+}
+
+// ============================================
+// Dialog Rendering
+// ============================================
+
+/**
+ * Create the dialog element and append it to the document body
+ * @returns {HTMLElement} Dialog root element
+ */
+function createDialogElement() {
+  const root = document.createElement('div');
+  root.id = DIALOG_CONFIG.DIALOG_ID;
+  root.className = 'certification-dialog';
+  root.hidden = true;
+
+  const backdrop = document.createElement('div');
+  backdrop.className = 'certification-dialog-backdrop';
+  backdrop.setAttribute('data-dialog-close', '');
+
+  const panel = document.createElement('div');
+  panel.className = 'certification-dialog-panel';
+  panel.setAttribute('role', 'dialog');
+  panel.setAttribute('aria-modal', 'true');
+  panel.setAttribute('aria-labelledby', DIALOG_CONFIG.TITLE_ID);
+  panel.setAttribute('aria-describedby', DIALOG_CONFIG.DESCRIPTION_ID);
+
+  const closeButton = document.createElement('button');
+  closeButton.type = 'button';
+  closeButton.className = 'certification-dialog-close';
+  closeButton.setAttribute('data-dialog-close', '');
+  closeButton.textContent = '×';
+
+  const header = document.createElement('header');
+  header.className = 'certification-dialog-header';
+
+  const icon = document.createElement('span');
+  icon.className = 'cert-icon';
+  icon.setAttribute('aria-hidden', 'true');
+
+  const title = document.createElement('h2');
+  title.id = DIALOG_CONFIG.TITLE_ID;
+
+  const status = document.createElement('span');
+
+  header.appendChild(icon);
+  header.appendChild(title);
+  header.appendChild(status);
+
+  const description = document.createElement('p');
+  description.id = DIALOG_CONFIG.DESCRIPTION_ID;
+  description.className = 'certification-dialog-description';
+
+  const details = document.createElement('dl');
+  details.className = 'certification-dialog-details';
+
+  const thumbnail = document.createElement('img');
+  thumbnail.className = 'certification-dialog-thumbnail';
+  thumbnail.setAttribute('loading', 'lazy');
+  thumbnail.setAttribute('width', '240');
+  thumbnail.setAttribute('height', '170');
+  thumbnail.hidden = true;
+
+  const actions = document.createElement('div');
+  actions.className = 'certification-dialog-actions';
+
+  const verifyLink = document.createElement('a');
+  verifyLink.className = 'btn btn-primary';
+  verifyLink.target = '_blank';
+  verifyLink.rel = 'noopener noreferrer';
+  verifyLink.hidden = true;
+
+  const dismissButton = document.createElement('button');
+  dismissButton.type = 'button';
+  dismissButton.className = 'btn btn-ghost';
+  dismissButton.setAttribute('data-dialog-close', '');
+
+  actions.appendChild(verifyLink);
+  actions.appendChild(dismissButton);
+
+  panel.appendChild(closeButton);
+  panel.appendChild(header);
+  panel.appendChild(description);
+  panel.appendChild(details);
+  panel.appendChild(thumbnail);
+  panel.appendChild(actions);
+
+  root.appendChild(backdrop);
+  root.appendChild(panel);
+
+  document.body.appendChild(root);
+
+  dialogElements = {
+    root,
+    icon,
+    status,
+    title,
+    description,
+    details,
+    thumbnail,
+    verifyLink,
+    dismissButton,
+    closeButton,
+  };
+
+  renderDialogLabels();
+
+  return root;
+}
+
+/**
+ * Fill the dialog's fixed labels in the active language
+ */
+function renderDialogLabels() {
+  const { dismissButton, closeButton } = dialogElements;
+
+  closeButton.setAttribute('aria-label', t('certifications.dialog.close'));
+  dismissButton.textContent = t('certifications.dialog.dismiss');
+}
+
+/**
+ * Builds the term/description pairs shown for a certification
+ * @param {Object} certification - Certification object
+ * @returns {Array<[string, string]>} Detail rows
+ */
+function getDetailRows(certification) {
+  const rows = [
+    [t('certifications.dialog.issuedBy'), certification.issuer],
+    [t('certifications.dialog.year'), String(certification.year)],
+  ];
+
+  if (certification.certificateNumber) {
+    rows.push([t('certifications.dialog.certificateNumber'), certification.certificateNumber]);
+  }
+
+  if (certification.expiresOn) {
+    rows.push([t('certifications.dialog.validUntil'), formatDate(certification.expiresOn)]);
+  }
+
+  return rows;
+}
+
+/**
+ * Fill the dialog with a certification's content
+ * @param {Object} certification - Certification to display
+ */
+function renderCertificationContent(certification) {
+  const {
+    icon,
+    status,
+    title,
+    description,
+    details,
+    thumbnail,
+    verifyLink,
+  } = dialogElements;
+
+  icon.textContent = certification.icon || '';
+  title.textContent = certification.name;
+  description.textContent = certification.description;
+
+  const statusInfo = describeCertificationStatus(certification);
+  status.hidden = !statusInfo;
+  status.className = statusInfo ? statusInfo.badgeClass : '';
+  status.textContent = statusInfo ? statusInfo.label : '';
+
+  details.replaceChildren(
+    ...getDetailRows(certification).flatMap(([term, value]) => {
+      const dt = document.createElement('dt');
+      const dd = document.createElement('dd');
+      dt.textContent = term;
+      dd.textContent = value;
+      return [dt, dd];
+    })
+  );
+
+  if (certification.thumbnail) {
+    thumbnail.src = certification.thumbnail.src;
+    thumbnail.alt = certification.thumbnail.alt;
+    thumbnail.hidden = false;
+  } else {
+    thumbnail.removeAttribute('src');
+    thumbnail.alt = '';
+    thumbnail.hidden = true;
+  }
+
+  if (certification.verificationUrl) {
+    verifyLink.href = certification.verificationUrl;
+    verifyLink.textContent = t('certifications.dialog.verify', { issuer: certification.issuer });
+    verifyLink.setAttribute('aria-label', t('certifications.dialog.verifyLabel', { issuer: certification.issuer }));
+    verifyLink.hidden = false;
+  } else {
+    verifyLink.removeAttribute('href');
+    verifyLink.hidden = true;
+  }
+}
+
+/**
+ * Fill the dialog with certification content and show it
+ * @param {Object} certification - Certification to display
+ * @param {Element|null} triggerElement - Element to return focus to on close
+ */
+function renderDialog(certification, triggerElement) {
+  const { root, closeButton } = dialogElements;
+
+  renderCertificationContent(certification);
+
+  const wasOpen = Boolean(dialogState.openCertificationId);
+  dialogState.openCertificationId = certification.id;
+  root.setAttribute('data-cert-id', certification.id);
+
+  if (!wasOpen) {
+    root.hidden = false;
+    lockScroll();
+
+    dialogState.focusTrap = createFocusTrap(root, {
+      initialFocus: closeButton,
+      returnFocus: triggerElement || document.activeElement,
+    });
+
+    if (dialogState.focusTrap) {
+      dialogState.focusTrap.activate();
+    }
+  }
+
+  announce(t('certifications.detailsOpened', { name: certification.name }), { politeness: 'polite' });
+  console.log('[CertificationDialog] Opened certification details:', certification.id);
+}
+
+// ============================================
+// Public API
+// ============================================
+
+/**
+ * Open the detail dialog for a certification
+ * @param {string} certId - Certification identifier
+ * @param {Element} [triggerElement] - Element to return focus to on close
+ * @returns {boolean} True if the dialog was opened
+ */
+export function openCertificationDetail(certId, triggerElement = null) {
+  const certification = getCertificationById(certId);
+
+  if (!certification || !dialogElements.root) {
+    return false;
+  }
+
+  renderDialog(certification, triggerElement);
+  return true;
+}
+
+/**
+ * Close the detail dialog and restore page state
+ */
+export function closeCertificationDetail() {
+  const { root } = dialogElements;
+
+  if (!root || !dialogState.openCertificationId) {
+    return;
+  }
+
+  root.hidden = true;
+  root.removeAttribute('data-cert-id');
+
+  if (dialogState.focusTrap) {
+    dialogState.focusTrap.release();
+    dialogState.focusTrap = null;
+  }
+
+  unlockScroll();
+
+  console.log('[CertificationDialog] Closed certification details:', dialogState.openCertificationId);
+
+  dialogState.openCertificationId = null;
+}
+
+/**
+ * Check whether the dialog is open
+ * @returns {string|null} ID of the open certification or null
+ */
+export function getOpenCertificationId() {
+  return dialogState.openCertificationId;
+}
+
+// ============================================
+// Event Handlers
+// ============================================
+
+/**
+ * Handle clicks inside the dialog
+ * @param {MouseEvent} event - Click event
+ */
+function handleDialogClick(event) {
+  if (event.target.closest('[data-dialog-close]')) {
+    closeCertificationDetail();
+  }
+}
+
+/**
+ * Handle keyboard interaction inside the dialog
+ * @param {KeyboardEvent} event - Keyboard event
+ */
+function handleDialogKeydown(event) {
+  if (event.key === 'Escape') {
+    event.preventDefault();
+    closeCertificationDetail();
+  }
+}
+
+/**
+ * Re-render the dialog in the new language, keeping an open certification open
+ */
+function handleLocaleChange() {
+  renderDialogLabels();
+
+  const certification = dialogState.openCertificationId
+    ? getCertificationById(dialogState.openCertificationId)
+    : null;
+
+  if (certification) {
+    renderCertificationContent(certification);
+  }
+}
+
+// ============================================
+// Initialization
+// ============================================
+
+/**
+ * Initialize the certification detail dialog
+ */
+export function initCertificationDialog() {
+  if (dialogState.initialized) {
+    return;
+  }
+
+  try {
+    const root = createDialogElement();
+
+    root.addEventListener('click', handleDialogClick);
+    root.addEventListener('keydown', handleDialogKeydown);
+
+    dialogState.unsubscribeLocale = onLocaleChange(handleLocaleChange);
+    dialogState.initialized = true;
+
+    console.log('[CertificationDialog] Certification dialog initialized');
+  } catch (error) {
+    console.error('[CertificationDialog] Initialization error:', error);
+  }
+}
+
+/**
+ * Cleanup function for removing the dialog and its event listeners
+ */
+export function cleanupCertificationDialog() {
+  const { root } = dialogElements;
+
+  closeCertificationDetail();
+
+  if (dialogState.unsubscribeLocale) {
+    dialogState.unsubscribeLocale();
+    dialogState.unsubscribeLocale = null;
+  }
+
+  if (root) {
+    root.removeEventListener('click', handleDialogClick);
+    root.removeEventListener('keydown', handleDialogKeydown);
+    root.remove();
+  }
+
+  dialogElements = {
+    root: null,
+    icon: null,
+    status: null,
+    title: null,
+    description: null,
+    details: null,
+    thumbnail: null,
+    verifyLink: null,
+    dismissButton: null,
+    closeButton: null,
+  };
+  dialogState.initialized = false;
+}
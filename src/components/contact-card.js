@@ -0,0 +1,205 @@
+/**
+ * Contact Card Module
+ * "Save contact" download and QR code for the contact section
+ *
+ * @module contact-card
+ * @description Offers the business contact details as a vCard download and as
+ * a QR code (contact card or click-to-call number) generated in the browser.
+ * Both are built from data/contact when used, so they always match the
+ * contact details on the page. The QR code can also be downloaded as SVG for
+ * flyers and is kept when the page is printed.
+ */
+
+import { getContactVCard, getPhoneLink, CONTACT_VCARD_FILENAME } from '../data/contact.js';
+import { SITE_CONFIG } from '../data/site-config.js';
+import { VCARD_CONFIG } from '../utils/vcard.js';
+import { encodeQRCode, renderQRCodeSvg } from '../utils/qr-code.js';
+
+// ============================================
+// Constants and Configuration
+// ============================================
+
+/**
+ * Contact card configuration
+ * @type {Object}
+ */
+const CONTACT_CARD_CONFIG = Object.freeze({
+  ROOT_ID: 'contact-card',
+  VCARD_DOWNLOAD_ID: 'contact-vcard-download',
+  QR_CODE_ID: 'contact-qr-code',
+  QR_CAPTION_ID: 'contact-qr-caption',
+  QR_DOWNLOAD_ID: 'contact-qr-download',
+  QR_OPTION_SELECTOR: '[data-qr-content]',
+  QR_ERROR_CORRECTION: 'M',
+  QR_DOWNLOAD_FILENAME: CONTACT_VCARD_FILENAME.replace(/\.vcf$/, '-qr.svg'),
+  SVG_MIME_TYPE: 'image/svg+xml;charset=utf-8',
+});
+
+/**
+ * What the QR code can hold
+ * @type {Object}
+ */
+const QR_CONTENTS = Object.freeze({
+  vcard: Object.freeze({
+    getText: () => getContactVCard({ compact: true }),
+    caption: 'Scan to save our contact details',
+    title: `QR code: ${SITE_CONFIG.brand.name} contact card`,
+  }),
+  phone: Object.freeze({
+    getText: () => getPhoneLink('phone'),
+    caption: `Scan to call us at ${SITE_CONFIG.contact.phone.display}`,
+    title: `QR code: call ${SITE_CONFIG.contact.phone.display}`,
+  }),
+});
+
+// ============================================
+// State Management
+// ============================================
+
+/**
+ * Contact card state
+ * @type {Object}
+ */
+const contactCardState = {
+  root: null,
+  vcardLink: null,
+  qrLink: null,
+  options: [],
+  content: 'vcard',
+};
+
+// ============================================
+// QR Code
+// ============================================
+
+/**
+ * Generates the SVG for the selected QR code content
+ * @returns {string} SVG markup
+ */
+function getQRCodeSvg() {
+  const content = QR_CONTENTS[contactCardState.content];
+  const qrCode = encodeQRCode(content.getText(), { errorCorrection: CONTACT_CARD_CONFIG.QR_ERROR_CORRECTION });
+
+  return renderQRCodeSvg(qrCode, { title: content.title });
+}
+
+/**
+ * Renders the QR code, its caption and the option buttons' pressed state
+ */
+function renderQRCode() {
+  const content = QR_CONTENTS[contactCardState.content];
+  const container = document.getElementById(CONTACT_CARD_CONFIG.QR_CODE_ID);
+  const caption = document.getElementById(CONTACT_CARD_CONFIG.QR_CAPTION_ID);
+
+  if (container) {
+    // Generated markup: module paths plus an escaped title
+    container.innerHTML = getQRCodeSvg();
+  }
+
+  if (caption) {
+    caption.textContent = content.caption;
+  }
+
+  contactCardState.options.forEach((button) => {
+    button.setAttribute('aria-pressed', String(button.dataset.qrContent === contactCardState.content));
+  });
+}
+
+// ============================================
+// Event Handlers
+// ============================================
+
+/**
+ * Points the vCard link at a freshly generated card just before the browser follows it
+ * @param {MouseEvent} event - Click event
+ */
+function handleVCardClick(event) {
+  event.currentTarget.href = `data:${VCARD_CONFIG.MIME_TYPE},${encodeURIComponent(getContactVCard())}`;
+}
+
+/**
+ * Points the QR code link at the SVG of the QR code currently shown
+ * @param {MouseEvent} event - Click event
+ */
+function handleQRDownloadClick(event) {
+  event.currentTarget.href = `data:${CONTACT_CARD_CONFIG.SVG_MIME_TYPE},${encodeURIComponent(getQRCodeSvg())}`;
+}
+
+/**
+ * Switches the QR code between the contact card and the phone number
+ * @param {MouseEvent} event - Click event
+ */
+function handleOptionClick(event) {
+  const { qrContent } = event.currentTarget.dataset;
+
+  if (QR_CONTENTS[qrContent] && qrContent !== contactCardState.content) {
+    contactCardState.content = qrContent;
+    renderQRCode();
+  }
+}
+
+// ============================================
+// Initialization
+// ============================================
+
+/**
+ * Initialize the contact card download and QR code
+ */
+export function initContactCard() {
+  const root = document.getElementById(CONTACT_CARD_CONFIG.ROOT_ID);
+
+  if (!root) {
+    console.warn('[ContactCard] Contact card container not found');
+    return;
+  }
+
+  contactCardState.root = root;
+
+  const vcardLink = document.getElementById(CONTACT_CARD_CONFIG.VCARD_DOWNLOAD_ID);
+
+  if (vcardLink) {
+    vcardLink.setAttribute('download', CONTACT_VCARD_FILENAME);
+    vcardLink.addEventListener('click', handleVCardClick);
+    contactCardState.vcardLink = vcardLink;
+  }
+
+  const qrLink = document.getElementById(CONTACT_CARD_CONFIG.QR_DOWNLOAD_ID);
+
+  if (qrLink) {
+    qrLink.setAttribute('download', CONTACT_CARD_CONFIG.QR_DOWNLOAD_FILENAME);
+    qrLink.addEventListener('click', handleQRDownloadClick);
+    contactCardState.qrLink = qrLink;
+  }
+
+  contactCardState.options = Array.from(root.querySelectorAll(CONTACT_CARD_CONFIG.QR_OPTION_SELECTOR));
+  contactCardState.options.forEach((button) => button.addEventListener('click', handleOptionClick));
+
+  renderQRCode();
+  root.hidden = false;
+
+  console.log('[ContactCard] Contact card initialized:', {
+    vcard: Boolean(contactCardState.vcardLink),
+    qrContent: contactCardState.content,
+  });
+}
+
+/**
+ * Cleanup function for removing event listeners
+ */
+export function cleanupContactCard() {
+  if (contactCardState.vcardLink) {
+    contactCardState.vcardLink.removeEventListener('click', handleVCardClick);
+  }
+
+  if (contactCardState.qrLink) {
+    contactCardState.qrLink.removeEventListener('click', handleQRDownloadClick);
+  }
+
+  contactCardState.options.forEach((button) => button.removeEventListener('click', handleOptionClick));
+
+  contactCardState.root = null;
+  contactCardState.vcardLink = null;
+  contactCardState.qrLink = null;
+  contactCardState.options = [];
+  contactCardState.content = 'vcard';
+}
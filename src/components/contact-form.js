@@ -5,63 +5,17 @@
  * @module contact-form
  * @generated-from: task-id:AGRO-007
  * @modifies: contact form functionality
- * @dependencies: []
- */
-
-/**
- * Validation rules for form fields
- */
-const VALIDATION_RULES = Object.freeze({
-  name: {
-    minLength: 2,
-    maxLength: 100,
-    pattern: /^[a-zA-Z\s'-]+$/,
-    errorMessages: {
-      required: 'Please enter your full name',
-      minLength: 'Name must be at least 2 characters',
-      maxLength: 'Name must not exceed 100 characters',
-      pattern: 'Name can only contain letters, spaces, hyphens, and apostrophes',
-    },
-  },
-  email: {
-    pattern: /^[^\s@]+@[^\s@]+\.[^\s@]+$/,
-    maxLength: 254,
-    errorMessages: {
-      required: 'Please enter your email address',
-      pattern: 'Please enter a valid email address',
-      maxLength: 'Email address is too long',
-    },
-  },
-  phone: {
-    pattern: /^[\d\s()+-]+$/,
-    minLength: 10,
-    maxLength: 20,
-    errorMessages: {
-      pattern: 'Please enter a valid phone number',
-      minLength: 'Phone number must be at least 10 digits',
-      maxLength: 'Phone number is too long',
-    },
-  },
-  service: {
-    errorMessages: {
-      required: 'Please select a service',
-    },
-  },
-  message: {
-    minLength: 10,
-    maxLength: 1000,
-    errorMessages: {
-      required: 'Please enter a message',
-      minLength: 'Message must be at least 10 characters',
-      maxLength: 'Message must not exceed 1000 characters',
-    },
-  },
-  consent: {
-    errorMessages: {
-      required: 'You must agree to the privacy policy to continue',
-    },
-  },
-});
+ * @dependencies: ["data/services", "utils/form-submission", "utils/submission-queue", "utils/validation", "utils/email-check", "utils/anti-spam", "data/phone-regions"]
+ */
+
+import { getAllServicesSorted } from '../data/services.js';
+import { t, onLocaleChange } from '../utils/i18n.js';
+import { PHONE_REGIONS, PREFERRED_PHONE_REGIONS, DEFAULT_PHONE_REGION } from '../data/phone-regions.js';
+import { createSubmissionService } from '../utils/form-submission.js';
+import { createValidator, CONTACT_FORM_SCHEMA, formatPhoneNumber } from '../utils/validation.js';
+import { suggestEmailCorrection } from '../utils/email-check.js';
+import { createSpamGuard, SPAM_GUARD_FORMS, ANTI_SPAM_CONFIG } from '../utils/anti-spam.js';
+import { createSubmissionQueue, createSubmissionId, isQueueableFailure } from '../utils/submission-queue.js';
 
 /**
  * Form state management
@@ -71,47 +25,76 @@ const formState = {
   hasSubmitted: false,
   validationErrors: new Map(),
   touchedFields: new Set(),
+  pendingSubmissionId: null,
+  statusKey: null,
+  unsubscribeLocale: null,
 };
 
 /**
- * Validates a single field based on validation rules
- * @param {string} fieldName - Name of the field to validate
- * @param {string} value - Value to validate
- * @param {boolean} isRequired - Whether the field is required
- * @returns {string|null} Error message or null if valid
+ * Delay before checking an email address the visitor is still typing
  */
-function validateField(fieldName, value, isRequired = true) {
-  const rules = VALIDATION_RULES[fieldName];
-  if (!rules) return null;
+const EMAIL_CHECK_DELAY = 400;
 
-  const trimmedValue = typeof value === 'string' ? value.trim() : value;
+/**
+ * Pending email deliverability check (debounce timer and abort controller)
+ */
+const emailCheckState = {
+  timer: null,
+  controller: null,
+};
 
-  // Required validation
-  if (isRequired && !trimmedValue) {
-    return rules.errorMessages.required;
-  }
+/**
+ * Validator built from the shared contact form schema
+ */
+const contactFormValidator = createValidator(CONTACT_FORM_SCHEMA);
 
-  // Skip other validations if field is optional and empty
-  if (!isRequired && !trimmedValue) {
-    return null;
-  }
+/**
+ * Submission service shared by every contact form submit
+ */
+const submissionService = createSubmissionService();
 
-  // Min length validation
-  if (rules.minLength && trimmedValue.length < rules.minLength) {
-    return rules.errorMessages.minLength;
-  }
+/**
+ * Offline queue for submissions that fail on a lost connection (created on init)
+ */
+let submissionQueue = null;
 
-  // Max length validation
-  if (rules.maxLength && trimmedValue.length > rules.maxLength) {
-    return rules.errorMessages.maxLength;
-  }
+/**
+ * Bot defenses for the form (created on init so time-to-submit starts with the form)
+ */
+let spamGuard = null;
 
-  // Pattern validation
-  if (rules.pattern && !rules.pattern.test(trimmedValue)) {
-    return rules.errorMessages.pattern;
-  }
+/**
+ * Message catalog keys of the form status messages
+ */
+const STATUS_MESSAGE_KEYS = Object.freeze({
+  invalid: 'contact.status.invalid',
+  success: 'contact.status.success',
+  mailto: 'contact.status.mailto',
+  error: 'contact.status.error',
+  queued: 'contact.status.queued',
+  pending: 'contact.status.pending',
+  sent: 'contact.status.sent',
+  rejected: 'contact.status.rejected',
+});
+
+/**
+ * Collects current form values keyed by field name
+ * Checkboxes report their checked state; disabled fields are included
+ * @param {HTMLFormElement} form - Form element
+ * @returns {Object} Field values
+ */
+function getFormValues(form) {
+  const values = {};
 
-  return null;
+  Array.from(form.elements).forEach((element) => {
+    if (!element.name) {
+      return;
+    }
+
+    values[element.name] = element.type === 'checkbox' ? element.checked : element.value;
+  });
+
+  return values;
 }
 
 /**
@@ -126,7 +109,12 @@ function showFieldError(field, errorMessage) {
   if (errorElement) {
     errorElement.textContent = errorMessage;
     field.setAttribute('aria-invalid', 'true');
-    field.setAttribute('aria-describedby', errorId);
+
+    // Keep existing hint references when linking the error message
+    const describedBy = (field.getAttribute('aria-describedby') || '').split(/\s+/).filter(Boolean);
+    if (!describedBy.includes(errorId)) {
+      field.setAttribute('aria-describedby', [...describedBy, errorId].join(' '));
+    }
   }
 
   formState.validationErrors.set(field.name, errorMessage);
@@ -149,65 +137,41 @@ function clearFieldError(field) {
 }
 
 /**
- * Validates a form field and updates UI
+ * Validates a form field against the contact schema and updates UI
  * @param {HTMLElement} field - Form field to validate
  * @returns {boolean} True if valid, false otherwise
  */
 function validateFormField(field) {
-  const isRequired = field.hasAttribute('required');
-  const fieldName = field.name;
-  const value = field.type === 'checkbox' ? field.checked : field.value;
-
-  // Special handling for checkbox
-  if (field.type === 'checkbox') {
-    const errorMessage = isRequired && !value ? VALIDATION_RULES[fieldName].errorMessages.required : null;
-    
-    if (errorMessage) {
-      showFieldError(field, errorMessage);
-      return false;
-    } else {
-      clearFieldError(field);
-      return true;
-    }
-  }
-
-  // Special handling for select
-  if (field.tagName === 'SELECT') {
-    const errorMessage = isRequired && !value ? VALIDATION_RULES[fieldName].errorMessages.required : null;
-    
-    if (errorMessage) {
-      showFieldError(field, errorMessage);
-      return false;
-    } else {
-      clearFieldError(field);
-      return true;
-    }
-  }
+  const { error } = contactFormValidator.validateField(field.name, getFormValues(field.form));
 
-  const errorMessage = validateField(fieldName, value, isRequired);
-
-  if (errorMessage) {
-    showFieldError(field, errorMessage);
+  if (error) {
+    showFieldError(field, error);
     return false;
-  } else {
-    clearFieldError(field);
-    return true;
   }
+
+  clearFieldError(field);
+  return true;
 }
 
 /**
- * Validates entire form
+ * Validates entire form against the contact schema
  * @param {HTMLFormElement} form - Form element to validate
  * @returns {boolean} True if all fields are valid
  */
 function validateForm(form) {
-  const fields = form.querySelectorAll('input, select, textarea');
-  let isValid = true;
+  const { isValid, errors } = contactFormValidator.validate(getFormValues(form));
 
-  fields.forEach((field) => {
-    const fieldValid = validateFormField(field);
-    if (!fieldValid) {
-      isValid = false;
+  contactFormValidator.getFieldNames().forEach((fieldName) => {
+    const field = form.elements[fieldName];
+
+    if (!field || !field.id) {
+      return;
+    }
+
+    if (errors[fieldName]) {
+      showFieldError(field, errors[fieldName]);
+    } else {
+      clearFieldError(field);
     }
   });
 
@@ -241,7 +205,9 @@ function setSubmittingState(form, isSubmitting) {
  */
 function showFormStatus(message, type) {
   const statusElement = document.getElementById('form-status');
-  
+
+  formState.statusKey = null;
+
   if (statusElement) {
     statusElement.textContent = message;
     statusElement.className = type;
@@ -253,12 +219,24 @@ function showFormStatus(message, type) {
   }
 }
 
+/**
+ * Shows one of the form's own status messages, kept in the active language
+ * @param {string} name - Message name from STATUS_MESSAGE_KEYS
+ * @param {string} type - Status type (success, error, queued)
+ */
+function showStatusMessage(name, type) {
+  showFormStatus(t(STATUS_MESSAGE_KEYS[name]), type);
+  formState.statusKey = STATUS_MESSAGE_KEYS[name];
+}
+
 /**
  * Clears form status message
  */
 function clearFormStatus() {
   const statusElement = document.getElementById('form-status');
-  
+
+  formState.statusKey = null;
+
   if (statusElement) {
     statusElement.textContent = '';
     statusElement.className = '';
@@ -272,6 +250,7 @@ function clearFormStatus() {
  */
 function resetForm(form) {
   form.reset();
+  updatePhonePlaceholder(form);
   formState.validationErrors.clear();
   formState.touchedFields.clear();
   formState.hasSubmitted = false;
@@ -305,7 +284,7 @@ async function handleFormSubmit(event) {
   const isValid = validateForm(form);
 
   if (!isValid) {
-    showFormStatus('Please correct the errors in the form before submitting.', 'error');
+    showStatusMessage('invalid', 'error');
     
     // Focus first invalid field
     const firstInvalidField = form.querySelector('[aria-invalid="true"]');
@@ -316,30 +295,70 @@ async function handleFormSubmit(event) {
     return;
   }
 
+  // Collect sanitized, normalized data (E.164 phone) before fields are disabled
+  const { data } = contactFormValidator.validate(getFormValues(form));
+  const payload = { ...data };
+  delete payload[ANTI_SPAM_CONFIG.HONEYPOT_FIELD];
+
+  // Keep the same ID across retries of this message so the server can de-duplicate it
+  if (!formState.pendingSubmissionId) {
+    formState.pendingSubmissionId = createSubmissionId();
+  }
+  const submissionId = formState.pendingSubmissionId;
+
   // Set submitting state
   setSubmittingState(form, true);
 
   try {
-    // Collect form data
-    const formData = new FormData(form);
-    const data = Object.fromEntries(formData.entries());
+    const spamCheck = await spamGuard.evaluate(data);
+
+    if (!spamCheck.ok) {
+      showFormStatus(spamCheck.message, 'error');
+      return;
+    }
+
+    // The spam score and proof-of-work token let the server apply its own filtering
+    Object.assign(payload, spamCheck.fields);
+
+    // Deliverability checks are async, so they run after the instant field checks pass
+    cancelEmailCheck();
+    const emailCheck = await contactFormValidator.validateFieldAsync('email', data);
+
+    if (!emailCheck.isValid) {
+      handleSubmissionFailure(form, {
+        message: t(STATUS_MESSAGE_KEYS.invalid),
+        fieldErrors: { email: emailCheck.error },
+      });
+      return;
+    }
 
-    // Simulate API call (replace with actual API endpoint)
-    await new Promise((resolve) => setTimeout(resolve, 1500));
+    const result = await submitContactRequest({ ...payload, submissionId });
 
     // Log form submission for tracking
     console.log('Contact form submitted:', {
       timestamp: new Date().toISOString(),
       service: data.service,
       hasPhone: Boolean(data.phone),
+      transport: result.transport,
+      ok: result.ok,
     });
 
+    if (result.queued) {
+      spamGuard.recordSubmission();
+      handleQueuedSubmission(form);
+      return;
+    }
+
+    if (!result.ok) {
+      handleSubmissionFailure(form, result);
+      return;
+    }
+
     // Success handling
+    spamGuard.recordSubmission();
+    formState.pendingSubmissionId = null;
     formState.hasSubmitted = true;
-    showFormStatus(
-      'Thank you for your message! We will get back to you within 24 hours.',
-      'success'
-    );
+    showStatusMessage(result.transport === 'mailto' ? 'mailto' : 'success', 'success');
 
     // Reset form after successful submission
     setTimeout(() => {
@@ -350,16 +369,457 @@ async function handleFormSubmit(event) {
   } catch (error) {
     // Error handling
     console.error('Form submission error:', error);
-    showFormStatus(
-      'Sorry, there was an error submitting your message. Please try again or contact us directly.',
-      'error'
-    );
+    showStatusMessage('error', 'error');
   } finally {
     // Reset submitting state
     setSubmittingState(form, false);
   }
 }
 
+/**
+ * Shows a failed submission result, mapping server field errors onto the form
+ * @param {HTMLFormElement} form - Form element
+ * @param {Object} result - Failed submission result
+ */
+function handleSubmissionFailure(form, result) {
+  let firstInvalidField = null;
+
+  Object.entries(result.fieldErrors || {}).forEach(([fieldName, message]) => {
+    const field = form.elements[fieldName];
+
+    if (field && field.id) {
+      showFieldError(field, message);
+      firstInvalidField = firstInvalidField || field;
+    }
+  });
+
+  showFormStatus(result.message, 'error');
+
+  if (firstInvalidField) {
+    // Fields are re-enabled in handleFormSubmit's finally block before focus can land
+    setTimeout(() => firstInvalidField.focus(), 0);
+  }
+}
+
+/**
+ * Confirms a submission was saved to the offline queue and clears the form
+ * @param {HTMLFormElement} form - Form element
+ */
+function handleQueuedSubmission(form) {
+  resetForm(form);
+  showStatusMessage('queued', 'queued');
+}
+
+/**
+ * Updates the form status as queued submissions are delivered or rejected
+ * Requests from other entry points (e.g. emergency callbacks) report their own outcome.
+ * @param {Object} event - Submission queue event
+ */
+function handleQueueEvent(event) {
+  if (event.entry && event.entry.payload.requestType) {
+    return;
+  }
+
+  if (event.type === 'sent') {
+    showStatusMessage('sent', 'success');
+  } else if (event.type === 'rejected') {
+    showStatusMessage('rejected', 'error');
+  }
+}
+
+/**
+ * Returns the offline submission queue, creating it on first use
+ * The emergency form may queue a request before the contact form initializes.
+ * @returns {Object} Submission queue
+ */
+function getSubmissionQueue() {
+  if (!submissionQueue) {
+    submissionQueue = createSubmissionQueue({
+      // Background retries must never open the visitor's email client unprompted
+      send: (payload, entry) => submissionService.submit(payload, {
+        useFallback: false,
+        endpoint: entry.endpoint || undefined,
+      }),
+    });
+
+    submissionQueue.subscribe(handleQueueEvent);
+  }
+
+  return submissionQueue;
+}
+
+/**
+ * Creates the offline submission queue and resumes delivery of saved messages
+ */
+async function initSubmissionQueue() {
+  const queue = getSubmissionQueue();
+
+  try {
+    const pending = await queue.getPending();
+
+    if (pending.some((entry) => !entry.payload.requestType)) {
+      showStatusMessage('pending', 'queued');
+    }
+  } catch (error) {
+    console.error('Could not read queued submissions:', error);
+  }
+
+  queue.start();
+}
+
+/**
+ * Picks the initial phone region from the visitor's language settings
+ * @returns {string} Region code
+ */
+function getPreferredPhoneRegion() {
+  const languages = navigator.languages && navigator.languages.length > 0
+    ? navigator.languages
+    : [navigator.language || ''];
+
+  for (const language of languages) {
+    const region = language.split('-')[1];
+    if (region && PHONE_REGIONS[region.toUpperCase()]) {
+      return region.toUpperCase();
+    }
+  }
+
+  return DEFAULT_PHONE_REGION;
+}
+
+/**
+ * Fills a country calling code select from the phone region data, preselecting
+ * the region that matches the visitor's language settings
+ * @param {HTMLSelectElement} select - Country calling code select
+ */
+export function populatePhoneRegionSelect(select) {
+  const preferredRegion = getPreferredPhoneRegion();
+  const otherRegions = Object.keys(PHONE_REGIONS)
+    .filter((code) => !PREFERRED_PHONE_REGIONS.includes(code))
+    .sort((a, b) => PHONE_REGIONS[a].name.localeCompare(PHONE_REGIONS[b].name));
+
+  const options = [...PREFERRED_PHONE_REGIONS, ...otherRegions].map((code) => {
+    const region = PHONE_REGIONS[code];
+    const option = document.createElement('option');
+    option.value = code;
+    option.textContent = `${region.name} (+${region.dialCode})`;
+    // defaultSelected keeps the preferred region when the form is reset
+    option.defaultSelected = code === preferredRegion;
+    return option;
+  });
+
+  select.replaceChildren(...options);
+  select.value = preferredRegion;
+}
+
+/**
+ * Formats a region's example number for use as a phone field placeholder
+ * @param {string} regionCode - ISO 3166-1 alpha-2 region code
+ * @returns {string} Example number, or an empty string for unknown regions
+ */
+export function getPhonePlaceholder(regionCode) {
+  const region = PHONE_REGIONS[regionCode];
+  return region && region.example ? formatPhoneNumber(region.example, regionCode) : '';
+}
+
+/**
+ * Populates the country calling code select from the phone region data
+ * @param {HTMLFormElement} form - Contact form element
+ */
+function populatePhoneRegions(form) {
+  const select = form.querySelector('#phone-country');
+
+  if (!select) {
+    return;
+  }
+
+  populatePhoneRegionSelect(select);
+  updatePhonePlaceholder(form);
+}
+
+/**
+ * Shows an example number for the selected region as the phone placeholder
+ * @param {HTMLFormElement} form - Contact form element
+ */
+function updatePhonePlaceholder(form) {
+  const select = form.querySelector('#phone-country');
+  const field = form.querySelector('#phone');
+
+  if (!select || !field) {
+    return;
+  }
+
+  field.placeholder = getPhonePlaceholder(select.value);
+}
+
+/**
+ * Rewrites a valid phone number in the selected region's display format
+ * @param {HTMLInputElement} field - Phone field
+ */
+function formatPhoneField(field) {
+  const select = field.form.querySelector('#phone-country');
+
+  if (field.value.trim()) {
+    field.value = formatPhoneNumber(field.value, select ? select.value : DEFAULT_PHONE_REGION);
+  }
+}
+
+/**
+ * Revalidates and reformats the phone number when the region changes
+ * @param {Event} event - Change event from the country select
+ */
+function handlePhoneRegionChange(event) {
+  const form = event.target.form;
+  const field = form.querySelector('#phone');
+
+  updatePhonePlaceholder(form);
+
+  if (field && field.value.trim() && validateFormField(field)) {
+    formatPhoneField(field);
+  }
+}
+
+/**
+ * Populates the service select with options from the services data module
+ * @param {HTMLFormElement} form - Contact form element
+ */
+function populateServiceOptions(form) {
+  const select = form.querySelector('#service');
+
+  if (!select) {
+    return;
+  }
+
+  const otherOption = select.querySelector('option[value="other"]');
+  const selectedValue = select.value;
+
+  // Replace any static service options, keeping the placeholder and "Other"
+  select.querySelectorAll('option').forEach((option) => {
+    if (option.value !== '' && option !== otherOption) {
+      option.remove();
+    }
+  });
+
+  getAllServicesSorted().forEach((service) => {
+    const option = document.createElement('option');
+    option.value = service.id;
+    option.textContent = service.title;
+    select.insertBefore(option, otherOption);
+  });
+
+  select.value = selectedValue;
+}
+
+/**
+ * Selects a service in the contact form and moves focus to the form
+ * @param {string} serviceId - Service identifier to preselect
+ * @returns {boolean} True if the service was selected
+ */
+export function selectContactService(serviceId) {
+  const form = document.getElementById('contact-form');
+  const select = form ? form.querySelector('#service') : null;
+
+  const hasOption = select && Array.from(select.options).some((option) => option.value === serviceId);
+
+  if (!hasOption) {
+    console.warn('Service option not found:', serviceId);
+    return false;
+  }
+
+  select.value = serviceId;
+  formState.touchedFields.add(select.name);
+  validateFormField(select);
+
+  // Start the visitor at the first field they still need to fill in
+  const nameField = form.querySelector('#name');
+  const focusTarget = nameField && !nameField.value ? nameField : select;
+  focusTarget.focus({ preventScroll: true });
+
+  return true;
+}
+
+/**
+ * Prefills the farm location field (used by the service area checker)
+ * A location the visitor typed themselves is never overwritten
+ * @param {string} location - Location text, e.g. "Tracy, CA 95376"
+ * @returns {boolean} True if the field was filled
+ */
+export function setContactLocation(location) {
+  const form = document.getElementById('contact-form');
+  const field = form ? form.querySelector('#location') : null;
+
+  if (!field) {
+    console.warn('Contact location field not found');
+    return false;
+  }
+
+  if (field.value && field.dataset.prefilled !== field.value) {
+    return false;
+  }
+
+  field.value = location;
+  field.dataset.prefilled = location;
+  formState.touchedFields.add(field.name);
+  validateFormField(field);
+
+  return true;
+}
+
+/**
+ * Shows or hides the "Did you mean…?" suggestion below the email field
+ * @param {HTMLInputElement} field - Email field
+ * @param {string|null} suggestion - Suggested address, or null to hide
+ */
+function updateEmailSuggestion(field, suggestion) {
+  const container = document.getElementById('email-suggestion');
+
+  if (!container) {
+    return;
+  }
+
+  const button = container.querySelector('button');
+
+  if (!suggestion) {
+    container.hidden = true;
+    button.textContent = '';
+    return;
+  }
+
+  button.textContent = suggestion;
+  button.setAttribute('aria-label', t('contact.form.suggestionLabel', { email: suggestion }));
+  container.hidden = false;
+}
+
+/**
+ * Fills the text around the email suggestion in the active language
+ * @param {HTMLElement} container - Suggestion element
+ */
+function renderEmailSuggestionText(container) {
+  const button = container.querySelector('button');
+
+  container.replaceChildren(`${t('contact.form.suggestion')} `, button, t('contact.form.suggestionEnd'));
+
+  if (button.textContent) {
+    button.setAttribute('aria-label', t('contact.form.suggestionLabel', { email: button.textContent }));
+  }
+}
+
+/**
+ * Updates the form's generated text after a language change
+ * @param {HTMLFormElement} form - Contact form element
+ */
+function handleLocaleChange(form) {
+  const suggestion = document.getElementById('email-suggestion');
+  const statusElement = document.getElementById('form-status');
+
+  populateServiceOptions(form);
+
+  if (suggestion) {
+    renderEmailSuggestionText(suggestion);
+  }
+
+  if (statusElement && formState.statusKey) {
+    statusElement.textContent = t(formState.statusKey);
+  }
+}
+
+/**
+ * Creates the email suggestion element, accepted with a single click
+ * @param {HTMLFormElement} form - Contact form element
+ */
+function createEmailSuggestion(form) {
+  const field = form.querySelector('#email');
+
+  if (!field || document.getElementById('email-suggestion')) {
+    return;
+  }
+
+  const container = document.createElement('p');
+  container.id = 'email-suggestion';
+  container.className = 'email-suggestion';
+  container.setAttribute('aria-live', 'polite');
+  container.hidden = true;
+
+  const button = document.createElement('button');
+  button.type = 'button';
+  button.className = 'email-suggestion-button';
+  button.addEventListener('click', () => {
+    field.value = button.textContent;
+    updateEmailSuggestion(field, null);
+    runEmailCheck(field);
+    field.focus();
+  });
+
+  container.appendChild(button);
+  renderEmailSuggestionText(container);
+  field.insertAdjacentElement('afterend', container);
+}
+
+/**
+ * Cancels any pending or in-flight email check
+ */
+function cancelEmailCheck() {
+  clearTimeout(emailCheckState.timer);
+  emailCheckState.timer = null;
+
+  if (emailCheckState.controller) {
+    emailCheckState.controller.abort();
+    emailCheckState.controller = null;
+  }
+}
+
+/**
+ * Checks the email field for typos and deliverability, ignoring stale results
+ * @param {HTMLInputElement} field - Email field
+ */
+async function runEmailCheck(field) {
+  cancelEmailCheck();
+
+  const value = field.value;
+  const controller = new AbortController();
+  emailCheckState.controller = controller;
+
+  const result = await contactFormValidator.validateFieldAsync(
+    'email',
+    getFormValues(field.form),
+    { signal: controller.signal }
+  );
+
+  // A newer check or newer input supersedes this result
+  if (result.aborted || emailCheckState.controller !== controller || field.value !== value) {
+    return;
+  }
+
+  emailCheckState.controller = null;
+
+  if (result.error) {
+    showFieldError(field, result.error);
+    updateEmailSuggestion(field, null);
+    return;
+  }
+
+  clearFieldError(field);
+  updateEmailSuggestion(field, suggestEmailCorrection(value.trim()));
+}
+
+/**
+ * Debounces the email check while the visitor is typing
+ * @param {HTMLInputElement} field - Email field
+ */
+function scheduleEmailCheck(field) {
+  cancelEmailCheck();
+  updateEmailSuggestion(field, null);
+  emailCheckState.timer = setTimeout(() => runEmailCheck(field), EMAIL_CHECK_DELAY);
+}
+
+/**
+ * Begins solving the anti-spam proof-of-work in the background
+ */
+function handleFormEngagement() {
+  if (spamGuard) {
+    spamGuard.prepare();
+  }
+}
+
 /**
  * Handles field blur event for validation
  * @param {Event} event - Blur event
@@ -367,7 +827,16 @@ async function handleFormSubmit(event) {
 function handleFieldBlur(event) {
   const field = event.target;
   formState.touchedFields.add(field.name);
-  validateFormField(field);
+
+  if (!validateFormField(field)) {
+    return;
+  }
+
+  if (field.name === 'email') {
+    runEmailCheck(field);
+  } else if (field.name === 'phone') {
+    formatPhoneField(field);
+  }
 }
 
 /**
@@ -379,7 +848,16 @@ function handleFieldInput(event) {
   
   // Only validate if field has been touched or form has been submitted
   if (formState.touchedFields.has(field.name) || formState.hasSubmitted) {
-    validateFormField(field);
+    const isValid = validateFormField(field);
+
+    if (field.name === 'email') {
+      if (isValid) {
+        scheduleEmailCheck(field);
+      } else {
+        cancelEmailCheck();
+        updateEmailSuggestion(field, null);
+      }
+    }
   }
 }
 
@@ -394,9 +872,46 @@ export function initContactForm() {
     return;
   }
 
+  // Build service options from the services data module, in the active language
+  populateServiceOptions(form);
+  if (formState.unsubscribeLocale) {
+    formState.unsubscribeLocale();
+  }
+  formState.unsubscribeLocale = onLocaleChange(() => handleLocaleChange(form));
+
+  // Offer one-click fixes for mistyped email domains
+  createEmailSuggestion(form);
+
+  // Build the country calling code selector next to the phone field
+  populatePhoneRegions(form);
+  const phoneCountry = form.querySelector('#phone-country');
+  if (phoneCountry) {
+    phoneCountry.addEventListener('change', handlePhoneRegionChange);
+  }
+
+  // Configure the submission transport from the form's markup
+  const submissionOptions = {
+    transport: form.dataset.transport
+      || (form.getAttribute('enctype') === 'multipart/form-data' ? 'multipart' : 'json'),
+    fallbackTransport: form.dataset.fallbackTransport || null,
+  };
+
+  if (form.getAttribute('action')) {
+    submissionOptions.endpoint = form.getAttribute('action');
+  }
+
+  submissionService.configure(submissionOptions);
+
   // Add submit event listener
   form.addEventListener('submit', handleFormSubmit);
 
+  // Start the proof-of-work challenge once the visitor engages with the form
+  spamGuard = createSpamGuard({ form: SPAM_GUARD_FORMS.CONTACT });
+  form.addEventListener('focusin', handleFormEngagement);
+
+  // Hold submissions made on a dropped connection and send them later
+  initSubmissionQueue();
+
   // Add validation event listeners to all form fields
   const fields = form.querySelectorAll('input, select, textarea');
   
@@ -424,6 +939,68 @@ export function initContactForm() {
   });
 }
 
+/**
+ * Subscribes to contact form submission outcomes
+ * @param {Function} listener - Receives `{ type: 'success'|'error', result, payload }`
+ * @returns {Function} Unsubscribe function
+ */
+export function onContactSubmission(listener) {
+  return submissionService.subscribe(listener);
+}
+
+/**
+ * Sends a request through the contact form's submission service (same transport
+ * and subscribers), also used by other entry points such as the emergency triage
+ * form and the quote wizard. A request that fails for lack of a connection is
+ * saved to the offline queue and sent when the browser is back online.
+ * @param {Object} payload - Validated request data, with its `submissionId`
+ * @param {Object} [options] - Submission options
+ * @param {Function} [options.validate] - Validator for the form the request came from,
+ *   re-checked before queueing (defaults to the contact form's)
+ * @param {string} [options.endpoint] - Endpoint of the form, if not the contact form's
+ * @returns {Promise<Object>} Submission result, with `queued: true` when it was saved for later
+ */
+export async function submitContactRequest(payload, options = {}) {
+  const { validate, endpoint } = options;
+  const result = await submissionService.submit(payload, { endpoint });
+
+  if (!isQueueableFailure(result)) {
+    return result;
+  }
+
+  const { submissionId, ...fields } = payload;
+  const queue = getSubmissionQueue();
+  const queued = await queue.enqueue(fields, submissionId, { validate, endpoint });
+
+  if (!queued.queued) {
+    return result;
+  }
+
+  queue.start();
+  return { ...result, queued: true };
+}
+
+/**
+ * Subscribes to the delivery of queued requests
+ * @param {Function} listener - Receives submission queue events `{ type: 'sent'|'rejected', entry, result }`
+ * @returns {Function} Unsubscribe function
+ */
+export function onQueuedContactRequest(listener) {
+  return getSubmissionQueue().subscribe((event) => {
+    if (event.type === 'sent' || event.type === 'rejected') {
+      listener(event);
+    }
+  });
+}
+
+/**
+ * Overrides contact form submission settings (endpoint, transport, timeout)
+ * @param {Object} options - Submission service options
+ */
+export function configureContactSubmission(options) {
+  submissionService.configure(options);
+}
+
 /**
  * Cleanup function for removing event listeners
  */
@@ -436,6 +1013,12 @@ export function cleanupContactForm() {
 
   // Remove submit listener
   form.removeEventListener('submit', handleFormSubmit);
+  form.removeEventListener('focusin', handleFormEngagement);
+
+  const phoneCountry = form.querySelector('#phone-country');
+  if (phoneCountry) {
+    phoneCountry.removeEventListener('change', handlePhoneRegionChange);
+  }
 
   // Remove field listeners
   const fields = form.querySelectorAll('input, select, textarea');
@@ -444,9 +1027,19 @@ export function cleanupContactForm() {
     field.removeEventListener('input', handleFieldInput);
   });
 
+  if (submissionQueue) {
+    submissionQueue.stop();
+  }
+
+  if (formState.unsubscribeLocale) {
+    formState.unsubscribeLocale();
+    formState.unsubscribeLocale = null;
+  }
+
   // Reset form state
   formState.isSubmitting = false;
   formState.hasSubmitted = false;
+  formState.pendingSubmissionId = null;
   formState.validationErrors.clear();
   formState.touchedFields.clear();
 
@@ -0,0 +1,651 @@
+/**
+ * Emergency Support Module
+ * "Crop emergency?" entry point and triage form
+ *
+ * @module emergency-support
+ * @description Keeps a "Crop emergency?" button on screen that opens a short
+ * triage dialog. The emergency line's click-to-call link comes first; below it
+ * a callback form (issue type, name, phone, location) is sent through the
+ * contact form's submission service tagged as a high-priority request. On a
+ * dropped connection the request waits in the offline queue, ahead of any
+ * other saved message. The confirmation states when to expect a call back,
+ * which depends on the issue type and on whether the office is open.
+ */
+
+import {
+  EMERGENCY_ISSUE_TYPES,
+  getEmergencyCallbackEstimate,
+  getEmergencyIssueType,
+  getPhoneLink,
+  contactInfo,
+} from '../data/contact.js';
+import { createValidator, EMERGENCY_FORM_SCHEMA } from '../utils/validation.js';
+import { SUBMISSION_PRIORITY } from '../utils/form-submission.js';
+import { createSpamGuard, SPAM_GUARD_FORMS } from '../utils/anti-spam.js';
+import { createSubmissionId } from '../utils/submission-queue.js';
+import { createFocusTrap, announce } from '../utils/accessibility.js';
+import { t, onLocaleChange } from '../utils/i18n.js';
+import { lockScroll, unlockScroll } from '../utils/scroll.js';
+import { submitContactRequest, onQueuedContactRequest } from './contact-form.js';
+
+// ============================================
+// Constants and Configuration
+// ============================================
+
+/**
+ * Emergency support configuration
+ * @type {Object}
+ */
+const EMERGENCY_CONFIG = Object.freeze({
+  TRIGGER_ID: 'emergency-trigger',
+  DIALOG_ID: 'emergency-dialog',
+  FORM_ID: 'emergency-form',
+  CALL_LINK_ID: 'emergency-call',
+  CALL_NUMBER_ID: 'emergency-call-number',
+  ISSUE_TYPES_ID: 'emergency-issue-types',
+  STATUS_ID: 'emergency-status',
+  REQUEST_TYPE: 'emergency',
+});
+
+/**
+ * Message catalog keys of the status messages shown below the triage form
+ * @constant {Object}
+ */
+const EMERGENCY_MESSAGE_KEYS = Object.freeze({
+  invalid: 'emergency.status.invalid',
+  mailto: 'emergency.status.mailto',
+  error: 'emergency.status.error',
+  queued: 'emergency.status.queued',
+});
+
+/**
+ * Validator for the triage form
+ */
+const emergencyValidator = createValidator(EMERGENCY_FORM_SCHEMA);
+
+// ============================================
+// State Management
+// ============================================
+
+/**
+ * Emergency support state
+ * @type {Object}
+ */
+const emergencyState = {
+  trigger: null,
+  dialog: null,
+  form: null,
+  isOpen: false,
+  isSubmitting: false,
+  submissionId: null,
+  focusTrap: null,
+  getStatusMessage: null,
+  unsubscribeQueue: null,
+  unsubscribeLocale: null,
+};
+
+/**
+ * Bot defenses for the triage form (created on init so time-to-submit starts with the page)
+ */
+let spamGuard = null;
+
+// ============================================
+// Form Fields
+// ============================================
+
+/**
+ * Collects the triage form values keyed by field name
+ * @param {HTMLFormElement} form - Triage form
+ * @returns {Object} Field values
+ */
+function getFormValues(form) {
+  const values = { issueType: '' };
+
+  Array.from(form.elements).forEach((element) => {
+    if (!element.name) {
+      return;
+    }
+
+    if (element.type === 'radio') {
+      if (element.checked) {
+        values[element.name] = element.value;
+      }
+    } else {
+      values[element.name] = element.type === 'checkbox' ? element.checked : element.value;
+    }
+  });
+
+  return values;
+}
+
+/**
+ * Finds the element that displays a field's validation state
+ * Radio groups report on their role="radiogroup" container
+ * @param {HTMLFormElement} form - Triage form
+ * @param {string} fieldName - Field name
+ * @returns {HTMLElement|null} Field or group element
+ */
+function getFieldTarget(form, fieldName) {
+  const field = form.querySelector(`[name="${fieldName}"]`);
+
+  if (!field) {
+    return null;
+  }
+
+  return field.closest('[role="radiogroup"]') || field;
+}
+
+/**
+ * Shows or clears the error message for a field
+ * @param {HTMLFormElement} form - Triage form
+ * @param {string} fieldName - Field name
+ * @param {string|null} message - Error message, or null to clear
+ */
+function setFieldError(form, fieldName, message) {
+  const target = getFieldTarget(form, fieldName);
+  const errorElement = target ? document.getElementById(`${target.id}-error`) : null;
+
+  if (!target || !errorElement) {
+    return;
+  }
+
+  errorElement.textContent = message || '';
+  target.setAttribute('aria-invalid', message ? 'true' : 'false');
+}
+
+/**
+ * Validates the triage form and updates its error messages
+ * @param {HTMLFormElement} form - Triage form
+ * @returns {{ isValid: boolean, data: Object, errors: Object }} Validation result
+ */
+function validateForm(form) {
+  const result = emergencyValidator.validate(getFormValues(form));
+
+  emergencyValidator.getFieldNames().forEach((fieldName) => {
+    setFieldError(form, fieldName, result.errors[fieldName] || null);
+  });
+
+  return result;
+}
+
+/**
+ * Moves focus to the first field showing an error
+ * @param {HTMLFormElement} form - Triage form
+ */
+function focusFirstInvalidField(form) {
+  const invalid = form.querySelector('[aria-invalid="true"]');
+
+  if (!invalid) {
+    return;
+  }
+
+  const focusTarget = invalid.getAttribute('role') === 'radiogroup'
+    ? invalid.querySelector('input:checked, input')
+    : invalid;
+
+  if (focusTarget) {
+    focusTarget.focus();
+  }
+}
+
+// ============================================
+// Status and Submission
+// ============================================
+
+/**
+ * Displays the triage form status message
+ * @param {string} message - Status message
+ * @param {string} type - Message type ('success', 'queued' or 'error')
+ */
+function showStatus(message, type) {
+  const statusElement = document.getElementById(EMERGENCY_CONFIG.STATUS_ID);
+
+  emergencyState.getStatusMessage = null;
+
+  if (statusElement) {
+    statusElement.textContent = message;
+    statusElement.className = type;
+  }
+}
+
+/**
+ * Displays a status message that follows language changes
+ * @param {Function} getMessage - Returns the message in the active language
+ * @param {string} type - Message type ('success', 'queued' or 'error')
+ */
+function showStatusMessage(getMessage, type) {
+  showStatus(getMessage(), type);
+  emergencyState.getStatusMessage = getMessage;
+}
+
+/**
+ * Gets one of the triage form's status messages, which point at the emergency line
+ * @param {string} name - Message name from EMERGENCY_MESSAGE_KEYS
+ * @returns {string} Message in the active language
+ */
+function getEmergencyMessage(name) {
+  return t(EMERGENCY_MESSAGE_KEYS[name], { number: contactInfo.emergency.display });
+}
+
+/**
+ * Clears the triage form status message
+ */
+function clearStatus() {
+  showStatus('', '');
+}
+
+/**
+ * Sets triage form submission state
+ * @param {HTMLFormElement} form - Triage form
+ * @param {boolean} isSubmitting - Whether the form is submitting
+ */
+function setSubmittingState(form, isSubmitting) {
+  const submitButton = form.querySelector('button[type="submit"]');
+
+  emergencyState.isSubmitting = isSubmitting;
+
+  if (submitButton) {
+    submitButton.setAttribute('aria-busy', isSubmitting ? 'true' : 'false');
+  }
+
+  form.querySelectorAll('input, select, textarea, button').forEach((element) => {
+    element.disabled = isSubmitting;
+  });
+}
+
+/**
+ * Builds the confirmation shown after a callback request is sent
+ * @param {string} issueTypeId - Reported issue type
+ * @param {Date} [sentAt=new Date()] - When the request was sent, for the expected callback time
+ * @returns {string} Confirmation message with the expected callback time
+ */
+function getConfirmationMessage(issueTypeId, sentAt = new Date()) {
+  const issueType = getEmergencyIssueType(issueTypeId);
+  const estimate = getEmergencyCallbackEstimate(issueTypeId, sentAt);
+
+  return t('emergency.status.confirmation', {
+    issue: t(issueType.labelKey).toLocaleLowerCase(),
+    estimate: estimate.message,
+    number: contactInfo.emergency.display,
+  });
+}
+
+/**
+ * Shows the confirmation for a sent callback request
+ * @param {string} issueTypeId - Reported issue type
+ */
+function showConfirmation(issueTypeId) {
+  const sentAt = new Date();
+  showStatusMessage(() => getConfirmationMessage(issueTypeId, sentAt), 'success');
+}
+
+/**
+ * Reports the delivery of a callback request that waited in the offline queue
+ * @param {Object} event - Submission queue event
+ */
+function handleQueuedRequest(event) {
+  const { payload } = event.entry;
+
+  if (payload.requestType !== EMERGENCY_CONFIG.REQUEST_TYPE) {
+    return;
+  }
+
+  if (event.type === 'sent') {
+    showConfirmation(payload.issueType);
+    announce(t('emergency.sent'), { politeness: 'assertive' });
+  } else {
+    showStatusMessage(() => getEmergencyMessage('error'), 'error');
+  }
+}
+
+/**
+ * Validates the triage form and sends the high-priority callback request
+ * @param {Event} event - Submit event
+ */
+async function handleFormSubmit(event) {
+  event.preventDefault();
+
+  const form = event.currentTarget;
+
+  if (emergencyState.isSubmitting) {
+    return;
+  }
+
+  clearStatus();
+
+  const { isValid, data } = validateForm(form);
+
+  if (!isValid) {
+    showStatusMessage(() => getEmergencyMessage('invalid'), 'error');
+    focusFirstInvalidField(form);
+    return;
+  }
+
+  // Keep the same ID across retries of this request so the server can de-duplicate it
+  if (!emergencyState.submissionId) {
+    emergencyState.submissionId = createSubmissionId();
+  }
+
+  setSubmittingState(form, true);
+
+  try {
+    const spamCheck = await spamGuard.evaluate(data, { textField: 'details' });
+
+    if (!spamCheck.ok) {
+      // Point at the emergency line rather than asking the visitor to try again later
+      showStatusMessage(() => getEmergencyMessage('error'), 'error');
+      return;
+    }
+
+    const result = await submitContactRequest({
+      ...data,
+      ...spamCheck.fields,
+      requestType: EMERGENCY_CONFIG.REQUEST_TYPE,
+      priority: SUBMISSION_PRIORITY.HIGH,
+      submissionId: emergencyState.submissionId,
+    }, { validate: emergencyValidator.validate });
+
+    console.log('[EmergencySupport] Callback request submitted:', {
+      timestamp: new Date().toISOString(),
+      issueType: data.issueType,
+      transport: result.transport,
+      ok: result.ok,
+      queued: Boolean(result.queued),
+    });
+
+    if (result.queued) {
+      spamGuard.recordSubmission();
+      form.reset();
+      emergencyState.submissionId = null;
+      showStatusMessage(() => getEmergencyMessage('queued'), 'queued');
+      announce(t('emergency.queued'), { politeness: 'assertive' });
+      return;
+    }
+
+    if (!result.ok) {
+      Object.entries(result.fieldErrors || {}).forEach(([fieldName, message]) => setFieldError(form, fieldName, message));
+      showStatusMessage(() => getEmergencyMessage('error'), 'error');
+      return;
+    }
+
+    spamGuard.recordSubmission();
+    form.reset();
+    emergencyState.submissionId = null;
+
+    if (result.transport === 'mailto') {
+      showStatusMessage(() => getEmergencyMessage('mailto'), 'success');
+    } else {
+      showConfirmation(data.issueType);
+    }
+
+    announce(t('emergency.sent'), { politeness: 'assertive' });
+  } catch (error) {
+    console.error('[EmergencySupport] Callback request error:', error);
+    showStatusMessage(() => getEmergencyMessage('error'), 'error');
+  } finally {
+    setSubmittingState(form, false);
+  }
+}
+
+// ============================================
+// Dialog
+// ============================================
+
+/**
+ * Opens the triage dialog with focus on the call link
+ */
+export function openEmergencySupport() {
+  const { dialog, trigger } = emergencyState;
+
+  if (!dialog || emergencyState.isOpen) {
+    return;
+  }
+
+  dialog.hidden = false;
+  emergencyState.isOpen = true;
+  lockScroll();
+
+  if (spamGuard) {
+    spamGuard.prepare();
+  }
+
+  emergencyState.focusTrap = createFocusTrap(dialog, {
+    initialFocus: document.getElementById(EMERGENCY_CONFIG.CALL_LINK_ID),
+    returnFocus: trigger || document.activeElement,
+  });
+
+  if (emergencyState.focusTrap) {
+    emergencyState.focusTrap.activate();
+  }
+
+  if (trigger) {
+    trigger.setAttribute('aria-expanded', 'true');
+  }
+
+  console.log('[EmergencySupport] Triage form opened');
+}
+
+/**
+ * Closes the triage dialog and restores page state
+ */
+export function closeEmergencySupport() {
+  const { dialog, trigger } = emergencyState;
+
+  if (!dialog || !emergencyState.isOpen) {
+    return;
+  }
+
+  dialog.hidden = true;
+  emergencyState.isOpen = false;
+
+  if (emergencyState.focusTrap) {
+    emergencyState.focusTrap.release();
+    emergencyState.focusTrap = null;
+  }
+
+  unlockScroll();
+
+  if (trigger) {
+    trigger.setAttribute('aria-expanded', 'false');
+  }
+}
+
+// ============================================
+// Event Handlers
+// ============================================
+
+/**
+ * Handle clicks inside the dialog
+ * @param {MouseEvent} event - Click event
+ */
+function handleDialogClick(event) {
+  if (event.target.closest('[data-dialog-close]')) {
+    closeEmergencySupport();
+  }
+}
+
+/**
+ * Handle keyboard interaction inside the dialog
+ * @param {KeyboardEvent} event - Keyboard event
+ */
+function handleDialogKeydown(event) {
+  if (event.key === 'Escape') {
+    event.preventDefault();
+    closeEmergencySupport();
+  }
+}
+
+/**
+ * Re-checks fields that are showing an error as the visitor corrects them
+ * @param {Event} event - Input or change event
+ */
+function handleFormChange(event) {
+  const form = event.currentTarget;
+  const field = event.target;
+
+  if (!field.name) {
+    return;
+  }
+
+  const target = getFieldTarget(form, field.name);
+
+  if (target && target.getAttribute('aria-invalid') === 'true') {
+    const { error } = emergencyValidator.validateField(field.name, getFormValues(form));
+    setFieldError(form, field.name, error);
+  }
+}
+
+// ============================================
+// Initialization
+// ============================================
+
+/**
+ * Points the call link at the emergency line
+ */
+function renderCallLink() {
+  const link = document.getElementById(EMERGENCY_CONFIG.CALL_LINK_ID);
+  const number = document.getElementById(EMERGENCY_CONFIG.CALL_NUMBER_ID);
+
+  if (link) {
+    link.href = getPhoneLink('emergency');
+  }
+
+  if (number) {
+    number.textContent = contactInfo.emergency.display;
+  }
+}
+
+/**
+ * Renders a radio button for each emergency issue type
+ * @param {HTMLFormElement} form - Triage form
+ */
+function renderIssueTypes(form) {
+  const container = form.querySelector(`#${EMERGENCY_CONFIG.ISSUE_TYPES_ID}`);
+
+  if (!container) {
+    return;
+  }
+
+  container.replaceChildren();
+
+  EMERGENCY_ISSUE_TYPES.forEach((issueType) => {
+    const label = document.createElement('label');
+    const radio = document.createElement('input');
+    const title = document.createElement('span');
+
+    label.className = 'emergency-issue-type';
+    radio.type = 'radio';
+    radio.name = 'issueType';
+    radio.value = issueType.id;
+    radio.required = true;
+    title.textContent = t(issueType.labelKey);
+
+    label.append(radio, title);
+    container.appendChild(label);
+  });
+}
+
+/**
+ * Updates the issue type labels and the status message after a language change
+ * Checked issue types stay checked.
+ */
+function handleLocaleChange() {
+  const { form, getStatusMessage } = emergencyState;
+  const statusElement = document.getElementById(EMERGENCY_CONFIG.STATUS_ID);
+
+  form.querySelectorAll('input[name="issueType"]').forEach((radio) => {
+    radio.nextElementSibling.textContent = t(getEmergencyIssueType(radio.value).labelKey);
+  });
+
+  if (statusElement && getStatusMessage) {
+    statusElement.textContent = getStatusMessage();
+  }
+}
+
+/**
+ * Initialize the emergency entry point and triage form
+ */
+export function initEmergencySupport() {
+  const trigger = document.getElementById(EMERGENCY_CONFIG.TRIGGER_ID);
+  const dialog = document.getElementById(EMERGENCY_CONFIG.DIALOG_ID);
+  const form = document.getElementById(EMERGENCY_CONFIG.FORM_ID);
+
+  if (!trigger || !dialog || !form) {
+    console.warn('[EmergencySupport] Emergency support markup not found');
+    return;
+  }
+
+  emergencyState.trigger = trigger;
+  emergencyState.dialog = dialog;
+  emergencyState.form = form;
+
+  renderCallLink();
+  renderIssueTypes(form);
+
+  spamGuard = createSpamGuard({ form: SPAM_GUARD_FORMS.EMERGENCY });
+
+  if (emergencyState.unsubscribeQueue) {
+    emergencyState.unsubscribeQueue();
+  }
+  emergencyState.unsubscribeQueue = onQueuedContactRequest(handleQueuedRequest);
+
+  if (emergencyState.unsubscribeLocale) {
+    emergencyState.unsubscribeLocale();
+  }
+  emergencyState.unsubscribeLocale = onLocaleChange(handleLocaleChange);
+
+  trigger.addEventListener('click', openEmergencySupport);
+  dialog.addEventListener('click', handleDialogClick);
+  dialog.addEventListener('keydown', handleDialogKeydown);
+  form.addEventListener('submit', handleFormSubmit);
+  form.addEventListener('input', handleFormChange);
+  form.addEventListener('change', handleFormChange);
+
+  trigger.hidden = false;
+
+  console.log('[EmergencySupport] Emergency support initialized:', {
+    issueTypes: EMERGENCY_ISSUE_TYPES.length,
+  });
+}
+
+/**
+ * Cleanup function for removing event listeners
+ */
+export function cleanupEmergencySupport() {
+  const { trigger, dialog, form } = emergencyState;
+
+  closeEmergencySupport();
+
+  if (trigger) {
+    trigger.removeEventListener('click', openEmergencySupport);
+  }
+
+  if (dialog) {
+    dialog.removeEventListener('click', handleDialogClick);
+    dialog.removeEventListener('keydown', handleDialogKeydown);
+  }
+
+  if (form) {
+    form.removeEventListener('submit', handleFormSubmit);
+    form.removeEventListener('input', handleFormChange);
+    form.removeEventListener('change', handleFormChange);
+  }
+
+  if (emergencyState.unsubscribeQueue) {
+    emergencyState.unsubscribeQueue();
+    emergencyState.unsubscribeQueue = null;
+  }
+
+  if (emergencyState.unsubscribeLocale) {
+    emergencyState.unsubscribeLocale();
+    emergencyState.unsubscribeLocale = null;
+  }
+
+  emergencyState.trigger = null;
+  emergencyState.dialog = null;
+  emergencyState.form = null;
+  emergencyState.isSubmitting = false;
+  emergencyState.submissionId = null;
+  emergencyState.getStatusMessage = null;
+  spamGuard = null;
+}
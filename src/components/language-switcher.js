@@ -0,0 +1,145 @@
+/**
+ * Language Switcher Module
+ * English/Spanish toggle in the main navigation
+ *
+ * @module language-switcher
+ * @description Enhances the `?lang=` links in the navigation: a click switches
+ * the page language in place, remembers the choice for future visits and keeps
+ * the address bar shareable. Without JavaScript the links still load the page
+ * in the chosen language.
+ */
+
+import { getLocale, setLocale, onLocaleChange, I18N_CONFIG } from '../utils/i18n.js';
+
+// ============================================
+// Constants and Configuration
+// ============================================
+
+/**
+ * Switcher configuration
+ * @type {Object}
+ */
+const SWITCHER_CONFIG = Object.freeze({
+  ROOT_SELECTOR: '.language-switcher',
+  OPTION_SELECTOR: '[data-locale]',
+});
+
+// ============================================
+// State Management
+// ============================================
+
+/**
+ * Switcher state
+ * @type {Object}
+ */
+const switcherState = {
+  root: null,
+  unsubscribeLocale: null,
+};
+
+// ============================================
+// Rendering
+// ============================================
+
+/**
+ * Marks the option for the active locale as current
+ * @param {string} locale - Active locale
+ */
+function updateCurrentOption(locale) {
+  if (!switcherState.root) {
+    return;
+  }
+
+  switcherState.root.querySelectorAll(SWITCHER_CONFIG.OPTION_SELECTOR).forEach((option) => {
+    if (option.dataset.locale === locale) {
+      option.setAttribute('aria-current', 'true');
+    } else {
+      option.removeAttribute('aria-current');
+    }
+  });
+}
+
+/**
+ * Puts the chosen locale in the address bar without adding a history entry
+ * @param {string} locale - Chosen locale
+ */
+function updateAddressBar(locale) {
+  if (!window.history || !window.history.replaceState) {
+    return;
+  }
+
+  const url = new URL(window.location.href);
+
+  if (locale === I18N_CONFIG.DEFAULT_LOCALE) {
+    url.searchParams.delete(I18N_CONFIG.QUERY_PARAM);
+  } else {
+    url.searchParams.set(I18N_CONFIG.QUERY_PARAM, locale);
+  }
+
+  window.history.replaceState(window.history.state, '', url);
+}
+
+// ============================================
+// Event Handlers
+// ============================================
+
+/**
+ * Switches language when an option is clicked
+ * @param {MouseEvent} event - Click event
+ */
+function handleOptionClick(event) {
+  const option = event.target.closest(SWITCHER_CONFIG.OPTION_SELECTOR);
+
+  if (!option) {
+    return;
+  }
+
+  event.preventDefault();
+
+  if (setLocale(option.dataset.locale)) {
+    updateAddressBar(getLocale());
+  }
+}
+
+// ============================================
+// Initialization
+// ============================================
+
+/**
+ * Initialize the language switcher
+ */
+export function initLanguageSwitcher() {
+  const root = document.querySelector(SWITCHER_CONFIG.ROOT_SELECTOR);
+
+  if (!root) {
+    console.warn('[LanguageSwitcher] Language switcher not found');
+    return;
+  }
+
+  if (switcherState.root) {
+    cleanupLanguageSwitcher();
+  }
+
+  switcherState.root = root;
+  root.addEventListener('click', handleOptionClick);
+  switcherState.unsubscribeLocale = onLocaleChange(updateCurrentOption);
+  updateCurrentOption(getLocale());
+
+  console.log('[LanguageSwitcher] Language switcher initialized:', getLocale());
+}
+
+/**
+ * Cleanup function for removing listeners
+ */
+export function cleanupLanguageSwitcher() {
+  if (switcherState.root) {
+    switcherState.root.removeEventListener('click', handleOptionClick);
+  }
+
+  if (switcherState.unsubscribeLocale) {
+    switcherState.unsubscribeLocale();
+  }
+
+  switcherState.root = null;
+  switcherState.unsubscribeLocale = null;
+}
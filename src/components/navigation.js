@@ -299,8 +299,12 @@ function toggleMobileMenu() {
  * Smooth scroll to target section
  * @param {string} targetId - ID of target section
  * @param {Event} event - Original event (optional)
+ * @param {Object} [options={}] - Scroll options
+ * @param {boolean} [options.replaceHistory=false] - Replace the current history entry instead of adding one
  */
-function smoothScrollToSection(targetId, event = null) {
+function smoothScrollToSection(targetId, event = null, options = {}) {
+  const { replaceHistory = false } = options;
+
   if (event) {
     event.preventDefault();
   }
@@ -331,7 +335,11 @@ function smoothScrollToSection(targetId, event = null) {
 
     // Update URL hash without jumping
     if (window.history && window.history.pushState) {
-      window.history.pushState(null, '', `#${targetId}`);
+      if (replaceHistory) {
+        window.history.replaceState(null, '', `#${targetId}`);
+      } else {
+        window.history.pushState(null, '', `#${targetId}`);
+      }
     }
 
     // Reset scrolling flag after animation
@@ -686,16 +694,18 @@ export function cleanupNavigation() {
 /**
  * Navigate to specific section programmatically
  * @param {string} sectionId - ID of section to navigate to
+ * @param {Object} [options={}] - Navigation options
+ * @param {boolean} [options.replaceHistory=false] - Replace the current history entry instead of adding one
  * @returns {boolean} True if navigation successful
  */
-export function navigateToSection(sectionId) {
+export function navigateToSection(sectionId, options = {}) {
   try {
     if (!sectionId || typeof sectionId !== 'string') {
       console.error('[Navigation] Invalid section ID provided');
       return false;
     }
 
-    smoothScrollToSection(sectionId);
+    smoothScrollToSection(sectionId, null, options);
     return true;
   } catch (error) {
     console.error('[Navigation] Error navigating to section:', error);
@@ -720,18 +730,11 @@ export function isMenuOpen() {
 }
 
 // ============================================
-// Auto-initialization
+// Page Lifecycle
 // ============================================
 
-// Initialize when DOM is ready
-if (document.readyState === 'loading') {
-  document.addEventListener('DOMContentLoaded', initNavigation);
-} else {
-  // DOM already loaded
-  initNavigation();
-}
-
-// Cleanup on page unload
+// Cleanup on page unload; main.js initializes navigation, so importing this
+// module leaves the page untouched (build-time prerendering relies on that)
 window.addEventListener('beforeunload', cleanupNavigation);
 
 // Export for module usage
@@ -0,0 +1,855 @@
+/**
+ * Quote Wizard Module
+ * Multi-step quote request form for services that need farm details to price
+ *
+ * @module quote-wizard
+ * @description Walks visitors through choosing services, farm details, a preferred
+ * contact time and a final review. Each step is checked against its own schema from
+ * utils/validation, progress is announced to screen readers, and the draft is kept in
+ * sessionStorage so reloading the page does not lose it. Requests go out through the
+ * contact form's submission path, so a request made on a dropped connection waits in
+ * the shared offline queue.
+ */
+
+import { getAllServicesSorted, getServiceById } from '../data/services.js';
+import { announce } from '../utils/accessibility.js';
+import { t, onLocaleChange } from '../utils/i18n.js';
+import { createValidator, QUOTE_WIZARD_SCHEMAS, formatPhoneNumber } from '../utils/validation.js';
+import { createSpamGuard, SPAM_GUARD_FORMS } from '../utils/anti-spam.js';
+import { createSubmissionId } from '../utils/submission-queue.js';
+import {
+  submitContactRequest,
+  onQueuedContactRequest,
+  populatePhoneRegionSelect,
+  getPhonePlaceholder,
+} from './contact-form.js';
+
+// ============================================
+// Constants and Configuration
+// ============================================
+
+/**
+ * Wizard steps in display order; `id` matches the fieldset's data-step attribute
+ * @constant {Object[]}
+ */
+const WIZARD_STEPS = Object.freeze([
+  { id: 'services', titleKey: 'quote.steps.services' },
+  { id: 'farm', titleKey: 'quote.steps.farm' },
+  { id: 'contact', titleKey: 'quote.steps.contact' },
+  { id: 'review', titleKey: 'quote.steps.review' },
+]);
+
+/**
+ * sessionStorage key for the in-progress draft
+ * @constant {string}
+ */
+const DRAFT_STORAGE_KEY = 'agroservices:quote-draft';
+
+/**
+ * Request type sent with quote requests, telling them apart in the shared queue
+ * @constant {string}
+ */
+const QUOTE_REQUEST_TYPE = 'quote';
+
+/**
+ * Message catalog keys of the wizard status messages
+ * @constant {Object}
+ */
+const WIZARD_MESSAGE_KEYS = Object.freeze({
+  invalid: 'quote.status.invalid',
+  success: 'quote.status.success',
+  mailto: 'quote.status.mailto',
+  error: 'quote.status.error',
+  queued: 'quote.status.queued',
+  sent: 'quote.status.sent',
+  rejected: 'quote.status.rejected',
+});
+
+/**
+ * One validator per step, built from the quote wizard schemas
+ */
+const stepValidators = Object.fromEntries(
+  WIZARD_STEPS.map((step) => [step.id, createValidator(QUOTE_WIZARD_SCHEMAS[step.id])])
+);
+
+/**
+ * Validator for a whole quote request, used to re-check it before it is queued
+ */
+const quoteRequestValidator = createValidator({
+  rejectUnsafeInput: true,
+  fields: Object.assign({}, ...WIZARD_STEPS.map((step) => QUOTE_WIZARD_SCHEMAS[step.id].fields)),
+});
+
+/**
+ * Wizard state
+ */
+const wizardState = {
+  form: null,
+  currentStep: 0,
+  isSubmitting: false,
+  submissionId: null,
+  endpoint: undefined,
+  statusKey: null,
+  unsubscribeLocale: null,
+  unsubscribeQueue: null,
+};
+
+/**
+ * Bot defenses for the wizard (created on init so time-to-submit starts with the form)
+ */
+let spamGuard = null;
+
+// ============================================
+// Form Values and Draft Storage
+// ============================================
+
+/**
+ * Collects current wizard values keyed by field name
+ * The services checkboxes report an array of checked IDs; other checkboxes report their checked state
+ * @param {HTMLFormElement} form - Wizard form
+ * @returns {Object} Field values
+ */
+function getWizardValues(form) {
+  const values = { services: [] };
+
+  Array.from(form.elements).forEach((element) => {
+    if (!element.name) {
+      return;
+    }
+
+    if (element.name === 'services') {
+      if (element.checked) {
+        values.services.push(element.value);
+      }
+    } else {
+      values[element.name] = element.type === 'checkbox' ? element.checked : element.value;
+    }
+  });
+
+  return values;
+}
+
+/**
+ * Applies saved values to the wizard fields
+ * @param {HTMLFormElement} form - Wizard form
+ * @param {Object} values - Saved field values
+ */
+function setWizardValues(form, values) {
+  Array.from(form.elements).forEach((element) => {
+    if (!element.name || !(element.name in values)) {
+      return;
+    }
+
+    if (element.name === 'services') {
+      element.checked = Array.isArray(values.services) && values.services.includes(element.value);
+    } else if (element.type === 'checkbox') {
+      element.checked = values[element.name] === true;
+    } else if (typeof values[element.name] === 'string') {
+      element.value = values[element.name];
+    }
+  });
+}
+
+/**
+ * Reads the saved draft for this browser tab
+ * @returns {{ step: number, values: Object }|null} Draft, or null if none is saved
+ */
+function readDraft() {
+  try {
+    const draft = JSON.parse(sessionStorage.getItem(DRAFT_STORAGE_KEY));
+
+    if (!draft || typeof draft !== 'object' || !draft.values || typeof draft.values !== 'object') {
+      return null;
+    }
+
+    return {
+      step: Number.isInteger(draft.step) ? draft.step : 0,
+      values: draft.values,
+    };
+  } catch (error) {
+    console.warn('[QuoteWizard] Could not read saved draft:', error);
+    return null;
+  }
+}
+
+/**
+ * Saves the current step and values so a reload resumes where the visitor left off
+ * @param {HTMLFormElement} form - Wizard form
+ */
+function saveDraft(form) {
+  try {
+    sessionStorage.setItem(DRAFT_STORAGE_KEY, JSON.stringify({
+      step: wizardState.currentStep,
+      values: getWizardValues(form),
+    }));
+  } catch (error) {
+    console.warn('[QuoteWizard] Could not save draft:', error);
+  }
+}
+
+/**
+ * Removes the saved draft
+ */
+function clearDraft() {
+  try {
+    sessionStorage.removeItem(DRAFT_STORAGE_KEY);
+  } catch (error) {
+    console.warn('[QuoteWizard] Could not clear draft:', error);
+  }
+}
+
+// ============================================
+// Field Errors
+// ============================================
+
+/**
+ * Finds the element that displays a field's validation state
+ * Checkbox groups report on their role="group" container
+ * @param {HTMLFormElement} form - Wizard form
+ * @param {string} fieldName - Field name
+ * @returns {HTMLElement|null} Field or group element
+ */
+function getFieldTarget(form, fieldName) {
+  const field = form.querySelector(`[name="${fieldName}"]`);
+
+  if (!field) {
+    return null;
+  }
+
+  return field.closest('[role="group"]') || field;
+}
+
+/**
+ * Shows or clears the error message for a field
+ * @param {HTMLFormElement} form - Wizard form
+ * @param {string} fieldName - Field name
+ * @param {string|null} message - Error message, or null to clear
+ */
+function setFieldError(form, fieldName, message) {
+  const target = getFieldTarget(form, fieldName);
+  const errorElement = target ? document.getElementById(`${target.id}-error`) : null;
+
+  if (!target || !errorElement) {
+    return;
+  }
+
+  errorElement.textContent = message || '';
+  target.setAttribute('aria-invalid', message ? 'true' : 'false');
+}
+
+/**
+ * Finds the step that contains a field
+ * @param {string} fieldName - Field name
+ * @returns {number} Step index, or -1 if no step has the field
+ */
+function findStepForField(fieldName) {
+  return WIZARD_STEPS.findIndex((step) => stepValidators[step.id].getFieldNames().includes(fieldName));
+}
+
+// ============================================
+// Step Validation and Navigation
+// ============================================
+
+/**
+ * Validates one step and updates its error messages
+ * @param {HTMLFormElement} form - Wizard form
+ * @param {number} stepIndex - Step to validate
+ * @returns {{ isValid: boolean, data: Object }} Result with the step's normalized values
+ */
+function validateStep(form, stepIndex) {
+  const validator = stepValidators[WIZARD_STEPS[stepIndex].id];
+  const { data, errors } = validator.validate(getWizardValues(form));
+  const fieldNames = validator.getFieldNames();
+  const stepData = {};
+
+  fieldNames.forEach((fieldName) => {
+    setFieldError(form, fieldName, errors[fieldName] || null);
+    stepData[fieldName] = data[fieldName];
+  });
+
+  // Other steps' values pass through the validator too; only this step's fields count
+  return { isValid: fieldNames.every((fieldName) => !errors[fieldName]), data: stepData };
+}
+
+/**
+ * Moves focus to the first invalid field, or the first field, of the current step
+ * @param {HTMLFormElement} form - Wizard form
+ */
+function focusCurrentStep(form) {
+  const fieldset = form.querySelector(`.wizard-step[data-step="${WIZARD_STEPS[wizardState.currentStep].id}"]`);
+
+  if (!fieldset) {
+    return;
+  }
+
+  const invalidTarget = fieldset.querySelector('[aria-invalid="true"]');
+  const focusTarget = invalidTarget && invalidTarget.matches('[role="group"]')
+    ? invalidTarget.querySelector('input')
+    : invalidTarget || fieldset.querySelector('input, select, textarea');
+
+  if (focusTarget) {
+    focusTarget.focus();
+  }
+}
+
+/**
+ * Builds the review summary from the values entered so far
+ * @param {HTMLFormElement} form - Wizard form
+ */
+function renderSummary(form) {
+  const summary = form.querySelector('#quote-summary');
+
+  if (!summary) {
+    return;
+  }
+
+  const values = getWizardValues(form);
+  const contactTimeSelect = form.elements.contactTime;
+  const contactTimeOption = contactTimeSelect ? contactTimeSelect.selectedOptions[0] : null;
+
+  const rows = [
+    ['quote.summary.services', values.services
+      .map((serviceId) => {
+        const service = getServiceById(serviceId);
+        return service ? service.title : serviceId;
+      })
+      .join(', ')],
+    ['quote.summary.farmSize', values.acreage ? t('quote.summary.acres', { acres: values.acreage.trim() }) : ''],
+    ['quote.summary.crops', values.crops],
+    ['quote.summary.zip', values.zip],
+    ['quote.summary.name', values.name],
+    ['quote.summary.email', values.email],
+    ['quote.summary.phone', values.phone ? formatPhoneNumber(values.phone, values.phoneCountry) : t('quote.summary.notProvided')],
+    ['quote.summary.contactTime', contactTimeOption && contactTimeOption.value ? contactTimeOption.textContent : ''],
+  ];
+
+  summary.replaceChildren();
+
+  rows.forEach(([termKey, description]) => {
+    const dt = document.createElement('dt');
+    const dd = document.createElement('dd');
+    dt.textContent = t(termKey);
+    dd.textContent = description;
+    summary.append(dt, dd);
+  });
+}
+
+/**
+ * Shows a step and updates the progress indicator and navigation buttons
+ * @param {HTMLFormElement} form - Wizard form
+ * @param {number} stepIndex - Step to show
+ * @param {Object} [options] - Navigation options
+ * @param {boolean} [options.focus=true] - Move focus into the step
+ * @param {boolean} [options.announceStep=true] - Announce the new step to screen readers
+ */
+function goToStep(form, stepIndex, options = {}) {
+  const { focus = true, announceStep = true } = options;
+  const index = Math.min(Math.max(stepIndex, 0), WIZARD_STEPS.length - 1);
+  const step = WIZARD_STEPS[index];
+  const isLastStep = index === WIZARD_STEPS.length - 1;
+
+  wizardState.currentStep = index;
+
+  form.querySelectorAll('.wizard-step').forEach((fieldset) => {
+    fieldset.hidden = fieldset.dataset.step !== step.id;
+  });
+
+  document.querySelectorAll('.wizard-progress [data-step]').forEach((item) => {
+    const itemIndex = WIZARD_STEPS.findIndex(({ id }) => id === item.dataset.step);
+    item.classList.toggle('is-complete', itemIndex < index);
+
+    if (itemIndex === index) {
+      item.setAttribute('aria-current', 'step');
+    } else {
+      item.removeAttribute('aria-current');
+    }
+  });
+
+  const backButton = form.querySelector('[data-wizard-action="back"]');
+  const nextButton = form.querySelector('[data-wizard-action="next"]');
+  const submitButton = form.querySelector('button[type="submit"]');
+
+  if (backButton) {
+    backButton.hidden = index === 0;
+  }
+  if (nextButton) {
+    nextButton.hidden = isLastStep;
+  }
+  if (submitButton) {
+    submitButton.hidden = !isLastStep;
+  }
+
+  if (isLastStep) {
+    renderSummary(form);
+  }
+
+  saveDraft(form);
+
+  if (announceStep) {
+    announce(t('quote.stepAnnouncement', { step: index + 1, total: WIZARD_STEPS.length, title: t(step.titleKey) }), {
+      politeness: 'polite',
+    });
+  }
+
+  if (focus) {
+    focusCurrentStep(form);
+  }
+}
+
+/**
+ * Resumes a saved draft, never skipping past a step that is still incomplete
+ * @param {HTMLFormElement} form - Wizard form
+ */
+function restoreDraft(form) {
+  const draft = readDraft();
+
+  if (!draft) {
+    goToStep(form, 0, { focus: false, announceStep: false });
+    return;
+  }
+
+  setWizardValues(form, draft.values);
+
+  const values = getWizardValues(form);
+  let step = 0;
+
+  const isStepComplete = (index) => {
+    const validator = stepValidators[WIZARD_STEPS[index].id];
+    const { errors } = validator.validate(values);
+    return validator.getFieldNames().every((fieldName) => !errors[fieldName]);
+  };
+
+  while (step < draft.step && step < WIZARD_STEPS.length - 1 && isStepComplete(step)) {
+    step++;
+  }
+
+  goToStep(form, step, { focus: false, announceStep: false });
+}
+
+// ============================================
+// Status and Submission
+// ============================================
+
+/**
+ * Displays the wizard status message
+ * @param {string} message - Status message
+ * @param {string} type - Message type ('success', 'queued' or 'error')
+ */
+function showWizardStatus(message, type) {
+  const statusElement = document.getElementById('quote-status');
+
+  wizardState.statusKey = null;
+
+  if (statusElement) {
+    statusElement.textContent = message;
+    statusElement.className = type;
+  }
+}
+
+/**
+ * Shows one of the wizard's own status messages, kept in the active language
+ * @param {string} name - Message name from WIZARD_MESSAGE_KEYS
+ * @param {string} type - Message type ('success', 'queued' or 'error')
+ */
+function showStatusMessage(name, type) {
+  showWizardStatus(t(WIZARD_MESSAGE_KEYS[name]), type);
+  wizardState.statusKey = WIZARD_MESSAGE_KEYS[name];
+}
+
+/**
+ * Clears the wizard status message
+ */
+function clearWizardStatus() {
+  showWizardStatus('', '');
+}
+
+/**
+ * Sets wizard submission state
+ * @param {HTMLFormElement} form - Wizard form
+ * @param {boolean} isSubmitting - Whether the wizard is submitting
+ */
+function setSubmittingState(form, isSubmitting) {
+  const submitButton = form.querySelector('button[type="submit"]');
+
+  wizardState.isSubmitting = isSubmitting;
+
+  if (submitButton) {
+    submitButton.setAttribute('aria-busy', isSubmitting ? 'true' : 'false');
+  }
+
+  form.querySelectorAll('input, select, textarea, button').forEach((element) => {
+    element.disabled = isSubmitting;
+  });
+}
+
+/**
+ * Clears the wizard after a successful request and returns to the first step
+ * @param {HTMLFormElement} form - Wizard form
+ */
+function resetWizard(form) {
+  form.reset();
+  wizardState.submissionId = null;
+  updatePhonePlaceholder(form);
+
+  WIZARD_STEPS.forEach((step) => {
+    stepValidators[step.id].getFieldNames().forEach((fieldName) => setFieldError(form, fieldName, null));
+  });
+
+  goToStep(form, 0, { focus: false, announceStep: false });
+
+  // goToStep saves the emptied form; nothing is left to resume
+  clearDraft();
+}
+
+/**
+ * Shows server field errors on the step that contains the first of them
+ * @param {HTMLFormElement} form - Wizard form
+ * @param {Object} result - Failed submission result
+ */
+function handleSubmissionFailure(form, result) {
+  const fieldErrors = Object.entries(result.fieldErrors || {})
+    .filter(([fieldName]) => findStepForField(fieldName) !== -1);
+
+  if (result.message) {
+    showWizardStatus(result.message, 'error');
+  } else {
+    showStatusMessage('error', 'error');
+  }
+
+  if (fieldErrors.length === 0) {
+    return;
+  }
+
+  fieldErrors.forEach(([fieldName, message]) => setFieldError(form, fieldName, message));
+
+  // Fields are re-enabled in handleWizardSubmit's finally block before focus can land
+  setTimeout(() => goToStep(form, findStepForField(fieldErrors[0][0])), 0);
+}
+
+/**
+ * Validates every step and sends the quote request
+ * @param {Event} event - Submit event
+ */
+async function handleWizardSubmit(event) {
+  event.preventDefault();
+
+  const form = event.currentTarget;
+
+  if (wizardState.isSubmitting) {
+    return;
+  }
+
+  clearWizardStatus();
+
+  const data = {};
+
+  for (let index = 0; index < WIZARD_STEPS.length; index++) {
+    const result = validateStep(form, index);
+
+    if (!result.isValid) {
+      showStatusMessage('invalid', 'error');
+      goToStep(form, index);
+      return;
+    }
+
+    Object.assign(data, result.data);
+  }
+
+  // Keep the same ID across retries of this request so the server can de-duplicate it
+  if (!wizardState.submissionId) {
+    wizardState.submissionId = createSubmissionId();
+  }
+
+  setSubmittingState(form, true);
+
+  try {
+    const spamCheck = await spamGuard.evaluate(data, { textField: 'notes' });
+
+    if (!spamCheck.ok) {
+      showWizardStatus(spamCheck.message, 'error');
+      return;
+    }
+
+    const result = await submitContactRequest({
+      ...data,
+      ...spamCheck.fields,
+      requestType: QUOTE_REQUEST_TYPE,
+      submissionId: wizardState.submissionId,
+    }, { validate: quoteRequestValidator.validate, endpoint: wizardState.endpoint });
+
+    console.log('[QuoteWizard] Quote request submitted:', {
+      timestamp: new Date().toISOString(),
+      services: data.services,
+      transport: result.transport,
+      ok: result.ok,
+      queued: Boolean(result.queued),
+    });
+
+    if (result.queued) {
+      spamGuard.recordSubmission();
+      resetWizard(form);
+      showStatusMessage('queued', 'queued');
+      announce(t('quote.queued'), { politeness: 'polite' });
+      return;
+    }
+
+    if (!result.ok) {
+      handleSubmissionFailure(form, result);
+      return;
+    }
+
+    spamGuard.recordSubmission();
+    resetWizard(form);
+    showStatusMessage(result.transport === 'mailto' ? 'mailto' : 'success', 'success');
+    announce(t('quote.sent'), { politeness: 'polite' });
+  } catch (error) {
+    console.error('[QuoteWizard] Quote request error:', error);
+    showStatusMessage('error', 'error');
+  } finally {
+    setSubmittingState(form, false);
+  }
+}
+
+/**
+ * Reports the delivery of a quote request that waited in the offline queue
+ * @param {Object} event - Submission queue event
+ */
+function handleQueuedRequest(event) {
+  if (event.entry.payload.requestType !== QUOTE_REQUEST_TYPE) {
+    return;
+  }
+
+  if (event.type === 'sent') {
+    showStatusMessage('sent', 'success');
+    announce(t('quote.sent'), { politeness: 'polite' });
+  } else {
+    showStatusMessage('rejected', 'error');
+  }
+}
+
+// ============================================
+// Event Handlers
+// ============================================
+
+/**
+ * Handles the Back and Next buttons
+ * @param {Event} event - Click event
+ */
+function handleWizardClick(event) {
+  const button = event.target.closest('[data-wizard-action]');
+  const form = event.currentTarget;
+
+  if (!button || wizardState.isSubmitting) {
+    return;
+  }
+
+  if (button.dataset.wizardAction === 'back') {
+    clearWizardStatus();
+    goToStep(form, wizardState.currentStep - 1);
+    return;
+  }
+
+  if (validateStep(form, wizardState.currentStep).isValid) {
+    clearWizardStatus();
+    goToStep(form, wizardState.currentStep + 1);
+  } else {
+    showStatusMessage('invalid', 'error');
+    focusCurrentStep(form);
+  }
+}
+
+/**
+ * Saves the draft on every change and re-checks fields that are showing an error
+ * @param {Event} event - Input or change event
+ */
+function handleWizardChange(event) {
+  const form = event.currentTarget;
+  const field = event.target;
+
+  saveDraft(form);
+
+  if (!field.name) {
+    return;
+  }
+
+  if (field.name === 'phoneCountry') {
+    updatePhonePlaceholder(form);
+  }
+
+  // A new region can fix or break the number already entered
+  const fieldName = field.name === 'phoneCountry' ? 'phone' : field.name;
+  const target = getFieldTarget(form, fieldName);
+
+  if (target && target.getAttribute('aria-invalid') === 'true') {
+    const stepIndex = findStepForField(fieldName);
+    const { error } = stepValidators[WIZARD_STEPS[stepIndex].id].validateField(fieldName, getWizardValues(form));
+    setFieldError(form, fieldName, error);
+  }
+}
+
+/**
+ * Begins solving the anti-spam proof-of-work in the background
+ */
+function handleWizardEngagement() {
+  if (spamGuard) {
+    spamGuard.prepare();
+  }
+}
+
+// ============================================
+// Initialization
+// ============================================
+
+/**
+ * Shows an example number for the selected region as the phone placeholder
+ * @param {HTMLFormElement} form - Wizard form
+ */
+function updatePhonePlaceholder(form) {
+  const { phone, phoneCountry } = form.elements;
+
+  if (phone && phoneCountry) {
+    phone.placeholder = getPhonePlaceholder(phoneCountry.value);
+  }
+}
+
+/**
+ * Renders a checkbox for each service in the catalog, in the active language
+ * Services already checked stay checked when the list is rebuilt.
+ * @param {HTMLFormElement} form - Wizard form
+ */
+function renderServiceChoices(form) {
+  const container = form.querySelector('#quote-services');
+
+  if (!container) {
+    return;
+  }
+
+  const { services: checked } = getWizardValues(form);
+
+  container.replaceChildren();
+
+  getAllServicesSorted().forEach((service) => {
+    const label = document.createElement('label');
+    const checkbox = document.createElement('input');
+    const title = document.createElement('span');
+
+    label.className = 'service-choice';
+    checkbox.type = 'checkbox';
+    checkbox.name = 'services';
+    checkbox.value = service.id;
+    checkbox.checked = checked.includes(service.id);
+    checkbox.disabled = wizardState.isSubmitting;
+    title.textContent = service.title;
+
+    label.append(checkbox, title);
+    container.appendChild(label);
+  });
+}
+
+/**
+ * Re-renders the translated service names, summary and status when the language changes
+ */
+function handleLocaleChange() {
+  const { form } = wizardState;
+
+  if (!form) {
+    return;
+  }
+
+  const statusElement = document.getElementById('quote-status');
+
+  renderServiceChoices(form);
+
+  if (wizardState.currentStep === WIZARD_STEPS.length - 1) {
+    renderSummary(form);
+  }
+
+  if (statusElement && wizardState.statusKey) {
+    statusElement.textContent = t(wizardState.statusKey);
+  }
+}
+
+/**
+ * Initializes the quote request wizard
+ */
+export function initQuoteWizard() {
+  const form = document.getElementById('quote-wizard');
+
+  if (!form) {
+    console.warn('[QuoteWizard] Quote wizard not found');
+    return;
+  }
+
+  wizardState.form = form;
+
+  renderServiceChoices(form);
+
+  if (form.elements.phoneCountry) {
+    populatePhoneRegionSelect(form.elements.phoneCountry);
+  }
+
+  if (wizardState.unsubscribeLocale) {
+    wizardState.unsubscribeLocale();
+  }
+  wizardState.unsubscribeLocale = onLocaleChange(handleLocaleChange);
+
+  // Quote requests go to the wizard's own endpoint, including when sent from the queue
+  wizardState.endpoint = form.getAttribute('action') || undefined;
+
+  if (wizardState.unsubscribeQueue) {
+    wizardState.unsubscribeQueue();
+  }
+  wizardState.unsubscribeQueue = onQueuedContactRequest(handleQueuedRequest);
+
+  spamGuard = createSpamGuard({ form: SPAM_GUARD_FORMS.QUOTE });
+
+  form.addEventListener('click', handleWizardClick);
+  form.addEventListener('submit', handleWizardSubmit);
+  form.addEventListener('input', handleWizardChange);
+  form.addEventListener('change', handleWizardChange);
+  form.addEventListener('focusin', handleWizardEngagement);
+
+  // Resume a draft from earlier in this tab, if there is one
+  restoreDraft(form);
+  updatePhonePlaceholder(form);
+
+  console.log('[QuoteWizard] Quote wizard initialized:', {
+    step: WIZARD_STEPS[wizardState.currentStep].id,
+    serviceCount: getAllServicesSorted().length,
+  });
+}
+
+/**
+ * Cleanup function for removing event listeners
+ */
+export function cleanupQuoteWizard() {
+  const form = wizardState.form;
+
+  if (!form) {
+    return;
+  }
+
+  form.removeEventListener('click', handleWizardClick);
+  form.removeEventListener('submit', handleWizardSubmit);
+  form.removeEventListener('input', handleWizardChange);
+  form.removeEventListener('change', handleWizardChange);
+  form.removeEventListener('focusin', handleWizardEngagement);
+
+  if (wizardState.unsubscribeLocale) {
+    wizardState.unsubscribeLocale();
+    wizardState.unsubscribeLocale = null;
+  }
+
+  if (wizardState.unsubscribeQueue) {
+    wizardState.unsubscribeQueue();
+    wizardState.unsubscribeQueue = null;
+  }
+
+  wizardState.form = null;
+  wizardState.endpoint = undefined;
+  wizardState.currentStep = 0;
+  wizardState.isSubmitting = false;
+  wizardState.submissionId = null;
+  wizardState.statusKey = null;
+  spamGuard = null;
+}
@@ -0,0 +1,572 @@
+/**
+ * Service Area Map Module
+ * Inline SVG map of the office, service radius and towns served
+ *
+ * @module service-area-map
+ * @description Draws the service area from the office coordinates and the
+ * bundled service area town table, so it works offline with no tile server.
+ * Every marker is keyboard-reachable (arrow keys move between markers, Enter
+ * checks a town) and has a text alternative. Map provider adapters from
+ * utils/map-providers are optional: they add background tiles and
+ * "open in"/directions links when passed to initServiceAreaMap. The map is
+ * redrawn when the language changes.
+ */
+
+import { SITE_CONFIG, formatConfigAddress } from '../data/site-config.js';
+import { OFFICE_PLACE } from '../data/contact.js';
+import { getPlacesInServiceArea } from '../utils/service-area.js';
+import { t, onLocaleChange } from '../utils/i18n.js';
+import { projectToWorld, getPixelsPerMile, getZoomToFit, getTilesForView, TILE_SIZE } from '../utils/web-mercator.js';
+import { runServiceAreaCheck } from './service-area.js';
+
+// ============================================
+// Constants and Configuration
+// ============================================
+
+/**
+ * Map configuration
+ * @type {Object}
+ */
+const MAP_CONFIG = Object.freeze({
+  CONTAINER_ID: 'service-area-map',
+  SVG_NS: 'http://www.w3.org/2000/svg',
+  TARGET_SIZE: 480,
+  PADDING_RATIO: 1.15,
+  SCALE_BAR_MILES: 10,
+  ACTIVE_CLASS: 'is-active',
+});
+
+/**
+ * Keys that move between markers, mapped to an index step
+ * @type {Object<string, number>}
+ */
+const NAVIGATION_KEYS = Object.freeze({
+  ArrowRight: 1,
+  ArrowDown: 1,
+  ArrowLeft: -1,
+  ArrowUp: -1,
+});
+
+// ============================================
+// State Management
+// ============================================
+
+/**
+ * Map state
+ * @type {Object}
+ */
+const mapState = {
+  container: null,
+  providers: [],
+  svg: null,
+  details: null,
+  markers: [],
+  activeIndex: 0,
+  unsubscribeLocale: null,
+};
+
+// ============================================
+// Marker Data
+// ============================================
+
+/**
+ * Builds the list of markers: the office first, then towns nearest first
+ * @returns {Array<Object>} Markers with id, name, description, coordinates and check query
+ */
+function getMapMarkers() {
+  const { brand, address } = SITE_CONFIG;
+
+  const office = {
+    id: 'office',
+    type: 'office',
+    name: t('contact.map.office', { name: brand.shortName }),
+    description: t('contact.map.officeDescription', { name: brand.name, address: formatConfigAddress() }),
+    coordinates: address.coordinates,
+    query: null,
+  };
+
+  const towns = getPlacesInServiceArea()
+    .filter(({ zip }) => zip !== address.zip)
+    .map(({ place, state, zip, coordinates, distanceMiles }) => ({
+      id: `zip-${zip}`,
+      type: 'town',
+      name: place,
+      description: t('contact.map.town', {
+        place,
+        state,
+        zip,
+        miles: Math.round(distanceMiles),
+      }),
+      coordinates,
+      query: zip,
+    }));
+
+  return [office, ...towns];
+}
+
+// ============================================
+// SVG Rendering
+// ============================================
+
+/**
+ * Creates an SVG element with attributes
+ * @param {string} tagName - SVG tag name
+ * @param {Object} [attributes={}] - Attributes to set
+ * @returns {SVGElement} Element
+ */
+function createSvgElement(tagName, attributes = {}) {
+  const element = document.createElementNS(MAP_CONFIG.SVG_NS, tagName);
+
+  Object.entries(attributes).forEach(([name, value]) => {
+    element.setAttribute(name, String(value));
+  });
+
+  return element;
+}
+
+/**
+ * Works out the map view: zoom level, visible rectangle in world pixels and scale
+ * @returns {Object} View with zoom, x, y, width, height, center and pixelsPerMile
+ */
+function getMapView() {
+  const office = SITE_CONFIG.address.coordinates;
+  const { radiusMiles } = SITE_CONFIG.serviceArea;
+
+  const zoom = getZoomToFit(office, radiusMiles * MAP_CONFIG.PADDING_RATIO, MAP_CONFIG.TARGET_SIZE);
+  const center = projectToWorld(office, zoom);
+  const pixelsPerMile = getPixelsPerMile(office, zoom);
+  const halfSize = radiusMiles * pixelsPerMile * MAP_CONFIG.PADDING_RATIO;
+
+  return {
+    zoom,
+    center,
+    pixelsPerMile,
+    x: center.x - halfSize,
+    y: center.y - halfSize,
+    width: halfSize * 2,
+    height: halfSize * 2,
+  };
+}
+
+/**
+ * Adds background tiles from the first provider that offers them
+ * Tiles that fail to load are removed, leaving the offline background visible
+ * @param {SVGElement} svg - Map element
+ * @param {Object} view - Map view
+ * @param {Object|null} provider - Map provider adapter with getTileUrl
+ */
+function renderTiles(svg, view, provider) {
+  if (!provider) {
+    return;
+  }
+
+  const layer = createSvgElement('g', { class: 'map-tiles', 'aria-hidden': 'true' });
+
+  getTilesForView(view, view.zoom).forEach(({ x, y, z }) => {
+    const image = createSvgElement('image', {
+      href: provider.getTileUrl(z, x, y),
+      x: x * TILE_SIZE,
+      y: y * TILE_SIZE,
+      width: TILE_SIZE,
+      height: TILE_SIZE,
+    });
+
+    image.addEventListener('error', () => image.remove(), { once: true });
+    layer.appendChild(image);
+  });
+
+  svg.appendChild(layer);
+}
+
+/**
+ * Adds a scale bar in the bottom-left corner
+ * @param {SVGElement} svg - Map element
+ * @param {Object} view - Map view
+ */
+function renderScaleBar(svg, view) {
+  const inset = view.width * 0.05;
+  const length = MAP_CONFIG.SCALE_BAR_MILES * view.pixelsPerMile;
+  const x = view.x + inset;
+  const y = view.y + view.height - inset;
+
+  const group = createSvgElement('g', { class: 'map-scale', 'aria-hidden': 'true' });
+  group.appendChild(createSvgElement('line', { x1: x, y1: y, x2: x + length, y2: y }));
+
+  const label = createSvgElement('text', { x, y: y - view.width * 0.015 });
+  label.textContent = t('contact.map.scale', { miles: MAP_CONFIG.SCALE_BAR_MILES });
+  group.appendChild(label);
+
+  svg.appendChild(group);
+}
+
+/**
+ * Creates a focusable marker
+ * @param {Object} marker - Marker data
+ * @param {Object} view - Map view
+ * @returns {SVGElement} Marker group
+ */
+function createMarkerElement(marker, view) {
+  const point = projectToWorld(marker.coordinates, view.zoom);
+  const size = view.width / 80;
+  const isOffice = marker.type === 'office';
+
+  const group = createSvgElement('g', {
+    class: `map-marker map-marker--${marker.type}`,
+    tabindex: -1,
+    role: isOffice ? 'img' : 'button',
+    'aria-label': isOffice ? marker.description : t('contact.map.checkHint', { description: marker.description }),
+    'data-marker-id': marker.id,
+  });
+
+  const title = createSvgElement('title');
+  title.textContent = marker.description;
+  group.appendChild(title);
+
+  if (isOffice) {
+    // Pin shape with its tip on the office location
+    group.appendChild(createSvgElement('path', {
+      d: `M ${point.x} ${point.y} l ${-size * 1.5} ${-size * 2.5} a ${size * 1.8} ${size * 1.8} 0 1 1 ${size * 3} 0 z`,
+    }));
+  } else {
+    group.appendChild(createSvgElement('circle', { cx: point.x, cy: point.y, r: size }));
+  }
+
+  const label = createSvgElement('text', {
+    class: 'map-label',
+    x: point.x + size * 1.8,
+    y: point.y - (isOffice ? size * 2.5 : -size * 0.6),
+    'aria-hidden': 'true',
+  });
+  label.textContent = marker.name;
+  group.appendChild(label);
+
+  return group;
+}
+
+/**
+ * Builds the SVG map
+ * @param {Array<Object>} markers - Marker data
+ * @param {Object|null} tileProvider - Provider used for background tiles
+ * @returns {SVGElement} Map element
+ */
+function createMapElement(markers, tileProvider) {
+  const view = getMapView();
+  const { radiusMiles } = SITE_CONFIG.serviceArea;
+  const townCount = markers.length - 1;
+
+  const svg = createSvgElement('svg', {
+    class: 'service-area-map-svg',
+    viewBox: `${view.x} ${view.y} ${view.width} ${view.height}`,
+    role: 'group',
+    'aria-labelledby': 'service-area-map-title',
+    'aria-describedby': 'service-area-map-desc',
+    'font-size': view.width / 28,
+  });
+
+  const title = createSvgElement('title', { id: 'service-area-map-title' });
+  title.textContent = t('contact.map.title');
+  const desc = createSvgElement('desc', { id: 'service-area-map-desc' });
+  desc.textContent = t('contact.map.description', {
+    radius: radiusMiles,
+    city: SITE_CONFIG.address.city,
+    count: townCount,
+  });
+  svg.append(title, desc);
+
+  svg.appendChild(createSvgElement('rect', {
+    class: 'map-background',
+    x: view.x,
+    y: view.y,
+    width: view.width,
+    height: view.height,
+  }));
+
+  renderTiles(svg, view, tileProvider);
+
+  svg.appendChild(createSvgElement('circle', {
+    class: 'map-radius',
+    cx: view.center.x,
+    cy: view.center.y,
+    r: radiusMiles * view.pixelsPerMile,
+    'aria-hidden': 'true',
+  }));
+
+  renderScaleBar(svg, view);
+
+  // Towns first so the office pin is drawn on top
+  const layer = createSvgElement('g', { class: 'map-markers' });
+  const elements = markers.map((marker) => createMarkerElement(marker, view));
+  [...elements.slice(1), elements[0]].forEach((element) => layer.appendChild(element));
+  svg.appendChild(layer);
+
+  return svg;
+}
+
+/**
+ * Builds the details line, provider links and attribution below the map
+ * @param {Array<Object>} providers - Map provider adapters
+ * @param {Object|null} tileProvider - Provider used for background tiles
+ * @returns {DocumentFragment} Elements to append after the map
+ */
+function createMapFooter(providers, tileProvider) {
+  const fragment = document.createDocumentFragment();
+
+  const details = document.createElement('p');
+  details.className = 'service-area-map-details';
+  fragment.appendChild(details);
+  mapState.details = details;
+
+  const links = providers.flatMap((provider) => [
+    provider.getPlaceUrl && {
+      href: provider.getPlaceUrl(OFFICE_PLACE),
+      text: t('contact.map.view', { provider: provider.label }),
+    },
+    provider.getDirectionsUrl && {
+      href: provider.getDirectionsUrl(OFFICE_PLACE),
+      text: t('contact.map.directions', { provider: provider.label }),
+    },
+  ]).filter(Boolean);
+
+  if (links.length > 0) {
+    const list = document.createElement('ul');
+    list.className = 'service-area-map-links';
+
+    links.forEach(({ href, text }) => {
+      const item = document.createElement('li');
+      const link = document.createElement('a');
+      link.href = href;
+      link.textContent = text;
+      link.target = '_blank';
+      link.rel = 'noopener';
+      item.appendChild(link);
+      list.appendChild(item);
+    });
+
+    fragment.appendChild(list);
+  }
+
+  if (tileProvider && tileProvider.attribution) {
+    const attribution = document.createElement('p');
+    attribution.className = 'service-area-map-attribution';
+
+    const link = document.createElement('a');
+    link.href = tileProvider.attributionUrl || '#';
+    link.textContent = tileProvider.attribution;
+    link.target = '_blank';
+    link.rel = 'noopener';
+    attribution.appendChild(link);
+
+    fragment.appendChild(attribution);
+  }
+
+  return fragment;
+}
+
+// ============================================
+// Marker Focus and Activation
+// ============================================
+
+/**
+ * Makes a marker the active one (roving tabindex) and shows its details
+ * @param {number} index - Marker index
+ * @param {Object} [options={}] - Options
+ * @param {boolean} [options.focus=false] - Move keyboard focus to the marker
+ */
+function setActiveMarker(index, options = {}) {
+  const elements = mapState.svg.querySelectorAll('.map-marker');
+  const count = mapState.markers.length;
+
+  mapState.activeIndex = (index + count) % count;
+  const marker = mapState.markers[mapState.activeIndex];
+
+  elements.forEach((element) => {
+    const isActive = element.dataset.markerId === marker.id;
+    element.setAttribute('tabindex', isActive ? '0' : '-1');
+    element.classList.toggle(MAP_CONFIG.ACTIVE_CLASS, isActive);
+
+    if (isActive && options.focus) {
+      element.focus();
+    }
+  });
+
+  mapState.details.textContent = marker.description;
+}
+
+/**
+ * Finds the marker index for an event target
+ * @param {EventTarget} target - Event target
+ * @returns {number} Marker index, or -1
+ */
+function getMarkerIndex(target) {
+  const element = target instanceof Element ? target.closest('.map-marker') : null;
+  return element ? mapState.markers.findIndex((marker) => marker.id === element.dataset.markerId) : -1;
+}
+
+/**
+ * Checks the town behind a marker with the service area checker
+ * @param {number} index - Marker index
+ */
+function activateMarker(index) {
+  const marker = mapState.markers[index];
+
+  if (marker && marker.query) {
+    runServiceAreaCheck(marker.query);
+  }
+}
+
+/**
+ * Handles arrow key navigation and activation
+ * @param {KeyboardEvent} event - Keydown event
+ */
+function handleMapKeydown(event) {
+  const index = getMarkerIndex(event.target);
+
+  if (index === -1) {
+    return;
+  }
+
+  if (event.key in NAVIGATION_KEYS) {
+    event.preventDefault();
+    setActiveMarker(index + NAVIGATION_KEYS[event.key], { focus: true });
+  } else if (event.key === 'Home' || event.key === 'End') {
+    event.preventDefault();
+    setActiveMarker(event.key === 'Home' ? 0 : mapState.markers.length - 1, { focus: true });
+  } else if (event.key === 'Enter' || event.key === ' ') {
+    event.preventDefault();
+    activateMarker(index);
+  }
+}
+
+/**
+ * Shows details for a focused or hovered marker
+ * @param {Event} event - Focus or pointer event
+ */
+function handleMarkerHighlight(event) {
+  const index = getMarkerIndex(event.target);
+
+  if (index !== -1 && index !== mapState.activeIndex) {
+    setActiveMarker(index);
+  }
+}
+
+/**
+ * Checks a clicked town
+ * @param {MouseEvent} event - Click event
+ */
+function handleMapClick(event) {
+  const index = getMarkerIndex(event.target);
+
+  if (index !== -1) {
+    setActiveMarker(index);
+    activateMarker(index);
+  }
+}
+
+// ============================================
+// Initialization
+// ============================================
+
+/**
+ * Draws the map and its footer into the container in the active language
+ * @param {number} activeIndex - Marker to make active
+ * @returns {Object|null} Provider used for background tiles
+ */
+function renderMap(activeIndex) {
+  const { container, providers } = mapState;
+  const tileProvider = providers.find((provider) => typeof provider.getTileUrl === 'function') || null;
+
+  if (mapState.svg) {
+    mapState.svg.removeEventListener('keydown', handleMapKeydown);
+    mapState.svg.removeEventListener('focusin', handleMarkerHighlight);
+    mapState.svg.removeEventListener('pointerover', handleMarkerHighlight);
+    mapState.svg.removeEventListener('click', handleMapClick);
+  }
+
+  mapState.markers = getMapMarkers();
+  mapState.svg = createMapElement(mapState.markers, tileProvider);
+
+  container.replaceChildren(mapState.svg, createMapFooter(providers, tileProvider));
+
+  setActiveMarker(activeIndex);
+
+  mapState.svg.addEventListener('keydown', handleMapKeydown);
+  mapState.svg.addEventListener('focusin', handleMarkerHighlight);
+  mapState.svg.addEventListener('pointerover', handleMarkerHighlight);
+  mapState.svg.addEventListener('click', handleMapClick);
+
+  return tileProvider;
+}
+
+/**
+ * Redraws the map in the new language, keeping the active marker and its focus
+ */
+function handleLocaleChange() {
+  const hadFocus = mapState.svg.contains(document.activeElement);
+
+  renderMap(mapState.activeIndex);
+
+  if (hadFocus) {
+    setActiveMarker(mapState.activeIndex, { focus: true });
+  }
+}
+
+/**
+ * Initialize the service area map
+ * @param {Object} [options={}] - Map options
+ * @param {Array<Object>} [options.providers=[]] - Map provider adapters (see utils/map-providers);
+ *   the first one with getTileUrl supplies background tiles
+ */
+export function initServiceAreaMap(options = {}) {
+  const container = document.getElementById(MAP_CONFIG.CONTAINER_ID);
+
+  if (!container) {
+    console.warn('[ServiceAreaMap] Map container not found');
+    return;
+  }
+
+  if (mapState.container) {
+    cleanupServiceAreaMap();
+  }
+
+  mapState.container = container;
+  mapState.providers = options.providers || [];
+
+  const tileProvider = renderMap(0);
+  container.hidden = false;
+
+  mapState.unsubscribeLocale = onLocaleChange(handleLocaleChange);
+
+  console.log('[ServiceAreaMap] Map initialized:', {
+    markers: mapState.markers.length,
+    tiles: tileProvider ? tileProvider.id : 'offline',
+    providers: mapState.providers.map((provider) => provider.id),
+  });
+}
+
+/**
+ * Cleanup function for removing event listeners and the rendered map
+ */
+export function cleanupServiceAreaMap() {
+  if (mapState.svg) {
+    mapState.svg.removeEventListener('keydown', handleMapKeydown);
+    mapState.svg.removeEventListener('focusin', handleMarkerHighlight);
+    mapState.svg.removeEventListener('pointerover', handleMarkerHighlight);
+    mapState.svg.removeEventListener('click', handleMapClick);
+  }
+
+  if (mapState.unsubscribeLocale) {
+    mapState.unsubscribeLocale();
+  }
+
+  if (mapState.container) {
+    mapState.container.replaceChildren();
+  }
+
+  mapState.container = null;
+  mapState.providers = [];
+  mapState.svg = null;
+  mapState.details = null;
+  mapState.markers = [];
+  mapState.activeIndex = 0;
+  mapState.unsubscribeLocale = null;
+}
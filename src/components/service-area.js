@@ -0,0 +1,262 @@
+/**
+ * Service Area Checker Module
+ * "Do we serve your farm?" lookup in the contact section
+ *
+ * @module service-area
+ * @description Lets visitors check a ZIP code, town name or their browser
+ * location against the service radius, shows whether they are in or out of
+ * the area with the distance, and prefills the contact form's location field.
+ * A shown result is repeated in the new language when the visitor switches.
+ */
+
+import { checkServiceArea, getCurrentCoordinates, SERVICE_AREA_MESSAGE_KEYS } from '../utils/service-area.js';
+import { t, onLocaleChange } from '../utils/i18n.js';
+import { setContactLocation } from './contact-form.js';
+
+// ============================================
+// Constants and Configuration
+// ============================================
+
+/**
+ * Checker configuration
+ * @type {Object}
+ */
+const SERVICE_AREA_CONFIG = Object.freeze({
+  FORM_ID: 'service-area-form',
+  QUERY_ID: 'service-area-query',
+  LOCATE_ID: 'service-area-locate',
+  RESULT_ID: 'service-area-result',
+});
+
+/**
+ * Result classes by outcome
+ * @type {Object}
+ */
+const RESULT_CLASSES = Object.freeze({
+  in: 'is-in-area',
+  out: 'is-out-of-area',
+  error: 'is-error',
+});
+
+// ============================================
+// State Management
+// ============================================
+
+/**
+ * Checker state
+ * @type {Object}
+ */
+const serviceAreaState = {
+  form: null,
+  locateButton: null,
+  isLocating: false,
+  lastCheck: null,
+  unsubscribeLocale: null,
+};
+
+// ============================================
+// Rendering
+// ============================================
+
+/**
+ * Shows a lookup result and prefills the contact form when a location was found
+ * @param {Function} lookup - Returns a result shaped like checkServiceArea's, or a promise
+ *   of one, in the active language
+ * @param {boolean|null} [prefilled=null] - Whether the contact form was already prefilled
+ *   with this result; null prefills it now
+ * @returns {Promise<Object>} The result shown
+ */
+async function showResult(lookup, prefilled = null) {
+  const result = await lookup();
+  const element = document.getElementById(SERVICE_AREA_CONFIG.RESULT_ID);
+
+  if (!element) {
+    return result;
+  }
+
+  let outcome = 'error';
+  let message = result.message;
+  let isPrefilled = false;
+
+  if (result.ok) {
+    outcome = result.inArea ? 'in' : 'out';
+    isPrefilled = prefilled ?? setContactLocation(result.location.label);
+
+    if (isPrefilled) {
+      message = `${message} ${t('contact.areaPrefilled')}`;
+    }
+  }
+
+  Object.values(RESULT_CLASSES).forEach((className) => element.classList.remove(className));
+  element.classList.add(RESULT_CLASSES[outcome]);
+  element.textContent = message;
+
+  serviceAreaState.lastCheck = { lookup, prefilled: isPrefilled };
+
+  return result;
+}
+
+/**
+ * Toggles the busy state of the "Use my location" button
+ * @param {boolean} isLocating - Whether a position request is in progress
+ */
+function setLocatingState(isLocating) {
+  const button = serviceAreaState.locateButton;
+
+  serviceAreaState.isLocating = isLocating;
+  button.disabled = isLocating;
+  button.setAttribute('aria-busy', String(isLocating));
+
+  if (isLocating) {
+    button.dataset.label = button.textContent.trim();
+    button.textContent = t('contact.areaLocating');
+  } else if (button.dataset.label) {
+    button.textContent = button.dataset.label;
+  }
+}
+
+// ============================================
+// Event Handlers
+// ============================================
+
+/**
+ * Checks a ZIP code or town and shows the result
+ * @param {string} query - ZIP code or town name
+ * @returns {Promise<void>}
+ */
+async function checkQuery(query) {
+  const result = await showResult(() => checkServiceArea(query));
+
+  console.log('[ServiceArea] Lookup:', {
+    found: result.ok,
+    inArea: result.ok ? result.inArea : null,
+    source: result.ok ? result.location.source : null,
+  });
+}
+
+/**
+ * Checks the typed ZIP code or town
+ * @param {Event} event - Submit event
+ */
+function handleCheckSubmit(event) {
+  event.preventDefault();
+
+  const field = document.getElementById(SERVICE_AREA_CONFIG.QUERY_ID);
+  checkQuery(field ? field.value : '');
+}
+
+/**
+ * Runs a check for a ZIP code or town as if the visitor had typed it (used by the map)
+ * The result is shown once the lookup finishes.
+ * @param {string} query - ZIP code or town name
+ * @returns {boolean} True if the checker is on the page
+ */
+export function runServiceAreaCheck(query) {
+  const field = document.getElementById(SERVICE_AREA_CONFIG.QUERY_ID);
+
+  if (!serviceAreaState.form || !field) {
+    return false;
+  }
+
+  field.value = query;
+  checkQuery(query);
+
+  return true;
+}
+
+/**
+ * Checks the visitor's browser location
+ */
+async function handleLocateClick() {
+  if (serviceAreaState.isLocating) {
+    return;
+  }
+
+  setLocatingState(true);
+
+  try {
+    const position = await getCurrentCoordinates();
+
+    await showResult(() => (position.ok
+      ? checkServiceArea(position.coordinates)
+      : { ...position, message: t(SERVICE_AREA_MESSAGE_KEYS[position.reason]) }));
+  } finally {
+    if (serviceAreaState.locateButton) {
+      setLocatingState(false);
+    }
+  }
+}
+
+/**
+ * Repeats the shown result and the busy button text in the new language
+ * The contact form is not prefilled again.
+ */
+function handleLocaleChange() {
+  const { lastCheck, isLocating } = serviceAreaState;
+
+  if (lastCheck) {
+    showResult(lastCheck.lookup, lastCheck.prefilled);
+  }
+
+  // The page translation has just reset the button to its idle label
+  if (isLocating) {
+    setLocatingState(true);
+  }
+}
+
+// ============================================
+// Initialization
+// ============================================
+
+/**
+ * Initialize the service area checker
+ */
+export function initServiceAreaCheck() {
+  const form = document.getElementById(SERVICE_AREA_CONFIG.FORM_ID);
+
+  if (!form) {
+    console.warn('[ServiceArea] Service area form not found');
+    return;
+  }
+
+  serviceAreaState.form = form;
+  form.addEventListener('submit', handleCheckSubmit);
+
+  // Only offer geolocation where the browser supports it
+  const locateButton = document.getElementById(SERVICE_AREA_CONFIG.LOCATE_ID);
+
+  if (locateButton && 'geolocation' in navigator) {
+    serviceAreaState.locateButton = locateButton;
+    locateButton.hidden = false;
+    locateButton.addEventListener('click', handleLocateClick);
+  }
+
+  serviceAreaState.unsubscribeLocale = onLocaleChange(handleLocaleChange);
+
+  console.log('[ServiceArea] Service area checker initialized:', {
+    geolocation: Boolean(serviceAreaState.locateButton),
+  });
+}
+
+/**
+ * Cleanup function for removing event listeners
+ */
+export function cleanupServiceAreaCheck() {
+  if (serviceAreaState.form) {
+    serviceAreaState.form.removeEventListener('submit', handleCheckSubmit);
+  }
+
+  if (serviceAreaState.locateButton) {
+    serviceAreaState.locateButton.removeEventListener('click', handleLocateClick);
+  }
+
+  if (serviceAreaState.unsubscribeLocale) {
+    serviceAreaState.unsubscribeLocale();
+  }
+
+  serviceAreaState.form = null;
+  serviceAreaState.locateButton = null;
+  serviceAreaState.isLocating = false;
+  serviceAreaState.lastCheck = null;
+  serviceAreaState.unsubscribeLocale = null;
+}
@@ -0,0 +1,568 @@
+/**
+ * Service Detail Dialog Module
+ * Production-ready ES module for the service detail modal
+ *
+ * @module service-dialog
+ * @description Opens an accessible modal with the full details of a service
+ * (duration, availability, keywords) and keeps it addressable by URL hash
+ * (e.g. #services/soil-analysis) so back/forward navigation opens and closes it.
+ * Each service's shareable page marks <html data-service-page> and opens on load.
+ */
+
+import { getServiceById, getServiceCategoryLabel } from '../data/services.js';
+import { createFocusTrap, announce } from '../utils/accessibility.js';
+import { t, onLocaleChange } from '../utils/i18n.js';
+import { lockScroll, unlockScroll } from '../utils/scroll.js';
+import { selectContactService } from './contact-form.js';
+import { navigateToSection } from './navigation.js';
+
+// ============================================
+// Constants and Configuration
+// ============================================
+
+/**
+ * Dialog configuration
+ * @type {Object}
+ */
+const DIALOG_CONFIG = Object.freeze({
+  DIALOG_ID: 'service-dialog',
+  TITLE_ID: 'service-dialog-title',
+  DESCRIPTION_ID: 'service-dialog-description',
+  HASH_PREFIX: '#services/',
+  FALLBACK_HASH: '#services',
+  GRID_SELECTOR: '.services-grid',
+  CONTACT_SECTION_ID: 'contact',
+  PAGE_ATTRIBUTE: 'data-service-page',
+});
+
+// ============================================
+// State Management
+// ============================================
+
+/**
+ * Dialog state
+ * @type {Object}
+ */
+const dialogState = {
+  initialized: false,
+  openServiceId: null,
+  focusTrap: null,
+  triggerElement: null,
+  openedByNavigation: false,
+  unsubscribeLocale: null,
+};
+
+/**
+ * Cached dialog element references
+ * @type {Object}
+ */
+let dialogElements = {
+  root: null,
+  icon: null,
+  category: null,
+  title: null,
+  description: null,
+  durationTerm: null,
+  duration: null,
+  availabilityTerm: null,
+  availability: null,
+  keywordsTitle: null,
+  keywords: null,
+  requestButton: null,
+  dismissButton: null,
+  closeButton: null,
+};
+
+// ============================================
+// Hash Routing
+// ============================================
+
+/**
+ * Build the deep-link hash for a service
+ * @param {string} serviceId - Service identifier
+ * @returns {string} URL hash
+ */
+export function getServiceDetailHash(serviceId) {
+  return `${DIALOG_CONFIG.HASH_PREFIX}${serviceId}`;
+}
+
+/**
+ * Extract a service ID from a URL hash
+ * @param {string} hash - URL hash
+ * @returns {string|null} Service ID or null if hash is not a service deep link
+ */
+function parseServiceHash(hash) {
+  if (typeof hash !== 'string' || !hash.startsWith(DIALOG_CONFIG.HASH_PREFIX)) {
+    return null;
+  }
+
+  try {
+    const serviceId = decodeURIComponent(hash.slice(DIALOG_CONFIG.HASH_PREFIX.length));
+    return serviceId || null;
+  } catch {
+    // Malformed percent-encoding (e.g. #services/%E0%A4%A) is not a deep link
+    return null;
+  }
+}
+
+/**
+ * Open or close the dialog to match the current URL hash
+ * @param {Object} [options] - Sync options
+ * @param {boolean} [options.initial=false] - Whether this is the initial page load
+ */
+function syncWithLocation(options = {}) {
+  const { initial = false } = options;
+  const serviceId = parseServiceHash(window.location.hash);
+
+  if (serviceId && serviceId !== dialogState.openServiceId) {
+    const service = getServiceById(serviceId);
+
+    if (service) {
+      dialogState.openedByNavigation = !initial;
+      renderDialog(service);
+      return;
+    }
+  }
+
+  if (!serviceId && dialogState.openServiceId) {
+    hideDialog();
+  }
+}
+
+/**
+ * Handle history navigation (back/forward and hash changes)
+ */
+function handleLocationChange() {
+  syncWithLocation();
+}
+
+// ============================================
+// Dialog Rendering
+// ============================================
+
+/**
+ * Create the dialog element and append it to the document body
+ * @returns {HTMLElement} Dialog root element
+ */
+function createDialogElement() {
+  const root = document.createElement('div');
+  root.id = DIALOG_CONFIG.DIALOG_ID;
+  root.className = 'service-dialog';
+  root.hidden = true;
+
+  const backdrop = document.createElement('div');
+  backdrop.className = 'service-dialog-backdrop';
+  backdrop.setAttribute('data-dialog-close', '');
+
+  const panel = document.createElement('div');
+  panel.className = 'service-dialog-panel';
+  panel.setAttribute('role', 'dialog');
+  panel.setAttribute('aria-modal', 'true');
+  panel.setAttribute('aria-labelledby', DIALOG_CONFIG.TITLE_ID);
+  panel.setAttribute('aria-describedby', DIALOG_CONFIG.DESCRIPTION_ID);
+
+  const closeButton = document.createElement('button');
+  closeButton.type = 'button';
+  closeButton.className = 'service-dialog-close';
+  closeButton.setAttribute('data-dialog-close', '');
+  closeButton.textContent = '×';
+
+  const header = document.createElement('header');
+  header.className = 'service-dialog-header';
+
+  const iconWrapper = document.createElement('div');
+  iconWrapper.className = 'service-icon';
+  iconWrapper.setAttribute('aria-hidden', 'true');
+
+  const icon = document.createElement('img');
+  icon.setAttribute('alt', '');
+  icon.setAttribute('width', '64');
+  icon.setAttribute('height', '64');
+  iconWrapper.appendChild(icon);
+
+  const category = document.createElement('span');
+  category.className = 'badge badge-primary service-dialog-category';
+
+  const title = document.createElement('h2');
+  title.id = DIALOG_CONFIG.TITLE_ID;
+
+  header.appendChild(iconWrapper);
+  header.appendChild(category);
+  header.appendChild(title);
+
+  const description = document.createElement('p');
+  description.id = DIALOG_CONFIG.DESCRIPTION_ID;
+  description.className = 'service-dialog-description';
+
+  const details = document.createElement('dl');
+  details.className = 'service-dialog-details';
+
+  const durationTerm = document.createElement('dt');
+  const duration = document.createElement('dd');
+
+  const availabilityTerm = document.createElement('dt');
+  const availability = document.createElement('dd');
+
+  details.appendChild(durationTerm);
+  details.appendChild(duration);
+  details.appendChild(availabilityTerm);
+  details.appendChild(availability);
+
+  const keywordsTitle = document.createElement('h3');
+  keywordsTitle.className = 'service-dialog-subtitle';
+
+  const keywords = document.createElement('ul');
+  keywords.className = 'service-dialog-keywords';
+  keywords.setAttribute('role', 'list');
+
+  const actions = document.createElement('div');
+  actions.className = 'service-dialog-actions';
+
+  const requestButton = document.createElement('button');
+  requestButton.type = 'button';
+  requestButton.className = 'btn btn-primary';
+
+  const dismissButton = document.createElement('button');
+  dismissButton.type = 'button';
+  dismissButton.className = 'btn btn-ghost';
+  dismissButton.setAttribute('data-dialog-close', '');
+
+  actions.appendChild(requestButton);
+  actions.appendChild(dismissButton);
+
+  panel.appendChild(closeButton);
+  panel.appendChild(header);
+  panel.appendChild(description);
+  panel.appendChild(details);
+  panel.appendChild(keywordsTitle);
+  panel.appendChild(keywords);
+  panel.appendChild(actions);
+
+  root.appendChild(backdrop);
+  root.appendChild(panel);
+
+  document.body.appendChild(root);
+
+  dialogElements = {
+    root,
+    icon,
+    category,
+    title,
+    description,
+    durationTerm,
+    duration,
+    availabilityTerm,
+    availability,
+    keywordsTitle,
+    keywords,
+    requestButton,
+    dismissButton,
+    closeButton,
+  };
+
+  renderDialogLabels();
+
+  return root;
+}
+
+/**
+ * Fill the dialog's fixed labels in the active language
+ */
+function renderDialogLabels() {
+  const {
+    durationTerm,
+    availabilityTerm,
+    keywordsTitle,
+    requestButton,
+    dismissButton,
+    closeButton,
+  } = dialogElements;
+
+  closeButton.setAttribute('aria-label', t('services.dialog.close'));
+  durationTerm.textContent = t('services.dialog.duration');
+  availabilityTerm.textContent = t('services.dialog.availability');
+  keywordsTitle.textContent = t('services.dialog.keywords');
+  requestButton.textContent = t('services.dialog.request');
+  dismissButton.textContent = t('services.dialog.dismiss');
+}
+
+/**
+ * Fill the dialog with a service's content
+ * @param {import('../data/services.js').LocalizedService} service - Service to display
+ */
+function renderServiceContent(service) {
+  const {
+    icon,
+    category,
+    title,
+    description,
+    duration,
+    availability,
+    keywords,
+  } = dialogElements;
+
+  icon.src = service.icon;
+  category.textContent = getServiceCategoryLabel(service.category);
+  title.textContent = service.title;
+  description.textContent = service.description;
+  duration.textContent = service.metadata.duration;
+  availability.textContent = service.metadata.availability;
+
+  keywords.replaceChildren(
+    ...service.keywords.map((keyword) => {
+      const item = document.createElement('li');
+      item.className = 'badge badge-outline';
+      item.textContent = keyword;
+      return item;
+    })
+  );
+}
+
+/**
+ * Fill the dialog with service content and show it
+ * @param {import('../data/services.js').LocalizedService} service - Service to display
+ */
+function renderDialog(service) {
+  const { root, closeButton } = dialogElements;
+
+  if (!root) {
+    return;
+  }
+
+  renderServiceContent(service);
+
+  const wasOpen = Boolean(dialogState.openServiceId);
+  dialogState.openServiceId = service.id;
+  root.setAttribute('data-service-id', service.id);
+
+  if (!wasOpen) {
+    root.hidden = false;
+    lockScroll();
+
+    dialogState.focusTrap = createFocusTrap(root, {
+      initialFocus: closeButton,
+      returnFocus: dialogState.triggerElement || document.activeElement,
+    });
+
+    if (dialogState.focusTrap) {
+      dialogState.focusTrap.activate();
+    }
+  }
+
+  announce(t('announcements.serviceDetailsOpened', { name: service.title }), { politeness: 'polite' });
+  console.log('[ServiceDialog] Opened service details:', service.id);
+}
+
+/**
+ * Hide the dialog and restore page state
+ */
+function hideDialog() {
+  const { root } = dialogElements;
+
+  if (!root || !dialogState.openServiceId) {
+    return;
+  }
+
+  root.hidden = true;
+  root.removeAttribute('data-service-id');
+
+  if (dialogState.focusTrap) {
+    dialogState.focusTrap.release();
+    dialogState.focusTrap = null;
+  }
+
+  unlockScroll();
+
+  console.log('[ServiceDialog] Closed service details:', dialogState.openServiceId);
+
+  dialogState.openServiceId = null;
+  dialogState.triggerElement = null;
+  dialogState.openedByNavigation = false;
+}
+
+// ============================================
+// Public API
+// ============================================
+
+/**
+ * Open the detail dialog for a service and push a deep-link history entry
+ * @param {string} serviceId - Service identifier
+ * @param {Element} [triggerElement] - Element to return focus to on close
+ * @returns {boolean} True if the dialog was opened
+ */
+export function openServiceDetail(serviceId, triggerElement = null) {
+  const service = getServiceById(serviceId);
+
+  if (!service || !dialogElements.root) {
+    return false;
+  }
+
+  dialogState.triggerElement = triggerElement;
+
+  const hash = getServiceDetailHash(serviceId);
+  if (window.location.hash !== hash && window.history && window.history.pushState) {
+    window.history.pushState({ serviceId }, '', hash);
+  }
+
+  dialogState.openedByNavigation = true;
+  renderDialog(service);
+  return true;
+}
+
+/**
+ * Close the detail dialog, stepping back through history when the dialog added an entry
+ * @param {Object} [options] - Close options
+ * @param {boolean} [options.updateHistory=true] - Whether to leave the deep-link hash
+ */
+export function closeServiceDetail(options = {}) {
+  const { updateHistory = true } = options;
+
+  if (!dialogState.openServiceId) {
+    return;
+  }
+
+  if (updateHistory && parseServiceHash(window.location.hash)) {
+    if (dialogState.openedByNavigation) {
+      // popstate will call syncWithLocation and hide the dialog
+      window.history.back();
+      return;
+    }
+
+    window.history.replaceState(null, '', DIALOG_CONFIG.FALLBACK_HASH);
+  }
+
+  hideDialog();
+}
+
+/**
+ * Check whether the dialog is open
+ * @returns {string|null} ID of the open service or null
+ */
+export function getOpenServiceId() {
+  return dialogState.openServiceId;
+}
+
+// ============================================
+// Event Handlers
+// ============================================
+
+/**
+ * Handle clicks on service cards within the grid
+ * @param {MouseEvent} event - Click event
+ */
+function handleGridClick(event) {
+  const card = event.target.closest('.service-card');
+
+  if (!card) {
+    return;
+  }
+
+  const serviceId = card.getAttribute('data-service-id');
+  const link = event.target.closest('a');
+
+  // Let modified clicks open the deep link in a new tab
+  if (link && (event.metaKey || event.ctrlKey || event.shiftKey || event.button !== 0)) {
+    return;
+  }
+
+  if (serviceId) {
+    event.preventDefault();
+    openServiceDetail(serviceId, card.querySelector('.service-link'));
+  }
+}
+
+/**
+ * Handle clicks inside the dialog
+ * @param {MouseEvent} event - Click event
+ */
+function handleDialogClick(event) {
+  if (event.target.closest('[data-dialog-close]')) {
+    closeServiceDetail();
+  }
+}
+
+/**
+ * Handle keyboard interaction inside the dialog
+ * @param {KeyboardEvent} event - Keyboard event
+ */
+function handleDialogKeydown(event) {
+  if (event.key === 'Escape') {
+    event.preventDefault();
+    closeServiceDetail();
+  }
+}
+
+/**
+ * Re-render the dialog in the new language, keeping an open service open
+ */
+function handleLocaleChange() {
+  renderDialogLabels();
+
+  const service = dialogState.openServiceId ? getServiceById(dialogState.openServiceId) : null;
+
+  if (service) {
+    renderServiceContent(service);
+  }
+}
+
+/**
+ * Close the dialog and open the contact form with the service preselected
+ */
+function handleRequestClick() {
+  const serviceId = dialogState.openServiceId;
+
+  if (!serviceId) {
+    return;
+  }
+
+  // The contact section takes over the deep-link entry, so Back does not reopen the dialog
+  closeServiceDetail({ updateHistory: false });
+  navigateToSection(DIALOG_CONFIG.CONTACT_SECTION_ID, { replaceHistory: true });
+  selectContactService(serviceId);
+}
+
+// ============================================
+// Initialization
+// ============================================
+
+/**
+ * Initialize the service detail dialog
+ */
+export function initServiceDialog() {
+  if (dialogState.initialized) {
+    console.warn('[ServiceDialog] Dialog already initialized');
+    return;
+  }
+
+  try {
+    const root = createDialogElement();
+
+    root.addEventListener('click', handleDialogClick);
+    root.addEventListener('keydown', handleDialogKeydown);
+    dialogElements.requestButton.addEventListener('click', handleRequestClick);
+
+    const grid = document.querySelector(DIALOG_CONFIG.GRID_SELECTOR);
+    if (grid) {
+      grid.addEventListener('click', handleGridClick);
+    }
+
+    window.addEventListener('popstate', handleLocationChange);
+    window.addEventListener('hashchange', handleLocationChange);
+
+    dialogState.unsubscribeLocale = onLocaleChange(handleLocaleChange);
+    dialogState.initialized = true;
+
+    // A service's own page (services/<id>/, generated at build time) opens on that service
+    const pageServiceId = document.documentElement.getAttribute(DIALOG_CONFIG.PAGE_ATTRIBUTE);
+    if (pageServiceId && !window.location.hash) {
+      window.history.replaceState(null, '', getServiceDetailHash(pageServiceId));
+    }
+
+    // Open the dialog when the page is loaded from a deep link
+    syncWithLocation({ initial: true });
+
+    console.log('[ServiceDialog] Service dialog initialized');
+  } catch (error) {
+    console.error('[ServiceDialog] Initialization error:', error);
+  }
+}
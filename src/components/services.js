@@ -3,79 +3,39 @@
  * Production-ready ES module for services functionality
  * 
  * @module services
- * @description Manages service data, card interactions, and responsive grid behavior
- * for the agricultural services showcase section
+ * @description Renders service cards from the services data module and manages card
+ * interactions and responsive grid behavior for the agricultural services showcase section
  */
 
+import {
+  servicesData,
+  ServiceCategory,
+  getServiceById,
+  getServicesByCategory,
+  getFeaturedServices,
+  getAllServicesSorted,
+  searchServicesByKeyword,
+  getServiceCategoryCounts,
+  getServiceCategoryLabel,
+} from '../data/services.js';
+import { announce } from '../utils/accessibility.js';
+import { t, onLocaleChange } from '../utils/i18n.js';
+import { getServiceDetailHash } from './service-dialog.js';
+
 // ============================================
-// Service Data Management
+// Filter Configuration
 // ============================================
 
 /**
- * Service data structure with comprehensive information
- * @typedef {Object} ServiceData
- * @property {string} id - Unique service identifier
- * @property {string} title - Service title
- * @property {string} description - Service description
- * @property {string} icon - Icon file path
- * @property {string} category - Service category
- * @property {boolean} featured - Whether service is featured
- */
-
-/**
- * Agricultural services data
- * @type {ServiceData[]}
+ * Filter toolbar configuration
+ * @type {Object}
  */
-const servicesData = [
-  {
-    id: 'crop-management',
-    title: 'Crop Management',
-    description: 'Advanced crop monitoring and management systems using precision agriculture technology to optimize growth and yield.',
-    icon: '/images/icons/crop-management.svg',
-    category: 'technology',
-    featured: true,
-  },
-  {
-    id: 'soil-analysis',
-    title: 'Soil Analysis',
-    description: 'Comprehensive soil testing and analysis services to determine optimal fertilization and crop selection strategies.',
-    icon: '/images/icons/soil-analysis.svg',
-    category: 'analysis',
-    featured: true,
-  },
-  {
-    id: 'irrigation',
-    title: 'Irrigation Solutions',
-    description: 'Smart irrigation systems and water management solutions to conserve resources while maximizing crop health.',
-    icon: '/images/icons/irrigation.svg',
-    category: 'technology',
-    featured: true,
-  },
-  {
-    id: 'consulting',
-    title: 'Agricultural Consulting',
-    description: 'Expert guidance on farm operations, crop selection, sustainability practices, and business optimization.',
-    icon: '/images/icons/consulting.svg',
-    category: 'consulting',
-    featured: true,
-  },
-  {
-    id: 'equipment',
-    title: 'Equipment & Technology',
-    description: 'Access to modern farming equipment and agricultural technology solutions for efficient farm operations.',
-    icon: '/images/icons/equipment.svg',
-    category: 'technology',
-    featured: false,
-  },
-  {
-    id: 'sustainability',
-    title: 'Sustainable Practices',
-    description: 'Implementation of eco-friendly farming methods and sustainable agriculture practices for long-term success.',
-    icon: '/images/icons/sustainability.svg',
-    category: 'sustainability',
-    featured: false,
-  },
-];
+const FILTER_CONFIG = Object.freeze({
+  CATEGORY_PARAM: 'category',
+  QUERY_PARAM: 'q',
+  SEARCH_DEBOUNCE: 250,
+  MIN_QUERY_LENGTH: 2,
+});
 
 // ============================================
 // DOM Element References
@@ -90,6 +50,11 @@ let domElements = {
   servicesGrid: null,
   serviceCards: null,
   serviceLinks: null,
+  filterToolbar: null,
+  searchLabel: null,
+  searchInput: null,
+  chipGroup: null,
+  emptyState: null,
 };
 
 // ============================================
@@ -105,6 +70,12 @@ const servicesState = {
   activeCard: null,
   interactionCount: 0,
   lastInteractionTime: 0,
+  iconObserver: null,
+  unsubscribeLocale: null,
+  filter: {
+    category: null,
+    query: '',
+  },
 };
 
 // ============================================
@@ -179,33 +150,100 @@ function throttle(func, limit) {
 }
 
 // ============================================
-// Service Data Operations
+// Card Rendering
 // ============================================
 
 /**
- * Get service by ID
- * @param {string} serviceId - Service identifier
- * @returns {ServiceData|null} Service data or null if not found
+ * Build a service card element from service data
+ * @param {import('../data/services.js').ServiceData} service - Service data
+ * @returns {HTMLElement} Service card article element
  */
-function getServiceById(serviceId) {
-  return servicesData.find((service) => service.id === serviceId) || null;
+function createServiceCard(service) {
+  const card = document.createElement('article');
+  card.className = 'service-card';
+  card.setAttribute('role', 'listitem');
+  card.setAttribute('data-service-id', service.id);
+  card.setAttribute('data-category', service.category);
+
+  if (service.featured) {
+    card.setAttribute('data-featured', 'true');
+  }
+
+  const iconWrapper = document.createElement('div');
+  iconWrapper.className = 'service-icon';
+  iconWrapper.setAttribute('aria-hidden', 'true');
+
+  // Icon source is deferred to data-src so handleIntersection can lazy-load it
+  const icon = document.createElement('img');
+  icon.setAttribute('data-src', service.icon);
+  icon.setAttribute('alt', '');
+  icon.setAttribute('width', '64');
+  icon.setAttribute('height', '64');
+  icon.setAttribute('loading', 'lazy');
+  iconWrapper.appendChild(icon);
+
+  const title = document.createElement('h3');
+  title.textContent = service.title;
+
+  const description = document.createElement('p');
+  description.textContent = service.description;
+
+  const link = document.createElement('a');
+  link.className = 'service-link';
+  link.href = getServiceDetailHash(service.id);
+  link.setAttribute('aria-label', t('services.learnMoreLabel', { title: service.title }));
+  link.setAttribute('aria-haspopup', 'dialog');
+  link.textContent = `${t('services.learnMore')} `;
+
+  const arrow = document.createElement('span');
+  arrow.setAttribute('aria-hidden', 'true');
+  arrow.textContent = '→';
+  link.appendChild(arrow);
+
+  card.appendChild(iconWrapper);
+  card.appendChild(title);
+  card.appendChild(description);
+  card.appendChild(link);
+
+  return card;
 }
 
 /**
- * Get services by category
- * @param {string} category - Service category
- * @returns {ServiceData[]} Array of services in category
+ * Render service cards into the services grid
+ * @param {import('../data/services.js').ServiceData[]} [services] - Services to render
+ * @returns {number} Number of cards rendered
  */
-function getServicesByCategory(category) {
-  return servicesData.filter((service) => service.category === category);
+function renderServiceCards(services = getAllServicesSorted()) {
+  const grid = domElements.servicesGrid;
+
+  if (!grid) {
+    console.warn('[Services] Services grid not found');
+    return 0;
+  }
+
+  const fragment = document.createDocumentFragment();
+
+  services.forEach((service) => {
+    fragment.appendChild(createServiceCard(service));
+  });
+
+  grid.replaceChildren(fragment);
+
+  return services.length;
 }
 
 /**
- * Get featured services
- * @returns {ServiceData[]} Array of featured services
+ * Render every service card into a grid at build time, so crawlers and visitors
+ * without JavaScript see the catalog; the client re-renders the grid on load
+ * @param {HTMLElement} grid - Services grid element
+ * @returns {number} Number of cards rendered
  */
-function getFeaturedServices() {
-  return servicesData.filter((service) => service.featured);
+export function prerenderServiceCards(grid) {
+  const services = getAllServicesSorted();
+
+  grid.replaceChildren(...services.map(createServiceCard));
+
+  return services.length;
 }
 
 // ============================================
@@ -492,12 +530,18 @@ function implementLazyLoading() {
     return;
   }
 
-  // Create intersection observer
-  const observer = new IntersectionObserver(handleIntersection, {
-    root: null,
-    rootMargin: '50px',
-    threshold: 0.1,
-  });
+  // Create intersection observer once and reuse it across re-renders
+  if (servicesState.iconObserver) {
+    servicesState.iconObserver.disconnect();
+  } else {
+    servicesState.iconObserver = new IntersectionObserver(handleIntersection, {
+      root: null,
+      rootMargin: '50px',
+      threshold: 0.1,
+    });
+  }
+
+  const observer = servicesState.iconObserver;
 
   // Observe all service cards
   cards.forEach((card) => {
@@ -521,6 +565,282 @@ function prefetchServiceResources() {
   });
 }
 
+// ============================================
+// Filtering and Search
+// ============================================
+
+/**
+ * Read filter state from the URL query string
+ * @returns {{category: string|null, query: string}} Filter state
+ */
+function readFilterFromUrl() {
+  const params = new URLSearchParams(window.location.search);
+  const category = params.get(FILTER_CONFIG.CATEGORY_PARAM);
+  const query = params.get(FILTER_CONFIG.QUERY_PARAM) || '';
+
+  return {
+    category: Object.values(ServiceCategory).includes(category) ? category : null,
+    query: query.trim(),
+  };
+}
+
+/**
+ * Write filter state to the URL query string without adding history entries
+ * @param {{category: string|null, query: string}} filter - Filter state
+ */
+function writeFilterToUrl(filter) {
+  if (!window.history || !window.history.replaceState) {
+    return;
+  }
+
+  const url = new URL(window.location.href);
+
+  if (filter.category) {
+    url.searchParams.set(FILTER_CONFIG.CATEGORY_PARAM, filter.category);
+  } else {
+    url.searchParams.delete(FILTER_CONFIG.CATEGORY_PARAM);
+  }
+
+  if (filter.query) {
+    url.searchParams.set(FILTER_CONFIG.QUERY_PARAM, filter.query);
+  } else {
+    url.searchParams.delete(FILTER_CONFIG.QUERY_PARAM);
+  }
+
+  window.history.replaceState(window.history.state, '', url.toString());
+}
+
+/**
+ * Resolve the services matching a filter state
+ * @param {{category: string|null, query: string}} filter - Filter state
+ * @returns {import('../data/services.js').ServiceData[]} Matching services sorted by priority
+ */
+function getFilteredServices(filter) {
+  let services = filter.category
+    ? getServicesByCategory(filter.category)
+    : getAllServicesSorted();
+
+  if (filter.query.length >= FILTER_CONFIG.MIN_QUERY_LENGTH) {
+    const matchingIds = new Set(
+      searchServicesByKeyword(filter.query).map((service) => service.id)
+    );
+    services = services.filter((service) => matchingIds.has(service.id));
+  }
+
+  return [...services].sort((a, b) => a.metadata.priority - b.metadata.priority);
+}
+
+/**
+ * Build the results announcement for the current filter
+ * @param {number} count - Number of matching services
+ * @param {{category: string|null, query: string}} filter - Filter state
+ * @returns {string} Announcement text
+ */
+function describeFilterResults(count, filter) {
+  const hasQuery = filter.query.length >= FILTER_CONFIG.MIN_QUERY_LENGTH;
+  let scope = 'none';
+
+  if (filter.category && hasQuery) {
+    scope = 'both';
+  } else if (filter.category) {
+    scope = 'category';
+  } else if (hasQuery) {
+    scope = 'query';
+  }
+
+  return t('services.results', {
+    count,
+    scope,
+    category: filter.category ? getServiceCategoryLabel(filter.category) : '',
+    query: hasQuery ? filter.query : '',
+  });
+}
+
+/**
+ * Sync chip pressed states with the active category
+ */
+function updateFilterChips() {
+  const toolbar = domElements.filterToolbar;
+
+  if (!toolbar) {
+    return;
+  }
+
+  safeQuerySelectorAll('.filter-chip', toolbar).forEach((chip) => {
+    const chipCategory = chip.getAttribute('data-category') || null;
+    chip.setAttribute(
+      'aria-pressed',
+      chipCategory === servicesState.filter.category ? 'true' : 'false'
+    );
+  });
+}
+
+/**
+ * Apply the current filter state to the grid
+ * @param {Object} [options] - Apply options
+ * @param {boolean} [options.announceResults=true] - Announce the result count
+ */
+function applyFilter(options = {}) {
+  const { announceResults = true } = options;
+  const filter = servicesState.filter;
+  const services = getFilteredServices(filter);
+
+  renderServiceCards(services);
+  refreshCardReferences();
+  bindCardListeners();
+  enhanceAccessibility();
+  implementLazyLoading();
+  optimizeGridLayout();
+  updateFilterChips();
+
+  if (domElements.emptyState) {
+    domElements.emptyState.hidden = services.length > 0;
+  }
+
+  writeFilterToUrl(filter);
+
+  if (announceResults) {
+    announce(describeFilterResults(services.length, filter), { politeness: 'polite' });
+  }
+}
+
+/**
+ * Handle category chip click
+ * @param {Event} event - Click event
+ */
+function handleFilterChipClick(event) {
+  const chip = event.target.closest('.filter-chip');
+
+  if (!chip) {
+    return;
+  }
+
+  servicesState.filter.category = chip.getAttribute('data-category') || null;
+  applyFilter();
+}
+
+/**
+ * Handle search input with debouncing
+ */
+const handleSearchInput = debounce((event) => {
+  servicesState.filter.query = event.target.value.trim();
+  applyFilter();
+}, FILTER_CONFIG.SEARCH_DEBOUNCE);
+
+/**
+ * Create a category filter chip
+ * @param {string|null} category - Category value, or null for all services
+ * @param {number} count - Number of services in the category
+ * @returns {HTMLButtonElement} Chip button
+ */
+function createFilterChip(category, count) {
+  const label = category ? getServiceCategoryLabel(category) : t('services.allCategories');
+  const chip = document.createElement('button');
+  chip.type = 'button';
+  chip.className = 'filter-chip';
+  chip.setAttribute('aria-pressed', 'false');
+  chip.setAttribute('aria-label', t('services.chipLabel', { label, count }));
+
+  if (category) {
+    chip.setAttribute('data-category', category);
+  }
+
+  chip.textContent = `${label} `;
+
+  const countBadge = document.createElement('span');
+  countBadge.className = 'filter-chip-count';
+  countBadge.setAttribute('aria-hidden', 'true');
+  countBadge.textContent = count.toString();
+  chip.appendChild(countBadge);
+
+  return chip;
+}
+
+/**
+ * Fill the filter toolbar's labels and chips in the active language
+ */
+function renderFilterToolbarText() {
+  const { searchLabel, searchInput, chipGroup, emptyState } = domElements;
+
+  if (!domElements.filterToolbar) {
+    return;
+  }
+
+  const counts = getServiceCategoryCounts();
+
+  searchLabel.textContent = t('services.search');
+  searchInput.placeholder = t('services.searchPlaceholder');
+  chipGroup.setAttribute('aria-label', t('services.filterLabel'));
+  emptyState.textContent = t('services.empty');
+
+  chipGroup.replaceChildren(createFilterChip(null, servicesData.length));
+
+  Object.values(ServiceCategory).forEach((category) => {
+    if (counts[category] > 0) {
+      chipGroup.appendChild(createFilterChip(category, counts[category]));
+    }
+  });
+
+  updateFilterChips();
+}
+
+/**
+ * Render the filter toolbar above the services grid
+ */
+function renderFilterToolbar() {
+  const grid = domElements.servicesGrid;
+
+  if (!grid || domElements.filterToolbar) {
+    return;
+  }
+
+  const toolbar = document.createElement('div');
+  toolbar.className = 'services-filter';
+
+  const searchGroup = document.createElement('div');
+  searchGroup.className = 'services-search';
+
+  const searchLabel = document.createElement('label');
+  searchLabel.setAttribute('for', 'services-search-input');
+  searchLabel.className = 'sr-only';
+
+  const searchInput = document.createElement('input');
+  searchInput.type = 'search';
+  searchInput.id = 'services-search-input';
+  searchInput.name = FILTER_CONFIG.QUERY_PARAM;
+  searchInput.autocomplete = 'off';
+  searchInput.setAttribute('aria-controls', 'services-grid');
+  searchInput.value = servicesState.filter.query;
+
+  searchGroup.appendChild(searchLabel);
+  searchGroup.appendChild(searchInput);
+
+  const chipGroup = document.createElement('div');
+  chipGroup.className = 'filter-chips';
+  chipGroup.setAttribute('role', 'group');
+
+  toolbar.appendChild(searchGroup);
+  toolbar.appendChild(chipGroup);
+
+  const emptyState = document.createElement('p');
+  emptyState.className = 'services-empty';
+  emptyState.hidden = true;
+
+  grid.parentNode.insertBefore(toolbar, grid);
+  grid.parentNode.insertBefore(emptyState, grid.nextSibling);
+
+  chipGroup.addEventListener('click', handleFilterChipClick);
+  searchInput.addEventListener('input', handleSearchInput);
+
+  domElements.filterToolbar = toolbar;
+  domElements.searchLabel = searchLabel;
+  domElements.searchInput = searchInput;
+  domElements.chipGroup = chipGroup;
+  domElements.emptyState = emptyState;
+
+  renderFilterToolbarText();
+}
+
 // ============================================
 // Initialization
 // ============================================
@@ -532,15 +852,30 @@ function initializeDOMReferences() {
   domElements = {
     servicesSection: safeQuerySelector('#services'),
     servicesGrid: safeQuerySelector('.services-grid'),
-    serviceCards: safeQuerySelectorAll('.service-card'),
-    serviceLinks: safeQuerySelectorAll('.service-link'),
+    serviceCards: [],
+    serviceLinks: [],
+    filterToolbar: null,
+    searchLabel: null,
+    searchInput: null,
+    chipGroup: null,
+    emptyState: null,
   };
 }
 
 /**
- * Initialize event listeners
+ * Refresh card and link references after the grid has been rendered
  */
-function initializeEventListeners() {
+function refreshCardReferences() {
+  const grid = domElements.servicesGrid;
+
+  domElements.serviceCards = grid ? safeQuerySelectorAll('.service-card', grid) : [];
+  domElements.serviceLinks = grid ? safeQuerySelectorAll('.service-link', grid) : [];
+}
+
+/**
+ * Attach interaction listeners to the currently rendered cards
+ */
+function bindCardListeners() {
   const cards = domElements.serviceCards;
   const links = domElements.serviceLinks;
 
@@ -561,6 +896,13 @@ function initializeEventListeners() {
       link.addEventListener('click', handleServiceLinkClick);
     });
   }
+}
+
+/**
+ * Initialize event listeners
+ */
+function initializeEventListeners() {
+  bindCardListeners();
 
   // Window resize event
   window.addEventListener('resize', handleResize);
@@ -589,9 +931,26 @@ export function initializeServicesSection() {
       return;
     }
 
+    // Restore shared filter state and render service cards from the data module
+    servicesState.filter = readFilterFromUrl();
+    renderFilterToolbar();
+    renderServiceCards(getFilteredServices(servicesState.filter));
+    refreshCardReferences();
+    updateFilterChips();
+
+    if (domElements.emptyState) {
+      domElements.emptyState.hidden = domElements.serviceCards.length > 0;
+    }
+
     // Initialize event listeners
     initializeEventListeners();
 
+    // Re-render the toolbar and cards in the new language without announcing a result change
+    servicesState.unsubscribeLocale = onLocaleChange(() => {
+      renderFilterToolbarText();
+      applyFilter({ announceResults: false });
+    });
+
     // Optimize grid layout
     optimizeGridLayout();
 
@@ -625,5 +984,7 @@ export {
   getServiceById,
   getServicesByCategory,
   getFeaturedServices,
+  renderServiceCards,
+  getFilteredServices,
   optimizeGridLayout,
 };
\ No newline at end of file
@@ -0,0 +1,376 @@
+/**
+ * Testimonials Carousel Module
+ * Accessible auto-rotating carousel of client testimonials
+ *
+ * @module testimonials-carousel
+ * @description Implements the WAI-ARIA tabbed carousel pattern: a rotation
+ * (pause/play) button comes first, followed by a tab list with one tab per
+ * slide (arrow keys, Home and End move between tabs via createRovingTabindex).
+ * Rotation stops for good when keyboard focus enters the carousel, pauses
+ * while the pointer is over it and never starts on its own for visitors who
+ * prefer reduced motion. Star ratings are decorative; each has a text equivalent.
+ */
+
+import { createRovingTabindex } from '../utils/accessibility.js';
+import { RATING_SCALE } from '../data/company.js';
+import { t } from '../utils/i18n.js';
+
+// ============================================
+// Constants and Configuration
+// ============================================
+
+/**
+ * Carousel configuration
+ * @type {Object}
+ */
+const CAROUSEL_CONFIG = Object.freeze({
+  ROTATION_INTERVAL: 7000,
+  REDUCED_MOTION_QUERY: '(prefers-reduced-motion: reduce)',
+  STAR_FILLED: '★',
+  STAR_EMPTY: '☆',
+  LABEL_KEYS: Object.freeze({
+    carousel: 'testimonials.carousel',
+    tabList: 'testimonials.tabList',
+    stop: 'testimonials.stop',
+    start: 'testimonials.start',
+    pause: 'testimonials.pause',
+    play: 'testimonials.play',
+  }),
+});
+
+// ============================================
+// Rendering Helpers
+// ============================================
+
+/**
+ * Creates a star rating with a text equivalent for screen readers
+ * @param {number} rating - Rating value
+ * @param {Object} [options={}] - Rating options
+ * @param {number} [options.best=RATING_SCALE.best] - Highest possible rating
+ * @param {string} [options.className='star-rating'] - Class of the wrapper element
+ * @returns {HTMLElement} Rating element
+ */
+export function createStarRating(rating, options = {}) {
+  const { best = RATING_SCALE.best, className = 'star-rating' } = options;
+  const filled = Math.min(best, Math.max(0, Math.round(rating)));
+
+  const wrapper = document.createElement('span');
+  wrapper.className = className;
+
+  const stars = document.createElement('span');
+  stars.className = 'star-rating-stars';
+  stars.setAttribute('aria-hidden', 'true');
+  stars.textContent = CAROUSEL_CONFIG.STAR_FILLED.repeat(filled) + CAROUSEL_CONFIG.STAR_EMPTY.repeat(best - filled);
+
+  const text = document.createElement('span');
+  text.className = 'sr-only';
+  text.textContent = t('testimonials.rating', { rating, best });
+
+  wrapper.append(stars, text);
+  return wrapper;
+}
+
+/**
+ * Collapses the line breaks and indentation of multi-line data strings
+ * @param {string} text - Raw text
+ * @returns {string} Single-line text
+ */
+function normalizeWhitespace(text) {
+  return String(text).replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Creates one slide
+ * @param {Object} testimonial - Testimonial data
+ * @param {number} index - Slide index
+ * @param {number} count - Number of slides
+ * @returns {HTMLElement} Slide element
+ */
+function createSlide(testimonial, index, count) {
+  const slide = document.createElement('div');
+  slide.id = `${testimonial.id}-slide`;
+  slide.className = 'testimonial-slide';
+  slide.setAttribute('role', 'tabpanel');
+  slide.setAttribute('aria-roledescription', t('testimonials.slideRole'));
+  slide.setAttribute('aria-label', t('testimonials.slideLabel', { index: index + 1, count }));
+  slide.hidden = index !== 0;
+
+  const figure = document.createElement('figure');
+
+  const quote = document.createElement('blockquote');
+  quote.className = 'testimonial-quote';
+  const quoteText = document.createElement('p');
+  quoteText.textContent = normalizeWhitespace(testimonial.quote);
+  quote.appendChild(quoteText);
+
+  const caption = document.createElement('figcaption');
+  caption.className = 'testimonial-author';
+
+  const name = document.createElement('cite');
+  name.textContent = testimonial.name;
+
+  const details = document.createElement('span');
+  details.className = 'testimonial-details';
+  details.textContent = [testimonial.role, testimonial.location, testimonial.year].filter(Boolean).join(', ');
+
+  caption.append(name, details);
+
+  figure.append(createStarRating(testimonial.rating, { className: 'star-rating testimonial-rating' }), quote, caption);
+  slide.appendChild(figure);
+
+  return slide;
+}
+
+/**
+ * Creates the tab that selects a slide
+ * @param {Object} testimonial - Testimonial data
+ * @param {number} index - Slide index
+ * @returns {HTMLButtonElement} Tab element
+ */
+function createTab(testimonial, index) {
+  const tab = document.createElement('button');
+  tab.type = 'button';
+  tab.className = 'testimonial-tab';
+  tab.setAttribute('role', 'tab');
+  tab.setAttribute('aria-controls', `${testimonial.id}-slide`);
+  tab.setAttribute('aria-selected', String(index === 0));
+  tab.setAttribute('aria-label', t('testimonials.tabLabel', { index: index + 1, name: testimonial.name }));
+
+  return tab;
+}
+
+// ============================================
+// Carousel Factory
+// ============================================
+
+/**
+ * Creates a testimonials carousel
+ * @param {Object[]} testimonials - Testimonials with id, name, role, location, quote, rating and year
+ * @param {Object} [options={}] - Carousel options
+ * @param {number} [options.interval=7000] - Time each slide is shown while rotating, in ms
+ * @param {boolean} [options.autoplay=true] - Start rotating, unless the visitor prefers reduced motion
+ * @returns {{ element: HTMLElement, goTo: Function, play: Function, pause: Function,
+ *   isRotating: Function, getCurrentIndex: Function, destroy: Function }|null} Carousel controller,
+ *   or null when there is nothing to show
+ */
+export function createTestimonialsCarousel(testimonials, options = {}) {
+  const { interval = CAROUSEL_CONFIG.ROTATION_INTERVAL, autoplay = true } = options;
+
+  if (!Array.isArray(testimonials) || testimonials.length === 0) {
+    console.warn('[Testimonials] No testimonials to display');
+    return null;
+  }
+
+  const reducedMotion = typeof window.matchMedia === 'function'
+    ? window.matchMedia(CAROUSEL_CONFIG.REDUCED_MOTION_QUERY)
+    : null;
+
+  const state = {
+    currentIndex: 0,
+    rotating: false,
+    hovered: false,
+    timer: null,
+  };
+
+  const element = document.createElement('section');
+  element.className = 'testimonials-carousel';
+  element.setAttribute('aria-roledescription', t('testimonials.carouselRole'));
+  element.setAttribute('aria-label', t(CAROUSEL_CONFIG.LABEL_KEYS.carousel));
+
+  const controls = document.createElement('div');
+  controls.className = 'testimonials-controls';
+
+  const rotationButton = document.createElement('button');
+  rotationButton.type = 'button';
+  rotationButton.className = 'testimonials-rotation';
+
+  const tabList = document.createElement('div');
+  tabList.className = 'testimonials-tabs';
+  tabList.setAttribute('role', 'tablist');
+  tabList.setAttribute('aria-label', t(CAROUSEL_CONFIG.LABEL_KEYS.tabList));
+
+  const slidesContainer = document.createElement('div');
+  slidesContainer.className = 'testimonials-slides';
+
+  const slides = testimonials.map((testimonial, index) => createSlide(testimonial, index, testimonials.length));
+  const tabs = testimonials.map((testimonial, index) => createTab(testimonial, index));
+
+  tabList.append(...tabs);
+  slidesContainer.append(...slides);
+  controls.append(rotationButton, tabList);
+  element.append(controls, slidesContainer);
+
+  const roving = createRovingTabindex(tabs, { orientation: 'horizontal' });
+
+  /**
+   * Shows a slide and selects its tab
+   * @param {number} index - Slide index (wraps around)
+   */
+  const showSlide = (index) => {
+    const count = slides.length;
+    state.currentIndex = ((index % count) + count) % count;
+
+    slides.forEach((slide, slideIndex) => {
+      slide.hidden = slideIndex !== state.currentIndex;
+    });
+
+    tabs.forEach((tab, tabIndex) => {
+      const selected = tabIndex === state.currentIndex;
+      tab.setAttribute('aria-selected', String(selected));
+      tab.setAttribute('tabindex', selected ? '0' : '-1');
+    });
+  };
+
+  /**
+   * Schedules the next slide while rotating and not hovered
+   */
+  const scheduleNext = () => {
+    clearTimeout(state.timer);
+    state.timer = null;
+
+    if (state.rotating && !state.hovered) {
+      state.timer = setTimeout(() => {
+        showSlide(state.currentIndex + 1);
+        scheduleNext();
+      }, interval);
+    }
+  };
+
+  /**
+   * Updates the rotation button and live region for the rotation state
+   */
+  const renderRotationState = () => {
+    const { pause, play, stop, start } = CAROUSEL_CONFIG.LABEL_KEYS;
+    rotationButton.textContent = t(state.rotating ? pause : play);
+    rotationButton.setAttribute('aria-label', t(state.rotating ? stop : start));
+    rotationButton.dataset.rotating = String(state.rotating);
+    // Announce slide changes only when the visitor caused them
+    slidesContainer.setAttribute('aria-live', state.rotating ? 'off' : 'polite');
+  };
+
+  /**
+   * Starts or stops automatic rotation
+   * @param {boolean} rotating - Whether to rotate
+   */
+  const setRotating = (rotating) => {
+    state.rotating = rotating;
+    renderRotationState();
+    scheduleNext();
+  };
+
+  /**
+   * Shows a slide chosen by the visitor
+   * @param {number} index - Slide index
+   */
+  const goTo = (index) => {
+    showSlide(index);
+    scheduleNext();
+  };
+
+  const handleRotationClick = () => setRotating(!state.rotating);
+
+  const handleTabClick = (event) => goTo(tabs.indexOf(event.currentTarget));
+
+  // Arrow keys move focus through createRovingTabindex; the focused tab's slide is shown
+  const handleTabFocus = (event) => showSlide(tabs.indexOf(event.currentTarget));
+
+  const handleFocusIn = (event) => {
+    // Keyboard focus stops rotation until the rotation button is used again
+    if (event.target !== rotationButton && state.rotating) {
+      setRotating(false);
+    }
+  };
+
+  const handleMouseEnter = () => {
+    state.hovered = true;
+    scheduleNext();
+  };
+
+  const handleMouseLeave = () => {
+    state.hovered = false;
+    scheduleNext();
+  };
+
+  const handleReducedMotionChange = (event) => {
+    if (event.matches && state.rotating) {
+      setRotating(false);
+    }
+  };
+
+  rotationButton.addEventListener('click', handleRotationClick);
+  tabs.forEach((tab) => {
+    tab.addEventListener('click', handleTabClick);
+    tab.addEventListener('focus', handleTabFocus);
+  });
+  element.addEventListener('focusin', handleFocusIn);
+  element.addEventListener('mouseenter', handleMouseEnter);
+  element.addEventListener('mouseleave', handleMouseLeave);
+
+  if (reducedMotion && typeof reducedMotion.addEventListener === 'function') {
+    reducedMotion.addEventListener('change', handleReducedMotionChange);
+  }
+
+  showSlide(0);
+  setRotating(autoplay && slides.length > 1 && !(reducedMotion && reducedMotion.matches));
+
+  return {
+    element,
+    goTo,
+
+    /**
+     * Start automatic rotation
+     */
+    play() {
+      setRotating(true);
+    },
+
+    /**
+     * Stop automatic rotation
+     */
+    pause() {
+      setRotating(false);
+    },
+
+    /**
+     * Check whether the carousel is rotating
+     * @returns {boolean} True while automatic rotation is on
+     */
+    isRotating() {
+      return state.rotating;
+    },
+
+    /**
+     * Get the index of the visible slide
+     * @returns {number} Slide index
+     */
+    getCurrentIndex() {
+      return state.currentIndex;
+    },
+
+    /**
+     * Stop rotation and remove event listeners
+     */
+    destroy() {
+      clearTimeout(state.timer);
+      state.timer = null;
+      state.rotating = false;
+
+      if (roving) {
+        roving.destroy();
+      }
+
+      rotationButton.removeEventListener('click', handleRotationClick);
+      tabs.forEach((tab) => {
+        tab.removeEventListener('click', handleTabClick);
+        tab.removeEventListener('focus', handleTabFocus);
+      });
+      element.removeEventListener('focusin', handleFocusIn);
+      element.removeEventListener('mouseenter', handleMouseEnter);
+      element.removeEventListener('mouseleave', handleMouseLeave);
+
+      if (reducedMotion && typeof reducedMotion.removeEventListener === 'function') {
+        reducedMotion.removeEventListener('change', handleReducedMotionChange);
+      }
+    },
+  };
+}
@@ -7,89 +7,184 @@
  * @module data/company
  * @generated-from: task-id:AGRO-006
  * @modifies: none
- * @dependencies: []
+ * @dependencies: ["data/site-config", "utils/business-hours", "utils/i18n"]
  */
 
+import { SITE_CONFIG, formatConfigHours, formatConfigAddress } from './site-config.js';
+import { getZonedTime } from '../utils/business-hours.js';
+import { getLocale, getLocalizedValue, SUPPORTED_LOCALES } from '../utils/i18n.js';
+
+const { stats } = SITE_CONFIG;
+
 /**
  * Company information object containing all business details
+ * Visitor-facing text is stored per locale ({ en, es }); the getters below resolve it to one locale.
  * @type {Object}
  * @property {Object} background - Company background and history
  * @property {number} yearsOfExperience - Years in agricultural business
  * @property {Object} mission - Mission statement and commitment
- * @property {string[]} values - Core company values
- * @property {Object[]} certifications - Industry certifications and awards
+ * @property {Object[]} values - Core company values
+ * @property {Object[]} certifications - Industry certifications and awards; certificateNumber,
+ *   expiresOn (YYYY-MM-DD, last valid day), verificationUrl and thumbnail ({ src, alt }) are optional
  * @property {Object[]} trustIndicators - Trust-building elements
  * @property {Object[]} statistics - Key business statistics
  */
 const companyInfo = Object.freeze({
   background: Object.freeze({
-    title: 'Our Story',
-    subtitle: 'Rooted in Agricultural Excellence',
-    description: `Founded with a passion for sustainable agriculture and a commitment to supporting farmers, 
+    title: Object.freeze({ en: 'Our Story', es: 'Nuestra historia' }),
+    subtitle: Object.freeze({ en: 'Rooted in Agricultural Excellence', es: 'Con raíces en la excelencia agrícola' }),
+    description: Object.freeze({
+      en: `Founded with a passion for sustainable agriculture and a commitment to supporting farmers, 
     we have grown from a small local operation into a trusted partner for agricultural businesses across the region. 
     Our journey began with a simple mission: to provide high-quality agricultural solutions that help farmers thrive 
     while protecting the land for future generations.`,
-    extendedDescription: `Over the years, we have built strong relationships with farmers, suppliers, and agricultural 
+      es: `Fundada con pasión por la agricultura sostenible y el compromiso de apoyar a los agricultores, 
+    pasamos de ser una pequeña empresa local a un socio de confianza para los negocios agrícolas de toda la región. 
+    Nuestro camino comenzó con una misión sencilla: ofrecer soluciones agrícolas de alta calidad que ayuden a los 
+    agricultores a prosperar mientras protegen la tierra para las generaciones futuras.`,
+    }),
+    extendedDescription: Object.freeze({
+      en: `Over the years, we have built strong relationships with farmers, suppliers, and agricultural 
     experts, creating a network of knowledge and support that benefits everyone we serve. Our team combines traditional 
     farming wisdom with modern agricultural science to deliver solutions that are both effective and environmentally responsible.`,
-    foundedYear: 1998,
-    location: 'Serving agricultural communities nationwide',
-    teamSize: '50+ dedicated professionals',
+      es: `Con los años hemos construido relaciones sólidas con agricultores, proveedores y expertos 
+    agrícolas, creando una red de conocimiento y apoyo que beneficia a todos a quienes servimos. Nuestro equipo combina 
+    la sabiduría agrícola tradicional con la ciencia agrícola moderna para ofrecer soluciones eficaces y responsables con el medio ambiente.`,
+    }),
+    foundedYear: SITE_CONFIG.brand.foundedYear,
+    location: Object.freeze({
+      en: 'Serving agricultural communities nationwide',
+      es: 'Al servicio de comunidades agrícolas en todo el país',
+    }),
+    teamSize: Object.freeze({
+      en: `${stats.teamSize.display} dedicated professionals`,
+      es: `${stats.teamSize.display} profesionales dedicados`,
+    }),
   }),
 
-  yearsOfExperience: 25,
+  yearsOfExperience: stats.yearsOfExperience.value,
 
   mission: Object.freeze({
-    statement: `To empower agricultural businesses with innovative solutions, expert guidance, and unwavering support, 
+    statement: Object.freeze({
+      en: `To empower agricultural businesses with innovative solutions, expert guidance, and unwavering support, 
     fostering sustainable growth and prosperity in farming communities.`,
-    commitment: `We are committed to agricultural excellence through continuous innovation, sustainable practices, 
+      es: `Impulsar a los negocios agrícolas con soluciones innovadoras, asesoría experta y un apoyo constante, 
+    fomentando el crecimiento sostenible y la prosperidad de las comunidades agrícolas.`,
+    }),
+    commitment: Object.freeze({
+      en: `We are committed to agricultural excellence through continuous innovation, sustainable practices, 
     and building lasting partnerships with the farmers and businesses we serve.`,
-    vision: `To be the most trusted partner in agricultural success, recognized for our integrity, expertise, 
+      es: `Nos comprometemos con la excelencia agrícola mediante la innovación continua, las prácticas sostenibles 
+    y la construcción de alianzas duraderas con los agricultores y negocios a los que servimos.`,
+    }),
+    vision: Object.freeze({
+      en: `To be the most trusted partner in agricultural success, recognized for our integrity, expertise, 
     and dedication to sustainable farming practices.`,
+      es: `Ser el socio más confiable para el éxito agrícola, reconocido por nuestra integridad, experiencia 
+    y dedicación a las prácticas agrícolas sostenibles.`,
+    }),
   }),
 
   values: Object.freeze([
-    'Integrity in every interaction and transaction',
-    'Sustainability as a core principle, not an afterthought',
-    'Innovation driven by real agricultural needs',
-    'Partnership built on trust and mutual success',
-    'Excellence in service, products, and support',
-    'Community commitment to farming families',
-    'Expertise backed by decades of agricultural experience',
-    'Responsibility to land, environment, and future generations',
+    Object.freeze({
+      en: 'Integrity in every interaction and transaction',
+      es: 'Integridad en cada interacción y transacción',
+    }),
+    Object.freeze({
+      en: 'Sustainability as a core principle, not an afterthought',
+      es: 'La sostenibilidad como principio fundamental, no como algo secundario',
+    }),
+    Object.freeze({
+      en: 'Innovation driven by real agricultural needs',
+      es: 'Innovación impulsada por necesidades agrícolas reales',
+    }),
+    Object.freeze({
+      en: 'Partnership built on trust and mutual success',
+      es: 'Alianzas basadas en la confianza y el éxito mutuo',
+    }),
+    Object.freeze({
+      en: 'Excellence in service, products, and support',
+      es: 'Excelencia en el servicio, los productos y el soporte',
+    }),
+    Object.freeze({
+      en: 'Community commitment to farming families',
+      es: 'Compromiso comunitario con las familias agricultoras',
+    }),
+    Object.freeze({
+      en: 'Expertise backed by decades of agricultural experience',
+      es: 'Conocimiento respaldado por décadas de experiencia agrícola',
+    }),
+    Object.freeze({
+      en: 'Responsibility to land, environment, and future generations',
+      es: 'Responsabilidad con la tierra, el medio ambiente y las generaciones futuras',
+    }),
   ]),
 
   certifications: Object.freeze([
     Object.freeze({
       id: 'cert-1',
-      name: 'Organic Certification',
+      name: Object.freeze({ en: 'Organic Certification', es: 'Certificación orgánica' }),
       issuer: 'USDA National Organic Program',
       year: 2015,
-      description: 'Certified organic practices and product handling',
+      description: Object.freeze({
+        en: 'Certified organic practices and product handling',
+        es: 'Prácticas orgánicas y manejo de productos certificados',
+      }),
       icon: '🌱',
+      certificateNumber: 'NOP-8150001234',
+      expiresOn: '2027-03-31',
+      verificationUrl: 'https://organic.ams.usda.gov/integrity/',
+      thumbnail: Object.freeze({
+        src: '/images/certificates/usda-organic.webp',
+        alt: Object.freeze({
+          en: 'USDA organic operation certificate for GreenField Agricultural Solutions',
+          es: 'Certificado de operación orgánica del USDA para GreenField Agricultural Solutions',
+        }),
+      }),
     }),
     Object.freeze({
       id: 'cert-2',
-      name: 'Sustainable Agriculture Award',
+      name: Object.freeze({ en: 'Sustainable Agriculture Award', es: 'Premio a la agricultura sostenible' }),
       issuer: 'National Agricultural Association',
       year: 2020,
-      description: 'Recognition for sustainable farming practices',
+      description: Object.freeze({
+        en: 'Recognition for sustainable farming practices',
+        es: 'Reconocimiento a las prácticas agrícolas sostenibles',
+      }),
       icon: '🏆',
     }),
     Object.freeze({
       id: 'cert-3',
-      name: 'Quality Assurance Certification',
+      name: Object.freeze({ en: 'Quality Assurance Certification', es: 'Certificación de aseguramiento de calidad' }),
       issuer: 'Agricultural Quality Institute',
       year: 2018,
-      description: 'Certified quality management systems',
+      description: Object.freeze({
+        en: 'Certified quality management systems',
+        es: 'Sistemas de gestión de calidad certificados',
+      }),
       icon: '✓',
+      certificateNumber: 'AQI-QA-18-0457',
+      expiresOn: '2026-12-15',
+      thumbnail: Object.freeze({
+        src: '/images/certificates/quality-assurance.webp',
+        alt: Object.freeze({
+          en: 'Agricultural Quality Institute quality management certificate',
+          es: 'Certificado de gestión de calidad del Agricultural Quality Institute',
+        }),
+      }),
     }),
     Object.freeze({
       id: 'cert-4',
-      name: 'Environmental Stewardship Recognition',
+      name: Object.freeze({
+        en: 'Environmental Stewardship Recognition',
+        es: 'Reconocimiento a la gestión ambiental',
+      }),
       issuer: 'Environmental Protection Agency',
       year: 2021,
-      description: 'Excellence in environmental protection',
+      description: Object.freeze({
+        en: 'Excellence in environmental protection',
+        es: 'Excelencia en la protección del medio ambiente',
+      }),
       icon: '🌍',
     }),
   ]),
@@ -97,30 +192,42 @@ const companyInfo = Object.freeze({
   trustIndicators: Object.freeze([
     Object.freeze({
       id: 'trust-1',
-      metric: 'Customer Satisfaction',
-      value: '98%',
-      description: 'of customers rate our service as excellent',
+      metric: Object.freeze({ en: 'Customer Satisfaction', es: 'Satisfacción del cliente' }),
+      value: stats.clientSatisfaction.display,
+      description: Object.freeze({
+        en: 'of customers rate our service as excellent',
+        es: 'de los clientes califican nuestro servicio como excelente',
+      }),
       icon: '⭐',
     }),
     Object.freeze({
       id: 'trust-2',
-      metric: 'Repeat Business',
+      metric: Object.freeze({ en: 'Repeat Business', es: 'Clientes recurrentes' }),
       value: '95%',
-      description: 'of clients return for continued partnership',
+      description: Object.freeze({
+        en: 'of clients return for continued partnership',
+        es: 'de los clientes vuelven para seguir trabajando con nosotros',
+      }),
       icon: '🔄',
     }),
     Object.freeze({
       id: 'trust-3',
-      metric: 'Expert Team',
-      value: '50+',
-      description: 'agricultural specialists and advisors',
+      metric: Object.freeze({ en: 'Expert Team', es: 'Equipo experto' }),
+      value: stats.teamSize.display,
+      description: Object.freeze({
+        en: 'agricultural specialists and advisors',
+        es: 'especialistas y asesores agrícolas',
+      }),
       icon: '👥',
     }),
     Object.freeze({
       id: 'trust-4',
-      metric: 'Product Quality',
+      metric: Object.freeze({ en: 'Product Quality', es: 'Calidad de producto' }),
       value: '100%',
-      description: 'quality guaranteed on all products',
+      description: Object.freeze({
+        en: 'quality guaranteed on all products',
+        es: 'de calidad garantizada en todos los productos',
+      }),
       icon: '✓',
     }),
   ]),
@@ -128,27 +235,47 @@ const companyInfo = Object.freeze({
   statistics: Object.freeze([
     Object.freeze({
       id: 'stat-1',
-      number: '25+',
-      label: 'Years of Experience',
-      description: 'Serving agricultural communities',
+      key: 'yearsOfExperience',
+      value: stats.yearsOfExperience.value,
+      number: stats.yearsOfExperience.display,
+      label: stats.yearsOfExperience.label,
+      description: Object.freeze({
+        en: 'Serving agricultural communities',
+        es: 'Al servicio de comunidades agrícolas',
+      }),
     }),
     Object.freeze({
       id: 'stat-2',
-      number: '5000+',
-      label: 'Satisfied Customers',
-      description: 'Farmers and agricultural businesses',
+      key: 'farmsServed',
+      value: stats.farmsServed.value,
+      number: stats.farmsServed.display,
+      label: stats.farmsServed.label,
+      description: Object.freeze({
+        en: 'Farmers and agricultural businesses',
+        es: 'Agricultores y negocios agrícolas',
+      }),
     }),
     Object.freeze({
       id: 'stat-3',
-      number: '50+',
-      label: 'Expert Team Members',
-      description: 'Agricultural specialists',
+      key: 'teamSize',
+      value: stats.teamSize.value,
+      number: stats.teamSize.display,
+      label: stats.teamSize.label,
+      description: Object.freeze({
+        en: 'Agricultural specialists',
+        es: 'Especialistas agrícolas',
+      }),
     }),
     Object.freeze({
       id: 'stat-4',
-      number: '98%',
-      label: 'Customer Satisfaction',
-      description: 'Rated excellent service',
+      key: 'clientSatisfaction',
+      value: stats.clientSatisfaction.value,
+      number: stats.clientSatisfaction.display,
+      label: stats.clientSatisfaction.label,
+      description: Object.freeze({
+        en: 'Rated excellent service',
+        es: 'Servicio calificado como excelente',
+      }),
     }),
   ]),
 
@@ -156,49 +283,86 @@ const companyInfo = Object.freeze({
     Object.freeze({
       id: 'testimonial-1',
       name: 'John Anderson',
-      role: 'Farm Owner',
+      role: Object.freeze({ en: 'Farm Owner', es: 'Propietario de granja' }),
       location: 'Iowa',
-      quote: `Working with this team has transformed our farming operation. Their expertise and 
+      quote: Object.freeze({
+        en: `Working with this team has transformed our farming operation. Their expertise and 
       dedication to sustainable practices have helped us increase yields while protecting our land.`,
+        es: `Trabajar con este equipo ha transformado nuestra explotación agrícola. Su experiencia y 
+      su dedicación a las prácticas sostenibles nos han ayudado a aumentar el rendimiento protegiendo nuestra tierra.`,
+      }),
       rating: 5,
       year: 2023,
     }),
     Object.freeze({
       id: 'testimonial-2',
       name: 'Sarah Mitchell',
-      role: 'Agricultural Consultant',
+      role: Object.freeze({ en: 'Agricultural Consultant', es: 'Consultora agrícola' }),
       location: 'Nebraska',
-      quote: `I recommend them to all my clients. Their knowledge of modern agricultural techniques 
+      quote: Object.freeze({
+        en: `I recommend them to all my clients. Their knowledge of modern agricultural techniques 
       combined with respect for traditional farming wisdom is unmatched.`,
+        es: `Los recomiendo a todos mis clientes. Su conocimiento de las técnicas agrícolas modernas, 
+      unido al respeto por la sabiduría agrícola tradicional, no tiene igual.`,
+      }),
       rating: 5,
       year: 2023,
     }),
     Object.freeze({
       id: 'testimonial-3',
       name: 'Robert Chen',
-      role: 'Organic Farm Manager',
+      role: Object.freeze({ en: 'Organic Farm Manager', es: 'Gerente de granja orgánica' }),
       location: 'California',
-      quote: `The support and guidance we received during our transition to organic farming was invaluable. 
+      quote: Object.freeze({
+        en: `The support and guidance we received during our transition to organic farming was invaluable. 
       They were with us every step of the way.`,
+        es: `El apoyo y la orientación que recibimos durante nuestra transición a la agricultura orgánica fueron invaluables. 
+      Nos acompañaron en cada paso del camino.`,
+      }),
       rating: 5,
       year: 2022,
     }),
   ]),
 
   contact: Object.freeze({
-    phone: '1-800-AGRO-HELP',
-    email: 'info@agroexcellence.com',
-    address: '123 Agricultural Way, Farmville, USA',
-    hours: 'Monday - Friday: 8:00 AM - 6:00 PM',
-    emergencySupport: '24/7 Emergency Agricultural Support Available',
+    phone: SITE_CONFIG.contact.phone.display,
+    email: SITE_CONFIG.contact.email.display,
+    address: formatConfigAddress(),
+    hours: `${SITE_CONFIG.hours.schedule.weekdays.days}: ${formatConfigHours(SITE_CONFIG.hours.schedule.weekdays)}`,
+    emergencySupport: SITE_CONFIG.hours.emergencyNote,
   }),
 });
 
+/**
+ * Resolve content stored per locale to one locale, throughout nested objects and arrays
+ * @param {*} value - Content, where objects keyed only by locale codes hold per-locale text
+ * @param {string} locale - Locale to resolve
+ * @returns {*} Copy of the content with plain strings in place of per-locale text
+ */
+const localizeContent = (value, locale) => {
+  if (Array.isArray(value)) {
+    return value.map((item) => localizeContent(item, locale));
+  }
+
+  if (!value || typeof value !== 'object') {
+    return value;
+  }
+
+  const keys = Object.keys(value);
+
+  if (keys.length > 0 && keys.every((key) => SUPPORTED_LOCALES.includes(key))) {
+    return getLocalizedValue(value, locale);
+  }
+
+  return Object.fromEntries(keys.map((key) => [key, localizeContent(value[key], locale)]));
+};
+
 /**
  * Get company background information
+ * @param {string} [locale] - Locale for the text (defaults to the active locale)
  * @returns {Object} Background information object
  */
-export const getBackground = () => companyInfo.background;
+export const getBackground = (locale = getLocale()) => localizeContent(companyInfo.background, locale);
 
 /**
  * Get years of experience
@@ -208,39 +372,74 @@ export const getYearsOfExperience = () => companyInfo.yearsOfExperience;
 
 /**
  * Get mission statement and commitment
+ * @param {string} [locale] - Locale for the text (defaults to the active locale)
  * @returns {Object} Mission information object
  */
-export const getMission = () => companyInfo.mission;
+export const getMission = (locale = getLocale()) => localizeContent(companyInfo.mission, locale);
 
 /**
  * Get company values
+ * @param {string} [locale] - Locale for the text (defaults to the active locale)
  * @returns {string[]} Array of company values
  */
-export const getValues = () => companyInfo.values;
+export const getValues = (locale = getLocale()) => localizeContent(companyInfo.values, locale);
 
 /**
  * Get certifications and awards
+ * @param {string} [locale] - Locale for the text (defaults to the active locale)
  * @returns {Object[]} Array of certification objects
  */
-export const getCertifications = () => companyInfo.certifications;
+export const getCertifications = (locale = getLocale()) => localizeContent(companyInfo.certifications, locale);
 
 /**
  * Get trust indicators
+ * @param {string} [locale] - Locale for the text (defaults to the active locale)
  * @returns {Object[]} Array of trust indicator objects
  */
-export const getTrustIndicators = () => companyInfo.trustIndicators;
+export const getTrustIndicators = (locale = getLocale()) => localizeContent(companyInfo.trustIndicators, locale);
 
 /**
  * Get business statistics
+ * @param {string} [locale] - Locale for the text (defaults to the active locale)
  * @returns {Object[]} Array of statistic objects
  */
-export const getStatistics = () => companyInfo.statistics;
+export const getStatistics = (locale = getLocale()) => localizeContent(companyInfo.statistics, locale);
 
 /**
  * Get customer testimonials
+ * @param {string} [locale] - Locale for the text (defaults to the active locale)
  * @returns {Object[]} Array of testimonial objects
  */
-export const getTestimonials = () => companyInfo.testimonials;
+export const getTestimonials = (locale = getLocale()) => localizeContent(companyInfo.testimonials, locale);
+
+/**
+ * Rating scale used by testimonials
+ */
+export const RATING_SCALE = Object.freeze({ best: 5, worst: 1 });
+
+/**
+ * Get the aggregate rating of all testimonials
+ * @returns {{ ratingValue: number, reviewCount: number, bestRating: number, worstRating: number }|null}
+ *   Average rating rounded to one decimal, or null when there are no rated testimonials
+ */
+export const getAggregateRating = () => {
+  const ratings = companyInfo.testimonials
+    .map((testimonial) => testimonial.rating)
+    .filter((rating) => Number.isFinite(rating));
+
+  if (ratings.length === 0) {
+    return null;
+  }
+
+  const average = ratings.reduce((sum, rating) => sum + rating, 0) / ratings.length;
+
+  return {
+    ratingValue: Math.round(average * 10) / 10,
+    reviewCount: ratings.length,
+    bestRating: RATING_SCALE.best,
+    worstRating: RATING_SCALE.worst,
+  };
+};
 
 /**
  * Get contact information
@@ -250,40 +449,91 @@ export const getContact = () => companyInfo.contact;
 
 /**
  * Get complete company information
+ * @param {string} [locale] - Locale for the text (defaults to the active locale)
  * @returns {Object} Complete company information object
  */
-export const getCompanyInfo = () => companyInfo;
+export const getCompanyInfo = (locale = getLocale()) => localizeContent(companyInfo, locale);
 
 /**
  * Get certification by ID
  * @param {string} certId - Certification ID
+ * @param {string} [locale] - Locale for the text (defaults to the active locale)
  * @returns {Object|null} Certification object or null if not found
  */
-export const getCertificationById = (certId) => {
+export const getCertificationById = (certId, locale = getLocale()) => {
   if (typeof certId !== 'string' || !certId) {
     return null;
   }
-  return companyInfo.certifications.find((cert) => cert.id === certId) || null;
+  const certification = companyInfo.certifications.find((cert) => cert.id === certId);
+  return certification ? localizeContent(certification, locale) : null;
+};
+
+/**
+ * Days before expiry from which a certification is flagged as expiring soon
+ */
+export const CERTIFICATION_EXPIRY_WARNING_DAYS = 60;
+
+/**
+ * Certification validity states
+ */
+export const CERTIFICATION_STATUS = Object.freeze({
+  CURRENT: 'current',
+  EXPIRING: 'expiring',
+  EXPIRED: 'expired',
+});
+
+/**
+ * Get the validity of a certification on a given day in the office time zone
+ * Certifications without an expiry date (such as awards) are always current
+ * @param {Object} certification - Certification object
+ * @param {Date} [now=new Date()] - Instant to check
+ * @returns {{ status: string, daysRemaining: number|null }} One of CERTIFICATION_STATUS, and the
+ *   days left until the expiry date (0 on the last valid day, negative once expired)
+ */
+export const getCertificationStatus = (certification, now = new Date()) => {
+  const match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(certification.expiresOn || '');
+
+  if (!match) {
+    return { status: CERTIFICATION_STATUS.CURRENT, daysRemaining: null };
+  }
+
+  const [year, month, day] = getZonedTime(now, SITE_CONFIG.hours.timezone).dateKey.split('-').map(Number);
+  const today = Date.UTC(year, month - 1, day);
+  const expiry = Date.UTC(Number(match[1]), Number(match[2]) - 1, Number(match[3]));
+  const daysRemaining = Math.round((expiry - today) / 86400000);
+
+  let status = CERTIFICATION_STATUS.CURRENT;
+
+  if (daysRemaining < 0) {
+    status = CERTIFICATION_STATUS.EXPIRED;
+  } else if (daysRemaining <= CERTIFICATION_EXPIRY_WARNING_DAYS) {
+    status = CERTIFICATION_STATUS.EXPIRING;
+  }
+
+  return { status, daysRemaining };
 };
 
 /**
  * Get testimonial by ID
  * @param {string} testimonialId - Testimonial ID
+ * @param {string} [locale] - Locale for the text (defaults to the active locale)
  * @returns {Object|null} Testimonial object or null if not found
  */
-export const getTestimonialById = (testimonialId) => {
+export const getTestimonialById = (testimonialId, locale = getLocale()) => {
   if (typeof testimonialId !== 'string' || !testimonialId) {
     return null;
   }
-  return companyInfo.testimonials.find((t) => t.id === testimonialId) || null;
+  const testimonial = companyInfo.testimonials.find((t) => t.id === testimonialId);
+  return testimonial ? localizeContent(testimonial, locale) : null;
 };
 
 /**
  * Get statistics formatted for display
+ * @param {string} [locale] - Locale for the text (defaults to the active locale)
  * @returns {Object[]} Array of formatted statistic objects
  */
-export const getFormattedStatistics = () => {
-  return companyInfo.statistics.map((stat) => ({
+export const getFormattedStatistics = (locale = getLocale()) => {
+  return getStatistics(locale).map((stat) => ({
     ...stat,
     displayNumber: stat.number,
     displayLabel: stat.label,
@@ -309,7 +559,25 @@ export const validateCompanyInfo = () => {
       'contact',
     ];
 
-    return requiredFields.every((field) => field in companyInfo);
+    const isValid = requiredFields.every((field) => field in companyInfo);
+
+    // Lapsed certifications do not invalidate the data, but someone should renew them
+    getCertifications('en').forEach((cert) => {
+      if (cert.expiresOn && !/^\d{4}-\d{2}-\d{2}$/.test(cert.expiresOn)) {
+        console.warn('[Company] Certification has an invalid expiry date:', { id: cert.id, expiresOn: cert.expiresOn });
+        return;
+      }
+
+      const { status, daysRemaining } = getCertificationStatus(cert);
+
+      if (status === CERTIFICATION_STATUS.EXPIRED) {
+        console.warn('[Company] Certification has expired:', { id: cert.id, name: cert.name, expiresOn: cert.expiresOn });
+      } else if (status === CERTIFICATION_STATUS.EXPIRING) {
+        console.warn('[Company] Certification expires soon:', { id: cert.id, name: cert.name, daysRemaining });
+      }
+    });
+
+    return isValid;
   } catch (_error) {
     return false;
   }
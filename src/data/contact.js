@@ -5,34 +5,91 @@
  * @module contact
  * @generated-from: task-id:AGRO-007
  * @modifies: contact information data
- * @dependencies: []
+ * @dependencies: ["data/site-config", "utils/business-hours", "utils/icalendar", "utils/vcard", "utils/service-area", "utils/map-providers"]
  */
 
+import { SITE_CONFIG, formatConfigHours, formatConfigAddress } from './site-config.js';
+import { createBusinessHours } from '../utils/business-hours.js';
+import { t } from '../utils/i18n.js';
+import { createICalendar } from '../utils/icalendar.js';
+import { createVCard } from '../utils/vcard.js';
+import { getPlacesInServiceArea } from '../utils/service-area.js';
+import { GOOGLE_MAPS_PROVIDER } from '../utils/map-providers.js';
+
+/**
+ * Builds a business hours entry from a site configuration schedule entry
+ * @param {Object} entry - Schedule entry with days, daysOfWeek, open and close
+ * @returns {Object} Hours entry with a display string
+ */
+function toHoursEntry(entry) {
+  return {
+    days: entry.days,
+    daysOfWeek: entry.daysOfWeek,
+    hours: formatConfigHours(entry),
+    open: entry.open,
+    close: entry.close,
+  };
+}
+
+/**
+ * Exceptions to the regular weekly hours
+ *
+ * - `seasons`: annual MM-DD ranges (inclusive) whose entries replace the matching
+ *   regular schedule groups (weekdays, saturday, sunday)
+ * - `holidays`: recurring annual closures, either a fixed MM-DD `date` or a floating
+ *   `month` / `weekday` (0 = Sunday) / `week` (1-5, -1 = last) rule
+ * - `closures`: one-off closures with YYYY-MM-DD `start` and optional inclusive `end`
+ *
+ * A dated closure wins over a holiday, and both win over seasonal hours. Names are
+ * functions so they are read in the active language.
+ */
+const HOURS_CALENDAR = Object.freeze({
+  seasons: Object.freeze([
+    Object.freeze({
+      name: () => t('hours.seasons.planting'),
+      start: '03-15',
+      end: '05-15',
+      schedule: Object.freeze({
+        weekdays: Object.freeze({ open: '07:00', close: '19:00' }),
+        saturday: Object.freeze({ open: '08:00', close: '17:00' }),
+      }),
+    }),
+    Object.freeze({
+      name: () => t('hours.seasons.harvest'),
+      start: '09-01',
+      end: '10-31',
+      schedule: Object.freeze({
+        weekdays: Object.freeze({ open: '07:00', close: '20:00' }),
+        saturday: Object.freeze({ open: '08:00', close: '18:00' }),
+      }),
+    }),
+  ]),
+  holidays: Object.freeze([
+    Object.freeze({ name: () => t('hours.holidays.newYearsDay'), date: '01-01' }),
+    Object.freeze({ name: () => t('hours.holidays.memorialDay'), month: 5, weekday: 1, week: -1 }),
+    Object.freeze({ name: () => t('hours.holidays.independenceDay'), date: '07-04' }),
+    Object.freeze({ name: () => t('hours.holidays.laborDay'), month: 9, weekday: 1, week: 1 }),
+    Object.freeze({ name: () => t('hours.holidays.thanksgiving'), month: 11, weekday: 4, week: 4 }),
+    Object.freeze({ name: () => t('hours.holidays.christmasEve'), date: '12-24' }),
+    Object.freeze({ name: () => t('hours.holidays.christmasDay'), date: '12-25' }),
+  ]),
+  closures: Object.freeze([
+    Object.freeze({ name: () => t('hours.closures.equipmentMaintenance'), start: '2026-12-28', end: '2026-12-31' }),
+    Object.freeze({ name: () => t('hours.closures.staffTraining'), start: '2027-02-12' }),
+  ]),
+});
+
 /**
  * Business hours configuration
  * Structured format for easy parsing and display
  */
 const BUSINESS_HOURS = Object.freeze({
-  weekdays: {
-    days: 'Monday - Friday',
-    hours: '8:00 AM - 6:00 PM',
-    open: '08:00',
-    close: '18:00',
-  },
-  saturday: {
-    days: 'Saturday',
-    hours: '9:00 AM - 4:00 PM',
-    open: '09:00',
-    close: '16:00',
-  },
-  sunday: {
-    days: 'Sunday',
-    hours: 'Closed',
-    open: null,
-    close: null,
-  },
-  timezone: 'EST',
-  note: 'Emergency services available 24/7',
+  weekdays: toHoursEntry(SITE_CONFIG.hours.schedule.weekdays),
+  saturday: toHoursEntry(SITE_CONFIG.hours.schedule.saturday),
+  sunday: toHoursEntry(SITE_CONFIG.hours.schedule.sunday),
+  timezone: SITE_CONFIG.hours.timezone,
+  note: SITE_CONFIG.hours.emergencyNote,
+  calendar: HOURS_CALENDAR,
 });
 
 /**
@@ -40,8 +97,7 @@ const BUSINESS_HOURS = Object.freeze({
  */
 const CONTACT_METHODS = Object.freeze({
   phone: {
-    display: '(555) 123-4567',
-    raw: '+15551234567',
+    ...SITE_CONFIG.contact.phone,
     type: 'tel',
     label: 'Call us',
     icon: 'phone',
@@ -49,8 +105,7 @@ const CONTACT_METHODS = Object.freeze({
     description: 'Speak directly with our agricultural experts',
   },
   email: {
-    display: 'info@agroservices.com',
-    raw: 'info@agroservices.com',
+    ...SITE_CONFIG.contact.email,
     type: 'mailto',
     label: 'Email us',
     icon: 'email',
@@ -58,8 +113,7 @@ const CONTACT_METHODS = Object.freeze({
     description: 'Send us a detailed inquiry',
   },
   emergency: {
-    display: '(555) 999-8888',
-    raw: '+15559998888',
+    ...SITE_CONFIG.contact.emergency,
     type: 'tel',
     label: '24/7 Emergency',
     icon: 'emergency',
@@ -68,34 +122,43 @@ const CONTACT_METHODS = Object.freeze({
   },
 });
 
+/**
+ * Issue types offered by the emergency triage form, with the message catalog key
+ * of their label and callback targets in minutes while the office is open and
+ * outside office hours (on-call specialist)
+ */
+export const EMERGENCY_ISSUE_TYPES = Object.freeze([
+  Object.freeze({ id: 'pest-outbreak', labelKey: 'emergency.issueTypes.pestOutbreak', callbackMinutes: Object.freeze({ open: 30, closed: 60 }) }),
+  Object.freeze({ id: 'irrigation-failure', labelKey: 'emergency.issueTypes.irrigationFailure', callbackMinutes: Object.freeze({ open: 15, closed: 30 }) }),
+  Object.freeze({ id: 'equipment-breakdown', labelKey: 'emergency.issueTypes.equipmentBreakdown', callbackMinutes: Object.freeze({ open: 30, closed: 60 }) }),
+  Object.freeze({ id: 'livestock', labelKey: 'emergency.issueTypes.livestock', callbackMinutes: Object.freeze({ open: 15, closed: 30 }) }),
+]);
+
+/**
+ * Office as a map place, for map provider links
+ */
+export const OFFICE_PLACE = Object.freeze({
+  ...SITE_CONFIG.address.coordinates,
+  address: `${SITE_CONFIG.address.street} ${SITE_CONFIG.address.city} ${SITE_CONFIG.address.state} ${SITE_CONFIG.address.zip}`,
+});
+
 /**
  * Physical address with structured components
  */
 const BUSINESS_ADDRESS = Object.freeze({
-  street: '1234 Farm Road',
-  city: 'Greenfield',
-  state: 'CA',
-  zip: '95123',
-  country: 'United States',
-  formatted: '1234 Farm Road, Greenfield, CA 95123',
-  coordinates: {
-    latitude: 37.7749,
-    longitude: -122.4194,
-  },
-  mapUrl: 'https://maps.google.com/?q=1234+Farm+Road+Greenfield+CA+95123',
-  directionsUrl: 'https://maps.google.com/maps/dir//1234+Farm+Road+Greenfield+CA+95123',
+  ...SITE_CONFIG.address,
+  formatted: formatConfigAddress(),
+  mapUrl: GOOGLE_MAPS_PROVIDER.getPlaceUrl(OFFICE_PLACE),
+  directionsUrl: GOOGLE_MAPS_PROVIDER.getDirectionsUrl(OFFICE_PLACE),
 });
 
 /**
  * Service areas for agricultural operations
+ * Bundled towns inside the configured radius, nearest first, plus the radius itself
  */
 const SERVICE_AREAS = Object.freeze([
-  'Greenfield',
-  'Springfield',
-  'Riverside',
-  'Oakdale',
-  'Meadowbrook',
-  'Within 50 miles of Greenfield, CA',
+  ...getPlacesInServiceArea().map(({ place }) => place),
+  `Within ${SITE_CONFIG.serviceArea.radiusMiles} miles of ${SITE_CONFIG.address.city}, ${SITE_CONFIG.address.state}`,
 ]);
 
 /**
@@ -103,17 +166,17 @@ const SERVICE_AREAS = Object.freeze([
  */
 const SOCIAL_MEDIA = Object.freeze({
   facebook: {
-    url: 'https://facebook.com/agroservices',
+    url: SITE_CONFIG.social.facebook,
     label: 'Facebook',
     icon: 'facebook',
   },
   instagram: {
-    url: 'https://instagram.com/agroservices',
+    url: SITE_CONFIG.social.instagram,
     label: 'Instagram',
     icon: 'instagram',
   },
   linkedin: {
-    url: 'https://linkedin.com/company/agroservices',
+    url: SITE_CONFIG.social.linkedin,
     label: 'LinkedIn',
     icon: 'linkedin',
   },
@@ -124,8 +187,8 @@ const SOCIAL_MEDIA = Object.freeze({
  * Immutable data structure with all business contact details
  */
 export const contactInfo = Object.freeze({
-  businessName: 'AgroServices',
-  tagline: 'Your Trusted Agricultural Partner',
+  businessName: SITE_CONFIG.brand.name,
+  tagline: SITE_CONFIG.brand.tagline,
   
   // Contact methods
   phone: CONTACT_METHODS.phone,
@@ -149,7 +212,7 @@ export const contactInfo = Object.freeze({
   
   // Additional metadata
   metadata: {
-    established: '2010',
+    established: String(SITE_CONFIG.brand.foundedYear),
     licenseNumber: 'AG-12345-CA',
     certifications: [
       'Certified Crop Advisor',
@@ -161,53 +224,198 @@ export const contactInfo = Object.freeze({
 });
 
 /**
- * Utility function to check if business is currently open
- * @returns {boolean} True if business is currently open
+ * Hours evaluator for the office time zone, including seasonal hours, holidays and closures
  */
-export function isBusinessOpen() {
-  const now = new Date();
-  const day = now.getDay(); // 0 = Sunday, 6 = Saturday
-  const hours = now.getHours();
-  const minutes = now.getMinutes();
-  const currentTime = hours * 60 + minutes;
-
-  // Sunday - closed
-  if (day === 0) {
-    return false;
-  }
+const businessHours = createBusinessHours({ ...SITE_CONFIG.hours, ...HOURS_CALENDAR });
 
-  // Saturday
-  if (day === 6) {
-    const openTime = 9 * 60; // 9:00 AM
-    const closeTime = 16 * 60; // 4:00 PM
-    return currentTime >= openTime && currentTime < closeTime;
+/**
+ * How far ahead getFormattedHours lists closures
+ */
+const FORMATTED_CLOSURE_DAYS = 30;
+
+/**
+ * File name offered for the closures calendar download
+ */
+export const CLOSURES_CALENDAR_FILENAME = `${SITE_CONFIG.brand.shortName.toLowerCase()}-closures.ics`;
+
+/**
+ * File name offered for the contact card download
+ */
+export const CONTACT_VCARD_FILENAME = `${SITE_CONFIG.brand.shortName.toLowerCase()}-contact.vcf`;
+
+/**
+ * Formats the dates of a closure for display
+ * @param {{ start: string, end: string }} closure - Closure with inclusive YYYY-MM-DD dates
+ * @returns {string} Dates such as "Thursday, November 26" or "December 28 - December 31"
+ */
+function formatClosureDates(closure) {
+  const format = (dateKey, options) => {
+    const [year, month, day] = dateKey.split('-').map(Number);
+    return new Date(Date.UTC(year, month - 1, day)).toLocaleDateString('en-US', { ...options, timeZone: 'UTC' });
+  };
+
+  if (closure.start === closure.end) {
+    return format(closure.start, { weekday: 'long', month: 'long', day: 'numeric' });
   }
 
-  // Weekdays (Monday-Friday)
-  const openTime = 8 * 60; // 8:00 AM
-  const closeTime = 18 * 60; // 6:00 PM
-  return currentTime >= openTime && currentTime < closeTime;
+  return `${format(closure.start, { month: 'long', day: 'numeric' })} - ${format(closure.end, { month: 'long', day: 'numeric' })}`;
+}
+
+/**
+ * Utility function to check if business is currently open
+ * Evaluated in the office time zone, not the visitor's
+ * @param {Date} [now=new Date()] - Instant to check
+ * @returns {boolean} True if business is open at that instant
+ */
+export function isBusinessOpen(now = new Date()) {
+  return businessHours.isOpen(now);
+}
+
+/**
+ * Get the live open/closed status for display
+ * @param {Date} [now=new Date()] - Instant to check
+ * @returns {Object} Status with isOpen, closesAt, nextOpening, closure, season and a display message
+ */
+export function getBusinessStatus(now = new Date()) {
+  return businessHours.getStatus(now);
 }
 
 /**
  * Get formatted business hours for display
- * @returns {Array<{days: string, hours: string}>} Formatted hours array
+ * Shows the hours in effect on the given date (seasonal hours applied) followed by
+ * holidays and closures in the next 30 days
+ * @param {Date} [now=new Date()] - Instant to format hours for
+ * @returns {Array<{days: string, hours: string, note?: string}>} Formatted hours array
  */
-export function getFormattedHours() {
-  return [
-    {
-      days: BUSINESS_HOURS.weekdays.days,
-      hours: BUSINESS_HOURS.weekdays.hours,
-    },
-    {
-      days: BUSINESS_HOURS.saturday.days,
-      hours: BUSINESS_HOURS.saturday.hours,
-    },
-    {
-      days: BUSINESS_HOURS.sunday.days,
-      hours: BUSINESS_HOURS.sunday.hours,
+export function getFormattedHours(now = new Date()) {
+  const weekly = businessHours.getWeeklySchedule(now).map((entry) => ({
+    days: entry.days,
+    hours: formatConfigHours(entry),
+    ...(entry.season ? { note: entry.season } : {}),
+  }));
+
+  const closures = businessHours.getUpcomingClosures(now, FORMATTED_CLOSURE_DAYS).map((closure) => ({
+    days: formatClosureDates(closure),
+    hours: 'Closed',
+    note: closure.name,
+  }));
+
+  return [...weekly, ...closures];
+}
+
+/**
+ * Get holidays and closures from a date onwards
+ * @param {Date} [now=new Date()] - Instant to start from
+ * @param {number} [days] - Number of days to cover (defaults to one year)
+ * @returns {Array<{name: string, reason: string, start: string, end: string}>} Closures with inclusive YYYY-MM-DD dates
+ */
+export function getUpcomingClosures(now = new Date(), days) {
+  return businessHours.getUpcomingClosures(now, days);
+}
+
+/**
+ * Build an iCalendar (.ics) document of closures in the coming year
+ * @param {Date} [now=new Date()] - Instant to start from
+ * @returns {string} iCalendar document
+ */
+export function getClosuresCalendar(now = new Date()) {
+  const { brand, contact, hours } = SITE_CONFIG;
+  const domain = new URL(brand.siteUrl).hostname;
+
+  const events = getUpcomingClosures(now).map((closure) => ({
+    uid: `closure-${closure.start}-${closure.reason}@${domain}`,
+    summary: t('hours.closedSummary', { name: brand.shortName, closure: closure.name }),
+    start: closure.start,
+    end: closure.end,
+    description: `${hours.emergencyNote}: ${contact.emergency.display}`,
+  }));
+
+  return createICalendar(events, {
+    productId: `-//${brand.name}//Office Closures//EN`,
+    name: `${brand.shortName} office closures`,
+    timestamp: now,
+  });
+}
+
+/**
+ * Build a vCard 4.0 (.vcf) contact card for the business
+ * The compact card leaves out the note, location, social profiles and revision
+ * timestamp so it fits a QR code that phones scan easily and stays the same
+ * until the contact details change
+ * @param {Object} [options={}] - Card options
+ * @param {boolean} [options.compact=false] - Only names, phone numbers, email, address and website
+ * @param {Date} [options.timestamp=new Date()] - Revision timestamp of the full card
+ * @returns {string} vCard document
+ */
+export function getContactVCard(options = {}) {
+  const { compact = false, timestamp = new Date() } = options;
+  const { businessName, tagline, phone, emergency, email, address, hours, social } = contactInfo;
+
+  const card = {
+    kind: 'org',
+    name: businessName,
+    organization: businessName,
+    phones: [
+      { number: phone.raw, types: ['work', 'voice'], pref: 1 },
+      { number: emergency.raw, types: ['work', 'voice'], label: emergency.label },
+    ],
+    emails: [{ address: email.raw, types: ['work'] }],
+    address: {
+      street: address.street,
+      city: address.city,
+      region: address.state,
+      postalCode: address.zip,
+      country: address.country,
+      types: ['work'],
     },
-  ];
+    url: SITE_CONFIG.brand.siteUrl,
+  };
+
+  if (compact) {
+    return createVCard(card);
+  }
+
+  const weeklyHours = [hours.weekdays, hours.saturday, hours.sunday].map((entry) => `${entry.days}: ${entry.hours}`);
+
+  card.geo = address.coordinates;
+  card.socialProfiles = Object.values(social).map(({ label, url }) => ({ service: label, url }));
+  card.note = [tagline, ...weeklyHours, `${hours.note}: ${emergency.display}`].join('\n');
+
+  return createVCard(card, { productId: `-//${businessName}//Contact Card//EN`, timestamp });
+}
+
+/**
+ * Get an emergency issue type by ID
+ * @param {string} issueTypeId - Issue type identifier
+ * @returns {Object|null} Issue type or null
+ */
+export function getEmergencyIssueType(issueTypeId) {
+  return EMERGENCY_ISSUE_TYPES.find((issueType) => issueType.id === issueTypeId) || null;
+}
+
+/**
+ * Get the expected callback time for an emergency request
+ * Office hours are evaluated in the office time zone; outside them the on-call
+ * specialist's (longer) target applies
+ * @param {string} issueTypeId - Issue type identifier
+ * @param {Date} [now=new Date()] - Instant the request is made
+ * @returns {{ minutes: number, isOfficeOpen: boolean, message: string }|null} Callback estimate, or null for unknown issue types
+ */
+export function getEmergencyCallbackEstimate(issueTypeId, now = new Date()) {
+  const issueType = getEmergencyIssueType(issueTypeId);
+
+  if (!issueType) {
+    return null;
+  }
+
+  const isOfficeOpen = businessHours.isOpen(now);
+  const minutes = isOfficeOpen ? issueType.callbackMinutes.open : issueType.callbackMinutes.closed;
+
+  return {
+    minutes,
+    isOfficeOpen,
+    message: t(isOfficeOpen ? 'emergency.callbackOpen' : 'emergency.callbackClosed', { minutes }),
+  };
 }
 
 /**
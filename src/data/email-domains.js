@@ -0,0 +1,95 @@
+/**
+ * Email Domain Data Module
+ * Bundled domain lists used by the contact form's email deliverability check
+ *
+ * @module email-domains
+ * @modifies: email typo suggestions and disposable address detection
+ * @dependencies: []
+ */
+
+/**
+ * Widely used mailbox providers, including regional ISPs common with rural customers
+ * Used as the reference list for "Did you mean…?" typo suggestions
+ */
+export const COMMON_EMAIL_DOMAINS = Object.freeze([
+  'gmail.com',
+  'googlemail.com',
+  'yahoo.com',
+  'ymail.com',
+  'hotmail.com',
+  'outlook.com',
+  'live.com',
+  'msn.com',
+  'aol.com',
+  'icloud.com',
+  'me.com',
+  'mac.com',
+  'protonmail.com',
+  'proton.me',
+  'mail.com',
+  'gmx.com',
+  'zoho.com',
+  'comcast.net',
+  'att.net',
+  'sbcglobal.net',
+  'bellsouth.net',
+  'verizon.net',
+  'charter.net',
+  'cox.net',
+  'centurylink.net',
+  'frontier.com',
+  'windstream.net',
+  'earthlink.net',
+]);
+
+/**
+ * Misspelled top-level domains and their likely intended spelling
+ */
+export const TLD_CORRECTIONS = Object.freeze({
+  con: 'com',
+  cmo: 'com',
+  ocm: 'com',
+  vom: 'com',
+  xom: 'com',
+  comm: 'com',
+  nte: 'net',
+  ner: 'net',
+  met: 'net',
+  nt: 'net',
+  ogr: 'org',
+  orh: 'org',
+  rog: 'org',
+});
+
+/**
+ * Known disposable / temporary inbox providers
+ * Messages from these addresses cannot be answered, so the form rejects them
+ */
+export const DISPOSABLE_EMAIL_DOMAINS = Object.freeze([
+  '10minutemail.com',
+  '20minutemail.com',
+  'dispostable.com',
+  'emailondeck.com',
+  'fakeinbox.com',
+  'getairmail.com',
+  'getnada.com',
+  'guerrillamail.com',
+  'guerrillamail.net',
+  'guerrillamailblock.com',
+  'maildrop.cc',
+  'mailinator.com',
+  'mailnesia.com',
+  'mintemail.com',
+  'mohmal.com',
+  'mytemp.email',
+  'sharklasers.com',
+  'spamgourmet.com',
+  'temp-mail.org',
+  'tempail.com',
+  'tempmail.com',
+  'tempmailo.com',
+  'tempr.email',
+  'throwawaymail.com',
+  'trashmail.com',
+  'yopmail.com',
+]);
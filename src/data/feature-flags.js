@@ -0,0 +1,57 @@
+/**
+ * Feature Flag Defaults
+ * Default state of every feature flag on the site
+ *
+ * @module data/feature-flags
+ * @modifies: which optional sections and behaviours are shown by default
+ * @dependencies: []
+ *
+ * utils/feature-flags reads these definitions; QA can override them per
+ * browser with ?ff=name,-other in the URL or the same list in localStorage.
+ * Names are snake_case so they can be typed into a query string.
+ */
+
+/**
+ * Feature flag definitions
+ *
+ * - `enabled`: default state
+ * - `rollout`: optional percentage (0-100) of visitors who get the flag when it
+ *   is enabled, bucketed by a stable anonymous visitor ID
+ * - `description`: what the flag controls
+ */
+export const FEATURE_FLAGS = Object.freeze({
+  company_overview: Object.freeze({
+    enabled: true,
+    description: 'About section with company background, statistics and trust indicators',
+  }),
+  animated_stats: Object.freeze({
+    enabled: true,
+    description: 'Count-up animation of the about section statistics',
+  }),
+  testimonials: Object.freeze({
+    enabled: true,
+    description: 'Client testimonials carousel and aggregate rating',
+  }),
+  certifications_modal: Object.freeze({
+    enabled: true,
+    description: 'Certification detail dialog opened from the certification cards',
+  }),
+  quote_wizard: Object.freeze({
+    enabled: true,
+    description: 'Multi-step quote request form in the contact section',
+  }),
+  contact_card: Object.freeze({
+    enabled: true,
+    description: 'vCard download and QR code in the contact section',
+  }),
+  service_area_map: Object.freeze({
+    enabled: true,
+    description: 'Offline SVG map of the service area',
+  }),
+  emergency_support: Object.freeze({
+    enabled: true,
+    description: '"Crop emergency?" button and triage form',
+  }),
+});
+
+export default FEATURE_FLAGS;
@@ -0,0 +1,510 @@
+/**
+ * English Message Catalog
+ * Interface copy for the default locale
+ *
+ * @module data/locales/en
+ * @modifies: English text of the page, form errors, screen reader announcements and business hours
+ * @dependencies: []
+ *
+ * Messages use ICU syntax: {name} inserts a value, {count, plural, one {...} other {...}}
+ * picks a plural form (# is the formatted count) and {value, select, a {...} other {...}}
+ * picks a variant. {brand} and {years} are always available (see utils/i18n).
+ * Static markup in index.html must keep matching these strings, since the page is
+ * served in English before the catalog is applied.
+ */
+
+const en = {
+  meta: {
+    title: '{brand} - Modern Agricultural Excellence | Farm Services',
+    description: '{brand} - Leading agricultural business providing innovative farming solutions, crop management services, and sustainable agriculture practices for modern farmers.',
+  },
+
+  common: {
+    required: 'required',
+    privacyPolicy: 'privacy policy',
+    consentBefore: 'I agree to the',
+    consentAfter: 'and consent to be contacted',
+    fullName: 'Full Name',
+    emailAddress: 'Email Address',
+    phoneNumber: 'Phone Number',
+  },
+
+  language: {
+    label: 'Language',
+  },
+
+  nav: {
+    skip: 'Skip to main content',
+    label: 'Main navigation',
+    home: 'Home',
+    homeLabel: '{brand} Home',
+    toggle: 'Toggle navigation menu',
+    services: 'Services',
+    about: 'About',
+    contact: 'Contact',
+  },
+
+  hero: {
+    title: 'Cultivating Excellence in Modern Agriculture',
+    subtitle: '{brand} empowers farmers with innovative technology, sustainable practices, and expert guidance to maximize crop yields and profitability while preserving our environment for future generations.',
+    explore: 'Explore Services',
+    exploreLabel: 'Explore our agricultural services',
+    getStarted: 'Get Started',
+    getStartedLabel: 'Get in touch with us',
+    imageLabel: 'Modern agricultural farm with lush green fields and advanced farming equipment under clear blue sky',
+  },
+
+  services: {
+    title: 'Our Agricultural Services',
+    description: 'Comprehensive solutions designed to support every aspect of modern farming operations.',
+    gridLabel: 'Agricultural services',
+    results: '{count, plural, one {# service} other {# services}}{scope, select, category { in {category}} query { matching "{query}"} both { in {category} matching "{query}"} other {}} shown',
+    categories: {
+      consulting: 'Consulting',
+      technology: 'Technology',
+      analysis: 'Analysis',
+      equipment: 'Equipment',
+      sustainability: 'Sustainability',
+      planning: 'Planning',
+      management: 'Management',
+    },
+    learnMore: 'Learn More',
+    learnMoreLabel: 'Learn more about {title}',
+    search: 'Search services',
+    searchPlaceholder: 'Search services (e.g. drone, irrigation)',
+    filterLabel: 'Filter services by category',
+    allCategories: 'All',
+    chipLabel: '{label} ({count, plural, one {# service} other {# services}})',
+    empty: 'No services match your search. Try another keyword or category.',
+    dialog: {
+      close: 'Close service details',
+      duration: 'Typical duration',
+      availability: 'Availability',
+      keywords: 'Related topics',
+      request: 'Request this service',
+      dismiss: 'Close',
+    },
+  },
+
+  about: {
+    title: 'About {brand}',
+    intro: 'With over {years} years of experience in agricultural innovation, {brand} has been at the forefront of transforming traditional farming into modern, sustainable, and profitable operations.',
+    team: "Our team of agricultural experts, agronomists, and technology specialists work together to provide comprehensive solutions that address the unique challenges faced by today's farmers.",
+    missionTitle: 'Our Mission',
+    missionText: 'To empower farmers with cutting-edge technology and sustainable practices that increase productivity while preserving our environment for future generations.',
+    whyTitle: 'Why Choose Us',
+    why: {
+      experienceTitle: '{years}+ Years of Experience:',
+      experienceText: 'Proven track record in agricultural innovation and farm management.',
+      teamTitle: 'Expert Team:',
+      teamText: 'Certified agronomists and agricultural specialists dedicated to your success.',
+      sustainableTitle: 'Sustainable Approach:',
+      sustainableText: 'Environmentally responsible solutions that protect natural resources.',
+      technologyTitle: 'Technology-Driven:',
+      technologyText: 'Latest agricultural technology and precision farming tools.',
+      personalTitle: 'Personalized Service:',
+      personalText: 'Customized solutions tailored to your specific farming needs.',
+      supportTitle: 'Ongoing Support:',
+      supportText: 'Continuous guidance and support throughout the growing season.',
+    },
+    imageLabel: '{brand} team of agricultural experts working in the field with farmers',
+    founded: 'Founded: {year}',
+    location: 'Location: {location}',
+    teamSize: 'Team: {team}',
+    valuesTitle: 'Our Values',
+    statisticsLabel: 'Company statistics',
+    trustTitle: 'Why Trust Us',
+    trustLabel: 'Trust indicators',
+    certificationsTitle: 'Certifications & Awards',
+    certificationsLabel: 'Certifications and awards',
+    viewDetails: 'View details',
+    viewDetailsLabel: 'View details: {name}',
+  },
+
+  stats: {
+    farmsServed: 'Farms Served',
+    farmsServedValue: '{value, number}+',
+    farmsServedLabel: 'Over {value, number} farms served',
+    yearsOfExperience: 'Years Experience',
+    yearsOfExperienceValue: '{value, number}+',
+    yearsOfExperienceLabel: 'Over {value, number} years of experience',
+    clientSatisfaction: 'Client Satisfaction',
+    clientSatisfactionValue: '{value, number}%',
+    clientSatisfactionLabel: '{value, number} percent client satisfaction',
+    acresManaged: 'Acres Managed',
+    acresManagedValue: '{value, number, compact}+',
+    acresManagedLabel: 'Over {value, number} acres managed',
+    teamSize: 'Expert Team Members',
+    teamSizeValue: '{value, number}+',
+    teamSizeLabel: 'Over {value, number} expert team members',
+  },
+
+  testimonials: {
+    title: 'What Our Clients Say',
+    summary: 'Average of {count, plural, one {# client review} other {# client reviews}}',
+    carousel: 'Client testimonials',
+    carouselRole: 'carousel',
+    tabList: 'Choose a testimonial',
+    stop: 'Stop automatic slide show',
+    start: 'Start automatic slide show',
+    pause: 'Pause',
+    play: 'Play',
+    slideRole: 'slide',
+    slideLabel: '{index} of {count}',
+    tabLabel: 'Testimonial {index}: {name}',
+    rating: 'Rated {rating, number} out of {best}',
+  },
+
+  certifications: {
+    expired: 'Expired',
+    expiresToday: 'Expires today',
+    expiresIn: 'Expires in {days, plural, one {# day} other {# days}}',
+    valid: 'Valid',
+    detailsOpened: '{name} details opened',
+    dialog: {
+      close: 'Close certification details',
+      dismiss: 'Close',
+      issuedBy: 'Issued by',
+      year: 'Year awarded',
+      certificateNumber: 'Certificate number',
+      validUntil: 'Valid until',
+      verify: 'Verify with {issuer}',
+      verifyLabel: 'Verify with {issuer} (opens in a new tab)',
+    },
+  },
+
+  contact: {
+    title: 'Get In Touch',
+    description: 'Ready to transform your farming operations? Contact us today for a consultation.',
+    infoTitle: 'Contact Information',
+    office: 'Office Location',
+    phone: 'Phone',
+    email: 'Email',
+    hours: 'Business Hours',
+    closuresDownload: 'Add holidays and closures to your calendar (.ics)',
+    saveTitle: 'Save Our Contact',
+    saveVcard: 'Save contact (.vcf)',
+    qrCaption: 'Scan to save our contact details',
+    qrOptions: 'QR code contents',
+    qrVcard: 'Contact card',
+    qrPhone: 'Phone number',
+    qrDownload: 'Download the QR code for print (.svg)',
+    areaTitle: 'Do We Serve Your Farm?',
+    areaQuery: 'ZIP code or town',
+    areaPlaceholder: 'e.g. 95376 or Tracy',
+    areaCheck: 'Check',
+    areaLocate: 'Use my location',
+    areaLocating: 'Finding your location…',
+    areaPrefilled: 'We\'ve added this location to the contact form.',
+    map: {
+      title: 'Service area map',
+      description: 'Our {radius}-mile service area around the {city} office, with {count, plural, one {# town} other {# towns}} we serve. Use the arrow keys to move between places and Enter to check a town.',
+      office: '{name} office',
+      officeDescription: '{name} office, {address}',
+      town: '{place}, {state} {zip}: about {miles, plural, one {# mile} other {# miles}} from our office, in our service area',
+      checkHint: '{description}. Press Enter to check this area.',
+      scale: '{miles} mi',
+      view: 'View on {provider}',
+      directions: 'Directions with {provider}',
+    },
+    form: {
+      legend: 'Contact Form',
+      label: 'Contact form',
+      countryCode: 'Country calling code',
+      phoneHint: 'Optional - for faster response',
+      location: 'Farm Location',
+      locationPlaceholder: 'ZIP code or town',
+      locationHint: 'Optional - helps us plan a farm visit',
+      service: 'Service Interest',
+      servicePlaceholder: 'Select a service',
+      serviceOther: 'Other',
+      message: 'Message',
+      messagePlaceholder: 'Tell us about your farming needs...',
+      messageHint: 'Minimum {min} characters',
+      honeypot: 'Leave this field empty',
+      privacyNewWindow: 'Opens privacy policy in a new window',
+      submit: 'Send Message',
+      suggestion: 'Did you mean',
+      suggestionEnd: '?',
+      suggestionLabel: 'Use {email} as your email address',
+    },
+    status: {
+      invalid: 'Please correct the errors in the form before submitting.',
+      success: 'Thank you for your message! We will get back to you within 24 hours.',
+      mailto: 'Your email app should open with your message ready to send.',
+      error: 'Sorry, there was an error submitting your message. Please try again or contact us directly.',
+      queued: 'We could not reach our server, so your message is queued and will be sent automatically when you\'re back online.',
+      pending: 'You have a saved message waiting to be sent. It will go out automatically when you\'re back online.',
+      sent: 'Your saved message has been sent. Thank you! We will get back to you within 24 hours.',
+      rejected: 'We could not deliver the message you saved earlier. Please send it again or contact us directly.',
+    },
+  },
+
+  serviceArea: {
+    empty: 'Enter a ZIP code or town name.',
+    notFound: 'We couldn\'t find that ZIP code or town. Try a nearby 5-digit ZIP code, or call us.',
+    unsupported: 'Your browser can\'t share its location. Enter your ZIP code instead.',
+    denied: 'Location access was blocked. Enter your ZIP code instead.',
+    unavailable: 'We couldn\'t get your location. Enter your ZIP code instead.',
+    loadFailed: 'We couldn\'t load our ZIP code list. Check your connection and try again, or call us.',
+    lessThanMile: 'less than a mile',
+    distance: 'about {miles, plural, one {# mile} other {# miles}}',
+    office: 'our {city} office',
+    inArea: 'Yes, we serve {place}. It\'s {distance} from {office}, within our {radius}-mile service area.',
+    outOfArea: '{place} is {distance} from {office}, outside our {radius}-mile service area. Call us and we\'ll see what we can arrange.',
+    yourArea: 'your area',
+    yourLocation: 'Your location',
+    near: 'Near {place}, {state} ({point})',
+    prefixArea: '{place} area, {state} {zip}',
+  },
+
+  submission: {
+    offline: 'You appear to be offline. Please check your connection and try again.',
+    network: 'We could not reach our server. Please try again in a moment.',
+    timeout: 'The request took too long. Please try again.',
+    validation: 'Please correct the highlighted fields and try again.',
+    client: 'Your message could not be accepted. Please review it and try again.',
+    server: 'Our server had a problem receiving your message. Please try again later.',
+    rejected: 'Sorry, we could not send your message right now. Please try again in a few minutes or call us directly.',
+  },
+
+  quote: {
+    title: 'Request a Quote',
+    intro: "Planning soil analysis, irrigation design or another project? Tell us about your farm and we'll prepare a tailored quote.",
+    progress: 'Quote request progress',
+    steps: {
+      services: 'Services',
+      farm: 'Farm details',
+      contact: 'Contact time',
+      review: 'Review',
+    },
+    servicesLegend: 'Which services do you need?',
+    farmLegend: 'Tell us about your farm',
+    acreage: 'Farm size (acres)',
+    crops: 'Crop types',
+    cropsPlaceholder: 'Corn, soybeans',
+    cropsHint: 'Separate multiple crops with commas',
+    zip: 'Farm ZIP code',
+    contactLegend: 'How and when should we reach you?',
+    phoneHint: 'Optional',
+    contactTime: 'Preferred contact time',
+    contactTimes: {
+      placeholder: 'Select a time',
+      morning: 'Morning (8 AM - 12 PM)',
+      afternoon: 'Afternoon (12 PM - 5 PM)',
+      evening: 'Evening (5 PM - 7 PM)',
+      anytime: 'Any time',
+    },
+    reviewLegend: 'Review your request',
+    notes: 'Anything else we should know?',
+    back: 'Back',
+    next: 'Next',
+    submit: 'Request Quote',
+    stepAnnouncement: 'Step {step} of {total}: {title}',
+    sent: 'Quote request sent',
+    queued: 'Quote request saved until you reconnect',
+    status: {
+      invalid: 'Please correct the highlighted fields before continuing.',
+      success: 'Thank you! Your quote request has been sent. We will contact you at your preferred time.',
+      mailto: 'Your email app should open with your quote request ready to send.',
+      error: 'Sorry, there was an error sending your quote request. Please try again or contact us directly.',
+      queued: 'We could not reach our server, so your quote request is saved and will be sent automatically when you\'re back online.',
+      sent: 'Your saved quote request has been sent. We will contact you at your preferred time.',
+      rejected: 'We could not deliver the quote request you saved earlier. Please send it again or contact us directly.',
+    },
+    summary: {
+      services: 'Services',
+      farmSize: 'Farm size',
+      acres: '{acres} acres',
+      crops: 'Crops',
+      zip: 'ZIP code',
+      name: 'Name',
+      email: 'Email',
+      phone: 'Phone',
+      notProvided: 'Not provided',
+      contactTime: 'Contact time',
+    },
+  },
+
+  emergency: {
+    trigger: 'Crop emergency?',
+    title: 'Crop emergency?',
+    close: 'Close emergency support',
+    description: 'Call our emergency line now for the fastest help. Our specialists are on call 24/7.',
+    call: 'Call',
+    divider: "Can't talk right now? Request a priority callback.",
+    issueType: 'What kind of emergency?',
+    phone: 'Callback number',
+    location: 'Farm location',
+    locationPlaceholder: 'Town or ZIP code',
+    details: 'What is happening?',
+    submit: 'Request urgent callback',
+    sent: 'Emergency callback request sent',
+    queued: 'Emergency callback request saved until you reconnect',
+    issueTypes: {
+      pestOutbreak: 'Pest outbreak',
+      irrigationFailure: 'Irrigation failure',
+      equipmentBreakdown: 'Equipment breakdown',
+      livestock: 'Livestock emergency',
+    },
+    callbackOpen: 'One of our specialists will call you back within {minutes} minutes.',
+    callbackClosed: 'Our on-call specialist will call you back within {minutes} minutes.',
+    status: {
+      invalid: 'Please correct the highlighted fields so we can call you back.',
+      mailto: 'Your email app should open with your callback request ready to send. For the fastest response, call {number}.',
+      error: 'Sorry, we could not send your callback request. Please call us now at {number}.',
+      queued: 'You appear to be offline. Your callback request is saved and will be sent first as soon as you reconnect. If you can, call {number} now.',
+      confirmation: 'Emergency callback requested for: {issue}. {estimate} If your situation gets worse, call {number}.',
+    },
+  },
+
+  footer: {
+    tagline: 'Modern agricultural solutions for sustainable farming and increased productivity.',
+    quickLinks: 'Quick Links',
+    navLabel: 'Footer navigation',
+    services: 'Services',
+    cropManagement: 'Crop Management',
+    soilAnalysis: 'Soil Analysis',
+    irrigation: 'Irrigation Solutions',
+    consulting: 'Consulting',
+    legal: 'Legal',
+    privacy: 'Privacy Policy',
+    terms: 'Terms of Service',
+    cookies: 'Cookie Policy',
+    rights: 'All rights reserved.',
+    builtWith: 'Built with',
+    love: 'love',
+    forFarmers: 'for farmers',
+  },
+
+  sections: {
+    home: 'Home section',
+    services: 'Services section',
+    about: 'About section',
+    contact: 'Contact section',
+  },
+
+  announcements: {
+    navigatedTo: 'Navigated to {target}',
+    pageLoaded: 'Page loaded successfully. Use tab to navigate.',
+    serviceDetailsOpened: '{name} details opened',
+  },
+
+  hours: {
+    weekdays: 'Monday - Friday',
+    saturday: 'Saturday',
+    sunday: 'Sunday',
+    entry: '{days}: {hours}',
+    range: '{open} - {close}',
+    closed: 'Closed',
+    today: 'today',
+    tomorrow: 'tomorrow',
+    openClosesIn: 'Open now – closes in {minutes} min',
+    openClosesAt: 'Open now – closes at {time}',
+    closedCall: 'Closed – call us to arrange a visit',
+    closedForCall: 'Closed for {closure} – call us to arrange a visit',
+    opens: 'Opens {day} {time}',
+    closedForOpens: 'Closed for {closure} – opens {day} {time}',
+    emergencyLine: '24/7 emergency line: {number}',
+    seasons: {
+      planting: 'Planting season',
+      harvest: 'Harvest season',
+    },
+    holidays: {
+      newYearsDay: 'New Year\'s Day',
+      memorialDay: 'Memorial Day',
+      independenceDay: 'Independence Day',
+      laborDay: 'Labor Day',
+      thanksgiving: 'Thanksgiving',
+      christmasEve: 'Christmas Eve',
+      christmasDay: 'Christmas Day',
+    },
+    closures: {
+      equipmentMaintenance: 'Year-end equipment maintenance',
+      staffTraining: 'Staff training day',
+    },
+    closedSummary: '{name} office closed: {closure}',
+  },
+
+  validation: {
+    email: {
+      required: 'Email address is required',
+      tooLong: 'Email address is too long',
+      invalid: 'Please enter a valid email address (e.g., name@example.com)',
+      consecutiveDots: 'Email address cannot contain consecutive dots',
+      invalidDomain: 'Please enter a valid email domain',
+      disposable: 'Please use a permanent email address so we can reply to you',
+      noMailServer: 'This email domain does not appear to accept mail. Please check the address',
+    },
+    phone: {
+      required: 'Phone number is required',
+      characters: 'Phone number can only contain digits, spaces, parentheses, plus signs, and hyphens',
+      international: 'Please enter a valid international phone number',
+      tooShort: 'Phone number must be at least {min} digits',
+      tooLong: 'Phone number is too long',
+    },
+    name: {
+      required: 'Name is required',
+      tooShort: 'Name must be at least {min} characters',
+      tooLong: 'Name must not exceed {max} characters',
+      characters: 'Name can only contain letters, spaces, hyphens, and apostrophes',
+      sequences: 'Name contains invalid character sequences',
+    },
+    message: {
+      required: 'Message is required',
+      tooShort: 'Message must be at least {min} characters',
+      tooLong: 'Message must not exceed {max} characters',
+    },
+    required: '{label} is required',
+    select: 'Please select a {label}',
+    agree: 'You must agree to {label}',
+    chooseAtLeastOne: 'Please choose at least one {label}',
+    minLength: '{label} must be at least {min} characters',
+    maxLength: '{label} must not exceed {max} characters',
+    pattern: 'Please enter a valid {label}',
+    unsafe: 'Input contains potentially unsafe content',
+    unknownServices: 'Please choose services from the list',
+    acreageRange: 'Farm size must be between {min} and {max, number} acres',
+    contactTime: 'Please select a preferred contact time',
+    emergencyType: 'Please choose the kind of emergency',
+    contact: {
+      nameRequired: 'Please enter your full name',
+      emailRequired: 'Please enter your email address',
+      locationTooLong: 'Location is too long',
+      serviceRequired: 'Please select a service',
+      messageRequired: 'Please enter a message',
+      consentRequired: 'You must agree to the privacy policy to continue',
+    },
+    quote: {
+      acreageRequired: 'Please enter your farm size in acres',
+      acreagePattern: 'Farm size must be a number of acres',
+      cropsRequired: 'Please tell us which crops you grow',
+      zipRequired: 'Please enter the ZIP code of your farm',
+      zipPattern: 'Please enter a 5-digit ZIP code',
+    },
+    emergency: {
+      phoneRequired: 'Please enter a number we can call you back on',
+    },
+  },
+
+  fields: {
+    thisField: 'This field',
+    selection: 'Selection',
+    name: 'Name',
+    email: 'Email address',
+    phone: 'Phone number',
+    farmLocation: 'Farm location',
+    service: 'Service',
+    message: 'Message',
+    consent: 'Consent',
+    acreage: 'Farm size',
+    crops: 'Crop types',
+    zip: 'ZIP code',
+    contactTime: 'Preferred contact time',
+    notes: 'Notes',
+    emergencyType: 'Emergency type',
+    details: 'Details',
+  },
+};
+
+export default en;
@@ -0,0 +1,508 @@
+/**
+ * Spanish Message Catalog
+ * Interface copy for Spanish-speaking visitors
+ *
+ * @module data/locales/es
+ * @modifies: Spanish text of the page, form errors, screen reader announcements and business hours
+ * @dependencies: []
+ *
+ * Mirrors data/locales/en key for key; a key missing here falls back to English.
+ * Uses informal address (tú), as is usual for Spanish-language agricultural
+ * services in the US.
+ */
+
+const es = {
+  meta: {
+    title: '{brand} - Excelencia agrícola moderna | Servicios para granjas',
+    description: '{brand} - Empresa agrícola líder que ofrece soluciones innovadoras, servicios de manejo de cultivos y prácticas de agricultura sostenible para agricultores modernos.',
+  },
+
+  common: {
+    required: 'obligatorio',
+    privacyPolicy: 'política de privacidad',
+    consentBefore: 'Acepto la',
+    consentAfter: 'y doy mi consentimiento para ser contactado',
+    fullName: 'Nombre completo',
+    emailAddress: 'Correo electrónico',
+    phoneNumber: 'Teléfono',
+  },
+
+  language: {
+    label: 'Idioma',
+  },
+
+  nav: {
+    skip: 'Saltar al contenido principal',
+    label: 'Navegación principal',
+    home: 'Inicio',
+    homeLabel: 'Inicio de {brand}',
+    toggle: 'Abrir o cerrar el menú de navegación',
+    services: 'Servicios',
+    about: 'Nosotros',
+    contact: 'Contacto',
+  },
+
+  hero: {
+    title: 'Cultivando la excelencia en la agricultura moderna',
+    subtitle: '{brand} impulsa a los agricultores con tecnología innovadora, prácticas sostenibles y asesoría experta para maximizar el rendimiento y la rentabilidad de sus cultivos, preservando el medio ambiente para las futuras generaciones.',
+    explore: 'Ver servicios',
+    exploreLabel: 'Explora nuestros servicios agrícolas',
+    getStarted: 'Comenzar',
+    getStartedLabel: 'Ponte en contacto con nosotros',
+    imageLabel: 'Granja agrícola moderna con campos verdes y maquinaria agrícola avanzada bajo un cielo despejado',
+  },
+
+  services: {
+    title: 'Nuestros servicios agrícolas',
+    description: 'Soluciones integrales diseñadas para apoyar cada aspecto de las operaciones agrícolas modernas.',
+    gridLabel: 'Servicios agrícolas',
+    results: '{count, plural, one {Se muestra # servicio} other {Se muestran # servicios}}{scope, select, category { en {category}} query { que coinciden con "{query}"} both { en {category} que coinciden con "{query}"} other {}}',
+    categories: {
+      consulting: 'Consultoría',
+      technology: 'Tecnología',
+      analysis: 'Análisis',
+      equipment: 'Equipos',
+      sustainability: 'Sostenibilidad',
+      planning: 'Planificación',
+      management: 'Gestión',
+    },
+    learnMore: 'Más información',
+    learnMoreLabel: 'Más información sobre {title}',
+    search: 'Buscar servicios',
+    searchPlaceholder: 'Buscar servicios (p. ej., dron, riego)',
+    filterLabel: 'Filtrar servicios por categoría',
+    allCategories: 'Todos',
+    chipLabel: '{label} ({count, plural, one {# servicio} other {# servicios}})',
+    empty: 'Ningún servicio coincide con tu búsqueda. Prueba con otra palabra o categoría.',
+    dialog: {
+      close: 'Cerrar detalles del servicio',
+      duration: 'Duración habitual',
+      availability: 'Disponibilidad',
+      keywords: 'Temas relacionados',
+      request: 'Solicitar este servicio',
+      dismiss: 'Cerrar',
+    },
+  },
+
+  about: {
+    title: 'Acerca de {brand}',
+    intro: 'Con más de {years} años de experiencia en innovación agrícola, {brand} ha estado a la vanguardia de la transformación de la agricultura tradicional en operaciones modernas, sostenibles y rentables.',
+    team: 'Nuestro equipo de expertos agrícolas, agrónomos y especialistas en tecnología trabaja en conjunto para ofrecer soluciones integrales a los desafíos particulares que enfrentan los agricultores de hoy.',
+    missionTitle: 'Nuestra misión',
+    missionText: 'Impulsar a los agricultores con tecnología de vanguardia y prácticas sostenibles que aumenten la productividad, preservando el medio ambiente para las futuras generaciones.',
+    whyTitle: 'Por qué elegirnos',
+    why: {
+      experienceTitle: 'Más de {years} años de experiencia:',
+      experienceText: 'Trayectoria comprobada en innovación agrícola y gestión de granjas.',
+      teamTitle: 'Equipo experto:',
+      teamText: 'Agrónomos certificados y especialistas agrícolas comprometidos con tu éxito.',
+      sustainableTitle: 'Enfoque sostenible:',
+      sustainableText: 'Soluciones responsables con el medio ambiente que protegen los recursos naturales.',
+      technologyTitle: 'Impulsados por la tecnología:',
+      technologyText: 'La tecnología agrícola más reciente y herramientas de agricultura de precisión.',
+      personalTitle: 'Servicio personalizado:',
+      personalText: 'Soluciones a la medida de las necesidades de tu granja.',
+      supportTitle: 'Apoyo continuo:',
+      supportText: 'Orientación y acompañamiento durante toda la temporada de cultivo.',
+    },
+    imageLabel: 'Equipo de expertos agrícolas de {brand} trabajando en el campo con agricultores',
+    founded: 'Fundada en: {year}',
+    location: 'Ubicación: {location}',
+    teamSize: 'Equipo: {team}',
+    valuesTitle: 'Nuestros valores',
+    statisticsLabel: 'Estadísticas de la empresa',
+    trustTitle: 'Por qué confiar en nosotros',
+    trustLabel: 'Indicadores de confianza',
+    certificationsTitle: 'Certificaciones y premios',
+    certificationsLabel: 'Certificaciones y premios',
+    viewDetails: 'Ver detalles',
+    viewDetailsLabel: 'Ver detalles: {name}',
+  },
+
+  stats: {
+    farmsServed: 'Granjas atendidas',
+    farmsServedValue: '{value, number}+',
+    farmsServedLabel: 'Más de {value, number} granjas atendidas',
+    yearsOfExperience: 'Años de experiencia',
+    yearsOfExperienceValue: '{value, number}+',
+    yearsOfExperienceLabel: 'Más de {value, number} años de experiencia',
+    clientSatisfaction: 'Satisfacción de clientes',
+    clientSatisfactionValue: '{value, number} %',
+    clientSatisfactionLabel: '{value, number} por ciento de satisfacción de clientes',
+    acresManaged: 'Acres gestionados',
+    acresManagedValue: '{value, number, compact}+',
+    acresManagedLabel: 'Más de {value, number} acres gestionados',
+    teamSize: 'Especialistas en el equipo',
+    teamSizeValue: '{value, number}+',
+    teamSizeLabel: 'Más de {value, number} especialistas en el equipo',
+  },
+
+  testimonials: {
+    title: 'Lo que dicen nuestros clientes',
+    summary: 'Promedio de {count, plural, one {# reseña de cliente} other {# reseñas de clientes}}',
+    carousel: 'Testimonios de clientes',
+    carouselRole: 'carrusel',
+    tabList: 'Elige un testimonio',
+    stop: 'Detener la presentación automática',
+    start: 'Iniciar la presentación automática',
+    pause: 'Pausar',
+    play: 'Reproducir',
+    slideRole: 'diapositiva',
+    slideLabel: '{index} de {count}',
+    tabLabel: 'Testimonio {index}: {name}',
+    rating: 'Calificación de {rating, number} sobre {best}',
+  },
+
+  certifications: {
+    expired: 'Vencida',
+    expiresToday: 'Vence hoy',
+    expiresIn: 'Vence en {days, plural, one {# día} other {# días}}',
+    valid: 'Vigente',
+    detailsOpened: 'Detalles de {name} abiertos',
+    dialog: {
+      close: 'Cerrar detalles de la certificación',
+      dismiss: 'Cerrar',
+      issuedBy: 'Emitida por',
+      year: 'Año de obtención',
+      certificateNumber: 'Número de certificado',
+      validUntil: 'Vigente hasta',
+      verify: 'Verificar con {issuer}',
+      verifyLabel: 'Verificar con {issuer} (se abre en una pestaña nueva)',
+    },
+  },
+
+  contact: {
+    title: 'Contáctanos',
+    description: '¿Listo para transformar tu operación agrícola? Contáctanos hoy para una consulta.',
+    infoTitle: 'Información de contacto',
+    office: 'Oficina',
+    phone: 'Teléfono',
+    email: 'Correo electrónico',
+    hours: 'Horario de atención',
+    closuresDownload: 'Agrega los días festivos y cierres a tu calendario (.ics)',
+    saveTitle: 'Guarda nuestro contacto',
+    saveVcard: 'Guardar contacto (.vcf)',
+    qrCaption: 'Escanea para guardar nuestros datos de contacto',
+    qrOptions: 'Contenido del código QR',
+    qrVcard: 'Tarjeta de contacto',
+    qrPhone: 'Número de teléfono',
+    qrDownload: 'Descargar el código QR para imprimir (.svg)',
+    areaTitle: '¿Atendemos tu granja?',
+    areaQuery: 'Código postal o localidad',
+    areaPlaceholder: 'p. ej., 95376 o Tracy',
+    areaCheck: 'Comprobar',
+    areaLocate: 'Usar mi ubicación',
+    areaLocating: 'Buscando tu ubicación…',
+    areaPrefilled: 'Agregamos esta ubicación al formulario de contacto.',
+    map: {
+      title: 'Mapa del área de servicio',
+      description: 'Nuestra área de servicio de {radius} millas alrededor de la oficina de {city}, con {count, plural, one {# localidad atendida} other {# localidades atendidas}}. Usa las flechas para moverte entre lugares y Enter para comprobar una localidad.',
+      office: 'Oficina de {name}',
+      officeDescription: 'Oficina de {name}, {address}',
+      town: '{place}, {state} {zip}: a unas {miles, plural, one {# milla} other {# millas}} de nuestra oficina, dentro de nuestra área de servicio',
+      checkHint: '{description}. Pulsa Enter para comprobar esta zona.',
+      scale: '{miles} mi',
+      view: 'Ver en {provider}',
+      directions: 'Cómo llegar con {provider}',
+    },
+    form: {
+      legend: 'Formulario de contacto',
+      label: 'Formulario de contacto',
+      countryCode: 'Código de país',
+      phoneHint: 'Opcional - para responderte más rápido',
+      location: 'Ubicación de la granja',
+      locationPlaceholder: 'Código postal o localidad',
+      locationHint: 'Opcional - nos ayuda a planear una visita',
+      service: 'Servicio de interés',
+      servicePlaceholder: 'Selecciona un servicio',
+      serviceOther: 'Otro',
+      message: 'Mensaje',
+      messagePlaceholder: 'Cuéntanos qué necesita tu granja...',
+      messageHint: 'Mínimo {min} caracteres',
+      honeypot: 'Deja este campo vacío',
+      privacyNewWindow: 'Abre la política de privacidad en una ventana nueva',
+      submit: 'Enviar mensaje',
+      suggestion: '¿Quisiste decir',
+      suggestionEnd: '?',
+      suggestionLabel: 'Usar {email} como tu correo electrónico',
+    },
+    status: {
+      invalid: 'Corrige los errores del formulario antes de enviarlo.',
+      success: '¡Gracias por tu mensaje! Te responderemos en un plazo de 24 horas.',
+      mailto: 'Tu aplicación de correo debería abrirse con tu mensaje listo para enviar.',
+      error: 'Lo sentimos, hubo un error al enviar tu mensaje. Inténtalo de nuevo o comunícate con nosotros directamente.',
+      queued: 'No pudimos conectar con nuestro servidor, así que tu mensaje quedó en cola y se enviará automáticamente cuando vuelvas a tener conexión.',
+      pending: 'Tienes un mensaje guardado pendiente de envío. Se enviará automáticamente cuando vuelvas a tener conexión.',
+      sent: 'Tu mensaje guardado se ha enviado. ¡Gracias! Te responderemos en un plazo de 24 horas.',
+      rejected: 'No pudimos entregar el mensaje que guardaste antes. Envíalo de nuevo o comunícate con nosotros directamente.',
+    },
+  },
+
+  serviceArea: {
+    empty: 'Introduce un código postal o el nombre de una localidad.',
+    notFound: 'No encontramos ese código postal o localidad. Prueba con un código postal de 5 dígitos cercano o llámanos.',
+    unsupported: 'Tu navegador no puede compartir tu ubicación. Introduce tu código postal.',
+    denied: 'Se bloqueó el acceso a la ubicación. Introduce tu código postal.',
+    unavailable: 'No pudimos obtener tu ubicación. Introduce tu código postal.',
+    loadFailed: 'No pudimos cargar nuestra lista de códigos postales. Revisa tu conexión e inténtalo de nuevo, o llámanos.',
+    lessThanMile: 'menos de una milla',
+    distance: 'unas {miles, plural, one {# milla} other {# millas}}',
+    office: 'nuestra oficina de {city}',
+    inArea: 'Sí, atendemos {place}. Está a {distance} de {office}, dentro de nuestra área de servicio de {radius} millas.',
+    outOfArea: '{place} está a {distance} de {office}, fuera de nuestra área de servicio de {radius} millas. Llámanos y veremos qué podemos hacer.',
+    yourArea: 'tu zona',
+    yourLocation: 'Tu ubicación',
+    near: 'Cerca de {place}, {state} ({point})',
+    prefixArea: 'Zona de {place}, {state} {zip}',
+  },
+
+  submission: {
+    offline: 'Parece que no tienes conexión. Revisa tu conexión e inténtalo de nuevo.',
+    network: 'No pudimos conectar con nuestro servidor. Inténtalo de nuevo en un momento.',
+    timeout: 'La solicitud tardó demasiado. Inténtalo de nuevo.',
+    validation: 'Corrige los campos marcados e inténtalo de nuevo.',
+    client: 'No pudimos aceptar tu mensaje. Revísalo e inténtalo de nuevo.',
+    server: 'Nuestro servidor tuvo un problema al recibir tu mensaje. Inténtalo de nuevo más tarde.',
+    rejected: 'Lo sentimos, no pudimos enviar tu mensaje en este momento. Inténtalo de nuevo en unos minutos o llámanos directamente.',
+  },
+
+  quote: {
+    title: 'Solicita una cotización',
+    intro: '¿Planeas un análisis de suelo, un diseño de riego u otro proyecto? Cuéntanos sobre tu granja y prepararemos una cotización a tu medida.',
+    progress: 'Progreso de la solicitud de cotización',
+    steps: {
+      services: 'Servicios',
+      farm: 'Datos de la granja',
+      contact: 'Horario de contacto',
+      review: 'Revisión',
+    },
+    servicesLegend: '¿Qué servicios necesitas?',
+    farmLegend: 'Cuéntanos sobre tu granja',
+    acreage: 'Tamaño de la granja (acres)',
+    crops: 'Tipos de cultivo',
+    cropsPlaceholder: 'Maíz, soya',
+    cropsHint: 'Separa varios cultivos con comas',
+    zip: 'Código postal de la granja',
+    contactLegend: '¿Cómo y cuándo podemos comunicarnos contigo?',
+    phoneHint: 'Opcional',
+    contactTime: 'Horario de contacto preferido',
+    contactTimes: {
+      placeholder: 'Selecciona un horario',
+      morning: 'Mañana (8:00 - 12:00)',
+      afternoon: 'Tarde (12:00 - 17:00)',
+      evening: 'Noche (17:00 - 19:00)',
+      anytime: 'Cualquier hora',
+    },
+    reviewLegend: 'Revisa tu solicitud',
+    notes: '¿Algo más que debamos saber?',
+    back: 'Atrás',
+    next: 'Siguiente',
+    submit: 'Solicitar cotización',
+    stepAnnouncement: 'Paso {step} de {total}: {title}',
+    sent: 'Solicitud de cotización enviada',
+    queued: 'Solicitud de cotización guardada hasta que vuelva la conexión',
+    status: {
+      invalid: 'Corrige los campos marcados antes de continuar.',
+      success: '¡Gracias! Enviamos tu solicitud de cotización. Nos comunicaremos contigo en el horario que prefieras.',
+      mailto: 'Tu aplicación de correo debería abrirse con tu solicitud de cotización lista para enviar.',
+      error: 'Lo sentimos, hubo un error al enviar tu solicitud de cotización. Inténtalo de nuevo o comunícate con nosotros directamente.',
+      queued: 'No pudimos conectar con nuestro servidor, así que tu solicitud de cotización quedó guardada y se enviará automáticamente cuando vuelvas a tener conexión.',
+      sent: 'Tu solicitud de cotización guardada se ha enviado. Nos comunicaremos contigo en el horario que prefieras.',
+      rejected: 'No pudimos entregar la solicitud de cotización que guardaste antes. Envíala de nuevo o comunícate con nosotros directamente.',
+    },
+    summary: {
+      services: 'Servicios',
+      farmSize: 'Tamaño de la granja',
+      acres: '{acres} acres',
+      crops: 'Cultivos',
+      zip: 'Código postal',
+      name: 'Nombre',
+      email: 'Correo electrónico',
+      phone: 'Teléfono',
+      notProvided: 'No indicado',
+      contactTime: 'Horario de contacto',
+    },
+  },
+
+  emergency: {
+    trigger: '¿Emergencia en tus cultivos?',
+    title: '¿Emergencia en tus cultivos?',
+    close: 'Cerrar soporte de emergencia',
+    description: 'Llama ahora a nuestra línea de emergencias para recibir ayuda lo antes posible. Nuestros especialistas están de guardia las 24 horas, los 7 días.',
+    call: 'Llamar a',
+    divider: '¿No puedes hablar ahora? Solicita una llamada prioritaria.',
+    issueType: '¿Qué tipo de emergencia?',
+    phone: 'Número para devolverte la llamada',
+    location: 'Ubicación de la granja',
+    locationPlaceholder: 'Localidad o código postal',
+    details: '¿Qué está pasando?',
+    submit: 'Solicitar llamada urgente',
+    sent: 'Solicitud de llamada de emergencia enviada',
+    queued: 'Solicitud de llamada de emergencia guardada hasta que vuelva la conexión',
+    issueTypes: {
+      pestOutbreak: 'Brote de plagas',
+      irrigationFailure: 'Falla del riego',
+      equipmentBreakdown: 'Avería de maquinaria',
+      livestock: 'Emergencia con el ganado',
+    },
+    callbackOpen: 'Uno de nuestros especialistas te llamará en menos de {minutes} minutos.',
+    callbackClosed: 'Nuestro especialista de guardia te llamará en menos de {minutes} minutos.',
+    status: {
+      invalid: 'Corrige los campos marcados para que podamos llamarte.',
+      mailto: 'Tu aplicación de correo debería abrirse con tu solicitud de llamada lista para enviar. Para una respuesta más rápida, llama al {number}.',
+      error: 'Lo sentimos, no pudimos enviar tu solicitud de llamada. Llámanos ahora al {number}.',
+      queued: 'Parece que no tienes conexión. Tu solicitud de llamada quedó guardada y se enviará primero en cuanto vuelvas a conectarte. Si puedes, llama ahora al {number}.',
+      confirmation: 'Llamada de emergencia solicitada por: {issue}. {estimate} Si la situación empeora, llama al {number}.',
+    },
+  },
+
+  footer: {
+    tagline: 'Soluciones agrícolas modernas para una agricultura sostenible y más productiva.',
+    quickLinks: 'Enlaces rápidos',
+    navLabel: 'Navegación del pie de página',
+    services: 'Servicios',
+    cropManagement: 'Manejo de cultivos',
+    soilAnalysis: 'Análisis de suelo',
+    irrigation: 'Soluciones de riego',
+    consulting: 'Consultoría',
+    legal: 'Legal',
+    privacy: 'Política de privacidad',
+    terms: 'Términos del servicio',
+    cookies: 'Política de cookies',
+    rights: 'Todos los derechos reservados.',
+    builtWith: 'Hecho con',
+    love: 'amor',
+    forFarmers: 'para los agricultores',
+  },
+
+  sections: {
+    home: 'Sección de inicio',
+    services: 'Sección de servicios',
+    about: 'Sección sobre nosotros',
+    contact: 'Sección de contacto',
+  },
+
+  announcements: {
+    navigatedTo: 'Has ido a {target}',
+    pageLoaded: 'Página cargada. Usa el tabulador para navegar.',
+    serviceDetailsOpened: 'Detalles de {name} abiertos',
+  },
+
+  hours: {
+    weekdays: 'Lunes a viernes',
+    saturday: 'Sábado',
+    sunday: 'Domingo',
+    entry: '{days}: {hours}',
+    range: '{open} - {close}',
+    closed: 'Cerrado',
+    today: 'hoy',
+    tomorrow: 'mañana',
+    openClosesIn: 'Abierto ahora – cierra en {minutes} min',
+    openClosesAt: 'Abierto ahora – cierra a las {time}',
+    closedCall: 'Cerrado – llámanos para programar una visita',
+    closedForCall: 'Cerrado por {closure} – llámanos para programar una visita',
+    opens: 'Abre {when, select, day {el {day}} other {{day}}} a las {time}',
+    closedForOpens: 'Cerrado por {closure} – abre {when, select, day {el {day}} other {{day}}} a las {time}',
+    emergencyLine: 'Línea de emergencias 24/7: {number}',
+    seasons: {
+      planting: 'Temporada de siembra',
+      harvest: 'Temporada de cosecha',
+    },
+    holidays: {
+      newYearsDay: 'Año Nuevo',
+      memorialDay: 'Día de los Caídos',
+      independenceDay: 'Día de la Independencia',
+      laborDay: 'Día del Trabajo',
+      thanksgiving: 'Día de Acción de Gracias',
+      christmasEve: 'Nochebuena',
+      christmasDay: 'Navidad',
+    },
+    closures: {
+      equipmentMaintenance: 'Mantenimiento de equipos de fin de año',
+      staffTraining: 'Día de capacitación del personal',
+    },
+    closedSummary: 'Oficina de {name} cerrada: {closure}',
+  },
+
+  validation: {
+    email: {
+      required: 'El correo electrónico es obligatorio',
+      tooLong: 'El correo electrónico es demasiado largo',
+      invalid: 'Introduce un correo electrónico válido (p. ej., nombre@ejemplo.com)',
+      consecutiveDots: 'El correo electrónico no puede tener puntos consecutivos',
+      invalidDomain: 'Introduce un dominio de correo válido',
+      disposable: 'Usa una dirección de correo permanente para que podamos responderte',
+      noMailServer: 'Este dominio de correo no parece aceptar mensajes. Revisa la dirección',
+    },
+    phone: {
+      required: 'El teléfono es obligatorio',
+      characters: 'El teléfono solo puede contener dígitos, espacios, paréntesis, signos más y guiones',
+      international: 'Introduce un número de teléfono internacional válido',
+      tooShort: 'El teléfono debe tener al menos {min} dígitos',
+      tooLong: 'El teléfono es demasiado largo',
+    },
+    name: {
+      required: 'El nombre es obligatorio',
+      tooShort: 'El nombre debe tener al menos {min} caracteres',
+      tooLong: 'El nombre no puede superar los {max} caracteres',
+      characters: 'El nombre solo puede contener letras, espacios, guiones y apóstrofos',
+      sequences: 'El nombre contiene secuencias de caracteres no válidas',
+    },
+    message: {
+      required: 'El mensaje es obligatorio',
+      tooShort: 'El mensaje debe tener al menos {min} caracteres',
+      tooLong: 'El mensaje no puede superar los {max} caracteres',
+    },
+    required: 'El campo «{label}» es obligatorio',
+    select: 'Selecciona una opción en «{label}»',
+    agree: 'Debes aceptar: {label}',
+    chooseAtLeastOne: 'Elige al menos una opción en «{label}»',
+    minLength: 'El campo «{label}» debe tener al menos {min} caracteres',
+    maxLength: 'El campo «{label}» no puede superar los {max} caracteres',
+    pattern: 'Introduce un valor válido en «{label}»',
+    unsafe: 'El texto contiene contenido potencialmente inseguro',
+    unknownServices: 'Elige servicios de la lista',
+    acreageRange: 'El tamaño de la granja debe estar entre {min} y {max, number} acres',
+    contactTime: 'Selecciona un horario de contacto preferido',
+    emergencyType: 'Elige el tipo de emergencia',
+    contact: {
+      nameRequired: 'Introduce tu nombre completo',
+      emailRequired: 'Introduce tu correo electrónico',
+      locationTooLong: 'La ubicación es demasiado larga',
+      serviceRequired: 'Selecciona un servicio',
+      messageRequired: 'Escribe un mensaje',
+      consentRequired: 'Debes aceptar la política de privacidad para continuar',
+    },
+    quote: {
+      acreageRequired: 'Introduce el tamaño de tu granja en acres',
+      acreagePattern: 'El tamaño de la granja debe ser un número de acres',
+      cropsRequired: 'Cuéntanos qué cultivos siembras',
+      zipRequired: 'Introduce el código postal de tu granja',
+      zipPattern: 'Introduce un código postal de 5 dígitos',
+    },
+    emergency: {
+      phoneRequired: 'Introduce un número al que podamos devolverte la llamada',
+    },
+  },
+
+  fields: {
+    thisField: 'este campo',
+    selection: 'Selección',
+    name: 'Nombre',
+    email: 'Correo electrónico',
+    phone: 'Teléfono',
+    farmLocation: 'Ubicación de la granja',
+    service: 'Servicio',
+    message: 'Mensaje',
+    consent: 'Consentimiento',
+    acreage: 'Tamaño de la granja',
+    crops: 'Tipos de cultivo',
+    zip: 'Código postal',
+    contactTime: 'Horario de contacto preferido',
+    notes: 'Notas',
+    emergencyType: 'Tipo de emergencia',
+    details: 'Detalles',
+  },
+};
+
+export default es;
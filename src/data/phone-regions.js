@@ -0,0 +1,61 @@
+/**
+ * Phone Region Data Module
+ * Calling codes, number lengths and display grouping for supported countries
+ *
+ * @module phone-regions
+ * @modifies: phone number validation, formatting and the country code selector
+ * @dependencies: []
+ */
+
+/**
+ * Default region for phone numbers when none is selected
+ */
+export const DEFAULT_PHONE_REGION = 'US';
+
+/**
+ * Supported phone regions keyed by ISO 3166-1 alpha-2 code
+ *
+ * - `dialCode`: country calling code without the leading "+"
+ * - `lengths`: allowed national significant number lengths [min, max]
+ * - `trunkPrefix`: digit(s) dialled before national numbers domestically (stripped for E.164)
+ * - `groups`: digit grouping for national display, keyed by number length (`default` as fallback)
+ * - `example`: sample national number used as the input placeholder
+ */
+export const PHONE_REGIONS = Object.freeze({
+  US: { name: 'United States', dialCode: '1', lengths: [10, 10], trunkPrefix: null, groups: { default: 'nanp' }, example: '5551234567' },
+  CA: { name: 'Canada', dialCode: '1', lengths: [10, 10], trunkPrefix: null, groups: { default: 'nanp' }, example: '6135550123' },
+  MX: { name: 'Mexico', dialCode: '52', lengths: [10, 10], trunkPrefix: null, groups: { default: [2, 4, 4] }, example: '5512345678' },
+  AT: { name: 'Austria', dialCode: '43', lengths: [4, 13], trunkPrefix: '0', groups: { default: [3, 4, 4, 4] } },
+  BE: { name: 'Belgium', dialCode: '32', lengths: [8, 9], trunkPrefix: '0', groups: { 8: [1, 3, 2, 2], 9: [3, 2, 2, 2] } },
+  BG: { name: 'Bulgaria', dialCode: '359', lengths: [7, 9], trunkPrefix: '0', groups: { default: [2, 3, 4] } },
+  HR: { name: 'Croatia', dialCode: '385', lengths: [8, 9], trunkPrefix: '0', groups: { default: [2, 3, 4] } },
+  CY: { name: 'Cyprus', dialCode: '357', lengths: [8, 8], trunkPrefix: null, groups: { default: [2, 6] } },
+  CZ: { name: 'Czechia', dialCode: '420', lengths: [9, 9], trunkPrefix: null, groups: { default: [3, 3, 3] } },
+  DK: { name: 'Denmark', dialCode: '45', lengths: [8, 8], trunkPrefix: null, groups: { default: [2, 2, 2, 2] } },
+  EE: { name: 'Estonia', dialCode: '372', lengths: [7, 8], trunkPrefix: null, groups: { default: [4, 4] } },
+  FI: { name: 'Finland', dialCode: '358', lengths: [5, 12], trunkPrefix: '0', groups: { default: [2, 3, 4, 4] } },
+  FR: { name: 'France', dialCode: '33', lengths: [9, 9], trunkPrefix: '0', groups: { default: [1, 2, 2, 2, 2] } },
+  DE: { name: 'Germany', dialCode: '49', lengths: [6, 13], trunkPrefix: '0', groups: { default: [2, 11] } },
+  GR: { name: 'Greece', dialCode: '30', lengths: [10, 10], trunkPrefix: null, groups: { default: [3, 3, 4] } },
+  HU: { name: 'Hungary', dialCode: '36', lengths: [8, 9], trunkPrefix: '06', groups: { 8: [1, 3, 4], 9: [2, 3, 4] } },
+  IE: { name: 'Ireland', dialCode: '353', lengths: [7, 9], trunkPrefix: '0', groups: { default: [2, 3, 4] } },
+  IT: { name: 'Italy', dialCode: '39', lengths: [6, 11], trunkPrefix: null, groups: { default: [3, 3, 5] } },
+  LV: { name: 'Latvia', dialCode: '371', lengths: [8, 8], trunkPrefix: null, groups: { default: [2, 3, 3] } },
+  LT: { name: 'Lithuania', dialCode: '370', lengths: [8, 8], trunkPrefix: '8', groups: { default: [3, 5] } },
+  LU: { name: 'Luxembourg', dialCode: '352', lengths: [4, 11], trunkPrefix: null, groups: { default: [3, 3, 3, 2] } },
+  MT: { name: 'Malta', dialCode: '356', lengths: [8, 8], trunkPrefix: null, groups: { default: [4, 4] } },
+  NL: { name: 'Netherlands', dialCode: '31', lengths: [9, 9], trunkPrefix: '0', groups: { default: [1, 8] } },
+  PL: { name: 'Poland', dialCode: '48', lengths: [9, 9], trunkPrefix: null, groups: { default: [3, 3, 3] } },
+  PT: { name: 'Portugal', dialCode: '351', lengths: [9, 9], trunkPrefix: null, groups: { default: [3, 3, 3] } },
+  RO: { name: 'Romania', dialCode: '40', lengths: [9, 9], trunkPrefix: '0', groups: { default: [3, 3, 3] } },
+  SK: { name: 'Slovakia', dialCode: '421', lengths: [9, 9], trunkPrefix: '0', groups: { default: [3, 3, 3] } },
+  SI: { name: 'Slovenia', dialCode: '386', lengths: [8, 8], trunkPrefix: '0', groups: { default: [2, 3, 3] } },
+  ES: { name: 'Spain', dialCode: '34', lengths: [9, 9], trunkPrefix: null, groups: { default: [3, 2, 2, 2] }, example: '612345678' },
+  SE: { name: 'Sweden', dialCode: '46', lengths: [7, 10], trunkPrefix: '0', groups: { default: [2, 3, 2, 2] } },
+});
+
+/**
+ * Regions listed first in the country code selector, in display order
+ * The remaining regions follow alphabetically by name
+ */
+export const PREFERRED_PHONE_REGIONS = Object.freeze(['US', 'CA', 'MX', 'ES']);
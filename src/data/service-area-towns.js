@@ -0,0 +1,47 @@
+/**
+ * Service Area Towns Data Module
+ * Towns named in the service area list and on the service area map
+ *
+ * @module service-area-towns
+ * @modifies: none
+ * @dependencies: []
+ *
+ * Kept apart from the ZIP centroid tables in zip-centroids.js so the contact
+ * details and the map can list the towns without loading those tables, which
+ * the service area checker fetches on first use. Each row repeats its ZIP
+ * code's centroid from that table.
+ */
+
+/**
+ * One ZIP code per town, `[zip, place, latitude, longitude]` rows
+ * A town with several ZIP codes is listed once, at a central ZIP code.
+ * @type {Array<Array>}
+ */
+const TOWN_ROWS = [
+  ['95112', 'San Jose', 37.3476, -121.887],
+  ['95037', 'Morgan Hill', 37.1353, -121.6501],
+  ['95014', 'Cupertino', 37.318, -122.0449],
+  ['95060', 'Santa Cruz', 37.0313, -122.1198],
+  ['95020', 'Gilroy', 37.0139, -121.5773],
+  ['94301', 'Palo Alto', 37.4443, -122.1497],
+  ['95076', 'Watsonville', 36.9102, -121.7569],
+  ['94536', 'Fremont', 37.5605, -121.9999],
+  ['94550', 'Livermore', 37.683, -121.763],
+  ['95023', 'Hollister', 36.8337, -121.3439],
+  ['95376', 'Tracy', 37.7383, -121.4345],
+  ['93901', 'Salinas', 36.6677, -121.6596],
+  ['95363', 'Patterson', 37.4826, -121.1648],
+  ['94601', 'Oakland', 37.7806, -122.2166],
+  ['93940', 'Monterey', 36.5802, -121.8443],
+  ['94102', 'San Francisco', 37.7813, -122.4167],
+];
+
+/**
+ * Service area towns, keyed by 5-digit ZIP code (all in California)
+ * @type {Object<string, { place: string, state: string, latitude: number, longitude: number }>}
+ */
+export const SERVICE_AREA_TOWNS = Object.freeze(Object.fromEntries(
+  TOWN_ROWS.map(([zip, place, latitude, longitude]) => [zip, Object.freeze({ place, state: 'CA', latitude, longitude })])
+));
+
+export default SERVICE_AREA_TOWNS;
@@ -4,9 +4,14 @@
  * 
  * @module services-data
  * @description Comprehensive agricultural services data with structured information
- * for crop consulting, equipment services, soil analysis, harvest planning, and more
+ * for crop consulting, equipment services, soil analysis, harvest planning, and more.
+ * Titles, descriptions, keywords and the duration and availability notes are
+ * stored per locale; the access utilities return services with the text
+ * resolved for the active locale.
  */
 
+import { t, getLocale, SUPPORTED_LOCALES, I18N_CONFIG } from '../utils/i18n.js';
+
 // ============================================
 // Service Category Constants
 // ============================================
@@ -34,17 +39,44 @@ const ServiceCategory = Object.freeze({
  * Service data type definition
  * @typedef {Object} ServiceData
  * @property {string} id - Unique service identifier (kebab-case)
+ * @property {Object<string, string>} title - Service display title by locale
+ * @property {Object<string, string>} description - Detailed service description by locale
+ * @property {string} icon - Icon reference path or identifier
+ * @property {string} category - Service category from ServiceCategory enum
+ * @property {boolean} featured - Whether service should be prominently displayed
+ * @property {Object<string, string[]>} keywords - Search and categorization keywords by locale
+ * @property {Object} metadata - Additional service metadata
+ * @property {Object<string, string>} metadata.duration - Typical service duration by locale
+ * @property {Object<string, string>} metadata.availability - Service availability status by locale
+ * @property {number} metadata.priority - Display priority (lower = higher priority)
+ */
+
+/**
+ * Service with its text resolved for one locale
+ * @typedef {Object} LocalizedService
+ * @property {string} id - Unique service identifier (kebab-case)
  * @property {string} title - Service display title
  * @property {string} description - Detailed service description
  * @property {string} icon - Icon reference path or identifier
  * @property {string} category - Service category from ServiceCategory enum
  * @property {boolean} featured - Whether service should be prominently displayed
  * @property {string[]} keywords - Search and categorization keywords
- * @property {Object} metadata - Additional service metadata
- * @property {string} metadata.duration - Typical service duration
- * @property {string} metadata.availability - Service availability status
- * @property {number} metadata.priority - Display priority (lower = higher priority)
+ * @property {Object} metadata - Additional service metadata, with plain-string duration and availability
+ * @property {string} locale - Locale the text was resolved for
+ */
+
+/**
+ * Fields whose content is stored per locale
+ * @type {string[]}
+ */
+const LOCALIZED_FIELDS = Object.freeze(['title', 'description', 'keywords']);
+
+/**
+ * Metadata fields whose content is stored per locale
+ * Plain strings are accepted too and shown as-is in every locale.
+ * @type {string[]}
  */
+const LOCALIZED_METADATA_FIELDS = Object.freeze(['duration', 'availability']);
 
 // ============================================
 // Agricultural Services Data
@@ -57,253 +89,517 @@ const ServiceCategory = Object.freeze({
 const servicesData = [
   {
     id: 'crop-consulting',
-    title: 'Crop Consulting Services',
-    description:
-      'Expert agricultural consulting for crop selection, rotation planning, and yield optimization. Our agronomists provide data-driven recommendations tailored to your soil conditions, climate, and business goals to maximize profitability and sustainability.',
+    title: {
+      en: 'Crop Consulting Services',
+      es: 'Asesoría de cultivos',
+    },
+    description: {
+      en:
+        'Expert agricultural consulting for crop selection, rotation planning, and yield optimization. Our agronomists provide data-driven recommendations tailored to your soil conditions, climate, and business goals to maximize profitability and sustainability.',
+      es:
+        'Asesoría agrícola experta para la selección de cultivos, la planificación de rotaciones y la optimización del rendimiento. Nuestros agrónomos ofrecen recomendaciones basadas en datos y adaptadas a las condiciones de tu suelo, tu clima y tus objetivos de negocio para maximizar la rentabilidad y la sostenibilidad.',
+    },
     icon: '/images/icons/crop-consulting.svg',
     category: ServiceCategory.CONSULTING,
     featured: true,
-    keywords: [
-      'crop selection',
-      'rotation planning',
-      'yield optimization',
-      'agronomy',
-      'farm consulting',
-    ],
+    keywords: {
+      en: [
+        'crop selection',
+        'rotation planning',
+        'yield optimization',
+        'agronomy',
+        'farm consulting',
+      ],
+      es: [
+        'selección de cultivos',
+        'planificación de rotaciones',
+        'optimización del rendimiento',
+        'agronomía',
+        'asesoría agrícola',
+      ],
+    },
     metadata: {
-      duration: 'Ongoing consultation',
-      availability: 'Year-round',
+      duration: {
+        en: 'Ongoing consultation',
+        es: 'Asesoría continua',
+      },
+      availability: {
+        en: 'Year-round',
+        es: 'Todo el año',
+      },
       priority: 1,
     },
   },
   {
     id: 'soil-analysis',
-    title: 'Comprehensive Soil Analysis',
-    description:
-      'Advanced soil testing and analysis services using state-of-the-art laboratory equipment. We provide detailed reports on nutrient levels, pH balance, organic matter content, and contamination screening to guide precise fertilization and amendment strategies.',
+    title: {
+      en: 'Comprehensive Soil Analysis',
+      es: 'Análisis de suelo integral',
+    },
+    description: {
+      en:
+        'Advanced soil testing and analysis services using state-of-the-art laboratory equipment. We provide detailed reports on nutrient levels, pH balance, organic matter content, and contamination screening to guide precise fertilization and amendment strategies.',
+      es:
+        'Servicios avanzados de muestreo y análisis de suelo con equipos de laboratorio de última generación. Entregamos informes detallados sobre niveles de nutrientes, equilibrio de pH, contenido de materia orgánica y detección de contaminantes para orientar estrategias precisas de fertilización y enmiendas.',
+    },
     icon: '/images/icons/soil-analysis.svg',
     category: ServiceCategory.ANALYSIS,
     featured: true,
-    keywords: [
-      'soil testing',
-      'nutrient analysis',
-      'pH testing',
-      'soil health',
-      'fertilization planning',
-    ],
+    keywords: {
+      en: [
+        'soil testing',
+        'nutrient analysis',
+        'pH testing',
+        'soil health',
+        'fertilization planning',
+      ],
+      es: [
+        'análisis de suelo',
+        'análisis de nutrientes',
+        'medición de pH',
+        'salud del suelo',
+        'planificación de la fertilización',
+      ],
+    },
     metadata: {
-      duration: '5-7 business days',
-      availability: 'Year-round',
+      duration: {
+        en: '5-7 business days',
+        es: '5 a 7 días hábiles',
+      },
+      availability: {
+        en: 'Year-round',
+        es: 'Todo el año',
+      },
       priority: 2,
     },
   },
   {
     id: 'equipment-services',
-    title: 'Agricultural Equipment Services',
-    description:
-      'Full-service equipment solutions including sales, leasing, maintenance, and repair of modern farming machinery. From tractors and harvesters to precision agriculture technology, we ensure your operations run smoothly with minimal downtime.',
+    title: {
+      en: 'Agricultural Equipment Services',
+      es: 'Servicios de maquinaria agrícola',
+    },
+    description: {
+      en:
+        'Full-service equipment solutions including sales, leasing, maintenance, and repair of modern farming machinery. From tractors and harvesters to precision agriculture technology, we ensure your operations run smoothly with minimal downtime.',
+      es:
+        'Soluciones integrales de maquinaria que incluyen venta, arrendamiento, mantenimiento y reparación de equipos agrícolas modernos. Desde tractores y cosechadoras hasta tecnología de agricultura de precisión, mantenemos tu operación en marcha con el mínimo tiempo de inactividad.',
+    },
     icon: '/images/icons/equipment.svg',
     category: ServiceCategory.EQUIPMENT,
     featured: true,
-    keywords: [
-      'farm equipment',
-      'machinery sales',
-      'equipment leasing',
-      'maintenance',
-      'repair services',
-    ],
+    keywords: {
+      en: [
+        'farm equipment',
+        'machinery sales',
+        'equipment leasing',
+        'maintenance',
+        'repair services',
+      ],
+      es: [
+        'maquinaria agrícola',
+        'venta de maquinaria',
+        'arrendamiento de equipos',
+        'mantenimiento',
+        'servicios de reparación',
+      ],
+    },
     metadata: {
-      duration: 'Variable by service',
-      availability: 'Year-round',
+      duration: {
+        en: 'Variable by service',
+        es: 'Varía según el servicio',
+      },
+      availability: {
+        en: 'Year-round',
+        es: 'Todo el año',
+      },
       priority: 3,
     },
   },
   {
     id: 'harvest-planning',
-    title: 'Harvest Planning & Management',
-    description:
-      'Strategic harvest planning services that optimize timing, logistics, and resource allocation. We help coordinate labor, equipment, storage, and transportation to ensure efficient harvest operations and minimize post-harvest losses.',
+    title: {
+      en: 'Harvest Planning & Management',
+      es: 'Planificación y gestión de cosechas',
+    },
+    description: {
+      en:
+        'Strategic harvest planning services that optimize timing, logistics, and resource allocation. We help coordinate labor, equipment, storage, and transportation to ensure efficient harvest operations and minimize post-harvest losses.',
+      es:
+        'Planificación estratégica de cosechas que optimiza los tiempos, la logística y la asignación de recursos. Te ayudamos a coordinar mano de obra, maquinaria, almacenamiento y transporte para lograr una cosecha eficiente y reducir las pérdidas poscosecha.',
+    },
     icon: '/images/icons/harvest-planning.svg',
     category: ServiceCategory.PLANNING,
     featured: true,
-    keywords: [
-      'harvest timing',
-      'logistics planning',
-      'resource management',
-      'post-harvest',
-      'operations',
-    ],
+    keywords: {
+      en: [
+        'harvest timing',
+        'logistics planning',
+        'resource management',
+        'post-harvest',
+        'operations',
+      ],
+      es: [
+        'momento de cosecha',
+        'planificación logística',
+        'gestión de recursos',
+        'poscosecha',
+        'operaciones',
+      ],
+    },
     metadata: {
-      duration: 'Seasonal planning',
-      availability: 'Pre-harvest season',
+      duration: {
+        en: 'Seasonal planning',
+        es: 'Planificación por temporada',
+      },
+      availability: {
+        en: 'Pre-harvest season',
+        es: 'Antes de la cosecha',
+      },
       priority: 4,
     },
   },
   {
     id: 'precision-agriculture',
-    title: 'Precision Agriculture Technology',
-    description:
-      'Implementation of cutting-edge precision agriculture solutions including GPS-guided equipment, drone monitoring, variable rate application systems, and IoT sensors. Leverage data analytics and automation to optimize inputs and maximize yields.',
+    title: {
+      en: 'Precision Agriculture Technology',
+      es: 'Tecnología de agricultura de precisión',
+    },
+    description: {
+      en:
+        'Implementation of cutting-edge precision agriculture solutions including GPS-guided equipment, drone monitoring, variable rate application systems, and IoT sensors. Leverage data analytics and automation to optimize inputs and maximize yields.',
+      es:
+        'Implementación de soluciones de agricultura de precisión de vanguardia, como maquinaria guiada por GPS, monitoreo con drones, sistemas de aplicación de dosis variable y sensores IoT. Aprovecha el análisis de datos y la automatización para optimizar insumos y maximizar rendimientos.',
+    },
     icon: '/images/icons/precision-ag.svg',
     category: ServiceCategory.TECHNOLOGY,
     featured: true,
-    keywords: [
-      'precision farming',
-      'GPS technology',
-      'drone monitoring',
-      'IoT sensors',
-      'data analytics',
-    ],
+    keywords: {
+      en: [
+        'precision farming',
+        'GPS technology',
+        'drone monitoring',
+        'IoT sensors',
+        'data analytics',
+      ],
+      es: [
+        'agricultura de precisión',
+        'tecnología GPS',
+        'monitoreo con drones',
+        'sensores IoT',
+        'análisis de datos',
+      ],
+    },
     metadata: {
-      duration: 'Implementation varies',
-      availability: 'Year-round',
+      duration: {
+        en: 'Implementation varies',
+        es: 'La implementación varía',
+      },
+      availability: {
+        en: 'Year-round',
+        es: 'Todo el año',
+      },
       priority: 5,
     },
   },
   {
     id: 'irrigation-management',
-    title: 'Irrigation System Management',
-    description:
-      'Design, installation, and management of efficient irrigation systems tailored to your crops and terrain. We specialize in drip irrigation, center pivot systems, and smart water management solutions that conserve resources while ensuring optimal crop hydration.',
+    title: {
+      en: 'Irrigation System Management',
+      es: 'Gestión de sistemas de riego',
+    },
+    description: {
+      en:
+        'Design, installation, and management of efficient irrigation systems tailored to your crops and terrain. We specialize in drip irrigation, center pivot systems, and smart water management solutions that conserve resources while ensuring optimal crop hydration.',
+      es:
+        'Diseño, instalación y gestión de sistemas de riego eficientes adaptados a tus cultivos y terreno. Nos especializamos en riego por goteo, pivotes centrales y soluciones inteligentes de gestión del agua que ahorran recursos y garantizan una hidratación óptima de los cultivos.',
+    },
     icon: '/images/icons/irrigation.svg',
     category: ServiceCategory.MANAGEMENT,
     featured: true,
-    keywords: [
-      'irrigation design',
-      'water management',
-      'drip irrigation',
-      'pivot systems',
-      'water conservation',
-    ],
+    keywords: {
+      en: [
+        'irrigation design',
+        'water management',
+        'drip irrigation',
+        'pivot systems',
+        'water conservation',
+      ],
+      es: [
+        'diseño de riego',
+        'gestión del agua',
+        'riego por goteo',
+        'pivotes centrales',
+        'ahorro de agua',
+      ],
+    },
     metadata: {
-      duration: 'Project-based',
-      availability: 'Year-round',
+      duration: {
+        en: 'Project-based',
+        es: 'Por proyecto',
+      },
+      availability: {
+        en: 'Year-round',
+        es: 'Todo el año',
+      },
       priority: 6,
     },
   },
   {
     id: 'sustainable-practices',
-    title: 'Sustainable Farming Practices',
-    description:
-      'Guidance on implementing environmentally responsible farming methods including organic certification, integrated pest management, cover cropping, and regenerative agriculture techniques. Build long-term soil health while meeting sustainability standards.',
+    title: {
+      en: 'Sustainable Farming Practices',
+      es: 'Prácticas agrícolas sostenibles',
+    },
+    description: {
+      en:
+        'Guidance on implementing environmentally responsible farming methods including organic certification, integrated pest management, cover cropping, and regenerative agriculture techniques. Build long-term soil health while meeting sustainability standards.',
+      es:
+        'Orientación para adoptar métodos agrícolas responsables con el medio ambiente, como la certificación orgánica, el manejo integrado de plagas, los cultivos de cobertura y las técnicas de agricultura regenerativa. Mejora la salud del suelo a largo plazo y cumple los estándares de sostenibilidad.',
+    },
     icon: '/images/icons/sustainability.svg',
     category: ServiceCategory.SUSTAINABILITY,
     featured: false,
-    keywords: [
-      'organic farming',
-      'regenerative agriculture',
-      'IPM',
-      'cover crops',
-      'soil health',
-    ],
+    keywords: {
+      en: [
+        'organic farming',
+        'regenerative agriculture',
+        'IPM',
+        'cover crops',
+        'soil health',
+      ],
+      es: [
+        'agricultura orgánica',
+        'agricultura regenerativa',
+        'MIP',
+        'cultivos de cobertura',
+        'salud del suelo',
+      ],
+    },
     metadata: {
-      duration: 'Long-term transition',
-      availability: 'Year-round',
+      duration: {
+        en: 'Long-term transition',
+        es: 'Transición a largo plazo',
+      },
+      availability: {
+        en: 'Year-round',
+        es: 'Todo el año',
+      },
       priority: 7,
     },
   },
   {
     id: 'pest-disease-management',
-    title: 'Pest & Disease Management',
-    description:
-      'Integrated pest and disease management programs combining monitoring, identification, and targeted treatment strategies. We emphasize biological controls and precision application to minimize chemical use while protecting crop health.',
+    title: {
+      en: 'Pest & Disease Management',
+      es: 'Manejo de plagas y enfermedades',
+    },
+    description: {
+      en:
+        'Integrated pest and disease management programs combining monitoring, identification, and targeted treatment strategies. We emphasize biological controls and precision application to minimize chemical use while protecting crop health.',
+      es:
+        'Programas de manejo integrado de plagas y enfermedades que combinan monitoreo, identificación y tratamientos focalizados. Priorizamos el control biológico y la aplicación de precisión para reducir el uso de químicos y proteger la salud de los cultivos.',
+    },
     icon: '/images/icons/pest-management.svg',
     category: ServiceCategory.MANAGEMENT,
     featured: false,
-    keywords: [
-      'pest control',
-      'disease prevention',
-      'IPM',
-      'crop protection',
-      'monitoring',
-    ],
+    keywords: {
+      en: [
+        'pest control',
+        'disease prevention',
+        'IPM',
+        'crop protection',
+        'monitoring',
+      ],
+      es: [
+        'control de plagas',
+        'prevención de enfermedades',
+        'MIP',
+        'protección de cultivos',
+        'monitoreo',
+      ],
+    },
     metadata: {
-      duration: 'Seasonal monitoring',
-      availability: 'Growing season',
+      duration: {
+        en: 'Seasonal monitoring',
+        es: 'Monitoreo por temporada',
+      },
+      availability: {
+        en: 'Growing season',
+        es: 'Temporada de cultivo',
+      },
       priority: 8,
     },
   },
   {
     id: 'crop-insurance-advisory',
-    title: 'Crop Insurance Advisory',
-    description:
-      'Expert guidance on crop insurance options, risk assessment, and claims management. We help you navigate federal programs and private insurance products to protect your investment against weather, pests, and market volatility.',
+    title: {
+      en: 'Crop Insurance Advisory',
+      es: 'Asesoría en seguros agrícolas',
+    },
+    description: {
+      en:
+        'Expert guidance on crop insurance options, risk assessment, and claims management. We help you navigate federal programs and private insurance products to protect your investment against weather, pests, and market volatility.',
+      es:
+        'Asesoría experta sobre opciones de seguros agrícolas, evaluación de riesgos y gestión de reclamaciones. Te ayudamos a entender los programas federales y los seguros privados para proteger tu inversión frente al clima, las plagas y la volatilidad del mercado.',
+    },
     icon: '/images/icons/insurance.svg',
     category: ServiceCategory.CONSULTING,
     featured: false,
-    keywords: [
-      'crop insurance',
-      'risk management',
-      'federal programs',
-      'claims assistance',
-      'financial protection',
-    ],
+    keywords: {
+      en: [
+        'crop insurance',
+        'risk management',
+        'federal programs',
+        'claims assistance',
+        'financial protection',
+      ],
+      es: [
+        'seguro agrícola',
+        'gestión de riesgos',
+        'programas federales',
+        'asistencia con reclamaciones',
+        'protección financiera',
+      ],
+    },
     metadata: {
-      duration: 'Annual review',
-      availability: 'Year-round',
+      duration: {
+        en: 'Annual review',
+        es: 'Revisión anual',
+      },
+      availability: {
+        en: 'Year-round',
+        es: 'Todo el año',
+      },
       priority: 9,
     },
   },
   {
     id: 'market-analysis',
-    title: 'Agricultural Market Analysis',
-    description:
-      'Comprehensive market intelligence and commodity price analysis to inform planting decisions and marketing strategies. Access real-time market data, trend forecasts, and expert insights to optimize your selling opportunities.',
+    title: {
+      en: 'Agricultural Market Analysis',
+      es: 'Análisis del mercado agrícola',
+    },
+    description: {
+      en:
+        'Comprehensive market intelligence and commodity price analysis to inform planting decisions and marketing strategies. Access real-time market data, trend forecasts, and expert insights to optimize your selling opportunities.',
+      es:
+        'Inteligencia de mercado y análisis de precios de materias primas para orientar las decisiones de siembra y las estrategias de comercialización. Accede a datos de mercado en tiempo real, pronósticos de tendencias y la visión de expertos para aprovechar mejor tus oportunidades de venta.',
+    },
     icon: '/images/icons/market-analysis.svg',
     category: ServiceCategory.CONSULTING,
     featured: false,
-    keywords: [
-      'market intelligence',
-      'commodity prices',
-      'trend analysis',
-      'marketing strategy',
-      'price forecasting',
-    ],
+    keywords: {
+      en: [
+        'market intelligence',
+        'commodity prices',
+        'trend analysis',
+        'marketing strategy',
+        'price forecasting',
+      ],
+      es: [
+        'inteligencia de mercado',
+        'precios de materias primas',
+        'análisis de tendencias',
+        'estrategia de comercialización',
+        'pronóstico de precios',
+      ],
+    },
     metadata: {
-      duration: 'Ongoing updates',
-      availability: 'Year-round',
+      duration: {
+        en: 'Ongoing updates',
+        es: 'Actualizaciones continuas',
+      },
+      availability: {
+        en: 'Year-round',
+        es: 'Todo el año',
+      },
       priority: 10,
     },
   },
   {
     id: 'farm-automation',
-    title: 'Farm Automation Solutions',
-    description:
-      'Implementation of automated systems for feeding, climate control, monitoring, and data collection. Reduce labor costs and improve consistency with robotics, automated gates, and smart control systems tailored to your operation.',
+    title: {
+      en: 'Farm Automation Solutions',
+      es: 'Soluciones de automatización agrícola',
+    },
+    description: {
+      en:
+        'Implementation of automated systems for feeding, climate control, monitoring, and data collection. Reduce labor costs and improve consistency with robotics, automated gates, and smart control systems tailored to your operation.',
+      es:
+        'Implementación de sistemas automatizados de alimentación, control climático, monitoreo y recopilación de datos. Reduce los costos de mano de obra y gana consistencia con robótica, puertas automáticas y sistemas de control inteligentes adaptados a tu operación.',
+    },
     icon: '/images/icons/automation.svg',
     category: ServiceCategory.TECHNOLOGY,
     featured: false,
-    keywords: [
-      'automation',
-      'robotics',
-      'smart systems',
-      'labor efficiency',
-      'monitoring',
-    ],
+    keywords: {
+      en: [
+        'automation',
+        'robotics',
+        'smart systems',
+        'labor efficiency',
+        'monitoring',
+      ],
+      es: [
+        'automatización',
+        'robótica',
+        'sistemas inteligentes',
+        'eficiencia laboral',
+        'monitoreo',
+      ],
+    },
     metadata: {
-      duration: 'Project-based',
-      availability: 'Year-round',
+      duration: {
+        en: 'Project-based',
+        es: 'Por proyecto',
+      },
+      availability: {
+        en: 'Year-round',
+        es: 'Todo el año',
+      },
       priority: 11,
     },
   },
   {
     id: 'nutrient-management',
-    title: 'Nutrient Management Planning',
-    description:
-      'Customized nutrient management plans that optimize fertilizer application based on soil tests, crop requirements, and environmental regulations. Improve nutrient use efficiency while reducing costs and environmental impact.',
+    title: {
+      en: 'Nutrient Management Planning',
+      es: 'Planificación del manejo de nutrientes',
+    },
+    description: {
+      en:
+        'Customized nutrient management plans that optimize fertilizer application based on soil tests, crop requirements, and environmental regulations. Improve nutrient use efficiency while reducing costs and environmental impact.',
+      es:
+        'Planes de manejo de nutrientes a medida que optimizan la aplicación de fertilizantes según los análisis de suelo, las necesidades del cultivo y la normativa ambiental. Mejora la eficiencia en el uso de nutrientes mientras reduces costos e impacto ambiental.',
+    },
     icon: '/images/icons/nutrient-management.svg',
     category: ServiceCategory.PLANNING,
     featured: false,
-    keywords: [
-      'fertilizer planning',
-      'nutrient efficiency',
-      'soil fertility',
-      'environmental compliance',
-      'cost optimization',
-    ],
+    keywords: {
+      en: [
+        'fertilizer planning',
+        'nutrient efficiency',
+        'soil fertility',
+        'environmental compliance',
+        'cost optimization',
+      ],
+      es: [
+        'planificación de fertilizantes',
+        'eficiencia de nutrientes',
+        'fertilidad del suelo',
+        'cumplimiento ambiental',
+        'optimización de costos',
+      ],
+    },
     metadata: {
-      duration: 'Seasonal planning',
-      availability: 'Year-round',
+      duration: {
+        en: 'Seasonal planning',
+        es: 'Planificación por temporada',
+      },
+      availability: {
+        en: 'Year-round',
+        es: 'Todo el año',
+      },
       priority: 12,
     },
   },
@@ -313,13 +609,55 @@ const servicesData = [
 // Data Validation
 // ============================================
 
+/**
+ * Check whether a localized value has usable content
+ * @param {string|string[]|undefined} value - Value for one locale
+ * @returns {boolean} True if the value is a non-empty string or keyword list
+ */
+function hasLocalizedContent(value) {
+  if (Array.isArray(value)) {
+    return value.length > 0 && value.every((item) => typeof item === 'string' && item.trim().length > 0);
+  }
+
+  return typeof value === 'string' && value.trim().length > 0;
+}
+
+/**
+ * List the localized fields of a service that lack content for some locales
+ * @param {ServiceData} service - Service object to check
+ * @param {string[]} [locales=SUPPORTED_LOCALES] - Locales that must be present
+ * @returns {Array<{field: string, locale: string}>} Missing field/locale pairs
+ */
+export function findMissingTranslations(service, locales = SUPPORTED_LOCALES) {
+  const missing = [];
+
+  for (const field of LOCALIZED_FIELDS) {
+    const values = service[field];
+
+    for (const locale of locales) {
+      const value = values && typeof values === 'object' && !Array.isArray(values)
+        ? values[locale]
+        : undefined;
+
+      if (!hasLocalizedContent(value)) {
+        missing.push({ field, locale });
+      }
+    }
+  }
+
+  return missing;
+}
+
 /**
  * Validate service data structure
+ * Missing default-locale content is an error; a missing translation for any
+ * other configured locale is logged as a warning because the default-locale
+ * text is shown in its place.
  * @param {ServiceData} service - Service object to validate
  * @returns {boolean} True if valid
  * @throws {Error} If validation fails
  */
-function validateServiceData(service) {
+export function validateServiceData(service) {
   const requiredFields = [
     'id',
     'title',
@@ -345,18 +683,13 @@ function validateServiceData(service) {
     );
   }
 
-  if (typeof service.title !== 'string' || service.title.length === 0) {
-    throw new Error(
-      `[Services Data] Invalid service title in '${service.id}': must be non-empty string`
-    );
-  }
+  const missingDefault = findMissingTranslations(service, [
+    I18N_CONFIG.DEFAULT_LOCALE,
+  ]);
 
-  if (
-    typeof service.description !== 'string' ||
-    service.description.length === 0
-  ) {
+  if (missingDefault.length > 0) {
     throw new Error(
-      `[Services Data] Invalid service description in '${service.id}': must be non-empty string`
+      `[Services Data] Invalid ${missingDefault[0].field} in '${service.id}': must have non-empty '${I18N_CONFIG.DEFAULT_LOCALE}' content`
     );
   }
 
@@ -372,12 +705,6 @@ function validateServiceData(service) {
     );
   }
 
-  if (!Array.isArray(service.keywords) || service.keywords.length === 0) {
-    throw new Error(
-      `[Services Data] Invalid keywords in '${service.id}': must be non-empty array`
-    );
-  }
-
   if (
     !service.metadata ||
     typeof service.metadata !== 'object' ||
@@ -390,6 +717,12 @@ function validateServiceData(service) {
     );
   }
 
+  findMissingTranslations(service).forEach(({ field, locale }) => {
+    console.warn(
+      `[Services Data] Missing '${locale}' translation for ${field} in '${service.id}'; falling back to '${I18N_CONFIG.DEFAULT_LOCALE}'`
+    );
+  });
+
   return true;
 }
 
@@ -428,6 +761,68 @@ function validateAllServices() {
 // Run validation on module load
 validateAllServices();
 
+// ============================================
+// Localization
+// ============================================
+
+/**
+ * Resolve one localized field, falling back to the default locale and then to
+ * the first locale with content
+ * @param {Object<string, string|string[]>} values - Field values by locale
+ * @param {string} locale - Requested locale
+ * @returns {string|string[]} Localized value
+ */
+function resolveLocalizedField(values, locale) {
+  const fallbacks = [locale, I18N_CONFIG.DEFAULT_LOCALE, ...Object.keys(values)];
+  const match = fallbacks.find((candidate) => hasLocalizedContent(values[candidate]));
+
+  return match ? values[match] : '';
+}
+
+/**
+ * Resolve a service's text for one locale
+ * @param {ServiceData} service - Service data
+ * @param {string} [locale] - Locale to resolve (defaults to the active locale)
+ * @returns {LocalizedService} Service with plain-string title, description, keywords and metadata text
+ */
+export function localizeService(service, locale = getLocale()) {
+  const localized = { ...service, locale, metadata: { ...service.metadata } };
+
+  for (const field of LOCALIZED_FIELDS) {
+    localized[field] = resolveLocalizedField(service[field], locale);
+  }
+
+  for (const field of LOCALIZED_METADATA_FIELDS) {
+    const value = service.metadata[field];
+    localized.metadata[field] = typeof value === 'string' ? value : resolveLocalizedField(value, locale);
+  }
+
+  return localized;
+}
+
+/**
+ * Get the display name of a service category
+ * @param {string} category - Service category from ServiceCategory enum
+ * @param {string} [locale] - Locale to use (defaults to the active locale)
+ * @returns {string} Category name, e.g. "Analysis"
+ */
+export function getServiceCategoryLabel(category, locale = getLocale()) {
+  return t(`services.categories.${category}`, {}, locale);
+}
+
+/**
+ * Normalize text for accent- and case-insensitive matching
+ * @param {string} text - Text to normalize
+ * @returns {string} Lowercase text without diacritics
+ */
+function normalizeSearchText(text) {
+  return text
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .trim();
+}
+
 // ============================================
 // Data Access Utilities
 // ============================================
@@ -435,9 +830,10 @@ validateAllServices();
 /**
  * Get service by ID with error handling
  * @param {string} serviceId - Service identifier
- * @returns {ServiceData|null} Service data or null if not found
+ * @param {string} [locale] - Locale to resolve (defaults to the active locale)
+ * @returns {LocalizedService|null} Service data or null if not found
  */
-export function getServiceById(serviceId) {
+export function getServiceById(serviceId, locale = getLocale()) {
   if (typeof serviceId !== 'string' || serviceId.length === 0) {
     console.warn('[Services Data] Invalid service ID provided');
     return null;
@@ -449,62 +845,72 @@ export function getServiceById(serviceId) {
     console.warn(`[Services Data] Service not found: '${serviceId}'`);
   }
 
-  return service || null;
+  return service ? localizeService(service, locale) : null;
 }
 
 /**
  * Get services by category
  * @param {string} category - Service category
- * @returns {ServiceData[]} Array of services in category
+ * @param {string} [locale] - Locale to resolve (defaults to the active locale)
+ * @returns {LocalizedService[]} Array of services in category
  */
-export function getServicesByCategory(category) {
+export function getServicesByCategory(category, locale = getLocale()) {
   if (!Object.values(ServiceCategory).includes(category)) {
     console.warn(`[Services Data] Invalid category: '${category}'`);
     return [];
   }
 
-  return servicesData.filter((service) => service.category === category);
+  return servicesData
+    .filter((service) => service.category === category)
+    .map((service) => localizeService(service, locale));
 }
 
 /**
  * Get featured services
- * @returns {ServiceData[]} Array of featured services sorted by priority
+ * @param {string} [locale] - Locale to resolve (defaults to the active locale)
+ * @returns {LocalizedService[]} Array of featured services sorted by priority
  */
-export function getFeaturedServices() {
+export function getFeaturedServices(locale = getLocale()) {
   return servicesData
     .filter((service) => service.featured)
-    .sort((a, b) => a.metadata.priority - b.metadata.priority);
+    .sort((a, b) => a.metadata.priority - b.metadata.priority)
+    .map((service) => localizeService(service, locale));
 }
 
 /**
  * Get all services sorted by priority
- * @returns {ServiceData[]} Array of all services sorted by priority
+ * @param {string} [locale] - Locale to resolve (defaults to the active locale)
+ * @returns {LocalizedService[]} Array of all services sorted by priority
  */
-export function getAllServicesSorted() {
-  return [...servicesData].sort(
-    (a, b) => a.metadata.priority - b.metadata.priority
-  );
+export function getAllServicesSorted(locale = getLocale()) {
+  return [...servicesData]
+    .sort((a, b) => a.metadata.priority - b.metadata.priority)
+    .map((service) => localizeService(service, locale));
 }
 
 /**
- * Search services by keyword
+ * Search services by keyword in one locale, ignoring case and accents
+ * ("analisis de suelo" matches "Análisis de suelo")
  * @param {string} keyword - Search keyword
- * @returns {ServiceData[]} Array of matching services
+ * @param {string} [locale] - Locale to search (defaults to the active locale)
+ * @returns {LocalizedService[]} Array of matching services
  */
-export function searchServicesByKeyword(keyword) {
-  if (typeof keyword !== 'string' || keyword.length === 0) {
+export function searchServicesByKeyword(keyword, locale = getLocale()) {
+  if (typeof keyword !== 'string' || keyword.trim().length === 0) {
     console.warn('[Services Data] Invalid search keyword');
     return [];
   }
 
-  const normalizedKeyword = keyword.toLowerCase().trim();
+  const normalizedKeyword = normalizeSearchText(keyword);
 
-  return servicesData.filter(
-    (service) =>
-      service.title.toLowerCase().includes(normalizedKeyword) ||
-      service.description.toLowerCase().includes(normalizedKeyword) ||
-      service.keywords.some((kw) => kw.toLowerCase().includes(normalizedKeyword))
-  );
+  return servicesData
+    .map((service) => localizeService(service, locale))
+    .filter(
+      (service) =>
+        normalizeSearchText(service.title).includes(normalizedKeyword) ||
+        normalizeSearchText(service.description).includes(normalizedKeyword) ||
+        service.keywords.some((kw) => normalizeSearchText(kw).includes(normalizedKeyword))
+    );
 }
 
 /**
@@ -0,0 +1,166 @@
+/**
+ * Site Configuration Module
+ * Single source of truth for brand, contact details, service area, hours and headline statistics
+ *
+ * @module site-config
+ * @modifies: brand name, contact details, service area, business hours and statistics used across the site
+ * @dependencies: []
+ *
+ * data/company and data/contact derive their copy from this module, and
+ * utils/site-consistency checks the static markup in index.html against it.
+ * Change a value here, then update any static HTML the checker reports.
+ */
+
+/**
+ * Brand identity
+ */
+const BRAND = Object.freeze({
+  name: 'GreenField Agricultural Solutions',
+  shortName: 'GreenField',
+  tagline: 'Your Trusted Agricultural Partner',
+  siteUrl: 'https://agrolanding.example.com',
+  foundedYear: 1998,
+});
+
+/**
+ * Ways to reach the business
+ *
+ * - `display`: number or address exactly as shown on the page
+ * - `raw`: value used in tel: and mailto: links (E.164 for phone numbers)
+ */
+const CONTACT_METHODS = Object.freeze({
+  phone: Object.freeze({
+    display: '+1 (555) 123-4567',
+    raw: '+15551234567',
+  }),
+  emergency: Object.freeze({
+    display: '+1 (555) 999-8888',
+    raw: '+15559998888',
+  }),
+  email: Object.freeze({
+    display: 'info@agrolanding.com',
+    raw: 'info@agrolanding.com',
+  }),
+});
+
+/**
+ * Office address
+ * City, ZIP code and coordinates must describe the same place: the service area
+ * checker measures from the coordinates, and map links search by the address.
+ */
+const ADDRESS = Object.freeze({
+  street: '1234 Farm Road',
+  city: 'San Jose',
+  state: 'CA',
+  zip: '95123',
+  country: 'United States',
+  coordinates: Object.freeze({
+    latitude: 37.2459,
+    longitude: -121.8310,
+  }),
+});
+
+/**
+ * Service area around the office, used by the "Do you serve my farm?" checker
+ * Distances are straight-line (haversine) miles from the office coordinates
+ */
+const SERVICE_AREA = Object.freeze({
+  radiusMiles: 50,
+});
+
+/**
+ * Regular weekly opening hours in the office's local time zone
+ *
+ * `daysOfWeek` uses 0 = Sunday ... 6 = Saturday, `open` and `close` use 24-hour
+ * HH:MM, and closed days have null times. Seasonal hours, holidays and one-off
+ * closures live in the calendar in data/contact.
+ */
+const HOURS = Object.freeze({
+  timezone: 'America/Los_Angeles',
+  schedule: Object.freeze({
+    weekdays: Object.freeze({ days: 'Monday - Friday', daysOfWeek: Object.freeze([1, 2, 3, 4, 5]), open: '08:00', close: '18:00' }),
+    saturday: Object.freeze({ days: 'Saturday', daysOfWeek: Object.freeze([6]), open: '09:00', close: '16:00' }),
+    sunday: Object.freeze({ days: 'Sunday', daysOfWeek: Object.freeze([0]), open: null, close: null }),
+  }),
+  emergencyNote: 'Emergency services available 24/7',
+});
+
+/**
+ * Headline statistics quoted in copy and the stats grid
+ * `display` is the exact text shown on the page
+ */
+const STATS = Object.freeze({
+  yearsOfExperience: Object.freeze({ value: 25, display: '25+', label: 'Years Experience' }),
+  farmsServed: Object.freeze({ value: 500, display: '500+', label: 'Farms Served' }),
+  clientSatisfaction: Object.freeze({ value: 98, display: '98%', label: 'Client Satisfaction' }),
+  acresManaged: Object.freeze({ value: 10000, display: '10K+', label: 'Acres Managed' }),
+  teamSize: Object.freeze({ value: 50, display: '50+', label: 'Expert Team Members' }),
+});
+
+/**
+ * Social media profiles
+ */
+const SOCIAL = Object.freeze({
+  facebook: 'https://facebook.com/greenfieldagsolutions',
+  instagram: 'https://instagram.com/greenfieldagsolutions',
+  linkedin: 'https://linkedin.com/company/greenfield-agricultural-solutions',
+});
+
+/**
+ * Complete site configuration
+ */
+export const SITE_CONFIG = Object.freeze({
+  brand: BRAND,
+  contact: CONTACT_METHODS,
+  address: ADDRESS,
+  serviceArea: SERVICE_AREA,
+  hours: HOURS,
+  stats: STATS,
+  social: SOCIAL,
+});
+
+/**
+ * Formats a 24-hour HH:MM time for display (e.g. "18:00" -> "6:00 PM")
+ * @param {string} time - Time in HH:MM
+ * @returns {string} 12-hour time
+ */
+export function formatConfigTime(time) {
+  const [hours, minutes] = time.split(':').map(Number);
+  const period = hours >= 12 ? 'PM' : 'AM';
+  const displayHours = hours % 12 || 12;
+
+  return `${displayHours}:${String(minutes).padStart(2, '0')} ${period}`;
+}
+
+/**
+ * Formats a schedule entry's opening hours for display
+ * @param {{ open: string|null, close: string|null }} entry - Schedule entry
+ * @returns {string} Hours such as "8:00 AM - 6:00 PM", or "Closed"
+ */
+export function formatConfigHours(entry) {
+  return entry.open && entry.close
+    ? `${formatConfigTime(entry.open)} - ${formatConfigTime(entry.close)}`
+    : 'Closed';
+}
+
+/**
+ * Formats the office address on one line
+ * @returns {string} Address such as "1234 Farm Road, San Jose, CA 95123"
+ */
+export function formatConfigAddress() {
+  return `${ADDRESS.street}, ${ADDRESS.city}, ${ADDRESS.state} ${ADDRESS.zip}`;
+}
+
+/**
+ * Reads a configuration value by dotted path (e.g. "contact.phone.display")
+ * @param {string} path - Dotted path into SITE_CONFIG
+ * @returns {*} Value, or undefined if the path does not exist
+ */
+export function getConfigValue(path) {
+  return path.split('.').reduce(
+    (value, key) => (value !== null && typeof value === 'object' ? value[key] : undefined),
+    SITE_CONFIG
+  );
+}
+
+export default SITE_CONFIG;
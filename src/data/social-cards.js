@@ -0,0 +1,76 @@
+/**
+ * Social Cards Module
+ * Open Graph card and page metadata for each service's shareable page
+ *
+ * @module data/social-cards
+ * @modifies: services/<id>/index.html and images/og/<id>.png emitted at build time
+ * @dependencies: ["data/site-config", "data/services", "utils/i18n"]
+ *
+ * Each service gets its own page, a copy of the landing page that opens the
+ * service's details, so a shared link previews that service instead of the
+ * site-wide card. URLs and copy are derived from the data modules.
+ */
+
+import { SITE_CONFIG } from './site-config.js';
+import { getAllServicesSorted, getServiceCategoryLabel } from './services.js';
+import { I18N_CONFIG } from '../utils/i18n.js';
+
+/**
+ * Output locations, relative to the site root
+ */
+const SERVICE_PAGE_DIR = 'services';
+const SOCIAL_IMAGE_DIR = 'images/og';
+
+/**
+ * Builds the path of a service's page
+ * @param {string} serviceId - Service ID
+ * @returns {string} Path of the page's index.html, relative to the site root
+ */
+export function getServicePagePath(serviceId) {
+  return `${SERVICE_PAGE_DIR}/${serviceId}/index.html`;
+}
+
+/**
+ * Builds the path of a service's social card image
+ * @param {string} serviceId - Service ID
+ * @returns {string} Image path, relative to the site root
+ */
+export function getSocialImagePath(serviceId) {
+  return `${SOCIAL_IMAGE_DIR}/${serviceId}.png`;
+}
+
+/**
+ * Gets the social card and page metadata of every service
+ * Shared links are previewed in the default language, so the copy is not localized
+ * to the visitor.
+ * @param {string} [locale=I18N_CONFIG.DEFAULT_LOCALE] - Locale for service titles and descriptions
+ * @returns {Array<{serviceId: string, icon: string, pagePath: string, imagePath: string,
+ *   card: Object, meta: Object}>} One entry per service, for utils/social-card
+ */
+export function getServiceSocialCards(locale = I18N_CONFIG.DEFAULT_LOCALE) {
+  const { name, siteUrl } = SITE_CONFIG.brand;
+
+  return getAllServicesSorted(locale).map((service) => {
+    const imagePath = getSocialImagePath(service.id);
+
+    return {
+      serviceId: service.id,
+      icon: service.icon,
+      pagePath: getServicePagePath(service.id),
+      imagePath,
+      card: {
+        title: service.title,
+        category: getServiceCategoryLabel(service.category, locale),
+        brand: name,
+        footer: new URL(siteUrl).host,
+      },
+      meta: {
+        title: `${service.title} | ${name}`,
+        description: service.description,
+        url: `${siteUrl}/${SERVICE_PAGE_DIR}/${service.id}/`,
+        image: `${siteUrl}/${imagePath}`,
+        imageAlt: `${service.title} – ${name}`,
+      },
+    };
+  });
+}
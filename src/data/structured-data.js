@@ -0,0 +1,164 @@
+/**
+ * Structured Data Module
+ * schema.org JSON-LD describing the business, its services and its reviews
+ *
+ * @module data/structured-data
+ * @modifies: JSON-LD emitted into index.html at build time and refreshed at runtime
+ * @dependencies: ["data/site-config", "data/contact", "data/company", "data/services", "utils/business-hours", "utils/i18n", "utils/structured-data"]
+ *
+ * Everything is derived from the data modules, so the markup search engines
+ * read cannot drift from the copy on the page. Service names and descriptions
+ * follow the requested locale.
+ */
+
+import { SITE_CONFIG } from './site-config.js';
+import { contactInfo } from './contact.js';
+import { getTestimonials, getAggregateRating, RATING_SCALE } from './company.js';
+import { getAllServicesSorted } from './services.js';
+import { DAY_NAMES } from '../utils/business-hours.js';
+import { getLocale, t } from '../utils/i18n.js';
+import { createFaqPage, STRUCTURED_DATA_CONFIG } from '../utils/structured-data.js';
+
+/**
+ * Node identifiers, so services and reviews can reference the business
+ */
+const BUSINESS_ID = `${SITE_CONFIG.brand.siteUrl}/#business`;
+const CATALOG_ID = `${SITE_CONFIG.brand.siteUrl}/#services`;
+
+/**
+ * Image shown for the business, shared with the Open Graph tags
+ */
+const BUSINESS_IMAGE = `${SITE_CONFIG.brand.siteUrl}/images/og-image.jpg`;
+
+/**
+ * Builds the opening hours of the regular weekly schedule
+ * Closed days are left out, which schema.org reads as closed.
+ * @returns {Object[]} OpeningHoursSpecification nodes
+ */
+function buildOpeningHours() {
+  const { weekdays, saturday, sunday } = contactInfo.hours;
+
+  return [weekdays, saturday, sunday]
+    .filter((entry) => entry.open && entry.close)
+    .map((entry) => ({
+      '@type': 'OpeningHoursSpecification',
+      dayOfWeek: entry.daysOfWeek.map((day) => DAY_NAMES[day]),
+      opens: entry.open,
+      closes: entry.close,
+    }));
+}
+
+/**
+ * Builds the catalog of services offered by the business
+ * @param {string} locale - Locale for service names and descriptions
+ * @returns {Object} OfferCatalog node
+ */
+function buildOfferCatalog(locale) {
+  return {
+    '@type': 'OfferCatalog',
+    '@id': CATALOG_ID,
+    name: t('services.title', {}, locale),
+    itemListElement: getAllServicesSorted(locale).map((service) => ({
+      '@type': 'Offer',
+      itemOffered: {
+        '@type': 'Service',
+        '@id': `${SITE_CONFIG.brand.siteUrl}/#service-${service.id}`,
+        name: service.title,
+        description: service.description,
+        serviceType: service.category,
+        provider: { '@id': BUSINESS_ID },
+        areaServed: contactInfo.address.state,
+      },
+    })),
+  };
+}
+
+/**
+ * Builds reviews from the customer testimonials
+ * @param {string} locale - Locale for the review text
+ * @returns {Object[]} Review nodes
+ */
+function buildReviews(locale) {
+  return getTestimonials(locale).map((testimonial) => ({
+    '@type': 'Review',
+    author: { '@type': 'Person', name: testimonial.name },
+    reviewBody: testimonial.quote.replace(/\s+/g, ' ').trim(),
+    datePublished: String(testimonial.year),
+    reviewRating: {
+      '@type': 'Rating',
+      ratingValue: testimonial.rating,
+      bestRating: RATING_SCALE.best,
+      worstRating: RATING_SCALE.worst,
+    },
+  }));
+}
+
+/**
+ * Builds the LocalBusiness node
+ * @param {string} locale - Locale for translated text
+ * @returns {Object} LocalBusiness node
+ */
+function buildLocalBusiness(locale) {
+  const { address } = contactInfo;
+  const aggregateRating = getAggregateRating();
+
+  const business = {
+    '@type': 'LocalBusiness',
+    '@id': BUSINESS_ID,
+    name: contactInfo.businessName,
+    slogan: contactInfo.tagline,
+    description: t('meta.description', {}, locale),
+    url: SITE_CONFIG.brand.siteUrl,
+    image: BUSINESS_IMAGE,
+    telephone: contactInfo.phone.raw,
+    email: contactInfo.email.raw,
+    foundingDate: contactInfo.metadata.established,
+    address: {
+      '@type': 'PostalAddress',
+      streetAddress: address.street,
+      addressLocality: address.city,
+      addressRegion: address.state,
+      postalCode: address.zip,
+      addressCountry: address.country,
+    },
+    geo: {
+      '@type': 'GeoCoordinates',
+      latitude: address.coordinates.latitude,
+      longitude: address.coordinates.longitude,
+    },
+    hasMap: address.mapUrl,
+    openingHoursSpecification: buildOpeningHours(),
+    sameAs: Object.values(contactInfo.social).map((profile) => profile.url),
+    hasOfferCatalog: buildOfferCatalog(locale),
+    review: buildReviews(locale),
+  };
+
+  if (aggregateRating) {
+    business.aggregateRating = { '@type': 'AggregateRating', ...aggregateRating };
+  }
+
+  return business;
+}
+
+/**
+ * Builds the site's JSON-LD document
+ * @param {Object} [options] - Build options
+ * @param {string} [options.locale] - Locale for translated text (defaults to the active locale)
+ * @param {Array<{question: string, answer: string}>} [options.faqs=[]] - Questions and answers
+ *   shown on the page; an FAQPage is only included when there are some
+ * @returns {Object} JSON-LD document with an @graph of nodes
+ */
+export function getStructuredData(options = {}) {
+  const { locale = getLocale(), faqs = [] } = options;
+  const graph = [buildLocalBusiness(locale)];
+  const faqPage = createFaqPage(faqs);
+
+  if (faqPage) {
+    graph.push(faqPage);
+  }
+
+  return {
+    '@context': STRUCTURED_DATA_CONFIG.CONTEXT,
+    '@graph': graph,
+  };
+}
@@ -0,0 +1,1468 @@
+/**
+ * ZIP Code Centroid Data Module
+ * Offline ZIP code to location tables for the service area checker
+ *
+ * @module zip-centroids
+ * @modifies: none
+ * @dependencies: []
+ *
+ * Bundled so lookups work without a geocoding API, and loaded by the checker
+ * on first use rather than with the page. Every ZIP code whose 3-digit
+ * prefix reaches into the service area is listed with its own centroid; any
+ * other ZIP code is placed at the average centroid of its prefix, which is
+ * close enough to say how far outside the area it is. Coordinates come from
+ * the zipcodes package (BSD License, Copyright (c) 2007, Dav Glass).
+ */
+
+/**
+ * ZIP codes in the prefixes around the service area (939, 940, 941, 943-947,
+ * 950, 951 and 953), one `[zip, place, latitude, longitude]` row each
+ * @type {Array<Array>}
+ */
+const ZIP_ROWS = [
+  ['93901', 'Salinas', 36.6677, -121.6596],
+  ['93902', 'Salinas', 36.6777, -121.6555],
+  ['93905', 'Salinas', 36.6811, -121.6176],
+  ['93906', 'Salinas', 36.7103, -121.6438],
+  ['93907', 'Salinas', 36.7563, -121.6703],
+  ['93908', 'Salinas', 36.6011, -121.6729],
+  ['93912', 'Salinas', 36.6777, -121.6555],
+  ['93915', 'Salinas', 36.6777, -121.6555],
+  ['93920', 'Big Sur', 36.2458, -121.7009],
+  ['93921', 'Carmel By The Sea', 36.5552, -121.9233],
+  ['93922', 'Carmel', 36.5433, -121.9263],
+  ['93923', 'Carmel', 36.5457, -121.8949],
+  ['93924', 'Carmel Valley', 36.4787, -121.7244],
+  ['93925', 'Chualar', 36.595, -121.432],
+  ['93926', 'Gonzales', 36.49, -121.4103],
+  ['93927', 'Greenfield', 36.3202, -121.2451],
+  ['93928', 'Jolon', 35.9708, -121.176],
+  ['93930', 'King City', 36.2028, -121.1273],
+  ['93932', 'Lockwood', 35.95, -121.0626],
+  ['93933', 'Marina', 36.6849, -121.7934],
+  ['93940', 'Monterey', 36.5802, -121.8443],
+  ['93942', 'Monterey', 36.6002, -121.8947],
+  ['93943', 'Monterey', 36.597, -121.8741],
+  ['93944', 'Monterey', 36.6062, -121.9089],
+  ['93950', 'Pacific Grove', 36.6167, -121.922],
+  ['93953', 'Pebble Beach', 36.5907, -121.942],
+  ['93954', 'San Lucas', 36.1289, -121.0205],
+  ['93955', 'Seaside', 36.6217, -121.7935],
+  ['93960', 'Soledad', 36.4196, -121.3243],
+  ['93962', 'Spreckels', 36.6261, -121.6555],
+  ['94002', 'Belmont', 37.5174, -122.2927],
+  ['94005', 'Brisbane', 37.6811, -122.4001],
+  ['94010', 'Burlingame', 37.5671, -122.3676],
+  ['94011', 'Burlingame', 37.5841, -122.3661],
+  ['94013', 'Sf International Service Ctr', 37.7, -122.45],
+  ['94014', 'Daly City', 37.6875, -122.4388],
+  ['94015', 'Daly City', 37.6787, -122.478],
+  ['94016', 'Daly City', 37.7058, -122.4619],
+  ['94017', 'Daly City', 37.7058, -122.4619],
+  ['94018', 'El Granada', 37.5101, -122.4734],
+  ['94019', 'Half Moon Bay', 37.4791, -122.4459],
+  ['94020', 'La Honda', 37.2726, -122.2495],
+  ['94021', 'Loma Mar', 37.2708, -122.2807],
+  ['94022', 'Los Altos', 37.3814, -122.1258],
+  ['94023', 'Los Altos', 37.3852, -122.1141],
+  ['94024', 'Los Altos', 37.3547, -122.0862],
+  ['94025', 'Menlo Park', 37.4396, -122.1864],
+  ['94026', 'Menlo Park', 37.3811, -122.3348],
+  ['94027', 'Atherton', 37.4563, -122.2002],
+  ['94028', 'Portola Valley', 37.3702, -122.2182],
+  ['94030', 'Millbrae', 37.6004, -122.402],
+  ['94035', 'Mountain View', 37.3861, -122.0839],
+  ['94037', 'Montara', 37.5428, -122.5052],
+  ['94038', 'Moss Beach', 37.531, -122.5068],
+  ['94039', 'Mountain View', 37.3861, -122.0839],
+  ['94040', 'Mountain View', 37.3855, -122.088],
+  ['94041', 'Mountain View', 37.3893, -122.0783],
+  ['94042', 'Mountain View', 37.3861, -122.0839],
+  ['94043', 'Mountain View', 37.4056, -122.0775],
+  ['94044', 'Pacifica', 37.6196, -122.4816],
+  ['94060', 'Pescadero', 37.2065, -122.3649],
+  ['94061', 'Redwood City', 37.4647, -122.2304],
+  ['94062', 'Redwood City', 37.4245, -122.296],
+  ['94063', 'Redwood City', 37.4815, -122.2091],
+  ['94064', 'Redwood City', 37.3811, -122.3348],
+  ['94065', 'Redwood City', 37.5331, -122.2486],
+  ['94066', 'San Bruno', 37.6247, -122.429],
+  ['94070', 'San Carlos', 37.4969, -122.2674],
+  ['94074', 'San Gregorio', 37.3255, -122.3556],
+  ['94080', 'South San Francisco', 37.6574, -122.4235],
+  ['94083', 'South San Francisco', 37.6547, -122.4077],
+  ['94085', 'Sunnyvale', 37.3886, -122.0177],
+  ['94086', 'Sunnyvale', 37.3764, -122.0238],
+  ['94087', 'Sunnyvale', 37.3502, -122.0349],
+  ['94088', 'Sunnyvale', 37.3688, -122.0363],
+  ['94089', 'Sunnyvale', 37.3983, -122.0006],
+  ['94101', 'San Francisco', 37.77, -122.41],
+  ['94102', 'San Francisco', 37.7813, -122.4167],
+  ['94103', 'San Francisco', 37.7725, -122.4147],
+  ['94104', 'San Francisco', 37.7915, -122.4018],
+  ['94105', 'San Francisco', 37.7864, -122.3892],
+  ['94106', 'Firm Holdouts', 37.77, -122.41],
+  ['94107', 'San Francisco', 37.7621, -122.3971],
+  ['94108', 'San Francisco', 37.7929, -122.4079],
+  ['94109', 'San Francisco', 37.7917, -122.4186],
+  ['94110', 'San Francisco', 37.7509, -122.4153],
+  ['94111', 'San Francisco', 37.7974, -122.4001],
+  ['94112', 'San Francisco', 37.7195, -122.4411],
+  ['94114', 'San Francisco', 37.7587, -122.433],
+  ['94115', 'San Francisco', 37.7856, -122.4358],
+  ['94116', 'San Francisco', 37.7441, -122.4863],
+  ['94117', 'San Francisco', 37.7712, -122.4413],
+  ['94118', 'San Francisco', 37.7812, -122.4614],
+  ['94119', 'San Francisco', 37.7749, -122.4194],
+  ['94120', 'San Francisco', 37.7749, -122.4194],
+  ['94121', 'San Francisco', 37.7786, -122.4892],
+  ['94122', 'San Francisco', 37.7593, -122.4836],
+  ['94123', 'San Francisco', 37.7999, -122.4342],
+  ['94124', 'San Francisco', 37.7309, -122.3886],
+  ['94125', 'San Francisco', 37.7749, -122.4194],
+  ['94126', 'San Francisco', 37.7749, -122.4194],
+  ['94127', 'San Francisco', 37.7354, -122.4571],
+  ['94128', 'San Francisco', 37.6216, -122.3929],
+  ['94129', 'San Francisco', 37.8005, -122.465],
+  ['94130', 'San Francisco', 37.8231, -122.3693],
+  ['94131', 'San Francisco', 37.745, -122.4383],
+  ['94132', 'San Francisco', 37.7211, -122.4754],
+  ['94133', 'San Francisco', 37.8002, -122.4091],
+  ['94134', 'San Francisco', 37.719, -122.4096],
+  ['94135', 'Express Mail Reporting Syste', 37.77, -122.41],
+  ['94136', 'San Francisco', 37.77, -122.41],
+  ['94137', 'San Francisco', 37.7749, -122.4194],
+  ['94138', 'Wells Fargo Bank', 37.79, -122.4],
+  ['94139', 'San Francisco', 37.7749, -122.4194],
+  ['94140', 'San Francisco', 37.7749, -122.4194],
+  ['94141', 'San Francisco', 37.7749, -122.4194],
+  ['94142', 'San Francisco', 37.7749, -122.4194],
+  ['94143', 'San Francisco', 37.7631, -122.4586],
+  ['94144', 'San Francisco', 37.7749, -122.4194],
+  ['94145', 'San Francisco', 37.7749, -122.4194],
+  ['94146', 'San Francisco', 37.7749, -122.4194],
+  ['94147', 'San Francisco', 37.7749, -122.4194],
+  ['94150', 'San Francisco', 37.77, -122.41],
+  ['94151', 'San Francisco', 37.7749, -122.4194],
+  ['94152', 'Pacific Gas & Electric', 37.77, -122.41],
+  ['94153', 'San Francisco', 37.77, -122.41],
+  ['94154', 'San Francisco', 37.77, -122.41],
+  ['94155', 'Macys Of California', 37.77, -122.41],
+  ['94156', 'San Francisco', 37.78, -122.4],
+  ['94158', 'San Francisco', 37.7694, -122.3867],
+  ['94159', 'San Francisco', 37.7749, -122.4194],
+  ['94160', 'San Francisco', 37.7749, -122.4194],
+  ['94161', 'San Francisco', 37.7749, -122.4194],
+  ['94162', 'San Francisco', 37.78, -122.4],
+  ['94163', 'San Francisco', 37.7749, -122.4194],
+  ['94164', 'San Francisco', 37.7749, -122.4194],
+  ['94171', 'San Francisco', 37.77, -122.41],
+  ['94172', 'San Francisco', 37.7749, -122.4194],
+  ['94175', 'San Francisco', 37.77, -122.41],
+  ['94177', 'San Francisco', 37.7749, -122.4194],
+  ['94188', 'San Francisco', 37.7749, -122.4194],
+  ['94199', 'Pacific Area Office', 37.77, -122.41],
+  ['94301', 'Palo Alto', 37.4443, -122.1497],
+  ['94302', 'Palo Alto', 37.4419, -122.143],
+  ['94303', 'Palo Alto', 37.4673, -122.1388],
+  ['94304', 'Palo Alto', 37.4334, -122.1842],
+  ['94305', 'Stanford', 37.4236, -122.1619],
+  ['94306', 'Palo Alto', 37.418, -122.1274],
+  ['94309', 'Palo Alto', 37.4419, -122.143],
+  ['94401', 'San Mateo', 37.5735, -122.3225],
+  ['94402', 'San Mateo', 37.5507, -122.3276],
+  ['94403', 'San Mateo', 37.5395, -122.2998],
+  ['94404', 'San Mateo', 37.5538, -122.27],
+  ['94497', 'San Mateo', 37.5347, -122.3259],
+  ['94501', 'Alameda', 37.7706, -122.2648],
+  ['94502', 'Alameda', 37.7351, -122.2431],
+  ['94503', 'American Canyon', 38.1668, -122.2553],
+  ['94505', 'Discovery Bay', 37.8989, -121.6054],
+  ['94506', 'Danville', 37.8321, -121.9167],
+  ['94507', 'Alamo', 37.8537, -122.0229],
+  ['94508', 'Angwin', 38.5769, -122.4477],
+  ['94509', 'Antioch', 37.9939, -121.8089],
+  ['94510', 'Benicia', 38.0685, -122.1614],
+  ['94511', 'Bethel Island', 38.0266, -121.6425],
+  ['94512', 'Birds Landing', 38.1504, -121.8443],
+  ['94513', 'Brentwood', 37.9324, -121.6894],
+  ['94514', 'Byron', 37.8254, -121.6236],
+  ['94515', 'Calistoga', 38.5823, -122.5814],
+  ['94516', 'Canyon', 37.8339, -122.165],
+  ['94517', 'Clayton', 37.9154, -121.91],
+  ['94518', 'Concord', 37.9504, -122.0263],
+  ['94519', 'Concord', 37.9841, -122.0119],
+  ['94520', 'Concord', 37.9823, -122.0362],
+  ['94521', 'Concord', 37.9575, -121.975],
+  ['94522', 'Concord', 37.978, -122.0311],
+  ['94523', 'Pleasant Hill', 37.954, -122.0737],
+  ['94524', 'Concord', 37.978, -122.0311],
+  ['94525', 'Crockett', 38.0519, -122.2177],
+  ['94526', 'Danville', 37.814, -121.966],
+  ['94527', 'Concord', 37.9535, -121.9578],
+  ['94528', 'Diablo', 37.8387, -121.9667],
+  ['94529', 'Concord', 37.978, -122.0311],
+  ['94530', 'El Cerrito', 37.9156, -122.2985],
+  ['94531', 'Antioch', 37.9658, -121.7758],
+  ['94533', 'Fairfield', 38.2671, -122.0357],
+  ['94534', 'Fairfield', 38.2423, -122.1314],
+  ['94535', 'Travis Afb', 38.2743, -121.9463],
+  ['94536', 'Fremont', 37.5605, -121.9999],
+  ['94537', 'Fremont', 37.6802, -121.9215],
+  ['94538', 'Fremont', 37.5308, -121.9712],
+  ['94539', 'Fremont', 37.5176, -121.9287],
+  ['94540', 'Hayward', 37.6802, -121.9215],
+  ['94541', 'Hayward', 37.674, -122.0894],
+  ['94542', 'Hayward', 37.6586, -122.0472],
+  ['94543', 'Hayward', 37.6688, -122.0808],
+  ['94544', 'Hayward', 37.6374, -122.067],
+  ['94545', 'Hayward', 37.6332, -122.0971],
+  ['94546', 'Castro Valley', 37.7015, -122.0782],
+  ['94547', 'Hercules', 38.0066, -122.2637],
+  ['94548', 'Knightsen', 37.9726, -121.6652],
+  ['94549', 'Lafayette', 37.8961, -122.1119],
+  ['94550', 'Livermore', 37.683, -121.763],
+  ['94551', 'Livermore', 37.7526, -121.77],
+  ['94552', 'Castro Valley', 37.7131, -122.0381],
+  ['94553', 'Martinez', 37.9864, -122.135],
+  ['94555', 'Fremont', 37.5735, -122.0469],
+  ['94556', 'Moraga', 37.8437, -122.1242],
+  ['94557', 'Hayward', 37.6802, -121.9215],
+  ['94558', 'Napa', 38.4549, -122.2564],
+  ['94559', 'Napa', 38.2904, -122.2841],
+  ['94560', 'Newark', 37.5368, -122.032],
+  ['94561', 'Oakley', 37.994, -121.7036],
+  ['94562', 'Oakville', 38.4379, -122.3991],
+  ['94563', 'Orinda', 37.8787, -122.1728],
+  ['94564', 'Pinole', 37.9969, -122.2875],
+  ['94565', 'Pittsburg', 38.0031, -121.9172],
+  ['94566', 'Pleasanton', 37.6658, -121.8755],
+  ['94567', 'Pope Valley', 38.6152, -122.4278],
+  ['94568', 'Dublin', 37.7166, -121.9226],
+  ['94569', 'Port Costa', 38.046, -122.1866],
+  ['94570', 'Moraga', 37.7772, -121.9554],
+  ['94571', 'Rio Vista', 38.1637, -121.7016],
+  ['94572', 'Rodeo', 38.0307, -122.2581],
+  ['94573', 'Rutherford', 38.4585, -122.4225],
+  ['94574', 'Saint Helena', 38.5138, -122.4619],
+  ['94575', 'Moraga', 37.7772, -121.9554],
+  ['94576', 'Deer Park', 38.5494, -122.4764],
+  ['94577', 'San Leandro', 37.7205, -122.1587],
+  ['94578', 'San Leandro', 37.7024, -122.124],
+  ['94579', 'San Leandro', 37.6892, -122.1507],
+  ['94580', 'San Lorenzo', 37.6787, -122.1295],
+  ['94581', 'Napa', 38.2971, -122.2855],
+  ['94582', 'San Ramon', 37.7636, -121.9155],
+  ['94583', 'San Ramon', 37.7562, -121.9522],
+  ['94585', 'Suisun City', 38.2408, -122.042],
+  ['94586', 'Sunol', 37.6094, -121.8986],
+  ['94587', 'Union City', 37.5895, -122.0497],
+  ['94588', 'Pleasanton', 37.6873, -121.8957],
+  ['94589', 'Vallejo', 38.1582, -122.2804],
+  ['94590', 'Vallejo', 38.1053, -122.2474],
+  ['94591', 'Vallejo', 38.0985, -122.2124],
+  ['94592', 'Vallejo', 38.0968, -122.2699],
+  ['94595', 'Walnut Creek', 37.8753, -122.0703],
+  ['94596', 'Walnut Creek', 37.9053, -122.0549],
+  ['94597', 'Walnut Creek', 37.9182, -122.0717],
+  ['94598', 'Walnut Creek', 37.9194, -122.0259],
+  ['94599', 'Yountville', 38.4016, -122.3608],
+  ['94601', 'Oakland', 37.7806, -122.2166],
+  ['94602', 'Oakland', 37.8011, -122.2104],
+  ['94603', 'Oakland', 37.7402, -122.171],
+  ['94604', 'Oakland', 37.8044, -122.2708],
+  ['94605', 'Oakland', 37.7641, -122.1633],
+  ['94606', 'Oakland', 37.7957, -122.2429],
+  ['94607', 'Oakland', 37.8071, -122.2851],
+  ['94608', 'Emeryville', 37.8365, -122.2804],
+  ['94609', 'Oakland', 37.8361, -122.2637],
+  ['94610', 'Oakland', 37.8126, -122.2443],
+  ['94611', 'Oakland', 37.8471, -122.2223],
+  ['94612', 'Oakland', 37.8085, -122.2668],
+  ['94613', 'Oakland', 37.7811, -122.1866],
+  ['94614', 'Oakland', 37.7277, -122.2046],
+  ['94615', 'Oakland', 37.8067, -122.3004],
+  ['94617', 'Oakland', 37.8078, -122.2717],
+  ['94618', 'Oakland', 37.8431, -122.2402],
+  ['94619', 'Oakland', 37.7878, -122.1884],
+  ['94620', 'Piedmont', 37.8244, -122.2316],
+  ['94621', 'Oakland', 37.7589, -122.1853],
+  ['94622', 'Oakland', 37.799, -122.2337],
+  ['94623', 'Oakland', 37.8044, -122.2708],
+  ['94624', 'Oakland', 37.8044, -122.2708],
+  ['94625', 'Naval Supply Center', 37.8, -122.31],
+  ['94649', 'Oakland', 37.8044, -122.2708],
+  ['94659', 'Oakland', 37.8044, -122.2708],
+  ['94660', 'Oakland', 37.8044, -122.2708],
+  ['94661', 'Oakland', 37.8044, -122.2708],
+  ['94662', 'Emeryville', 37.8313, -122.2852],
+  ['94666', 'Oakland', 37.8044, -122.2708],
+  ['94701', 'Berkeley', 37.8606, -122.2967],
+  ['94702', 'Berkeley', 37.8656, -122.2851],
+  ['94703', 'Berkeley', 37.863, -122.2749],
+  ['94704', 'Berkeley', 37.8664, -122.257],
+  ['94705', 'Berkeley', 37.8571, -122.25],
+  ['94706', 'Albany', 37.89, -122.2954],
+  ['94707', 'Berkeley', 37.8927, -122.2761],
+  ['94708', 'Berkeley', 37.8918, -122.2604],
+  ['94709', 'Berkeley', 37.8784, -122.2655],
+  ['94710', 'Berkeley', 37.8696, -122.2959],
+  ['94712', 'Berkeley', 37.8716, -122.2727],
+  ['94720', 'Berkeley', 37.8738, -122.2549],
+  ['95001', 'Aptos', 36.979, -121.898],
+  ['95002', 'Alviso', 37.426, -121.9736],
+  ['95003', 'Aptos', 36.9797, -121.8902],
+  ['95004', 'Aromas', 36.8769, -121.6324],
+  ['95005', 'Ben Lomond', 37.0882, -122.0887],
+  ['95006', 'Boulder Creek', 37.1547, -122.1365],
+  ['95007', 'Brookdale', 37.1063, -122.105],
+  ['95008', 'Campbell', 37.2803, -121.9539],
+  ['95009', 'Campbell', 37.2872, -121.9488],
+  ['95010', 'Capitola', 36.9767, -121.9555],
+  ['95011', 'Campbell', 37.294, -121.9571],
+  ['95012', 'Castroville', 36.7658, -121.758],
+  ['95013', 'Coyote', 37.2123, -121.7416],
+  ['95014', 'Cupertino', 37.318, -122.0449],
+  ['95015', 'Cupertino', 37.323, -122.0527],
+  ['95017', 'Davenport', 37.0423, -122.2137],
+  ['95018', 'Felton', 37.0662, -122.0618],
+  ['95019', 'Freedom', 36.9356, -121.7767],
+  ['95020', 'Gilroy', 37.0139, -121.5773],
+  ['95021', 'Gilroy', 37.0095, -121.5705],
+  ['95023', 'Hollister', 36.8337, -121.3439],
+  ['95024', 'Hollister', 36.8586, -121.3982],
+  ['95026', 'Holy City', 37.1584, -121.986],
+  ['95030', 'Los Gatos', 37.2296, -121.9834],
+  ['95031', 'Los Gatos', 37.1574, -121.9676],
+  ['95032', 'Los Gatos', 37.2417, -121.9554],
+  ['95033', 'Los Gatos', 37.1539, -121.9816],
+  ['95035', 'Milpitas', 37.4352, -121.895],
+  ['95036', 'Milpitas', 37.424, -121.906],
+  ['95037', 'Morgan Hill', 37.1353, -121.6501],
+  ['95038', 'Morgan Hill', 37.1525, -121.6722],
+  ['95039', 'Moss Landing', 36.8175, -121.7773],
+  ['95041', 'Mount Hermon', 37.0511, -122.0575],
+  ['95042', 'New Almaden', 37.1771, -121.8207],
+  ['95043', 'Paicines', 36.4985, -120.9744],
+  ['95044', 'Redwood Estates', 37.1584, -121.986],
+  ['95045', 'San Juan Bautista', 36.8463, -121.5346],
+  ['95046', 'San Martin', 37.0911, -121.5999],
+  ['95050', 'Santa Clara', 37.3492, -121.953],
+  ['95051', 'Santa Clara', 37.3483, -121.9844],
+  ['95052', 'Santa Clara', 37.3522, -121.9583],
+  ['95053', 'Santa Clara', 37.3498, -121.9378],
+  ['95054', 'Santa Clara', 37.3924, -121.9623],
+  ['95055', 'Santa Clara', 37.3451, -121.9769],
+  ['95056', 'Santa Clara', 37.3997, -121.9608],
+  ['95060', 'Santa Cruz', 37.0313, -122.1198],
+  ['95061', 'Santa Cruz', 36.9741, -122.0308],
+  ['95062', 'Santa Cruz', 36.9721, -121.9881],
+  ['95063', 'Santa Cruz', 36.9792, -122.0088],
+  ['95064', 'Santa Cruz', 36.9959, -122.0578],
+  ['95065', 'Santa Cruz', 37.0089, -121.9849],
+  ['95066', 'Scotts Valley', 37.0597, -122.0152],
+  ['95067', 'Scotts Valley', 37.0511, -122.0136],
+  ['95070', 'Saratoga', 37.2713, -122.0227],
+  ['95071', 'Saratoga', 37.2593, -122.0302],
+  ['95073', 'Soquel', 37.0048, -121.9507],
+  ['95075', 'Tres Pinos', 36.767, -121.3017],
+  ['95076', 'Watsonville', 36.9102, -121.7569],
+  ['95077', 'Watsonville', 36.9116, -121.7575],
+  ['95101', 'San Jose', 37.3894, -121.8868],
+  ['95103', 'San Jose', 37.3378, -121.8908],
+  ['95106', 'San Jose', 37.3378, -121.8908],
+  ['95108', 'San Jose', 37.3378, -121.8908],
+  ['95109', 'San Jose', 37.3378, -121.8908],
+  ['95110', 'San Jose', 37.3391, -121.9016],
+  ['95111', 'San Jose', 37.2827, -121.8265],
+  ['95112', 'San Jose', 37.3476, -121.887],
+  ['95113', 'San Jose', 37.3329, -121.8916],
+  ['95115', 'San Jose', 37.3378, -121.8908],
+  ['95116', 'San Jose', 37.3518, -121.8508],
+  ['95117', 'San Jose', 37.3108, -121.9623],
+  ['95118', 'San Jose', 37.2568, -121.8896],
+  ['95119', 'San Jose', 37.2329, -121.7875],
+  ['95120', 'San Jose', 37.2144, -121.8574],
+  ['95121', 'San Jose', 37.3042, -121.8099],
+  ['95122', 'San Jose', 37.3293, -121.8339],
+  ['95123', 'San Jose', 37.2458, -121.8306],
+  ['95124', 'San Jose', 37.2563, -121.9229],
+  ['95125', 'San Jose', 37.296, -121.8939],
+  ['95126', 'San Jose', 37.3249, -121.9153],
+  ['95127', 'San Jose', 37.3692, -121.8208],
+  ['95128', 'San Jose', 37.3163, -121.9356],
+  ['95129', 'San Jose', 37.3066, -122.0002],
+  ['95130', 'San Jose', 37.2886, -121.9818],
+  ['95131', 'San Jose', 37.3864, -121.88],
+  ['95132', 'San Jose', 37.4031, -121.8585],
+  ['95133', 'San Jose', 37.3729, -121.856],
+  ['95134', 'San Jose', 37.4087, -121.9406],
+  ['95135', 'San Jose', 37.2974, -121.7562],
+  ['95136', 'San Jose', 37.2685, -121.849],
+  ['95138', 'San Jose', 37.2602, -121.7709],
+  ['95139', 'San Jose', 37.2252, -121.7687],
+  ['95140', 'Mount Hamilton', 37.3511, -121.6384],
+  ['95141', 'San Jose', 37.3394, -121.895],
+  ['95148', 'San Jose', 37.3304, -121.7913],
+  ['95150', 'San Jose', 37.3866, -121.897],
+  ['95151', 'San Jose', 37.3198, -121.8262],
+  ['95152', 'San Jose', 37.4022, -121.847],
+  ['95153', 'San Jose', 37.2488, -121.8459],
+  ['95154', 'San Jose', 37.2649, -121.9139],
+  ['95155', 'San Jose', 37.31, -121.9011],
+  ['95156', 'San Jose', 37.3576, -121.8416],
+  ['95157', 'San Jose', 37.3008, -121.9777],
+  ['95158', 'San Jose', 37.2625, -121.8779],
+  ['95159', 'San Jose', 37.3179, -121.9349],
+  ['95160', 'San Jose', 37.2187, -121.8601],
+  ['95161', 'San Jose', 37.3894, -121.8868],
+  ['95164', 'San Jose', 37.3916, -121.9203],
+  ['95170', 'San Jose', 37.3103, -122.0093],
+  ['95172', 'San Jose', 37.334, -121.8847],
+  ['95173', 'San Jose', 37.3352, -121.8938],
+  ['95190', 'San Jose', 37.3894, -121.8868],
+  ['95191', 'San Jose', 37.3262, -121.9158],
+  ['95192', 'San Jose', 37.3383, -121.8801],
+  ['95193', 'San Jose', 37.2441, -121.8287],
+  ['95194', 'San Jose', 37.3894, -121.8868],
+  ['95196', 'San Jose', 37.3338, -121.8894],
+  ['95301', 'Atwater', 37.3489, -120.6028],
+  ['95303', 'Ballico', 37.4548, -120.6931],
+  ['95304', 'Tracy', 37.7319, -121.4096],
+  ['95305', 'Big Oak Flat', 37.8235, -120.2582],
+  ['95306', 'Catheys Valley', 37.4404, -120.1438],
+  ['95307', 'Ceres', 37.5833, -120.9496],
+  ['95309', 'Chinese Camp', 37.8594, -120.4069],
+  ['95310', 'Columbia', 38.044, -120.3971],
+  ['95311', 'Coulterville', 37.7197, -120.1197],
+  ['95312', 'Cressey', 37.4197, -120.6663],
+  ['95313', 'Crows Landing', 37.4218, -121.0411],
+  ['95314', 'Dardanelle', 38.34, -119.83],
+  ['95315', 'Delhi', 37.4273, -120.7752],
+  ['95316', 'Denair', 37.539, -120.7758],
+  ['95317', 'El Nido', 37.1391, -120.5251],
+  ['95318', 'El Portal', 37.6747, -119.7841],
+  ['95319', 'Empire', 37.6382, -120.9005],
+  ['95320', 'Escalon', 37.7983, -121.0006],
+  ['95321', 'Groveland', 37.8298, -120.1037],
+  ['95322', 'Gustine', 37.2001, -121.0047],
+  ['95323', 'Hickman', 37.6156, -120.7011],
+  ['95324', 'Hilmar', 37.4002, -120.8723],
+  ['95325', 'Hornitos', 37.4676, -120.2793],
+  ['95326', 'Hughson', 37.5964, -120.8627],
+  ['95327', 'Jamestown', 37.8906, -120.4717],
+  ['95328', 'Keyes', 37.5591, -120.9148],
+  ['95329', 'La Grange', 37.6899, -120.3851],
+  ['95330', 'Lathrop', 37.8209, -121.2827],
+  ['95333', 'Le Grand', 37.2496, -120.2667],
+  ['95334', 'Livingston', 37.3763, -120.7252],
+  ['95335', 'Long Barn', 38.093, -120.1344],
+  ['95336', 'Manteca', 37.8134, -121.2132],
+  ['95337', 'Manteca', 37.7808, -121.2344],
+  ['95338', 'Mariposa', 37.4931, -119.9219],
+  ['95340', 'Merced', 37.2983, -120.4649],
+  ['95341', 'Merced', 37.2308, -120.5144],
+  ['95343', 'Merced', 37.3082, -120.48],
+  ['95344', 'Merced', 37.3082, -120.48],
+  ['95345', 'Midpines', 37.5757, -119.9601],
+  ['95346', 'Mi Wuk Village', 38.0675, -120.1794],
+  ['95347', 'Moccasin', 37.8108, -120.2988],
+  ['95348', 'Merced', 37.3302, -120.508],
+  ['95350', 'Modesto', 37.6746, -121.0113],
+  ['95351', 'Modesto', 37.6236, -120.9966],
+  ['95352', 'Modesto', 37.6566, -121.0191],
+  ['95353', 'Modesto', 37.6424, -120.9999],
+  ['95354', 'Modesto', 37.6409, -120.9749],
+  ['95355', 'Modesto', 37.6717, -120.9482],
+  ['95356', 'Modesto', 37.7005, -121.0252],
+  ['95357', 'Modesto', 37.6693, -120.8817],
+  ['95358', 'Modesto', 37.6237, -121.0438],
+  ['95360', 'Newman', 37.3097, -121.0805],
+  ['95361', 'Oakdale', 37.7741, -120.8377],
+  ['95363', 'Patterson', 37.4826, -121.1648],
+  ['95364', 'Pinecrest', 38.1889, -119.9924],
+  ['95365', 'Planada', 37.2908, -120.3185],
+  ['95366', 'Ripon', 37.7491, -121.1284],
+  ['95367', 'Riverbank', 37.7298, -120.942],
+  ['95368', 'Salida', 37.7083, -121.0864],
+  ['95369', 'Snelling', 37.5354, -120.378],
+  ['95370', 'Sonora', 37.9957, -120.3368],
+  ['95372', 'Soulsbyville', 37.9926, -120.2624],
+  ['95373', 'Standard', 37.9666, -120.3108],
+  ['95374', 'Stevinson', 37.3283, -120.8764],
+  ['95375', 'Strawberry', 38.2042, -120.0101],
+  ['95376', 'Tracy', 37.7383, -121.4345],
+  ['95377', 'Tracy', 37.6567, -121.4955],
+  ['95378', 'Tracy', 37.6761, -121.433],
+  ['95379', 'Tuolumne', 37.9678, -120.2357],
+  ['95380', 'Turlock', 37.4888, -120.8535],
+  ['95381', 'Turlock', 37.4994, -120.8428],
+  ['95382', 'Turlock', 37.5239, -120.8517],
+  ['95383', 'Twain Harte', 38.0454, -120.2178],
+  ['95385', 'Vernalis', 37.6176, -121.2581],
+  ['95386', 'Waterford', 37.652, -120.7292],
+  ['95387', 'Westley', 37.5452, -121.2255],
+  ['95388', 'Winton', 37.4014, -120.6045],
+  ['95389', 'Yosemite National Park', 37.7314, -119.6489],
+  ['95391', 'Tracy', 37.7695, -121.5397],
+  ['95397', 'Modesto', 37.6566, -121.0191],
+];
+
+/**
+ * Average centroid of every US 3-digit ZIP prefix, named after its most common
+ * place, one `[prefix, place, state, latitude, longitude]` row each
+ * @type {Array<Array>}
+ */
+const ZIP_PREFIX_ROWS = [
+  ['005', 'Holtsville', 'NY', 40.82, -73.05],
+  ['006', 'Aguadilla', 'PR', 18.29, -66.85],
+  ['007', 'Ponce', 'PR', 18.15, -66.11],
+  ['008', 'Christiansted', 'VI', 18, -64.82],
+  ['009', 'San Juan', 'PR', 18.39, -66.08],
+  ['010', 'Chicopee', 'MA', 42.26, -72.57],
+  ['011', 'Springfield', 'MA', 42.12, -72.57],
+  ['012', 'Pittsfield', 'MA', 42.35, -73.23],
+  ['013', 'Greenfield', 'MA', 42.59, -72.58],
+  ['014', 'Groton', 'MA', 42.59, -71.78],
+  ['015', 'Westborough', 'MA', 42.22, -71.82],
+  ['016', 'Worcester', 'MA', 42.28, -71.83],
+  ['017', 'Framingham', 'MA', 42.35, -71.45],
+  ['018', 'Woburn', 'MA', 42.62, -71.19],
+  ['019', 'Lynn', 'MA', 42.6, -70.9],
+  ['020', 'Dedham', 'MA', 42.15, -71.05],
+  ['021', 'Boston', 'MA', 42.33, -71.07],
+  ['022', 'Boston', 'MA', 42.35, -71.03],
+  ['023', 'Brockton', 'MA', 42.01, -70.89],
+  ['024', 'Waltham', 'MA', 42.36, -71.22],
+  ['025', 'Buzzards Bay', 'MA', 41.58, -70.55],
+  ['026', 'Centerville', 'MA', 41.73, -70.17],
+  ['027', 'New Bedford', 'MA', 41.76, -71.08],
+  ['028', 'Warwick', 'RI', 41.67, -71.52],
+  ['029', 'Providence', 'RI', 41.82, -71.43],
+  ['030', 'Nashua', 'NH', 42.88, -71.48],
+  ['031', 'Manchester', 'NH', 42.99, -71.46],
+  ['032', 'Tilton', 'NH', 43.52, -71.65],
+  ['033', 'Concord', 'NH', 43.25, -71.56],
+  ['034', 'Keene', 'NH', 42.91, -72.2],
+  ['035', 'Berlin', 'NH', 44.49, -71.48],
+  ['036', 'Acworth', 'NH', 43.17, -72.34],
+  ['037', 'Lebanon', 'NH', 43.7, -72.15],
+  ['038', 'Portsmouth', 'NH', 43.37, -71.04],
+  ['039', 'Berwick', 'ME', 43.19, -70.71],
+  ['040', 'Freeport', 'ME', 43.73, -70.51],
+  ['041', 'Portland', 'ME', 43.67, -70.25],
+  ['042', 'Auburn', 'ME', 44.31, -70.37],
+  ['043', 'Augusta', 'ME', 44.3, -69.78],
+  ['044', 'Bangor', 'ME', 45.12, -68.72],
+  ['045', 'Alna', 'ME', 43.95, -69.57],
+  ['046', 'Addison', 'ME', 44.54, -68.01],
+  ['047', 'Limestone', 'ME', 46.71, -68.27],
+  ['048', 'Camden', 'ME', 44.11, -69.11],
+  ['049', 'New Portland', 'ME', 44.76, -69.65],
+  ['050', 'White River Junction', 'VT', 43.82, -72.39],
+  ['051', 'Bellows Falls', 'VT', 43.25, -72.62],
+  ['052', 'Arlington', 'VT', 43.03, -73.14],
+  ['053', 'Brattleboro', 'VT', 42.93, -72.74],
+  ['054', 'Burlington', 'VT', 44.59, -73.04],
+  ['055', 'Andover', 'MA', 42.65, -71.18],
+  ['056', 'Montpelier', 'VT', 44.33, -72.57],
+  ['057', 'Rutland', 'VT', 43.66, -73.05],
+  ['058', 'Albany', 'VT', 44.67, -72.13],
+  ['059', 'Averill', 'VT', 44.79, -71.65],
+  ['060', 'Manchester', 'CT', 41.86, -72.79],
+  ['061', 'Hartford', 'CT', 41.78, -72.7],
+  ['062', 'Storrs Mansfield', 'CT', 41.83, -72.09],
+  ['063', 'Groton', 'CT', 41.49, -72.04],
+  ['064', 'Wallingford', 'CT', 41.43, -72.79],
+  ['065', 'New Haven', 'CT', 41.32, -72.93],
+  ['066', 'Bridgeport', 'CT', 41.19, -73.19],
+  ['067', 'Waterbury', 'CT', 41.63, -73.16],
+  ['068', 'Norwalk', 'CT', 41.2, -73.43],
+  ['069', 'Stamford', 'CT', 41.07, -73.54],
+  ['070', 'Clifton', 'NJ', 40.76, -74.23],
+  ['071', 'Newark', 'NJ', 40.75, -74.19],
+  ['072', 'Elizabeth', 'NJ', 40.67, -74.23],
+  ['073', 'Jersey City', 'NJ', 40.73, -74.06],
+  ['074', 'Mahwah', 'NJ', 41.04, -74.3],
+  ['075', 'Paterson', 'NJ', 40.94, -74.2],
+  ['076', 'Hackensack', 'NJ', 40.93, -74.02],
+  ['077', 'Belmar', 'NJ', 40.31, -74.11],
+  ['078', 'Branchville', 'NJ', 40.94, -74.76],
+  ['079', 'Morristown', 'NJ', 40.75, -74.52],
+  ['080', 'Cherry Hill', 'NJ', 39.82, -74.98],
+  ['081', 'Camden', 'NJ', 39.93, -75.09],
+  ['082', 'Absecon', 'NJ', 39.27, -74.68],
+  ['083', 'Vineland', 'NJ', 39.43, -75.03],
+  ['084', 'Atlantic City', 'NJ', 39.35, -74.47],
+  ['085', 'Princeton', 'NJ', 40.28, -74.67],
+  ['086', 'Trenton', 'NJ', 40.25, -74.72],
+  ['087', 'Toms River', 'NJ', 39.98, -74.14],
+  ['088', 'Edison', 'NJ', 40.54, -74.63],
+  ['089', 'New Brunswick', 'NJ', 40.48, -74.45],
+  ['090', 'Apo', 'AE', 49.31, 8.88],
+  ['091', 'Apo', 'AE', 49.54, 9.05],
+  ['092', 'Apo', 'AE', 49.81, 8.88],
+  ['093', 'Apo', 'AE', 41.64, 10.9],
+  ['094', 'Apo', 'AE', 52.05, -0.79],
+  ['095', 'Fpo', 'AE', 19.91, -75.21],
+  ['096', 'Fpo', 'AE', 39.1, 13.7],
+  ['097', 'Apo', 'AE', 45.58, 3.51],
+  ['098', 'Apo', 'AE', 28.82, 38.18],
+  ['100', 'New York', 'NY', 40.75, -73.98],
+  ['101', 'New York', 'NY', 40.77, -73.98],
+  ['102', 'New York', 'NY', 40.73, -69.37],
+  ['103', 'Staten Island', 'NY', 40.59, -74.15],
+  ['104', 'Bronx', 'NY', 40.85, -73.88],
+  ['105', 'Mount Vernon', 'NY', 41.18, -73.78],
+  ['106', 'White Plains', 'NY', 41.05, -73.77],
+  ['107', 'Yonkers', 'NY', 40.95, -73.86],
+  ['108', 'New Rochelle', 'NY', 40.92, -73.79],
+  ['109', 'Middletown', 'NY', 41.26, -74.17],
+  ['110', 'Great Neck', 'NY', 40.75, -73.68],
+  ['111', 'Astoria', 'NY', 40.76, -73.93],
+  ['112', 'Brooklyn', 'NY', 40.66, -73.96],
+  ['113', 'Flushing', 'NY', 40.74, -73.84],
+  ['114', 'Jamaica', 'NY', 40.69, -73.81],
+  ['115', 'Garden City', 'NY', 40.71, -73.63],
+  ['116', 'Far Rockaway', 'NY', 40.6, -73.82],
+  ['117', 'Farmingdale', 'NY', 40.8, -73.25],
+  ['118', 'Hicksville', 'NY', 40.77, -73.52],
+  ['119', 'Southampton', 'NY', 40.92, -72.55],
+  ['120', 'Alcove', 'NY', 42.69, -73.94],
+  ['121', 'Troy', 'NY', 42.69, -73.93],
+  ['122', 'Albany', 'NY', 42.66, -73.76],
+  ['123', 'Schenectady', 'NY', 42.81, -73.95],
+  ['124', 'Kingston', 'NY', 42.08, -74.21],
+  ['125', 'Newburgh', 'NY', 41.77, -73.86],
+  ['126', 'Poughkeepsie', 'NY', 41.73, -73.82],
+  ['127', 'Barryville', 'NY', 41.69, -74.77],
+  ['128', 'Newcomb', 'NY', 43.49, -73.72],
+  ['129', 'Keeseville', 'NY', 44.57, -73.92],
+  ['130', 'Auburn', 'NY', 42.98, -76.19],
+  ['131', 'Mallory', 'NY', 43.07, -76.27],
+  ['132', 'Syracuse', 'NY', 43.05, -76.16],
+  ['133', 'Alder Creek', 'NY', 43.15, -75.23],
+  ['134', 'Rome', 'NY', 43.11, -75.27],
+  ['135', 'Utica', 'NY', 43.1, -75.23],
+  ['136', 'Potsdam', 'NY', 44.29, -75.53],
+  ['137', 'Endicott', 'NY', 42.25, -75.54],
+  ['138', 'Vestal', 'NY', 42.33, -75.57],
+  ['139', 'Binghamton', 'NY', 42.11, -75.89],
+  ['140', 'Batavia', 'NY', 42.8, -78.63],
+  ['141', 'Tonawanda', 'NY', 42.82, -78.72],
+  ['142', 'Buffalo', 'NY', 42.87, -78.85],
+  ['143', 'Niagara Falls', 'NY', 43.1, -79.03],
+  ['144', 'Adams Basin', 'NY', 42.97, -77.61],
+  ['145', 'Macedon', 'NY', 42.95, -77.49],
+  ['146', 'Rochester', 'NY', 43.19, -77.63],
+  ['147', 'Jamestown', 'NY', 42.2, -78.86],
+  ['148', 'Ithaca', 'NY', 42.31, -77.11],
+  ['149', 'Elmira', 'NY', 42.1, -76.82],
+  ['150', 'Warrendale', 'PA', 40.47, -80.06],
+  ['151', 'Mckeesport', 'PA', 40.43, -79.93],
+  ['152', 'Pittsburgh', 'PA', 40.44, -80],
+  ['153', 'Aleppo', 'PA', 40.04, -80.16],
+  ['154', 'Adah', 'PA', 39.95, -79.75],
+  ['155', 'Somerset', 'PA', 39.97, -78.89],
+  ['156', 'Greensburg', 'PA', 40.32, -79.54],
+  ['157', 'Indiana', 'PA', 40.73, -79.03],
+  ['158', 'Benezett', 'PA', 41.25, -78.71],
+  ['159', 'Johnstown', 'PA', 40.36, -78.86],
+  ['160', 'Boyers', 'PA', 40.94, -79.88],
+  ['161', 'New Castle', 'PA', 41.15, -80.35],
+  ['162', 'Adrian', 'PA', 41.01, -79.39],
+  ['163', 'Warren', 'PA', 41.58, -79.55],
+  ['164', 'Albion', 'PA', 41.89, -80.03],
+  ['165', 'Erie', 'PA', 42.13, -80.07],
+  ['166', 'Altoona', 'PA', 40.48, -78.35],
+  ['167', 'Austin', 'PA', 41.81, -78.5],
+  ['168', 'State College', 'PA', 40.94, -77.99],
+  ['169', 'Genesee', 'PA', 41.83, -77.27],
+  ['170', 'Camp Hill', 'PA', 40.4, -77.03],
+  ['171', 'Harrisburg', 'PA', 40.28, -76.86],
+  ['172', 'Chambersburg', 'PA', 40, -77.77],
+  ['173', 'Hanover', 'PA', 39.9, -76.88],
+  ['174', 'York', 'PA', 39.96, -76.7],
+  ['175', 'Akron', 'PA', 40.06, -76.24],
+  ['176', 'Lancaster', 'PA', 40.04, -76.31],
+  ['177', 'Williamsport', 'PA', 41.28, -77.14],
+  ['178', 'Beaver Springs', 'PA', 40.88, -76.8],
+  ['179', 'Frackville', 'PA', 40.71, -76.27],
+  ['180', 'Bethlehem', 'PA', 40.64, -75.45],
+  ['181', 'Allentown', 'PA', 40.6, -75.5],
+  ['182', 'Hazleton', 'PA', 40.91, -75.95],
+  ['183', 'East Stroudsburg', 'PA', 41.08, -75.23],
+  ['184', 'Olyphant', 'PA', 41.56, -75.41],
+  ['185', 'Scranton', 'PA', 41.4, -75.67],
+  ['186', 'Pittston', 'PA', 41.31, -76.06],
+  ['187', 'Wilkes Barre', 'PA', 41.26, -75.88],
+  ['188', 'Athens', 'PA', 41.82, -76.08],
+  ['189', 'Doylestown', 'PA', 40.35, -75.18],
+  ['190', 'Levittown', 'PA', 40.01, -75.22],
+  ['191', 'Philadelphia', 'PA', 39.99, -75.14],
+  ['192', 'Philadelphia', 'PA', 40, -75.12],
+  ['193', 'West Chester', 'PA', 39.93, -75.72],
+  ['194', 'Valley Forge', 'PA', 40.17, -75.43],
+  ['195', 'Adamstown', 'PA', 40.41, -75.88],
+  ['196', 'Reading', 'PA', 40.35, -75.94],
+  ['197', 'Newark', 'DE', 39.63, -75.64],
+  ['198', 'Wilmington', 'DE', 39.71, -75.57],
+  ['199', 'Dover', 'DE', 38.88, -75.44],
+  ['200', 'Washington', 'DC', 38.9, -77.02],
+  ['201', 'Manassas', 'VA', 38.93, -77.58],
+  ['202', 'Washington', 'DC', 38.89, -77.02],
+  ['203', 'Washington', 'DC', 38.89, -77.02],
+  ['204', 'Washington', 'DC', 38.9, -77.02],
+  ['205', 'Washington', 'DC', 38.89, -77.03],
+  ['206', 'Waldorf', 'MD', 38.4, -76.73],
+  ['207', 'Bowie', 'MD', 38.91, -76.83],
+  ['208', 'Bethesda', 'MD', 39.11, -77.16],
+  ['209', 'Silver Spring', 'MD', 39.01, -77.02],
+  ['210', 'Columbia', 'MD', 39.37, -76.57],
+  ['211', 'Pasadena', 'MD', 39.39, -76.64],
+  ['212', 'Baltimore', 'MD', 39.31, -76.61],
+  ['214', 'Annapolis', 'MD', 38.99, -76.52],
+  ['215', 'Cumberland', 'MD', 39.59, -78.97],
+  ['216', 'Nationwide Fulfill Systems', 'MD', 38.87, -76.03],
+  ['217', 'Hagerstown', 'MD', 39.5, -77.48],
+  ['218', 'Salisbury', 'MD', 38.27, -75.61],
+  ['219', 'Elkton', 'MD', 39.57, -75.95],
+  ['220', 'Fairfax', 'VA', 38.84, -77.26],
+  ['221', 'Springfield', 'VA', 38.79, -77.25],
+  ['222', 'Arlington', 'VA', 38.88, -77.1],
+  ['223', 'Alexandria', 'VA', 38.8, -77.08],
+  ['224', 'Fredericksburg', 'VA', 38.13, -77.07],
+  ['225', 'Stafford', 'VA', 38.05, -77],
+  ['226', 'Winchester', 'VA', 39.03, -78.22],
+  ['227', 'Aroda', 'VA', 38.47, -78.06],
+  ['228', 'Harrisonburg', 'VA', 38.56, -78.82],
+  ['229', 'Charlottesville', 'VA', 38.04, -78.57],
+  ['230', 'Glen Allen', 'VA', 37.59, -77.13],
+  ['231', 'Williamsburg', 'VA', 37.55, -77.05],
+  ['232', 'Richmond', 'VA', 37.52, -77.46],
+  ['233', 'Chesapeake', 'VA', 37.37, -75.96],
+  ['234', 'Virginia Beach', 'VA', 37.24, -76],
+  ['235', 'Norfolk', 'VA', 36.89, -76.26],
+  ['236', 'Hampton', 'VA', 37.11, -76.44],
+  ['237', 'Portsmouth', 'VA', 36.84, -76.34],
+  ['238', 'Petersburg', 'VA', 36.97, -77.44],
+  ['239', 'Farmville', 'VA', 37.02, -78.41],
+  ['240', 'Roanoke', 'VA', 37.2, -80.04],
+  ['241', 'Martinsville', 'VA', 37.08, -80.15],
+  ['242', 'Bristol', 'VA', 36.83, -82.47],
+  ['243', 'Atkins', 'VA', 36.84, -81.13],
+  ['244', 'Staunton', 'VA', 38.08, -79.36],
+  ['245', 'Lynchburg', 'VA', 37.14, -79.14],
+  ['246', 'Amonate', 'VA', 37.2, -81.8],
+  ['247', 'Princeton', 'WV', 37.4, -81.22],
+  ['248', 'Anawalt', 'WV', 37.47, -81.64],
+  ['249', 'White Sulphur Springs', 'WV', 37.85, -80.42],
+  ['250', 'Alloy', 'WV', 38.2, -81.49],
+  ['251', 'Handley', 'WV', 38.23, -81.53],
+  ['252', 'Advent', 'WV', 38.62, -81.56],
+  ['253', 'Charleston', 'WV', 38.34, -81.62],
+  ['254', 'Martinsburg', 'WV', 39.4, -78.04],
+  ['255', 'Alkol', 'WV', 38.29, -82.17],
+  ['256', 'Accoville', 'WV', 37.76, -82.05],
+  ['257', 'Huntington', 'WV', 38.41, -82.34],
+  ['258', 'Beckley', 'WV', 37.79, -81.21],
+  ['259', 'Beckley', 'WV', 37.78, -81.06],
+  ['260', 'Beech Bottom', 'WV', 40.17, -80.63],
+  ['261', 'Parkersburg', 'WV', 39.22, -81.29],
+  ['262', 'Adrian', 'WV', 38.77, -80.06],
+  ['263', 'Clarksburg', 'WV', 39.2, -80.52],
+  ['264', 'Clarksburg', 'WV', 39.26, -80.4],
+  ['265', 'Morgantown', 'WV', 39.57, -80.11],
+  ['266', 'Belva', 'WV', 38.46, -80.81],
+  ['267', 'Augusta', 'WV', 39.36, -78.96],
+  ['268', 'Baker', 'WV', 38.95, -79.02],
+  ['270', 'Rural Hall', 'NC', 36.25, -80.4],
+  ['271', 'Winston Salem', 'NC', 36.07, -80.24],
+  ['272', 'High Point', 'NC', 35.89, -79.69],
+  ['273', 'Reidsville', 'NC', 35.96, -79.65],
+  ['274', 'Greensboro', 'NC', 36.08, -79.8],
+  ['275', 'Cary', 'NC', 35.88, -78.57],
+  ['276', 'Raleigh', 'NC', 35.81, -78.63],
+  ['277', 'Durham', 'NC', 36.02, -78.89],
+  ['278', 'Greenville', 'NC', 35.91, -77.43],
+  ['279', 'Elizabeth City', 'NC', 36.1, -76.19],
+  ['280', 'Gastonia', 'NC', 35.37, -81.02],
+  ['281', 'Salisbury', 'NC', 35.29, -80.77],
+  ['282', 'Charlotte', 'NC', 35.23, -80.82],
+  ['283', 'Fayetteville', 'NC', 34.98, -78.99],
+  ['284', 'Wilmington', 'NC', 34.3, -78.2],
+  ['285', 'New Bern', 'NC', 35.01, -77.12],
+  ['286', 'Hickory', 'NC', 36.07, -81.37],
+  ['287', 'Hendersonville', 'NC', 35.44, -82.68],
+  ['288', 'Asheville', 'NC', 35.6, -82.54],
+  ['289', 'Andrews', 'NC', 35.08, -83.95],
+  ['290', 'Lexington', 'SC', 33.97, -80.82],
+  ['291', 'Orangeburg', 'SC', 33.89, -80.88],
+  ['292', 'Columbia', 'SC', 34.02, -81.01],
+  ['293', 'Spartanburg', 'SC', 34.87, -81.91],
+  ['294', 'Charleston', 'SC', 32.97, -80.1],
+  ['295', 'Myrtle Beach', 'SC', 34.07, -79.41],
+  ['296', 'Greenville', 'SC', 34.68, -82.56],
+  ['297', 'Rock Hill', 'SC', 34.88, -80.95],
+  ['298', 'Aiken', 'SC', 33.52, -81.76],
+  ['299', 'Beaufort', 'SC', 32.54, -80.9],
+  ['300', 'Marietta', 'GA', 33.88, -84.19],
+  ['301', 'Carrollton', 'GA', 34.02, -84.87],
+  ['302', 'Newnan', 'GA', 33.33, -84.48],
+  ['303', 'Atlanta', 'GA', 33.8, -84.39],
+  ['304', 'Statesboro', 'GA', 32.42, -82.12],
+  ['305', 'Gainesville', 'GA', 34.52, -83.72],
+  ['306', 'Athens', 'GA', 33.89, -83.27],
+  ['307', 'Dalton', 'GA', 34.76, -85.09],
+  ['308', 'Appling', 'GA', 33.34, -82.36],
+  ['309', 'Augusta', 'GA', 33.44, -82.06],
+  ['310', 'Warner Robins', 'GA', 32.6, -83.46],
+  ['311', 'Atlanta', 'GA', 33.82, -84.39],
+  ['312', 'Macon', 'GA', 32.82, -83.66],
+  ['313', 'Fort Stewart', 'GA', 31.92, -81.42],
+  ['314', 'Savannah', 'GA', 32.02, -81.1],
+  ['315', 'Brunswick', 'GA', 31.34, -82.13],
+  ['316', 'Valdosta', 'GA', 30.99, -83.21],
+  ['317', 'Albany', 'GA', 31.46, -83.87],
+  ['318', 'Box Springs', 'GA', 32.52, -84.72],
+  ['319', 'Columbus', 'GA', 32.48, -84.93],
+  ['320', 'Saint Augustine', 'FL', 30.16, -82.12],
+  ['321', 'Daytona Beach', 'FL', 29.31, -81.43],
+  ['322', 'Jacksonville', 'FL', 30.31, -81.63],
+  ['323', 'Tallahassee', 'FL', 30.34, -84.27],
+  ['324', 'Panama City', 'FL', 30.49, -85.58],
+  ['325', 'Pensacola', 'FL', 30.53, -87],
+  ['326', 'Gainesville', 'FL', 29.6, -82.45],
+  ['327', 'Titusville', 'FL', 28.78, -81.3],
+  ['328', 'Orlando', 'FL', 28.52, -81.31],
+  ['329', 'Melbourne', 'FL', 28.03, -80.59],
+  ['330', 'Pompano Beach', 'FL', 25.77, -80.41],
+  ['331', 'Miami', 'FL', 25.77, -80.26],
+  ['332', 'Miami', 'FL', 25.77, -80.2],
+  ['333', 'Fort Lauderdale', 'FL', 26.13, -80.21],
+  ['334', 'West Palm Beach', 'FL', 26.61, -80.18],
+  ['335', 'Plant City', 'FL', 28.09, -82.27],
+  ['336', 'Tampa', 'FL', 27.94, -82.46],
+  ['337', 'Saint Petersburg', 'FL', 27.86, -82.73],
+  ['338', 'Lakeland', 'FL', 27.9, -81.71],
+  ['339', 'Fort Myers', 'FL', 26.69, -81.9],
+  ['340', 'Dpo', 'AA', 2.21, -75.54],
+  ['341', 'Naples', 'FL', 26.14, -81.66],
+  ['342', 'Sarasota', 'FL', 27.31, -82.42],
+  ['344', 'Ocala', 'FL', 29.02, -82.32],
+  ['346', 'Brooksville', 'FL', 28.3, -82.61],
+  ['347', 'Kissimmee', 'FL', 28.5, -81.61],
+  ['349', 'Fort Pierce', 'FL', 27.3, -80.39],
+  ['350', 'Bessemer', 'AL', 33.57, -86.71],
+  ['351', 'Pell City', 'AL', 33.5, -86.63],
+  ['352', 'Birmingham', 'AL', 33.51, -86.84],
+  ['354', 'Tuscaloosa', 'AL', 33.14, -87.72],
+  ['355', 'Jasper', 'AL', 33.97, -87.64],
+  ['356', 'Decatur', 'AL', 34.7, -87.3],
+  ['357', 'Madison', 'AL', 34.74, -86.35],
+  ['358', 'Huntsville', 'AL', 34.72, -86.58],
+  ['359', 'Gadsden', 'AL', 34.28, -85.95],
+  ['360', 'Prattville', 'AL', 32.16, -86.14],
+  ['361', 'Montgomery', 'AL', 32.31, -86.25],
+  ['362', 'Anniston', 'AL', 33.58, -85.71],
+  ['363', 'Dothan', 'AL', 31.29, -85.55],
+  ['364', 'Monroeville', 'AL', 31.41, -87.07],
+  ['365', 'Atmore', 'AL', 30.88, -87.94],
+  ['366', 'Mobile', 'AL', 30.68, -88.11],
+  ['367', 'Selma', 'AL', 32.31, -87.39],
+  ['368', 'Opelika', 'AL', 32.57, -85.33],
+  ['369', 'Bellamy', 'AL', 32.14, -88.25],
+  ['370', 'Clarksville', 'TN', 36.12, -86.85],
+  ['371', 'Murfreesboro', 'TN', 36.06, -86.71],
+  ['372', 'Nashville', 'TN', 36.17, -86.79],
+  ['373', 'Cleveland', 'TN', 35.27, -85.35],
+  ['374', 'Chattanooga', 'TN', 35.04, -85.28],
+  ['375', 'Memphis', 'TN', 35.16, -90.02],
+  ['376', 'Johnson City', 'TN', 36.38, -82.36],
+  ['377', 'Greeneville', 'TN', 36.16, -83.87],
+  ['378', 'Maryville', 'TN', 36.1, -83.78],
+  ['379', 'Knoxville', 'TN', 35.97, -83.97],
+  ['380', 'Millington', 'TN', 35.49, -89.47],
+  ['381', 'Memphis', 'TN', 35.16, -89.96],
+  ['382', 'Martin', 'TN', 36.28, -88.75],
+  ['383', 'Jackson', 'TN', 35.61, -88.56],
+  ['384', 'Columbia', 'TN', 35.3, -87.3],
+  ['385', 'Cookeville', 'TN', 36.19, -85.42],
+  ['386', 'Holly Springs', 'MS', 34.59, -89.83],
+  ['387', 'Greenville', 'MS', 33.57, -90.81],
+  ['388', 'Tupelo', 'MS', 34.31, -88.66],
+  ['389', 'Greenwood', 'MS', 33.77, -89.95],
+  ['390', 'Brandon', 'MS', 32.45, -90.16],
+  ['391', 'Vicksburg', 'MS', 32.36, -90.25],
+  ['392', 'Jackson', 'MS', 32.3, -90.18],
+  ['393', 'Meridian', 'MS', 32.37, -88.82],
+  ['394', 'Hattiesburg', 'MS', 31.33, -89.3],
+  ['395', 'Biloxi', 'MS', 30.44, -89],
+  ['396', 'Brookhaven', 'MS', 31.35, -90.54],
+  ['397', 'Columbus', 'MS', 33.53, -88.83],
+  ['398', 'Bainbridge', 'GA', 31.31, -84.65],
+  ['399', 'Atlanta', 'GA', 33.89, -84.07],
+  ['400', 'La Grange', 'KY', 38.12, -85.33],
+  ['401', 'Fort Knox', 'KY', 37.87, -86.13],
+  ['402', 'Louisville', 'KY', 38.21, -85.7],
+  ['403', 'Nicholasville', 'KY', 38.06, -84.19],
+  ['404', 'Berea', 'KY', 37.52, -84.42],
+  ['405', 'Lexington', 'KY', 38.03, -84.48],
+  ['406', 'Frankfort', 'KY', 38.23, -84.87],
+  ['407', 'London', 'KY', 36.98, -84.08],
+  ['408', 'Ages Brookside', 'KY', 36.9, -83.28],
+  ['409', 'Arjay', 'KY', 36.94, -83.71],
+  ['410', 'Covington', 'KY', 38.79, -84.4],
+  ['411', 'Ashland', 'KY', 38.37, -82.95],
+  ['412', 'Adams', 'KY', 37.86, -82.71],
+  ['413', 'Athol', 'KY', 37.57, -83.51],
+  ['414', 'Cannel City', 'KY', 37.84, -83.14],
+  ['415', 'Pikeville', 'KY', 37.45, -82.37],
+  ['416', 'Allen', 'KY', 37.5, -82.74],
+  ['417', 'Hazard', 'KY', 37.24, -83.22],
+  ['418', 'Blackey', 'KY', 37.22, -82.86],
+  ['420', 'Paducah', 'KY', 36.91, -88.58],
+  ['421', 'Bowling Green', 'KY', 36.89, -86.06],
+  ['422', 'Hopkinsville', 'KY', 36.96, -86.97],
+  ['423', 'Owensboro', 'KY', 37.5, -87.04],
+  ['424', 'Henderson', 'KY', 37.51, -87.67],
+  ['425', 'Somerset', 'KY', 37.14, -84.7],
+  ['426', 'Albany', 'KY', 36.78, -84.69],
+  ['427', 'Campbellsville', 'KY', 37.34, -85.74],
+  ['430', 'Newark', 'OH', 40.16, -82.92],
+  ['431', 'Groveport', 'OH', 39.71, -82.89],
+  ['432', 'Columbus', 'OH', 39.99, -82.99],
+  ['433', 'Marion', 'OH', 40.53, -83.34],
+  ['434', 'Bowling Green', 'OH', 41.46, -83.29],
+  ['435', 'Perrysburg', 'OH', 41.46, -84.13],
+  ['436', 'Toledo', 'OH', 41.67, -83.52],
+  ['437', 'Zanesville', 'OH', 39.85, -81.69],
+  ['438', 'Adamsville', 'OH', 40.27, -81.85],
+  ['439', 'Steubenville', 'OH', 40.22, -80.85],
+  ['440', 'Lorain', 'OH', 41.55, -81.39],
+  ['441', 'Cleveland', 'OH', 41.49, -81.67],
+  ['442', 'Cuyahoga Falls', 'OH', 41.12, -81.58],
+  ['443', 'Akron', 'OH', 41.08, -81.53],
+  ['444', 'Warren', 'OH', 41.1, -80.75],
+  ['445', 'Youngstown', 'OH', 41.08, -80.68],
+  ['446', 'Massillon', 'OH', 40.67, -81.46],
+  ['447', 'Canton', 'OH', 40.81, -81.38],
+  ['448', 'Sandusky', 'OH', 41.03, -82.76],
+  ['449', 'Mansfield', 'OH', 40.76, -82.52],
+  ['450', 'Hamilton', 'OH', 39.39, -84.49],
+  ['451', 'Aberdeen', 'OH', 39.11, -83.92],
+  ['452', 'Cincinnati', 'OH', 39.17, -84.5],
+  ['453', 'Miamisburg', 'OH', 39.99, -84.28],
+  ['454', 'Dayton', 'OH', 39.75, -84.2],
+  ['455', 'Springfield', 'OH', 39.93, -83.81],
+  ['456', 'Lucasville', 'OH', 38.93, -82.82],
+  ['457', 'Albany', 'OH', 39.35, -81.81],
+  ['458', 'Lima', 'OH', 40.83, -84.19],
+  ['459', 'Cincinnati', 'OH', 39.17, -84.54],
+  ['460', 'Anderson', 'IN', 40.15, -86.03],
+  ['461', 'Greenwood', 'IN', 39.65, -86.16],
+  ['462', 'Indianapolis', 'IN', 39.8, -86.14],
+  ['463', 'Hammond', 'IN', 41.44, -87.16],
+  ['464', 'Gary', 'IN', 41.56, -87.34],
+  ['465', 'Elkhart', 'IN', 41.46, -86.05],
+  ['466', 'South Bend', 'IN', 41.67, -86.26],
+  ['467', 'Albion', 'IN', 41.17, -85.2],
+  ['468', 'Fort Wayne', 'IN', 41.09, -85.1],
+  ['469', 'Kokomo', 'IN', 40.72, -86.1],
+  ['470', 'Aurora', 'IN', 39.16, -85.07],
+  ['471', 'Jeffersonville', 'IN', 38.38, -85.97],
+  ['472', 'Columbus', 'IN', 39.06, -85.75],
+  ['473', 'Muncie', 'IN', 40.06, -85.21],
+  ['474', 'Bloomington', 'IN', 39.04, -86.66],
+  ['475', 'Jasper', 'IN', 38.41, -87],
+  ['476', 'Newburgh', 'IN', 38.15, -87.45],
+  ['477', 'Evansville', 'IN', 38, -87.57],
+  ['478', 'Terre Haute', 'IN', 39.46, -87.32],
+  ['479', 'Crawfordsville', 'IN', 40.4, -87.05],
+  ['480', 'Southfield', 'MI', 42.67, -82.92],
+  ['481', 'Ann Arbor', 'MI', 42.22, -83.5],
+  ['482', 'Detroit', 'MI', 42.35, -83.1],
+  ['483', 'Farmington', 'MI', 42.63, -83.32],
+  ['484', 'Grand Blanc', 'MI', 43.24, -83.29],
+  ['485', 'Flint', 'MI', 43.01, -83.71],
+  ['486', 'Saginaw', 'MI', 43.81, -84.28],
+  ['487', 'Bay City', 'MI', 43.9, -83.57],
+  ['488', 'East Lansing', 'MI', 43.03, -84.68],
+  ['489', 'Lansing', 'MI', 42.72, -84.57],
+  ['490', 'Kalamazoo', 'MI', 42.22, -85.58],
+  ['491', 'Berrien Springs', 'MI', 41.89, -86.43],
+  ['492', 'Jackson', 'MI', 42.05, -84.34],
+  ['493', 'Ada', 'MI', 43.21, -85.55],
+  ['494', 'Muskegon', 'MI', 43.23, -86.13],
+  ['495', 'Grand Rapids', 'MI', 42.97, -85.62],
+  ['496', 'Traverse City', 'MI', 44.55, -85.63],
+  ['497', 'Kincheloe', 'MI', 45.58, -84.55],
+  ['498', 'Allouez', 'MI', 46.07, -87.2],
+  ['499', 'Ahmeek', 'MI', 46.74, -88.83],
+  ['500', 'Ames', 'IA', 41.7, -93.78],
+  ['501', 'Galt', 'IA', 41.6, -93.47],
+  ['502', 'West Des Moines', 'IA', 41.68, -93.56],
+  ['503', 'Des Moines', 'IA', 41.64, -93.6],
+  ['504', 'Mason City', 'IA', 43.16, -93.34],
+  ['505', 'Clarion', 'IA', 42.75, -94.44],
+  ['506', 'Cedar Falls', 'IA', 42.63, -92.45],
+  ['507', 'Waterloo', 'IA', 42.47, -92.31],
+  ['508', 'Afton', 'IA', 40.96, -94.55],
+  ['509', 'Des Moines', 'IA', 41.65, -93.58],
+  ['510', 'Akron', 'IA', 42.6, -95.91],
+  ['511', 'Sioux City', 'IA', 42.48, -96.39],
+  ['512', 'Alvord', 'IA', 43.26, -96.03],
+  ['513', 'Arnolds Park', 'IA', 43.25, -95.11],
+  ['514', 'Arcadia', 'IA', 42.09, -95.07],
+  ['515', 'Council Bluffs', 'IA', 41.45, -95.56],
+  ['516', 'Shenandoah', 'IA', 40.73, -95.36],
+  ['520', 'Dubuque', 'IA', 42.48, -90.95],
+  ['521', 'Calmar', 'IA', 43.16, -91.73],
+  ['522', 'Iowa City', 'IA', 41.89, -91.75],
+  ['523', 'Marengo', 'IA', 41.9, -91.72],
+  ['524', 'Cedar Rapids', 'IA', 42.04, -91.64],
+  ['525', 'Bloomfield', 'IA', 40.96, -92.43],
+  ['526', 'Argyle', 'IA', 40.87, -91.45],
+  ['527', 'Clinton', 'IA', 41.66, -90.74],
+  ['528', 'Davenport', 'IA', 41.57, -90.59],
+  ['530', 'Brookfield', 'WI', 43.45, -88.21],
+  ['531', 'Kenosha', 'WI', 42.74, -88.22],
+  ['532', 'Milwaukee', 'WI', 43.05, -87.95],
+  ['534', 'Racine', 'WI', 42.73, -87.78],
+  ['535', 'Janesville', 'WI', 42.94, -89.61],
+  ['537', 'Madison', 'WI', 43.07, -89.4],
+  ['538', 'Bagley', 'WI', 42.82, -90.75],
+  ['539', 'Randolph', 'WI', 43.61, -89.52],
+  ['540', 'Amery', 'WI', 45.07, -92.49],
+  ['541', 'Abrams', 'WI', 44.86, -88.24],
+  ['542', 'Manitowoc', 'WI', 44.55, -87.56],
+  ['543', 'Green Bay', 'WI', 44.49, -88.03],
+  ['544', 'Marshfield', 'WI', 44.87, -89.8],
+  ['545', 'Argonne', 'WI', 45.91, -89.88],
+  ['546', 'La Crosse', 'WI', 43.86, -90.91],
+  ['547', 'Eau Claire', 'WI', 44.83, -91.59],
+  ['548', 'Almena', 'WI', 46.03, -91.63],
+  ['549', 'Appleton', 'WI', 44.21, -88.83],
+  ['550', 'Elko New Market', 'MN', 45.05, -93.02],
+  ['551', 'Saint Paul', 'MN', 44.96, -93.11],
+  ['553', 'Eden Prairie', 'MN', 44.98, -93.87],
+  ['554', 'Minneapolis', 'MN', 44.98, -93.3],
+  ['555', 'Young America', 'MN', 45.02, -93.72],
+  ['556', 'Beaver Bay', 'MN', 47.49, -91.01],
+  ['557', 'Grand Rapids', 'MN', 47.17, -92.78],
+  ['558', 'Duluth', 'MN', 46.79, -92.13],
+  ['559', 'Rochester', 'MN', 43.9, -92.29],
+  ['560', 'Mankato', 'MN', 44, -93.97],
+  ['561', 'Adrian', 'MN', 43.9, -95.67],
+  ['562', 'Alberta', 'MN', 45.02, -95.66],
+  ['563', 'Saint Cloud', 'MN', 45.75, -94.6],
+  ['564', 'Ah Gwah Ching', 'MN', 46.58, -94.51],
+  ['565', 'Moorhead', 'MN', 46.84, -96.13],
+  ['566', 'Bemidji', 'MN', 47.84, -94.45],
+  ['567', 'Alvarado', 'MN', 48.43, -96.34],
+  ['569', 'Parcel Return Service', 'DC', 38.89, -77.03],
+  ['570', 'Brandon', 'SD', 43.48, -97.01],
+  ['571', 'Sioux Falls', 'SD', 43.59, -96.74],
+  ['572', 'Milbank', 'SD', 45.04, -97.1],
+  ['573', 'Chamberlain', 'SD', 43.8, -98.4],
+  ['574', 'Aberdeen', 'SD', 45.35, -98.74],
+  ['575', 'Agar', 'SD', 43.75, -100.42],
+  ['576', 'Bison', 'SD', 45.54, -101.37],
+  ['577', 'Rapid City', 'SD', 44.09, -103.09],
+  ['580', 'Wahpeton', 'ND', 46.68, -97.31],
+  ['581', 'Fargo', 'ND', 46.87, -96.8],
+  ['582', 'Grand Forks', 'ND', 48.21, -97.61],
+  ['583', 'Agate', 'ND', 48.35, -99.2],
+  ['584', 'Jamestown', 'ND', 46.95, -99.02],
+  ['585', 'Bismarck', 'ND', 46.79, -100.9],
+  ['586', 'Dickinson', 'ND', 46.77, -102.9],
+  ['587', 'Minot', 'ND', 48.36, -101.56],
+  ['588', 'Williston', 'ND', 48.24, -103.51],
+  ['590', 'Ashland', 'MT', 45.82, -108.67],
+  ['591', 'Billings', 'MT', 45.8, -108.52],
+  ['592', 'Antelope', 'MT', 48.32, -105.3],
+  ['593', 'Alzada', 'MT', 46.31, -105.37],
+  ['594', 'Great Falls', 'MT', 47.74, -111.22],
+  ['595', 'Big Sandy', 'MT', 48.49, -109.42],
+  ['596', 'Helena', 'MT', 46.55, -111.92],
+  ['597', 'Bozeman', 'MT', 45.69, -112.12],
+  ['598', 'Missoula', 'MT', 47.01, -114.27],
+  ['599', 'Kalispell', 'MT', 48.32, -114.46],
+  ['600', 'Palatine', 'IL', 42.22, -88],
+  ['601', 'Carol Stream', 'IL', 41.97, -88.22],
+  ['602', 'Evanston', 'IL', 42.02, -87.69],
+  ['603', 'Oak Park', 'IL', 41.9, -87.82],
+  ['604', 'Joliet', 'IL', 41.53, -87.91],
+  ['605', 'Aurora', 'IL', 41.74, -88.28],
+  ['606', 'Chicago', 'IL', 41.86, -87.67],
+  ['607', 'Chicago', 'IL', 41.95, -87.77],
+  ['608', 'Alsip', 'IL', 41.72, -87.71],
+  ['609', 'Aroma Park', 'IL', 40.82, -87.93],
+  ['610', 'Apple River', 'IL', 42.21, -89.52],
+  ['611', 'Rockford', 'IL', 42.3, -89.1],
+  ['612', 'Rock Island', 'IL', 41.49, -90.36],
+  ['613', 'Amboy', 'IL', 41.34, -89.21],
+  ['614', 'Galesburg', 'IL', 40.84, -90.41],
+  ['615', 'Pekin', 'IL', 40.69, -89.7],
+  ['616', 'Peoria', 'IL', 40.72, -89.63],
+  ['617', 'Bloomington', 'IL', 40.5, -88.92],
+  ['618', 'Champaign', 'IL', 40.1, -88.13],
+  ['619', 'Arcola', 'IL', 39.68, -88.22],
+  ['620', 'Edwardsville', 'IL', 39.06, -90],
+  ['622', 'East Saint Louis', 'IL', 38.44, -89.8],
+  ['623', 'Quincy', 'IL', 40.03, -91.06],
+  ['624', 'Allendale', 'IL', 39.05, -88.21],
+  ['625', 'Decatur', 'IL', 39.71, -89.22],
+  ['626', 'Jacksonville', 'IL', 39.82, -89.99],
+  ['627', 'Springfield', 'IL', 39.78, -89.62],
+  ['628', 'Akin', 'IL', 38.31, -88.68],
+  ['629', 'Carbondale', 'IL', 37.55, -88.99],
+  ['630', 'Ballwin', 'MO', 38.45, -90.66],
+  ['631', 'Saint Louis', 'MO', 38.64, -90.29],
+  ['633', 'Saint Charles', 'MO', 38.95, -91.01],
+  ['634', 'Alexandria', 'MO', 39.97, -91.78],
+  ['635', 'Atlanta', 'MO', 40.2, -92.59],
+  ['636', 'Annapolis', 'MO', 37.65, -90.62],
+  ['637', 'Cape Girardeau', 'MO', 37.33, -89.77],
+  ['638', 'Anniston', 'MO', 36.5, -89.79],
+  ['639', 'Poplar Bluff', 'MO', 36.85, -90.51],
+  ['640', 'Independence', 'MO', 39.09, -94.22],
+  ['641', 'Kansas City', 'MO', 39.11, -94.57],
+  ['644', 'Agency', 'MO', 40.11, -94.68],
+  ['645', 'Saint Joseph', 'MO', 39.75, -94.84],
+  ['646', 'Altamont', 'MO', 39.87, -93.57],
+  ['647', 'Osceola', 'MO', 38.09, -94.2],
+  ['648', 'Joplin', 'MO', 36.97, -94.37],
+  ['649', 'Kansas City', 'MO', 39.02, -94.57],
+  ['650', 'Argyle', 'MO', 38.46, -92.28],
+  ['651', 'Jefferson City', 'MO', 38.57, -92.18],
+  ['652', 'Columbia', 'MO', 39.18, -92.39],
+  ['653', 'Sedalia', 'MO', 38.76, -93.25],
+  ['654', 'Rolla', 'MO', 37.69, -91.82],
+  ['655', 'Jadwin', 'MO', 37.64, -91.91],
+  ['656', 'Branson', 'MO', 37.06, -93.12],
+  ['657', 'Macks Creek', 'MO', 37.05, -92.99],
+  ['658', 'Springfield', 'MO', 37.22, -93.3],
+  ['660', 'Lawrence', 'KS', 38.93, -95.11],
+  ['661', 'Kansas City', 'KS', 39.1, -94.69],
+  ['662', 'Overland Park', 'KS', 38.96, -94.71],
+  ['664', 'Alma', 'KS', 39.39, -96.06],
+  ['665', 'Manhattan', 'KS', 39.33, -96.11],
+  ['666', 'Topeka', 'KS', 39.04, -95.7],
+  ['667', 'Altoona', 'KS', 37.6, -95.09],
+  ['668', 'Admire', 'KS', 38.35, -96.38],
+  ['669', 'Agenda', 'KS', 39.78, -97.71],
+  ['670', 'Andale', 'KS', 37.56, -97.6],
+  ['671', 'Maize', 'KS', 37.55, -97.67],
+  ['672', 'Wichita', 'KS', 37.69, -97.34],
+  ['673', 'Altamont', 'KS', 37.19, -95.76],
+  ['674', 'Salina', 'KS', 38.94, -97.74],
+  ['675', 'Hutchinson', 'KS', 38.23, -98.83],
+  ['676', 'Agra', 'KS', 39.32, -99.4],
+  ['677', 'Atwood', 'KS', 39.34, -101.08],
+  ['678', 'Ashland', 'KS', 37.8, -100.66],
+  ['679', 'Liberal', 'KS', 37.14, -101.38],
+  ['680', 'Blair', 'NE', 41.47, -96.42],
+  ['681', 'Omaha', 'NE', 41.25, -96],
+  ['683', 'Adams', 'NE', 40.47, -96.83],
+  ['684', 'Malcolm', 'NE', 40.54, -96.61],
+  ['685', 'Lincoln', 'NE', 40.82, -96.69],
+  ['686', 'Columbus', 'NE', 41.48, -97.51],
+  ['687', 'Norfolk', 'NE', 42.39, -97.72],
+  ['688', 'Kearney', 'NE', 41.14, -98.92],
+  ['689', 'Hastings', 'NE', 40.35, -98.81],
+  ['690', 'Bartley', 'NE', 40.33, -100.87],
+  ['691', 'North Platte', 'NE', 41.28, -101.6],
+  ['692', 'Ainsworth', 'NE', 42.75, -100.61],
+  ['693', 'Scottsbluff', 'NE', 42.16, -103.03],
+  ['700', 'Metairie', 'LA', 29.88, -90.16],
+  ['701', 'New Orleans', 'LA', 29.96, -90.07],
+  ['703', 'Houma', 'LA', 29.68, -90.78],
+  ['704', 'Slidell', 'LA', 30.57, -90.2],
+  ['705', 'Lafayette', 'LA', 30.23, -92.12],
+  ['706', 'Lake Charles', 'LA', 30.39, -93.19],
+  ['707', 'Denham Springs', 'LA', 30.51, -91.17],
+  ['708', 'Baton Rouge', 'LA', 30.48, -91.11],
+  ['710', 'Minden', 'LA', 32.49, -93.48],
+  ['711', 'Shreveport', 'LA', 32.55, -93.75],
+  ['712', 'Monroe', 'LA', 32.55, -92.01],
+  ['713', 'Alexandria', 'LA', 31.32, -92.02],
+  ['714', 'Natchitoches', 'LA', 31.55, -92.86],
+  ['716', 'Pine Bluff', 'AR', 33.7, -91.76],
+  ['717', 'Camden', 'AR', 33.5, -92.8],
+  ['718', 'Hope', 'AR', 33.67, -93.81],
+  ['719', 'Hot Springs National Park', 'AR', 34.4, -93.51],
+  ['720', 'Conway', 'AR', 34.96, -91.99],
+  ['721', 'North Little Rock', 'AR', 34.9, -92.09],
+  ['722', 'Little Rock', 'AR', 34.76, -92.34],
+  ['723', 'Blytheville', 'AR', 35.11, -90.52],
+  ['724', 'Jonesboro', 'AR', 36.04, -90.74],
+  ['725', 'Batesville', 'AR', 36, -91.79],
+  ['726', 'Eureka Springs', 'AR', 36.17, -92.86],
+  ['727', 'Fayetteville', 'AR', 36.17, -94.16],
+  ['728', 'Russellville', 'AR', 35.28, -93.39],
+  ['729', 'Fort Smith', 'AR', 35.34, -94.24],
+  ['730', 'Edmond', 'OK', 35.31, -97.74],
+  ['731', 'Oklahoma City', 'OK', 35.49, -97.49],
+  ['733', 'Austin', 'TX', 30.33, -97.77],
+  ['734', 'Ardmore', 'OK', 34.23, -97.17],
+  ['735', 'Lawton', 'OK', 34.53, -98.72],
+  ['736', 'Elk City', 'OK', 35.5, -99.28],
+  ['737', 'Enid', 'OK', 36.38, -98.12],
+  ['738', 'Woodward', 'OK', 36.46, -99.47],
+  ['739', 'Texhoma', 'OK', 36.73, -101.53],
+  ['740', 'Stillwater', 'OK', 36.26, -96.18],
+  ['741', 'Tulsa', 'OK', 36.14, -95.97],
+  ['743', 'Grove', 'OK', 36.54, -94.97],
+  ['744', 'Muskogee', 'OK', 35.65, -95.44],
+  ['745', 'Atoka', 'OK', 34.66, -95.7],
+  ['746', 'Ponca City', 'OK', 36.69, -97.15],
+  ['747', 'Durant', 'OK', 34.01, -95.58],
+  ['748', 'Shawnee', 'OK', 35.17, -96.69],
+  ['749', 'Arkoma', 'OK', 35.21, -94.7],
+  ['750', 'Irving', 'TX', 33.03, -96.78],
+  ['751', 'Mesquite', 'TX', 32.55, -96.47],
+  ['752', 'Dallas', 'TX', 32.8, -96.79],
+  ['753', 'Dallas', 'TX', 32.77, -96.78],
+  ['754', 'Greenville', 'TX', 33.36, -95.81],
+  ['755', 'Texarkana', 'TX', 33.28, -94.34],
+  ['756', 'Longview', 'TX', 32.46, -94.64],
+  ['757', 'Tyler', 'TX', 32.26, -95.33],
+  ['758', 'Palestine', 'TX', 31.5, -95.7],
+  ['759', 'Lufkin', 'TX', 31.3, -94.39],
+  ['760', 'Arlington', 'TX', 32.67, -97.34],
+  ['761', 'Fort Worth', 'TX', 32.76, -97.31],
+  ['762', 'Denton', 'TX', 33.4, -97.28],
+  ['763', 'Wichita Falls', 'TX', 33.8, -98.75],
+  ['764', 'Stephenville', 'TX', 32.53, -98.46],
+  ['765', 'Killeen', 'TX', 31.09, -97.55],
+  ['766', 'Abbott', 'TX', 31.76, -97.03],
+  ['767', 'Waco', 'TX', 31.55, -97.17],
+  ['768', 'Brownwood', 'TX', 31.33, -99.33],
+  ['769', 'San Angelo', 'TX', 31.42, -100.57],
+  ['770', 'Houston', 'TX', 29.78, -95.41],
+  ['772', 'Houston', 'TX', 29.81, -95.42],
+  ['773', 'Spring', 'TX', 30.35, -95.34],
+  ['774', 'Katy', 'TX', 29.48, -95.94],
+  ['775', 'Pasadena', 'TX', 29.58, -95.04],
+  ['776', 'Port Arthur', 'TX', 30.09, -94.13],
+  ['777', 'Beaumont', 'TX', 30.09, -94.14],
+  ['778', 'Bryan', 'TX', 30.66, -96.33],
+  ['779', 'Victoria', 'TX', 28.9, -96.92],
+  ['780', 'Laredo', 'TX', 28.93, -98.89],
+  ['781', 'New Braunfels', 'TX', 29.2, -97.98],
+  ['782', 'San Antonio', 'TX', 29.46, -98.5],
+  ['783', 'Alice', 'TX', 27.72, -97.84],
+  ['784', 'Corpus Christi', 'TX', 27.77, -97.43],
+  ['785', 'Brownsville', 'TX', 26.27, -98.05],
+  ['786', 'Round Rock', 'TX', 30.28, -97.91],
+  ['787', 'Austin', 'TX', 30.31, -97.76],
+  ['788', 'Del Rio', 'TX', 29.26, -100.11],
+  ['789', 'Alleyton', 'TX', 29.92, -96.82],
+  ['790', 'Borger', 'TX', 35.34, -101.54],
+  ['791', 'Amarillo', 'TX', 35.25, -101.86],
+  ['792', 'Afton', 'TX', 34.27, -100.67],
+  ['793', 'Levelland', 'TX', 33.51, -102.19],
+  ['794', 'Lubbock', 'TX', 33.57, -101.87],
+  ['795', 'Rule', 'TX', 32.65, -100.2],
+  ['796', 'Abilene', 'TX', 32.44, -99.75],
+  ['797', 'Midland', 'TX', 31.72, -102.47],
+  ['798', 'Alpine', 'TX', 30.77, -104.76],
+  ['799', 'El Paso', 'TX', 31.76, -106.4],
+  ['800', 'Aurora', 'CO', 39.8, -104.92],
+  ['801', 'Littleton', 'CO', 39.51, -104.84],
+  ['802', 'Denver', 'CO', 39.74, -104.98],
+  ['803', 'Boulder', 'CO', 40.03, -105.29],
+  ['804', 'Golden', 'CO', 39.83, -105.92],
+  ['805', 'Fort Collins', 'CO', 40.41, -105.13],
+  ['806', 'Greeley', 'CO', 40.33, -104.63],
+  ['807', 'Akron', 'CO', 40.48, -103.09],
+  ['808', 'Limon', 'CO', 39.08, -103.83],
+  ['809', 'Colorado Springs', 'CO', 38.85, -104.77],
+  ['810', 'Pueblo', 'CO', 37.9, -103.78],
+  ['811', 'Alamosa', 'CO', 37.41, -106.19],
+  ['812', 'Gunnison', 'CO', 38.51, -106.13],
+  ['813', 'Durango', 'CO', 37.43, -108.43],
+  ['814', 'Montrose', 'CO', 38.43, -108.01],
+  ['815', 'Grand Junction', 'CO', 39.06, -108.61],
+  ['816', 'Aspen', 'CO', 39.7, -107.38],
+  ['820', 'Cheyenne', 'WY', 41.29, -105.06],
+  ['821', 'Yellowstone National Park', 'WY', 44.8, -110.61],
+  ['822', 'Chugwater', 'WY', 42.3, -104.55],
+  ['823', 'Baggs', 'WY', 41.65, -107.15],
+  ['824', 'Basin', 'WY', 44.45, -108.38],
+  ['825', 'Arapahoe', 'WY', 43.14, -108.78],
+  ['826', 'Casper', 'WY', 42.99, -106.6],
+  ['827', 'Gillette', 'WY', 44.34, -104.84],
+  ['828', 'Arvada', 'WY', 44.7, -106.84],
+  ['829', 'Evanston', 'WY', 41.74, -109.87],
+  ['830', 'Jackson', 'WY', 43.61, -110.72],
+  ['831', 'Afton', 'WY', 42.54, -110.72],
+  ['832', 'Pocatello', 'ID', 42.91, -112.38],
+  ['833', 'Sun Valley', 'ID', 42.82, -114.26],
+  ['834', 'Idaho Falls', 'ID', 44.02, -112.13],
+  ['835', 'Ahsahka', 'ID', 46.17, -116.31],
+  ['836', 'Nampa', 'ID', 43.88, -116.34],
+  ['837', 'Boise', 'ID', 43.56, -116.23],
+  ['838', 'Coeur D Alene', 'ID', 47.68, -116.56],
+  ['840', 'Sandy', 'UT', 40.63, -111.42],
+  ['841', 'Salt Lake City', 'UT', 40.71, -111.89],
+  ['842', 'Ogden', 'UT', 41.25, -111.98],
+  ['843', 'Logan', 'UT', 41.71, -112.09],
+  ['844', 'Ogden', 'UT', 41.24, -111.96],
+  ['845', 'Aneth', 'UT', 38.68, -110.28],
+  ['846', 'Provo', 'UT', 39.55, -111.86],
+  ['847', 'Saint George', 'UT', 37.78, -112.71],
+  ['850', 'Phoenix', 'AZ', 33.49, -112.08],
+  ['851', 'Apache Junction', 'AZ', 33.06, -111.52],
+  ['852', 'Mesa', 'AZ', 33.31, -111.72],
+  ['853', 'Glendale', 'AZ', 33.47, -112.88],
+  ['855', 'Globe', 'AZ', 33.33, -110.32],
+  ['856', 'Sierra Vista', 'AZ', 31.83, -110.47],
+  ['857', 'Tucson', 'AZ', 32.23, -110.94],
+  ['859', 'Show Low', 'AZ', 34.21, -109.9],
+  ['860', 'Flagstaff', 'AZ', 35.7, -111.22],
+  ['863', 'Prescott', 'AZ', 34.69, -112.29],
+  ['864', 'Bullhead City', 'AZ', 35.22, -114.18],
+  ['865', 'Blue Gap', 'AZ', 35.75, -109.46],
+  ['870', 'Algodones', 'NM', 35.22, -106.77],
+  ['871', 'Albuquerque', 'NM', 35.08, -106.65],
+  ['873', 'Gallup', 'NM', 35.5, -108.56],
+  ['874', 'Farmington', 'NM', 36.71, -108.25],
+  ['875', 'Santa Fe', 'NM', 36.1, -105.92],
+  ['876', 'Spaceport City', 'NM', 32.99, -106.97],
+  ['877', 'Angel Fire', 'NM', 36.03, -104.95],
+  ['878', 'Aragon', 'NM', 34.05, -107.76],
+  ['879', 'Arrey', 'NM', 32.96, -107.3],
+  ['880', 'Las Cruces', 'NM', 32.43, -107.52],
+  ['881', 'Clovis', 'NM', 34.2, -103.49],
+  ['882', 'Hobbs', 'NM', 32.81, -103.89],
+  ['883', 'Alamogordo', 'NM', 33.25, -105.63],
+  ['884', 'Amistad', 'NM', 35.66, -103.79],
+  ['885', 'El Paso', 'TX', 31.7, -106.3],
+  ['889', 'The Lakes', 'NV', 36.13, -114.9],
+  ['890', 'Henderson', 'NV', 36.48, -115.32],
+  ['891', 'Las Vegas', 'NV', 36.16, -115.18],
+  ['893', 'Ely', 'NV', 39.23, -115.28],
+  ['894', 'Sparks', 'NV', 39.67, -119.09],
+  ['895', 'Reno', 'NV', 39.54, -119.81],
+  ['897', 'Carson City', 'NV', 39.17, -119.78],
+  ['898', 'Elko', 'NV', 41.07, -115.54],
+  ['900', 'Los Angeles', 'CA', 34.03, -118.28],
+  ['901', 'Los Angeles', 'CA', 34.01, -118.19],
+  ['902', 'Beverly Hills', 'CA', 33.94, -118.35],
+  ['903', 'Inglewood', 'CA', 33.92, -118.34],
+  ['904', 'Santa Monica', 'CA', 34.02, -118.49],
+  ['905', 'Torrance', 'CA', 33.81, -118.31],
+  ['906', 'Whittier', 'CA', 33.93, -118.03],
+  ['907', 'Lakewood', 'CA', 33.8, -118.19],
+  ['908', 'Long Beach', 'CA', 33.79, -118.2],
+  ['910', 'Arcadia', 'CA', 34.18, -118.12],
+  ['911', 'Pasadena', 'CA', 34.15, -118.14],
+  ['912', 'Glendale', 'CA', 34.16, -118.25],
+  ['913', 'Northridge', 'CA', 34.26, -118.58],
+  ['914', 'Van Nuys', 'CA', 34.18, -118.46],
+  ['915', 'Burbank', 'CA', 34.18, -118.31],
+  ['916', 'North Hollywood', 'CA', 34.15, -118.38],
+  ['917', 'Ontario', 'CA', 34.06, -117.86],
+  ['918', 'Alhambra', 'CA', 34.09, -118.13],
+  ['919', 'Chula Vista', 'CA', 32.7, -116.86],
+  ['920', 'Escondido', 'CA', 33.09, -117.13],
+  ['921', 'San Diego', 'CA', 32.76, -117.14],
+  ['922', 'Palm Desert', 'CA', 33.61, -115.95],
+  ['923', 'Fontana', 'CA', 34.47, -117.01],
+  ['924', 'San Bernardino', 'CA', 34.12, -117.29],
+  ['925', 'Riverside', 'CA', 33.79, -117.21],
+  ['926', 'Irvine', 'CA', 33.63, -117.79],
+  ['927', 'Santa Ana', 'CA', 33.73, -117.85],
+  ['928', 'Anaheim', 'CA', 33.84, -117.84],
+  ['930', 'Ventura', 'CA', 34.28, -119.1],
+  ['931', 'Santa Barbara', 'CA', 34.42, -119.75],
+  ['932', 'Visalia', 'CA', 35.9, -119.22],
+  ['933', 'Bakersfield', 'CA', 35.33, -118.99],
+  ['934', 'San Luis Obispo', 'CA', 35.2, -120.59],
+  ['935', 'Lancaster', 'CA', 35.52, -118.1],
+  ['936', 'Clovis', 'CA', 36.85, -119.7],
+  ['937', 'Fresno', 'CA', 36.76, -119.7],
+  ['938', 'Fresno', 'CA', 36.75, -119.64],
+  ['939', 'Salinas', 'CA', 36.51, -121.63],
+  ['940', 'Mountain View', 'CA', 37.48, -122.27],
+  ['941', 'San Francisco', 'CA', 37.77, -122.42],
+  ['942', 'Sacramento', 'CA', 38.58, -121.49],
+  ['943', 'Palo Alto', 'CA', 37.44, -122.15],
+  ['944', 'San Mateo', 'CA', 37.55, -122.31],
+  ['945', 'Concord', 'CA', 37.94, -122.06],
+  ['946', 'Oakland', 'CA', 37.8, -122.25],
+  ['947', 'Berkeley', 'CA', 37.87, -122.27],
+  ['948', 'Richmond', 'CA', 37.95, -122.33],
+  ['949', 'Petaluma', 'CA', 38.08, -122.64],
+  ['950', 'Santa Clara', 'CA', 37.11, -121.87],
+  ['951', 'San Jose', 'CA', 37.32, -121.88],
+  ['952', 'Stockton', 'CA', 38.09, -120.99],
+  ['953', 'Modesto', 'CA', 37.64, -120.68],
+  ['954', 'Santa Rosa', 'CA', 38.85, -123.04],
+  ['955', 'Eureka', 'CA', 40.73, -123.93],
+  ['956', 'Auburn', 'CA', 38.64, -121.28],
+  ['957', 'Elk Grove', 'CA', 38.85, -120.97],
+  ['958', 'Sacramento', 'CA', 38.58, -121.44],
+  ['959', 'Chico', 'CA', 39.49, -121.53],
+  ['960', 'Redding', 'CA', 40.86, -122.27],
+  ['961', 'South Lake Tahoe', 'CA', 39.9, -120.25],
+  ['962', 'Apo', 'AP', 36.34, 127.55],
+  ['963', 'Fpo', 'AP', 31.78, 133.97],
+  ['964', 'Apo', 'AP', 16.62, 120.32],
+  ['965', 'Fpo', 'AP', -3.58, 114.19],
+  ['967', 'Hilo', 'HI', 20.41, -157.2],
+  ['968', 'Honolulu', 'HI', 21.29, -151.62],
+  ['969', 'Barrigada', 'GU', 11.61, 147.4],
+  ['970', 'Beaverton', 'OR', 45.44, -122.26],
+  ['971', 'Hillsboro', 'OR', 45.53, -123.5],
+  ['972', 'Portland', 'OR', 45.52, -122.66],
+  ['973', 'Salem', 'OR', 44.76, -123.19],
+  ['974', 'Eugene', 'OR', 43.57, -123.42],
+  ['975', 'Grants Pass', 'OR', 42.38, -123.11],
+  ['976', 'Klamath Falls', 'OR', 42.43, -121.22],
+  ['977', 'Bend', 'OR', 43.86, -120.61],
+  ['978', 'Adams', 'OR', 45.2, -118.62],
+  ['979', 'Adrian', 'OR', 43.88, -117.55],
+  ['980', 'Bellevue', 'WA', 47.55, -122.16],
+  ['981', 'Seattle', 'WA', 47.6, -122.33],
+  ['982', 'Everett', 'WA', 48.36, -122.31],
+  ['983', 'Bremerton', 'WA', 47.44, -122.67],
+  ['984', 'Tacoma', 'WA', 47.21, -122.46],
+  ['985', 'Olympia', 'WA', 46.93, -123.22],
+  ['986', 'Vancouver', 'WA', 45.91, -122.52],
+  ['988', 'Wenatchee', 'WA', 47.85, -119.9],
+  ['989', 'Yakima', 'WA', 46.66, -120.56],
+  ['990', 'Airway Heights', 'WA', 47.62, -117.45],
+  ['991', 'Pullman', 'WA', 47.8, -117.97],
+  ['992', 'Spokane', 'WA', 47.66, -117.4],
+  ['993', 'Kennewick', 'WA', 46.36, -118.98],
+  ['994', 'Anatone', 'WA', 46.22, -117.05],
+  ['995', 'Anchorage', 'AK', 60.1, -155.2],
+  ['996', 'Wasilla', 'AK', 60.23, -156.69],
+  ['997', 'Fairbanks', 'AK', 65.69, -153.19],
+  ['998', 'Juneau', 'AK', 58.02, -134.86],
+  ['999', 'Ketchikan', 'AK', 55.66, -132.24],
+];
+
+/**
+ * ZIP code centroids, keyed by 5-digit ZIP code (all in California)
+ * @type {Object<string, { place: string, state: string, latitude: number, longitude: number }>}
+ */
+export const ZIP_CENTROIDS = Object.freeze(Object.fromEntries(
+  ZIP_ROWS.map(([zip, place, latitude, longitude]) => [zip, Object.freeze({ place, state: 'CA', latitude, longitude })])
+));
+
+/**
+ * ZIP prefix centroids, keyed by 3-digit prefix
+ * @type {Object<string, { place: string, state: string, latitude: number, longitude: number }>}
+ */
+export const ZIP_PREFIX_CENTROIDS = Object.freeze(Object.fromEntries(
+  ZIP_PREFIX_ROWS.map(([prefix, place, state, latitude, longitude]) => [
+    prefix,
+    Object.freeze({ place, state, latitude, longitude }),
+  ])
+));
+
+export default ZIP_CENTROIDS;
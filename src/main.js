@@ -53,6 +53,36 @@ import './styles/sections/about.css';
  */
 import './styles/sections/contact.css';
 
+/**
+ * Import testimonials carousel styles for the about section
+ * This includes the rotation and slide controls, star ratings, and the aggregate score
+ */
+import './styles/components/testimonials-carousel.css';
+
+/**
+ * Import quote wizard styles for the multi-step quote request form
+ * This includes the progress indicator, service choices, review summary, and step navigation
+ */
+import './styles/components/quote-wizard.css';
+
+/**
+ * Import service area map styles for the contact section
+ * This includes the radius, marker, label and focus styles of the SVG map
+ */
+import './styles/components/service-area-map.css';
+
+/**
+ * Import emergency support styles for the "Crop emergency?" entry point
+ * This includes the fixed trigger button, the triage dialog, and its callback form
+ */
+import './styles/components/emergency-support.css';
+
+/**
+ * Import language switcher styles for the main navigation
+ * This includes the English/Spanish options and the current language state
+ */
+import './styles/components/language-switcher.css';
+
 /**
  * Import accessibility styles for WCAG AA compliance
  * This includes focus indicators, skip links, screen reader support, and high contrast mode
@@ -81,6 +111,12 @@ import { initializeHeroSection } from './components/hero.js';
  */
 import { initializeServicesSection } from './components/services.js';
 
+/**
+ * Import service detail dialog for deep-linked service information
+ * This includes the modal view, focus trapping, and hash-based history support
+ */
+import { initServiceDialog } from './components/service-dialog.js';
+
 /**
  * Import about section functionality for interactive features
  * This includes content rendering, statistics animation, and trust indicators
@@ -93,6 +129,63 @@ import { initializeAboutSection } from './components/about.js';
  */
 import { initContactForm } from './components/contact-form.js';
 
+/**
+ * Import quote wizard functionality for multi-step quote requests
+ * This includes per-step validation, progress announcements, and draft persistence
+ */
+import { initQuoteWizard, cleanupQuoteWizard } from './components/quote-wizard.js';
+
+/**
+ * Import the live business status badge for the contact section
+ * This includes time zone-aware open/closed status and the emergency line when closed
+ */
+import { initBusinessStatus } from './components/business-status.js';
+
+/**
+ * Import the contact card for the contact section
+ * This includes the "Save contact" vCard download and the in-browser QR code
+ */
+import { initContactCard, cleanupContactCard } from './components/contact-card.js';
+
+/**
+ * Import the service area checker for the contact section
+ * This includes ZIP code, town and geolocation lookups against the service radius
+ */
+import { initServiceAreaCheck } from './components/service-area.js';
+
+/**
+ * Import the service area map and its optional map provider adapters
+ * This includes the offline SVG map of the office, service radius and towns served
+ */
+import { initServiceAreaMap, cleanupServiceAreaMap } from './components/service-area-map.js';
+import { GOOGLE_MAPS_PROVIDER } from './utils/map-providers.js';
+
+/**
+ * Import emergency support for the "Crop emergency?" button and triage form
+ * This includes the click-to-call link and high-priority callback requests
+ */
+import { initEmergencySupport, cleanupEmergencySupport } from './components/emergency-support.js';
+
+/**
+ * Import runtime feature flags for optional sections
+ * This includes URL and localStorage overrides for QA and percentage rollouts
+ */
+import { bindFeature } from './utils/feature-flags.js';
+
+/**
+ * Import internationalization for English and Spanish copy
+ * This includes language detection, the translated page copy, and the language switcher
+ */
+import { initI18n, t, onLocaleChange } from './utils/i18n.js';
+import { initLanguageSwitcher } from './components/language-switcher.js';
+
+/**
+ * Import schema.org structured data for search engines
+ * This includes the business, its service catalog, and customer reviews as JSON-LD
+ */
+import { getStructuredData } from './data/structured-data.js';
+import { renderStructuredData } from './utils/structured-data.js';
+
 // ============================================
 // Performance Optimization Imports
 // ============================================
@@ -124,6 +217,35 @@ import {
   setAriaAttributes,
 } from './utils/accessibility.js';
 
+// ============================================
+// Feature Flagged Sections
+// ============================================
+
+/**
+ * Optional sections that follow a feature flag (see data/feature-flags)
+ * Each section's element is shown and initialized while its flag is on,
+ * and cleaned up and hidden when it turns off
+ * @type {Array<{ flag: string, selector: string, init: Function, cleanup: Function }>}
+ */
+const FLAGGED_FEATURES = Object.freeze([
+  { flag: 'quote_wizard', selector: '.quote-wizard-wrapper', init: initQuoteWizard, cleanup: cleanupQuoteWizard },
+  { flag: 'contact_card', selector: '#contact-card', init: initContactCard, cleanup: cleanupContactCard },
+  {
+    flag: 'service_area_map',
+    selector: '#service-area-map',
+    // Offline; Google Maps only adds outbound links
+    init: () => initServiceAreaMap({ providers: [GOOGLE_MAPS_PROVIDER] }),
+    cleanup: cleanupServiceAreaMap,
+  },
+  {
+    flag: 'emergency_support',
+    selector: '#emergency-trigger',
+    // Sends through the contact form's submission service
+    init: initEmergencySupport,
+    cleanup: cleanupEmergencySupport,
+  },
+]);
+
 // ============================================
 // Application State
 // ============================================
@@ -134,7 +256,6 @@ import {
  */
 const appState = {
   initialized: false,
-  formSubmitting: false,
   navigationOpen: false,
   performanceMonitoring: null,
   lazyLoading: null,
@@ -151,8 +272,6 @@ const appState = {
  */
 let domElements = {
   contactForm: null,
-  formStatus: null,
-  submitButton: null,
   navLinks: null,
   skipLink: null,
 };
@@ -191,326 +310,6 @@ function safeQuerySelectorAll(selector, context = document) {
   }
 }
 
-/**
- * Debounce function to limit execution rate
- * @param {Function} func - Function to debounce
- * @param {number} wait - Wait time in milliseconds
- * @returns {Function} Debounced function
- */
-function debounce(func, wait) {
-  let timeout;
-  return function executedFunction(...args) {
-    const later = () => {
-      clearTimeout(timeout);
-      func(...args);
-    };
-    clearTimeout(timeout);
-    timeout = setTimeout(later, wait);
-  };
-}
-
-// ============================================
-// Form Validation
-// ============================================
-
-/**
- * Validation rules for form fields
- * @type {Object}
- */
-const validationRules = {
-  name: {
-    required: true,
-    minLength: 2,
-    maxLength: 100,
-    pattern: /^[a-zA-Z\s'-]+$/,
-    message: 'Please enter a valid name (2-100 characters, letters only)',
-  },
-  email: {
-    required: true,
-    pattern: /^[^\s@]+@[^\s@]+\.[^\s@]+$/,
-    message: 'Please enter a valid email address',
-  },
-  phone: {
-    required: false,
-    pattern: /^[\d\s()+-]+$/,
-    message: 'Please enter a valid phone number',
-  },
-  service: {
-    required: true,
-    message: 'Please select a service',
-  },
-  message: {
-    required: true,
-    minLength: 10,
-    maxLength: 1000,
-    message: 'Please enter a message (10-1000 characters)',
-  },
-  consent: {
-    required: true,
-    message: 'You must agree to the privacy policy',
-  },
-};
-
-/**
- * Validate a single form field
- * @param {string} fieldName - Name of the field to validate
- * @param {string|boolean} value - Value to validate
- * @returns {Object} Validation result with isValid and error properties
- */
-function validateField(fieldName, value) {
-  const rules = validationRules[fieldName];
-  
-  if (!rules) {
-    return { isValid: true, error: '' };
-  }
-
-  // Required field check
-  if (rules.required && (!value || (typeof value === 'string' && value.trim() === ''))) {
-    return { isValid: false, error: rules.message };
-  }
-
-  // Skip further validation if field is optional and empty
-  if (!rules.required && (!value || (typeof value === 'string' && value.trim() === ''))) {
-    return { isValid: true, error: '' };
-  }
-
-  // String-specific validations
-  if (typeof value === 'string') {
-    const trimmedValue = value.trim();
-
-    // Min length check
-    if (rules.minLength && trimmedValue.length < rules.minLength) {
-      return { isValid: false, error: rules.message };
-    }
-
-    // Max length check
-    if (rules.maxLength && trimmedValue.length > rules.maxLength) {
-      return { isValid: false, error: rules.message };
-    }
-
-    // Pattern check
-    if (rules.pattern && !rules.pattern.test(trimmedValue)) {
-      return { isValid: false, error: rules.message };
-    }
-  }
-
-  return { isValid: true, error: '' };
-}
-
-/**
- * Display validation error for a field
- * @param {Element} field - Form field element
- * @param {string} error - Error message to display
- */
-function showFieldError(field, error) {
-  if (!field) return;
-
-  const errorId = `${field.id}-error`;
-  const errorElement = safeQuerySelector(`#${errorId}`);
-
-  field.setAttribute('aria-invalid', 'true');
-  field.setAttribute('aria-describedby', errorId);
-  
-  if (errorElement) {
-    errorElement.textContent = error;
-    errorElement.style.display = 'block';
-  }
-
-  // Announce error to screen readers
-  announce(`Error: ${error}`, { politeness: 'assertive' });
-}
-
-/**
- * Clear validation error for a field
- * @param {Element} field - Form field element
- */
-function clearFieldError(field) {
-  if (!field) return;
-
-  const errorId = `${field.id}-error`;
-  const errorElement = safeQuerySelector(`#${errorId}`);
-
-  field.setAttribute('aria-invalid', 'false');
-  field.removeAttribute('aria-describedby');
-  
-  if (errorElement) {
-    errorElement.textContent = '';
-    errorElement.style.display = 'none';
-  }
-}
-
-// ============================================
-// Form Handling
-// ============================================
-
-/**
- * Handle form field validation on blur
- * @param {Event} event - Blur event
- */
-function handleFieldBlur(event) {
-  const field = event.target;
-  const fieldName = field.name;
-  const value = field.type === 'checkbox' ? field.checked : field.value;
-
-  const validation = validateField(fieldName, value);
-
-  if (!validation.isValid) {
-    showFieldError(field, validation.error);
-  } else {
-    clearFieldError(field);
-  }
-}
-
-/**
- * Handle form field input to clear errors
- * @param {Event} event - Input event
- */
-function handleFieldInput(event) {
-  const field = event.target;
-  
-  if (field.getAttribute('aria-invalid') === 'true') {
-    clearFieldError(field);
-  }
-}
-
-/**
- * Validate entire form
- * @param {HTMLFormElement} form - Form element to validate
- * @returns {boolean} True if form is valid
- */
-function validateForm(form) {
-  if (!form) return false;
-
-  let isValid = true;
-  const formData = new FormData(form);
-
-  // Validate each field
-  for (const [fieldName, value] of formData.entries()) {
-    const field = form.elements[fieldName];
-    const validation = validateField(fieldName, value);
-
-    if (!validation.isValid) {
-      showFieldError(field, validation.error);
-      isValid = false;
-    } else {
-      clearFieldError(field);
-    }
-  }
-
-  // Validate consent checkbox separately
-  const consentField = form.elements.consent;
-  if (consentField) {
-    const validation = validateField('consent', consentField.checked);
-    if (!validation.isValid) {
-      showFieldError(consentField, validation.error);
-      isValid = false;
-    }
-  }
-
-  return isValid;
-}
-
-/**
- * Show form status message
- * @param {string} message - Status message to display
- * @param {string} type - Message type (success, error, info)
- */
-function showFormStatus(message, type = 'info') {
-  const statusElement = domElements.formStatus;
-  
-  if (!statusElement) return;
-
-  statusElement.textContent = message;
-  statusElement.className = `alert alert-${type}`;
-  statusElement.style.display = 'block';
-  statusElement.setAttribute('role', type === 'error' ? 'alert' : 'status');
-
-  // Announce to screen readers
-  announce(message, { 
-    politeness: type === 'error' ? 'assertive' : 'polite' 
-  });
-
-  // Auto-hide success messages after 5 seconds
-  if (type === 'success') {
-    setTimeout(() => {
-      statusElement.style.display = 'none';
-    }, 5000);
-  }
-}
-
-/**
- * Handle form submission
- * @param {Event} event - Submit event
- */
-async function handleFormSubmit(event) {
-  event.preventDefault();
-
-  const form = event.target;
-
-  // Prevent double submission
-  if (appState.formSubmitting) {
-    return;
-  }
-
-  // Validate form
-  if (!validateForm(form)) {
-    showFormStatus('Please correct the errors in the form.', 'error');
-    return;
-  }
-
-  // Set submitting state
-  appState.formSubmitting = true;
-  const submitButton = domElements.submitButton;
-
-  if (submitButton) {
-    submitButton.setAttribute('aria-busy', 'true');
-    submitButton.disabled = true;
-    setAriaAttributes(submitButton, { 'aria-label': 'Submitting form, please wait' });
-  }
-
-  try {
-    const formData = new FormData(form);
-    const data = Object.fromEntries(formData.entries());
-
-    // Simulate API call (replace with actual endpoint)
-    const response = await fetch(form.action, {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-      },
-      body: JSON.stringify(data),
-    });
-
-    if (!response.ok) {
-      throw new Error(`HTTP error! status: ${response.status}`);
-    }
-
-    // Success handling
-    showFormStatus('Thank you for your message! We will contact you soon.', 'success');
-    form.reset();
-
-    // Clear any remaining error states
-    const fields = form.querySelectorAll('input, select, textarea');
-    fields.forEach((field) => clearFieldError(field));
-
-  } catch (error) {
-    console.error('[AgroLanding] Form submission error:', error);
-    showFormStatus(
-      'Sorry, there was an error submitting your message. Please try again later.',
-      'error'
-    );
-  } finally {
-    // Reset submitting state
-    appState.formSubmitting = false;
-
-    if (submitButton) {
-      submitButton.setAttribute('aria-busy', 'false');
-      submitButton.disabled = false;
-      setAriaAttributes(submitButton, { 'aria-label': 'Submit form' });
-    }
-  }
-}
-
 // ============================================
 // Smooth Scrolling
 // ============================================
@@ -546,7 +345,7 @@ function handleSmoothScroll(event) {
 
   // Announce navigation to screen readers
   const targetName = targetElement.getAttribute('aria-label') || targetId;
-  announce(`Navigated to ${targetName}`, { politeness: 'polite' });
+  announce(t('announcements.navigatedTo', { target: targetName }), { politeness: 'polite' });
 
   // Update URL without triggering navigation
   if (window.history && window.history.pushState) {
@@ -575,17 +374,13 @@ function initializeAccessibility() {
     });
 
     // Add ARIA labels to main sections
-    const sections = [
-      { id: 'home', label: 'Home section' },
-      { id: 'services', label: 'Services section' },
-      { id: 'about', label: 'About section' },
-      { id: 'contact', label: 'Contact section' },
-    ];
-
-    sections.forEach(({ id, label }) => {
+    const sections = ['home', 'services', 'about', 'contact'];
+
+    sections.forEach((id) => {
       const section = document.getElementById(id);
       if (section) {
-        setAriaAttributes(section, { 'aria-label': label });
+        setAriaAttributes(section, { 'aria-label': t(`sections.${id}`) });
+        section.setAttribute('data-i18n-attr', `aria-label:sections.${id}`);
       }
     });
 
@@ -593,9 +388,10 @@ function initializeAccessibility() {
     const form = domElements.contactForm;
     if (form) {
       setAriaAttributes(form, {
-        'aria-label': 'Contact form',
+        'aria-label': t('contact.form.label'),
         'role': 'form',
       });
+      form.setAttribute('data-i18n-attr', 'aria-label:contact.form.label');
 
       // Add required indicators to labels
       const requiredFields = form.querySelectorAll('[required]');
@@ -604,7 +400,8 @@ function initializeAccessibility() {
         if (label && !label.querySelector('.required')) {
           const requiredSpan = document.createElement('span');
           requiredSpan.className = 'required';
-          requiredSpan.setAttribute('aria-label', 'required');
+          requiredSpan.setAttribute('aria-label', t('common.required'));
+          requiredSpan.setAttribute('data-i18n-attr', 'aria-label:common.required');
           requiredSpan.textContent = ' *';
           label.appendChild(requiredSpan);
         }
@@ -613,7 +410,7 @@ function initializeAccessibility() {
 
     // Announce page load completion
     setTimeout(() => {
-      announce('Page loaded successfully. Use tab to navigate.', { 
+      announce(t('announcements.pageLoaded'), { 
         politeness: 'polite',
         delay: 500 
       });
@@ -704,45 +501,53 @@ function initializePerformanceMonitoring() {
 function initializeDOMReferences() {
   domElements = {
     contactForm: safeQuerySelector('#contact-form'),
-    formStatus: safeQuerySelector('#form-status'),
-    submitButton: safeQuerySelector('.btn-submit'),
     navLinks: safeQuerySelectorAll('nav a[href^="#"]'),
     skipLink: safeQuerySelector('.skip-link'),
   };
 }
 
 /**
- * Initialize form event listeners
+ * Initialize navigation event listeners
  */
-function initializeFormListeners() {
-  const form = domElements.contactForm;
-
-  if (!form) {
-    console.warn('[AgroLanding] Contact form not found');
-    return;
-  }
+function initializeNavigationListeners() {
+  // Smooth scrolling for anchor links
+  document.addEventListener('click', handleSmoothScroll);
 
-  // Form submission
-  form.addEventListener('submit', handleFormSubmit);
+  console.log('[AgroLanding] Navigation listeners initialized');
+}
 
-  // Field validation on blur
-  const fields = form.querySelectorAll('input, select, textarea');
-  fields.forEach((field) => {
-    field.addEventListener('blur', handleFieldBlur);
-    field.addEventListener('input', debounce(handleFieldInput, 300));
-  });
+/**
+ * Refresh the JSON-LD emitted at build time and keep it in the page language
+ */
+function initializeStructuredData() {
+  const update = () => renderStructuredData(getStructuredData());
 
-  console.log('[AgroLanding] Form listeners initialized');
+  update();
+  onLocaleChange(update);
 }
 
 /**
- * Initialize navigation event listeners
+ * Bind each flagged section to its feature flag
  */
-function initializeNavigationListeners() {
-  // Smooth scrolling for anchor links
-  document.addEventListener('click', handleSmoothScroll);
-
-  console.log('[AgroLanding] Navigation listeners initialized');
+function initializeFlaggedFeatures() {
+  FLAGGED_FEATURES.forEach(({ flag, selector, init, cleanup }) => {
+    bindFeature(flag, {
+      mount: () => {
+        const element = safeQuerySelector(selector);
+        if (element) {
+          element.hidden = false;
+        }
+        init();
+      },
+      unmount: () => {
+        cleanup();
+        const element = safeQuerySelector(selector);
+        if (element) {
+          element.hidden = true;
+        }
+      },
+    });
+  });
 }
 
 /**
@@ -757,14 +562,19 @@ function initializeApp() {
   try {
     console.log('[AgroLanding] Initializing application...');
 
+    // Apply the visitor's language first so every component renders in it
+    initI18n();
+
     // Initialize DOM references
     initializeDOMReferences();
 
     // Initialize navigation component
     initNavigation();
 
+    // Initialize language switcher
+    initLanguageSwitcher();
+
     // Initialize event listeners
-    initializeFormListeners();
     initializeNavigationListeners();
 
     // Initialize hero section
@@ -773,12 +583,30 @@ function initializeApp() {
     // Initialize services section
     initializeServicesSection();
 
-    // Initialize about section
-    initializeAboutSection();
+    // Initialize about section (hydrates the prerendered markup when it matches)
+    initializeAboutSection().catch((error) => {
+      console.error('[AgroLanding] About section initialization failed:', error);
+    });
 
     // Initialize contact form
     initContactForm();
 
+    // Initialize live open/closed status badge
+    initBusinessStatus();
+
+    // Initialize service area checker (prefills the contact form's location)
+    initServiceAreaCheck();
+
+    // Initialize optional sections behind feature flags (quote wizard, contact card,
+    // service area map and emergency triage); they mount and unmount as flags change
+    initializeFlaggedFeatures();
+
+    // Initialize service detail dialog (after the grid and contact form exist)
+    initServiceDialog();
+
+    // Initialize structured data in the page language
+    initializeStructuredData();
+
     // Initialize accessibility features
     initializeAccessibility();
 
@@ -813,4 +641,4 @@ if (document.readyState === 'loading') {
 // Module Exports (for testing and extensibility)
 // ============================================
 
-export { initializeApp, validateField, validateForm };
\ No newline at end of file
+export { initializeApp };
\ No newline at end of file
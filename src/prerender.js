@@ -0,0 +1,42 @@
+/**
+ * AgroLanding - Build-Time Prerendering
+ * Renders the data-driven sections into the page before it ships
+ *
+ * @module prerender
+ * @description Run by the Vite prerender plugin under a DOM shim. The same
+ * renderers the browser uses fill the services grid and the about section, so
+ * crawlers and visitors without JavaScript get markup that matches the data
+ * modules instead of the hand-written fallback in index.html. On load the
+ * client hydrates the about section and re-renders the services grid.
+ */
+
+import { prerenderServiceCards } from './components/services.js';
+import { prerenderAboutSection } from './components/about.js';
+
+/**
+ * Renders the data-driven sections into a document
+ * @param {Document} [doc=document] - Page to render into
+ * @returns {string[]} IDs of the sections that were prerendered
+ */
+export function prerenderPage(doc = document) {
+  const prerendered = [];
+  const servicesGrid = doc.querySelector('#services .services-grid');
+  const aboutContainer = doc.querySelector('#about .container');
+
+  if (servicesGrid && prerenderServiceCards(servicesGrid) > 0) {
+    // The notice about needing JavaScript no longer applies once the cards are in the page
+    const notice = servicesGrid.parentElement.querySelector('noscript');
+
+    if (notice) {
+      notice.remove();
+    }
+
+    prerendered.push('services');
+  }
+
+  if (aboutContainer && prerenderAboutSection(aboutContainer)) {
+    prerendered.push('about');
+  }
+
+  return prerendered;
+}
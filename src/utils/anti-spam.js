@@ -0,0 +1,384 @@
+/**
+ * Anti-Spam Utility Module
+ * Layered, self-hosted bot defense for the contact form
+ *
+ * @module utils/anti-spam
+ * @description Combines a honeypot field, a minimum time-to-submit check,
+ * per-browser rate limiting (counted separately for each form), a proof-of-work token solved in a Web Worker,
+ * and a link/keyword spam score over the message. Hard failures reject the
+ * submission; the score and token are attached to the payload so the server
+ * can apply its own filtering.
+ */
+
+import { isProofOfWorkSupported, solveChallenge } from './proof-of-work.js';
+import { t } from './i18n.js';
+
+// ============================================
+// Constants and Configuration
+// ============================================
+
+/**
+ * Anti-spam configuration
+ * @constant {Object}
+ */
+const ANTI_SPAM_CONFIG = Object.freeze({
+  HONEYPOT_FIELD: 'website',
+  MIN_FILL_TIME: 3000,
+  RATE_LIMIT_KEY_PREFIX: 'agroservices:submission-log',
+  RATE_LIMIT_MAX: 3,
+  RATE_LIMIT_WINDOW: 10 * 60 * 1000,
+  POW_DIFFICULTY: 13,
+  POW_VERSION: 'v1',
+  SPAM_SCORE_REJECT: 5,
+});
+
+/**
+ * Forms with their own rate limit
+ * @constant {Object}
+ */
+const SPAM_GUARD_FORMS = Object.freeze({
+  CONTACT: 'contact',
+  QUOTE: 'quote',
+  EMERGENCY: 'emergency',
+});
+
+/**
+ * Submissions allowed per rate limit window, by form
+ * Emergency callbacks get far more room: a visitor who already sent ordinary
+ * messages must still be able to ask for urgent help.
+ * @constant {Object}
+ */
+const RATE_LIMITS = Object.freeze({
+  [SPAM_GUARD_FORMS.CONTACT]: ANTI_SPAM_CONFIG.RATE_LIMIT_MAX,
+  [SPAM_GUARD_FORMS.QUOTE]: ANTI_SPAM_CONFIG.RATE_LIMIT_MAX,
+  [SPAM_GUARD_FORMS.EMERGENCY]: 20,
+});
+
+/**
+ * Rejection reasons reported by the spam guard
+ * @constant {Object}
+ */
+const SPAM_REJECTIONS = Object.freeze({
+  HONEYPOT: 'honeypot',
+  TOO_FAST: 'too-fast',
+  RATE_LIMITED: 'rate-limited',
+  SPAM_SCORE: 'spam-score',
+});
+
+/**
+ * Message catalog key of the generic message shown for every rejection, so bots
+ * learn nothing about the checks
+ * @constant {string}
+ */
+const SPAM_REJECTION_MESSAGE_KEY = 'submission.rejected';
+
+/**
+ * Phrases common in unsolicited marketing and scam messages
+ * @constant {string[]}
+ */
+const SPAM_KEYWORDS = Object.freeze([
+  'viagra',
+  'cialis',
+  'casino',
+  'crypto',
+  'bitcoin',
+  'forex',
+  'backlink',
+  'seo services',
+  'rank your website',
+  'guest post',
+  'web design services',
+  'earn money',
+  'work from home',
+  'click here',
+  'limited time offer',
+  'escort',
+]);
+
+// ============================================
+// Individual Checks
+// ============================================
+
+/**
+ * Score free text for spam signals (links, keywords, markup, shouting)
+ * @param {string} text - Message text
+ * @returns {{ score: number, reasons: string[] }} Spam score and contributing signals
+ */
+export function calculateSpamScore(text) {
+  const message = typeof text === 'string' ? text : '';
+  const lowerMessage = message.toLowerCase();
+  const reasons = [];
+  let score = 0;
+
+  // Farm inquiries rarely need links; each extra link is a stronger signal
+  const links = message.match(/\b(?:https?:\/\/|www\.)\S+/gi) || [];
+  if (links.length > 0) {
+    score += 1 + (links.length - 1) * 2;
+    reasons.push(`links:${links.length}`);
+  }
+
+  if (/\[url=|<a\s+href/i.test(message)) {
+    score += 3;
+    reasons.push('link-markup');
+  }
+
+  SPAM_KEYWORDS.forEach((keyword) => {
+    if (lowerMessage.includes(keyword)) {
+      score += 2;
+      reasons.push(`keyword:${keyword}`);
+    }
+  });
+
+  const letters = message.replace(/[^a-zA-Z]/g, '');
+  if (letters.length >= 20 && letters.replace(/[^A-Z]/g, '').length / letters.length > 0.6) {
+    score += 1;
+    reasons.push('uppercase');
+  }
+
+  if (/(.)\1{5,}/.test(message)) {
+    score += 1;
+    reasons.push('repeated-characters');
+  }
+
+  return { score, reasons };
+}
+
+/**
+ * Check whether the hidden honeypot field was filled in
+ * @param {Object} values - Form values
+ * @returns {boolean} True if the honeypot is empty
+ */
+export function isHoneypotEmpty(values) {
+  const value = values[ANTI_SPAM_CONFIG.HONEYPOT_FIELD];
+  return !value || (typeof value === 'string' && value.trim() === '');
+}
+
+/**
+ * Build the storage key of a form's submission log
+ * @param {string} form - Form from SPAM_GUARD_FORMS
+ * @returns {string} localStorage key
+ */
+function getRateLimitKey(form) {
+  return `${ANTI_SPAM_CONFIG.RATE_LIMIT_KEY_PREFIX}:${form}`;
+}
+
+/**
+ * Read recent submission timestamps of a form for this browser
+ * @param {number} now - Current time in milliseconds
+ * @param {string} form - Form from SPAM_GUARD_FORMS
+ * @returns {number[]} Timestamps within the rate limit window
+ */
+function readSubmissionLog(now, form) {
+  try {
+    const stored = JSON.parse(localStorage.getItem(getRateLimitKey(form)) || '[]');
+    return Array.isArray(stored)
+      ? stored.filter((timestamp) => now - timestamp < ANTI_SPAM_CONFIG.RATE_LIMIT_WINDOW)
+      : [];
+  } catch (error) {
+    console.warn('[AntiSpam] Could not read submission log:', error);
+    return [];
+  }
+}
+
+/**
+ * Check whether this browser is under a form's submission rate limit
+ * @param {number} [now=Date.now()] - Current time in milliseconds
+ * @param {string} [form=SPAM_GUARD_FORMS.CONTACT] - Form from SPAM_GUARD_FORMS
+ * @returns {boolean} True if another submission is allowed
+ */
+export function isWithinRateLimit(now = Date.now(), form = SPAM_GUARD_FORMS.CONTACT) {
+  return readSubmissionLog(now, form).length < RATE_LIMITS[form];
+}
+
+/**
+ * Record a submission of a form for rate limiting
+ * @param {number} [now=Date.now()] - Submission time in milliseconds
+ * @param {string} [form=SPAM_GUARD_FORMS.CONTACT] - Form from SPAM_GUARD_FORMS
+ */
+export function recordSubmission(now = Date.now(), form = SPAM_GUARD_FORMS.CONTACT) {
+  try {
+    const log = [...readSubmissionLog(now, form), now];
+    localStorage.setItem(getRateLimitKey(form), JSON.stringify(log));
+  } catch (error) {
+    console.warn('[AntiSpam] Could not record submission for rate limiting:', error);
+  }
+}
+
+// ============================================
+// Proof of Work
+// ============================================
+
+/**
+ * Create a challenge string bound to the time it was issued
+ * @returns {string} Challenge
+ */
+function createChallenge() {
+  const random = Array.from(crypto.getRandomValues(new Uint8Array(8)))
+    .map((byte) => byte.toString(16).padStart(2, '0'))
+    .join('');
+
+  return `${Date.now().toString(36)}.${random}`;
+}
+
+/**
+ * Solve a challenge in a Web Worker, falling back to the main thread
+ * @param {string} challenge - Challenge string
+ * @param {number} difficulty - Required leading zero bits
+ * @returns {Promise<number>} Nonce
+ */
+function solveInBackground(challenge, difficulty) {
+  if (typeof Worker === 'undefined') {
+    return solveChallenge(challenge, difficulty);
+  }
+
+  return new Promise((resolve, reject) => {
+    let worker;
+
+    try {
+      worker = new Worker(new URL('./proof-of-work.worker.js', import.meta.url), { type: 'module' });
+    } catch (error) {
+      console.warn('[AntiSpam] Web Worker unavailable, solving on the main thread:', error);
+      solveChallenge(challenge, difficulty).then(resolve, reject);
+      return;
+    }
+
+    worker.addEventListener('message', (event) => {
+      worker.terminate();
+
+      if (event.data.error) {
+        reject(new Error(event.data.error));
+      } else {
+        resolve(event.data.nonce);
+      }
+    });
+
+    worker.addEventListener('error', (event) => {
+      worker.terminate();
+      reject(event.error || new Error('Proof-of-work worker failed'));
+    });
+
+    worker.postMessage({ challenge, difficulty });
+  });
+}
+
+/**
+ * Format a solved challenge as a payload token
+ * @param {string} challenge - Challenge string
+ * @param {number} nonce - Solution nonce
+ * @returns {string} Token (`version:difficulty:challenge:nonce`)
+ */
+function formatToken(challenge, nonce) {
+  return [ANTI_SPAM_CONFIG.POW_VERSION, ANTI_SPAM_CONFIG.POW_DIFFICULTY, challenge, nonce].join(':');
+}
+
+// ============================================
+// Spam Guard
+// ============================================
+
+/**
+ * Create a spam guard for a single form
+ * @param {Object} [options] - Guard options
+ * @param {number} [options.startedAt=Date.now()] - When the form became available
+ * @param {string} [options.form=SPAM_GUARD_FORMS.CONTACT] - Form whose rate limit applies
+ * @returns {Object} Guard with prepare, evaluate and recordSubmission methods
+ */
+export function createSpamGuard(options = {}) {
+  const { form = SPAM_GUARD_FORMS.CONTACT } = options;
+
+  if (!(form in RATE_LIMITS)) {
+    throw new Error(`[AntiSpam] Unknown form: ${form}`);
+  }
+
+  const guardState = {
+    startedAt: options.startedAt || Date.now(),
+    tokenPromise: null,
+  };
+
+  /**
+   * Start solving the proof-of-work challenge (safe to call repeatedly)
+   * @returns {Promise<string|null>} Token, or null if unsupported or failed
+   */
+  const prepare = () => {
+    if (!guardState.tokenPromise) {
+      if (!isProofOfWorkSupported()) {
+        guardState.tokenPromise = Promise.resolve(null);
+      } else {
+        const challenge = createChallenge();
+        guardState.tokenPromise = solveInBackground(challenge, ANTI_SPAM_CONFIG.POW_DIFFICULTY)
+          .then((nonce) => formatToken(challenge, nonce))
+          .catch((error) => {
+            console.warn('[AntiSpam] Proof-of-work failed:', error);
+            return null;
+          });
+      }
+    }
+
+    return guardState.tokenPromise;
+  };
+
+  return {
+    prepare,
+
+    /**
+     * Run every check against a submission
+     * @param {Object} values - Form values
+     * @param {Object} [evaluateOptions] - Options
+     * @param {string} [evaluateOptions.textField='message'] - Field scored for spam content
+     * @returns {Promise<{ ok: boolean, reason: string|null, message: string|null, fields: Object }>} Evaluation
+     *   where `fields` holds `spamScore` and `proofOfWork` to attach to the payload
+     */
+    async evaluate(values, evaluateOptions = {}) {
+      const { textField = 'message' } = evaluateOptions;
+      const now = Date.now();
+      const { score, reasons } = calculateSpamScore(values[textField]);
+      const reject = (reason) => {
+        console.warn('[AntiSpam] Submission rejected:', { reason, score, reasons });
+        return { ok: false, reason, message: t(SPAM_REJECTION_MESSAGE_KEY), fields: { spamScore: score } };
+      };
+
+      if (!isHoneypotEmpty(values)) {
+        return reject(SPAM_REJECTIONS.HONEYPOT);
+      }
+
+      if (now - guardState.startedAt < ANTI_SPAM_CONFIG.MIN_FILL_TIME) {
+        return reject(SPAM_REJECTIONS.TOO_FAST);
+      }
+
+      if (!isWithinRateLimit(now, form)) {
+        return reject(SPAM_REJECTIONS.RATE_LIMITED);
+      }
+
+      if (score >= ANTI_SPAM_CONFIG.SPAM_SCORE_REJECT) {
+        return reject(SPAM_REJECTIONS.SPAM_SCORE);
+      }
+
+      const token = await prepare();
+
+      // Each token is single use; solve a fresh challenge for the next submission
+      guardState.tokenPromise = null;
+
+      return {
+        ok: true,
+        reason: null,
+        message: null,
+        fields: {
+          spamScore: score,
+          proofOfWork: token,
+        },
+      };
+    },
+
+    /**
+     * Record a delivered or queued submission for rate limiting
+     */
+    recordSubmission() {
+      recordSubmission(Date.now(), form);
+    },
+  };
+}
+
+// ============================================
+// Module Exports
+// ============================================
+
+export { ANTI_SPAM_CONFIG, SPAM_GUARD_FORMS, RATE_LIMITS, SPAM_REJECTIONS, SPAM_REJECTION_MESSAGE_KEY };
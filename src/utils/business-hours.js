@@ -0,0 +1,387 @@
+/**
+ * Business Hours Utility Module
+ * Evaluates opening hours in the business's own time zone
+ *
+ * @module utils/business-hours
+ * @description Builds an evaluator from structured hours data: a weekly schedule,
+ * annual seasonal overrides, recurring annual holidays and dated one-off closures.
+ * All evaluation uses the calendar date and clock in the configured IANA time zone,
+ * never the visitor's, so "open now" is correct from anywhere.
+ *
+ * Precedence for a given date: dated closure, then holiday, then season, then
+ * the regular weekly schedule. Status messages and times are formatted in the
+ * active locale (see utils/i18n).
+ */
+
+import { t, formatTime, formatWeekday } from './i18n.js';
+
+// ============================================
+// Constants and Configuration
+// ============================================
+
+/**
+ * Day names indexed by day of week (0 = Sunday)
+ * @constant {string[]}
+ */
+const DAY_NAMES = Object.freeze(['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday']);
+
+/**
+ * How many days ahead to search for the next opening time
+ * @constant {number}
+ */
+const MAX_LOOKAHEAD_DAYS = 21;
+
+/**
+ * Minutes before closing when the status switches to "closes in X min"
+ * @constant {number}
+ */
+const CLOSING_SOON_MINUTES = 60;
+
+/**
+ * Default number of days covered by getUpcomingClosures
+ * @constant {number}
+ */
+const UPCOMING_CLOSURE_DAYS = 365;
+
+// ============================================
+// Date and Time Helpers
+// ============================================
+
+/**
+ * Cache of Intl formatters keyed by time zone
+ */
+const zonedFormatters = new Map();
+
+/**
+ * Reads the calendar date and clock time of an instant in a time zone
+ * @param {Date} date - Instant
+ * @param {string} timeZone - IANA time zone
+ * @returns {{ dateKey: string, dayOfWeek: number, minutes: number }} Zoned date (YYYY-MM-DD),
+ *   day of week and minutes after midnight
+ */
+export function getZonedTime(date, timeZone) {
+  if (!zonedFormatters.has(timeZone)) {
+    zonedFormatters.set(timeZone, new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit',
+      hourCycle: 'h23',
+    }));
+  }
+
+  const parts = {};
+  zonedFormatters.get(timeZone).formatToParts(date).forEach(({ type, value }) => {
+    parts[type] = value;
+  });
+
+  const dateKey = `${parts.year}-${parts.month}-${parts.day}`;
+
+  return {
+    dateKey,
+    dayOfWeek: getDayOfWeek(dateKey),
+    minutes: Number(parts.hour) * 60 + Number(parts.minute),
+  };
+}
+
+/**
+ * Gets the day of week of a calendar date
+ * @param {string} dateKey - Date as YYYY-MM-DD
+ * @returns {number} Day of week (0 = Sunday)
+ */
+function getDayOfWeek(dateKey) {
+  const [year, month, day] = dateKey.split('-').map(Number);
+  return new Date(Date.UTC(year, month - 1, day)).getUTCDay();
+}
+
+/**
+ * Adds days to a calendar date
+ * @param {string} dateKey - Date as YYYY-MM-DD
+ * @param {number} days - Days to add
+ * @returns {string} New date as YYYY-MM-DD
+ */
+function addDays(dateKey, days) {
+  const [year, month, day] = dateKey.split('-').map(Number);
+  return new Date(Date.UTC(year, month - 1, day + days)).toISOString().slice(0, 10);
+}
+
+/**
+ * Converts an HH:MM time to minutes after midnight
+ * @param {string} time - Time in HH:MM
+ * @returns {number} Minutes after midnight
+ */
+function toMinutes(time) {
+  const [hours, minutes] = time.split(':').map(Number);
+  return hours * 60 + minutes;
+}
+
+/**
+ * Checks whether a date falls in an annual MM-DD range, including ranges that wrap the new year
+ * @param {string} dateKey - Date as YYYY-MM-DD
+ * @param {string} start - First day as MM-DD
+ * @param {string} end - Last day as MM-DD
+ * @returns {boolean} True if the date is in range
+ */
+function isInAnnualRange(dateKey, start, end) {
+  const monthDay = dateKey.slice(5);
+  return start <= end
+    ? monthDay >= start && monthDay <= end
+    : monthDay >= start || monthDay <= end;
+}
+
+/**
+ * Gets the number of days in a month
+ * @param {number} year - Full year
+ * @param {number} month - Month (1-12)
+ * @returns {number} Days in the month
+ */
+function getDaysInMonth(year, month) {
+  return new Date(Date.UTC(year, month, 0)).getUTCDate();
+}
+
+/**
+ * Checks whether a date is a recurring annual holiday
+ * Fixed holidays use `date` (MM-DD). Floating holidays use `month` (1-12),
+ * `weekday` (0 = Sunday) and `week` (1-5, or -1 for the last one in the month),
+ * e.g. Thanksgiving is `{ month: 11, weekday: 4, week: 4 }`.
+ * @param {Object} holiday - Holiday rule
+ * @param {string} dateKey - Date as YYYY-MM-DD
+ * @returns {boolean} True if the holiday falls on the date
+ */
+function isHolidayOn(holiday, dateKey) {
+  if (holiday.date) {
+    return dateKey.slice(5) === holiday.date;
+  }
+
+  const [year, month, day] = dateKey.split('-').map(Number);
+
+  if (month !== holiday.month || getDayOfWeek(dateKey) !== holiday.weekday) {
+    return false;
+  }
+
+  return holiday.week === -1
+    ? day + 7 > getDaysInMonth(year, month)
+    : Math.ceil(day / 7) === holiday.week;
+}
+
+/**
+ * Formats an HH:MM time compactly in the active locale ("18:00" -> "6 PM", "08:30" -> "8:30 AM";
+ * "18:00" in Spanish)
+ * @param {string} time - Time in HH:MM
+ * @returns {string} Localized time
+ */
+export function formatShortTime(time) {
+  return formatTime(time, { compact: true });
+}
+
+/**
+ * Resolves the display name of a season, holiday or closure
+ * @param {string|Function} name - Name, or a function returning it in the active locale
+ * @returns {string} Name
+ */
+function resolveName(name) {
+  return typeof name === 'function' ? name() : name;
+}
+
+// ============================================
+// Business Hours Evaluator
+// ============================================
+
+/**
+ * Creates an evaluator for structured business hours
+ * @param {Object} hours - Hours data
+ * @param {string} hours.timezone - IANA time zone of the business
+ * @param {Object<string, Object>} hours.schedule - Weekly schedule groups with `daysOfWeek`, `open` and `close`
+ * @param {Object[]} [hours.seasons] - Annual overrides `{ name, start, end, schedule }`; `schedule`
+ *   entries replace the regular group with the same key
+ * @param {Object[]} [hours.holidays] - Recurring annual closures, fixed `{ name, date }` with `date`
+ *   as MM-DD or floating `{ name, month, weekday, week }`
+ * @param {Object[]} [hours.closures] - One-off closures `{ name, start, end }` with dates as
+ *   YYYY-MM-DD; `end` is inclusive and defaults to `start` for single-day closures
+ *   Season, holiday and closure names may be functions returning the name in the active locale.
+ * @returns {Object} Evaluator with getHoursForDate, getWeeklySchedule, getStatus, isOpen and
+ *   getUpcomingClosures methods
+ */
+export function createBusinessHours(hours) {
+  const groups = Object.entries(hours.schedule);
+  const seasons = hours.seasons || [];
+  const holidays = hours.holidays || [];
+  const closures = hours.closures || [];
+
+  /**
+   * Resolves the opening hours for one calendar date
+   * @param {string} dateKey - Date as YYYY-MM-DD in the business time zone
+   * @returns {{ open: string|null, close: string|null, reason: string, label: string|null }} Hours,
+   *   where `reason` is 'regular', 'season', 'holiday' or 'closure' and `label` names the exception
+   */
+  const getHoursForDate = (dateKey) => {
+    const closure = closures.find(({ start, end = start }) => dateKey >= start && dateKey <= end);
+
+    if (closure) {
+      return { open: null, close: null, reason: 'closure', label: resolveName(closure.name) };
+    }
+
+    const holiday = holidays.find((entry) => isHolidayOn(entry, dateKey));
+
+    if (holiday) {
+      return { open: null, close: null, reason: 'holiday', label: resolveName(holiday.name) };
+    }
+
+    const dayOfWeek = getDayOfWeek(dateKey);
+    const [groupKey, group] = groups.find(([, entry]) => entry.daysOfWeek.includes(dayOfWeek)) || [null, {}];
+    const season = seasons.find(({ start, end }) => isInAnnualRange(dateKey, start, end));
+    const override = season && groupKey ? season.schedule[groupKey] : null;
+
+    if (override) {
+      return { open: override.open || null, close: override.close || null, reason: 'season', label: resolveName(season.name) };
+    }
+
+    return { open: group.open || null, close: group.close || null, reason: 'regular', label: null };
+  };
+
+  /**
+   * Gets the weekly schedule in effect on a date, with any seasonal override applied
+   * @param {Date} [date=new Date()] - Instant (its date in the business time zone is used)
+   * @returns {Array<{ key: string, days: string, open: string|null, close: string|null, season: string|null }>}
+   *   One entry per schedule group
+   */
+  const getWeeklySchedule = (date = new Date()) => {
+    const { dateKey } = getZonedTime(date, hours.timezone);
+    const season = seasons.find(({ start, end }) => isInAnnualRange(dateKey, start, end));
+
+    return groups.map(([key, group]) => {
+      const override = season ? season.schedule[key] : null;
+      const entry = override || group;
+
+      return {
+        key,
+        days: group.days,
+        open: entry.open || null,
+        close: entry.close || null,
+        season: override ? resolveName(season.name) : null,
+      };
+    });
+  };
+
+  /**
+   * Finds the next opening after a given point in business time
+   * @param {string} dateKey - Current date
+   * @param {number} minutes - Current minutes after midnight
+   * @returns {{ dateKey: string, dayOfWeek: number, time: string, daysAhead: number }|null} Next opening
+   */
+  const findNextOpening = (dateKey, minutes) => {
+    for (let daysAhead = 0; daysAhead <= MAX_LOOKAHEAD_DAYS; daysAhead++) {
+      const candidate = addDays(dateKey, daysAhead);
+      const dayHours = getHoursForDate(candidate);
+
+      if (dayHours.open && (daysAhead > 0 || toMinutes(dayHours.open) > minutes)) {
+        return { dateKey: candidate, dayOfWeek: getDayOfWeek(candidate), time: dayHours.open, daysAhead };
+      }
+    }
+
+    return null;
+  };
+
+  /**
+   * Describes whether the business is open at an instant
+   * @param {Date} [now=new Date()] - Instant to evaluate
+   * @returns {Object} Status with `isOpen`, `closesAt`, `minutesUntilClose`, `nextOpening`,
+   *   today's `closure` (holiday or closure name) or `season` (season name), and a display `message`
+   */
+  const getStatus = (now = new Date()) => {
+    const { dateKey, minutes } = getZonedTime(now, hours.timezone);
+    const today = getHoursForDate(dateKey);
+    const isOpen = Boolean(today.open && today.close)
+      && minutes >= toMinutes(today.open)
+      && minutes < toMinutes(today.close);
+
+    const status = {
+      isOpen,
+      closesAt: isOpen ? today.close : null,
+      minutesUntilClose: isOpen ? toMinutes(today.close) - minutes : null,
+      nextOpening: isOpen ? null : findNextOpening(dateKey, minutes),
+      closure: today.reason === 'holiday' || today.reason === 'closure' ? today.label : null,
+      season: today.reason === 'season' ? today.label : null,
+    };
+
+    return { ...status, message: formatStatusMessage(status) };
+  };
+
+  /**
+   * Lists holidays and closures from a date onwards, merging consecutive days with the same name
+   * Regular closed days (e.g. Sundays) are not included
+   * @param {Date} [from=new Date()] - Instant to start from (its date in the business time zone)
+   * @param {number} [days=UPCOMING_CLOSURE_DAYS] - Number of days to cover
+   * @returns {Array<{ name: string, reason: string, start: string, end: string }>} Closures with
+   *   inclusive YYYY-MM-DD dates
+   */
+  const getUpcomingClosures = (from = new Date(), days = UPCOMING_CLOSURE_DAYS) => {
+    const { dateKey } = getZonedTime(from, hours.timezone);
+    const upcoming = [];
+
+    for (let offset = 0; offset < days; offset++) {
+      const day = addDays(dateKey, offset);
+      const dayHours = getHoursForDate(day);
+
+      if (dayHours.reason !== 'holiday' && dayHours.reason !== 'closure') {
+        continue;
+      }
+
+      const previous = upcoming[upcoming.length - 1];
+
+      if (previous && previous.name === dayHours.label && previous.end === addDays(day, -1)) {
+        previous.end = day;
+      } else {
+        upcoming.push({ name: dayHours.label, reason: dayHours.reason, start: day, end: day });
+      }
+    }
+
+    return upcoming;
+  };
+
+  return {
+    getHoursForDate,
+    getStatus,
+    getUpcomingClosures,
+    getWeeklySchedule,
+
+    /**
+     * Checks whether the business is open at an instant
+     * @param {Date} [now=new Date()] - Instant to evaluate
+     * @returns {boolean} True if open
+     */
+    isOpen(now = new Date()) {
+      return getStatus(now).isOpen;
+    },
+  };
+}
+
+/**
+ * Builds the status line shown to visitors
+ * @param {Object} status - Status from getStatus (without `message`)
+ * @returns {string} Message such as "Open now – closes at 6 PM" or "Opens Monday 8 AM"
+ */
+function formatStatusMessage(status) {
+  if (status.isOpen) {
+    return status.minutesUntilClose <= CLOSING_SOON_MINUTES
+      ? t('hours.openClosesIn', { minutes: status.minutesUntilClose })
+      : t('hours.openClosesAt', { time: formatShortTime(status.closesAt) });
+  }
+
+  const { closure } = status;
+
+  if (!status.nextOpening) {
+    return closure ? t('hours.closedForCall', { closure }) : t('hours.closedCall');
+  }
+
+  const { daysAhead, dayOfWeek, time } = status.nextOpening;
+  const when = ['today', 'tomorrow'][daysAhead] || 'day';
+  const day = when === 'day' ? formatWeekday(dayOfWeek) : t(`hours.${when}`);
+  const params = { when, day, time: formatShortTime(time), closure };
+
+  return closure ? t('hours.closedForOpens', params) : t('hours.opens', params);
+}
+
+export { DAY_NAMES };
@@ -0,0 +1,94 @@
+/**
+ * Content Line Utility Module
+ * Shared text rules of the iCalendar and vCard formats
+ *
+ * @module utils/content-line
+ * @description iCalendar (RFC 5545) and vCard (RFC 6350) files are both made of
+ * "content lines" with the same rules: CRLF line endings, backslash-escaped
+ * TEXT values and lines folded at 75 octets. utils/icalendar and utils/vcard
+ * build their documents with these helpers.
+ */
+
+// ============================================
+// Constants and Configuration
+// ============================================
+
+/**
+ * Content line settings
+ * @constant {Object}
+ */
+export const CONTENT_LINE_CONFIG = Object.freeze({
+  LINE_BREAK: '\r\n',
+  MAX_LINE_OCTETS: 75,
+});
+
+// ============================================
+// Helpers
+// ============================================
+
+/**
+ * Escapes a TEXT property value
+ * @param {string} value - Raw text
+ * @returns {string} Escaped text
+ */
+export function escapeText(value) {
+  return String(value)
+    .replace(/\\/g, '\\\\')
+    .replace(/;/g, '\\;')
+    .replace(/,/g, '\\,')
+    .replace(/\r?\n/g, '\\n');
+}
+
+/**
+ * Gets the UTF-8 length of one character
+ * @param {string} char - Single code point
+ * @returns {number} Octets
+ */
+function getUtf8Length(char) {
+  const codePoint = char.codePointAt(0);
+
+  if (codePoint < 0x80) {
+    return 1;
+  }
+  if (codePoint < 0x800) {
+    return 2;
+  }
+  return codePoint < 0x10000 ? 3 : 4;
+}
+
+/**
+ * Folds a content line so no physical line exceeds 75 octets
+ * Continuation lines start with a single space, which counts toward their length
+ * @param {string} line - Unfolded content line
+ * @returns {string} Folded line
+ */
+export function foldLine(line) {
+  const segments = [];
+  let current = '';
+  let octets = 0;
+
+  for (const char of line) {
+    const length = getUtf8Length(char);
+
+    if (octets + length > CONTENT_LINE_CONFIG.MAX_LINE_OCTETS) {
+      segments.push(current);
+      current = ' ';
+      octets = 1;
+    }
+
+    current += char;
+    octets += length;
+  }
+
+  segments.push(current);
+  return segments.join(CONTENT_LINE_CONFIG.LINE_BREAK);
+}
+
+/**
+ * Joins content lines into a document, folding each line
+ * @param {Array<string>} lines - Unfolded content lines
+ * @returns {string} Document with CRLF line endings, including the final line
+ */
+export function joinContentLines(lines) {
+  return lines.map(foldLine).join(CONTENT_LINE_CONFIG.LINE_BREAK) + CONTENT_LINE_CONFIG.LINE_BREAK;
+}
@@ -0,0 +1,304 @@
+/**
+ * Email Check Utility Module
+ * Async deliverability checks layered on top of the email format validation
+ *
+ * @module utils/email-check
+ * @description Suggests corrections for common domain typos, rejects disposable
+ * inbox providers from a bundled list, and consults an optional pluggable MX
+ * lookup. Lookups honour an AbortSignal so callers can cancel stale checks.
+ */
+
+import {
+  COMMON_EMAIL_DOMAINS,
+  TLD_CORRECTIONS,
+  DISPOSABLE_EMAIL_DOMAINS,
+} from '../data/email-domains.js';
+import { t } from './i18n.js';
+
+// ============================================
+// Constants and Configuration
+// ============================================
+
+/**
+ * Email check configuration
+ * @constant {Object}
+ */
+const EMAIL_CHECK_CONFIG = Object.freeze({
+  MAX_DISTANCE_SHORT: 1,
+  MAX_DISTANCE_LONG: 2,
+  SHORT_DOMAIN_LENGTH: 7,
+  MX_LOOKUP_TIMEOUT: 3000,
+});
+
+/**
+ * Message catalog keys of the errors for failed deliverability checks
+ * @constant {Object}
+ */
+const EMAIL_CHECK_MESSAGE_KEYS = Object.freeze({
+  disposable: 'validation.email.disposable',
+  noMailServer: 'validation.email.noMailServer',
+});
+
+const disposableDomains = new Set(DISPOSABLE_EMAIL_DOMAINS);
+const commonDomains = new Set(COMMON_EMAIL_DOMAINS);
+
+/**
+ * MX lookup hook state
+ * @type {{ lookup: Function|null }}
+ */
+const mxState = {
+  lookup: null,
+};
+
+// ============================================
+// Domain Helpers
+// ============================================
+
+/**
+ * Split an email address into local part and lowercase domain
+ * @param {string} email - Email address
+ * @returns {{ local: string, domain: string }|null} Parts, or null if there is no domain
+ */
+function splitEmail(email) {
+  if (typeof email !== 'string') {
+    return null;
+  }
+
+  const atIndex = email.lastIndexOf('@');
+
+  if (atIndex < 1 || atIndex === email.length - 1) {
+    return null;
+  }
+
+  return {
+    local: email.slice(0, atIndex).trim(),
+    domain: email.slice(atIndex + 1).trim().toLowerCase(),
+  };
+}
+
+/**
+ * Edit distance counting insertions, deletions, substitutions and adjacent swaps
+ * @param {string} a - First string
+ * @param {string} b - Second string
+ * @returns {number} Edit distance
+ */
+function getEditDistance(a, b) {
+  const rows = a.length + 1;
+  const cols = b.length + 1;
+  const distances = Array.from({ length: rows }, (_, i) => {
+    const row = new Array(cols).fill(0);
+    row[0] = i;
+    return row;
+  });
+
+  for (let j = 0; j < cols; j++) {
+    distances[0][j] = j;
+  }
+
+  for (let i = 1; i < rows; i++) {
+    for (let j = 1; j < cols; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+
+      distances[i][j] = Math.min(
+        distances[i - 1][j] + 1,
+        distances[i][j - 1] + 1,
+        distances[i - 1][j - 1] + cost
+      );
+
+      // Transposition of two adjacent characters (gmial -> gmail)
+      if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        distances[i][j] = Math.min(distances[i][j], distances[i - 2][j - 2] + 1);
+      }
+    }
+  }
+
+  return distances[rows - 1][cols - 1];
+}
+
+/**
+ * Find the closest known mailbox domain for a possibly misspelled domain
+ * @param {string} domain - Lowercase domain
+ * @returns {string|null} Suggested domain or null
+ */
+function findClosestDomain(domain) {
+  const maxDistance = domain.length <= EMAIL_CHECK_CONFIG.SHORT_DOMAIN_LENGTH
+    ? EMAIL_CHECK_CONFIG.MAX_DISTANCE_SHORT
+    : EMAIL_CHECK_CONFIG.MAX_DISTANCE_LONG;
+
+  let closest = null;
+  let closestDistance = Infinity;
+
+  COMMON_EMAIL_DOMAINS.forEach((candidate) => {
+    const distance = getEditDistance(domain, candidate);
+    if (distance < closestDistance) {
+      closest = candidate;
+      closestDistance = distance;
+    }
+  });
+
+  return closestDistance > 0 && closestDistance <= maxDistance ? closest : null;
+}
+
+/**
+ * Correct a misspelled top-level domain (example.con -> example.com)
+ * @param {string} domain - Lowercase domain
+ * @returns {string|null} Corrected domain or null
+ */
+function correctTopLevelDomain(domain) {
+  const dotIndex = domain.lastIndexOf('.');
+
+  if (dotIndex < 1) {
+    return null;
+  }
+
+  const tld = domain.slice(dotIndex + 1);
+  const correction = TLD_CORRECTIONS[tld];
+
+  return correction ? `${domain.slice(0, dotIndex)}.${correction}` : null;
+}
+
+// ============================================
+// Public Checks
+// ============================================
+
+/**
+ * Suggest a corrected email address for common domain typos
+ * @param {string} email - Email address
+ * @returns {string|null} Suggested full email address, or null if none
+ * @example
+ * suggestEmailCorrection('ann@gmial.com'); // 'ann@gmail.com'
+ */
+export function suggestEmailCorrection(email) {
+  const parts = splitEmail(email);
+
+  if (!parts || commonDomains.has(parts.domain)) {
+    return null;
+  }
+
+  // Fix the TLD first so "gmial.con" can still be matched against "gmail.com"
+  const correctedDomain = correctTopLevelDomain(parts.domain);
+  const candidate = correctedDomain || parts.domain;
+  const suggestedDomain = commonDomains.has(candidate)
+    ? candidate
+    : findClosestDomain(candidate) || correctedDomain;
+
+  return suggestedDomain && suggestedDomain !== parts.domain
+    ? `${parts.local}@${suggestedDomain}`
+    : null;
+}
+
+/**
+ * Check whether an email address uses a known disposable inbox provider
+ * Subdomains of listed providers are matched as well
+ * @param {string} email - Email address
+ * @returns {boolean} True if the domain is disposable
+ */
+export function isDisposableEmail(email) {
+  const parts = splitEmail(email);
+
+  if (!parts) {
+    return false;
+  }
+
+  const labels = parts.domain.split('.');
+  return labels.some((_, index) => disposableDomains.has(labels.slice(index).join('.')));
+}
+
+/**
+ * Register the MX lookup used to confirm a domain accepts mail
+ * The lookup receives `(domain, { signal })` and resolves to `true` (has MX
+ * records), `false` (no mail server) or `null` (unknown, e.g. resolver offline).
+ * Pass null to disable MX checks.
+ * @param {Function|null} lookup - MX lookup function
+ */
+export function setMxLookup(lookup) {
+  if (lookup !== null && typeof lookup !== 'function') {
+    console.error('[EmailCheck] Invalid MX lookup provided to setMxLookup');
+    return;
+  }
+
+  mxState.lookup = lookup;
+}
+
+/**
+ * Run an MX lookup with a timeout, treating failures as unknown
+ * @param {Function} lookup - MX lookup function
+ * @param {string} domain - Domain to look up
+ * @param {AbortSignal} [signal] - Signal used to cancel the lookup
+ * @returns {Promise<boolean|null>} Lookup result
+ */
+async function runMxLookup(lookup, domain, signal) {
+  let timeoutId;
+  const timeout = new Promise((resolve) => {
+    timeoutId = setTimeout(() => resolve(null), EMAIL_CHECK_CONFIG.MX_LOOKUP_TIMEOUT);
+  });
+
+  try {
+    return await Promise.race([lookup(domain, { signal }), timeout]);
+  } catch (error) {
+    if (!signal || !signal.aborted) {
+      console.warn('[EmailCheck] MX lookup failed:', { domain, error });
+    }
+    return null;
+  } finally {
+    clearTimeout(timeoutId);
+  }
+}
+
+/**
+ * Check whether an email address can receive mail
+ * Format is assumed to be valid already (see the contact form schema)
+ * @param {string} email - Email address
+ * @param {Object} [options] - Check options
+ * @param {AbortSignal} [options.signal] - Signal used to cancel the check
+ * @param {Function|null} [options.mxLookup] - MX lookup overriding the registered hook
+ * @returns {Promise<{ isValid: boolean, error: string|null, suggestion: string|null, aborted: boolean }>} Check result
+ */
+export async function checkEmailDeliverability(email, options = {}) {
+  const { signal } = options;
+  const lookup = options.mxLookup !== undefined ? options.mxLookup : mxState.lookup;
+  const suggestion = suggestEmailCorrection(email);
+  const parts = splitEmail(email);
+
+  if (!parts) {
+    return { isValid: true, error: null, suggestion, aborted: false };
+  }
+
+  if (isDisposableEmail(email)) {
+    return { isValid: false, error: t(EMAIL_CHECK_MESSAGE_KEYS.disposable), suggestion, aborted: false };
+  }
+
+  if (!lookup) {
+    return { isValid: true, error: null, suggestion, aborted: false };
+  }
+
+  const hasMailServer = await runMxLookup(lookup, parts.domain, signal);
+
+  if (signal && signal.aborted) {
+    return { isValid: true, error: null, suggestion: null, aborted: true };
+  }
+
+  // Only a definite "no mail server" fails; unknown results never block the visitor
+  return hasMailServer === false
+    ? { isValid: false, error: t(EMAIL_CHECK_MESSAGE_KEYS.noMailServer), suggestion, aborted: false }
+    : { isValid: true, error: null, suggestion, aborted: false };
+}
+
+/**
+ * Schema async validator for email fields (see createValidator in utils/validation)
+ * @param {string} value - Sanitized email address
+ * @param {Object} _values - All form values (unused)
+ * @param {Object} context - Validator context
+ * @param {AbortSignal} [context.signal] - Signal used to cancel the check
+ * @returns {Promise<string|null>} Error message or null
+ */
+export async function validateEmailDeliverability(value, _values, { signal } = {}) {
+  const result = await checkEmailDeliverability(value, { signal });
+  return result.error;
+}
+
+// ============================================
+// Module Exports
+// ============================================
+
+export { EMAIL_CHECK_CONFIG, EMAIL_CHECK_MESSAGE_KEYS };
@@ -0,0 +1,413 @@
+/**
+ * Feature Flags Utility Module
+ * Runtime feature flags with QA overrides and percentage rollouts
+ *
+ * @module utils/feature-flags
+ * @description Resolves each flag from data/feature-flags in this order:
+ * the `ff` query parameter (`?ff=testimonials,-animated_stats`), the same list
+ * saved in localStorage, then the flag's default and rollout percentage.
+ * Rollouts bucket visitors by a random anonymous ID kept in localStorage, so a
+ * visitor keeps the same answer across visits. Components read flags through
+ * isFeatureEnabled, and bindFeature mounts or unmounts a section whenever its
+ * flag changes (setOverride, or the stored list changing in another tab).
+ */
+
+import { FEATURE_FLAGS } from '../data/feature-flags.js';
+
+// ============================================
+// Constants and Configuration
+// ============================================
+
+/**
+ * Feature flag configuration
+ * @constant {Object}
+ */
+const FEATURE_FLAG_CONFIG = Object.freeze({
+  QUERY_PARAM: 'ff',
+  STORAGE_KEY: 'agroservices:feature-flags',
+  VISITOR_ID_KEY: 'agroservices:visitor-id',
+  ROLLOUT_BUCKETS: 100,
+});
+
+/**
+ * Where a flag's current value came from
+ * @constant {Object}
+ */
+const FLAG_SOURCES = Object.freeze({
+  QUERY: 'query',
+  STORAGE: 'storage',
+  ROLLOUT: 'rollout',
+  DEFAULT: 'default',
+});
+
+/**
+ * Valid flag name
+ */
+const FLAG_NAME_PATTERN = /^[a-z0-9_]+$/;
+
+// ============================================
+// Helpers
+// ============================================
+
+/**
+ * Parses a flag list such as "testimonials,-animated_stats"
+ * A leading "-" turns a flag off; names are case-insensitive
+ * @param {string} value - Comma-separated flag list
+ * @returns {Object<string, boolean>} Overrides keyed by flag name
+ */
+export function parseFlagList(value) {
+  const overrides = {};
+
+  String(value || '').split(',').forEach((entry) => {
+    const token = entry.trim().toLowerCase();
+    const enabled = !token.startsWith('-');
+    const name = enabled ? token : token.slice(1);
+
+    if (FLAG_NAME_PATTERN.test(name)) {
+      overrides[name] = enabled;
+    }
+  });
+
+  return overrides;
+}
+
+/**
+ * Formats overrides as a flag list
+ * @param {Object<string, boolean>} overrides - Overrides keyed by flag name
+ * @returns {string} Comma-separated flag list
+ */
+export function formatFlagList(overrides) {
+  return Object.entries(overrides)
+    .map(([name, enabled]) => (enabled ? name : `-${name}`))
+    .join(',');
+}
+
+/**
+ * Assigns a visitor to one of 100 rollout buckets for a flag
+ * Hashing the flag name with the visitor ID keeps rollouts of different flags independent
+ * @param {string} flagName - Flag name
+ * @param {string} visitorId - Anonymous visitor ID
+ * @returns {number} Bucket from 0 to 99
+ */
+export function getRolloutBucket(flagName, visitorId) {
+  // 32-bit FNV-1a
+  let hash = 0x811c9dc5;
+  const input = `${flagName}:${visitorId}`;
+
+  for (let i = 0; i < input.length; i++) {
+    hash ^= input.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+
+  return (hash >>> 0) % FEATURE_FLAG_CONFIG.ROLLOUT_BUCKETS;
+}
+
+/**
+ * Gets localStorage when the browser allows it
+ * @returns {Storage|null} Storage or null
+ */
+function getDefaultStorage() {
+  try {
+    return typeof localStorage !== 'undefined' ? localStorage : null;
+  } catch {
+    // Accessing localStorage throws when storage is blocked
+    return null;
+  }
+}
+
+/**
+ * Reads a storage item, treating blocked storage as empty
+ * @param {Storage|null} storage - Storage
+ * @param {string} key - Item key
+ * @returns {string|null} Stored value
+ */
+function readItem(storage, key) {
+  try {
+    return storage ? storage.getItem(key) : null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Writes a storage item; a null value removes it
+ * @param {Storage|null} storage - Storage
+ * @param {string} key - Item key
+ * @param {string|null} value - Value to store
+ */
+function writeItem(storage, key, value) {
+  try {
+    if (!storage) {
+      return;
+    }
+
+    if (value === null) {
+      storage.removeItem(key);
+    } else {
+      storage.setItem(key, value);
+    }
+  } catch (error) {
+    console.warn('[FeatureFlags] Could not save to storage:', error);
+  }
+}
+
+/**
+ * Creates a random anonymous visitor ID
+ * @returns {string} Visitor ID
+ */
+function createVisitorId() {
+  if (typeof crypto !== 'undefined' && typeof crypto.randomUUID === 'function') {
+    return crypto.randomUUID();
+  }
+
+  return `v-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 10)}`;
+}
+
+// ============================================
+// Feature Flags Factory
+// ============================================
+
+/**
+ * Creates a feature flag resolver
+ * @param {Object} [options={}] - Resolver options
+ * @param {Object} [options.definitions=FEATURE_FLAGS] - Flag definitions keyed by name
+ * @param {string} [options.search] - Query string to read overrides from (defaults to the page URL)
+ * @param {Storage|null} [options.storage] - Storage for overrides and the visitor ID (defaults to localStorage)
+ * @param {string} [options.visitorId] - Visitor ID for rollouts (defaults to one kept in storage)
+ * @returns {Object} Feature flags API
+ */
+export function createFeatureFlags(options = {}) {
+  const {
+    definitions = FEATURE_FLAGS,
+    search = typeof window !== 'undefined' ? window.location.search : '',
+    storage = getDefaultStorage(),
+  } = options;
+
+  const queryOverrides = parseFlagList(new URLSearchParams(search).get(FEATURE_FLAG_CONFIG.QUERY_PARAM));
+  const listeners = new Set();
+  let storageOverrides = {};
+  let visitorId = options.visitorId || null;
+  let values = {};
+
+  /**
+   * Gets the visitor ID, creating and saving one the first time a rollout needs it
+   * @returns {string} Visitor ID
+   */
+  const getVisitorId = () => {
+    if (!visitorId) {
+      visitorId = readItem(storage, FEATURE_FLAG_CONFIG.VISITOR_ID_KEY);
+
+      if (!visitorId) {
+        visitorId = createVisitorId();
+        writeItem(storage, FEATURE_FLAG_CONFIG.VISITOR_ID_KEY, visitorId);
+      }
+    }
+
+    return visitorId;
+  };
+
+  /**
+   * Resolves one flag
+   * @param {string} name - Flag name
+   * @returns {{ enabled: boolean, source: string }} Value and where it came from
+   */
+  const resolve = (name) => {
+    if (name in queryOverrides) {
+      return { enabled: queryOverrides[name], source: FLAG_SOURCES.QUERY };
+    }
+
+    if (name in storageOverrides) {
+      return { enabled: storageOverrides[name], source: FLAG_SOURCES.STORAGE };
+    }
+
+    const { enabled, rollout } = definitions[name];
+
+    if (enabled && typeof rollout === 'number' && rollout < 100) {
+      return { enabled: getRolloutBucket(name, getVisitorId()) < rollout, source: FLAG_SOURCES.ROLLOUT };
+    }
+
+    return { enabled: Boolean(enabled), source: FLAG_SOURCES.DEFAULT };
+  };
+
+  /**
+   * Re-reads stored overrides, re-resolves every flag and notifies listeners of changes
+   */
+  const refresh = () => {
+    storageOverrides = parseFlagList(readItem(storage, FEATURE_FLAG_CONFIG.STORAGE_KEY));
+
+    const previous = values;
+    values = {};
+
+    Object.keys(definitions).forEach((name) => {
+      values[name] = resolve(name);
+    });
+
+    Object.keys(values).forEach((name) => {
+      if (previous[name] && previous[name].enabled !== values[name].enabled) {
+        listeners.forEach((listener) => {
+          try {
+            listener(name, values[name].enabled);
+          } catch (error) {
+            console.error('[FeatureFlags] Listener error:', error);
+          }
+        });
+      }
+    });
+  };
+
+  refresh();
+
+  const unknown = Object.keys({ ...queryOverrides, ...storageOverrides }).filter((name) => !(name in definitions));
+  if (unknown.length > 0) {
+    console.warn('[FeatureFlags] Ignoring overrides for unknown flags:', unknown);
+  }
+
+  return {
+    /**
+     * Check whether a flag is on
+     * @param {string} name - Flag name
+     * @returns {boolean} True if enabled; unknown flags are off
+     */
+    isEnabled(name) {
+      return Boolean(values[name] && values[name].enabled);
+    },
+
+    /**
+     * Get every flag with its value and source, for QA
+     * @returns {Object<string, { enabled: boolean, source: string }>} Flags keyed by name
+     */
+    getAll() {
+      return { ...values };
+    },
+
+    /**
+     * Save a QA override in storage, or remove it with null
+     * Query string overrides still take precedence
+     * @param {string} name - Flag name
+     * @param {boolean|null} enabled - Override value
+     */
+    setOverride(name, enabled) {
+      if (!(name in definitions)) {
+        console.warn('[FeatureFlags] Unknown flag:', name);
+        return;
+      }
+
+      const overrides = { ...storageOverrides };
+
+      if (enabled === null) {
+        delete overrides[name];
+      } else {
+        overrides[name] = Boolean(enabled);
+      }
+
+      writeItem(storage, FEATURE_FLAG_CONFIG.STORAGE_KEY, Object.keys(overrides).length > 0 ? formatFlagList(overrides) : null);
+      refresh();
+    },
+
+    /**
+     * Remove every stored override
+     */
+    clearOverrides() {
+      writeItem(storage, FEATURE_FLAG_CONFIG.STORAGE_KEY, null);
+      refresh();
+    },
+
+    refresh,
+
+    /**
+     * Subscribe to flag changes
+     * @param {Function} listener - Called with (name, enabled) for each flag that changes
+     * @returns {Function} Unsubscribe function
+     */
+    subscribe(listener) {
+      listeners.add(listener);
+      return () => listeners.delete(listener);
+    },
+  };
+}
+
+// ============================================
+// Shared Instance
+// ============================================
+
+/**
+ * Page-wide feature flags, created on first use
+ */
+let sharedFeatureFlags = null;
+
+/**
+ * Re-resolves flags when another tab changes the stored overrides
+ * @param {StorageEvent} event - Storage event
+ */
+function handleStorageChange(event) {
+  if (event.key === FEATURE_FLAG_CONFIG.STORAGE_KEY || event.key === null) {
+    sharedFeatureFlags.refresh();
+  }
+}
+
+/**
+ * Get the page-wide feature flags
+ * @returns {Object} Feature flags API
+ */
+export function getFeatureFlags() {
+  if (!sharedFeatureFlags) {
+    sharedFeatureFlags = createFeatureFlags();
+
+    if (typeof window !== 'undefined') {
+      window.addEventListener('storage', handleStorageChange);
+    }
+  }
+
+  return sharedFeatureFlags;
+}
+
+/**
+ * Check whether a page-wide feature flag is on
+ * @param {string} name - Flag name
+ * @returns {boolean} True if enabled
+ */
+export function isFeatureEnabled(name) {
+  return getFeatureFlags().isEnabled(name);
+}
+
+/**
+ * Mounts a feature while its flag is on and unmounts it when the flag turns off
+ * @param {string} name - Flag name
+ * @param {Object} handlers - Feature handlers
+ * @param {Function} handlers.mount - Renders or initializes the feature
+ * @param {Function} [handlers.unmount] - Removes the feature
+ * @param {Object} [flags=getFeatureFlags()] - Feature flags to follow
+ * @returns {Function} Stops following the flag (does not unmount)
+ */
+export function bindFeature(name, handlers, flags = getFeatureFlags()) {
+  const { mount, unmount } = handlers;
+  let mounted = false;
+
+  const sync = (enabled) => {
+    if (enabled === mounted) {
+      return;
+    }
+
+    mounted = enabled;
+
+    try {
+      if (enabled) {
+        mount();
+      } else if (unmount) {
+        unmount();
+      }
+    } catch (error) {
+      console.error(`[FeatureFlags] Error ${enabled ? 'mounting' : 'unmounting'} ${name}:`, error);
+    }
+  };
+
+  sync(flags.isEnabled(name));
+
+  return flags.subscribe((changedName, enabled) => {
+    if (changedName === name) {
+      sync(enabled);
+    }
+  });
+}
+
+export { FEATURE_FLAG_CONFIG, FLAG_SOURCES };
@@ -0,0 +1,546 @@
+/**
+ * Form Submission Utility Module
+ * Production-ready submission pipeline with pluggable transports
+ *
+ * @module utils/form-submission
+ * @description Sends form payloads through a configurable transport (JSON POST,
+ * multipart/form-data, or a mailto: fallback), enforces a request timeout, maps
+ * server-side validation errors back onto form fields, and exposes a single
+ * success/error subscription hook
+ */
+
+import { getEmailLink } from '../data/contact.js';
+import { t } from './i18n.js';
+
+// ============================================
+// Constants and Configuration
+// ============================================
+
+/**
+ * Default submission configuration
+ * @constant {Object}
+ */
+const DEFAULT_CONFIG = Object.freeze({
+  endpoint: '/api/contact',
+  transport: 'json',
+  fallbackTransport: null,
+  timeout: 15000,
+  mailSubject: 'Website contact request',
+});
+
+/**
+ * Failure reasons reported in submission results
+ * @constant {Object}
+ */
+const SUBMISSION_ERRORS = Object.freeze({
+  OFFLINE: 'offline',
+  NETWORK: 'network',
+  TIMEOUT: 'timeout',
+  VALIDATION: 'validation',
+  CLIENT: 'client',
+  SERVER: 'server',
+});
+
+/**
+ * Message catalog keys of the user-facing message for each failure reason
+ * @constant {Object}
+ */
+const ERROR_MESSAGE_KEYS = Object.freeze({
+  [SUBMISSION_ERRORS.OFFLINE]: 'submission.offline',
+  [SUBMISSION_ERRORS.NETWORK]: 'submission.network',
+  [SUBMISSION_ERRORS.TIMEOUT]: 'submission.timeout',
+  [SUBMISSION_ERRORS.VALIDATION]: 'submission.validation',
+  [SUBMISSION_ERRORS.CLIENT]: 'submission.client',
+  [SUBMISSION_ERRORS.SERVER]: 'submission.server',
+});
+
+/**
+ * Priority tags for submissions; the server routes high-priority requests to the on-call team
+ * Requests that do not set one are sent as NORMAL.
+ * @constant {Object}
+ */
+const SUBMISSION_PRIORITY = Object.freeze({
+  NORMAL: 'normal',
+  HIGH: 'high',
+});
+
+/**
+ * Human-readable labels used when composing mailto: bodies
+ * Labelled fields are listed first, in this order; any other field follows
+ * under a label derived from its name, so no form loses data in the email.
+ * @constant {Object}
+ */
+const MAIL_FIELD_LABELS = Object.freeze({
+  requestType: 'Request type',
+  name: 'Name',
+  email: 'Email',
+  phone: 'Phone',
+  service: 'Service',
+  services: 'Services',
+  priority: 'Priority',
+  issueType: 'Emergency',
+  details: 'Details',
+  location: 'Location',
+  acreage: 'Farm size (acres)',
+  crops: 'Crops',
+  zip: 'ZIP code',
+  contactTime: 'Preferred contact time',
+  message: 'Message',
+  notes: 'Notes',
+});
+
+/**
+ * Fields meant for the server only, left out of mailto: bodies
+ * @constant {string[]}
+ */
+const MAIL_INTERNAL_FIELDS = Object.freeze(['submissionId', 'spamScore', 'proofOfWork']);
+
+// ============================================
+// Response Helpers
+// ============================================
+
+/**
+ * Parse a fetch response body as JSON when possible, falling back to text
+ * @param {Response} response - Fetch response
+ * @returns {Promise<Object|string|null>} Parsed body
+ */
+async function parseResponseBody(response) {
+  try {
+    const contentType = response.headers.get('content-type') || '';
+
+    if (contentType.includes('application/json')) {
+      return await response.json();
+    }
+
+    const text = await response.text();
+    return text || null;
+  } catch (error) {
+    console.warn('[Submission] Could not parse response body:', error);
+    return null;
+  }
+}
+
+/**
+ * Normalize server-side validation errors into a field-to-message map
+ * Accepts `{ errors: { field: msg } }`, `{ errors: [{ field, message }] }`
+ * and `{ fieldErrors: { field: msg } }` response shapes
+ * @param {Object|string|null} body - Parsed response body
+ * @returns {Object<string, string>} Field error messages keyed by field name
+ */
+export function extractFieldErrors(body) {
+  if (!body || typeof body !== 'object') {
+    return {};
+  }
+
+  const source = body.fieldErrors || body.errors;
+  const fieldErrors = {};
+
+  if (Array.isArray(source)) {
+    source.forEach((entry) => {
+      const field = entry && (entry.field || entry.path || entry.param);
+      const message = entry && (entry.message || entry.msg);
+      if (typeof field === 'string' && typeof message === 'string') {
+        fieldErrors[field] = message;
+      }
+    });
+  } else if (source && typeof source === 'object') {
+    Object.entries(source).forEach(([field, message]) => {
+      const text = Array.isArray(message) ? message[0] : message;
+      if (typeof text === 'string') {
+        fieldErrors[field] = text;
+      }
+    });
+  }
+
+  return fieldErrors;
+}
+
+/**
+ * Build a failed submission result
+ * @param {string} reason - Failure reason from SUBMISSION_ERRORS
+ * @param {Object} [details] - Additional result details
+ * @returns {Object} Submission result
+ */
+function createFailure(reason, details = {}) {
+  const { status = 0, body = null, fieldErrors = {}, transport = null } = details;
+  const serverMessage = body && typeof body === 'object' && typeof body.message === 'string'
+    ? body.message
+    : null;
+
+  return {
+    ok: false,
+    reason,
+    status,
+    transport,
+    message: serverMessage || t(ERROR_MESSAGE_KEYS[reason]),
+    fieldErrors,
+    data: body,
+  };
+}
+
+/**
+ * Convert an HTTP response into a submission result
+ * @param {Response} response - Fetch response
+ * @param {string} transport - Transport name
+ * @returns {Promise<Object>} Submission result
+ */
+async function toSubmissionResult(response, transport) {
+  const body = await parseResponseBody(response);
+
+  if (response.ok) {
+    return {
+      ok: true,
+      status: response.status,
+      transport,
+      data: body,
+    };
+  }
+
+  const fieldErrors = extractFieldErrors(body);
+  const hasFieldErrors = Object.keys(fieldErrors).length > 0;
+
+  if (response.status >= 500) {
+    return createFailure(SUBMISSION_ERRORS.SERVER, { status: response.status, body, fieldErrors, transport });
+  }
+
+  return createFailure(
+    hasFieldErrors ? SUBMISSION_ERRORS.VALIDATION : SUBMISSION_ERRORS.CLIENT,
+    { status: response.status, body, fieldErrors, transport }
+  );
+}
+
+// ============================================
+// Transports
+// ============================================
+
+/**
+ * Submission transport definition
+ * @typedef {Object} SubmissionTransport
+ * @property {string} name - Transport identifier
+ * @property {boolean} [requiresNetwork=true] - Whether the transport needs connectivity
+ * @property {Function} send - Async function `(payload, context) => Promise<Object>`
+ */
+
+/**
+ * JSON POST transport
+ * @type {SubmissionTransport}
+ */
+const jsonTransport = {
+  name: 'json',
+  requiresNetwork: true,
+  async send(payload, { endpoint, signal }) {
+    const response = await fetch(endpoint, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        Accept: 'application/json',
+      },
+      body: JSON.stringify(payload),
+      signal,
+    });
+
+    return toSubmissionResult(response, 'json');
+  },
+};
+
+/**
+ * multipart/form-data POST transport
+ * @type {SubmissionTransport}
+ */
+const multipartTransport = {
+  name: 'multipart',
+  requiresNetwork: true,
+  async send(payload, { endpoint, signal }) {
+    const body = new FormData();
+
+    Object.entries(payload).forEach(([key, value]) => {
+      if (value !== undefined && value !== null) {
+        body.append(key, typeof value === 'object' ? JSON.stringify(value) : String(value));
+      }
+    });
+
+    // Let the browser set the multipart boundary header
+    const response = await fetch(endpoint, {
+      method: 'POST',
+      headers: {
+        Accept: 'application/json',
+      },
+      body,
+      signal,
+    });
+
+    return toSubmissionResult(response, 'multipart');
+  },
+};
+
+/**
+ * Derive a mailto: label for a field without one, e.g. "contactTime" -> "Contact time"
+ * @param {string} key - Field name
+ * @returns {string} Label
+ */
+function formatMailLabel(key) {
+  const words = key.replace(/([a-z0-9])([A-Z])/g, '$1 $2').replace(/[_-]+/g, ' ').toLowerCase();
+  return words.charAt(0).toUpperCase() + words.slice(1);
+}
+
+/**
+ * Format a field value for a mailto: body
+ * @param {*} value - Field value
+ * @returns {string} Value text, empty when there is nothing to show
+ */
+function formatMailValue(value) {
+  if (value === null || value === undefined || value === false) {
+    return '';
+  }
+
+  if (Array.isArray(value)) {
+    return value.map(formatMailValue).filter(Boolean).join(', ');
+  }
+
+  if (value === true) {
+    return 'Yes';
+  }
+
+  return typeof value === 'object' ? JSON.stringify(value) : String(value).trim();
+}
+
+/**
+ * Build a mailto: link for a submission payload
+ * Every field except the server-only ones is listed, so a request sent by email
+ * carries the same details as one sent to the endpoint.
+ * @param {Object} payload - Submission payload
+ * @param {string} [subject] - Email subject
+ * @returns {string} mailto: link
+ */
+export function buildMailtoLink(payload, subject = DEFAULT_CONFIG.mailSubject) {
+  const keys = [
+    ...Object.keys(MAIL_FIELD_LABELS).filter((key) => key in payload),
+    ...Object.keys(payload).filter((key) => !(key in MAIL_FIELD_LABELS)),
+  ];
+
+  const lines = keys
+    .filter((key) => !MAIL_INTERNAL_FIELDS.includes(key))
+    // Only a raised priority is worth a line in the email
+    .filter((key) => !(key === 'priority' && payload[key] === SUBMISSION_PRIORITY.NORMAL))
+    .map((key) => [MAIL_FIELD_LABELS[key] || formatMailLabel(key), formatMailValue(payload[key])])
+    .filter(([, value]) => value)
+    .map(([label, value]) => `${label}: ${value}`);
+
+  return getEmailLink({ subject, body: lines.join('\n') });
+}
+
+/**
+ * mailto: fallback transport that hands the message to the visitor's email client
+ * @type {SubmissionTransport}
+ */
+const mailtoTransport = {
+  name: 'mailto',
+  requiresNetwork: false,
+  async send(payload, { mailSubject }) {
+    const link = buildMailtoLink(payload, mailSubject);
+    window.location.href = link;
+
+    return {
+      ok: true,
+      status: 0,
+      transport: 'mailto',
+      data: { mailto: link },
+    };
+  },
+};
+
+/**
+ * Registered transports by name
+ * @type {Map<string, SubmissionTransport>}
+ */
+const transports = new Map([
+  [jsonTransport.name, jsonTransport],
+  [multipartTransport.name, multipartTransport],
+  [mailtoTransport.name, mailtoTransport],
+]);
+
+/**
+ * Register a custom submission transport
+ * @param {SubmissionTransport} transport - Transport definition
+ */
+export function registerTransport(transport) {
+  if (!transport || typeof transport.name !== 'string' || typeof transport.send !== 'function') {
+    console.error('[Submission] Invalid transport provided to registerTransport');
+    return;
+  }
+
+  transports.set(transport.name, transport);
+}
+
+/**
+ * Get a registered transport by name
+ * @param {string} name - Transport name
+ * @returns {SubmissionTransport|null} Transport or null if not registered
+ */
+export function getTransport(name) {
+  return transports.get(name) || null;
+}
+
+// ============================================
+// Submission Service
+// ============================================
+
+/**
+ * Check whether the browser reports being offline
+ * @returns {boolean} True if offline
+ */
+function isOffline() {
+  return typeof navigator !== 'undefined' && navigator.onLine === false;
+}
+
+/**
+ * Send a payload through a single transport with timeout handling
+ * @param {SubmissionTransport} transport - Transport to use
+ * @param {Object} payload - Submission payload
+ * @param {Object} config - Service configuration
+ * @returns {Promise<Object>} Submission result
+ */
+async function sendWithTransport(transport, payload, config) {
+  if (transport.requiresNetwork !== false && isOffline()) {
+    return createFailure(SUBMISSION_ERRORS.OFFLINE, { transport: transport.name });
+  }
+
+  const controller = typeof AbortController !== 'undefined' ? new AbortController() : null;
+  let timedOut = false;
+  const timeoutId = setTimeout(() => {
+    timedOut = true;
+    if (controller) {
+      controller.abort();
+    }
+  }, config.timeout);
+
+  try {
+    return await transport.send(payload, {
+      endpoint: config.endpoint,
+      mailSubject: config.mailSubject,
+      signal: controller ? controller.signal : undefined,
+    });
+  } catch (error) {
+    if (timedOut) {
+      return createFailure(SUBMISSION_ERRORS.TIMEOUT, { transport: transport.name });
+    }
+
+    console.error('[Submission] Transport error:', { transport: transport.name, error });
+    return createFailure(
+      isOffline() ? SUBMISSION_ERRORS.OFFLINE : SUBMISSION_ERRORS.NETWORK,
+      { transport: transport.name }
+    );
+  } finally {
+    clearTimeout(timeoutId);
+  }
+}
+
+/**
+ * Create a submission service
+ * @param {Object} options - Service options
+ * @param {string} [options.endpoint='/api/contact'] - Endpoint for network transports
+ * @param {string} [options.transport='json'] - Primary transport name
+ * @param {string|null} [options.fallbackTransport=null] - Transport to try after a connectivity failure
+ * @param {number} [options.timeout=15000] - Request timeout in milliseconds
+ * @param {string} [options.mailSubject] - Subject used by the mailto transport
+ * @returns {Object} Submission service with submit, subscribe and configure methods
+ */
+export function createSubmissionService(options = {}) {
+  let config = { ...DEFAULT_CONFIG, ...options };
+  const listeners = new Set();
+
+  /**
+   * Notify subscribers of a submission outcome
+   * @param {Object} result - Submission result
+   * @param {Object} payload - Submitted payload
+   */
+  const emit = (result, payload) => {
+    const event = { type: result.ok ? 'success' : 'error', result, payload };
+
+    listeners.forEach((listener) => {
+      try {
+        listener(event);
+      } catch (error) {
+        console.error('[Submission] Listener error:', error);
+      }
+    });
+  };
+
+  return {
+    /**
+     * Submit a payload
+     * @param {Object} payload - Data to submit; `priority` defaults to SUBMISSION_PRIORITY.NORMAL
+     * @param {Object} [submitOptions] - Per-submission options
+     * @param {boolean} [submitOptions.useFallback=true] - Allow the fallback transport
+     * @param {string} [submitOptions.endpoint] - Endpoint for this submission only
+     * @returns {Promise<Object>} Submission result
+     */
+    async submit(payload, submitOptions = {}) {
+      const { useFallback = true, endpoint } = submitOptions;
+      const settings = endpoint ? { ...config, endpoint } : config;
+      const primary = getTransport(settings.transport);
+
+      if (!primary) {
+        throw new Error(`[Submission] Unknown transport: ${config.transport}`);
+      }
+
+      const request = { priority: SUBMISSION_PRIORITY.NORMAL, ...payload };
+      let result = await sendWithTransport(primary, request, settings);
+
+      const connectivityFailure = !result.ok && [
+        SUBMISSION_ERRORS.OFFLINE,
+        SUBMISSION_ERRORS.NETWORK,
+        SUBMISSION_ERRORS.TIMEOUT,
+      ].includes(result.reason);
+
+      const fallback = useFallback && settings.fallbackTransport
+        ? getTransport(settings.fallbackTransport)
+        : null;
+
+      if (connectivityFailure && fallback && fallback !== primary) {
+        console.warn(`[Submission] Falling back to ${fallback.name} transport`);
+        result = await sendWithTransport(fallback, request, settings);
+      }
+
+      emit(result, request);
+      return result;
+    },
+
+    /**
+     * Subscribe to success and error outcomes
+     * @param {Function} listener - Receives `{ type, result, payload }`
+     * @returns {Function} Unsubscribe function
+     */
+    subscribe(listener) {
+      if (typeof listener !== 'function') {
+        console.error('[Submission] Invalid listener provided to subscribe');
+        return () => {};
+      }
+
+      listeners.add(listener);
+      return () => listeners.delete(listener);
+    },
+
+    /**
+     * Update service configuration
+     * @param {Object} updates - Configuration overrides
+     */
+    configure(updates = {}) {
+      config = { ...config, ...updates };
+    },
+
+    /**
+     * Get the current configuration
+     * @returns {Object} Configuration snapshot
+     */
+    getConfig() {
+      return { ...config };
+    },
+  };
+}
+
+// ============================================
+// Module Exports
+// ============================================
+
+export { SUBMISSION_ERRORS, ERROR_MESSAGE_KEYS, SUBMISSION_PRIORITY };
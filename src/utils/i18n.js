@@ -0,0 +1,698 @@
+/**
+ * Internationalization Utility Module
+ * Message catalogs, ICU-style message formatting and locale selection
+ *
+ * @module utils/i18n
+ * @description Translates interface copy from the catalogs in data/locales.
+ * Messages support {name} interpolation, {count, plural, ...} and
+ * {value, select, ...} (ICU syntax, with Intl.PluralRules choosing the form),
+ * and {value, number} / {value, date} formatting with an optional style
+ * ({value, number, compact}, {value, number, percent}, {value, date, short}). The locale comes from the
+ * `lang` query parameter, then the visitor's saved choice, then
+ * navigator.languages, falling back to English. Changing it updates
+ * <html lang>, the canonical and hreflang links and every element marked with
+ * `data-i18n` (text) or `data-i18n-attr` ("attribute:key; attribute:key"), then
+ * notifies onLocaleChange listeners so rendered components can update.
+ * Without a DOM (tests, build scripts) only the formatting functions are used.
+ */
+
+import en from '../data/locales/en.js';
+import es from '../data/locales/es.js';
+import { SITE_CONFIG } from '../data/site-config.js';
+
+// ============================================
+// Constants and Configuration
+// ============================================
+
+/**
+ * i18n configuration
+ * @constant {Object}
+ */
+const I18N_CONFIG = Object.freeze({
+  DEFAULT_LOCALE: 'en',
+  STORAGE_KEY: 'agroservices:locale',
+  QUERY_PARAM: 'lang',
+  TEXT_ATTRIBUTE: 'data-i18n',
+  ATTR_ATTRIBUTE: 'data-i18n-attr',
+  PARAMS_ATTRIBUTE: 'data-i18n-params',
+});
+
+/**
+ * Intl options for the {value, number, style} and {value, date, style} styles
+ * @constant {Object}
+ */
+const ARGUMENT_STYLES = Object.freeze({
+  number: Object.freeze({
+    compact: Object.freeze({ notation: 'compact' }),
+    percent: Object.freeze({ style: 'percent' }),
+    integer: Object.freeze({ maximumFractionDigits: 0 }),
+  }),
+  date: Object.freeze({
+    short: Object.freeze({ dateStyle: 'short' }),
+    medium: Object.freeze({ dateStyle: 'medium' }),
+    long: Object.freeze({ dateStyle: 'long' }),
+    full: Object.freeze({ dateStyle: 'full' }),
+  }),
+});
+
+/**
+ * Message catalogs keyed by locale
+ * @constant {Object}
+ */
+const CATALOGS = Object.freeze({ en, es });
+
+/**
+ * Locales the site is translated into
+ * @constant {string[]}
+ */
+export const SUPPORTED_LOCALES = Object.freeze(Object.keys(CATALOGS));
+
+/**
+ * Values every message can use without passing them
+ * @constant {Object}
+ */
+const DEFAULT_PARAMS = Object.freeze({
+  brand: SITE_CONFIG.brand.name,
+  years: SITE_CONFIG.stats.yearsOfExperience.value,
+});
+
+// ============================================
+// State Management
+// ============================================
+
+/**
+ * i18n state
+ * @type {Object}
+ */
+const i18nState = {
+  locale: I18N_CONFIG.DEFAULT_LOCALE,
+  listeners: new Set(),
+  missingKeys: new Set(),
+  pageUrl: SITE_CONFIG.brand.siteUrl,
+};
+
+/**
+ * Parsed messages keyed by pattern
+ */
+const parsedMessages = new Map();
+
+/**
+ * Intl.PluralRules instances keyed by locale
+ */
+const pluralRules = new Map();
+
+// ============================================
+// Message Parsing
+// ============================================
+
+/**
+ * Parses an ICU-style message into parts
+ * Parts are strings, `{ type: 'argument', name, format, style }`, `{ type: 'plural' | 'select', name, options }`
+ * or `{ type: 'pound' }` (the # inside a plural option)
+ * @param {string} pattern - Message pattern
+ * @returns {Array} Message parts
+ * @throws {Error} If the braces in the pattern do not match
+ */
+export function parseMessage(pattern) {
+  let index = 0;
+
+  const fail = () => {
+    throw new Error(`Malformed message: "${pattern}"`);
+  };
+
+  const readUntil = (stopCharacters) => {
+    const start = index;
+    while (index < pattern.length && !stopCharacters.includes(pattern[index])) {
+      index++;
+    }
+    if (index >= pattern.length) {
+      fail();
+    }
+    return pattern.slice(start, index).trim();
+  };
+
+  const skipWhitespace = () => {
+    while (index < pattern.length && /\s/.test(pattern[index])) {
+      index++;
+    }
+  };
+
+  function parseArgument(inPlural) {
+    index++; // {
+    const name = readUntil([',', '}']);
+
+    if (pattern[index] === '}') {
+      index++;
+      return { type: 'argument', name, format: null, style: null };
+    }
+
+    index++; // ,
+    const type = readUntil([',', '}']);
+
+    if (pattern[index] === '}') {
+      index++;
+      return { type: 'argument', name, format: type, style: null };
+    }
+
+    if (ARGUMENT_STYLES[type]) {
+      index++; // ,
+      const style = readUntil(['}']);
+      index++;
+
+      if (!ARGUMENT_STYLES[type][style]) {
+        fail();
+      }
+
+      return { type: 'argument', name, format: type, style };
+    }
+
+    if (type !== 'plural' && type !== 'select') {
+      fail();
+    }
+
+    index++; // ,
+    const options = {};
+
+    for (;;) {
+      skipWhitespace();
+
+      if (pattern[index] === '}') {
+        index++;
+        break;
+      }
+
+      const selector = readUntil(['{', ' ', '\n', '\t']);
+      skipWhitespace();
+
+      if (!selector || pattern[index] !== '{') {
+        fail();
+      }
+
+      index++; // {
+      options[selector] = parseParts(type === 'plural' || inPlural);
+
+      if (pattern[index] !== '}') {
+        fail();
+      }
+
+      index++; // }
+    }
+
+    if (!options.other) {
+      fail();
+    }
+
+    return { type, name, options };
+  }
+
+  function parseParts(inPlural) {
+    const parts = [];
+    let text = '';
+
+    while (index < pattern.length && pattern[index] !== '}') {
+      const character = pattern[index];
+
+      if (character === '{' || (character === '#' && inPlural)) {
+        if (text) {
+          parts.push(text);
+          text = '';
+        }
+
+        if (character === '{') {
+          parts.push(parseArgument(inPlural));
+        } else {
+          parts.push({ type: 'pound' });
+          index++;
+        }
+      } else {
+        text += character;
+        index++;
+      }
+    }
+
+    if (text) {
+      parts.push(text);
+    }
+
+    return parts;
+  }
+
+  const parts = parseParts(false);
+
+  if (index < pattern.length) {
+    fail();
+  }
+
+  return parts;
+}
+
+/**
+ * Gets the plural rules for a locale
+ * @param {string} locale - Locale
+ * @returns {Intl.PluralRules} Plural rules
+ */
+function getPluralRules(locale) {
+  if (!pluralRules.has(locale)) {
+    pluralRules.set(locale, new Intl.PluralRules(locale));
+  }
+
+  return pluralRules.get(locale);
+}
+
+/**
+ * Formats parsed message parts
+ * @param {Array} parts - Message parts
+ * @param {Object} params - Message values
+ * @param {string} locale - Locale
+ * @param {number|null} pluralValue - Count of the enclosing plural, for #
+ * @returns {string} Formatted text
+ */
+function formatParts(parts, params, locale, pluralValue) {
+  return parts.map((part) => {
+    if (typeof part === 'string') {
+      return part;
+    }
+
+    if (part.type === 'pound') {
+      return formatNumber(pluralValue, {}, locale);
+    }
+
+    const value = params[part.name];
+
+    if (part.type === 'plural') {
+      const count = Number(value);
+      const option = part.options[`=${count}`]
+        || part.options[getPluralRules(locale).select(count)]
+        || part.options.other;
+      return formatParts(option, params, locale, count);
+    }
+
+    if (part.type === 'select') {
+      const option = part.options[String(value)] || part.options.other;
+      return formatParts(option, params, locale, pluralValue);
+    }
+
+    if (value === undefined || value === null) {
+      return `{${part.name}}`;
+    }
+
+    if (part.format === 'number') {
+      return formatNumber(value, part.style ? ARGUMENT_STYLES.number[part.style] : {}, locale);
+    }
+
+    if (part.format === 'date') {
+      return formatDate(value, part.style ? ARGUMENT_STYLES.date[part.style] : {}, locale);
+    }
+
+    return String(value);
+  }).join('');
+}
+
+/**
+ * Formats an ICU-style message
+ * @param {string} pattern - Message pattern
+ * @param {Object} [params={}] - Message values
+ * @param {string} [locale=getLocale()] - Locale for plurals and numbers
+ * @returns {string} Formatted text
+ */
+export function formatMessage(pattern, params = {}, locale = i18nState.locale) {
+  if (!parsedMessages.has(pattern)) {
+    parsedMessages.set(pattern, parseMessage(pattern));
+  }
+
+  return formatParts(parsedMessages.get(pattern), { ...DEFAULT_PARAMS, ...params }, locale, null);
+}
+
+// ============================================
+// Locale-Aware Formatting
+// ============================================
+
+/**
+ * Formats a number for the active locale
+ * @param {number} value - Number
+ * @param {Intl.NumberFormatOptions} [options={}] - Intl options
+ * @param {string} [locale=getLocale()] - Locale
+ * @returns {string} Formatted number
+ */
+export function formatNumber(value, options = {}, locale = i18nState.locale) {
+  return new Intl.NumberFormat(locale, options).format(value);
+}
+
+/**
+ * Formats a date for the active locale
+ * Calendar dates given as YYYY-MM-DD are formatted as that day, whatever the visitor's time zone
+ * @param {Date|string} date - Instant or YYYY-MM-DD date
+ * @param {Intl.DateTimeFormatOptions} [options={}] - Intl options (defaults to a long date)
+ * @param {string} [locale=getLocale()] - Locale
+ * @returns {string} Formatted date
+ */
+export function formatDate(date, options = {}, locale = i18nState.locale) {
+  const formatOptions = Object.keys(options).length > 0 ? { ...options } : { dateStyle: 'long' };
+  let instant = date;
+
+  if (typeof date === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(date)) {
+    const [year, month, day] = date.split('-').map(Number);
+    instant = new Date(Date.UTC(year, month - 1, day));
+    formatOptions.timeZone = 'UTC';
+  }
+
+  return new Intl.DateTimeFormat(locale, formatOptions).format(instant);
+}
+
+/**
+ * Formats a clock time for the active locale ("18:00" -> "6:00 PM" or "18:00")
+ * @param {string} time - Time in HH:MM
+ * @param {Object} [options={}] - Formatting options
+ * @param {boolean} [options.compact=false] - Drop ":00" on the hour in 12-hour locales ("6 PM")
+ * @param {string} [locale=getLocale()] - Locale
+ * @returns {string} Formatted time
+ */
+export function formatTime(time, options = {}, locale = i18nState.locale) {
+  const [hours, minutes] = time.split(':').map(Number);
+  const instant = new Date(Date.UTC(1970, 0, 1, hours, minutes));
+  const formatOptions = { hour: 'numeric', minute: '2-digit', timeZone: 'UTC' };
+
+  if (options.compact && minutes === 0) {
+    const { hourCycle } = new Intl.DateTimeFormat(locale, { hour: 'numeric' }).resolvedOptions();
+
+    if (hourCycle === 'h11' || hourCycle === 'h12') {
+      delete formatOptions.minute;
+    }
+  }
+
+  // Newer ICU versions put a narrow no-break space before AM/PM
+  return new Intl.DateTimeFormat(locale, formatOptions).format(instant).replace(/\u202f/g, ' ');
+}
+
+/**
+ * Gets the name of a day of the week in the active locale
+ * @param {number} dayOfWeek - Day of week (0 = Sunday)
+ * @param {string} [locale=getLocale()] - Locale
+ * @returns {string} Day name such as "Monday" or "lunes"
+ */
+export function formatWeekday(dayOfWeek, locale = i18nState.locale) {
+  // 2023-01-01 was a Sunday
+  return new Intl.DateTimeFormat(locale, { weekday: 'long', timeZone: 'UTC' })
+    .format(new Date(Date.UTC(2023, 0, 1 + dayOfWeek)));
+}
+
+// ============================================
+// Translation
+// ============================================
+
+/**
+ * Looks up a dotted key in a catalog
+ * @param {Object} catalog - Message catalog
+ * @param {string} key - Dotted key such as "nav.home"
+ * @returns {string|undefined} Message pattern
+ */
+function lookup(catalog, key) {
+  const value = key.split('.').reduce(
+    (node, segment) => (node !== null && typeof node === 'object' ? node[segment] : undefined),
+    catalog
+  );
+
+  return typeof value === 'string' ? value : undefined;
+}
+
+/**
+ * Translates a message key into the active locale
+ * Missing translations fall back to English; unknown keys return the key itself
+ * @param {string} key - Dotted message key
+ * @param {Object} [params={}] - Message values
+ * @param {string} [locale=getLocale()] - Locale to translate into
+ * @returns {string} Translated text
+ */
+export function t(key, params = {}, locale = i18nState.locale) {
+  const pattern = lookup(CATALOGS[locale] || {}, key) ?? lookup(CATALOGS[I18N_CONFIG.DEFAULT_LOCALE], key);
+
+  if (pattern === undefined) {
+    if (!i18nState.missingKeys.has(key)) {
+      i18nState.missingKeys.add(key);
+      console.warn('[i18n] Missing message:', key);
+    }
+    return key;
+  }
+
+  return formatMessage(pattern, params, locale);
+}
+
+/**
+ * Picks one locale's version of content stored per locale, such as `{ en: '...', es: '...' }`
+ * Missing versions fall back to English
+ * @param {Object<string, *>} values - Content by locale
+ * @param {string} [locale=getLocale()] - Locale to pick
+ * @returns {*} Content for the locale
+ */
+export function getLocalizedValue(values, locale = i18nState.locale) {
+  return values[locale] ?? values[I18N_CONFIG.DEFAULT_LOCALE];
+}
+
+// ============================================
+// Locale Selection
+// ============================================
+
+/**
+ * Picks the first supported locale from a list of language tags
+ * @param {Array<string|null|undefined>} candidates - Language tags in order of preference
+ * @returns {string|null} Supported locale, or null if none match
+ */
+export function resolveLocale(candidates) {
+  for (const candidate of candidates) {
+    if (!candidate) {
+      continue;
+    }
+
+    const tag = String(candidate).trim().toLowerCase();
+    const base = tag.split('-')[0];
+
+    if (SUPPORTED_LOCALES.includes(tag)) {
+      return tag;
+    }
+
+    if (SUPPORTED_LOCALES.includes(base)) {
+      return base;
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Reads the visitor's saved locale
+ * @returns {string|null} Saved locale
+ */
+function readSavedLocale() {
+  try {
+    return localStorage.getItem(I18N_CONFIG.STORAGE_KEY);
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Chooses the locale for this visit
+ * @param {Object} [sources={}] - Where to look
+ * @param {string} [sources.search] - Query string (defaults to the page URL)
+ * @param {string|null} [sources.saved] - Saved choice (defaults to localStorage)
+ * @param {string[]} [sources.languages] - Browser languages (defaults to navigator.languages)
+ * @returns {string} Locale
+ */
+export function detectLocale(sources = {}) {
+  const {
+    search = typeof window !== 'undefined' ? window.location.search : '',
+    saved = readSavedLocale(),
+    languages = typeof navigator !== 'undefined' ? (navigator.languages || [navigator.language]) : [],
+  } = sources;
+
+  const requested = new URLSearchParams(search).get(I18N_CONFIG.QUERY_PARAM);
+
+  return resolveLocale([requested, saved, ...languages]) || I18N_CONFIG.DEFAULT_LOCALE;
+}
+
+/**
+ * Gets the active locale
+ * @returns {string} Locale
+ */
+export function getLocale() {
+  return i18nState.locale;
+}
+
+/**
+ * Builds the URL of the page in a locale
+ * @param {string} locale - Locale
+ * @returns {string} Absolute URL
+ */
+export function getLocaleUrl(locale) {
+  const { pageUrl } = i18nState;
+  const base = pageUrl.endsWith('/') ? pageUrl : `${pageUrl}/`;
+  return locale === I18N_CONFIG.DEFAULT_LOCALE ? pageUrl : `${base}?${I18N_CONFIG.QUERY_PARAM}=${locale}`;
+}
+
+/**
+ * Reads the page's own URL from its canonical link
+ * Generated pages such as services/<id>/ keep their address when the locale changes.
+ * @returns {string} Absolute URL without query or hash
+ */
+function readPageUrl() {
+  const { siteUrl } = SITE_CONFIG.brand;
+  const href = document.head.querySelector('link[rel="canonical"]')?.getAttribute('href');
+
+  if (!href) {
+    return siteUrl;
+  }
+
+  const url = new URL(href, siteUrl);
+  return url.pathname === '/' ? url.origin : `${url.origin}${url.pathname}`;
+}
+
+// ============================================
+// Document Updates
+// ============================================
+
+/**
+ * Reads the message values of a marked element
+ * @param {Element} element - Element with optional data-i18n-params JSON
+ * @returns {Object} Message values
+ */
+function readElementParams(element) {
+  const raw = element.getAttribute(I18N_CONFIG.PARAMS_ATTRIBUTE);
+
+  if (!raw) {
+    return {};
+  }
+
+  try {
+    return JSON.parse(raw);
+  } catch {
+    console.warn('[i18n] Invalid data-i18n-params:', raw);
+    return {};
+  }
+}
+
+/**
+ * Translates every marked element inside a root
+ * @param {ParentNode} [root=document] - Document or element to translate
+ */
+export function translateDocument(root = document) {
+  root.querySelectorAll(`[${I18N_CONFIG.TEXT_ATTRIBUTE}]`).forEach((element) => {
+    element.textContent = t(element.getAttribute(I18N_CONFIG.TEXT_ATTRIBUTE), readElementParams(element));
+  });
+
+  root.querySelectorAll(`[${I18N_CONFIG.ATTR_ATTRIBUTE}]`).forEach((element) => {
+    const params = readElementParams(element);
+
+    element.getAttribute(I18N_CONFIG.ATTR_ATTRIBUTE).split(';').forEach((binding) => {
+      const [attribute, key] = binding.split(':').map((part) => part.trim());
+
+      if (attribute && key) {
+        element.setAttribute(attribute, t(key, params));
+      }
+    });
+  });
+}
+
+/**
+ * Finds or creates a <link> in the document head
+ * @param {string} selector - Selector of the existing link
+ * @param {Object<string, string>} attributes - Attributes for a new link
+ * @returns {HTMLLinkElement} Link element
+ */
+function ensureHeadLink(selector, attributes) {
+  let link = document.head.querySelector(selector);
+
+  if (!link) {
+    link = document.createElement('link');
+    Object.entries(attributes).forEach(([name, value]) => link.setAttribute(name, value));
+    document.head.appendChild(link);
+  }
+
+  return link;
+}
+
+/**
+ * Points <html lang>, the canonical link and the hreflang alternates at the active locale
+ */
+function updateDocumentLocale() {
+  const { locale } = i18nState;
+
+  document.documentElement.lang = locale;
+
+  ensureHeadLink('link[rel="canonical"]', { rel: 'canonical' }).href = getLocaleUrl(locale);
+
+  [...SUPPORTED_LOCALES, 'x-default'].forEach((hreflang) => {
+    const link = ensureHeadLink(`link[rel="alternate"][hreflang="${hreflang}"]`, { rel: 'alternate', hreflang });
+    link.href = getLocaleUrl(hreflang === 'x-default' ? I18N_CONFIG.DEFAULT_LOCALE : hreflang);
+  });
+}
+
+/**
+ * Switches the active locale
+ * @param {string} locale - Locale or language tag (e.g. "es-MX")
+ * @param {Object} [options={}] - Options
+ * @param {boolean} [options.persist=true] - Save the choice for future visits
+ * @returns {boolean} True if the locale is supported
+ */
+export function setLocale(locale, options = {}) {
+  const { persist = true } = options;
+  const resolved = resolveLocale([locale]);
+
+  if (!resolved) {
+    console.warn('[i18n] Unsupported locale:', locale);
+    return false;
+  }
+
+  const changed = resolved !== i18nState.locale;
+  i18nState.locale = resolved;
+
+  if (persist) {
+    try {
+      localStorage.setItem(I18N_CONFIG.STORAGE_KEY, resolved);
+    } catch (error) {
+      console.warn('[i18n] Could not save the language choice:', error);
+    }
+  }
+
+  if (typeof document !== 'undefined') {
+    updateDocumentLocale();
+    translateDocument();
+  }
+
+  if (changed) {
+    i18nState.listeners.forEach((listener) => {
+      try {
+        listener(resolved);
+      } catch (error) {
+        console.error('[i18n] Locale listener error:', error);
+      }
+    });
+  }
+
+  return true;
+}
+
+/**
+ * Subscribe to locale changes
+ * @param {Function} listener - Called with the new locale
+ * @returns {Function} Unsubscribe function
+ */
+export function onLocaleChange(listener) {
+  i18nState.listeners.add(listener);
+  return () => i18nState.listeners.delete(listener);
+}
+
+/**
+ * Detects the visitor's locale and applies it to the page
+ * Call before other components render so they start in the right language
+ * @returns {string} Active locale
+ */
+export function initI18n() {
+  i18nState.pageUrl = readPageUrl();
+  setLocale(detectLocale(), { persist: false });
+
+  console.log('[i18n] Locale initialized:', i18nState.locale);
+
+  return i18nState.locale;
+}
+
+export { I18N_CONFIG };
@@ -0,0 +1,103 @@
+/**
+ * iCalendar Utility Module
+ * Serializes all-day events as an RFC 5545 iCalendar (.ics) document
+ *
+ * @module utils/icalendar
+ * @description Produces calendar files that visitors can import into any calendar
+ * app. Handles the format details calendar apps are strict about: CRLF line
+ * endings, TEXT escaping, lines folded at 75 octets (see utils/content-line) and
+ * exclusive DTEND dates.
+ */
+
+import { escapeText, joinContentLines } from './content-line.js';
+
+// ============================================
+// Constants and Configuration
+// ============================================
+
+/**
+ * iCalendar format settings
+ * @constant {Object}
+ */
+const ICALENDAR_CONFIG = Object.freeze({
+  MIME_TYPE: 'text/calendar;charset=utf-8',
+});
+
+// ============================================
+// Formatting Helpers
+// ============================================
+
+/**
+ * Formats a YYYY-MM-DD date as an iCalendar DATE value
+ * @param {string} dateKey - Date as YYYY-MM-DD
+ * @param {number} [offsetDays=0] - Days to add
+ * @returns {string} Date as YYYYMMDD
+ */
+function formatDate(dateKey, offsetDays = 0) {
+  const [year, month, day] = dateKey.split('-').map(Number);
+  return new Date(Date.UTC(year, month - 1, day + offsetDays)).toISOString().slice(0, 10).replace(/-/g, '');
+}
+
+/**
+ * Formats an instant as an iCalendar UTC DATE-TIME value
+ * @param {Date} date - Instant
+ * @returns {string} Date-time as YYYYMMDDTHHMMSSZ
+ */
+function formatTimestamp(date) {
+  return date.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+}
+
+// ============================================
+// Calendar Builder
+// ============================================
+
+/**
+ * Creates an iCalendar document of all-day events
+ * @param {Array<{ uid: string, summary: string, start: string, end?: string, description?: string }>} events -
+ *   Events with inclusive YYYY-MM-DD dates; `end` defaults to `start`
+ * @param {Object} options - Calendar options
+ * @param {string} options.productId - PRODID value, e.g. "-//Company//Closures//EN"
+ * @param {string} [options.name] - Calendar name shown by calendar apps
+ * @param {Date} [options.timestamp=new Date()] - DTSTAMP for every event
+ * @returns {string} iCalendar document with CRLF line endings
+ */
+export function createICalendar(events, options) {
+  const { productId, name, timestamp = new Date() } = options;
+  const dtstamp = formatTimestamp(timestamp);
+
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    `PRODID:${productId}`,
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH',
+  ];
+
+  if (name) {
+    lines.push(`X-WR-CALNAME:${escapeText(name)}`);
+  }
+
+  events.forEach((event) => {
+    lines.push(
+      'BEGIN:VEVENT',
+      `UID:${event.uid}`,
+      `DTSTAMP:${dtstamp}`,
+      `DTSTART;VALUE=DATE:${formatDate(event.start)}`,
+      // DTEND is exclusive for all-day events
+      `DTEND;VALUE=DATE:${formatDate(event.end || event.start, 1)}`,
+      `SUMMARY:${escapeText(event.summary)}`
+    );
+
+    if (event.description) {
+      lines.push(`DESCRIPTION:${escapeText(event.description)}`);
+    }
+
+    lines.push('TRANSP:TRANSPARENT', 'END:VEVENT');
+  });
+
+  lines.push('END:VCALENDAR');
+
+  return joinContentLines(lines);
+}
+
+export { ICALENDAR_CONFIG };
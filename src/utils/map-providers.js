@@ -0,0 +1,60 @@
+/**
+ * Map Provider Adapters Module
+ * Optional plug-ins for the service area map
+ *
+ * @module utils/map-providers
+ * @description The service area map is drawn offline as SVG. Provider adapters
+ * add what a map service offers on top of that, and are only used when passed
+ * to the map explicitly:
+ *
+ * - `getTileUrl(z, x, y)`: background tiles in the Web Mercator tile scheme
+ *   (requires network; the map falls back to its offline background on errors)
+ * - `getPlaceUrl(place)` / `getDirectionsUrl(place)`: "open in" and directions links
+ * - `attribution` / `attributionUrl`: credit shown while the provider's tiles are displayed
+ *
+ * `place` is `{ latitude, longitude, address }`. Any object with the same shape
+ * can be passed as a custom adapter.
+ */
+
+// ============================================
+// Helpers
+// ============================================
+
+/**
+ * Builds a "+"-joined search query from an address
+ * @param {string} address - Address text
+ * @returns {string} Encoded query
+ */
+function toSearchQuery(address) {
+  return address.replace(/,/g, ' ').trim().split(/\s+/).map(encodeURIComponent).join('+');
+}
+
+// ============================================
+// Built-in Adapters
+// ============================================
+
+/**
+ * OpenStreetMap: standard tiles plus place and directions links
+ * Tile use must follow https://operations.osmfoundation.org/policies/tiles/
+ * @type {Object}
+ */
+export const OPEN_STREET_MAP_PROVIDER = Object.freeze({
+  id: 'openstreetmap',
+  label: 'OpenStreetMap',
+  attribution: '© OpenStreetMap contributors',
+  attributionUrl: 'https://www.openstreetmap.org/copyright',
+  getTileUrl: (z, x, y) => `https://tile.openstreetmap.org/${z}/${x}/${y}.png`,
+  getPlaceUrl: ({ latitude, longitude }) => `https://www.openstreetmap.org/?mlat=${latitude}&mlon=${longitude}#map=13/${latitude}/${longitude}`,
+  getDirectionsUrl: ({ latitude, longitude }) => `https://www.openstreetmap.org/directions?route=%3B${latitude}%2C${longitude}`,
+});
+
+/**
+ * Google Maps: place and directions links (tiles need an API key, so none are offered)
+ * @type {Object}
+ */
+export const GOOGLE_MAPS_PROVIDER = Object.freeze({
+  id: 'google',
+  label: 'Google Maps',
+  getPlaceUrl: ({ address }) => `https://maps.google.com/?q=${toSearchQuery(address)}`,
+  getDirectionsUrl: ({ address }) => `https://maps.google.com/maps/dir//${toSearchQuery(address)}`,
+});
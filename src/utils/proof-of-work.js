@@ -0,0 +1,99 @@
+/**
+ * Proof-of-Work Utility Module
+ * Hashcash-style challenge solving shared by the Web Worker and the main-thread fallback
+ *
+ * @module utils/proof-of-work
+ * @description Finds a nonce such that SHA-256(`${challenge}:${nonce}`) starts with
+ * the requested number of zero bits. Verifying a solution costs one hash, so a
+ * server can check tokens cheaply while bots pay the search cost per submission.
+ */
+
+// ============================================
+// Hash Helpers
+// ============================================
+
+/**
+ * Count leading zero bits in a hash
+ * @param {Uint8Array} bytes - Hash bytes
+ * @returns {number} Number of leading zero bits
+ */
+export function countLeadingZeroBits(bytes) {
+  let bits = 0;
+
+  for (const byte of bytes) {
+    if (byte === 0) {
+      bits += 8;
+      continue;
+    }
+
+    // Math.clz32 counts from bit 31; a byte occupies the lowest 8 bits
+    return bits + Math.clz32(byte) - 24;
+  }
+
+  return bits;
+}
+
+/**
+ * Hash a challenge attempt with SHA-256
+ * @param {string} challenge - Challenge string
+ * @param {number} nonce - Candidate nonce
+ * @returns {Promise<Uint8Array>} Hash bytes
+ */
+async function hashAttempt(challenge, nonce) {
+  const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(`${challenge}:${nonce}`));
+  return new Uint8Array(digest);
+}
+
+/**
+ * Check whether proof-of-work can run in this environment
+ * @returns {boolean} True if SubtleCrypto is available
+ */
+export function isProofOfWorkSupported() {
+  return typeof crypto !== 'undefined' && Boolean(crypto.subtle) && typeof TextEncoder !== 'undefined';
+}
+
+// ============================================
+// Solve and Verify
+// ============================================
+
+/**
+ * Search for a nonce that satisfies the challenge
+ * @param {string} challenge - Challenge string
+ * @param {number} difficulty - Required leading zero bits
+ * @param {Object} [options] - Solver options
+ * @param {number} [options.batchSize=500] - Attempts between yields to the event loop (0 never yields)
+ * @param {AbortSignal} [options.signal] - Signal used to stop the search
+ * @returns {Promise<number|null>} Nonce, or null if aborted
+ */
+export async function solveChallenge(challenge, difficulty, options = {}) {
+  const { batchSize = 500, signal } = options;
+
+  for (let nonce = 0; ; nonce++) {
+    if (signal && signal.aborted) {
+      return null;
+    }
+
+    const hash = await hashAttempt(challenge, nonce);
+
+    if (countLeadingZeroBits(hash) >= difficulty) {
+      return nonce;
+    }
+
+    // Keep the page responsive when solving on the main thread
+    if (batchSize > 0 && nonce % batchSize === batchSize - 1) {
+      await new Promise((resolve) => setTimeout(resolve, 0));
+    }
+  }
+}
+
+/**
+ * Verify a proof-of-work solution
+ * @param {string} challenge - Challenge string
+ * @param {number} nonce - Claimed nonce
+ * @param {number} difficulty - Required leading zero bits
+ * @returns {Promise<boolean>} True if the solution is valid
+ */
+export async function verifySolution(challenge, nonce, difficulty) {
+  const hash = await hashAttempt(challenge, nonce);
+  return countLeadingZeroBits(hash) >= difficulty;
+}
@@ -0,0 +1,22 @@
+/**
+ * Proof-of-Work Web Worker
+ * Solves anti-spam challenges off the main thread
+ *
+ * @module utils/proof-of-work.worker
+ * @description Receives `{ challenge, difficulty }` and replies with
+ * `{ challenge, nonce }`, or `{ challenge, error }` if solving fails
+ */
+
+import { solveChallenge } from './proof-of-work.js';
+
+self.addEventListener('message', async (event) => {
+  const { challenge, difficulty } = event.data || {};
+
+  try {
+    // No need to yield inside a worker
+    const nonce = await solveChallenge(challenge, difficulty, { batchSize: 0 });
+    self.postMessage({ challenge, nonce });
+  } catch (error) {
+    self.postMessage({ challenge, error: error.message });
+  }
+});
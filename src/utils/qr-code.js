@@ -0,0 +1,788 @@
+/**
+ * QR Code Utility Module
+ * Dependency-free QR Code encoder with SVG and canvas output
+ *
+ * @module utils/qr-code
+ * @description Encodes text as a QR Code (ISO/IEC 18004, model 2) entirely in the
+ * browser, so contact cards and links can be shared without a QR service. Text is
+ * encoded as UTF-8 in byte mode; the encoder picks the smallest version (1-40)
+ * that fits at the requested error correction level and the mask with the lowest
+ * penalty score. Symbols render to an SVG string (usable on the page and in
+ * print material alike) or onto a canvas.
+ */
+
+// ============================================
+// Constants and Configuration
+// ============================================
+
+/**
+ * Encoder settings
+ * @constant {Object}
+ */
+const QR_CONFIG = Object.freeze({
+  MIN_VERSION: 1,
+  MAX_VERSION: 40,
+  QUIET_ZONE: 4,
+  BYTE_MODE: 0x4,
+  PAD_BYTES: Object.freeze([0xec, 0x11]),
+  PENALTY: Object.freeze({ RUN: 3, BLOCK: 3, FINDER: 40, BALANCE: 10 }),
+});
+
+/**
+ * Error correction levels: share of damage a symbol survives, and the two bits
+ * written to the format information
+ * @constant {Object}
+ */
+export const ERROR_CORRECTION = Object.freeze({
+  L: Object.freeze({ ordinal: 0, formatBits: 1 }),
+  M: Object.freeze({ ordinal: 1, formatBits: 0 }),
+  Q: Object.freeze({ ordinal: 2, formatBits: 3 }),
+  H: Object.freeze({ ordinal: 3, formatBits: 2 }),
+});
+
+/**
+ * Error correction codewords per block, by level (L, M, Q, H) and version (index 0 unused)
+ * @constant {Array<Array<number>>}
+ */
+const ECC_CODEWORDS_PER_BLOCK = [
+  [-1, 7, 10, 15, 20, 26, 18, 20, 24, 30, 18, 20, 24, 26, 30, 22, 24, 28, 30, 28, 28, 28, 28, 30, 30, 26, 28, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30],
+  [-1, 10, 16, 26, 18, 24, 16, 18, 22, 22, 26, 30, 22, 22, 24, 24, 28, 28, 26, 26, 26, 26, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28],
+  [-1, 13, 22, 18, 26, 18, 24, 18, 22, 20, 24, 28, 26, 24, 20, 30, 24, 28, 28, 26, 30, 28, 30, 30, 30, 30, 28, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30],
+  [-1, 17, 28, 22, 16, 22, 28, 26, 26, 24, 28, 24, 28, 22, 24, 24, 30, 28, 28, 26, 28, 30, 24, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30],
+];
+
+/**
+ * Error correction blocks, by level (L, M, Q, H) and version (index 0 unused)
+ * @constant {Array<Array<number>>}
+ */
+const ERROR_CORRECTION_BLOCKS = [
+  [-1, 1, 1, 1, 1, 1, 2, 2, 2, 2, 4, 4, 4, 4, 4, 6, 6, 6, 6, 7, 8, 8, 9, 9, 10, 12, 12, 12, 13, 14, 15, 16, 17, 18, 19, 19, 20, 21, 22, 24, 25],
+  [-1, 1, 1, 1, 2, 2, 4, 4, 4, 5, 5, 5, 8, 9, 9, 10, 10, 11, 13, 14, 16, 17, 17, 18, 20, 21, 23, 25, 26, 28, 29, 31, 33, 35, 37, 38, 40, 43, 45, 47, 49],
+  [-1, 1, 1, 2, 2, 4, 4, 6, 6, 8, 8, 8, 10, 12, 16, 12, 17, 16, 18, 21, 20, 23, 23, 25, 27, 29, 34, 34, 35, 38, 40, 43, 45, 48, 51, 53, 56, 59, 62, 65, 68],
+  [-1, 1, 1, 2, 4, 4, 4, 5, 6, 8, 8, 11, 11, 16, 16, 18, 16, 19, 21, 25, 25, 25, 34, 30, 32, 35, 37, 40, 42, 45, 48, 51, 54, 57, 60, 63, 66, 70, 74, 77, 81],
+];
+
+/**
+ * Data masks, indexed by mask number; a module is flipped where the function returns true
+ * @constant {Array<Function>}
+ */
+const MASK_PATTERNS = [
+  (x, y) => (x + y) % 2 === 0,
+  (x, y) => y % 2 === 0,
+  (x) => x % 3 === 0,
+  (x, y) => (x + y) % 3 === 0,
+  (x, y) => (Math.floor(x / 3) + Math.floor(y / 2)) % 2 === 0,
+  (x, y) => ((x * y) % 2) + ((x * y) % 3) === 0,
+  (x, y) => (((x * y) % 2) + ((x * y) % 3)) % 2 === 0,
+  (x, y) => (((x + y) % 2) + ((x * y) % 3)) % 2 === 0,
+];
+
+// ============================================
+// Symbol Capacity
+// ============================================
+
+/**
+ * Gets the side length of a symbol in modules
+ * @param {number} version - Version 1-40
+ * @returns {number} Modules per side
+ */
+function getSize(version) {
+  return version * 4 + 17;
+}
+
+/**
+ * Counts the modules available for data and error correction codewords
+ * @param {number} version - Version 1-40
+ * @returns {number} Module count
+ */
+function getRawDataModules(version) {
+  let result = (16 * version + 128) * version + 64;
+
+  if (version >= 2) {
+    const alignmentCount = Math.floor(version / 7) + 2;
+    result -= (25 * alignmentCount - 10) * alignmentCount - 55;
+
+    if (version >= 7) {
+      result -= 36;
+    }
+  }
+
+  return result;
+}
+
+/**
+ * Counts the data codewords a symbol holds
+ * @param {number} version - Version 1-40
+ * @param {Object} level - Error correction level
+ * @returns {number} Data codewords
+ */
+export function getDataCodewords(version, level) {
+  return Math.floor(getRawDataModules(version) / 8)
+    - ECC_CODEWORDS_PER_BLOCK[level.ordinal][version] * ERROR_CORRECTION_BLOCKS[level.ordinal][version];
+}
+
+/**
+ * Gets the bit length of the byte mode character count
+ * @param {number} version - Version 1-40
+ * @returns {number} Bits
+ */
+function getCountBits(version) {
+  return version < 10 ? 8 : 16;
+}
+
+/**
+ * Gets the centre coordinates of the alignment patterns on each axis
+ * @param {number} version - Version 1-40
+ * @returns {Array<number>} Coordinates in ascending order
+ */
+function getAlignmentPositions(version) {
+  if (version === 1) {
+    return [];
+  }
+
+  const count = Math.floor(version / 7) + 2;
+  const step = Math.floor((version * 8 + count * 3 + 5) / (count * 4 - 4)) * 2;
+  const positions = [6];
+
+  for (let position = getSize(version) - 7; positions.length < count; position -= step) {
+    positions.splice(1, 0, position);
+  }
+
+  return positions;
+}
+
+// ============================================
+// Reed-Solomon Error Correction
+// ============================================
+
+/**
+ * Multiplies two elements of GF(2^8) modulo x^8 + x^4 + x^3 + x^2 + 1
+ * @param {number} x - Field element
+ * @param {number} y - Field element
+ * @returns {number} Product
+ */
+function multiplyGF(x, y) {
+  let product = 0;
+
+  for (let bit = 7; bit >= 0; bit--) {
+    product = (product << 1) ^ ((product >>> 7) * 0x11d);
+    product ^= ((y >>> bit) & 1) * x;
+  }
+
+  return product;
+}
+
+/**
+ * Computes the generator polynomial for a number of error correction codewords
+ * @param {number} degree - Number of error correction codewords
+ * @returns {Array<number>} Coefficients, highest power first (leading 1 omitted)
+ */
+function getGeneratorPolynomial(degree) {
+  const coefficients = new Array(degree).fill(0);
+  coefficients[degree - 1] = 1;
+
+  let root = 1;
+
+  for (let i = 0; i < degree; i++) {
+    for (let j = 0; j < coefficients.length; j++) {
+      coefficients[j] = multiplyGF(coefficients[j], root);
+
+      if (j + 1 < coefficients.length) {
+        coefficients[j] ^= coefficients[j + 1];
+      }
+    }
+
+    root = multiplyGF(root, 0x02);
+  }
+
+  return coefficients;
+}
+
+/**
+ * Computes the error correction codewords for a block of data codewords
+ * @param {Array<number>} data - Data codewords
+ * @param {number} degree - Number of error correction codewords
+ * @returns {Array<number>} Error correction codewords
+ */
+export function getErrorCorrection(data, degree) {
+  const generator = getGeneratorPolynomial(degree);
+  const remainder = new Array(degree).fill(0);
+
+  data.forEach((codeword) => {
+    const factor = codeword ^ remainder.shift();
+    remainder.push(0);
+    generator.forEach((coefficient, index) => {
+      remainder[index] ^= multiplyGF(coefficient, factor);
+    });
+  });
+
+  return remainder;
+}
+
+/**
+ * Splits data codewords into blocks, appends error correction and interleaves the result
+ * @param {Array<number>} data - Data codewords
+ * @param {number} version - Version 1-40
+ * @param {Object} level - Error correction level
+ * @returns {Array<number>} Final codeword sequence
+ */
+function addErrorCorrection(data, version, level) {
+  const blockCount = ERROR_CORRECTION_BLOCKS[level.ordinal][version];
+  const eccLength = ECC_CODEWORDS_PER_BLOCK[level.ordinal][version];
+  const rawCodewords = Math.floor(getRawDataModules(version) / 8);
+  const shortBlockCount = blockCount - (rawCodewords % blockCount);
+  const shortBlockLength = Math.floor(rawCodewords / blockCount);
+
+  const blocks = [];
+  let offset = 0;
+
+  for (let i = 0; i < blockCount; i++) {
+    const length = shortBlockLength - eccLength + (i < shortBlockCount ? 0 : 1);
+    const blockData = data.slice(offset, offset + length);
+    offset += length;
+
+    blocks.push({ data: blockData, ecc: getErrorCorrection(blockData, eccLength) });
+  }
+
+  // Data codewords column by column (long blocks have one extra), then error correction
+  const result = [];
+
+  for (let i = 0; i <= shortBlockLength - eccLength; i++) {
+    blocks.forEach((block) => {
+      if (i < block.data.length) {
+        result.push(block.data[i]);
+      }
+    });
+  }
+
+  for (let i = 0; i < eccLength; i++) {
+    blocks.forEach((block) => result.push(block.ecc[i]));
+  }
+
+  return result;
+}
+
+// ============================================
+// Data Encoding
+// ============================================
+
+/**
+ * Appends bits to a bit buffer
+ * @param {Array<number>} bits - Bit buffer
+ * @param {number} value - Value to append
+ * @param {number} length - Number of low bits of value to append
+ */
+function appendBits(bits, value, length) {
+  for (let bit = length - 1; bit >= 0; bit--) {
+    bits.push((value >>> bit) & 1);
+  }
+}
+
+/**
+ * Picks the smallest version that holds the data
+ * @param {number} byteLength - Data length in bytes
+ * @param {Object} level - Error correction level
+ * @param {number} minVersion - Smallest version to consider
+ * @returns {number} Version, or -1 if the data does not fit any version
+ */
+function selectVersion(byteLength, level, minVersion) {
+  for (let version = minVersion; version <= QR_CONFIG.MAX_VERSION; version++) {
+    const usedBits = 4 + getCountBits(version) + byteLength * 8;
+
+    if (usedBits <= getDataCodewords(version, level) * 8) {
+      return version;
+    }
+  }
+
+  return -1;
+}
+
+/**
+ * Builds the data codewords: mode, count, bytes, terminator and padding
+ * @param {Uint8Array} bytes - UTF-8 data
+ * @param {number} version - Version 1-40
+ * @param {Object} level - Error correction level
+ * @returns {Array<number>} Data codewords
+ */
+function encodeData(bytes, version, level) {
+  const capacityBits = getDataCodewords(version, level) * 8;
+  const bits = [];
+
+  appendBits(bits, QR_CONFIG.BYTE_MODE, 4);
+  appendBits(bits, bytes.length, getCountBits(version));
+  bytes.forEach((byte) => appendBits(bits, byte, 8));
+
+  appendBits(bits, 0, Math.min(4, capacityBits - bits.length));
+  appendBits(bits, 0, (8 - (bits.length % 8)) % 8);
+
+  for (let i = 0; bits.length < capacityBits; i++) {
+    appendBits(bits, QR_CONFIG.PAD_BYTES[i % 2], 8);
+  }
+
+  const codewords = [];
+
+  for (let i = 0; i < bits.length; i += 8) {
+    codewords.push(bits.slice(i, i + 8).reduce((byte, bit) => (byte << 1) | bit, 0));
+  }
+
+  return codewords;
+}
+
+// ============================================
+// Symbol Layout
+// ============================================
+
+/**
+ * Creates an empty module grid for a version
+ * @param {number} version - Version 1-40
+ * @returns {{ size: number, modules: Array<Array<boolean>>, reserved: Array<Array<boolean>> }} Grid
+ */
+function createGrid(version) {
+  const size = getSize(version);
+
+  return {
+    size,
+    modules: Array.from({ length: size }, () => new Array(size).fill(false)),
+    reserved: Array.from({ length: size }, () => new Array(size).fill(false)),
+  };
+}
+
+/**
+ * Sets a function module (one that never holds data and is never masked)
+ * @param {Object} grid - Module grid
+ * @param {number} x - Column
+ * @param {number} y - Row
+ * @param {boolean} isDark - Module colour
+ */
+function setFunctionModule(grid, x, y, isDark) {
+  grid.modules[y][x] = isDark;
+  grid.reserved[y][x] = true;
+}
+
+/**
+ * Draws a finder pattern and its separator centred on a point
+ * @param {Object} grid - Module grid
+ * @param {number} centerX - Centre column
+ * @param {number} centerY - Centre row
+ */
+function drawFinderPattern(grid, centerX, centerY) {
+  for (let dy = -4; dy <= 4; dy++) {
+    for (let dx = -4; dx <= 4; dx++) {
+      const x = centerX + dx;
+      const y = centerY + dy;
+      const distance = Math.max(Math.abs(dx), Math.abs(dy));
+
+      if (x >= 0 && x < grid.size && y >= 0 && y < grid.size) {
+        setFunctionModule(grid, x, y, distance !== 2 && distance !== 4);
+      }
+    }
+  }
+}
+
+/**
+ * Draws an alignment pattern centred on a point
+ * @param {Object} grid - Module grid
+ * @param {number} centerX - Centre column
+ * @param {number} centerY - Centre row
+ */
+function drawAlignmentPattern(grid, centerX, centerY) {
+  for (let dy = -2; dy <= 2; dy++) {
+    for (let dx = -2; dx <= 2; dx++) {
+      setFunctionModule(grid, centerX + dx, centerY + dy, Math.max(Math.abs(dx), Math.abs(dy)) !== 1);
+    }
+  }
+}
+
+/**
+ * Computes the 15 format information bits for a level and mask
+ * @param {Object} level - Error correction level
+ * @param {number} mask - Mask number 0-7
+ * @returns {number} Format bits, already XOR-masked
+ */
+export function getFormatBits(level, mask) {
+  const data = (level.formatBits << 3) | mask;
+  let remainder = data;
+
+  for (let i = 0; i < 10; i++) {
+    remainder = (remainder << 1) ^ ((remainder >>> 9) * 0x537);
+  }
+
+  return ((data << 10) | remainder) ^ 0x5412;
+}
+
+/**
+ * Computes the 18 version information bits (versions 7 and up)
+ * @param {number} version - Version 7-40
+ * @returns {number} Version bits
+ */
+export function getVersionBits(version) {
+  let remainder = version;
+
+  for (let i = 0; i < 12; i++) {
+    remainder = (remainder << 1) ^ ((remainder >>> 11) * 0x1f25);
+  }
+
+  return (version << 12) | remainder;
+}
+
+/**
+ * Draws both copies of the format information, plus the dark module
+ * @param {Object} grid - Module grid
+ * @param {Object} level - Error correction level
+ * @param {number} mask - Mask number 0-7
+ */
+function drawFormatBits(grid, level, mask) {
+  const bits = getFormatBits(level, mask);
+  const bit = (index) => ((bits >>> index) & 1) === 1;
+  const { size } = grid;
+
+  // Around the top-left finder
+  for (let i = 0; i <= 5; i++) {
+    setFunctionModule(grid, 8, i, bit(i));
+  }
+  setFunctionModule(grid, 8, 7, bit(6));
+  setFunctionModule(grid, 8, 8, bit(7));
+  setFunctionModule(grid, 7, 8, bit(8));
+  for (let i = 9; i < 15; i++) {
+    setFunctionModule(grid, 14 - i, 8, bit(i));
+  }
+
+  // Split between the top-right and bottom-left finders
+  for (let i = 0; i < 8; i++) {
+    setFunctionModule(grid, size - 1 - i, 8, bit(i));
+  }
+  for (let i = 8; i < 15; i++) {
+    setFunctionModule(grid, 8, size - 15 + i, bit(i));
+  }
+  setFunctionModule(grid, 8, size - 8, true);
+}
+
+/**
+ * Draws both copies of the version information (versions 7 and up)
+ * @param {Object} grid - Module grid
+ * @param {number} version - Version 1-40
+ */
+function drawVersionBits(grid, version) {
+  if (version < 7) {
+    return;
+  }
+
+  const bits = getVersionBits(version);
+
+  for (let i = 0; i < 18; i++) {
+    const isDark = ((bits >>> i) & 1) === 1;
+    const a = grid.size - 11 + (i % 3);
+    const b = Math.floor(i / 3);
+
+    setFunctionModule(grid, a, b, isDark);
+    setFunctionModule(grid, b, a, isDark);
+  }
+}
+
+/**
+ * Draws every function pattern; format bits are drawn with a placeholder mask
+ * @param {Object} grid - Module grid
+ * @param {number} version - Version 1-40
+ * @param {Object} level - Error correction level
+ */
+function drawFunctionPatterns(grid, version, level) {
+  const { size } = grid;
+
+  for (let i = 0; i < size; i++) {
+    setFunctionModule(grid, 6, i, i % 2 === 0);
+    setFunctionModule(grid, i, 6, i % 2 === 0);
+  }
+
+  drawFinderPattern(grid, 3, 3);
+  drawFinderPattern(grid, size - 4, 3);
+  drawFinderPattern(grid, 3, size - 4);
+
+  const positions = getAlignmentPositions(version);
+  const last = positions.length - 1;
+
+  positions.forEach((y, i) => {
+    positions.forEach((x, j) => {
+      // Skip the three corners occupied by finder patterns
+      const isFinderCorner = (i === 0 && j === 0) || (i === 0 && j === last) || (i === last && j === 0);
+
+      if (!isFinderCorner) {
+        drawAlignmentPattern(grid, x, y);
+      }
+    });
+  });
+
+  drawFormatBits(grid, level, 0);
+  drawVersionBits(grid, version);
+}
+
+/**
+ * Places codewords in the zigzag order, two columns at a time from the bottom right
+ * @param {Object} grid - Module grid
+ * @param {Array<number>} codewords - Final codeword sequence
+ */
+function drawCodewords(grid, codewords) {
+  const { size } = grid;
+  const totalBits = codewords.length * 8;
+  let index = 0;
+
+  for (let right = size - 1; right >= 1; right -= 2) {
+    // The vertical timing pattern shifts the column pairs left of it by one
+    if (right === 6) {
+      right = 5;
+    }
+
+    const isUpward = ((right + 1) & 2) === 0;
+
+    for (let step = 0; step < size; step++) {
+      const y = isUpward ? size - 1 - step : step;
+
+      for (let offset = 0; offset < 2; offset++) {
+        const x = right - offset;
+
+        if (!grid.reserved[y][x] && index < totalBits) {
+          grid.modules[y][x] = ((codewords[index >>> 3] >>> (7 - (index & 7))) & 1) === 1;
+          index++;
+        }
+      }
+    }
+  }
+}
+
+/**
+ * Flips the data modules selected by a mask (applying it twice undoes it)
+ * @param {Object} grid - Module grid
+ * @param {number} mask - Mask number 0-7
+ */
+function applyMask(grid, mask) {
+  const pattern = MASK_PATTERNS[mask];
+
+  for (let y = 0; y < grid.size; y++) {
+    for (let x = 0; x < grid.size; x++) {
+      if (!grid.reserved[y][x] && pattern(x, y)) {
+        grid.modules[y][x] = !grid.modules[y][x];
+      }
+    }
+  }
+}
+
+// ============================================
+// Mask Selection
+// ============================================
+
+/**
+ * Scores one row or column for runs and finder-like patterns
+ * @param {Array<boolean>} line - Modules
+ * @returns {number} Penalty
+ */
+function scoreLine(line) {
+  const { RUN, FINDER } = QR_CONFIG.PENALTY;
+  let score = 0;
+  let runLength = 1;
+
+  for (let i = 1; i <= line.length; i++) {
+    if (i < line.length && line[i] === line[i - 1]) {
+      runLength++;
+    } else {
+      if (runLength >= 5) {
+        score += RUN + runLength - 5;
+      }
+      runLength = 1;
+    }
+  }
+
+  // 1:1:3:1:1 finder-like pattern with four light modules on either side
+  const core = [true, false, true, true, true, false, true];
+  const isLight = (index) => index < 0 || index >= line.length || !line[index];
+
+  for (let i = 0; i + core.length <= line.length; i++) {
+    if (core.every((isDark, offset) => line[i + offset] === isDark)) {
+      const lightBefore = [1, 2, 3, 4].every((distance) => isLight(i - distance));
+      const lightAfter = [0, 1, 2, 3].every((distance) => isLight(i + core.length + distance));
+
+      if (lightBefore || lightAfter) {
+        score += FINDER;
+      }
+    }
+  }
+
+  return score;
+}
+
+/**
+ * Computes the penalty score of a masked symbol; lower scans more reliably
+ * @param {Object} grid - Module grid
+ * @returns {number} Penalty score
+ */
+function getPenaltyScore(grid) {
+  const { size, modules } = grid;
+  const { BLOCK, BALANCE } = QR_CONFIG.PENALTY;
+  let score = 0;
+  let darkCount = 0;
+
+  for (let i = 0; i < size; i++) {
+    score += scoreLine(modules[i]);
+    score += scoreLine(modules.map((row) => row[i]));
+  }
+
+  for (let y = 0; y < size; y++) {
+    for (let x = 0; x < size; x++) {
+      const color = modules[y][x];
+
+      if (color) {
+        darkCount++;
+      }
+
+      if (x < size - 1 && y < size - 1
+        && color === modules[y][x + 1] && color === modules[y + 1][x] && color === modules[y + 1][x + 1]) {
+        score += BLOCK;
+      }
+    }
+  }
+
+  // Each 5% the dark share strays from 50%
+  const total = size * size;
+  score += Math.floor(Math.abs(darkCount * 20 - total * 10) / total) * BALANCE;
+
+  return score;
+}
+
+// ============================================
+// Encoder
+// ============================================
+
+/**
+ * Encodes text as a QR Code
+ * @param {string} text - Text to encode (UTF-8, byte mode)
+ * @param {Object} [options={}] - Encoder options
+ * @param {string} [options.errorCorrection='M'] - Error correction level: L, M, Q or H
+ * @param {number} [options.minVersion=1] - Smallest version to use
+ * @param {number} [options.mask] - Force a mask 0-7 instead of choosing the best one
+ * @returns {{ version: number, size: number, errorCorrection: string, mask: number, modules: Array<Array<boolean>> }}
+ *   Symbol; `modules[y][x]` is true for dark modules
+ * @throws {RangeError} If the text is too long for a version 40 symbol at the requested level
+ */
+export function encodeQRCode(text, options = {}) {
+  const { errorCorrection = 'M', minVersion = QR_CONFIG.MIN_VERSION, mask: forcedMask } = options;
+  const level = ERROR_CORRECTION[errorCorrection];
+
+  if (!level) {
+    throw new RangeError(`Unknown error correction level: ${errorCorrection}`);
+  }
+
+  const bytes = new TextEncoder().encode(text);
+  const version = selectVersion(bytes.length, level, Math.max(QR_CONFIG.MIN_VERSION, minVersion));
+
+  if (version === -1) {
+    throw new RangeError(`Text is too long for a QR Code (${bytes.length} bytes at level ${errorCorrection})`);
+  }
+
+  const grid = createGrid(version);
+  drawFunctionPatterns(grid, version, level);
+  drawCodewords(grid, addErrorCorrection(encodeData(bytes, version, level), version, level));
+
+  let mask = forcedMask;
+
+  if (mask === undefined) {
+    let lowestScore = Infinity;
+
+    MASK_PATTERNS.forEach((pattern, candidate) => {
+      applyMask(grid, candidate);
+      drawFormatBits(grid, level, candidate);
+
+      const score = getPenaltyScore(grid);
+
+      if (score < lowestScore) {
+        lowestScore = score;
+        mask = candidate;
+      }
+
+      applyMask(grid, candidate);
+    });
+  }
+
+  applyMask(grid, mask);
+  drawFormatBits(grid, level, mask);
+
+  return {
+    version,
+    size: grid.size,
+    errorCorrection,
+    mask,
+    modules: grid.modules,
+  };
+}
+
+// ============================================
+// Rendering
+// ============================================
+
+/**
+ * Renders a QR Code as a standalone SVG document string
+ * @param {Object} qrCode - Symbol from encodeQRCode
+ * @param {Object} [options={}] - Rendering options
+ * @param {number} [options.quietZone=4] - Light border in modules (the standard asks for 4)
+ * @param {string} [options.dark='#000000'] - Dark module colour
+ * @param {string} [options.light='#ffffff'] - Background colour
+ * @param {string} [options.title] - Accessible name
+ * @returns {string} SVG markup
+ */
+export function renderQRCodeSvg(qrCode, options = {}) {
+  const { quietZone = QR_CONFIG.QUIET_ZONE, dark = '#000000', light = '#ffffff', title } = options;
+  const dimension = qrCode.size + quietZone * 2;
+  const path = [];
+
+  qrCode.modules.forEach((row, y) => {
+    row.forEach((isDark, x) => {
+      if (isDark) {
+        path.push(`M${x + quietZone},${y + quietZone}h1v1h-1z`);
+      }
+    });
+  });
+
+  const escape = (value) => String(value).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/"/g, '&quot;');
+  const attributes = title ? ` role="img" aria-label="${escape(title)}"` : '';
+  const titleElement = title ? `<title>${escape(title)}</title>` : '';
+
+  return `<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 ${dimension} ${dimension}" shape-rendering="crispEdges"${attributes}>`
+    + titleElement
+    + `<rect width="100%" height="100%" fill="${escape(light)}"/>`
+    + `<path d="${path.join('')}" fill="${escape(dark)}"/>`
+    + '</svg>';
+}
+
+/**
+ * Draws a QR Code onto a canvas, resizing the canvas to fit
+ * @param {Object} qrCode - Symbol from encodeQRCode
+ * @param {HTMLCanvasElement} canvas - Target canvas
+ * @param {Object} [options={}] - Rendering options
+ * @param {number} [options.scale=8] - Pixels per module
+ * @param {number} [options.quietZone=4] - Light border in modules
+ * @param {string} [options.dark='#000000'] - Dark module colour
+ * @param {string} [options.light='#ffffff'] - Background colour
+ * @returns {boolean} True if the canvas could be drawn on
+ */
+export function drawQRCodeCanvas(qrCode, canvas, options = {}) {
+  const { scale = 8, quietZone = QR_CONFIG.QUIET_ZONE, dark = '#000000', light = '#ffffff' } = options;
+  const context = canvas.getContext && canvas.getContext('2d');
+
+  if (!context) {
+    return false;
+  }
+
+  canvas.width = (qrCode.size + quietZone * 2) * scale;
+  canvas.height = canvas.width;
+
+  context.fillStyle = light;
+  context.fillRect(0, 0, canvas.width, canvas.height);
+  context.fillStyle = dark;
+
+  qrCode.modules.forEach((row, y) => {
+    row.forEach((isDark, x) => {
+      if (isDark) {
+        context.fillRect((x + quietZone) * scale, (y + quietZone) * scale, scale, scale);
+      }
+    });
+  });
+
+  return true;
+}
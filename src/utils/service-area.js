@@ -0,0 +1,433 @@
+/**
+ * Service Area Utility Module
+ * Answers "Do you serve my farm?" from a ZIP code, town name or coordinates
+ *
+ * @module utils/service-area
+ * @description Resolves a visitor's location against the bundled ZIP centroid
+ * tables (no geocoding API needed) and compares its haversine distance from the
+ * office with the configured service radius. ZIP codes outside the detailed
+ * table are placed at the centroid of their 3-digit prefix. The tables are
+ * loaded with the first lookup, so lookups are asynchronous; the list of towns
+ * served comes from the much smaller service area town table and is not.
+ * Results are returned as objects with a ready-to-show message in the active
+ * language; nothing here throws on bad input.
+ */
+
+import { SITE_CONFIG } from '../data/site-config.js';
+import { t } from './i18n.js';
+import { SERVICE_AREA_TOWNS } from '../data/service-area-towns.js';
+
+// ============================================
+// Constants and Configuration
+// ============================================
+
+/**
+ * Mean Earth radius in miles
+ * @constant {number}
+ */
+const EARTH_RADIUS_MILES = 3958.8;
+
+/**
+ * ZIP or ZIP+4 code pattern
+ * @constant {RegExp}
+ */
+const ZIP_QUERY_PATTERN = /^(\d{5})(?:-\d{4})?$/;
+
+/**
+ * Distance within which a coordinate is described as "near" a known place
+ * @constant {number}
+ */
+const NEARBY_PLACE_MILES = 10;
+
+/**
+ * Geolocation request options
+ * @constant {Object}
+ */
+const GEOLOCATION_OPTIONS = Object.freeze({
+  enableHighAccuracy: false,
+  timeout: 10000,
+  maximumAge: 5 * 60 * 1000,
+});
+
+/**
+ * Message catalog keys for lookups that could not be answered, by failure reason
+ * @constant {Object<string, string>}
+ */
+const SERVICE_AREA_MESSAGE_KEYS = Object.freeze({
+  empty: 'serviceArea.empty',
+  'not-found': 'serviceArea.notFound',
+  unsupported: 'serviceArea.unsupported',
+  denied: 'serviceArea.denied',
+  unavailable: 'serviceArea.unavailable',
+  'load-failed': 'serviceArea.loadFailed',
+});
+
+/**
+ * Builds the result of a lookup that could not be answered
+ * @param {string} reason - Failure reason from SERVICE_AREA_MESSAGE_KEYS
+ * @returns {{ ok: false, reason: string, message: string }} Failure result
+ */
+function createFailure(reason) {
+  return { ok: false, reason, message: t(SERVICE_AREA_MESSAGE_KEYS[reason]) };
+}
+
+// ============================================
+// ZIP Tables
+// ============================================
+
+/**
+ * Pending or finished load of the ZIP centroid tables
+ * @type {Promise<{ table: Object, prefixTable: Object }>|null}
+ */
+let zipTablesPromise = null;
+
+/**
+ * Loads the ZIP centroid tables the first time a lookup needs them
+ * Later calls share the first load; a failed load is retried on the next call.
+ * @returns {Promise<{ table: Object, prefixTable: Object }>} ZIP and ZIP prefix centroid tables
+ */
+export function loadZipTables() {
+  if (!zipTablesPromise) {
+    zipTablesPromise = import('../data/zip-centroids.js')
+      .then(({ ZIP_CENTROIDS, ZIP_PREFIX_CENTROIDS }) => ({ table: ZIP_CENTROIDS, prefixTable: ZIP_PREFIX_CENTROIDS }))
+      .catch((error) => {
+        zipTablesPromise = null;
+        throw error;
+      });
+  }
+
+  return zipTablesPromise;
+}
+
+// ============================================
+// Geometry
+// ============================================
+
+/**
+ * Converts degrees to radians
+ * @param {number} degrees - Angle in degrees
+ * @returns {number} Angle in radians
+ */
+function toRadians(degrees) {
+  return (degrees * Math.PI) / 180;
+}
+
+/**
+ * Calculates the great-circle distance between two points
+ * @param {{ latitude: number, longitude: number }} from - First point
+ * @param {{ latitude: number, longitude: number }} to - Second point
+ * @returns {number} Distance in miles
+ */
+export function haversineMiles(from, to) {
+  const deltaLatitude = toRadians(to.latitude - from.latitude);
+  const deltaLongitude = toRadians(to.longitude - from.longitude);
+
+  const a = Math.sin(deltaLatitude / 2) ** 2
+    + Math.cos(toRadians(from.latitude)) * Math.cos(toRadians(to.latitude)) * Math.sin(deltaLongitude / 2) ** 2;
+
+  return 2 * EARTH_RADIUS_MILES * Math.asin(Math.sqrt(a));
+}
+
+/**
+ * Checks that a value holds usable latitude and longitude numbers
+ * @param {*} value - Candidate coordinates
+ * @returns {boolean} True if valid
+ */
+function isValidCoordinates(value) {
+  return Boolean(value)
+    && Number.isFinite(value.latitude) && Math.abs(value.latitude) <= 90
+    && Number.isFinite(value.longitude) && Math.abs(value.longitude) <= 180;
+}
+
+// ============================================
+// Location Lookup
+// ============================================
+
+/**
+ * Builds a location result from a ZIP table row
+ * @param {string} zip - ZIP code
+ * @param {Object} entry - ZIP table row
+ * @param {string} source - How the location was found ('zip' or 'town')
+ * @returns {Object} Location
+ */
+function toLocation(zip, entry, source) {
+  return {
+    label: `${entry.place}, ${entry.state} ${zip}`,
+    place: entry.place,
+    zip,
+    latitude: entry.latitude,
+    longitude: entry.longitude,
+    source,
+  };
+}
+
+/**
+ * Builds an approximate location result from a ZIP prefix table row
+ * @param {string|null} zip - ZIP code, or null when a town name matched the prefix
+ * @param {Object} entry - ZIP prefix table row
+ * @param {string} source - How the location was found ('zip-prefix' or 'town')
+ * @returns {Object} Location
+ */
+function toPrefixLocation(zip, entry, source) {
+  return {
+    label: zip
+      ? t('serviceArea.prefixArea', { place: entry.place, state: entry.state, zip })
+      : `${entry.place}, ${entry.state}`,
+    place: entry.place,
+    zip,
+    latitude: entry.latitude,
+    longitude: entry.longitude,
+    source,
+  };
+}
+
+/**
+ * Normalizes a town name for matching ("  oakdale, ca " -> "oakdale")
+ * @param {string} name - Town name, optionally followed by a state
+ * @returns {string} Normalized name
+ */
+function normalizePlaceName(name) {
+  return name
+    .toLowerCase()
+    .replace(/,?\s+[a-z]{2}$/, '')
+    .replace(/[^a-z\s]/g, '')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+/**
+ * Finds the bundled ZIP table entry closest to a point
+ * @param {{ latitude: number, longitude: number }} coordinates - Point
+ * @param {Object} [table] - ZIP centroid table; defaults to the bundled table
+ * @returns {Promise<{ zip: string, entry: Object, distanceMiles: number }|null>} Nearest entry
+ */
+export async function findNearestZip(coordinates, table) {
+  const zipTable = table || (await loadZipTables()).table;
+
+  return Object.entries(zipTable).reduce((nearest, [zip, entry]) => {
+    const distanceMiles = haversineMiles(coordinates, entry);
+    return !nearest || distanceMiles < nearest.distanceMiles ? { zip, entry, distanceMiles } : nearest;
+  }, null);
+}
+
+/**
+ * Resolves a ZIP code or town name to a location
+ * ZIP codes missing from the detailed table fall back to their prefix centroid;
+ * town names prefer the ZIP code listed for the town in SERVICE_AREA_TOWNS.
+ * @param {string} query - ZIP code (5-digit or ZIP+4) or town name
+ * @param {Object} [table] - ZIP centroid table; defaults to the bundled table
+ * @param {Object} [prefixTable] - ZIP prefix centroid table; defaults to the bundled table
+ * @returns {Promise<{ ok: true, location: Object }|{ ok: false, reason: string }>} Lookup result
+ */
+export async function resolveServiceLocation(query, table, prefixTable) {
+  const text = typeof query === 'string' ? query.trim() : '';
+
+  if (!text) {
+    return { ok: false, reason: 'empty' };
+  }
+
+  const defaults = table && prefixTable ? {} : await loadZipTables();
+  const zipTable = table || defaults.table;
+  const zipPrefixTable = prefixTable || defaults.prefixTable;
+
+  const zipMatch = text.match(ZIP_QUERY_PATTERN);
+
+  if (zipMatch) {
+    const zip = zipMatch[1];
+    const prefixEntry = zipPrefixTable[zip.slice(0, 3)];
+
+    if (zipTable[zip]) {
+      return { ok: true, location: toLocation(zip, zipTable[zip], 'zip') };
+    }
+
+    return prefixEntry
+      ? { ok: true, location: toPrefixLocation(zip, prefixEntry, 'zip-prefix') }
+      : { ok: false, reason: 'not-found' };
+  }
+
+  const name = normalizePlaceName(text);
+  const isMatch = ([, entry]) => entry && normalizePlaceName(entry.place) === name;
+  const match = Object.entries(SERVICE_AREA_TOWNS).find(isMatch) || Object.entries(zipTable).find(isMatch);
+
+  if (match) {
+    return { ok: true, location: toLocation(match[0], match[1], 'town') };
+  }
+
+  const prefixMatch = Object.entries(zipPrefixTable).find(isMatch);
+
+  return prefixMatch
+    ? { ok: true, location: toPrefixLocation(null, prefixMatch[1], 'town') }
+    : { ok: false, reason: 'not-found' };
+}
+
+/**
+ * Describes raw coordinates, naming the nearest known place when it is close by
+ * @param {{ latitude: number, longitude: number }} coordinates - Point
+ * @param {Object} table - ZIP centroid table
+ * @returns {Promise<Object>} Location with source 'geolocation'
+ */
+async function describeCoordinates(coordinates, table) {
+  const point = `${coordinates.latitude.toFixed(4)}, ${coordinates.longitude.toFixed(4)}`;
+  const nearest = await findNearestZip(coordinates, table);
+  const isNearby = nearest && nearest.distanceMiles <= NEARBY_PLACE_MILES;
+
+  return {
+    label: isNearby
+      ? t('serviceArea.near', { place: nearest.entry.place, state: nearest.entry.state, point })
+      : point,
+    place: isNearby ? nearest.entry.place : null,
+    zip: isNearby ? nearest.zip : null,
+    latitude: coordinates.latitude,
+    longitude: coordinates.longitude,
+    source: 'geolocation',
+  };
+}
+
+// ============================================
+// Service Area Check
+// ============================================
+
+/**
+ * Formats a distance for display
+ * @param {number} miles - Distance in miles
+ * @returns {string} Rounded distance such as "about 42 miles"
+ */
+function formatDistance(miles) {
+  return miles < 1 ? t('serviceArea.lessThanMile') : t('serviceArea.distance', { miles: Math.round(miles) });
+}
+
+/**
+ * Checks whether a location is inside the service area
+ * @param {string|{ latitude: number, longitude: number }} input - ZIP code, town name or coordinates
+ * @param {Object} [options] - Check options
+ * @param {{ latitude: number, longitude: number }} [options.origin] - Office coordinates
+ * @param {number} [options.radiusMiles] - Service radius in miles
+ * @param {Object} [options.table] - ZIP centroid table; defaults to the bundled table
+ * @param {Object} [options.prefixTable] - ZIP prefix centroid table; defaults to the bundled table
+ * @returns {Promise<Object>} `{ ok: true, inArea, distanceMiles, radiusMiles, location, message }`,
+ *   or `{ ok: false, reason, message }` when the location cannot be resolved
+ */
+export async function checkServiceArea(input, options = {}) {
+  const {
+    origin = SITE_CONFIG.address.coordinates,
+    radiusMiles = SITE_CONFIG.serviceArea.radiusMiles,
+  } = options;
+  let { table, prefixTable } = options;
+
+  if (typeof input === 'string' && !input.trim()) {
+    return createFailure('empty');
+  }
+
+  if (typeof input !== 'string' && !isValidCoordinates(input)) {
+    return createFailure('unavailable');
+  }
+
+  if (!table || !prefixTable) {
+    try {
+      const tables = await loadZipTables();
+      table = table || tables.table;
+      prefixTable = prefixTable || tables.prefixTable;
+    } catch (error) {
+      console.error('[ServiceArea] Failed to load the ZIP code tables:', error);
+      return createFailure('load-failed');
+    }
+  }
+
+  let location;
+
+  if (typeof input === 'string') {
+    const lookup = await resolveServiceLocation(input, table, prefixTable);
+
+    if (!lookup.ok) {
+      return createFailure(lookup.reason);
+    }
+
+    location = lookup.location;
+  } else {
+    location = await describeCoordinates(input, table);
+  }
+
+  const distanceMiles = haversineMiles(origin, location);
+  const inArea = distanceMiles <= radiusMiles;
+  const distance = formatDistance(distanceMiles);
+  const office = t('serviceArea.office', { city: SITE_CONFIG.address.city });
+  const isGeolocation = location.source === 'geolocation';
+
+  const message = inArea
+    ? t('serviceArea.inArea', {
+      place: isGeolocation ? t('serviceArea.yourArea') : location.label,
+      distance,
+      office,
+      radius: radiusMiles,
+    })
+    : t('serviceArea.outOfArea', {
+      place: isGeolocation ? t('serviceArea.yourLocation') : location.label,
+      distance,
+      office,
+      radius: radiusMiles,
+    });
+
+  return { ok: true, inArea, distanceMiles, radiusMiles, location, message };
+}
+
+/**
+ * Lists the service area towns inside the service area, nearest first
+ * Reads only the service area town table, so it needs no loading.
+ * @param {Object} [options] - Check options
+ * @param {{ latitude: number, longitude: number }} [options.origin] - Office coordinates
+ * @param {number} [options.radiusMiles] - Service radius in miles
+ * @param {Object} [options.towns=SERVICE_AREA_TOWNS] - Towns to consider, keyed by ZIP code
+ * @returns {Array<{ place: string, state: string, zip: string, coordinates: Object, distanceMiles: number }>}
+ *   Places in the service area
+ */
+export function getPlacesInServiceArea(options = {}) {
+  const {
+    origin = SITE_CONFIG.address.coordinates,
+    radiusMiles = SITE_CONFIG.serviceArea.radiusMiles,
+    towns = SERVICE_AREA_TOWNS,
+  } = options;
+
+  return Object.entries(towns)
+    .map(([zip, town]) => ({
+      place: town.place,
+      state: town.state,
+      zip,
+      coordinates: { latitude: town.latitude, longitude: town.longitude },
+      distanceMiles: haversineMiles(origin, town),
+    }))
+    .filter(({ distanceMiles }) => distanceMiles <= radiusMiles)
+    .sort((a, b) => a.distanceMiles - b.distanceMiles);
+}
+
+// ============================================
+// Browser Geolocation
+// ============================================
+
+/**
+ * Asks the browser for the visitor's approximate position
+ * @param {Geolocation} [geolocation=navigator.geolocation] - Geolocation API
+ * @returns {Promise<{ ok: true, coordinates: Object }|{ ok: false, reason: string, message: string }>} Position result
+ */
+export function getCurrentCoordinates(geolocation = globalThis.navigator?.geolocation) {
+  if (!geolocation) {
+    return Promise.resolve(createFailure('unsupported'));
+  }
+
+  return new Promise((resolve) => {
+    geolocation.getCurrentPosition(
+      (position) => {
+        resolve({
+          ok: true,
+          coordinates: { latitude: position.coords.latitude, longitude: position.coords.longitude },
+        });
+      },
+      (error) => {
+        // 1 = PERMISSION_DENIED; position unavailable and timeout are treated alike
+        resolve(createFailure(error && error.code === 1 ? 'denied' : 'unavailable'));
+      },
+      GEOLOCATION_OPTIONS
+    );
+  });
+}
+
+export { SERVICE_AREA_MESSAGE_KEYS };
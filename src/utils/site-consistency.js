@@ -0,0 +1,257 @@
+/**
+ * Site Consistency Checker
+ * Finds static page text that contradicts the site configuration
+ *
+ * @module utils/site-consistency
+ * @description Checks a document against data/site-config in two ways. Elements
+ * marked with `data-site-config="<binding>"` must show exactly the configured text,
+ * and every phone number, email address and "N years" claim anywhere in the
+ * page text, link targets, labels and meta tags must match the configuration.
+ * Runs on any DOM (browser or jsdom) and returns a list of issues instead of throwing.
+ */
+
+import { SITE_CONFIG, formatConfigHours } from '../data/site-config.js';
+
+// ============================================
+// Bindings and Patterns
+// ============================================
+
+/**
+ * Expected text for each `data-site-config` binding
+ * @constant {Object<string, Function>}
+ */
+const CONFIG_BINDINGS = Object.freeze({
+  'brand.name': (config) => config.brand.name,
+  'contact.phone': (config) => config.contact.phone.display,
+  'contact.emergency': (config) => config.contact.emergency.display,
+  'contact.email': (config) => config.contact.email.display,
+  'address.street': (config) => config.address.street,
+  'address.locality': (config) => `${config.address.city}, ${config.address.state} ${config.address.zip}`,
+  'address.country': (config) => config.address.country,
+  'hours.weekdays': (config) => formatScheduleEntry(config.hours.schedule.weekdays),
+  'hours.saturday': (config) => formatScheduleEntry(config.hours.schedule.saturday),
+  'hours.sunday': (config) => formatScheduleEntry(config.hours.schedule.sunday),
+  'stats.yearsOfExperience': (config) => config.stats.yearsOfExperience.display,
+  'stats.farmsServed': (config) => config.stats.farmsServed.display,
+  'stats.clientSatisfaction': (config) => config.stats.clientSatisfaction.display,
+  'stats.acresManaged': (config) => config.stats.acresManaged.display,
+  'stats.teamSize': (config) => config.stats.teamSize.display,
+});
+
+/**
+ * Attributes whose text is user-visible or announced
+ * @constant {string[]}
+ */
+const TEXT_ATTRIBUTES = Object.freeze(['aria-label', 'alt', 'title']);
+
+/**
+ * Meta tags that must name the brand
+ * @constant {string[]}
+ */
+const BRAND_META_SELECTORS = Object.freeze([
+  'meta[name="author"]',
+  'meta[property="og:title"]',
+  'meta[name="twitter:title"]',
+]);
+
+const PHONE_PATTERN = /(?:\+?1[\s.-]?)?\(?\d{3}\)?[\s.-]\d{3}[\s.-]\d{4}/g;
+const EMAIL_PATTERN = /[\w.+-]+@[\w-]+(?:\.[\w-]+)+/g;
+const YEARS_PATTERN = /\b(\d+)\+?\s+years?\b/gi;
+
+// ============================================
+// Helpers
+// ============================================
+
+/**
+ * Formats a schedule entry as "Days: hours"
+ * @param {Object} entry - Schedule entry
+ * @returns {string} Display text
+ */
+function formatScheduleEntry(entry) {
+  return `${entry.days}: ${formatConfigHours(entry)}`;
+}
+
+/**
+ * Collapses whitespace so markup line breaks do not affect comparisons
+ * @param {string} text - Raw text
+ * @returns {string} Normalized text
+ */
+function normalizeText(text) {
+  return (text || '').replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Reduces a phone number to its 10-digit national number (NANP)
+ * @param {string} phone - Phone number in any format
+ * @returns {string} Digits
+ */
+function toNationalDigits(phone) {
+  const digits = phone.replace(/\D/g, '');
+  return digits.length === 11 && digits.startsWith('1') ? digits.slice(1) : digits;
+}
+
+/**
+ * Collects the visible text, announced labels and meta content of a document
+ * Form controls are skipped: placeholders and option labels are examples, not claims
+ * @param {Document} root - Document to scan
+ * @returns {string} Normalized text
+ */
+function collectText(root) {
+  const texts = [];
+  const body = root.body || root.documentElement;
+
+  const walker = root.createTreeWalker(body, 0x4 /* NodeFilter.SHOW_TEXT */);
+  let node = walker.nextNode();
+
+  while (node) {
+    if (!node.parentElement.closest('script, style, noscript, select, textarea')) {
+      texts.push(node.textContent);
+    }
+    node = walker.nextNode();
+  }
+
+  body.querySelectorAll('*').forEach((element) => {
+    TEXT_ATTRIBUTES.forEach((attribute) => {
+      if (element.hasAttribute(attribute)) {
+        texts.push(element.getAttribute(attribute));
+      }
+    });
+  });
+
+  const title = root.querySelector('title');
+  if (title) {
+    texts.push(title.textContent);
+  }
+
+  root.querySelectorAll('meta[content]').forEach((meta) => texts.push(meta.getAttribute('content')));
+
+  return normalizeText(texts.join(' '));
+}
+
+// ============================================
+// Checks
+// ============================================
+
+/**
+ * Checks `data-site-config` bindings
+ * @param {Document} root - Document
+ * @param {Object} config - Site configuration
+ * @param {Object[]} issues - Issues (mutated)
+ */
+function checkBindings(root, config, issues) {
+  root.querySelectorAll('[data-site-config]').forEach((element) => {
+    const binding = element.getAttribute('data-site-config');
+    const expectedFor = CONFIG_BINDINGS[binding];
+
+    if (!expectedFor) {
+      issues.push({ rule: 'binding', message: `Unknown site config binding "${binding}"`, expected: null, actual: binding });
+      return;
+    }
+
+    const expected = expectedFor(config);
+    const actual = normalizeText(element.textContent);
+
+    if (actual !== expected) {
+      issues.push({ rule: 'binding', message: `"${binding}" text does not match the site config`, expected, actual });
+    }
+  });
+}
+
+/**
+ * Checks that the document title and brand meta tags name the brand
+ * @param {Document} root - Document
+ * @param {Object} config - Site configuration
+ * @param {Object[]} issues - Issues (mutated)
+ */
+function checkBrandMetadata(root, config, issues) {
+  const title = root.querySelector('title');
+  const sources = [['<title>', title ? title.textContent : null]];
+
+  BRAND_META_SELECTORS.forEach((selector) => {
+    const meta = root.querySelector(selector);
+    sources.push([selector, meta ? meta.getAttribute('content') : null]);
+  });
+
+  sources.forEach(([source, text]) => {
+    if (text !== null && !text.includes(config.brand.name)) {
+      issues.push({ rule: 'brand', message: `${source} does not name the brand`, expected: config.brand.name, actual: normalizeText(text) });
+    }
+  });
+}
+
+/**
+ * Checks tel: and mailto: link targets
+ * @param {Document} root - Document
+ * @param {Object} config - Site configuration
+ * @param {Object[]} issues - Issues (mutated)
+ */
+function checkLinks(root, config, issues) {
+  const phones = [config.contact.phone.raw, config.contact.emergency.raw];
+
+  root.querySelectorAll('a[href^="tel:"]').forEach((link) => {
+    const number = link.getAttribute('href').slice('tel:'.length);
+
+    if (!phones.includes(number)) {
+      issues.push({ rule: 'phone', message: 'tel: link is not a configured phone number', expected: phones.join(' or '), actual: number });
+    }
+  });
+
+  root.querySelectorAll('a[href^="mailto:"]').forEach((link) => {
+    const address = link.getAttribute('href').slice('mailto:'.length).split('?')[0];
+
+    if (address !== config.contact.email.raw) {
+      issues.push({ rule: 'email', message: 'mailto: link is not the configured email address', expected: config.contact.email.raw, actual: address });
+    }
+  });
+}
+
+/**
+ * Checks phone numbers, email addresses and years-of-experience claims in page text
+ * @param {Document} root - Document
+ * @param {Object} config - Site configuration
+ * @param {Object[]} issues - Issues (mutated)
+ */
+function checkTextClaims(root, config, issues) {
+  const phones = [config.contact.phone.raw, config.contact.emergency.raw].map(toNationalDigits);
+  const email = config.contact.email.raw.toLowerCase();
+  const years = config.stats.yearsOfExperience.value;
+
+  const text = collectText(root);
+
+  (text.match(PHONE_PATTERN) || []).forEach((phone) => {
+    if (!phones.includes(toNationalDigits(phone))) {
+      issues.push({ rule: 'phone', message: 'Page text shows an unconfigured phone number', expected: config.contact.phone.display, actual: phone });
+    }
+  });
+
+  (text.match(EMAIL_PATTERN) || []).forEach((address) => {
+    if (address.toLowerCase() !== email) {
+      issues.push({ rule: 'email', message: 'Page text shows an unconfigured email address', expected: config.contact.email.display, actual: address });
+    }
+  });
+
+  for (const match of text.matchAll(YEARS_PATTERN)) {
+    if (Number(match[1]) !== years) {
+      issues.push({ rule: 'years', message: 'Page text claims a different years of experience', expected: `${years} years`, actual: match[0] });
+    }
+  }
+}
+
+/**
+ * Checks a document against the site configuration
+ * @param {Document} [root=document] - Document to check
+ * @param {Object} [config=SITE_CONFIG] - Site configuration
+ * @returns {Array<{ rule: string, message: string, expected: string|null, actual: string }>} Issues (empty if consistent)
+ */
+export function checkSiteConsistency(root = document, config = SITE_CONFIG) {
+  const issues = [];
+
+  checkBindings(root, config, issues);
+  checkBrandMetadata(root, config, issues);
+  checkLinks(root, config, issues);
+  checkTextClaims(root, config, issues);
+
+  return issues;
+}
+
+export { CONFIG_BINDINGS };
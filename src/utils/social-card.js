@@ -0,0 +1,252 @@
+/**
+ * Social Card Utility Module
+ * Builds branded Open Graph images and the meta tags that point at them
+ *
+ * @module utils/social-card
+ * @description Social networks show a 1200×630 preview image for shared links.
+ * This module lays out a card (brand, category, title and icon) as a standalone
+ * SVG with the text already wrapped, so the build can rasterize it to PNG
+ * without a browser, and writes the Open Graph and Twitter meta tags of a page.
+ */
+
+import { I18N_CONFIG } from './i18n.js';
+
+// ============================================
+// Constants and Configuration
+// ============================================
+
+/**
+ * Card layout settings
+ * Colors mirror the brand tokens in index.html and styles/main.css.
+ * @constant {Object}
+ */
+const SOCIAL_CARD_CONFIG = Object.freeze({
+  WIDTH: 1200,
+  HEIGHT: 630,
+  PADDING: 80,
+  MIME_TYPE: 'image/png',
+  COLORS: Object.freeze({
+    backgroundStart: '#1a2e0d',
+    backgroundEnd: '#2d5016',
+    accent: '#8fbc8f',
+    highlight: '#6b8e23',
+    text: '#ffffff',
+    mutedText: '#d7e8c8',
+  }),
+  FONT_FAMILY: "Georgia, 'Times New Roman', serif",
+  UI_FONT_FAMILY: "'Segoe UI', Roboto, 'Helvetica Neue', Arial, sans-serif",
+  // Average glyph widths are shares of the font size, for layout without font metrics
+  TITLE: Object.freeze({ fontSize: 68, lineHeight: 80, maxLines: 3, charWidthRatio: 0.62 }),
+  CATEGORY: Object.freeze({ fontSize: 24, letterSpacing: 2, charWidthRatio: 0.75, paddingX: 24 }),
+  ICON_SIZE: 240,
+});
+
+// ============================================
+// Text Layout
+// ============================================
+
+/**
+ * Escapes text for use in SVG/XML content and attributes
+ * @param {string} text - Raw text
+ * @returns {string} Escaped text
+ */
+function escapeXml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+}
+
+/**
+ * Wraps text into lines of at most a given length, breaking between words
+ * Text beyond the last line is cut at a word and marked with an ellipsis.
+ * @param {string} text - Text to wrap
+ * @param {number} maxChars - Maximum characters per line
+ * @param {number} maxLines - Maximum number of lines
+ * @returns {string[]} Lines
+ */
+export function wrapText(text, maxChars, maxLines) {
+  const words = String(text).trim().split(/\s+/).filter(Boolean);
+  const lines = [];
+  let line = '';
+
+  for (let index = 0; index < words.length; index++) {
+    const word = words[index];
+    const candidate = line ? `${line} ${word}` : word;
+
+    if (candidate.length <= maxChars || !line) {
+      line = candidate;
+      continue;
+    }
+
+    if (lines.length === maxLines - 1) {
+      lines.push(`${line}…`);
+      return lines;
+    }
+
+    lines.push(line);
+    line = word;
+  }
+
+  if (line) {
+    lines.push(line);
+  }
+
+  return lines;
+}
+
+// ============================================
+// Card Rendering
+// ============================================
+
+/**
+ * Renders the icon panel: the service icon when available, otherwise a monogram
+ * @param {string} [iconDataUrl] - Icon as a data: URL
+ * @param {string} monogram - Fallback letter
+ * @returns {string} SVG markup
+ */
+function renderIcon(iconDataUrl, monogram) {
+  const { WIDTH, HEIGHT, PADDING, ICON_SIZE, COLORS, FONT_FAMILY } = SOCIAL_CARD_CONFIG;
+  const x = WIDTH - PADDING - ICON_SIZE;
+  const y = (HEIGHT - ICON_SIZE) / 2;
+  const inset = ICON_SIZE * 0.2;
+
+  const content = iconDataUrl
+    ? `<image href="${escapeXml(iconDataUrl)}" x="${x + inset}" y="${y + inset}" width="${ICON_SIZE - inset * 2}" height="${ICON_SIZE - inset * 2}" preserveAspectRatio="xMidYMid meet"/>`
+    : `<text x="${x + ICON_SIZE / 2}" y="${y + ICON_SIZE / 2}" text-anchor="middle" dominant-baseline="central" font-family="${escapeXml(FONT_FAMILY)}" font-size="${ICON_SIZE * 0.5}" font-weight="700" fill="${COLORS.backgroundEnd}">${escapeXml(monogram)}</text>`;
+
+  return `<rect x="${x}" y="${y}" width="${ICON_SIZE}" height="${ICON_SIZE}" rx="48" fill="${COLORS.text}"/>${content}`;
+}
+
+/**
+ * Creates a branded social card as a standalone SVG document
+ * @param {Object} card - Card content
+ * @param {string} card.title - Main heading, wrapped onto up to three lines
+ * @param {string} card.category - Category label shown above the title
+ * @param {string} card.brand - Brand name shown at the top
+ * @param {string} card.footer - Footer text, such as the site address
+ * @param {string} [card.iconDataUrl] - Icon as a data: URL; a monogram is drawn without one
+ * @returns {string} SVG markup sized SOCIAL_CARD_CONFIG.WIDTH × HEIGHT
+ */
+export function createSocialCardSvg(card) {
+  const { WIDTH, HEIGHT, PADDING, ICON_SIZE, COLORS, FONT_FAMILY, UI_FONT_FAMILY, TITLE, CATEGORY } = SOCIAL_CARD_CONFIG;
+  const textWidth = WIDTH - PADDING * 3 - ICON_SIZE;
+  const maxChars = Math.floor(textWidth / (TITLE.fontSize * TITLE.charWidthRatio));
+  const titleLines = wrapText(card.title, maxChars, TITLE.maxLines);
+  const titleTop = (HEIGHT - titleLines.length * TITLE.lineHeight) / 2 + TITLE.fontSize;
+  const category = String(card.category).toUpperCase();
+  const categoryWidth = Math.round(
+    category.length * (CATEGORY.fontSize * CATEGORY.charWidthRatio + CATEGORY.letterSpacing) + CATEGORY.paddingX * 2
+  );
+
+  const titleText = titleLines
+    .map((line, index) => `<tspan x="${PADDING}" y="${titleTop + index * TITLE.lineHeight}">${escapeXml(line)}</tspan>`)
+    .join('');
+
+  return [
+    `<svg xmlns="http://www.w3.org/2000/svg" width="${WIDTH}" height="${HEIGHT}" viewBox="0 0 ${WIDTH} ${HEIGHT}">`,
+    '<defs>',
+    `<linearGradient id="background" x1="0" y1="0" x2="1" y2="1">`,
+    `<stop offset="0" stop-color="${COLORS.backgroundStart}"/>`,
+    `<stop offset="1" stop-color="${COLORS.backgroundEnd}"/>`,
+    '</linearGradient>',
+    '</defs>',
+    `<rect width="${WIDTH}" height="${HEIGHT}" fill="url(#background)"/>`,
+    `<circle cx="${WIDTH}" cy="${HEIGHT}" r="360" fill="${COLORS.highlight}" fill-opacity="0.25"/>`,
+    `<rect x="0" y="${HEIGHT - 16}" width="${WIDTH}" height="16" fill="${COLORS.accent}"/>`,
+    `<text x="${PADDING}" y="${PADDING + 28}" font-family="${escapeXml(UI_FONT_FAMILY)}" font-size="32" font-weight="700" fill="${COLORS.text}">${escapeXml(card.brand)}</text>`,
+    `<rect x="${PADDING}" y="${titleTop - TITLE.fontSize - 88}" width="${categoryWidth}" height="48" rx="24" fill="${COLORS.accent}"/>`,
+    `<text x="${PADDING + CATEGORY.paddingX}" y="${titleTop - TITLE.fontSize - 56}" font-family="${escapeXml(UI_FONT_FAMILY)}" font-size="${CATEGORY.fontSize}" font-weight="700" letter-spacing="${CATEGORY.letterSpacing}" fill="${COLORS.backgroundStart}">${escapeXml(category)}</text>`,
+    `<text font-family="${escapeXml(FONT_FAMILY)}" font-size="${TITLE.fontSize}" font-weight="700" fill="${COLORS.text}">${titleText}</text>`,
+    `<text x="${PADDING}" y="${HEIGHT - PADDING + 20}" font-family="${escapeXml(UI_FONT_FAMILY)}" font-size="28" fill="${COLORS.mutedText}">${escapeXml(card.footer)}</text>`,
+    renderIcon(card.iconDataUrl, category.charAt(0)),
+    '</svg>',
+  ].join('');
+}
+
+// ============================================
+// Meta Tags
+// ============================================
+
+/**
+ * Finds or creates a meta element in the head
+ * @param {Document} doc - Document to update
+ * @param {string} attribute - Key attribute, "property" or "name"
+ * @param {string} key - Key such as "og:image"
+ * @returns {HTMLMetaElement} Meta element
+ */
+function ensureMeta(doc, attribute, key) {
+  let meta = doc.head.querySelector(`meta[${attribute}="${key}"]`);
+
+  if (!meta) {
+    meta = doc.createElement('meta');
+    meta.setAttribute(attribute, key);
+    doc.head.appendChild(meta);
+  }
+
+  return meta;
+}
+
+/**
+ * Points a page's title, canonical and language links and Open Graph/Twitter meta at one shared item
+ * @param {Document} doc - Document to update
+ * @param {Object} meta - Page metadata
+ * @param {string} meta.title - Page and card title
+ * @param {string} meta.description - Short description
+ * @param {string} meta.url - Absolute page URL
+ * @param {string} meta.image - Absolute image URL
+ * @param {string} meta.imageAlt - Image description
+ * @returns {void}
+ */
+export function applySocialMeta(doc, meta) {
+  const { WIDTH, HEIGHT, MIME_TYPE } = SOCIAL_CARD_CONFIG;
+  const properties = {
+    'og:title': meta.title,
+    'og:description': meta.description,
+    'og:url': meta.url,
+    'og:image': meta.image,
+    'og:image:type': MIME_TYPE,
+    'og:image:width': String(WIDTH),
+    'og:image:height': String(HEIGHT),
+    'og:image:alt': meta.imageAlt,
+  };
+  const names = {
+    description: meta.description,
+    'twitter:card': 'summary_large_image',
+    'twitter:title': meta.title,
+    'twitter:description': meta.description,
+    'twitter:image': meta.image,
+    'twitter:image:alt': meta.imageAlt,
+  };
+
+  Object.entries(properties).forEach(([key, value]) => {
+    ensureMeta(doc, 'property', key).setAttribute('content', value);
+  });
+
+  Object.entries(names).forEach(([key, value]) => {
+    ensureMeta(doc, 'name', key).setAttribute('content', value);
+  });
+
+  // The page copy is fixed to this item, so runtime translation must not restore the site-wide text
+  const title = doc.head.querySelector('title');
+  if (title) {
+    title.removeAttribute(I18N_CONFIG.TEXT_ATTRIBUTE);
+  }
+  ensureMeta(doc, 'name', 'description').removeAttribute(I18N_CONFIG.ATTR_ATTRIBUTE);
+  doc.title = meta.title;
+
+  const canonical = doc.head.querySelector('link[rel="canonical"]');
+  if (canonical) {
+    canonical.setAttribute('href', meta.url);
+  }
+
+  // Language alternates keep their query (e.g. ?lang=es) on the new address
+  doc.head.querySelectorAll('link[rel="alternate"][hreflang]').forEach((link) => {
+    const { search } = new URL(link.getAttribute('href'), meta.url);
+    link.setAttribute('href', `${meta.url}${search}`);
+  });
+}
+
+export { SOCIAL_CARD_CONFIG };
@@ -0,0 +1,184 @@
+/**
+ * Structured Data Utility Module
+ * Validates, serializes and embeds schema.org JSON-LD
+ *
+ * @module utils/structured-data
+ * @description Search engines read schema.org data from
+ * `<script type="application/ld+json">` elements. This module checks that every
+ * typed node carries the properties search engines require for it, serializes
+ * documents safely for inline scripts and keeps a single JSON-LD element in the
+ * page up to date. The same output is produced at build time by the Vite
+ * plugin, so crawlers that do not run JavaScript still see it.
+ */
+
+// ============================================
+// Constants and Configuration
+// ============================================
+
+/**
+ * JSON-LD settings
+ * @constant {Object}
+ */
+const STRUCTURED_DATA_CONFIG = Object.freeze({
+  CONTEXT: 'https://schema.org',
+  MIME_TYPE: 'application/ld+json',
+  SCRIPT_ID: 'structured-data',
+});
+
+/**
+ * Properties each schema.org type must have, following the required fields of
+ * the corresponding search engine rich result types
+ * @constant {Object<string, string[]>}
+ */
+const REQUIRED_PROPERTIES = Object.freeze({
+  LocalBusiness: Object.freeze(['name', 'address', 'telephone', 'url']),
+  PostalAddress: Object.freeze(['streetAddress', 'addressLocality', 'addressRegion', 'postalCode', 'addressCountry']),
+  GeoCoordinates: Object.freeze(['latitude', 'longitude']),
+  OpeningHoursSpecification: Object.freeze(['dayOfWeek', 'opens', 'closes']),
+  OfferCatalog: Object.freeze(['name', 'itemListElement']),
+  Offer: Object.freeze(['itemOffered']),
+  Service: Object.freeze(['name', 'description', 'provider']),
+  AggregateRating: Object.freeze(['ratingValue', 'reviewCount']),
+  Review: Object.freeze(['author', 'reviewRating', 'reviewBody']),
+  Rating: Object.freeze(['ratingValue']),
+  Person: Object.freeze(['name']),
+  FAQPage: Object.freeze(['mainEntity']),
+  Question: Object.freeze(['name', 'acceptedAnswer']),
+  Answer: Object.freeze(['text']),
+});
+
+// ============================================
+// Builders
+// ============================================
+
+/**
+ * Builds a schema.org FAQPage from question and answer pairs
+ * @param {Array<{question: string, answer: string}>} entries - Questions with their answers
+ * @returns {Object|null} FAQPage node, or null when there are no entries
+ */
+export function createFaqPage(entries) {
+  if (!Array.isArray(entries) || entries.length === 0) {
+    return null;
+  }
+
+  return {
+    '@type': 'FAQPage',
+    mainEntity: entries.map(({ question, answer }) => ({
+      '@type': 'Question',
+      name: question,
+      acceptedAnswer: { '@type': 'Answer', text: answer },
+    })),
+  };
+}
+
+// ============================================
+// Validation
+// ============================================
+
+/**
+ * Checks whether a property value counts as present
+ * @param {*} value - Property value
+ * @returns {boolean} True for non-empty strings, finite numbers, non-empty arrays and objects
+ */
+function isPresent(value) {
+  if (typeof value === 'string') {
+    return value.trim().length > 0;
+  }
+
+  if (typeof value === 'number') {
+    return Number.isFinite(value);
+  }
+
+  if (Array.isArray(value)) {
+    return value.length > 0;
+  }
+
+  return value !== null && typeof value === 'object';
+}
+
+/**
+ * Collects missing required properties in a node and its children
+ * @param {*} node - JSON-LD value
+ * @param {string} path - Path of the value, for error messages
+ * @param {string[]} errors - Collected errors
+ */
+function collectErrors(node, path, errors) {
+  if (Array.isArray(node)) {
+    node.forEach((item, index) => collectErrors(item, `${path}[${index}]`, errors));
+    return;
+  }
+
+  if (node === null || typeof node !== 'object') {
+    return;
+  }
+
+  const types = [].concat(node['@type'] || []);
+
+  types.forEach((type) => {
+    (REQUIRED_PROPERTIES[type] || []).forEach((property) => {
+      if (!isPresent(node[property])) {
+        errors.push(`${type} at ${path} is missing required property '${property}'`);
+      }
+    });
+  });
+
+  Object.entries(node).forEach(([key, value]) => {
+    if (!key.startsWith('@') || key === '@graph') {
+      collectErrors(value, `${path}.${key}`, errors);
+    }
+  });
+}
+
+/**
+ * Validates a JSON-LD document against the required properties of its types
+ * @param {Object} data - JSON-LD document
+ * @returns {{valid: boolean, errors: string[]}} Validation result
+ */
+export function validateStructuredData(data) {
+  const errors = [];
+
+  if (!data || typeof data !== 'object' || data['@context'] !== STRUCTURED_DATA_CONFIG.CONTEXT) {
+    errors.push(`Document must have '@context' set to '${STRUCTURED_DATA_CONFIG.CONTEXT}'`);
+  }
+
+  collectErrors(data, '$', errors);
+
+  return { valid: errors.length === 0, errors };
+}
+
+// ============================================
+// Serialization and Rendering
+// ============================================
+
+/**
+ * Serializes a JSON-LD document for an inline script element
+ * Escapes "<" so text such as "</script>" cannot end the element early.
+ * @param {Object} data - JSON-LD document
+ * @returns {string} JSON text
+ */
+export function serializeStructuredData(data) {
+  return JSON.stringify(data).replace(/</g, '\\u003c');
+}
+
+/**
+ * Writes a JSON-LD document into the page's structured data script,
+ * creating the element in the head if the build did not emit one
+ * @param {Object} data - JSON-LD document
+ * @param {Document} [doc=document] - Document to update
+ * @returns {HTMLScriptElement} Script element holding the data
+ */
+export function renderStructuredData(data, doc = document) {
+  let script = doc.getElementById(STRUCTURED_DATA_CONFIG.SCRIPT_ID);
+
+  if (!script) {
+    script = doc.createElement('script');
+    script.id = STRUCTURED_DATA_CONFIG.SCRIPT_ID;
+    script.type = STRUCTURED_DATA_CONFIG.MIME_TYPE;
+    doc.head.appendChild(script);
+  }
+
+  script.textContent = serializeStructuredData(data);
+  return script;
+}
+
+export { STRUCTURED_DATA_CONFIG, REQUIRED_PROPERTIES };
@@ -0,0 +1,532 @@
+/**
+ * Submission Queue Utility Module
+ * Offline queue for form submissions on unreliable rural connections
+ *
+ * @module utils/submission-queue
+ * @description Persists sanitized submissions that failed for connectivity reasons
+ * (IndexedDB with a localStorage fallback), retries them automatically when the
+ * browser comes back online using exponential backoff, and de-duplicates entries
+ * by a client-generated submission ID. High-priority requests (such as emergency
+ * callbacks) are sent ahead of everything else.
+ */
+
+import { processContactFormData } from './validation.js';
+import { SUBMISSION_ERRORS, SUBMISSION_PRIORITY } from './form-submission.js';
+
+// ============================================
+// Constants and Configuration
+// ============================================
+
+/**
+ * Queue configuration
+ * @constant {Object}
+ */
+const QUEUE_CONFIG = Object.freeze({
+  DB_NAME: 'agroservices',
+  DB_VERSION: 1,
+  STORE_NAME: 'submission-queue',
+  STORAGE_KEY: 'agroservices:submission-queue',
+  BASE_DELAY: 2000,
+  MAX_DELAY: 5 * 60 * 1000,
+  JITTER_RATIO: 0.2,
+});
+
+/**
+ * Failure reasons that mean the message never reached the server and can be retried
+ * @constant {string[]}
+ */
+const QUEUEABLE_REASONS = Object.freeze([
+  SUBMISSION_ERRORS.OFFLINE,
+  SUBMISSION_ERRORS.NETWORK,
+  SUBMISSION_ERRORS.TIMEOUT,
+]);
+
+/**
+ * Failure reasons that keep an entry queued during a retry pass
+ * Server errors are transient, so queued entries are not discarded for them
+ * @constant {string[]}
+ */
+const RETRYABLE_REASONS = Object.freeze([
+  ...QUEUEABLE_REASONS,
+  SUBMISSION_ERRORS.SERVER,
+]);
+
+/**
+ * Delivery order of priorities, most urgent first
+ * @constant {string[]}
+ */
+const PRIORITY_ORDER = Object.freeze([
+  SUBMISSION_PRIORITY.HIGH,
+  SUBMISSION_PRIORITY.NORMAL,
+]);
+
+// ============================================
+// Helpers
+// ============================================
+
+/**
+ * Generate a client-side submission ID used for de-duplication
+ * @returns {string} Unique submission ID
+ */
+export function createSubmissionId() {
+  if (typeof crypto !== 'undefined' && typeof crypto.randomUUID === 'function') {
+    return crypto.randomUUID();
+  }
+
+  return `sub-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 10)}`;
+}
+
+/**
+ * Check whether a failed submission result should be queued for retry
+ * @param {Object} result - Submission result from the submission service
+ * @returns {boolean} True if the failure was caused by connectivity
+ */
+export function isQueueableFailure(result) {
+  return Boolean(result) && !result.ok && QUEUEABLE_REASONS.includes(result.reason);
+}
+
+/**
+ * Calculate the retry delay for an attempt using exponential backoff with jitter
+ * @param {number} attempt - Number of attempts already made (1-based)
+ * @param {Function} [random=Math.random] - Source of jitter in [0, 1)
+ * @returns {number} Delay in milliseconds
+ */
+export function getRetryDelay(attempt, random = Math.random) {
+  const exponent = Math.max(0, attempt - 1);
+  const delay = Math.min(QUEUE_CONFIG.BASE_DELAY * (2 ** exponent), QUEUE_CONFIG.MAX_DELAY);
+  const jitter = delay * QUEUE_CONFIG.JITTER_RATIO * random();
+
+  return Math.round(delay + jitter);
+}
+
+/**
+ * Order queued entries for delivery: higher priority first, then oldest first
+ * Entries without a known priority are treated as normal.
+ * @param {Object} a - Queue entry
+ * @param {Object} b - Queue entry
+ * @returns {number} Sort order
+ */
+function compareEntries(a, b) {
+  const rank = (entry) => {
+    const index = PRIORITY_ORDER.indexOf(entry.payload && entry.payload.priority);
+    return index === -1 ? PRIORITY_ORDER.indexOf(SUBMISSION_PRIORITY.NORMAL) : index;
+  };
+
+  return rank(a) - rank(b) || a.createdAt - b.createdAt;
+}
+
+/**
+ * Queue clock: time, timers and jitter, replaceable in tests
+ * @typedef {Object} QueueClock
+ * @property {Function} now - `() => number` current time in milliseconds
+ * @property {Function} setTimeout - `(callback, delay) => id`
+ * @property {Function} clearTimeout - `(id) => void`
+ * @property {Function} random - `() => number` in [0, 1), used for retry jitter
+ */
+
+/**
+ * Default clock backed by the browser
+ * @type {QueueClock}
+ */
+const systemClock = Object.freeze({
+  now: () => Date.now(),
+  setTimeout: (callback, delay) => setTimeout(callback, delay),
+  clearTimeout: (id) => clearTimeout(id),
+  random: () => Math.random(),
+});
+
+/**
+ * Check whether the browser reports being offline
+ * @returns {boolean} True if offline
+ */
+function isOffline() {
+  return typeof navigator !== 'undefined' && navigator.onLine === false;
+}
+
+// ============================================
+// Storage Backends
+// ============================================
+
+/**
+ * Queue storage backend
+ * @typedef {Object} QueueStorage
+ * @property {string} name - Backend identifier
+ * @property {Function} getAll - `() => Promise<Object[]>`
+ * @property {Function} put - `(entry) => Promise<void>`
+ * @property {Function} remove - `(id) => Promise<void>`
+ */
+
+/**
+ * Wrap an IndexedDB request in a promise
+ * @param {IDBRequest} request - IndexedDB request
+ * @returns {Promise<*>} Request result
+ */
+function promisifyRequest(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+/**
+ * Open the queue database
+ * @returns {Promise<IDBDatabase>} Database connection
+ */
+function openDatabase() {
+  const request = indexedDB.open(QUEUE_CONFIG.DB_NAME, QUEUE_CONFIG.DB_VERSION);
+
+  request.onupgradeneeded = () => {
+    const db = request.result;
+    if (!db.objectStoreNames.contains(QUEUE_CONFIG.STORE_NAME)) {
+      db.createObjectStore(QUEUE_CONFIG.STORE_NAME, { keyPath: 'id' });
+    }
+  };
+
+  return promisifyRequest(request);
+}
+
+/**
+ * Create an IndexedDB-backed queue storage
+ * @returns {Promise<QueueStorage>} Storage backend
+ */
+async function createIndexedDbStorage() {
+  const db = await openDatabase();
+
+  const withStore = (mode, operation) => {
+    const transaction = db.transaction(QUEUE_CONFIG.STORE_NAME, mode);
+    return promisifyRequest(operation(transaction.objectStore(QUEUE_CONFIG.STORE_NAME)));
+  };
+
+  return {
+    name: 'indexeddb',
+    getAll: () => withStore('readonly', (store) => store.getAll()),
+    put: (entry) => withStore('readwrite', (store) => store.put(entry)).then(() => undefined),
+    remove: (id) => withStore('readwrite', (store) => store.delete(id)).then(() => undefined),
+  };
+}
+
+/**
+ * Create a localStorage-backed queue storage
+ * @returns {QueueStorage} Storage backend
+ */
+function createLocalStorageStorage() {
+  const read = () => {
+    try {
+      const stored = JSON.parse(localStorage.getItem(QUEUE_CONFIG.STORAGE_KEY) || '[]');
+      return Array.isArray(stored) ? stored : [];
+    } catch (error) {
+      console.warn('[SubmissionQueue] Discarding unreadable stored queue:', error);
+      return [];
+    }
+  };
+
+  const write = (entries) => {
+    localStorage.setItem(QUEUE_CONFIG.STORAGE_KEY, JSON.stringify(entries));
+  };
+
+  return {
+    name: 'localstorage',
+    async getAll() {
+      return read();
+    },
+    async put(entry) {
+      write([...read().filter((item) => item.id !== entry.id), entry]);
+    },
+    async remove(id) {
+      write(read().filter((item) => item.id !== id));
+    },
+  };
+}
+
+/**
+ * Create an in-memory queue storage (used when persistent storage is unavailable)
+ * @returns {QueueStorage} Storage backend
+ */
+function createMemoryStorage() {
+  const entries = new Map();
+
+  return {
+    name: 'memory',
+    async getAll() {
+      return Array.from(entries.values());
+    },
+    async put(entry) {
+      entries.set(entry.id, entry);
+    },
+    async remove(id) {
+      entries.delete(id);
+    },
+  };
+}
+
+/**
+ * Pick the best available storage backend
+ * Prefers IndexedDB, then localStorage, then memory
+ * @returns {Promise<QueueStorage>} Storage backend
+ */
+export async function createQueueStorage() {
+  if (typeof indexedDB !== 'undefined') {
+    try {
+      return await createIndexedDbStorage();
+    } catch (error) {
+      console.warn('[SubmissionQueue] IndexedDB unavailable, falling back to localStorage:', error);
+    }
+  }
+
+  try {
+    const probeKey = `${QUEUE_CONFIG.STORAGE_KEY}:probe`;
+    localStorage.setItem(probeKey, '1');
+    localStorage.removeItem(probeKey);
+    return createLocalStorageStorage();
+  } catch (error) {
+    console.warn('[SubmissionQueue] localStorage unavailable, queue will not survive reloads:', error);
+  }
+
+  return createMemoryStorage();
+}
+
+// ============================================
+// Submission Queue
+// ============================================
+
+/**
+ * Create an offline submission queue
+ * @param {Object} options - Queue options
+ * @param {Function} options.send - Async function `(payload, entry) => Promise<Object>` returning a submission result
+ * @param {QueueStorage|Promise<QueueStorage>} [options.storage] - Storage backend (defaults to createQueueStorage())
+ * @param {QueueClock} [options.clock] - Time source and timers (defaults to the browser's)
+ * @returns {Object} Queue with enqueue, flush, start, stop, subscribe and getPending methods
+ */
+export function createSubmissionQueue(options = {}) {
+  const { send } = options;
+
+  if (typeof send !== 'function') {
+    throw new Error('[SubmissionQueue] A send function is required');
+  }
+
+  const storageReady = Promise.resolve(options.storage || createQueueStorage());
+  const clock = { ...systemClock, ...options.clock };
+  const listeners = new Set();
+  const queueState = {
+    flushPromise: null,
+    retryTimer: null,
+    retryAttempt: 0,
+    isStarted: false,
+  };
+
+  /**
+   * Notify subscribers of a queue event
+   * @param {string} type - Event type ('queued', 'sent', 'rejected', 'retry-scheduled')
+   * @param {Object} [details] - Event details
+   */
+  const emit = (type, details = {}) => {
+    listeners.forEach((listener) => {
+      try {
+        listener({ type, ...details });
+      } catch (error) {
+        console.error('[SubmissionQueue] Listener error:', error);
+      }
+    });
+  };
+
+  const clearRetry = () => {
+    if (queueState.retryTimer) {
+      clock.clearTimeout(queueState.retryTimer);
+      queueState.retryTimer = null;
+    }
+  };
+
+  const scheduleRetry = (pendingCount) => {
+    clearRetry();
+
+    // Going back online triggers a flush, so there is nothing to schedule while offline
+    if (isOffline()) {
+      return;
+    }
+
+    queueState.retryAttempt += 1;
+    const delay = getRetryDelay(queueState.retryAttempt, clock.random);
+    queueState.retryTimer = clock.setTimeout(() => {
+      queueState.retryTimer = null;
+      flush();
+    }, delay);
+
+    emit('retry-scheduled', { delay, attempt: queueState.retryAttempt, pending: pendingCount });
+  };
+
+  /**
+   * Send every queued entry once, high priority first, then oldest first
+   * @returns {Promise<{ sent: number, pending: number }>} Flush summary
+   */
+  const runFlush = async () => {
+    const storage = await storageReady;
+    const entries = (await storage.getAll()).sort(compareEntries);
+    let sent = 0;
+    let pending = 0;
+
+    for (const entry of entries) {
+      if (isOffline()) {
+        pending += 1;
+        continue;
+      }
+
+      let result;
+      try {
+        result = await send({ ...entry.payload, submissionId: entry.id }, entry);
+      } catch (error) {
+        console.error('[SubmissionQueue] Send failed:', error);
+        result = { ok: false, reason: SUBMISSION_ERRORS.NETWORK };
+      }
+
+      if (result.ok) {
+        await storage.remove(entry.id);
+        sent += 1;
+        emit('sent', { entry, result });
+      } else if (RETRYABLE_REASONS.includes(result.reason)) {
+        await storage.put({ ...entry, attempts: entry.attempts + 1, lastAttemptAt: clock.now() });
+        pending += 1;
+      } else {
+        // The server refused the message; retrying it unchanged would fail again
+        await storage.remove(entry.id);
+        console.warn('[SubmissionQueue] Queued submission rejected:', { id: entry.id, reason: result.reason });
+        emit('rejected', { entry, result });
+      }
+    }
+
+    if (pending > 0) {
+      scheduleRetry(pending);
+    } else {
+      queueState.retryAttempt = 0;
+    }
+
+    return { sent, pending };
+  };
+
+  /**
+   * Attempt to send queued entries; concurrent calls share a single pass
+   * @returns {Promise<{ sent: number, pending: number }>} Flush summary
+   */
+  const flush = () => {
+    if (!queueState.flushPromise) {
+      clearRetry();
+      queueState.flushPromise = runFlush()
+        .catch((error) => {
+          console.error('[SubmissionQueue] Flush failed:', error);
+          return { sent: 0, pending: 0 };
+        })
+        .finally(() => {
+          queueState.flushPromise = null;
+        });
+    }
+
+    return queueState.flushPromise;
+  };
+
+  const handleOnline = () => {
+    // A fresh connection deserves a prompt attempt rather than the backed-off delay
+    queueState.retryAttempt = 0;
+    flush();
+  };
+
+  return {
+    /**
+     * Sanitize and persist a submission for later delivery
+     * @param {Object} payload - Raw submission data
+     * @param {string} [id] - Client-generated submission ID
+     * @param {Object} [enqueueOptions] - Enqueue options
+     * @param {Function} [enqueueOptions.validate] - Validator `(values) => { isValid, data, errors }`
+     *   for the form the payload came from (defaults to the contact form's)
+     * @param {string} [enqueueOptions.endpoint] - Endpoint to deliver to, kept with the entry
+     * @returns {Promise<{ queued: boolean, duplicate: boolean, id: string, errors: Object }>} Enqueue result
+     */
+    async enqueue(payload, id = createSubmissionId(), enqueueOptions = {}) {
+      const fields = { ...payload };
+      delete fields.submissionId;
+      const validate = enqueueOptions.validate || processContactFormData;
+      const processed = validate(fields);
+
+      if (!processed.isValid) {
+        console.warn('[SubmissionQueue] Refusing to queue invalid submission:', processed.errors);
+        return { queued: false, duplicate: false, id, errors: processed.errors };
+      }
+
+      const storage = await storageReady;
+      const existing = await storage.getAll();
+
+      if (existing.some((entry) => entry.id === id)) {
+        return { queued: true, duplicate: true, id, errors: {} };
+      }
+
+      const entry = {
+        id,
+        payload: processed.data,
+        endpoint: enqueueOptions.endpoint || null,
+        createdAt: clock.now(),
+        attempts: 0,
+        lastAttemptAt: null,
+      };
+
+      await storage.put(entry);
+      emit('queued', { entry, pending: existing.length + 1 });
+
+      return { queued: true, duplicate: false, id, errors: {} };
+    },
+
+    flush,
+
+    /**
+     * Begin listening for connectivity changes and send anything left from a previous visit
+     */
+    start() {
+      if (queueState.isStarted) {
+        return;
+      }
+
+      queueState.isStarted = true;
+      window.addEventListener('online', handleOnline);
+
+      if (!isOffline()) {
+        flush();
+      }
+    },
+
+    /**
+     * Stop listening for connectivity changes and cancel any scheduled retry
+     */
+    stop() {
+      queueState.isStarted = false;
+      window.removeEventListener('online', handleOnline);
+      clearRetry();
+    },
+
+    /**
+     * Subscribe to queue events
+     * @param {Function} listener - Receives `{ type, entry, result, pending, delay, attempt }`
+     * @returns {Function} Unsubscribe function
+     */
+    subscribe(listener) {
+      if (typeof listener !== 'function') {
+        console.error('[SubmissionQueue] Invalid listener provided to subscribe');
+        return () => {};
+      }
+
+      listeners.add(listener);
+      return () => listeners.delete(listener);
+    },
+
+    /**
+     * Get queued entries
+     * @returns {Promise<Object[]>} Pending entries in delivery order
+     */
+    async getPending() {
+      const storage = await storageReady;
+      return (await storage.getAll()).sort(compareEntries);
+    },
+  };
+}
+
+// ============================================
+// Module Exports
+// ============================================
+
+export { QUEUE_CONFIG };
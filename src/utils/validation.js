@@ -5,9 +5,15 @@
  * @module validation
  * @generated-from: task-id:AGRO-007
  * @modifies: contact form validation
- * @dependencies: []
+ * @dependencies: ["utils/email-check", "data/phone-regions", "data/services", "data/contact", "utils/i18n"]
  */
 
+import { validateEmailDeliverability } from './email-check.js';
+import { PHONE_REGIONS, DEFAULT_PHONE_REGION } from '../data/phone-regions.js';
+import { servicesData } from '../data/services.js';
+import { EMERGENCY_ISSUE_TYPES } from '../data/contact.js';
+import { t } from './i18n.js';
+
 /**
  * Email validation pattern (RFC 5322 simplified)
  * Validates standard email format with proper domain structure
@@ -38,13 +44,19 @@ const VALIDATION_CONSTRAINTS = Object.freeze({
     maxLength: 254, // RFC 5321 maximum
   },
   phone: {
-    minLength: 10,
-    maxLength: 20,
+    minE164Length: 8,
+    maxE164Length: 15, // ITU-T E.164 maximum
   },
   message: {
     minLength: 10,
     maxLength: 1000,
   },
+  location: {
+    maxLength: 120,
+  },
+  emergencyDetails: {
+    maxLength: 500,
+  },
 });
 
 /**
@@ -74,21 +86,21 @@ export function validateEmail(email) {
   if (!sanitized) {
     return {
       isValid: false,
-      error: 'Email address is required',
+      error: t('validation.email.required'),
     };
   }
 
   if (sanitized.length > VALIDATION_CONSTRAINTS.email.maxLength) {
     return {
       isValid: false,
-      error: 'Email address is too long',
+      error: t('validation.email.tooLong'),
     };
   }
 
   if (!EMAIL_PATTERN.test(sanitized)) {
     return {
       isValid: false,
-      error: 'Please enter a valid email address (e.g., name@example.com)',
+      error: t('validation.email.invalid'),
     };
   }
 
@@ -96,7 +108,7 @@ export function validateEmail(email) {
   if (sanitized.includes('..')) {
     return {
       isValid: false,
-      error: 'Email address cannot contain consecutive dots',
+      error: t('validation.email.consecutiveDots'),
     };
   }
 
@@ -108,7 +120,7 @@ export function validateEmail(email) {
     if (hasInvalidPart) {
       return {
         isValid: false,
-        error: 'Please enter a valid email domain',
+        error: t('validation.email.invalidDomain'),
       };
     }
   }
@@ -119,20 +131,147 @@ export function validateEmail(email) {
   };
 }
 
+/**
+ * Finds the supported region a calling code belongs to
+ * Prefers the selected region when several share a code (US and CA share +1)
+ * @param {string} digits - Digits starting with a country calling code
+ * @param {string} preferredRegion - Selected region code
+ * @returns {string|null} Region code or null if the calling code is not supported
+ */
+function findRegionByDialCode(digits, preferredRegion) {
+  const preferred = PHONE_REGIONS[preferredRegion];
+
+  if (preferred && digits.startsWith(preferred.dialCode)) {
+    return preferredRegion;
+  }
+
+  // Longest calling code first so +358 is not mistaken for +35x
+  const match = Object.entries(PHONE_REGIONS)
+    .filter(([, region]) => digits.startsWith(region.dialCode))
+    .sort(([, a], [, b]) => b.dialCode.length - a.dialCode.length)[0];
+
+  return match ? match[0] : null;
+}
+
+/**
+ * Checks whether a national number length is allowed for a region
+ * @param {Object} region - Region definition
+ * @param {string} nationalNumber - National significant number
+ * @returns {boolean} True if the length is within the region's range
+ */
+function isRegionLength(region, nationalNumber) {
+  const [min, max] = region.lengths;
+  return nationalNumber.length >= min && nationalNumber.length <= max;
+}
+
+/**
+ * Removes a domestic trunk prefix from a national number
+ * A "0" trunk prefix never begins a national number, so it is always removed;
+ * other prefixes are removed only when the number is too long without doing so
+ * @param {Object} region - Region definition
+ * @param {string} nationalNumber - Digits after the calling code
+ * @returns {string} National significant number
+ */
+function stripTrunkPrefix(region, nationalNumber) {
+  const { trunkPrefix } = region;
+
+  if (!trunkPrefix || !nationalNumber.startsWith(trunkPrefix)) {
+    return nationalNumber;
+  }
+
+  if (trunkPrefix === '0' || !isRegionLength(region, nationalNumber)) {
+    return nationalNumber.slice(trunkPrefix.length);
+  }
+
+  return nationalNumber;
+}
+
+/**
+ * Normalizes a phone number to E.164 using the selected region's numbering rules
+ * Numbers entered with a "+" or "00" prefix are parsed as international numbers;
+ * numbers from unsupported countries are accepted if they fit the E.164 length limit.
+ * @param {string} phone - Raw phone number
+ * @param {string} [regionCode='US'] - Selected region (ISO 3166-1 alpha-2)
+ * @returns {{ isValid: boolean, error: string|null, e164: string|null, region: string|null, nationalNumber: string|null }} Normalization result
+ */
+export function normalizePhoneNumber(phone, regionCode = DEFAULT_PHONE_REGION) {
+  const sanitized = sanitizeInput(phone);
+  const invalid = (error) => ({ isValid: false, error, e164: null, region: null, nationalNumber: null });
+
+  if (!sanitized) {
+    return invalid(t('validation.phone.required'));
+  }
+
+  if (!PHONE_PATTERN.test(sanitized)) {
+    return invalid(t('validation.phone.characters'));
+  }
+
+  const selectedCode = PHONE_REGIONS[regionCode] ? regionCode : DEFAULT_PHONE_REGION;
+  const selected = PHONE_REGIONS[selectedCode];
+  let digits = sanitized.replace(/\D/g, '');
+  let isInternational = sanitized.startsWith('+');
+
+  if (!isInternational && digits.startsWith('00')) {
+    digits = digits.slice(2);
+    isInternational = true;
+  }
+
+  // Treat a national-looking number that starts with the selected calling code
+  // (e.g. 1 555 123 4567 in the US) as already including it
+  if (!isInternational && digits.startsWith(selected.dialCode)
+    && !isRegionLength(selected, stripTrunkPrefix(selected, digits))
+    && isRegionLength(selected, digits.slice(selected.dialCode.length))) {
+    isInternational = true;
+  }
+
+  const regionKey = isInternational ? findRegionByDialCode(digits, selectedCode) : selectedCode;
+
+  if (!regionKey) {
+    // Unsupported calling code: only the E.164 length limit can be checked
+    if (digits.length < VALIDATION_CONSTRAINTS.phone.minE164Length || digits.length > VALIDATION_CONSTRAINTS.phone.maxE164Length) {
+      return invalid(t('validation.phone.international'));
+    }
+
+    return { isValid: true, error: null, e164: `+${digits}`, region: null, nationalNumber: null };
+  }
+
+  const region = PHONE_REGIONS[regionKey];
+  const localDigits = isInternational ? digits.slice(region.dialCode.length) : digits;
+  const nationalNumber = stripTrunkPrefix(region, localDigits);
+  const [min, max] = region.lengths;
+
+  if (nationalNumber.length < min) {
+    return invalid(t('validation.phone.tooShort', { min }));
+  }
+
+  if (nationalNumber.length > max) {
+    return invalid(t('validation.phone.tooLong'));
+  }
+
+  return {
+    isValid: true,
+    error: null,
+    e164: `+${region.dialCode}${nationalNumber}`,
+    region: regionKey,
+    nationalNumber,
+  };
+}
+
 /**
  * Validates phone number format
  * @param {string} phone - Phone number to validate
  * @param {boolean} required - Whether phone is required
+ * @param {string} [regionCode='US'] - Selected region (ISO 3166-1 alpha-2)
  * @returns {{ isValid: boolean, error: string|null }} Validation result
  */
-export function validatePhone(phone, required = false) {
+export function validatePhone(phone, required = false, regionCode = DEFAULT_PHONE_REGION) {
   const sanitized = sanitizeInput(phone);
 
   if (!sanitized) {
     if (required) {
       return {
         isValid: false,
-        error: 'Phone number is required',
+        error: t('validation.phone.required'),
       };
     }
     return {
@@ -141,33 +280,11 @@ export function validatePhone(phone, required = false) {
     };
   }
 
-  if (!PHONE_PATTERN.test(sanitized)) {
-    return {
-      isValid: false,
-      error: 'Phone number can only contain digits, spaces, parentheses, plus signs, and hyphens',
-    };
-  }
-
-  // Extract digits only for length validation
-  const digitsOnly = sanitized.replace(/\D/g, '');
-
-  if (digitsOnly.length < VALIDATION_CONSTRAINTS.phone.minLength) {
-    return {
-      isValid: false,
-      error: `Phone number must contain at least ${VALIDATION_CONSTRAINTS.phone.minLength} digits`,
-    };
-  }
-
-  if (digitsOnly.length > VALIDATION_CONSTRAINTS.phone.maxLength) {
-    return {
-      isValid: false,
-      error: 'Phone number is too long',
-    };
-  }
+  const { isValid, error } = normalizePhoneNumber(sanitized, regionCode);
 
   return {
-    isValid: true,
-    error: null,
+    isValid,
+    error,
   };
 }
 
@@ -182,28 +299,28 @@ export function validateName(name) {
   if (!sanitized) {
     return {
       isValid: false,
-      error: 'Name is required',
+      error: t('validation.name.required'),
     };
   }
 
   if (sanitized.length < VALIDATION_CONSTRAINTS.name.minLength) {
     return {
       isValid: false,
-      error: `Name must be at least ${VALIDATION_CONSTRAINTS.name.minLength} characters`,
+      error: t('validation.name.tooShort', { min: VALIDATION_CONSTRAINTS.name.minLength }),
     };
   }
 
   if (sanitized.length > VALIDATION_CONSTRAINTS.name.maxLength) {
     return {
       isValid: false,
-      error: `Name must not exceed ${VALIDATION_CONSTRAINTS.name.maxLength} characters`,
+      error: t('validation.name.tooLong', { max: VALIDATION_CONSTRAINTS.name.maxLength }),
     };
   }
 
   if (!NAME_PATTERN.test(sanitized)) {
     return {
       isValid: false,
-      error: 'Name can only contain letters, spaces, hyphens, and apostrophes',
+      error: t('validation.name.characters'),
     };
   }
 
@@ -211,7 +328,7 @@ export function validateName(name) {
   if (/\s{2,}/.test(sanitized) || /[-']{2,}/.test(sanitized)) {
     return {
       isValid: false,
-      error: 'Name contains invalid character sequences',
+      error: t('validation.name.sequences'),
     };
   }
 
@@ -227,13 +344,13 @@ export function validateName(name) {
  * @param {string} fieldName - Name of the field for error message
  * @returns {{ isValid: boolean, error: string|null }} Validation result
  */
-export function validateRequired(value, fieldName = 'This field') {
+export function validateRequired(value, fieldName = t('fields.thisField')) {
   const sanitized = sanitizeInput(value);
 
   if (!sanitized) {
     return {
       isValid: false,
-      error: `${fieldName} is required`,
+      error: t('validation.required', { label: fieldName }),
     };
   }
 
@@ -254,21 +371,21 @@ export function validateMessage(message) {
   if (!sanitized) {
     return {
       isValid: false,
-      error: 'Message is required',
+      error: t('validation.message.required'),
     };
   }
 
   if (sanitized.length < VALIDATION_CONSTRAINTS.message.minLength) {
     return {
       isValid: false,
-      error: `Message must be at least ${VALIDATION_CONSTRAINTS.message.minLength} characters`,
+      error: t('validation.message.tooShort', { min: VALIDATION_CONSTRAINTS.message.minLength }),
     };
   }
 
   if (sanitized.length > VALIDATION_CONSTRAINTS.message.maxLength) {
     return {
       isValid: false,
-      error: `Message must not exceed ${VALIDATION_CONSTRAINTS.message.maxLength} characters`,
+      error: t('validation.message.tooLong', { max: VALIDATION_CONSTRAINTS.message.maxLength }),
     };
   }
 
@@ -284,13 +401,13 @@ export function validateMessage(message) {
  * @param {string} fieldName - Name of the field for error message
  * @returns {{ isValid: boolean, error: string|null }} Validation result
  */
-export function validateSelect(value, fieldName = 'Selection') {
+export function validateSelect(value, fieldName = t('fields.selection')) {
   const sanitized = sanitizeInput(value);
 
   if (!sanitized || sanitized === '' || sanitized === 'default') {
     return {
       isValid: false,
-      error: `Please select a ${fieldName.toLowerCase()}`,
+      error: t('validation.select', { label: fieldName.toLowerCase() }),
     };
   }
 
@@ -306,11 +423,11 @@ export function validateSelect(value, fieldName = 'Selection') {
  * @param {string} fieldName - Name of the field for error message
  * @returns {{ isValid: boolean, error: string|null }} Validation result
  */
-export function validateCheckbox(checked, fieldName = 'This field') {
+export function validateCheckbox(checked, fieldName = t('fields.thisField')) {
   if (!checked) {
     return {
       isValid: false,
-      error: `You must agree to ${fieldName.toLowerCase()}`,
+      error: t('validation.agree', { label: fieldName.toLowerCase() }),
     };
   }
 
@@ -365,26 +482,63 @@ export function validateForm(formData, validationRules = {}) {
 }
 
 /**
- * Formats phone number for display (US format)
+ * Splits digits into display groups
+ * Extra digits are appended to the last group; unused groups are dropped
+ * @param {string} digits - Digits to group
+ * @param {number[]|string} groups - Group sizes, or 'nanp' for (XXX) XXX-XXXX
+ * @returns {string} Grouped digits
+ */
+function groupDigits(digits, groups) {
+  if (groups === 'nanp') {
+    return `(${digits.slice(0, 3)}) ${digits.slice(3, 6)}-${digits.slice(6)}`;
+  }
+
+  const parts = [];
+  let offset = 0;
+
+  groups.forEach((size, index) => {
+    if (offset >= digits.length) {
+      return;
+    }
+
+    const isLast = index === groups.length - 1;
+    parts.push(digits.slice(offset, isLast ? undefined : offset + size));
+    offset += size;
+  });
+
+  return parts.join(' ');
+}
+
+/**
+ * Formats phone number for display following the selected region
+ * Numbers from the selected region use its national format (including any trunk
+ * prefix); numbers from other countries use international format
  * @param {string} phone - Raw phone number
+ * @param {string} [regionCode='US'] - Selected region (ISO 3166-1 alpha-2)
  * @returns {string} Formatted phone number
  */
-export function formatPhoneNumber(phone) {
+export function formatPhoneNumber(phone, regionCode = DEFAULT_PHONE_REGION) {
   const sanitized = sanitizeInput(phone);
-  const digitsOnly = sanitized.replace(/\D/g, '');
+  const normalized = normalizePhoneNumber(sanitized, regionCode);
 
-  // Format as (XXX) XXX-XXXX for 10-digit US numbers
-  if (digitsOnly.length === 10) {
-    return `(${digitsOnly.slice(0, 3)}) ${digitsOnly.slice(3, 6)}-${digitsOnly.slice(6)}`;
+  // Return original for numbers that cannot be normalized
+  if (!normalized.isValid) {
+    return sanitized;
   }
 
-  // Format as +X (XXX) XXX-XXXX for 11-digit numbers (with country code)
-  if (digitsOnly.length === 11 && digitsOnly[0] === '1') {
-    return `+1 (${digitsOnly.slice(1, 4)}) ${digitsOnly.slice(4, 7)}-${digitsOnly.slice(7)}`;
+  if (!normalized.region) {
+    return normalized.e164;
   }
 
-  // Return original for other formats
-  return sanitized;
+  const region = PHONE_REGIONS[normalized.region];
+  const groups = region.groups[normalized.nationalNumber.length] || region.groups.default;
+  const grouped = groupDigits(normalized.nationalNumber, groups);
+
+  if (normalized.region === regionCode) {
+    return `${region.trunkPrefix || ''}${grouped}`;
+  }
+
+  return `+${region.dialCode} ${grouped}`;
 }
 
 /**
@@ -409,70 +563,686 @@ export function isSafeInput(input) {
 }
 
 /**
- * Validates and sanitizes form data for agricultural business context
- * @param {Object} rawFormData - Raw form data from submission
- * @returns {{ isValid: boolean, data: Object, errors: Object }} Processed form data
+ * Resolves a schema field's label in the active locale
+ * @param {Object} field - Normalized field definition
+ * @returns {string} Field label
  */
-export function processContactFormData(rawFormData) {
-  const sanitizedData = {};
-  const errors = {};
-  let isValid = true;
+function getFieldLabel(field) {
+  return typeof field.label === 'function' ? field.label() : field.label;
+}
 
-  // Sanitize all inputs
-  Object.entries(rawFormData).forEach(([key, value]) => {
-    if (typeof value === 'string') {
-      sanitizedData[key] = sanitizeInput(value);
-      
-      // Additional safety check
-      if (!isSafeInput(sanitizedData[key])) {
-        errors[key] = 'Input contains potentially unsafe content';
-        isValid = false;
-      }
-    } else {
-      sanitizedData[key] = value;
+/**
+ * Default error messages used when a schema field does not override them
+ * Each builder receives the normalized field definition
+ */
+const DEFAULT_SCHEMA_MESSAGES = Object.freeze({
+  required: (field) => {
+    if (field.type === 'checkbox') {
+      return t('validation.agree', { label: getFieldLabel(field).toLowerCase() });
     }
-  });
 
-  // Validate required fields
-  const nameResult = validateName(sanitizedData.name || '');
-  if (!nameResult.isValid) {
-    errors.name = nameResult.error;
-    isValid = false;
+    return field.type === 'multiple'
+      ? t('validation.chooseAtLeastOne', { label: getFieldLabel(field).toLowerCase() })
+      : t('validation.required', { label: getFieldLabel(field) });
+  },
+  minLength: (field) => t('validation.minLength', { label: getFieldLabel(field), min: field.minLength }),
+  maxLength: (field) => t('validation.maxLength', { label: getFieldLabel(field), max: field.maxLength }),
+  pattern: (field) => t('validation.pattern', { label: getFieldLabel(field).toLowerCase() }),
+  unsafe: () => t('validation.unsafe'),
+});
+
+/**
+ * Resolves the error message for a failed rule
+ * @param {Object} field - Normalized field definition
+ * @param {string} rule - Rule name (required, minLength, maxLength, pattern, unsafe)
+ * @returns {string} Error message
+ */
+function getSchemaMessage(field, rule) {
+  const override = field.messages[rule];
+
+  if (typeof override === 'function') {
+    return override(field);
   }
 
-  const emailResult = validateEmail(sanitizedData.email || '');
-  if (!emailResult.isValid) {
-    errors.email = emailResult.error;
-    isValid = false;
+  return override || DEFAULT_SCHEMA_MESSAGES[rule](field);
+}
+
+/**
+ * Fills in defaults for a schema field definition
+ * @param {string} name - Field name
+ * @param {Object} definition - Field definition from the schema
+ * @returns {Object} Normalized field definition
+ */
+function normalizeSchemaField(name, definition) {
+  return {
+    name,
+    label: definition.label || name.charAt(0).toUpperCase() + name.slice(1),
+    type: definition.type || 'text',
+    required: Boolean(definition.required),
+    minLength: definition.minLength || null,
+    maxLength: definition.maxLength || null,
+    pattern: definition.pattern || null,
+    validators: definition.validators || [],
+    asyncValidators: definition.asyncValidators || [],
+    normalize: definition.normalize || null,
+    messages: definition.messages || {},
+  };
+}
+
+/**
+ * Converts a raw value into the shape a field expects
+ * Checkboxes become booleans (accepting DOM `checked` state or submitted "on"),
+ * multiple-choice fields become arrays of non-empty sanitized strings,
+ * everything else becomes a sanitized string
+ * @param {Object} field - Normalized field definition
+ * @param {*} value - Raw value
+ * @returns {string|boolean|string[]} Normalized value
+ */
+function normalizeSchemaValue(field, value) {
+  if (field.type === 'checkbox') {
+    return value === true || value === 'on' || value === 'true';
   }
 
-  // Phone is optional but validate if provided
-  if (sanitizedData.phone) {
-    const phoneResult = validatePhone(sanitizedData.phone, false);
-    if (!phoneResult.isValid) {
-      errors.phone = phoneResult.error;
-      isValid = false;
-    }
+  if (field.type === 'multiple') {
+    const list = Array.isArray(value) ? value : [value];
+    return list.map((item) => sanitizeInput(item)).filter(Boolean);
   }
 
-  const messageResult = validateMessage(sanitizedData.message || '');
-  if (!messageResult.isValid) {
-    errors.message = messageResult.error;
-    isValid = false;
+  if (typeof value === 'number') {
+    return String(value);
   }
 
-  // Validate service selection if present
-  if (sanitizedData.service) {
-    const serviceResult = validateSelect(sanitizedData.service, 'Service');
-    if (!serviceResult.isValid) {
-      errors.service = serviceResult.error;
-      isValid = false;
+  return sanitizeInput(value);
+}
+
+/**
+ * Runs the built-in and custom synchronous rules for one field
+ * @param {Object} schemaDefinition - Normalized schema
+ * @param {Object} field - Normalized field definition
+ * @param {Object} values - Normalized values for every schema field
+ * @returns {string|null} First error message, or null if valid
+ */
+function runFieldRules(schemaDefinition, field, values) {
+  const value = values[field.name];
+
+  if (!value || (Array.isArray(value) && value.length === 0)) {
+    return field.required ? getSchemaMessage(field, 'required') : null;
+  }
+
+  if (typeof value === 'string') {
+    if (field.minLength && value.length < field.minLength) {
+      return getSchemaMessage(field, 'minLength');
+    }
+
+    if (field.maxLength && value.length > field.maxLength) {
+      return getSchemaMessage(field, 'maxLength');
+    }
+
+    if (field.pattern && !field.pattern.test(value)) {
+      return getSchemaMessage(field, 'pattern');
+    }
+
+    if (schemaDefinition.rejectUnsafeInput && !isSafeInput(value)) {
+      return getSchemaMessage(field, 'unsafe');
+    }
+  }
+
+  for (const validator of field.validators) {
+    const error = validator(value, values);
+    if (error) {
+      return error;
     }
   }
 
+  return null;
+}
+
+/**
+ * Runs cross-field rules, adding errors only to fields that are otherwise valid
+ * @param {Object} schemaDefinition - Normalized schema
+ * @param {Object} values - Normalized values
+ * @param {Object} errors - Field errors collected so far (mutated)
+ */
+function runCrossFieldRules(schemaDefinition, values, errors) {
+  schemaDefinition.rules.forEach((rule) => {
+    const failure = rule.validate(values);
+
+    if (failure && failure.field && !errors[failure.field]) {
+      errors[failure.field] = failure.message;
+    }
+  });
+}
+
+/**
+ * Creates a validator from a declarative schema
+ *
+ * The same schema produces the same errors in the browser and in Node: it has no
+ * DOM dependencies, so a server-side handler can validate a request body with it.
+ *
+ * Field definitions support `label` (a string, or a function returning one in the active locale),
+ * `type` ('text' | 'select' | 'checkbox' | 'multiple'), `required`, `minLength`, `maxLength`,
+ * `pattern`, `messages` (per-rule overrides, strings or functions of the field),
+ * `validators` (`(value, values) => string|null`), `asyncValidators`
+ * (`(value, values, { signal }) => Promise<string|null>`) and `normalize`
+ * (`(value, values) => value`, applied to valid values in the returned data). Schema-level `rules`
+ * are cross-field checks (`{ fields, validate(values) => { field, message }|null }`),
+ * and `rejectUnsafeInput` applies the isSafeInput check to every string value.
+ *
+ * @param {Object} schema - Validation schema
+ * @param {Object<string, Object>} schema.fields - Field definitions keyed by field name
+ * @param {Object[]} [schema.rules] - Cross-field rules
+ * @param {boolean} [schema.rejectUnsafeInput=false] - Reject values that fail isSafeInput
+ * @returns {Object} Validator with validate, validateField, validateAsync and validateFieldAsync methods
+ */
+export function createValidator(schema) {
+  const schemaDefinition = {
+    fields: Object.entries(schema.fields || {}).map(([name, definition]) => normalizeSchemaField(name, definition)),
+    rules: schema.rules || [],
+    rejectUnsafeInput: Boolean(schema.rejectUnsafeInput),
+  };
+
+  const fieldsByName = new Map(schemaDefinition.fields.map((field) => [field.name, field]));
+
+  /**
+   * Sanitizes raw values, keeping keys the schema does not know about
+   * @param {Object} rawValues - Raw values
+   * @returns {Object} Normalized values
+   */
+  const normalizeValues = (rawValues = {}) => {
+    const values = {};
+
+    Object.entries(rawValues).forEach(([key, value]) => {
+      values[key] = typeof value === 'string' ? sanitizeInput(value) : value;
+    });
+
+    schemaDefinition.fields.forEach((field) => {
+      values[field.name] = normalizeSchemaValue(field, rawValues[field.name]);
+    });
+
+    return values;
+  };
+
+  /**
+   * Validates every field and cross-field rule synchronously
+   * @param {Object} rawValues - Raw values keyed by field name
+   * @returns {{ isValid: boolean, data: Object, errors: Object }} Validation result with sanitized data
+   */
+  const validate = (rawValues) => {
+    const data = normalizeValues(rawValues);
+    const errors = {};
+
+    schemaDefinition.fields.forEach((field) => {
+      const error = runFieldRules(schemaDefinition, field, data);
+      if (error) {
+        errors[field.name] = error;
+      }
+    });
+
+    // Unknown keys are passed through, but never with unsafe content
+    if (schemaDefinition.rejectUnsafeInput) {
+      Object.entries(data).forEach(([key, value]) => {
+        if (!fieldsByName.has(key) && typeof value === 'string' && !isSafeInput(value)) {
+          errors[key] = DEFAULT_SCHEMA_MESSAGES.unsafe();
+        }
+      });
+    }
+
+    runCrossFieldRules(schemaDefinition, data, errors);
+
+    // Normalize valid values only after every rule has seen the input as entered
+    const normalizedData = { ...data };
+    schemaDefinition.fields.forEach((field) => {
+      if (field.normalize && data[field.name] && !errors[field.name]) {
+        normalizedData[field.name] = field.normalize(data[field.name], data);
+      }
+    });
+
+    return {
+      isValid: Object.keys(errors).length === 0,
+      data: normalizedData,
+      errors,
+    };
+  };
+
+  /**
+   * Validates a single field, including cross-field rules that involve it
+   * @param {string} fieldName - Field to validate
+   * @param {Object} rawValues - Raw values for the whole form
+   * @returns {{ isValid: boolean, error: string|null }} Validation result
+   */
+  const validateField = (fieldName, rawValues) => {
+    const field = fieldsByName.get(fieldName);
+
+    if (!field) {
+      return { isValid: true, error: null };
+    }
+
+    const data = normalizeValues(rawValues);
+    const errors = {};
+    const error = runFieldRules(schemaDefinition, field, data);
+
+    if (error) {
+      errors[fieldName] = error;
+    }
+
+    runCrossFieldRules(
+      { ...schemaDefinition, rules: schemaDefinition.rules.filter((rule) => (rule.fields || []).includes(fieldName)) },
+      data,
+      errors
+    );
+
+    return {
+      isValid: !errors[fieldName],
+      error: errors[fieldName] || null,
+    };
+  };
+
+  /**
+   * Runs a field's async validators in order, stopping at the first error
+   * @param {Object} field - Normalized field definition
+   * @param {Object} data - Normalized values
+   * @param {AbortSignal} [signal] - Signal used to cancel pending checks
+   * @returns {Promise<string|null>} Error message or null
+   */
+  const runAsyncValidators = async (field, data, signal) => {
+    for (const validator of field.asyncValidators) {
+      const error = await validator(data[field.name], data, { signal });
+
+      if (signal && signal.aborted) {
+        return null;
+      }
+
+      if (error) {
+        return error;
+      }
+    }
+
+    return null;
+  };
+
   return {
-    isValid,
-    data: sanitizedData,
-    errors,
+    validate,
+    validateField,
+
+    /**
+     * Validates a single field, then runs its async validators if the sync rules pass
+     * @param {string} fieldName - Field to validate
+     * @param {Object} rawValues - Raw values for the whole form
+     * @param {Object} [options] - Options
+     * @param {AbortSignal} [options.signal] - Signal used to cancel pending checks
+     * @returns {Promise<{ isValid: boolean, error: string|null, aborted: boolean }>} Validation result
+     */
+    async validateFieldAsync(fieldName, rawValues, options = {}) {
+      const { signal } = options;
+      const result = validateField(fieldName, rawValues);
+      const field = fieldsByName.get(fieldName);
+
+      if (!result.isValid || !field || field.asyncValidators.length === 0) {
+        return { ...result, aborted: false };
+      }
+
+      const error = await runAsyncValidators(field, normalizeValues(rawValues), signal);
+      const aborted = Boolean(signal && signal.aborted);
+
+      return {
+        isValid: aborted || !error,
+        error: aborted ? null : error,
+        aborted,
+      };
+    },
+
+    /**
+     * Validates every field, then runs async validators for fields that passed
+     * @param {Object} rawValues - Raw values keyed by field name
+     * @param {Object} [options] - Options
+     * @param {AbortSignal} [options.signal] - Signal used to cancel pending checks
+     * @returns {Promise<{ isValid: boolean, data: Object, errors: Object, aborted: boolean }>} Validation result
+     */
+    async validateAsync(rawValues, options = {}) {
+      const { signal } = options;
+      const result = validate(rawValues);
+      const pendingFields = schemaDefinition.fields
+        .filter((field) => field.asyncValidators.length > 0 && !result.errors[field.name]);
+
+      const asyncErrors = await Promise.all(
+        pendingFields.map((field) => runAsyncValidators(field, result.data, signal))
+      );
+
+      if (signal && signal.aborted) {
+        return { ...result, aborted: true };
+      }
+
+      const errors = { ...result.errors };
+      pendingFields.forEach((field, index) => {
+        if (asyncErrors[index]) {
+          errors[field.name] = asyncErrors[index];
+        }
+      });
+
+      return {
+        isValid: Object.keys(errors).length === 0,
+        data: result.data,
+        errors,
+        aborted: false,
+      };
+    },
+
+    /**
+     * Get the names of fields described by the schema
+     * @returns {string[]} Field names
+     */
+    getFieldNames() {
+      return Array.from(fieldsByName.keys());
+    },
   };
-}
\ No newline at end of file
+}
+
+/**
+ * Rejects names with repeated spaces, hyphens or apostrophes
+ * @param {string} value - Sanitized name
+ * @returns {string|null} Error message or null
+ */
+function checkNameSequences(value) {
+  return /\s{2,}/.test(value) || /[-']{2,}/.test(value)
+    ? t('validation.name.sequences')
+    : null;
+}
+
+/**
+ * Rejects email addresses with consecutive dots or empty domain labels
+ * @param {string} value - Sanitized email address
+ * @returns {string|null} Error message or null
+ */
+function checkEmailStructure(value) {
+  if (value.includes('..')) {
+    return t('validation.email.consecutiveDots');
+  }
+
+  const domain = value.split('@')[1] || '';
+  return domain.split('.').some((part) => part.length === 0)
+    ? t('validation.email.invalidDomain')
+    : null;
+}
+
+/**
+ * Validates a phone number against the region chosen in the country selector
+ * @param {string} value - Sanitized phone number
+ * @param {Object} values - All form values (uses `phoneCountry`)
+ * @returns {string|null} Error message or null
+ */
+function checkPhoneForRegion(value, values) {
+  return normalizePhoneNumber(value, values.phoneCountry).error;
+}
+
+/**
+ * Converts a valid phone number to E.164 for submission
+ * @param {string} value - Sanitized phone number
+ * @param {Object} values - All form values (uses `phoneCountry`)
+ * @returns {string} E.164 phone number
+ */
+function toE164PhoneNumber(value, values) {
+  return normalizePhoneNumber(value, values.phoneCountry).e164 || value;
+}
+
+/**
+ * Contact form validation schema
+ * Shared by the contact form DOM binding, the offline queue and server-side handlers
+ */
+export const CONTACT_FORM_SCHEMA = Object.freeze({
+  rejectUnsafeInput: true,
+  fields: {
+    name: {
+      label: () => t('fields.name'),
+      required: true,
+      minLength: VALIDATION_CONSTRAINTS.name.minLength,
+      maxLength: VALIDATION_CONSTRAINTS.name.maxLength,
+      pattern: NAME_PATTERN,
+      validators: [checkNameSequences],
+      messages: {
+        required: () => t('validation.contact.nameRequired'),
+        pattern: () => t('validation.name.characters'),
+      },
+    },
+    email: {
+      label: () => t('fields.email'),
+      required: true,
+      maxLength: VALIDATION_CONSTRAINTS.email.maxLength,
+      pattern: EMAIL_PATTERN,
+      validators: [checkEmailStructure],
+      // Disposable-domain and MX checks; run by validateAsync / validateFieldAsync only
+      asyncValidators: [validateEmailDeliverability],
+      messages: {
+        required: () => t('validation.contact.emailRequired'),
+        maxLength: () => t('validation.email.tooLong'),
+      },
+    },
+    phone: {
+      label: () => t('fields.phone'),
+      pattern: PHONE_PATTERN,
+      validators: [checkPhoneForRegion],
+      normalize: toE164PhoneNumber,
+    },
+    location: {
+      label: () => t('fields.farmLocation'),
+      maxLength: VALIDATION_CONSTRAINTS.location.maxLength,
+      messages: {
+        maxLength: () => t('validation.contact.locationTooLong'),
+      },
+    },
+    service: {
+      label: () => t('fields.service'),
+      type: 'select',
+      required: true,
+      messages: {
+        required: () => t('validation.contact.serviceRequired'),
+      },
+    },
+    message: {
+      label: () => t('fields.message'),
+      required: true,
+      minLength: VALIDATION_CONSTRAINTS.message.minLength,
+      maxLength: VALIDATION_CONSTRAINTS.message.maxLength,
+      messages: {
+        required: () => t('validation.contact.messageRequired'),
+      },
+    },
+    consent: {
+      label: () => t('fields.consent'),
+      type: 'checkbox',
+      required: true,
+      messages: {
+        required: () => t('validation.contact.consentRequired'),
+      },
+    },
+  },
+});
+
+/**
+ * Limits for quote wizard farm details
+ */
+const QUOTE_CONSTRAINTS = Object.freeze({
+  acreage: { min: 0.1, max: 1000000 },
+  crops: { maxLength: 200 },
+  notes: { maxLength: VALIDATION_CONSTRAINTS.message.maxLength },
+});
+
+/**
+ * US ZIP or ZIP+4 code pattern
+ */
+const ZIP_CODE_PATTERN = /^\d{5}(?:-\d{4})?$/;
+
+/**
+ * Preferred contact time slots offered by the quote wizard
+ */
+const CONTACT_TIME_SLOTS = Object.freeze(['morning', 'afternoon', 'evening', 'anytime']);
+
+/**
+ * Rejects service IDs that are not in the services catalog
+ * @param {string[]} value - Selected service IDs
+ * @returns {string|null} Error message or null
+ */
+function checkKnownServices(value) {
+  return value.every((serviceId) => servicesData.some((service) => service.id === serviceId))
+    ? null
+    : t('validation.unknownServices');
+}
+
+/**
+ * Checks that a farm size is within a plausible range
+ * @param {string} value - Sanitized acreage
+ * @returns {string|null} Error message or null
+ */
+function checkAcreage(value) {
+  const acres = Number(value);
+  const { min, max } = QUOTE_CONSTRAINTS.acreage;
+
+  return acres >= min && acres <= max
+    ? null
+    : t('validation.acreageRange', { min, max });
+}
+
+/**
+ * Checks that a contact time is one of the offered slots
+ * @param {string} value - Sanitized contact time
+ * @returns {string|null} Error message or null
+ */
+function checkContactTimeSlot(value) {
+  return CONTACT_TIME_SLOTS.includes(value) ? null : t('validation.contactTime');
+}
+
+/**
+ * Quote request wizard validation schemas, one per step in display order
+ * Contact fields reuse the contact form definitions so both forms report identical errors
+ */
+export const QUOTE_WIZARD_SCHEMAS = Object.freeze({
+  services: Object.freeze({
+    rejectUnsafeInput: true,
+    fields: {
+      services: {
+        label: () => t('fields.service'),
+        type: 'multiple',
+        required: true,
+        validators: [checkKnownServices],
+      },
+    },
+  }),
+  farm: Object.freeze({
+    rejectUnsafeInput: true,
+    fields: {
+      acreage: {
+        label: () => t('fields.acreage'),
+        required: true,
+        pattern: /^\d+(?:\.\d+)?$/,
+        validators: [checkAcreage],
+        normalize: (value) => Number(value),
+        messages: {
+          required: () => t('validation.quote.acreageRequired'),
+          pattern: () => t('validation.quote.acreagePattern'),
+        },
+      },
+      crops: {
+        label: () => t('fields.crops'),
+        required: true,
+        maxLength: QUOTE_CONSTRAINTS.crops.maxLength,
+        messages: {
+          required: () => t('validation.quote.cropsRequired'),
+        },
+      },
+      zip: {
+        label: () => t('fields.zip'),
+        required: true,
+        pattern: ZIP_CODE_PATTERN,
+        messages: {
+          required: () => t('validation.quote.zipRequired'),
+          pattern: () => t('validation.quote.zipPattern'),
+        },
+      },
+    },
+  }),
+  contact: Object.freeze({
+    rejectUnsafeInput: true,
+    fields: {
+      name: CONTACT_FORM_SCHEMA.fields.name,
+      email: CONTACT_FORM_SCHEMA.fields.email,
+      phone: CONTACT_FORM_SCHEMA.fields.phone,
+      contactTime: {
+        label: () => t('fields.contactTime'),
+        type: 'select',
+        required: true,
+        validators: [checkContactTimeSlot],
+        messages: {
+          required: () => t('validation.contactTime'),
+        },
+      },
+    },
+  }),
+  review: Object.freeze({
+    rejectUnsafeInput: true,
+    fields: {
+      notes: {
+        label: () => t('fields.notes'),
+        maxLength: QUOTE_CONSTRAINTS.notes.maxLength,
+      },
+      consent: CONTACT_FORM_SCHEMA.fields.consent,
+    },
+  }),
+});
+
+/**
+ * Checks that an emergency issue type is one the triage form offers
+ * @param {string} value - Sanitized issue type ID
+ * @returns {string|null} Error message or null
+ */
+function checkEmergencyIssueType(value) {
+  return EMERGENCY_ISSUE_TYPES.some((issueType) => issueType.id === value)
+    ? null
+    : t('validation.emergencyType');
+}
+
+/**
+ * Emergency triage form validation schema
+ * Kept short so a callback request takes seconds; a phone number is required
+ * because the team calls back rather than emailing
+ */
+export const EMERGENCY_FORM_SCHEMA = Object.freeze({
+  rejectUnsafeInput: true,
+  fields: {
+    issueType: {
+      label: () => t('fields.emergencyType'),
+      type: 'select',
+      required: true,
+      validators: [checkEmergencyIssueType],
+      messages: {
+        required: () => t('validation.emergencyType'),
+      },
+    },
+    name: CONTACT_FORM_SCHEMA.fields.name,
+    phone: {
+      ...CONTACT_FORM_SCHEMA.fields.phone,
+      required: true,
+      messages: {
+        required: () => t('validation.emergency.phoneRequired'),
+      },
+    },
+    location: CONTACT_FORM_SCHEMA.fields.location,
+    details: {
+      label: () => t('fields.details'),
+      maxLength: VALIDATION_CONSTRAINTS.emergencyDetails.maxLength,
+    },
+    consent: CONTACT_FORM_SCHEMA.fields.consent,
+  },
+});
+
+/**
+ * Shared validator for the contact form schema
+ */
+const contactFormValidator = createValidator(CONTACT_FORM_SCHEMA);
+
+/**
+ * Validates and sanitizes form data for agricultural business context
+ * @param {Object} rawFormData - Raw form data from submission
+ * @returns {{ isValid: boolean, data: Object, errors: Object }} Processed form data
+ */
+export function processContactFormData(rawFormData) {
+  return contactFormValidator.validate(rawFormData);
+}
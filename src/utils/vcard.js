@@ -0,0 +1,159 @@
+/**
+ * vCard Utility Module
+ * Serializes a contact card as an RFC 6350 vCard 4.0 (.vcf) document
+ *
+ * @module utils/vcard
+ * @description Produces contact files that phones and address books import
+ * directly. Phone numbers are `tel:` URIs, structured values (ADR) escape each
+ * component separately and labelled phone numbers use a property group with an
+ * X-ABLABEL, which Apple and Google contacts show as the number's label.
+ */
+
+import { escapeText, joinContentLines } from './content-line.js';
+
+// ============================================
+// Constants and Configuration
+// ============================================
+
+/**
+ * vCard format settings
+ * @constant {Object}
+ */
+const VCARD_CONFIG = Object.freeze({
+  VERSION: '4.0',
+  MIME_TYPE: 'text/vcard;charset=utf-8',
+});
+
+// ============================================
+// Formatting Helpers
+// ============================================
+
+/**
+ * Formats the TYPE and PREF parameters of a property
+ * @param {Object} entry - Entry with optional types and pref
+ * @returns {string} Parameters including their leading semicolons
+ */
+function formatParameters(entry) {
+  let parameters = '';
+
+  if (entry.types && entry.types.length > 0) {
+    parameters += entry.types.length > 1 ? `;TYPE="${entry.types.join(',')}"` : `;TYPE=${entry.types[0]}`;
+  }
+
+  if (entry.pref) {
+    parameters += `;PREF=${entry.pref}`;
+  }
+
+  return parameters;
+}
+
+/**
+ * Formats a structured ADR value
+ * @param {Object} address - Address with street, city, region, postalCode and country
+ * @returns {string} Seven escaped components joined by semicolons
+ */
+function formatAddress(address) {
+  // Post office box, extended address, street, locality, region, postal code, country
+  return ['', '', address.street, address.city, address.region, address.postalCode, address.country]
+    .map((component) => escapeText(component || ''))
+    .join(';');
+}
+
+/**
+ * Formats an instant as a vCard UTC timestamp
+ * @param {Date} date - Instant
+ * @returns {string} Timestamp as YYYYMMDDTHHMMSSZ
+ */
+function formatTimestamp(date) {
+  return date.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+}
+
+// ============================================
+// Card Builder
+// ============================================
+
+/**
+ * Creates a vCard 4.0 document
+ * @param {Object} card - Contact card
+ * @param {string} card.name - Formatted name (FN)
+ * @param {string} [card.kind] - KIND value, e.g. "org" for a business
+ * @param {string} [card.organization] - Organization name (ORG)
+ * @param {Array<{ number: string, types?: Array<string>, pref?: number, label?: string }>} [card.phones] -
+ *   Phone numbers in E.164 format; `label` is shown next to the number by address books
+ * @param {Array<{ address: string, types?: Array<string>, pref?: number }>} [card.emails] - Email addresses
+ * @param {Object} [card.address] - Postal address with street, city, region, postalCode, country and types
+ * @param {{ latitude: number, longitude: number }} [card.geo] - Location
+ * @param {string} [card.url] - Website
+ * @param {Array<{ service: string, url: string }>} [card.socialProfiles] - Social profiles (RFC 9554)
+ * @param {string} [card.note] - Free-text note
+ * @param {Object} [options={}] - Document options
+ * @param {string} [options.productId] - PRODID value, e.g. "-//Company//Contact Card//EN"
+ * @param {Date} [options.timestamp] - Revision timestamp (REV); omitted when not given
+ * @returns {string} vCard document with CRLF line endings
+ */
+export function createVCard(card, options = {}) {
+  const { productId, timestamp } = options;
+  const lines = ['BEGIN:VCARD', `VERSION:${VCARD_CONFIG.VERSION}`];
+
+  if (productId) {
+    lines.push(`PRODID:${productId}`);
+  }
+
+  if (card.kind) {
+    lines.push(`KIND:${card.kind}`);
+  }
+
+  lines.push(`FN:${escapeText(card.name)}`);
+
+  if (card.organization) {
+    lines.push(`ORG:${escapeText(card.organization)}`);
+  }
+
+  let groupCount = 0;
+
+  (card.phones || []).forEach((phone) => {
+    const property = `TEL;VALUE=uri${formatParameters(phone)}:tel:${phone.number}`;
+
+    if (phone.label) {
+      groupCount++;
+      const group = `item${groupCount}`;
+      lines.push(`${group}.${property}`, `${group}.X-ABLABEL:${escapeText(phone.label)}`);
+    } else {
+      lines.push(property);
+    }
+  });
+
+  (card.emails || []).forEach((email) => {
+    lines.push(`EMAIL${formatParameters(email)}:${email.address}`);
+  });
+
+  if (card.address) {
+    lines.push(`ADR${formatParameters(card.address)}:${formatAddress(card.address)}`);
+  }
+
+  if (card.geo) {
+    lines.push(`GEO:geo:${card.geo.latitude},${card.geo.longitude}`);
+  }
+
+  if (card.url) {
+    lines.push(`URL:${card.url}`);
+  }
+
+  (card.socialProfiles || []).forEach((profile) => {
+    lines.push(`SOCIALPROFILE;SERVICE-TYPE=${profile.service}:${profile.url}`);
+  });
+
+  if (card.note) {
+    lines.push(`NOTE:${escapeText(card.note)}`);
+  }
+
+  if (timestamp) {
+    lines.push(`REV:${formatTimestamp(timestamp)}`);
+  }
+
+  lines.push('END:VCARD');
+
+  return joinContentLines(lines);
+}
+
+export { VCARD_CONFIG };
@@ -0,0 +1,114 @@
+/**
+ * Web Mercator Utility Module
+ * Projects coordinates to the pixel grid used by web map tiles
+ *
+ * @module utils/web-mercator
+ * @description Converts latitude/longitude to "world pixel" coordinates at a zoom
+ * level (the scheme used by OpenStreetMap and Google tiles, 256px tiles), picks a
+ * zoom level that fits a region into a target size and lists the tiles covering
+ * it. Maps drawn in these coordinates line up with any tile provider without
+ * further conversion.
+ */
+
+// ============================================
+// Constants and Configuration
+// ============================================
+
+/**
+ * Tile size in pixels
+ * @constant {number}
+ */
+export const TILE_SIZE = 256;
+
+/**
+ * Latitude limit of the Web Mercator projection
+ * @constant {number}
+ */
+const MAX_LATITUDE = 85.05112878;
+
+/**
+ * Miles per degree of latitude (mean)
+ * @constant {number}
+ */
+const MILES_PER_LATITUDE_DEGREE = 69.05;
+
+/**
+ * Zoom levels offered by common tile providers
+ * @constant {{ min: number, max: number }}
+ */
+const ZOOM_RANGE = Object.freeze({ min: 0, max: 18 });
+
+// ============================================
+// Projection
+// ============================================
+
+/**
+ * Projects a coordinate to world pixels at a zoom level
+ * @param {{ latitude: number, longitude: number }} coordinates - Point
+ * @param {number} zoom - Zoom level
+ * @returns {{ x: number, y: number }} World pixel position
+ */
+export function projectToWorld(coordinates, zoom) {
+  const scale = TILE_SIZE * 2 ** zoom;
+  const latitude = Math.max(-MAX_LATITUDE, Math.min(MAX_LATITUDE, coordinates.latitude));
+  const sinLatitude = Math.sin((latitude * Math.PI) / 180);
+
+  return {
+    x: ((coordinates.longitude + 180) / 360) * scale,
+    y: (0.5 - Math.log((1 + sinLatitude) / (1 - sinLatitude)) / (4 * Math.PI)) * scale,
+  };
+}
+
+/**
+ * Gets how many world pixels one mile spans at a point (Mercator scale varies with latitude)
+ * @param {{ latitude: number, longitude: number }} coordinates - Point
+ * @param {number} zoom - Zoom level
+ * @returns {number} Pixels per mile
+ */
+export function getPixelsPerMile(coordinates, zoom) {
+  const offset = 1 / MILES_PER_LATITUDE_DEGREE;
+  const north = projectToWorld({ ...coordinates, latitude: coordinates.latitude + offset / 2 }, zoom);
+  const south = projectToWorld({ ...coordinates, latitude: coordinates.latitude - offset / 2 }, zoom);
+
+  return south.y - north.y;
+}
+
+/**
+ * Picks the largest zoom level at which a circle fits inside a target size
+ * @param {{ latitude: number, longitude: number }} center - Circle center
+ * @param {number} radiusMiles - Circle radius in miles
+ * @param {number} targetPixels - Available width and height in pixels
+ * @returns {number} Zoom level
+ */
+export function getZoomToFit(center, radiusMiles, targetPixels) {
+  const diameterAtZoomZero = 2 * radiusMiles * getPixelsPerMile(center, 0);
+  const zoom = Math.floor(Math.log2(targetPixels / diameterAtZoomZero));
+
+  return Math.max(ZOOM_RANGE.min, Math.min(ZOOM_RANGE.max, zoom));
+}
+
+/**
+ * Lists the tiles that cover a rectangle of world pixels
+ * @param {{ x: number, y: number, width: number, height: number }} view - Rectangle in world pixels
+ * @param {number} zoom - Zoom level
+ * @returns {Array<{ x: number, y: number, z: number }>} Tile coordinates
+ */
+export function getTilesForView(view, zoom) {
+  const lastTile = 2 ** zoom - 1;
+  const clamp = (value) => Math.max(0, Math.min(lastTile, value));
+
+  const minX = clamp(Math.floor(view.x / TILE_SIZE));
+  const maxX = clamp(Math.floor((view.x + view.width) / TILE_SIZE));
+  const minY = clamp(Math.floor(view.y / TILE_SIZE));
+  const maxY = clamp(Math.floor((view.y + view.height) / TILE_SIZE));
+
+  const tiles = [];
+
+  for (let y = minY; y <= maxY; y++) {
+    for (let x = minX; x <= maxX; x++) {
+      tiles.push({ x, y, z: zoom });
+    }
+  }
+
+  return tiles;
+}
@@ -0,0 +1,181 @@
+/**
+ * Anti-Spam Test Suite
+ * Covers the spam score, honeypot, time-to-submit and rate limit checks,
+ * and proof-of-work token generation and verification
+ *
+ * Runs in the Node environment, which provides SubtleCrypto for proof-of-work
+ *
+ * @jest-environment node
+ */
+
+import { describe, it, expect, beforeEach, afterEach, jest } from '@jest/globals';
+import {
+  calculateSpamScore,
+  isHoneypotEmpty,
+  isWithinRateLimit,
+  recordSubmission,
+  createSpamGuard,
+  ANTI_SPAM_CONFIG,
+  SPAM_GUARD_FORMS,
+  RATE_LIMITS,
+  SPAM_REJECTIONS,
+  SPAM_REJECTION_MESSAGE_KEY,
+} from '../src/utils/anti-spam.js';
+import { countLeadingZeroBits, solveChallenge, verifySolution } from '../src/utils/proof-of-work.js';
+import { t } from '../src/utils/i18n.js';
+
+const legitimateMessage = 'Our corn yields dropped this season. Can you test soil on 40 acres next month?';
+
+/**
+ * Minimal in-memory localStorage for the Node environment
+ * @returns {Object} Storage double
+ */
+function createMemoryStorage() {
+  const items = new Map();
+  return {
+    getItem: (key) => (items.has(key) ? items.get(key) : null),
+    setItem: (key, value) => items.set(key, String(value)),
+    removeItem: (key) => items.delete(key),
+  };
+}
+
+describe('Anti-Spam', () => {
+  beforeEach(() => {
+    globalThis.localStorage = createMemoryStorage();
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    delete globalThis.localStorage;
+    jest.restoreAllMocks();
+  });
+
+  describe('calculateSpamScore', () => {
+    it('should score a normal farm inquiry as zero', () => {
+      expect(calculateSpamScore(legitimateMessage)).toEqual({ score: 0, reasons: [] });
+    });
+
+    it('should add weight for each additional link', () => {
+      expect(calculateSpamScore('See https://example.com').score).toBe(1);
+      expect(calculateSpamScore('https://a.example www.b.example https://c.example').score).toBe(5);
+    });
+
+    it('should detect link markup and spam keywords', () => {
+      const result = calculateSpamScore('Best SEO services! [url=https://spam.example]click here[/url]');
+
+      expect(result.reasons).toEqual(expect.arrayContaining([
+        'link-markup',
+        'keyword:seo services',
+        'keyword:click here',
+      ]));
+      expect(result.score).toBeGreaterThanOrEqual(ANTI_SPAM_CONFIG.SPAM_SCORE_REJECT);
+    });
+  });
+
+  describe('individual checks', () => {
+    it('should detect a filled honeypot', () => {
+      expect(isHoneypotEmpty({ website: '' })).toBe(true);
+      expect(isHoneypotEmpty({})).toBe(true);
+      expect(isHoneypotEmpty({ website: 'https://bot.example' })).toBe(false);
+    });
+
+    it('should limit submissions per browser within the window', () => {
+      const now = Date.now();
+
+      for (let i = 0; i < ANTI_SPAM_CONFIG.RATE_LIMIT_MAX; i++) {
+        expect(isWithinRateLimit(now)).toBe(true);
+        recordSubmission(now);
+      }
+
+      expect(isWithinRateLimit(now)).toBe(false);
+      expect(isWithinRateLimit(now + ANTI_SPAM_CONFIG.RATE_LIMIT_WINDOW)).toBe(true);
+    });
+
+    it('should count each form separately', () => {
+      const now = Date.now();
+
+      for (let i = 0; i < ANTI_SPAM_CONFIG.RATE_LIMIT_MAX; i++) {
+        recordSubmission(now, SPAM_GUARD_FORMS.CONTACT);
+      }
+
+      expect(isWithinRateLimit(now, SPAM_GUARD_FORMS.CONTACT)).toBe(false);
+      expect(isWithinRateLimit(now, SPAM_GUARD_FORMS.QUOTE)).toBe(true);
+      expect(isWithinRateLimit(now, SPAM_GUARD_FORMS.EMERGENCY)).toBe(true);
+    });
+  });
+
+  describe('proof of work', () => {
+    it('should count leading zero bits', () => {
+      expect(countLeadingZeroBits(new Uint8Array([0, 0x0f, 0xff]))).toBe(12);
+      expect(countLeadingZeroBits(new Uint8Array([0x80]))).toBe(0);
+    });
+
+    it('should produce solutions that verify', async () => {
+      const nonce = await solveChallenge('test-challenge', 8);
+
+      await expect(verifySolution('test-challenge', nonce, 8)).resolves.toBe(true);
+      await expect(verifySolution('other-challenge', nonce, 16)).resolves.toBe(false);
+    });
+  });
+
+  describe('createSpamGuard', () => {
+    const formStartedLongAgo = () => Date.now() - ANTI_SPAM_CONFIG.MIN_FILL_TIME - 1000;
+
+    it('should reject submissions made faster than a person can type', async () => {
+      const guard = createSpamGuard({ startedAt: Date.now() });
+      const result = await guard.evaluate({ message: legitimateMessage });
+
+      expect(result).toMatchObject({ ok: false, reason: SPAM_REJECTIONS.TOO_FAST, message: t(SPAM_REJECTION_MESSAGE_KEY) });
+    });
+
+    it('should use the same generic message for every rejection', async () => {
+      const guard = createSpamGuard({ startedAt: formStartedLongAgo() });
+      const honeypot = await guard.evaluate({ message: legitimateMessage, website: 'filled' });
+      const spam = await guard.evaluate({ message: 'Cheap viagra and casino bonus https://spam.example' });
+
+      expect(honeypot.reason).toBe(SPAM_REJECTIONS.HONEYPOT);
+      expect(spam.reason).toBe(SPAM_REJECTIONS.SPAM_SCORE);
+      expect(honeypot.message).toBe(spam.message);
+    });
+
+    it('should attach the spam score and a verifiable proof-of-work token', async () => {
+      const guard = createSpamGuard({ startedAt: formStartedLongAgo() });
+      const result = await guard.evaluate({ message: `${legitimateMessage} https://farm.example` });
+
+      expect(result.ok).toBe(true);
+      expect(result.fields.spamScore).toBe(1);
+
+      const [version, difficulty, challenge, nonce] = result.fields.proofOfWork.split(':');
+      expect(version).toBe(ANTI_SPAM_CONFIG.POW_VERSION);
+      await expect(verifySolution(challenge, Number(nonce), Number(difficulty))).resolves.toBe(true);
+    });
+
+    it('should stop accepting submissions once the rate limit is reached', async () => {
+      const guard = createSpamGuard({ startedAt: formStartedLongAgo() });
+
+      for (let i = 0; i < ANTI_SPAM_CONFIG.RATE_LIMIT_MAX; i++) {
+        guard.recordSubmission();
+      }
+
+      const result = await guard.evaluate({ message: legitimateMessage });
+      expect(result.reason).toBe(SPAM_REJECTIONS.RATE_LIMITED);
+    });
+
+    it('should still accept emergency requests after ordinary messages used up their limit', async () => {
+      const contactGuard = createSpamGuard({ startedAt: formStartedLongAgo() });
+      const emergencyGuard = createSpamGuard({ startedAt: formStartedLongAgo(), form: SPAM_GUARD_FORMS.EMERGENCY });
+
+      for (let i = 0; i < ANTI_SPAM_CONFIG.RATE_LIMIT_MAX; i++) {
+        contactGuard.recordSubmission();
+      }
+
+      expect((await contactGuard.evaluate({ message: legitimateMessage })).ok).toBe(false);
+      expect((await emergencyGuard.evaluate({ details: legitimateMessage }, { textField: 'details' })).ok).toBe(true);
+      expect(RATE_LIMITS[SPAM_GUARD_FORMS.EMERGENCY]).toBeGreaterThan(RATE_LIMITS[SPAM_GUARD_FORMS.CONTACT] * 5);
+    });
+
+    it('should refuse to guard an unknown form', () => {
+      expect(() => createSpamGuard({ form: 'newsletter' })).toThrow('Unknown form: newsletter');
+    });
+  });
+});
@@ -0,0 +1,230 @@
+/**
+ * Business Hours Test Suite
+ * Covers open/closed evaluation in the office time zone, seasonal hours,
+ * holidays, dated closures, the status messages shown in the contact section
+ * and the downloadable closures calendar
+ *
+ * All instants are fixed UTC timestamps, so results do not depend on the
+ * time zone of the machine running the tests
+ *
+ * @jest-environment node
+ */
+
+import { describe, it, expect, beforeAll, jest } from '@jest/globals';
+import { createBusinessHours, getZonedTime, formatShortTime } from '../src/utils/business-hours.js';
+import { createICalendar } from '../src/utils/icalendar.js';
+import { SITE_CONFIG } from '../src/data/site-config.js';
+
+/**
+ * Exceptions calendar used by the engine tests, independent of the live contact data
+ */
+const calendar = {
+  seasons: [
+    {
+      name: 'Harvest season',
+      start: '09-01',
+      end: '10-31',
+      schedule: {
+        weekdays: { open: '07:00', close: '20:00' },
+        saturday: { open: '08:00', close: '18:00' },
+      },
+    },
+  ],
+  holidays: [
+    { name: 'New Year\'s Day', date: '01-01' },
+    { name: 'Memorial Day', month: 5, weekday: 1, week: -1 },
+    { name: 'Thanksgiving', month: 11, weekday: 4, week: 4 },
+    { name: 'Christmas Eve', date: '12-24' },
+    { name: 'Christmas Day', date: '12-25' },
+  ],
+  closures: [
+    { name: 'Staff training day', start: '2026-10-21' },
+    { name: 'Equipment maintenance', start: '2026-12-28', end: '2026-12-31' },
+  ],
+};
+
+const businessHours = createBusinessHours({ ...SITE_CONFIG.hours, ...calendar });
+
+describe('Business Hours', () => {
+  describe('getZonedTime', () => {
+    it('should read the date and clock in the given time zone', () => {
+      // 02:30 UTC on Tuesday is still Monday evening in California
+      expect(getZonedTime(new Date('2026-11-17T02:30:00Z'), 'America/Los_Angeles')).toEqual({
+        dateKey: '2026-11-16',
+        dayOfWeek: 1,
+        minutes: 18 * 60 + 30,
+      });
+    });
+  });
+
+  describe('formatShortTime', () => {
+    it('should drop zero minutes', () => {
+      expect(formatShortTime('18:00')).toBe('6 PM');
+      expect(formatShortTime('08:30')).toBe('8:30 AM');
+      expect(formatShortTime('00:00')).toBe('12 AM');
+    });
+  });
+
+  describe('getStatus', () => {
+    it('should be open during regular hours in the office time zone', () => {
+      const status = businessHours.getStatus(new Date('2026-11-16T17:00:00Z')); // Mon 9:00 PST
+
+      expect(status.isOpen).toBe(true);
+      expect(status.closesAt).toBe('18:00');
+      expect(status.message).toBe('Open now – closes at 6 PM');
+    });
+
+    it('should count down during the last hour', () => {
+      const status = businessHours.getStatus(new Date('2026-11-17T01:30:00Z')); // Mon 17:30 PST
+
+      expect(status.minutesUntilClose).toBe(30);
+      expect(status.message).toBe('Open now – closes in 30 min');
+    });
+
+    it('should report the next opening after the weekend', () => {
+      const status = businessHours.getStatus(new Date('2026-11-22T01:00:00Z')); // Sat 17:00 PST
+
+      expect(status.isOpen).toBe(false);
+      expect(status.nextOpening).toEqual({ dateKey: '2026-11-23', dayOfWeek: 1, time: '08:00', daysAhead: 2 });
+      expect(status.message).toBe('Opens Monday 8 AM');
+    });
+
+    it('should say "today" before opening time', () => {
+      expect(businessHours.getStatus(new Date('2026-11-16T15:00:00Z')).message).toBe('Opens today 8 AM'); // Mon 7:00 PST
+    });
+
+    it('should apply seasonal hours', () => {
+      // Mon 19:00 PDT: closed under regular hours, open during harvest season
+      const weekday = businessHours.getStatus(new Date('2026-10-20T02:00:00Z'));
+      // Sat 17:30 PDT: regular Saturday hours end at 16:00
+      const saturday = businessHours.getStatus(new Date('2026-10-25T00:30:00Z'));
+
+      expect(weekday).toMatchObject({ isOpen: true, closesAt: '20:00', season: 'Harvest season' });
+      expect(saturday).toMatchObject({ isOpen: true, minutesUntilClose: 30 });
+    });
+
+    it('should stay closed on holidays and skip them when finding the next opening', () => {
+      const christmas = businessHours.getStatus(new Date('2026-12-25T18:00:00Z')); // Fri 10:00 PST
+      const beforeEve = businessHours.getStatus(new Date('2026-12-24T03:00:00Z')); // Wed 19:00 PST
+
+      expect(christmas).toMatchObject({ isOpen: false, closure: 'Christmas Day' });
+      expect(christmas.message).toBe('Closed for Christmas Day – opens tomorrow 9 AM');
+      expect(beforeEve.message).toBe('Opens Saturday 9 AM');
+    });
+
+    it('should apply floating holidays', () => {
+      const thanksgiving = businessHours.getStatus(new Date('2026-11-26T18:00:00Z')); // Thu 10:00 PST
+
+      expect(thanksgiving).toMatchObject({ isOpen: false, closure: 'Thanksgiving' });
+      expect(businessHours.getHoursForDate('2027-11-25').reason).toBe('holiday');
+      expect(businessHours.getHoursForDate('2027-05-31').label).toBe('Memorial Day');
+      expect(businessHours.getHoursForDate('2027-05-24').reason).toBe('regular');
+    });
+
+    it('should let dated closures override seasonal hours', () => {
+      const status = businessHours.getStatus(new Date('2026-10-21T17:00:00Z')); // Wed 10:00 PDT
+
+      expect(status).toMatchObject({ isOpen: false, closure: 'Staff training day' });
+      expect(status.message).toBe('Closed for Staff training day – opens tomorrow 7 AM');
+      expect(businessHours.getHoursForDate('2026-12-30')).toMatchObject({ reason: 'closure', label: 'Equipment maintenance' });
+    });
+
+    it('should follow daylight saving time changes', () => {
+      // Monday opening is 07:00 PDT (14:00 UTC) in harvest season and 08:00 PST (16:00 UTC) after it
+      expect(businessHours.isOpen(new Date('2026-10-26T14:00:00Z'))).toBe(true);
+      expect(businessHours.isOpen(new Date('2026-11-02T15:00:00Z'))).toBe(false);
+      expect(businessHours.isOpen(new Date('2026-11-02T16:00:00Z'))).toBe(true);
+    });
+  });
+
+  describe('getWeeklySchedule', () => {
+    it('should apply the season in effect on the date', () => {
+      const [weekdays, saturday, sunday] = businessHours.getWeeklySchedule(new Date('2026-10-01T18:00:00Z'));
+
+      expect(weekdays).toEqual({ key: 'weekdays', days: 'Monday - Friday', open: '07:00', close: '20:00', season: 'Harvest season' });
+      expect(saturday.season).toBe('Harvest season');
+      expect(sunday).toMatchObject({ open: null, season: null });
+      expect(businessHours.getWeeklySchedule(new Date('2026-11-16T18:00:00Z'))[0]).toMatchObject({ open: '08:00', season: null });
+    });
+  });
+
+  describe('getUpcomingClosures', () => {
+    it('should list holidays and closures in order, merging multi-day closures', () => {
+      expect(businessHours.getUpcomingClosures(new Date('2026-12-20T18:00:00Z'), 14)).toEqual([
+        { name: 'Christmas Eve', reason: 'holiday', start: '2026-12-24', end: '2026-12-24' },
+        { name: 'Christmas Day', reason: 'holiday', start: '2026-12-25', end: '2026-12-25' },
+        { name: 'Equipment maintenance', reason: 'closure', start: '2026-12-28', end: '2026-12-31' },
+        { name: 'New Year\'s Day', reason: 'holiday', start: '2027-01-01', end: '2027-01-01' },
+      ]);
+    });
+  });
+
+  describe('createICalendar', () => {
+    const ics = createICalendar(
+      [
+        { uid: 'a@example.com', summary: 'Closed: maintenance; yard, shop', start: '2026-12-28', end: '2026-12-31' },
+        { uid: 'b@example.com', summary: 'Closed', start: '2027-01-01', description: 'Ñ'.repeat(60) },
+      ],
+      { productId: '-//Test//Closures//EN', name: 'Closures', timestamp: new Date('2026-12-01T12:00:00Z') }
+    );
+    const lines = ics.split('\r\n');
+
+    it('should use CRLF line endings and wrap events in a calendar', () => {
+      expect(ics.endsWith('END:VCALENDAR\r\n')).toBe(true);
+      expect(ics.replace(/\r\n/g, '')).not.toMatch(/[\r\n]/);
+      expect(lines[0]).toBe('BEGIN:VCALENDAR');
+      expect(lines.filter((line) => line === 'BEGIN:VEVENT')).toHaveLength(2);
+    });
+
+    it('should write all-day dates with an exclusive end and escape text', () => {
+      expect(lines).toEqual(expect.arrayContaining([
+        'DTSTAMP:20261201T120000Z',
+        'DTSTART;VALUE=DATE:20261228',
+        'DTEND;VALUE=DATE:20270101',
+        'DTEND;VALUE=DATE:20270102',
+        'SUMMARY:Closed: maintenance\\; yard\\, shop',
+      ]));
+    });
+
+    it('should fold lines longer than 75 octets', () => {
+      const octets = (line) => Buffer.byteLength(line, 'utf8');
+
+      expect(Math.max(...lines.map(octets))).toBeLessThanOrEqual(75);
+      expect(ics).toContain('\r\n Ñ');
+      expect(ics.replace(/\r\n /g, '')).toContain(`DESCRIPTION:${'Ñ'.repeat(60)}`);
+    });
+  });
+
+  describe('contact data integration', () => {
+    let contact;
+
+    beforeAll(async () => {
+      jest.spyOn(console, 'log').mockImplementation(() => {});
+      contact = await import('../src/data/contact.js');
+    });
+
+    it('should evaluate the configured hours', () => {
+      const instant = new Date('2026-11-16T17:00:00Z');
+
+      expect(contact.isBusinessOpen(instant)).toBe(true);
+      expect(contact.getBusinessStatus(instant).message).toBe('Open now – closes at 6 PM');
+    });
+
+    it('should list seasonal hours and upcoming closures in the formatted hours', () => {
+      const harvest = contact.getFormattedHours(new Date('2026-10-01T18:00:00Z'));
+      const november = contact.getFormattedHours(new Date('2026-11-20T18:00:00Z'));
+
+      expect(harvest[0]).toEqual({ days: 'Monday - Friday', hours: '7:00 AM - 8:00 PM', note: 'Harvest season' });
+      expect(november).toContainEqual({ days: 'Thursday, November 26', hours: 'Closed', note: 'Thanksgiving' });
+    });
+
+    it('should export one calendar event per upcoming closure', () => {
+      const now = new Date('2026-11-20T18:00:00Z');
+      const ics = contact.getClosuresCalendar(now);
+
+      expect(ics.match(/^BEGIN:VEVENT$/gm)).toHaveLength(contact.getUpcomingClosures(now).length);
+      expect(ics).toContain('SUMMARY:GreenField office closed: Thanksgiving');
+      expect(contact.CLOSURES_CALENDAR_FILENAME).toBe('greenfield-closures.ics');
+    });
+  });
+});
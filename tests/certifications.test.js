@@ -0,0 +1,170 @@
+/**
+ * Certifications Test Suite
+ * Covers certification expiry checks, the company data warnings and the
+ * certification detail dialog
+ *
+ * @jest-environment jsdom
+ */
+
+import { describe, it, expect, beforeEach, afterEach, jest } from '@jest/globals';
+import { setLocale } from '../src/utils/i18n.js';
+import {
+  getCertifications,
+  getCertificationStatus,
+  validateCompanyInfo,
+  CERTIFICATION_STATUS,
+  CERTIFICATION_EXPIRY_WARNING_DAYS,
+} from '../src/data/company.js';
+import {
+  initCertificationDialog,
+  cleanupCertificationDialog,
+  openCertificationDetail,
+  getOpenCertificationId,
+  describeCertificationStatus,
+} from '../src/components/certification-dialog.js';
+
+const certification = { id: 'cert-test', expiresOn: '2027-03-31' };
+
+/**
+ * Builds an instant at noon in the office time zone (PDT/PST, UTC-7/-8)
+ * @param {string} dateKey - Date as YYYY-MM-DD
+ * @returns {Date} Instant
+ */
+function officeNoon(dateKey) {
+  return new Date(`${dateKey}T20:00:00Z`);
+}
+
+describe('Certification status', () => {
+  it('should treat certifications without an expiry date as current', () => {
+    expect(getCertificationStatus({ id: 'award' }, officeNoon('2040-01-01'))).toEqual({
+      status: CERTIFICATION_STATUS.CURRENT,
+      daysRemaining: null,
+    });
+  });
+
+  it('should flag certifications within the warning window', () => {
+    expect(getCertificationStatus(certification, officeNoon('2026-12-01')).status).toBe(CERTIFICATION_STATUS.CURRENT);
+    expect(getCertificationStatus(certification, officeNoon('2027-01-30'))).toEqual({
+      status: CERTIFICATION_STATUS.EXPIRING,
+      daysRemaining: CERTIFICATION_EXPIRY_WARNING_DAYS,
+    });
+  });
+
+  it('should stay valid through the expiry date in the office time zone', () => {
+    // 11 PM PDT on the expiry date is already April 1 in UTC
+    expect(getCertificationStatus(certification, new Date('2027-04-01T06:00:00Z'))).toEqual({
+      status: CERTIFICATION_STATUS.EXPIRING,
+      daysRemaining: 0,
+    });
+    expect(getCertificationStatus(certification, officeNoon('2027-04-01'))).toEqual({
+      status: CERTIFICATION_STATUS.EXPIRED,
+      daysRemaining: -1,
+    });
+  });
+
+  it('should describe the status for badges', () => {
+    expect(describeCertificationStatus({ id: 'award' })).toBeNull();
+    expect(describeCertificationStatus(certification, officeNoon('2027-03-30')).label).toBe('Expires in 1 day');
+    expect(describeCertificationStatus(certification, officeNoon('2027-04-02'))).toMatchObject({
+      label: 'Expired',
+      badgeClass: 'badge badge-error',
+    });
+  });
+});
+
+describe('Company data validation', () => {
+  afterEach(() => {
+    jest.useRealTimers();
+    jest.restoreAllMocks();
+  });
+
+  it('should warn about expired certifications without failing validation', () => {
+    const warn = jest.spyOn(console, 'warn').mockImplementation(() => {});
+    jest.useFakeTimers({ now: officeNoon('2040-01-01') });
+
+    expect(validateCompanyInfo()).toBe(true);
+
+    const expiring = getCertifications().filter((cert) => cert.expiresOn);
+    expect(warn).toHaveBeenCalledTimes(expiring.length);
+    expiring.forEach((cert) => {
+      expect(warn).toHaveBeenCalledWith('[Company] Certification has expired:', expect.objectContaining({ id: cert.id }));
+    });
+  });
+});
+
+describe('Certification detail dialog', () => {
+  const withDetails = getCertifications().find((cert) => cert.verificationUrl && cert.certificateNumber);
+  const award = getCertifications().find((cert) => !cert.expiresOn);
+
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(window, 'scrollTo').mockImplementation(() => {});
+    document.body.innerHTML = '<button type="button" id="trigger">View details</button>';
+    initCertificationDialog();
+  });
+
+  afterEach(() => {
+    cleanupCertificationDialog();
+    setLocale('en', { persist: false });
+    jest.restoreAllMocks();
+  });
+
+  it('should show every detail a certification has', () => {
+    expect(openCertificationDetail(withDetails.id)).toBe(true);
+    const dialog = document.getElementById('certification-dialog');
+    const details = dialog.querySelector('dl').textContent;
+    const verifyLink = dialog.querySelector('.certification-dialog-actions a');
+
+    expect(dialog.hidden).toBe(false);
+    expect(dialog.querySelector('h2').textContent).toBe(withDetails.name);
+    expect(dialog.querySelector('.certification-dialog-description').textContent).toBe(withDetails.description);
+    expect(details).toContain(withDetails.issuer);
+    expect(details).toContain(String(withDetails.year));
+    expect(details).toContain(withDetails.certificateNumber);
+    expect(details).toContain('Valid until');
+    expect(verifyLink.hidden).toBe(false);
+    expect(verifyLink.getAttribute('href')).toBe(withDetails.verificationUrl);
+    expect(verifyLink.rel).toContain('noopener');
+    expect(dialog.querySelector('img').alt).toBe(withDetails.thumbnail.alt);
+  });
+
+  it('should leave out optional details a certification does not have', () => {
+    openCertificationDetail(award.id);
+    const dialog = document.getElementById('certification-dialog');
+
+    expect(dialog.querySelector('dl').textContent).not.toContain('Certificate number');
+    expect(dialog.querySelector('.certification-dialog-actions a').hidden).toBe(true);
+    expect(dialog.querySelector('img').hidden).toBe(true);
+  });
+
+  it('should follow the active language while open', () => {
+    const translated = getCertifications('es').find((cert) => cert.id === withDetails.id);
+    openCertificationDetail(withDetails.id);
+    const dialog = document.getElementById('certification-dialog');
+
+    setLocale('es', { persist: false });
+
+    expect(translated.name).not.toBe(withDetails.name);
+    expect(dialog.querySelector('h2').textContent).toBe(translated.name);
+    expect(dialog.querySelector('dl').textContent).toContain('Vigente hasta');
+    expect(dialog.querySelector('img').alt).toBe(translated.thumbnail.alt);
+  });
+
+  it('should close on Escape and return focus to the trigger', () => {
+    const trigger = document.getElementById('trigger');
+    trigger.focus();
+    openCertificationDetail(award.id, trigger);
+
+    document.getElementById('certification-dialog')
+      .dispatchEvent(new KeyboardEvent('keydown', { key: 'Escape', bubbles: true }));
+
+    expect(getOpenCertificationId()).toBeNull();
+    expect(document.getElementById('certification-dialog').hidden).toBe(true);
+    expect(document.activeElement).toBe(trigger);
+  });
+
+  it('should not open for unknown certifications', () => {
+    expect(openCertificationDetail('cert-unknown')).toBe(false);
+    expect(getOpenCertificationId()).toBeNull();
+  });
+});
@@ -0,0 +1,194 @@
+/**
+ * Contact Card Test Suite
+ * Covers the vCard 4.0 serializer, the contact card built from the contact data
+ * and the QR Code encoder against values published in ISO/IEC 18004
+ *
+ * @jest-environment node
+ */
+
+import { describe, it, expect } from '@jest/globals';
+import { createVCard } from '../src/utils/vcard.js';
+import { foldLine } from '../src/utils/content-line.js';
+import {
+  encodeQRCode,
+  renderQRCodeSvg,
+  getErrorCorrection,
+  getFormatBits,
+  getVersionBits,
+  getDataCodewords,
+  ERROR_CORRECTION,
+} from '../src/utils/qr-code.js';
+import { contactInfo, getContactVCard, getPhoneLink } from '../src/data/contact.js';
+
+/**
+ * Unfolds a content-line document into logical lines
+ * @param {string} text - Document with CRLF line endings
+ * @returns {Array<string>} Lines
+ */
+function unfold(text) {
+  return text.replace(/\r\n /g, '').split('\r\n').filter(Boolean);
+}
+
+/**
+ * Checks a 7x7 finder pattern with its top-left corner at a module
+ * @param {Array<Array<boolean>>} modules - Symbol modules
+ * @param {number} left - Column
+ * @param {number} top - Row
+ * @returns {boolean} True if the finder pattern is intact
+ */
+function hasFinderPattern(modules, left, top) {
+  for (let dy = 0; dy < 7; dy++) {
+    for (let dx = 0; dx < 7; dx++) {
+      const ring = Math.max(Math.abs(dx - 3), Math.abs(dy - 3));
+
+      if (modules[top + dy][left + dx] !== (ring !== 2)) {
+        return false;
+      }
+    }
+  }
+
+  return true;
+}
+
+describe('vCard', () => {
+  const card = {
+    kind: 'org',
+    name: 'Acme, Farms; Inc.',
+    phones: [
+      { number: '+15550001111', types: ['work', 'voice'], pref: 1 },
+      { number: '+15550002222', types: ['work'], label: 'Night line' },
+    ],
+    emails: [{ address: 'hello@example.com', types: ['work'] }],
+    address: { street: '1 Main St', city: 'Town', region: 'CA', postalCode: '90000', country: 'United States', types: ['work'] },
+    note: 'Line one\nLine two',
+  };
+
+  it('should produce a vCard 4.0 document with CRLF line endings', () => {
+    const vcard = createVCard(card);
+
+    expect(vcard.startsWith('BEGIN:VCARD\r\nVERSION:4.0\r\n')).toBe(true);
+    expect(vcard.endsWith('END:VCARD\r\n')).toBe(true);
+    expect(vcard.replace(/\r\n/g, '')).not.toMatch(/[\r\n]/);
+  });
+
+  it('should escape text and structured address components', () => {
+    const lines = unfold(createVCard(card));
+
+    expect(lines).toContain('FN:Acme\\, Farms\\; Inc.');
+    expect(lines).toContain('ADR;TYPE=work:;;1 Main St;Town;CA;90000;United States');
+    expect(lines).toContain('NOTE:Line one\\nLine two');
+  });
+
+  it('should write phone numbers as tel: URIs and group labelled numbers', () => {
+    const lines = unfold(createVCard(card));
+
+    expect(lines).toContain('TEL;VALUE=uri;TYPE="work,voice";PREF=1:tel:+15550001111');
+    expect(lines).toContain('item1.TEL;VALUE=uri;TYPE=work:tel:+15550002222');
+    expect(lines).toContain('item1.X-ABLABEL:Night line');
+  });
+
+  it('should only add a revision timestamp when one is given', () => {
+    expect(createVCard(card)).not.toMatch(/^REV:/m);
+    expect(unfold(createVCard(card, { timestamp: new Date('2026-10-19T12:30:00Z') }))).toContain('REV:20261019T123000Z');
+  });
+
+  it('should fold lines at 75 octets', () => {
+    const folded = foldLine(`NOTE:${'é'.repeat(60)}`);
+
+    folded.split('\r\n').forEach((line) => {
+      expect(Buffer.byteLength(line, 'utf8')).toBeLessThanOrEqual(75);
+    });
+    expect(folded.replace(/\r\n /g, '')).toBe(`NOTE:${'é'.repeat(60)}`);
+  });
+});
+
+describe('Business contact card', () => {
+  it('should carry every contact method from the contact data', () => {
+    const lines = unfold(getContactVCard({ timestamp: new Date('2026-10-19T12:00:00Z') }));
+
+    expect(lines).toContain(`FN:${contactInfo.businessName}`);
+    expect(lines).toContain(`TEL;VALUE=uri;TYPE="work,voice";PREF=1:tel:${contactInfo.phone.raw}`);
+    expect(lines).toContain(`item1.TEL;VALUE=uri;TYPE="work,voice":tel:${contactInfo.emergency.raw}`);
+    expect(lines).toContain(`item1.X-ABLABEL:${contactInfo.emergency.label}`);
+    expect(lines).toContain(`EMAIL;TYPE=work:${contactInfo.email.raw}`);
+    expect(lines.find((line) => line.startsWith('ADR'))).toContain(`${contactInfo.address.street};${contactInfo.address.city}`);
+    expect(lines).toContain(`GEO:geo:${contactInfo.address.coordinates.latitude},${contactInfo.address.coordinates.longitude}`);
+    expect(lines.filter((line) => line.startsWith('SOCIALPROFILE'))).toHaveLength(Object.keys(contactInfo.social).length);
+    expect(lines.find((line) => line.startsWith('NOTE'))).toContain(contactInfo.emergency.display);
+  });
+
+  it('should keep the compact card stable and small enough for a QR code', () => {
+    const compact = getContactVCard({ compact: true });
+
+    expect(getContactVCard({ compact: true })).toBe(compact);
+    expect(compact).not.toMatch(/^(REV|NOTE|SOCIALPROFILE|GEO)/m);
+    expect(encodeQRCode(compact, { errorCorrection: 'M' }).version).toBeLessThanOrEqual(20);
+  });
+});
+
+describe('QR Code', () => {
+  it('should compute Reed-Solomon codewords matching the ISO/IEC 18004 example', () => {
+    // "HELLO WORLD", version 1-M
+    const data = [32, 91, 11, 120, 209, 114, 220, 77, 67, 64, 236, 17, 236, 17, 236, 17];
+
+    expect(getErrorCorrection(data, 10)).toEqual([196, 35, 39, 119, 235, 215, 231, 226, 93, 23]);
+  });
+
+  it('should compute format and version information', () => {
+    expect(getFormatBits(ERROR_CORRECTION.L, 0)).toBe(0b111011111000100);
+    expect(getFormatBits(ERROR_CORRECTION.M, 0)).toBe(0b101010000010010);
+    expect(getFormatBits(ERROR_CORRECTION.Q, 0)).toBe(0b011010101011111);
+    expect(getFormatBits(ERROR_CORRECTION.H, 7)).toBe(0b000100000111011);
+    expect(getVersionBits(7)).toBe(0x07c94);
+    expect(getVersionBits(40)).toBe(0x28c69);
+  });
+
+  it('should match the published data capacities', () => {
+    expect(getDataCodewords(1, ERROR_CORRECTION.L)).toBe(19);
+    expect(getDataCodewords(1, ERROR_CORRECTION.H)).toBe(9);
+    expect(getDataCodewords(10, ERROR_CORRECTION.M)).toBe(216);
+    expect(getDataCodewords(40, ERROR_CORRECTION.L)).toBe(2956);
+    expect(getDataCodewords(40, ERROR_CORRECTION.H)).toBe(1276);
+  });
+
+  it('should pick the smallest version that fits the text', () => {
+    expect(encodeQRCode('x'.repeat(14), { errorCorrection: 'M' }).version).toBe(1);
+    expect(encodeQRCode('x'.repeat(15), { errorCorrection: 'M' }).version).toBe(2);
+    expect(encodeQRCode('x'.repeat(2953), { errorCorrection: 'L' }).version).toBe(40);
+    expect(() => encodeQRCode('x'.repeat(2954), { errorCorrection: 'L' })).toThrow(RangeError);
+    expect(() => encodeQRCode('x', { errorCorrection: 'X' })).toThrow(RangeError);
+  });
+
+  it('should lay out finder, timing and dark modules', () => {
+    const qrCode = encodeQRCode(getPhoneLink('phone'));
+    const { size, modules } = qrCode;
+
+    expect(size).toBe(qrCode.version * 4 + 17);
+    expect(hasFinderPattern(modules, 0, 0)).toBe(true);
+    expect(hasFinderPattern(modules, size - 7, 0)).toBe(true);
+    expect(hasFinderPattern(modules, 0, size - 7)).toBe(true);
+    expect(modules[size - 8][8]).toBe(true);
+
+    for (let i = 8; i < size - 8; i++) {
+      expect(modules[6][i]).toBe(i % 2 === 0);
+      expect(modules[i][6]).toBe(i % 2 === 0);
+    }
+  });
+
+  it('should be deterministic and honour a forced mask', () => {
+    const text = getContactVCard({ compact: true });
+
+    expect(encodeQRCode(text)).toEqual(encodeQRCode(text));
+    expect(encodeQRCode(text, { mask: 5 }).mask).toBe(5);
+  });
+
+  it('should render an SVG with a quiet zone and an accessible name', () => {
+    const qrCode = encodeQRCode('tel:+15551234567');
+    const svg = renderQRCodeSvg(qrCode, { title: 'Call "us" <now>' });
+    const dimension = qrCode.size + 8;
+
+    expect(svg).toContain(`viewBox="0 0 ${dimension} ${dimension}"`);
+    expect(svg).toContain('aria-label="Call &quot;us&quot; &lt;now>"');
+    expect(svg.match(/h1v1h-1z/g)).toHaveLength(qrCode.modules.flat().filter(Boolean).length);
+  });
+});
@@ -0,0 +1,118 @@
+/**
+ * Email Check Test Suite
+ * Covers typo suggestions, disposable-domain rejection and the pluggable
+ * MX lookup hook used by the contact form's async email validation
+ *
+ * @jest-environment node
+ */
+
+import { describe, it, expect, afterEach } from '@jest/globals';
+import {
+  suggestEmailCorrection,
+  isDisposableEmail,
+  setMxLookup,
+  checkEmailDeliverability,
+  EMAIL_CHECK_MESSAGE_KEYS,
+} from '../src/utils/email-check.js';
+import { createValidator, CONTACT_FORM_SCHEMA } from '../src/utils/validation.js';
+import { t } from '../src/utils/i18n.js';
+
+/**
+ * Local MX lookup stub backed by a fixed table
+ * @param {Object<string, boolean|null>} records - Lookup results keyed by domain
+ * @returns {Function} MX lookup
+ */
+function createMxStub(records) {
+  const calls = [];
+  const lookup = async (domain) => {
+    calls.push(domain);
+    return domain in records ? records[domain] : null;
+  };
+  lookup.calls = calls;
+  return lookup;
+}
+
+describe('Email Check', () => {
+  afterEach(() => {
+    setMxLookup(null);
+  });
+
+  describe('suggestEmailCorrection', () => {
+    it('should suggest common provider domains for typos', () => {
+      expect(suggestEmailCorrection('ann@gmial.com')).toBe('ann@gmail.com');
+      expect(suggestEmailCorrection('ann@hotmial.com')).toBe('ann@hotmail.com');
+      expect(suggestEmailCorrection('ann@yaho.com')).toBe('ann@yahoo.com');
+    });
+
+    it('should correct misspelled top-level domains', () => {
+      expect(suggestEmailCorrection('ann@gmail.con')).toBe('ann@gmail.com');
+      expect(suggestEmailCorrection('ann@gmial.con')).toBe('ann@gmail.com');
+      expect(suggestEmailCorrection('ann@greenacres.con')).toBe('ann@greenacres.com');
+    });
+
+    it('should not suggest anything for correct or unrelated domains', () => {
+      expect(suggestEmailCorrection('ann@gmail.com')).toBeNull();
+      expect(suggestEmailCorrection('ann@greenacresfarm.com')).toBeNull();
+      expect(suggestEmailCorrection('not-an-email')).toBeNull();
+    });
+  });
+
+  describe('isDisposableEmail', () => {
+    it('should match bundled disposable domains and their subdomains', () => {
+      expect(isDisposableEmail('x@mailinator.com')).toBe(true);
+      expect(isDisposableEmail('x@inbox.Mailinator.com')).toBe(true);
+      expect(isDisposableEmail('x@gmail.com')).toBe(false);
+    });
+  });
+
+  describe('checkEmailDeliverability', () => {
+    it('should reject disposable addresses without an MX lookup', async () => {
+      const mxLookup = createMxStub({});
+      setMxLookup(mxLookup);
+
+      const result = await checkEmailDeliverability('x@yopmail.com');
+
+      expect(result.error).toBe(t(EMAIL_CHECK_MESSAGE_KEYS.disposable));
+      expect(mxLookup.calls).toEqual([]);
+    });
+
+    it('should reject domains the MX lookup reports as having no mail server', async () => {
+      setMxLookup(createMxStub({ 'nomail.example': false, 'farm.example': true }));
+
+      expect((await checkEmailDeliverability('a@nomail.example')).error).toBe(t(EMAIL_CHECK_MESSAGE_KEYS.noMailServer));
+      expect((await checkEmailDeliverability('a@farm.example')).isValid).toBe(true);
+    });
+
+    it('should treat unknown or failed lookups as deliverable', async () => {
+      setMxLookup(async () => {
+        throw new Error('resolver offline');
+      });
+
+      expect((await checkEmailDeliverability('a@farm.example')).isValid).toBe(true);
+      expect((await checkEmailDeliverability('a@other.example', { mxLookup: createMxStub({}) })).isValid).toBe(true);
+    });
+
+    it('should report cancelled lookups as aborted', async () => {
+      const controller = new AbortController();
+      const mxLookup = async () => {
+        controller.abort();
+        return false;
+      };
+
+      const result = await checkEmailDeliverability('a@farm.example', { signal: controller.signal, mxLookup });
+
+      expect(result).toEqual({ isValid: true, error: null, suggestion: null, aborted: true });
+    });
+  });
+
+  describe('contact form schema integration', () => {
+    it('should run deliverability checks only through async validation', async () => {
+      setMxLookup(createMxStub({ 'nomail.example': false }));
+      const validator = createValidator(CONTACT_FORM_SCHEMA);
+
+      expect(validator.validateField('email', { email: 'a@nomail.example' }).isValid).toBe(true);
+      expect((await validator.validateFieldAsync('email', { email: 'a@nomail.example' })).error)
+        .toBe(t(EMAIL_CHECK_MESSAGE_KEYS.noMailServer));
+    });
+  });
+});
@@ -0,0 +1,249 @@
+/**
+ * Emergency Support Test Suite
+ * Covers the callback time estimates, the triage form schema and the
+ * "Crop emergency?" dialog's call link and high-priority submission, including
+ * its place at the front of the offline queue
+ *
+ * @jest-environment jsdom
+ */
+
+import { describe, it, expect, beforeEach, afterEach, jest } from '@jest/globals';
+import {
+  EMERGENCY_ISSUE_TYPES,
+  getEmergencyCallbackEstimate,
+  getPhoneLink,
+  contactInfo,
+} from '../src/data/contact.js';
+import { createValidator, EMERGENCY_FORM_SCHEMA } from '../src/utils/validation.js';
+import { SUBMISSION_PRIORITY } from '../src/utils/form-submission.js';
+import { QUEUE_CONFIG } from '../src/utils/submission-queue.js';
+import { configureContactSubmission } from '../src/components/contact-form.js';
+import { initEmergencySupport, cleanupEmergencySupport } from '../src/components/emergency-support.js';
+
+const OPEN_INSTANT = new Date('2026-11-16T17:00:00Z'); // Mon 9:00 PST
+const CLOSED_INSTANT = new Date('2026-11-22T01:00:00Z'); // Sat 17:00 PST
+
+describe('Emergency callback estimates', () => {
+  it('should promise the office-hours callback time while the office is open', () => {
+    const estimate = getEmergencyCallbackEstimate('irrigation-failure', OPEN_INSTANT);
+
+    expect(estimate).toEqual({
+      minutes: 15,
+      isOfficeOpen: true,
+      message: 'One of our specialists will call you back within 15 minutes.',
+    });
+  });
+
+  it('should fall back to the on-call time outside office hours', () => {
+    const estimate = getEmergencyCallbackEstimate('pest-outbreak', CLOSED_INSTANT);
+
+    expect(estimate.isOfficeOpen).toBe(false);
+    expect(estimate.minutes).toBe(60);
+    expect(estimate.message).toMatch(/^Our on-call specialist/);
+  });
+
+  it('should never promise a slower callback during office hours', () => {
+    EMERGENCY_ISSUE_TYPES.forEach(({ callbackMinutes }) => {
+      expect(callbackMinutes.open).toBeLessThanOrEqual(callbackMinutes.closed);
+    });
+    expect(getEmergencyCallbackEstimate('hailstorm', OPEN_INSTANT)).toBeNull();
+  });
+});
+
+describe('Emergency form schema', () => {
+  const validator = createValidator(EMERGENCY_FORM_SCHEMA);
+  const valid = { issueType: 'livestock', name: 'Ann Lee', phone: '(555) 222-3333', consent: true };
+
+  it('should accept a minimal callback request and normalize the phone number', () => {
+    const result = validator.validate(valid);
+
+    expect(result.isValid).toBe(true);
+    expect(result.data.phone).toBe('+15552223333');
+  });
+
+  it('should require a known issue type and a callback number', () => {
+    const { errors } = validator.validate({ ...valid, issueType: 'hailstorm', phone: '' });
+
+    expect(errors.issueType).toBe('Please choose the kind of emergency');
+    expect(errors.phone).toBe('Please enter a number we can call you back on');
+  });
+});
+
+/**
+ * Sets what navigator.onLine reports
+ * @param {boolean} online - Whether the browser is online
+ */
+function setOnline(online) {
+  Object.defineProperty(navigator, 'onLine', { value: online, configurable: true });
+}
+
+/**
+ * Waits until a condition holds, polling every 50ms
+ * @param {Function} condition - Returns true when done
+ * @returns {Promise<void>}
+ */
+async function waitFor(condition) {
+  for (let attempt = 0; attempt < 100 && !condition(); attempt++) {
+    await new Promise((resolve) => setTimeout(resolve, 50));
+  }
+}
+
+describe('Emergency Support dialog', () => {
+  let fetchMock;
+  let realDateNow;
+
+  /**
+   * Fills in and submits a valid triage form
+   * @returns {HTMLElement} Status element
+   */
+  const submitCallbackRequest = () => {
+    const form = document.getElementById('emergency-form');
+
+    // Skip past the spam guard's minimum fill time
+    Date.now = () => realDateNow() + 10000;
+
+    form.querySelector('input[value="livestock"]').checked = true;
+    form.elements.name.value = 'Ann Lee';
+    form.elements.phone.value = '(555) 222-3333';
+    form.elements.consent.checked = true;
+    form.dispatchEvent(new Event('submit', { cancelable: true }));
+
+    return document.getElementById('emergency-status');
+  };
+
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(window, 'scrollTo').mockImplementation(() => {});
+    document.body.innerHTML = `
+      <button type="button" id="emergency-trigger" aria-expanded="false" hidden>Crop emergency?</button>
+      <div id="emergency-dialog" hidden>
+        <div data-dialog-close></div>
+        <div role="dialog" aria-modal="true">
+          <a id="emergency-call" href="#contact">Call <span id="emergency-call-number"></span></a>
+          <form id="emergency-form" novalidate>
+            <div id="emergency-issue-types" role="radiogroup"></div>
+            <span id="emergency-issue-types-error"></span>
+            <input id="emergency-name" name="name" />
+            <span id="emergency-name-error"></span>
+            <input id="emergency-phone" name="phone" />
+            <span id="emergency-phone-error"></span>
+            <input id="emergency-location" name="location" />
+            <textarea id="emergency-details" name="details"></textarea>
+            <input type="checkbox" id="emergency-consent" name="consent" />
+            <span id="emergency-consent-error"></span>
+            <button type="submit">Request urgent callback</button>
+          </form>
+          <div id="emergency-status"></div>
+        </div>
+      </div>
+    `;
+
+    fetchMock = jest.fn(async () => ({
+      ok: true,
+      status: 200,
+      headers: { get: () => 'application/json' },
+      json: async () => ({}),
+    }));
+    globalThis.fetch = fetchMock;
+    configureContactSubmission({ endpoint: '/api/contact' });
+    realDateNow = Date.now;
+  });
+
+  afterEach(() => {
+    cleanupEmergencySupport();
+    setOnline(true);
+    localStorage.clear();
+    Date.now = realDateNow;
+    delete globalThis.fetch;
+    jest.restoreAllMocks();
+  });
+
+  it('should show the entry point and lead with the emergency call link', () => {
+    initEmergencySupport();
+    const trigger = document.getElementById('emergency-trigger');
+
+    expect(trigger.hidden).toBe(false);
+    trigger.click();
+
+    const call = document.getElementById('emergency-call');
+    expect(document.getElementById('emergency-dialog').hidden).toBe(false);
+    expect(call.getAttribute('href')).toBe(getPhoneLink('emergency'));
+    expect(call.textContent).toContain(contactInfo.emergency.display);
+    expect(call.compareDocumentPosition(document.getElementById('emergency-form')) & Node.DOCUMENT_POSITION_FOLLOWING)
+      .toBeTruthy();
+    expect(document.querySelectorAll('#emergency-issue-types input[type="radio"]')).toHaveLength(EMERGENCY_ISSUE_TYPES.length);
+  });
+
+  it('should close on Escape and return focus to the entry point', () => {
+    initEmergencySupport();
+    const trigger = document.getElementById('emergency-trigger');
+    trigger.focus();
+    trigger.click();
+
+    document.getElementById('emergency-dialog').dispatchEvent(new KeyboardEvent('keydown', { key: 'Escape', bubbles: true }));
+
+    expect(document.getElementById('emergency-dialog').hidden).toBe(true);
+    expect(trigger.getAttribute('aria-expanded')).toBe('false');
+    expect(document.activeElement).toBe(trigger);
+  });
+
+  it('should send a high-priority request and confirm the callback time', async () => {
+    initEmergencySupport();
+    const status = submitCallbackRequest();
+    await waitFor(() => status.textContent);
+
+    expect(fetchMock).toHaveBeenCalledTimes(1);
+    const body = JSON.parse(fetchMock.mock.calls[0][1].body);
+    expect(body).toMatchObject({
+      issueType: 'livestock',
+      phone: '+15552223333',
+      requestType: 'emergency',
+      priority: SUBMISSION_PRIORITY.HIGH,
+    });
+    expect(status.className).toBe('success');
+    expect(status.textContent).toContain(getEmergencyCallbackEstimate('livestock').message);
+  });
+
+  it('should queue the request offline and send it before older saved messages', async () => {
+    const savedMessage = {
+      id: 'saved-contact',
+      payload: { name: 'Bo Diaz', email: 'bo@example.com', message: 'Please call about soil testing.', consent: true },
+      createdAt: realDateNow() - 60000,
+      attempts: 1,
+      lastAttemptAt: null,
+    };
+    localStorage.setItem(QUEUE_CONFIG.STORAGE_KEY, JSON.stringify([savedMessage]));
+    setOnline(false);
+
+    initEmergencySupport();
+    const status = submitCallbackRequest();
+    await waitFor(() => status.textContent);
+
+    expect(fetchMock).not.toHaveBeenCalled();
+    expect(status.className).toBe('queued');
+    const stored = JSON.parse(localStorage.getItem(QUEUE_CONFIG.STORAGE_KEY));
+    expect(stored.find((entry) => entry.id !== savedMessage.id).payload).toMatchObject({
+      requestType: 'emergency',
+      priority: SUBMISSION_PRIORITY.HIGH,
+      phone: '+15552223333',
+    });
+
+    setOnline(true);
+    window.dispatchEvent(new Event('online'));
+    await waitFor(() => fetchMock.mock.calls.length === 2 && status.className === 'success');
+
+    const sent = fetchMock.mock.calls.map(([, request]) => JSON.parse(request.body));
+    expect(sent[0]).toMatchObject({ requestType: 'emergency', priority: SUBMISSION_PRIORITY.HIGH });
+    expect(sent[1]).toMatchObject({ submissionId: savedMessage.id, name: 'Bo Diaz' });
+    expect(status.textContent).toContain(getEmergencyCallbackEstimate('livestock').message);
+  });
+
+  it('should not send the request until the form is valid', () => {
+    initEmergencySupport();
+    document.getElementById('emergency-form').dispatchEvent(new Event('submit', { cancelable: true }));
+
+    expect(fetchMock).not.toHaveBeenCalled();
+    expect(document.getElementById('emergency-issue-types').getAttribute('aria-invalid')).toBe('true');
+    expect(document.getElementById('emergency-phone').getAttribute('aria-invalid')).toBe('true');
+  });
+});
@@ -0,0 +1,234 @@
+/**
+ * Feature Flags Test Suite
+ * Covers flag list parsing, override precedence, percentage rollouts and
+ * mounting sections as flags change
+ *
+ * @jest-environment jsdom
+ */
+
+import { describe, it, expect, beforeEach, afterEach, jest } from '@jest/globals';
+import {
+  parseFlagList,
+  formatFlagList,
+  getRolloutBucket,
+  createFeatureFlags,
+  getFeatureFlags,
+  bindFeature,
+  FEATURE_FLAG_CONFIG,
+  FLAG_SOURCES,
+} from '../src/utils/feature-flags.js';
+import { FEATURE_FLAGS } from '../src/data/feature-flags.js';
+
+const definitions = {
+  testimonials: { enabled: true, description: 'Testimonials' },
+  animated_stats: { enabled: true, description: 'Animated statistics' },
+  beta_widget: { enabled: false, description: 'Unreleased widget' },
+  new_layout: { enabled: true, rollout: 30, description: 'Layout experiment' },
+};
+
+/**
+ * Creates an in-memory Storage stand-in
+ * @param {Object<string, string>} [items={}] - Initial items
+ * @returns {Object} Storage-like object
+ */
+function createMemoryStorage(items = {}) {
+  const data = new Map(Object.entries(items));
+  return {
+    getItem: (key) => (data.has(key) ? data.get(key) : null),
+    setItem: (key, value) => data.set(key, String(value)),
+    removeItem: (key) => data.delete(key),
+  };
+}
+
+describe('Flag lists', () => {
+  it('should parse enabled and disabled flags', () => {
+    expect(parseFlagList('testimonials,-animated_stats')).toEqual({
+      testimonials: true,
+      animated_stats: false,
+    });
+  });
+
+  it('should ignore blanks, case and malformed names', () => {
+    expect(parseFlagList(' Testimonials , ,-, bad name,<script>')).toEqual({ testimonials: true });
+    expect(parseFlagList(null)).toEqual({});
+  });
+
+  it('should format overrides back into the same syntax', () => {
+    const overrides = { testimonials: true, animated_stats: false };
+    expect(formatFlagList(overrides)).toBe('testimonials,-animated_stats');
+    expect(parseFlagList(formatFlagList(overrides))).toEqual(overrides);
+  });
+});
+
+describe('Override precedence', () => {
+  let warnSpy;
+
+  beforeEach(() => {
+    warnSpy = jest.spyOn(console, 'warn').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    warnSpy.mockRestore();
+  });
+
+  it('should use defaults when nothing is overridden', () => {
+    const flags = createFeatureFlags({ definitions, search: '', storage: createMemoryStorage() });
+
+    expect(flags.isEnabled('testimonials')).toBe(true);
+    expect(flags.isEnabled('beta_widget')).toBe(false);
+    expect(flags.getAll().testimonials.source).toBe(FLAG_SOURCES.DEFAULT);
+  });
+
+  it('should let the query string win over stored overrides', () => {
+    const storage = createMemoryStorage({ [FEATURE_FLAG_CONFIG.STORAGE_KEY]: '-testimonials,beta_widget' });
+    const flags = createFeatureFlags({ definitions, search: '?ff=testimonials,-animated_stats', storage });
+
+    expect(flags.isEnabled('testimonials')).toBe(true);
+    expect(flags.getAll().testimonials.source).toBe(FLAG_SOURCES.QUERY);
+    expect(flags.isEnabled('animated_stats')).toBe(false);
+    expect(flags.isEnabled('beta_widget')).toBe(true);
+    expect(flags.getAll().beta_widget.source).toBe(FLAG_SOURCES.STORAGE);
+  });
+
+  it('should treat unknown flags as off and warn about unknown overrides', () => {
+    const flags = createFeatureFlags({ definitions, search: '?ff=made_up', storage: createMemoryStorage() });
+
+    expect(flags.isEnabled('made_up')).toBe(false);
+    expect(warnSpy).toHaveBeenCalledWith('[FeatureFlags] Ignoring overrides for unknown flags:', ['made_up']);
+  });
+
+  it('should save and clear QA overrides in storage', () => {
+    const storage = createMemoryStorage();
+    const flags = createFeatureFlags({ definitions, search: '', storage });
+
+    flags.setOverride('testimonials', false);
+    expect(flags.isEnabled('testimonials')).toBe(false);
+    expect(storage.getItem(FEATURE_FLAG_CONFIG.STORAGE_KEY)).toBe('-testimonials');
+
+    flags.setOverride('testimonials', null);
+    expect(flags.isEnabled('testimonials')).toBe(true);
+    expect(storage.getItem(FEATURE_FLAG_CONFIG.STORAGE_KEY)).toBeNull();
+
+    flags.setOverride('beta_widget', true);
+    flags.clearOverrides();
+    expect(flags.isEnabled('beta_widget')).toBe(false);
+  });
+
+  it('should keep working when storage is blocked', () => {
+    const storage = {
+      getItem: () => {
+        throw new Error('SecurityError');
+      },
+      setItem: () => {
+        throw new Error('SecurityError');
+      },
+      removeItem: () => {
+        throw new Error('SecurityError');
+      },
+    };
+    const flags = createFeatureFlags({ definitions, search: '', storage });
+
+    expect(flags.isEnabled('testimonials')).toBe(true);
+    expect(typeof flags.isEnabled('new_layout')).toBe('boolean');
+  });
+
+  it('should define every flag the site reads', () => {
+    ['company_overview', 'animated_stats', 'testimonials', 'certifications_modal', 'quote_wizard',
+      'contact_card', 'service_area_map', 'emergency_support'].forEach((name) => {
+      expect(FEATURE_FLAGS[name]).toEqual(expect.objectContaining({ enabled: expect.any(Boolean) }));
+    });
+  });
+});
+
+describe('Percentage rollouts', () => {
+  it('should give the same visitor the same bucket every time', () => {
+    expect(getRolloutBucket('new_layout', 'visitor-1')).toBe(getRolloutBucket('new_layout', 'visitor-1'));
+    expect(getRolloutBucket('new_layout', 'visitor-1')).toBeGreaterThanOrEqual(0);
+    expect(getRolloutBucket('new_layout', 'visitor-1')).toBeLessThan(100);
+  });
+
+  it('should spread visitors roughly evenly across buckets', () => {
+    const total = 2000;
+    let inRollout = 0;
+
+    for (let i = 0; i < total; i++) {
+      if (getRolloutBucket('new_layout', `visitor-${i}`) < 30) {
+        inRollout++;
+      }
+    }
+
+    expect(inRollout / total).toBeGreaterThan(0.25);
+    expect(inRollout / total).toBeLessThan(0.35);
+  });
+
+  it('should create a visitor ID once and reuse it', () => {
+    const storage = createMemoryStorage();
+    const first = createFeatureFlags({ definitions, search: '', storage });
+    const visitorId = storage.getItem(FEATURE_FLAG_CONFIG.VISITOR_ID_KEY);
+
+    expect(visitorId).toEqual(expect.any(String));
+    expect(first.getAll().new_layout.source).toBe(FLAG_SOURCES.ROLLOUT);
+
+    const second = createFeatureFlags({ definitions, search: '', storage });
+    expect(storage.getItem(FEATURE_FLAG_CONFIG.VISITOR_ID_KEY)).toBe(visitorId);
+    expect(second.isEnabled('new_layout')).toBe(first.isEnabled('new_layout'));
+    expect(first.isEnabled('new_layout')).toBe(getRolloutBucket('new_layout', visitorId) < 30);
+  });
+
+  it('should not create a visitor ID when no flag uses a rollout', () => {
+    const storage = createMemoryStorage();
+    createFeatureFlags({ definitions: { testimonials: definitions.testimonials }, search: '', storage });
+
+    expect(storage.getItem(FEATURE_FLAG_CONFIG.VISITOR_ID_KEY)).toBeNull();
+  });
+});
+
+describe('Live flag changes', () => {
+  it('should mount and unmount a feature as its flag changes', () => {
+    const flags = createFeatureFlags({ definitions, search: '', storage: createMemoryStorage() });
+    const mount = jest.fn();
+    const unmount = jest.fn();
+
+    const unbind = bindFeature('testimonials', { mount, unmount }, flags);
+    expect(mount).toHaveBeenCalledTimes(1);
+
+    flags.setOverride('animated_stats', false);
+    expect(unmount).not.toHaveBeenCalled();
+
+    flags.setOverride('testimonials', false);
+    expect(unmount).toHaveBeenCalledTimes(1);
+
+    flags.setOverride('testimonials', true);
+    expect(mount).toHaveBeenCalledTimes(2);
+
+    unbind();
+    flags.setOverride('testimonials', false);
+    expect(unmount).toHaveBeenCalledTimes(1);
+  });
+
+  it('should not mount a feature whose flag is off', () => {
+    const flags = createFeatureFlags({ definitions, search: '', storage: createMemoryStorage() });
+    const mount = jest.fn();
+
+    bindFeature('beta_widget', { mount }, flags);
+    expect(mount).not.toHaveBeenCalled();
+  });
+
+  it('should refresh the shared flags when another tab changes the overrides', () => {
+    const flags = getFeatureFlags();
+    const listener = jest.fn();
+    const unsubscribe = flags.subscribe(listener);
+
+    localStorage.setItem(FEATURE_FLAG_CONFIG.STORAGE_KEY, '-testimonials');
+    window.dispatchEvent(new StorageEvent('storage', { key: FEATURE_FLAG_CONFIG.STORAGE_KEY }));
+
+    expect(flags.isEnabled('testimonials')).toBe(false);
+    expect(listener).toHaveBeenCalledWith('testimonials', false);
+
+    localStorage.removeItem(FEATURE_FLAG_CONFIG.STORAGE_KEY);
+    window.dispatchEvent(new StorageEvent('storage', { key: FEATURE_FLAG_CONFIG.STORAGE_KEY }));
+
+    expect(flags.isEnabled('testimonials')).toBe(true);
+    unsubscribe();
+  });
+});
@@ -0,0 +1,266 @@
+/**
+ * Form Submission Test Suite
+ * Covers the submission service's transports, timeout handling, the fallback
+ * from a failed network transport to mailto:, the mapping of HTTP failures to
+ * user-facing messages and the server validation error shapes it understands
+ *
+ * @jest-environment jsdom
+ */
+
+import { describe, it, expect, beforeEach, afterEach, jest } from '@jest/globals';
+import {
+  createSubmissionService,
+  extractFieldErrors,
+  buildMailtoLink,
+  SUBMISSION_ERRORS,
+  ERROR_MESSAGE_KEYS,
+  SUBMISSION_PRIORITY,
+} from '../src/utils/form-submission.js';
+import { t } from '../src/utils/i18n.js';
+
+const PAYLOAD = Object.freeze({ name: 'Ann Lee', email: 'ann@example.com', message: 'Soil test please' });
+
+/**
+ * Builds a minimal fetch Response
+ * @param {number} status - HTTP status
+ * @param {Object|string|null} [body=null] - JSON body, or text for non-JSON responses
+ * @returns {Object} Response-like object
+ */
+function createResponse(status, body = null) {
+  const isJson = body !== null && typeof body === 'object';
+
+  return {
+    ok: status >= 200 && status < 300,
+    status,
+    headers: { get: () => (isJson ? 'application/json' : 'text/plain') },
+    json: async () => body,
+    text: async () => (isJson ? JSON.stringify(body) : body || ''),
+  };
+}
+
+/**
+ * Reads the email body of a mailto: link
+ * @param {string} link - mailto: link
+ * @returns {string} Email body
+ */
+function getMailBody(link) {
+  return new URL(link).searchParams.get('body');
+}
+
+/**
+ * Sets what navigator.onLine reports
+ * @param {boolean} online - Whether the browser is online
+ */
+function setOnline(online) {
+  Object.defineProperty(navigator, 'onLine', { value: online, configurable: true });
+}
+
+let fetchMock;
+
+beforeEach(() => {
+  fetchMock = jest.fn(async () => createResponse(200, { id: 'abc' }));
+  globalThis.fetch = fetchMock;
+  setOnline(true);
+  jest.spyOn(console, 'warn').mockImplementation(() => {});
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+});
+
+afterEach(() => {
+  delete globalThis.fetch;
+  setOnline(true);
+  jest.restoreAllMocks();
+});
+
+describe('Transports', () => {
+  it('should post JSON tagged with normal priority by default', async () => {
+    const result = await createSubmissionService({ endpoint: '/api/test' }).submit(PAYLOAD);
+    const [endpoint, request] = fetchMock.mock.calls[0];
+
+    expect(result).toEqual({ ok: true, status: 200, transport: 'json', data: { id: 'abc' } });
+    expect(endpoint).toBe('/api/test');
+    expect(request.headers['Content-Type']).toBe('application/json');
+    expect(JSON.parse(request.body)).toEqual({ ...PAYLOAD, priority: SUBMISSION_PRIORITY.NORMAL });
+  });
+
+  it('should keep a priority set by the caller', async () => {
+    await createSubmissionService().submit({ ...PAYLOAD, priority: SUBMISSION_PRIORITY.HIGH });
+
+    expect(JSON.parse(fetchMock.mock.calls[0][1].body).priority).toBe(SUBMISSION_PRIORITY.HIGH);
+  });
+
+  it('should send to a per-submission endpoint without changing the configured one', async () => {
+    const service = createSubmissionService({ endpoint: '/api/contact' });
+
+    await service.submit(PAYLOAD, { endpoint: '/api/quote' });
+    await service.submit(PAYLOAD);
+
+    expect(fetchMock.mock.calls.map(([endpoint]) => endpoint)).toEqual(['/api/quote', '/api/contact']);
+  });
+
+  it('should send multipart form data with objects serialized and empty values left out', async () => {
+    await createSubmissionService({ transport: 'multipart' }).submit({ ...PAYLOAD, tags: ['a'], phone: null });
+    const { body, headers } = fetchMock.mock.calls[0][1];
+
+    expect(body).toBeInstanceOf(FormData);
+    expect(headers['Content-Type']).toBeUndefined();
+    expect(body.get('name')).toBe('Ann Lee');
+    expect(body.get('tags')).toBe('["a"]');
+    expect(body.has('phone')).toBe(false);
+  });
+
+  it('should only mention a raised priority in mailto: bodies', () => {
+    const normal = getMailBody(buildMailtoLink({ ...PAYLOAD, priority: SUBMISSION_PRIORITY.NORMAL }));
+    const high = getMailBody(buildMailtoLink({ ...PAYLOAD, priority: SUBMISSION_PRIORITY.HIGH }));
+
+    expect(normal).not.toContain('Priority');
+    expect(high).toContain('Priority: high');
+  });
+
+  it('should list every field of other forms in mailto: bodies, leaving out server-only ones', () => {
+    const body = getMailBody(buildMailtoLink({
+      ...PAYLOAD,
+      requestType: 'quote',
+      services: ['soil-analysis', 'crop-consulting'],
+      acreage: 120,
+      zip: '95023',
+      contactTime: 'morning',
+      phoneRegion: 'MX',
+      consent: true,
+      notes: '',
+      submissionId: 'sub-1',
+      spamScore: 0,
+      proofOfWork: 'token',
+    }));
+
+    expect(body.split('\n')).toEqual([
+      'Request type: quote',
+      'Name: Ann Lee',
+      'Email: ann@example.com',
+      'Services: soil-analysis, crop-consulting',
+      'Farm size (acres): 120',
+      'ZIP code: 95023',
+      'Preferred contact time: morning',
+      'Message: Soil test please',
+      'Phone region: MX',
+      'Consent: Yes',
+    ]);
+  });
+});
+
+describe('Failures', () => {
+  it.each([
+    [500, SUBMISSION_ERRORS.SERVER],
+    [503, SUBMISSION_ERRORS.SERVER],
+    [400, SUBMISSION_ERRORS.CLIENT],
+    [413, SUBMISSION_ERRORS.CLIENT],
+  ])('should map HTTP %i to the %s message', async (status, reason) => {
+    fetchMock.mockResolvedValueOnce(createResponse(status, 'Error'));
+
+    const result = await createSubmissionService().submit(PAYLOAD);
+
+    expect(result).toMatchObject({ ok: false, status, reason, message: t(ERROR_MESSAGE_KEYS[reason]) });
+  });
+
+  it('should report field errors as a validation failure and prefer the server message', async () => {
+    fetchMock.mockResolvedValueOnce(createResponse(422, {
+      message: 'Some fields need attention',
+      errors: { email: 'Email is already registered' },
+    }));
+
+    const result = await createSubmissionService().submit(PAYLOAD);
+
+    expect(result.reason).toBe(SUBMISSION_ERRORS.VALIDATION);
+    expect(result.message).toBe('Some fields need attention');
+    expect(result.fieldErrors).toEqual({ email: 'Email is already registered' });
+  });
+
+  it('should abort a request that takes longer than the timeout', async () => {
+    let signal;
+    fetchMock.mockImplementationOnce((endpoint, request) => new Promise((resolve, reject) => {
+      signal = request.signal;
+      signal.addEventListener('abort', () => reject(new DOMException('Aborted', 'AbortError')));
+    }));
+
+    const result = await createSubmissionService({ timeout: 20 }).submit(PAYLOAD);
+
+    expect(signal.aborted).toBe(true);
+    expect(result).toMatchObject({ ok: false, reason: SUBMISSION_ERRORS.TIMEOUT, message: t(ERROR_MESSAGE_KEYS.timeout) });
+  });
+
+  it('should tell network errors apart from being offline', async () => {
+    fetchMock.mockRejectedValueOnce(new TypeError('Failed to fetch'));
+    const service = createSubmissionService();
+
+    expect((await service.submit(PAYLOAD)).reason).toBe(SUBMISSION_ERRORS.NETWORK);
+
+    setOnline(false);
+    expect((await service.submit(PAYLOAD)).reason).toBe(SUBMISSION_ERRORS.OFFLINE);
+    expect(fetchMock).toHaveBeenCalledTimes(1);
+  });
+});
+
+describe('Fallback transport', () => {
+  it('should hand the message to the email client when multipart cannot connect', async () => {
+    fetchMock.mockRejectedValueOnce(new TypeError('Failed to fetch'));
+    const service = createSubmissionService({ transport: 'multipart', fallbackTransport: 'mailto' });
+
+    const result = await service.submit({ ...PAYLOAD, priority: SUBMISSION_PRIORITY.HIGH });
+
+    expect(result.ok).toBe(true);
+    expect(result.transport).toBe('mailto');
+    expect(result.data.mailto).toMatch(/^mailto:/);
+    expect(getMailBody(result.data.mailto)).toContain('Name: Ann Lee');
+  });
+
+  it('should not fall back when the server answered or fallback is turned off', async () => {
+    const service = createSubmissionService({ transport: 'multipart', fallbackTransport: 'mailto' });
+
+    fetchMock.mockResolvedValueOnce(createResponse(400, 'Bad request'));
+    expect((await service.submit(PAYLOAD)).transport).toBe('multipart');
+
+    fetchMock.mockRejectedValueOnce(new TypeError('Failed to fetch'));
+    expect(await service.submit(PAYLOAD, { useFallback: false })).toMatchObject({
+      transport: 'multipart',
+      reason: SUBMISSION_ERRORS.NETWORK,
+    });
+  });
+
+  it('should notify subscribers of the final outcome only', async () => {
+    fetchMock.mockRejectedValueOnce(new TypeError('Failed to fetch'));
+    const service = createSubmissionService({ transport: 'json', fallbackTransport: 'mailto' });
+    const listener = jest.fn();
+    service.subscribe(listener);
+
+    await service.submit(PAYLOAD);
+
+    expect(listener).toHaveBeenCalledTimes(1);
+    expect(listener.mock.calls[0][0]).toMatchObject({ type: 'success', result: { transport: 'mailto' } });
+  });
+});
+
+describe('extractFieldErrors', () => {
+  it('should read an object of messages, taking the first of a list', () => {
+    expect(extractFieldErrors({ errors: { email: 'Invalid', phone: ['Too short', 'Not a number'] } }))
+      .toEqual({ email: 'Invalid', phone: 'Too short' });
+    expect(extractFieldErrors({ fieldErrors: { name: 'Required' }, errors: { email: 'Ignored' } }))
+      .toEqual({ name: 'Required' });
+  });
+
+  it('should read arrays of field/message, path/msg and param entries', () => {
+    expect(extractFieldErrors({
+      errors: [
+        { field: 'email', message: 'Invalid' },
+        { path: 'phone', msg: 'Too short' },
+        { param: 'name', message: 'Required' },
+        { message: 'No field' },
+        null,
+      ],
+    })).toEqual({ email: 'Invalid', phone: 'Too short', name: 'Required' });
+  });
+
+  it('should ignore bodies without field errors', () => {
+    expect(extractFieldErrors(null)).toEqual({});
+    expect(extractFieldErrors('Bad request')).toEqual({});
+    expect(extractFieldErrors({ errors: { email: 42 } })).toEqual({});
+  });
+});
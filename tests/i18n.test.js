@@ -0,0 +1,232 @@
+/**
+ * Internationalization Test Suite
+ * Covers ICU message formatting, catalog parity between English and Spanish,
+ * locale detection, locale-aware numbers and times, translated validation and
+ * status messages, and updating the page when the language changes
+ *
+ * @jest-environment jsdom
+ */
+
+import { describe, it, expect, afterEach, jest } from '@jest/globals';
+import {
+  t,
+  formatMessage,
+  parseMessage,
+  formatNumber,
+  formatDate,
+  formatTime,
+  formatWeekday,
+  resolveLocale,
+  detectLocale,
+  getLocale,
+  setLocale,
+  onLocaleChange,
+  translateDocument,
+  I18N_CONFIG,
+} from '../src/utils/i18n.js';
+import en from '../src/data/locales/en.js';
+import es from '../src/data/locales/es.js';
+import { createValidator, CONTACT_FORM_SCHEMA, validateEmail } from '../src/utils/validation.js';
+import { createBusinessHours } from '../src/utils/business-hours.js';
+
+/**
+ * Lists the dotted keys of a catalog
+ * @param {Object} catalog - Message catalog
+ * @param {string} [prefix=''] - Key prefix
+ * @returns {string[]} Keys
+ */
+function collectKeys(catalog, prefix = '') {
+  return Object.entries(catalog).flatMap(([key, value]) => (
+    typeof value === 'object' ? collectKeys(value, `${prefix}${key}.`) : [`${prefix}${key}`]
+  ));
+}
+
+afterEach(() => {
+  setLocale('en', { persist: false });
+  localStorage.clear();
+});
+
+describe('Message formatting', () => {
+  it('should interpolate values and the default brand and years', () => {
+    expect(formatMessage('Hello {name}', { name: 'Ana' })).toBe('Hello Ana');
+    expect(t('about.title')).toBe('About GreenField Agricultural Solutions');
+    expect(t('about.why.experienceTitle')).toBe('25+ Years of Experience:');
+  });
+
+  it('should pick plural forms, including exact matches and #', () => {
+    const pattern = '{count, plural, =0 {No reviews} one {# review} other {# reviews}}';
+
+    expect(formatMessage(pattern, { count: 0 })).toBe('No reviews');
+    expect(formatMessage(pattern, { count: 1 })).toBe('1 review');
+    expect(formatMessage(pattern, { count: 1200 })).toBe('1,200 reviews');
+    expect(formatMessage(pattern, { count: 1200 }, 'es')).toBe('1200 reviews');
+  });
+
+  it('should pick select options and fall back to other', () => {
+    expect(t('services.results', { count: 3, scope: 'category', category: 'Irrigation' })).toBe('3 services in Irrigation shown');
+    expect(t('services.results', { count: 1, scope: 'query', query: 'soil' })).toBe('1 service matching "soil" shown');
+    expect(t('services.results', { count: 7, scope: 'none' })).toBe('7 services shown');
+  });
+
+  it('should format numbers and dates with an optional style', () => {
+    expect(formatMessage('{value, number, compact}+', { value: 10000 })).toBe('10K+');
+    expect(formatMessage('{value, number, compact}+', { value: 10000 }, 'es')).toMatch(/^10\smil\+$/);
+    expect(formatMessage('{day, date}', { day: '2025-03-01' })).toBe('March 1, 2025');
+  });
+
+  it('should reject malformed messages', () => {
+    expect(() => parseMessage('{count, plural, one {# item}}')).toThrow('Malformed message');
+    expect(() => parseMessage('{value, number, bogus}')).toThrow('Malformed message');
+    expect(() => parseMessage('Unclosed {name')).toThrow('Malformed message');
+  });
+
+  it('should return the key and warn once for unknown messages', () => {
+    const warnSpy = jest.spyOn(console, 'warn').mockImplementation(() => {});
+
+    expect(t('does.not.exist')).toBe('does.not.exist');
+    t('does.not.exist');
+    expect(warnSpy).toHaveBeenCalledTimes(1);
+
+    warnSpy.mockRestore();
+  });
+});
+
+describe('Catalogs', () => {
+  it('should translate every English message into Spanish', () => {
+    expect(collectKeys(es).sort()).toEqual(collectKeys(en).sort());
+  });
+
+  it('should parse every message in both catalogs', () => {
+    [en, es].forEach((catalog) => {
+      collectKeys(catalog).forEach((key) => {
+        const pattern = key.split('.').reduce((node, segment) => node[segment], catalog);
+        expect(() => parseMessage(pattern)).not.toThrow();
+      });
+    });
+  });
+});
+
+describe('Locale detection', () => {
+  it('should match language tags to supported locales', () => {
+    expect(resolveLocale(['fr-FR', 'es-MX', 'en'])).toBe('es');
+    expect(resolveLocale(['EN-gb'])).toBe('en');
+    expect(resolveLocale(['de', null, ''])).toBeNull();
+  });
+
+  it('should prefer the query string, then the saved choice, then the browser', () => {
+    expect(detectLocale({ search: '?lang=es', saved: 'en', languages: ['en-US'] })).toBe('es');
+    expect(detectLocale({ search: '', saved: 'es', languages: ['en-US'] })).toBe('es');
+    expect(detectLocale({ search: '', saved: null, languages: ['es-419', 'en'] })).toBe('es');
+    expect(detectLocale({ search: '?lang=xx', saved: null, languages: ['de-DE'] })).toBe(I18N_CONFIG.DEFAULT_LOCALE);
+  });
+
+  it('should save the chosen locale and ignore unsupported ones', () => {
+    const warnSpy = jest.spyOn(console, 'warn').mockImplementation(() => {});
+
+    expect(setLocale('es-MX')).toBe(true);
+    expect(getLocale()).toBe('es');
+    expect(localStorage.getItem(I18N_CONFIG.STORAGE_KEY)).toBe('es');
+
+    expect(setLocale('de')).toBe(false);
+    expect(getLocale()).toBe('es');
+
+    warnSpy.mockRestore();
+  });
+});
+
+describe('Locale-aware formatting', () => {
+  it('should format times in 12-hour English and 24-hour Spanish', () => {
+    expect(formatTime('18:00')).toBe('6:00 PM');
+    expect(formatTime('18:00', { compact: true })).toBe('6 PM');
+    expect(formatTime('08:30', { compact: true })).toBe('8:30 AM');
+    expect(formatTime('18:00', { compact: true }, 'es')).toBe('18:00');
+  });
+
+  it('should format numbers, calendar dates and weekdays', () => {
+    expect(formatNumber(10000)).toBe('10,000');
+    expect(formatNumber(10000, {}, 'es')).toBe('10.000');
+    expect(formatDate('2025-12-31', {}, 'es')).toBe('31 de diciembre de 2025');
+    expect(formatWeekday(1)).toBe('Monday');
+    expect(formatWeekday(0, 'es')).toBe('domingo');
+  });
+});
+
+describe('Translated messages', () => {
+  it('should report validation errors in the active language', () => {
+    const validator = createValidator(CONTACT_FORM_SCHEMA);
+
+    expect(validator.validate({ name: '' }).errors.name).toBe('Please enter your full name');
+
+    setLocale('es', { persist: false });
+    const { errors } = validator.validate({ name: '', message: 'Hola' });
+
+    expect(errors.name).toBe('Introduce tu nombre completo');
+    expect(errors.message).toBe('El campo «Mensaje» debe tener al menos 10 caracteres');
+    expect(validateEmail('').error).toBe('El correo electrónico es obligatorio');
+  });
+
+  it('should describe business hours in the active language', () => {
+    const hours = createBusinessHours({
+      timezone: 'UTC',
+      schedule: { weekdays: { daysOfWeek: [1, 2, 3, 4, 5], open: '08:00', close: '18:00' } },
+    });
+    // Saturday 2025-03-01 12:00 UTC: next opening is Monday
+    const saturday = new Date('2025-03-01T12:00:00Z');
+    // Wednesday 2025-03-05 12:00 UTC
+    const wednesday = new Date('2025-03-05T12:00:00Z');
+
+    expect(hours.getStatus(saturday).message).toBe('Opens Monday 8 AM');
+
+    setLocale('es', { persist: false });
+
+    expect(hours.getStatus(saturday).message).toBe('Abre el lunes a las 8:00');
+    expect(hours.getStatus(wednesday).message).toBe('Abierto ahora – cierra a las 18:00');
+  });
+});
+
+describe('Page updates', () => {
+  it('should translate marked text and attributes', () => {
+    document.body.innerHTML = `
+      <a href="#home" data-i18n="nav.home">Home</a>
+      <p data-i18n="contact.form.messageHint" data-i18n-params='{"min": 10}'>Minimum 10 characters</p>
+      <button data-i18n-attr="aria-label:nav.toggle; title:nav.toggle">☰</button>
+    `;
+
+    setLocale('es', { persist: false });
+
+    expect(document.querySelector('[data-i18n="nav.home"]').textContent).toBe('Inicio');
+    expect(document.querySelector('p').textContent).toBe(t('contact.form.messageHint', { min: 10 }));
+    expect(document.querySelector('button').getAttribute('aria-label')).toBe(t('nav.toggle'));
+    expect(document.querySelector('button').getAttribute('title')).toBe(t('nav.toggle'));
+    expect(document.querySelector('button').textContent).toBe('☰');
+
+    setLocale('en', { persist: false });
+    translateDocument();
+    expect(document.querySelector('[data-i18n="nav.home"]').textContent).toBe('Home');
+  });
+
+  it('should update the document language and hreflang links', () => {
+    setLocale('es', { persist: false });
+
+    expect(document.documentElement.lang).toBe('es');
+    expect(document.querySelector('link[rel="canonical"]').href).toBe('https://agrolanding.example.com/?lang=es');
+    expect(document.querySelector('link[hreflang="en"]').href).toBe('https://agrolanding.example.com/');
+    expect(document.querySelector('link[hreflang="es"]').href).toBe('https://agrolanding.example.com/?lang=es');
+    expect(document.querySelector('link[hreflang="x-default"]').href).toBe('https://agrolanding.example.com/');
+  });
+
+  it('should notify listeners only when the locale changes', () => {
+    const listener = jest.fn();
+    const unsubscribe = onLocaleChange(listener);
+
+    setLocale('en', { persist: false });
+    expect(listener).not.toHaveBeenCalled();
+
+    setLocale('es', { persist: false });
+    expect(listener).toHaveBeenCalledWith('es');
+
+    unsubscribe();
+    setLocale('en', { persist: false });
+    expect(listener).toHaveBeenCalledTimes(1);
+  });
+});
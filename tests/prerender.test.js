@@ -0,0 +1,159 @@
+/**
+ * Prerendering Test Suite
+ * Covers build-time rendering of the services grid and about section, and the
+ * client hydrating the prerendered about section instead of duplicating it
+ *
+ * @jest-environment jsdom
+ */
+
+import { describe, it, expect, beforeAll, beforeEach, afterEach, jest } from '@jest/globals';
+import { prerenderPage } from '../src/prerender.js';
+import { initializeAboutSection } from '../src/components/about.js';
+import { servicesData } from '../src/data/services.js';
+import { getStatistics } from '../src/data/company.js';
+import { setLocale } from '../src/utils/i18n.js';
+
+const PAGE = `
+  <section id="services">
+    <div class="container">
+      <div id="services-grid" class="services-grid" role="list"></div>
+      <noscript><p>Enable JavaScript to browse our full list of services.</p></noscript>
+    </div>
+  </section>
+  <section id="about">
+    <div class="container">
+      <div class="about-content"><h2 id="about-title">About</h2></div>
+      <div class="stats-grid" role="list"><p class="stat-number">20+</p></div>
+    </div>
+  </section>
+`;
+
+/**
+ * Prerenders the page and parses the result again, as a browser loading the build would
+ * @returns {void}
+ */
+function loadPrerenderedPage() {
+  document.body.innerHTML = PAGE;
+  prerenderPage(document);
+
+  const html = document.body.innerHTML;
+  document.body.innerHTML = html;
+}
+
+/**
+ * Fakes the current date only, leaving timers and the performance API real
+ * @param {string} isoDate - Instant to start from
+ * @returns {void}
+ */
+function useFakeDate(isoDate) {
+  jest.useFakeTimers({
+    now: new Date(isoDate),
+    doNotFake: [
+      'performance', 'queueMicrotask', 'requestAnimationFrame', 'cancelAnimationFrame',
+      'setTimeout', 'clearTimeout', 'setInterval', 'clearInterval', 'setImmediate', 'clearImmediate', 'nextTick',
+    ],
+  });
+}
+
+beforeAll(() => {
+  // jsdom has no User Timing API, which the about section uses for its render metrics
+  Object.assign(performance, {
+    mark: () => {},
+    measure: () => {},
+    getEntriesByName: () => [{ duration: 0 }],
+  });
+});
+
+beforeEach(() => {
+  jest.spyOn(console, 'info').mockImplementation(() => {});
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+  jest.spyOn(console, 'warn').mockImplementation(() => {});
+});
+
+afterEach(() => {
+  jest.useRealTimers();
+  setLocale('en', { persist: false });
+  localStorage.clear();
+  jest.restoreAllMocks();
+});
+
+describe('Build-time rendering', () => {
+  it('should render every service card and drop the JavaScript notice', () => {
+    document.body.innerHTML = PAGE;
+
+    expect(prerenderPage(document)).toEqual(['services', 'about']);
+    expect(document.querySelectorAll('.services-grid .service-card')).toHaveLength(servicesData.length);
+    expect(document.querySelector('#services noscript')).toBeNull();
+  });
+
+  it('should replace the hand-written about fallback with the data', () => {
+    document.body.innerHTML = PAGE;
+    prerenderPage(document);
+
+    const numbers = Array.from(document.querySelectorAll('#about .stat-number')).map((number) => number.textContent);
+
+    expect(document.querySelectorAll('#about .stats-grid')).toHaveLength(1);
+    expect(numbers).toEqual(getStatistics().map((stat) => stat.number));
+    expect(document.querySelector('#about .testimonials-section')).not.toBeNull();
+  });
+
+  it('should leave date-dependent certification badges out of the markup', () => {
+    useFakeDate('2026-12-01T20:00:00Z');
+    document.body.innerHTML = PAGE;
+    prerenderPage(document);
+
+    expect(document.querySelectorAll('#about .cert-card')).not.toHaveLength(0);
+    expect(document.querySelector('#about .cert-status')).toBeNull();
+    expect(document.querySelector('#about [data-cert-status]')).toBeNull();
+  });
+});
+
+describe('Hydration', () => {
+  it('should adopt prerendered markup instead of appending a copy', async () => {
+    loadPrerenderedPage();
+    const prerenderedContent = document.querySelector('#about .about-content');
+    const prerenderedStats = document.querySelector('#about .stats-grid');
+
+    await initializeAboutSection();
+
+    expect(document.querySelector('#about .about-content')).toBe(prerenderedContent);
+    expect(document.querySelector('#about .stats-grid')).toBe(prerenderedStats);
+    expect(document.querySelectorAll('#about-title')).toHaveLength(1);
+    expect(document.querySelectorAll('#about .testimonials-section')).toHaveLength(1);
+  });
+
+  it('should still adopt the markup on a later day and flag certifications as of that day', async () => {
+    useFakeDate('2026-10-19T20:00:00Z');
+    loadPrerenderedPage();
+    const prerenderedCertifications = document.querySelector('#about .certifications-section');
+
+    jest.setSystemTime(new Date('2026-12-14T20:00:00Z'));
+    await initializeAboutSection();
+
+    expect(document.querySelector('#about .certifications-section')).toBe(prerenderedCertifications);
+    expect(document.querySelector('#about .cert-card[data-cert-id="cert-3"] .cert-status').textContent)
+      .toBe('Expires in 1 day');
+  });
+
+  it('should replace prerendered markup that no longer matches', async () => {
+    loadPrerenderedPage();
+    setLocale('es', { persist: false });
+    const prerenderedStats = document.querySelector('#about .stats-grid');
+
+    await initializeAboutSection();
+
+    expect(document.querySelector('#about .stats-grid')).not.toBe(prerenderedStats);
+    expect(document.querySelectorAll('#about .stats-grid')).toHaveLength(1);
+    expect(document.querySelector('#about .stat-label').textContent).toBe('Años de experiencia');
+  });
+
+  it('should replace the static fallback when nothing was prerendered', async () => {
+    document.body.innerHTML = PAGE;
+
+    await initializeAboutSection();
+
+    expect(document.querySelectorAll('#about .stats-grid')).toHaveLength(1);
+    expect(document.querySelectorAll('#about-title')).toHaveLength(1);
+    expect(document.querySelector('#about .stat-number').textContent).not.toBe('20+');
+  });
+});
@@ -0,0 +1,200 @@
+/**
+ * Quote Wizard Test Suite
+ * Covers the wizard's service choices following the active language, phone
+ * numbers following the chosen region, and its requests going through the
+ * shared offline queue to the wizard's endpoint
+ *
+ * @jest-environment jsdom
+ */
+
+import { describe, it, expect, beforeEach, afterEach, jest } from '@jest/globals';
+import { setLocale } from '../src/utils/i18n.js';
+import { QUEUE_CONFIG } from '../src/utils/submission-queue.js';
+import { initQuoteWizard, cleanupQuoteWizard } from '../src/components/quote-wizard.js';
+
+/**
+ * Sets what navigator.onLine reports
+ * @param {boolean} online - Whether the browser is online
+ */
+function setOnline(online) {
+  Object.defineProperty(navigator, 'onLine', { value: online, configurable: true });
+}
+
+/**
+ * Waits until a condition holds, polling every 50ms
+ * @param {Function} condition - Returns true when done
+ * @returns {Promise<void>}
+ */
+async function waitFor(condition) {
+  for (let attempt = 0; attempt < 100 && !condition(); attempt++) {
+    await new Promise((resolve) => setTimeout(resolve, 50));
+  }
+}
+
+/**
+ * Returns the label text of the service choice for a service
+ * @param {string} serviceId - Service ID
+ * @returns {string} Displayed service name
+ */
+function getChoiceLabel(serviceId) {
+  return document.querySelector(`#quote-services input[value="${serviceId}"]`).nextElementSibling.textContent;
+}
+
+let fetchMock;
+let realDateNow;
+
+beforeEach(() => {
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+  jest.spyOn(console, 'warn').mockImplementation(() => {});
+  document.body.innerHTML = `
+    <form id="quote-wizard" action="/api/quote" novalidate>
+      <fieldset class="wizard-step" data-step="services">
+        <div id="quote-services" role="group"></div>
+        <span id="quote-services-error"></span>
+      </fieldset>
+      <fieldset class="wizard-step" data-step="farm" hidden>
+        <input id="quote-acreage" name="acreage" />
+        <input id="quote-crops" name="crops" />
+        <input id="quote-zip" name="zip" />
+      </fieldset>
+      <fieldset class="wizard-step" data-step="contact" hidden>
+        <input id="quote-name" name="name" />
+        <input id="quote-email" name="email" />
+        <select id="quote-phone-country" name="phoneCountry"></select>
+        <input id="quote-phone" name="phone" />
+        <select id="quote-contact-time" name="contactTime">
+          <option value=""></option>
+          <option value="morning">Morning</option>
+        </select>
+      </fieldset>
+      <fieldset class="wizard-step" data-step="review" hidden>
+        <dl id="quote-summary"></dl>
+        <textarea id="quote-notes" name="notes"></textarea>
+        <input type="checkbox" id="quote-consent" name="consent" />
+      </fieldset>
+      <button type="button" data-wizard-action="back">Back</button>
+      <button type="button" data-wizard-action="next">Next</button>
+      <button type="submit">Request Quote</button>
+    </form>
+    <div id="quote-status"></div>
+  `;
+
+  fetchMock = jest.fn(async () => ({
+    ok: true,
+    status: 200,
+    headers: { get: () => 'application/json' },
+    json: async () => ({}),
+  }));
+  globalThis.fetch = fetchMock;
+  realDateNow = Date.now;
+});
+
+afterEach(() => {
+  cleanupQuoteWizard();
+  setLocale('en', { persist: false });
+  setOnline(true);
+  sessionStorage.clear();
+  localStorage.clear();
+  Date.now = realDateNow;
+  delete globalThis.fetch;
+  jest.restoreAllMocks();
+});
+
+describe('Service choices', () => {
+  it('should follow the active language and keep the services already checked', () => {
+    initQuoteWizard();
+    document.querySelector('#quote-services input[value="soil-analysis"]').checked = true;
+
+    setLocale('es', { persist: false });
+
+    expect(getChoiceLabel('soil-analysis')).toBe('Análisis de suelo integral');
+    expect(document.querySelector('#quote-services input[value="soil-analysis"]').checked).toBe(true);
+
+    cleanupQuoteWizard();
+    setLocale('en', { persist: false });
+
+    // A cleaned-up wizard no longer follows the language
+    expect(getChoiceLabel('soil-analysis')).toBe('Análisis de suelo integral');
+  });
+});
+
+describe('Phone region', () => {
+  it('should format the number for the chosen region in the summary and submit it in E.164 form', async () => {
+    setOnline(false);
+    initQuoteWizard();
+    const form = document.getElementById('quote-wizard');
+    const next = form.querySelector('[data-wizard-action="next"]');
+
+    expect(form.elements.phoneCountry.options[0].value).toBe('US');
+    expect(form.elements.phone.placeholder).toBe('(555) 123-4567');
+
+    Date.now = () => realDateNow() + 10000;
+
+    form.querySelector('input[value="soil-analysis"]').checked = true;
+    next.click();
+    form.elements.acreage.value = '120';
+    form.elements.crops.value = 'Corn';
+    form.elements.zip.value = '95023';
+    next.click();
+    form.elements.name.value = 'Ana Lopez';
+    form.elements.email.value = 'ana@example.com';
+    form.elements.phoneCountry.value = 'MX';
+    form.elements.phoneCountry.dispatchEvent(new Event('change', { bubbles: true }));
+    form.elements.phone.value = '5512345678';
+    form.elements.contactTime.value = 'morning';
+    next.click();
+
+    expect(form.elements.phone.placeholder).toBe('55 1234 5678');
+    expect(document.getElementById('quote-summary').textContent).toContain('55 1234 5678');
+
+    form.elements.consent.checked = true;
+    form.dispatchEvent(new Event('submit', { cancelable: true }));
+    const status = document.getElementById('quote-status');
+    await waitFor(() => status.textContent);
+
+    const [entry] = JSON.parse(localStorage.getItem(QUEUE_CONFIG.STORAGE_KEY));
+    expect(entry.payload.phone).toBe('+525512345678');
+  });
+});
+
+describe('Submission', () => {
+  it('should queue a request made offline and send it to the quote endpoint on reconnect', async () => {
+    setOnline(false);
+    initQuoteWizard();
+    const form = document.getElementById('quote-wizard');
+
+    // Skip past the spam guard's minimum fill time
+    Date.now = () => realDateNow() + 10000;
+
+    form.querySelector('input[value="soil-analysis"]').checked = true;
+    form.elements.acreage.value = '120';
+    form.elements.crops.value = 'Corn';
+    form.elements.zip.value = '95023';
+    form.elements.name.value = 'Ann Lee';
+    form.elements.email.value = 'ann@example.com';
+    form.elements.contactTime.value = 'morning';
+    form.elements.consent.checked = true;
+    form.dispatchEvent(new Event('submit', { cancelable: true }));
+
+    const status = document.getElementById('quote-status');
+    await waitFor(() => status.textContent);
+
+    expect(fetchMock).not.toHaveBeenCalled();
+    expect(status.className).toBe('queued');
+    const [entry] = JSON.parse(localStorage.getItem(QUEUE_CONFIG.STORAGE_KEY));
+    expect(entry).toMatchObject({
+      endpoint: '/api/quote',
+      payload: { requestType: 'quote', services: ['soil-analysis'], acreage: 120 },
+    });
+
+    setOnline(true);
+    window.dispatchEvent(new Event('online'));
+    await waitFor(() => status.className === 'success');
+
+    expect(fetchMock).toHaveBeenCalledTimes(1);
+    const [endpoint, request] = fetchMock.mock.calls[0];
+    expect(endpoint).toBe('/api/quote');
+    expect(JSON.parse(request.body)).toMatchObject({ requestType: 'quote', submissionId: entry.id });
+    expect(JSON.parse(localStorage.getItem(QUEUE_CONFIG.STORAGE_KEY))).toEqual([]);
+  });
+});
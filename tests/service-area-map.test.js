@@ -0,0 +1,201 @@
+/**
+ * Service Area Map Test Suite
+ * Covers the Web Mercator math, the offline SVG rendering, keyboard navigation
+ * between markers and the optional map provider adapters
+ *
+ * @jest-environment jsdom
+ */
+
+import { describe, it, expect, beforeAll, beforeEach, afterEach, jest } from '@jest/globals';
+import {
+  projectToWorld,
+  getPixelsPerMile,
+  getZoomToFit,
+  getTilesForView,
+  TILE_SIZE,
+} from '../src/utils/web-mercator.js';
+import { OPEN_STREET_MAP_PROVIDER, GOOGLE_MAPS_PROVIDER } from '../src/utils/map-providers.js';
+import { SITE_CONFIG } from '../src/data/site-config.js';
+import { getMapUrl, getDirectionsUrl } from '../src/data/contact.js';
+import { getPlacesInServiceArea, loadZipTables } from '../src/utils/service-area.js';
+import { initServiceAreaMap, cleanupServiceAreaMap } from '../src/components/service-area-map.js';
+import { initServiceAreaCheck, cleanupServiceAreaCheck } from '../src/components/service-area.js';
+
+const OFFICE = SITE_CONFIG.address.coordinates;
+
+/**
+ * Dispatches a keydown on an element
+ * @param {Element} element - Target
+ * @param {string} key - Key value
+ */
+function pressKey(element, key) {
+  element.dispatchEvent(new KeyboardEvent('keydown', { key, bubbles: true, cancelable: true }));
+}
+
+describe('Web Mercator', () => {
+  it('should project the map origin and center to known world pixels', () => {
+    expect(projectToWorld({ latitude: 0, longitude: 0 }, 0)).toEqual({ x: 128, y: 128 });
+    expect(projectToWorld({ latitude: 0, longitude: -180 }, 1).x).toBe(0);
+    expect(projectToWorld({ latitude: 85.05112878, longitude: 180 }, 1).x).toBe(512);
+    expect(projectToWorld({ latitude: 85.05112878, longitude: 0 }, 1).y).toBeCloseTo(0, 3);
+  });
+
+  it('should double the pixels per mile with each zoom level', () => {
+    expect(getPixelsPerMile(OFFICE, 9)).toBeCloseTo(getPixelsPerMile(OFFICE, 8) * 2, 6);
+  });
+
+  it('should pick the largest zoom that fits the service radius', () => {
+    const zoom = getZoomToFit(OFFICE, 50, 480);
+    const diameter = (zoom) => 100 * getPixelsPerMile(OFFICE, zoom);
+
+    expect(diameter(zoom)).toBeLessThanOrEqual(480);
+    expect(diameter(zoom + 1)).toBeGreaterThan(480);
+    expect(getZoomToFit(OFFICE, 0.001, 480)).toBe(18);
+  });
+
+  it('should list every tile covering a view', () => {
+    const tiles = getTilesForView({ x: 300, y: 10, width: 300, height: 200 }, 2);
+
+    expect(tiles).toEqual([
+      { x: 1, y: 0, z: 2 },
+      { x: 2, y: 0, z: 2 },
+    ]);
+    expect(getTilesForView({ x: -50, y: -50, width: 100, height: 100 }, 0)).toEqual([{ x: 0, y: 0, z: 0 }]);
+    expect(TILE_SIZE).toBe(256);
+  });
+});
+
+describe('Map Providers', () => {
+  const place = { latitude: 37.2459, longitude: -121.831, address: '1234 Farm Road, Greenfield CA' };
+
+  it('should build OpenStreetMap tile, place and directions URLs', () => {
+    expect(OPEN_STREET_MAP_PROVIDER.getTileUrl(8, 40, 98)).toBe('https://tile.openstreetmap.org/8/40/98.png');
+    expect(OPEN_STREET_MAP_PROVIDER.getPlaceUrl(place)).toContain('mlat=37.2459&mlon=-121.831');
+    expect(OPEN_STREET_MAP_PROVIDER.getDirectionsUrl(place)).toContain('37.2459%2C-121.831');
+    expect(OPEN_STREET_MAP_PROVIDER.attribution).toMatch(/OpenStreetMap contributors/);
+  });
+
+  it('should build Google Maps links without offering tiles', () => {
+    expect(GOOGLE_MAPS_PROVIDER.getPlaceUrl(place)).toBe('https://maps.google.com/?q=1234+Farm+Road+Greenfield+CA');
+    expect(GOOGLE_MAPS_PROVIDER.getDirectionsUrl(place)).toBe('https://maps.google.com/maps/dir//1234+Farm+Road+Greenfield+CA');
+    expect(GOOGLE_MAPS_PROVIDER.getTileUrl).toBeUndefined();
+  });
+
+  it('should keep the office map links in the contact data', () => {
+    expect(getMapUrl()).toMatch(/^https:\/\/maps\.google\.com\/\?q=1234\+Farm\+Road/);
+    expect(getDirectionsUrl()).toMatch(/^https:\/\/maps\.google\.com\/maps\/dir\/\/1234\+Farm\+Road/);
+  });
+});
+
+describe('Service Area Map', () => {
+  let container;
+  let townCount;
+
+  beforeAll(() => {
+    townCount = getPlacesInServiceArea().filter(({ zip }) => zip !== SITE_CONFIG.address.zip).length;
+  });
+
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    document.body.innerHTML = `
+      <form id="service-area-form">
+        <input id="service-area-query" />
+        <p id="service-area-result"></p>
+      </form>
+      <input id="location" name="location" />
+      <div id="service-area-map" hidden></div>
+    `;
+    container = document.getElementById('service-area-map');
+  });
+
+  afterEach(() => {
+    cleanupServiceAreaMap();
+    cleanupServiceAreaCheck();
+    jest.restoreAllMocks();
+  });
+
+  it('should render the office, radius and every town offline', () => {
+    initServiceAreaMap();
+    const svg = container.querySelector('svg');
+
+    expect(container.hidden).toBe(false);
+    expect(svg.querySelector('.map-radius')).not.toBeNull();
+    expect(svg.querySelectorAll('image')).toHaveLength(0);
+    expect(svg.querySelectorAll('.map-marker--office')).toHaveLength(1);
+    expect(svg.querySelectorAll('.map-marker--town')).toHaveLength(townCount);
+    expect(svg.querySelector('desc').textContent).toContain(`${townCount} towns`);
+  });
+
+  it('should give every marker a text alternative', () => {
+    initServiceAreaMap();
+
+    container.querySelectorAll('.map-marker').forEach((marker) => {
+      expect(marker.getAttribute('aria-label')).toBeTruthy();
+      expect(marker.querySelector('title').textContent).toBeTruthy();
+    });
+    expect(container.querySelector('.map-marker--office').getAttribute('aria-label')).toContain(SITE_CONFIG.address.street);
+  });
+
+  it('should center the radius circle on the office', () => {
+    initServiceAreaMap();
+    const [x, y, width, height] = container.querySelector('svg').getAttribute('viewBox').split(' ').map(Number);
+    const circle = container.querySelector('.map-radius');
+
+    expect(Number(circle.getAttribute('cx'))).toBeCloseTo(x + width / 2, 6);
+    expect(Number(circle.getAttribute('cy'))).toBeCloseTo(y + height / 2, 6);
+  });
+
+  it('should move between markers with a single tab stop', () => {
+    initServiceAreaMap();
+    const office = container.querySelector('[data-marker-id="office"]');
+    const tabStops = () => container.querySelectorAll('.map-marker[tabindex="0"]');
+
+    expect(tabStops()).toHaveLength(1);
+    expect(office.getAttribute('tabindex')).toBe('0');
+
+    pressKey(office, 'ArrowRight');
+    const nearest = getPlacesInServiceArea().find(({ zip }) => zip !== SITE_CONFIG.address.zip);
+    expect(document.activeElement.dataset.markerId).toBe(`zip-${nearest.zip}`);
+    expect(tabStops()).toHaveLength(1);
+    expect(container.querySelector('.service-area-map-details').textContent).toContain(nearest.place);
+
+    pressKey(document.activeElement, 'Home');
+    expect(document.activeElement).toBe(office);
+
+    pressKey(office, 'ArrowLeft');
+    expect(document.activeElement.dataset.markerId).toBe(container.querySelectorAll('.map-marker')[townCount - 1].dataset.markerId);
+  });
+
+  it('should check a town with the service area checker on Enter', async () => {
+    initServiceAreaCheck();
+    initServiceAreaMap();
+    const office = container.querySelector('[data-marker-id="office"]');
+
+    pressKey(office, 'ArrowRight');
+    pressKey(document.activeElement, 'Enter');
+
+    // The lookup finishes once the ZIP tables have loaded
+    await loadZipTables();
+    await new Promise((resolve) => setTimeout(resolve, 0));
+
+    const query = document.getElementById('service-area-query').value;
+    expect(document.activeElement.dataset.markerId).toBe(`zip-${query}`);
+    expect(document.getElementById('service-area-result').textContent).toMatch(/^Yes, we serve/);
+  });
+
+  it('should add provider links, and tiles with attribution only from tile providers', () => {
+    initServiceAreaMap({ providers: [GOOGLE_MAPS_PROVIDER] });
+
+    const hrefs = Array.from(container.querySelectorAll('.service-area-map-links a'), (link) => link.href);
+    expect(hrefs).toEqual([getMapUrl(), getDirectionsUrl()]);
+    expect(container.querySelectorAll('image')).toHaveLength(0);
+    expect(container.querySelector('.service-area-map-attribution')).toBeNull();
+
+    initServiceAreaMap({ providers: [OPEN_STREET_MAP_PROVIDER] });
+
+    const tiles = Array.from(container.querySelectorAll('image'), (image) => image.getAttribute('href'));
+    expect(tiles.length).toBeGreaterThan(0);
+    tiles.forEach((url) => expect(url).toMatch(/^https:\/\/tile\.openstreetmap\.org\/\d+\/\d+\/\d+\.png$/));
+    expect(container.querySelector('.service-area-map-attribution').textContent).toBe(OPEN_STREET_MAP_PROVIDER.attribution);
+  });
+});
@@ -0,0 +1,220 @@
+/**
+ * Service Area Test Suite
+ * Covers haversine distances, ZIP code and town lookups against the lazily
+ * loaded centroid tables, browser geolocation results and the derived service
+ * area list
+ *
+ * @jest-environment node
+ */
+
+import { describe, it, expect, beforeAll, jest } from '@jest/globals';
+import {
+  haversineMiles,
+  resolveServiceLocation,
+  checkServiceArea,
+  findNearestZip,
+  getPlacesInServiceArea,
+  getCurrentCoordinates,
+  loadZipTables,
+  SERVICE_AREA_MESSAGE_KEYS,
+} from '../src/utils/service-area.js';
+import { t, setLocale } from '../src/utils/i18n.js';
+import { SITE_CONFIG } from '../src/data/site-config.js';
+import { ZIP_CENTROIDS, ZIP_PREFIX_CENTROIDS } from '../src/data/zip-centroids.js';
+import { SERVICE_AREA_TOWNS } from '../src/data/service-area-towns.js';
+
+/**
+ * Geolocation API double that answers with a fixed position or error
+ * @param {Object} outcome - `{ coords }` for success or `{ code }` for an error
+ * @returns {Object} Geolocation double
+ */
+function createGeolocation(outcome) {
+  return {
+    getCurrentPosition: jest.fn((onSuccess, onError) => {
+      if (outcome.coords) {
+        onSuccess({ coords: outcome.coords });
+      } else {
+        onError({ code: outcome.code });
+      }
+    }),
+  };
+}
+
+describe('Service Area', () => {
+  describe('haversineMiles', () => {
+    it('should calculate great-circle distances', () => {
+      const sanFrancisco = { latitude: 37.7749, longitude: -122.4194 };
+      const losAngeles = { latitude: 34.0522, longitude: -118.2437 };
+
+      expect(haversineMiles(sanFrancisco, losAngeles)).toBeCloseTo(347.4, 0);
+      expect(haversineMiles(sanFrancisco, sanFrancisco)).toBe(0);
+    });
+  });
+
+  describe('loadZipTables', () => {
+    it('should load the bundled tables once and share them', async () => {
+      const load = loadZipTables();
+
+      expect(loadZipTables()).toBe(load);
+      await expect(load).resolves.toEqual({ table: ZIP_CENTROIDS, prefixTable: ZIP_PREFIX_CENTROIDS });
+    });
+  });
+
+  describe('resolveServiceLocation', () => {
+    it('should resolve 5-digit and ZIP+4 codes', async () => {
+      expect((await resolveServiceLocation('95376')).location).toMatchObject({ label: 'Tracy, CA 95376', source: 'zip' });
+      expect((await resolveServiceLocation(' 95376-1234 ')).location.zip).toBe('95376');
+    });
+
+    it('should resolve town names regardless of case and a trailing state', async () => {
+      expect((await resolveServiceLocation('oakdale')).location).toMatchObject({ zip: '95361', source: 'town' });
+      expect((await resolveServiceLocation('Morgan Hill, CA')).location.zip).toBe('95037');
+    });
+
+    it('should resolve every ZIP code in the prefixes around the service area', async () => {
+      expect((await resolveServiceLocation('95045')).location).toMatchObject({ place: 'San Juan Bautista', source: 'zip' });
+      expect((await resolveServiceLocation('95046')).location).toMatchObject({ place: 'San Martin', source: 'zip' });
+      expect((await resolveServiceLocation('95123')).location.place).toBe('San Jose');
+    });
+
+    it('should place other ZIP codes at the centroid of their prefix', async () => {
+      expect((await resolveServiceLocation('95202')).location).toMatchObject({
+        label: 'Stockton area, CA 95202',
+        zip: '95202',
+        source: 'zip-prefix',
+      });
+      expect((await resolveServiceLocation('Sacramento')).location).toMatchObject({ label: 'Sacramento, CA', zip: null });
+    });
+
+    it('should prefer the listed ZIP code of a town with several', async () => {
+      expect((await resolveServiceLocation('San Jose')).location.zip).toBe('95112');
+    });
+
+    it('should report empty and unknown queries', async () => {
+      expect(await resolveServiceLocation('  ')).toEqual({ ok: false, reason: 'empty' });
+      expect(await resolveServiceLocation('00000')).toEqual({ ok: false, reason: 'not-found' });
+      expect(await resolveServiceLocation('Atlantis')).toEqual({ ok: false, reason: 'not-found' });
+    });
+  });
+
+  describe('checkServiceArea', () => {
+    it('should place the office ZIP code at the office', () => {
+      const office = ZIP_CENTROIDS[SITE_CONFIG.address.zip];
+
+      expect(haversineMiles(SITE_CONFIG.address.coordinates, office)).toBeLessThan(1);
+      expect(office.place).toBe(SITE_CONFIG.address.city);
+    });
+
+    it('should serve the office town and ZIP code', async () => {
+      expect(await checkServiceArea(SITE_CONFIG.address.city)).toMatchObject({ ok: true, inArea: true });
+      expect(await checkServiceArea(SITE_CONFIG.address.zip)).toMatchObject({ ok: true, inArea: true });
+    });
+
+    it('should answer in area with the distance', async () => {
+      const result = await checkServiceArea('95376');
+
+      expect(result).toMatchObject({ ok: true, inArea: true, radiusMiles: SITE_CONFIG.serviceArea.radiusMiles });
+      expect(result.distanceMiles).toBeCloseTo(40.4, 0);
+      expect(result.message).toBe(
+        'Yes, we serve Tracy, CA 95376. It\'s about 40 miles from our San Jose office, within our 50-mile service area.'
+      );
+    });
+
+    it('should answer out of area beyond the radius', async () => {
+      const result = await checkServiceArea('Oakdale');
+
+      expect(result).toMatchObject({ ok: true, inArea: false });
+      expect(result.message).toMatch(/^Oakdale, CA 95361 is about 66 miles .* outside our 50-mile service area/);
+    });
+
+    it('should give a distance for ZIP codes far outside the detailed table', async () => {
+      const result = await checkServiceArea('10001');
+
+      expect(result).toMatchObject({ ok: true, inArea: false, location: { source: 'zip-prefix' } });
+      expect(result.distanceMiles).toBeGreaterThan(2000);
+      expect(result.message).toMatch(/^New York area, NY 10001 is about \d{1,3}(,\d{3})* miles/);
+    });
+
+    it('should respect a configured radius', async () => {
+      expect((await checkServiceArea('Oakdale', { radiusMiles: 75 })).inArea).toBe(true);
+    });
+
+    it('should describe coordinates by the nearest known place', async () => {
+      const result = await checkServiceArea({ latitude: 37.73, longitude: -121.44 });
+
+      expect(result.location).toMatchObject({ place: 'Tracy', source: 'geolocation' });
+      expect(result.location.label).toBe('Near Tracy, CA (37.7300, -121.4400)');
+      expect(result.message).toMatch(/^Yes, we serve your area\./);
+    });
+
+    it('should return a message instead of throwing on bad input', async () => {
+      expect(await checkServiceArea('')).toEqual({ ok: false, reason: 'empty', message: t(SERVICE_AREA_MESSAGE_KEYS.empty) });
+      expect(await checkServiceArea({ latitude: 'north' })).toMatchObject({ ok: false, reason: 'unavailable' });
+    });
+
+    it('should answer in the active language', async () => {
+      setLocale('es', { persist: false });
+
+      try {
+        expect((await checkServiceArea('95376')).message).toBe(
+          'Sí, atendemos Tracy, CA 95376. Está a unas 40 millas de nuestra oficina de San Jose, dentro de nuestra área de servicio de 50 millas.'
+        );
+        expect((await checkServiceArea('95202')).location.label).toBe('Zona de Stockton, CA 95202');
+      } finally {
+        setLocale('en', { persist: false });
+      }
+    });
+  });
+
+  describe('findNearestZip', () => {
+    it('should find the closest bundled centroid', async () => {
+      expect((await findNearestZip({ latitude: 37.0, longitude: -121.58 })).entry.place).toBe('Gilroy');
+    });
+  });
+
+  describe('getCurrentCoordinates', () => {
+    it('should resolve with the browser position', async () => {
+      const geolocation = createGeolocation({ coords: { latitude: 37.1, longitude: -121.6, accuracy: 20 } });
+
+      await expect(getCurrentCoordinates(geolocation)).resolves.toEqual({
+        ok: true,
+        coordinates: { latitude: 37.1, longitude: -121.6 },
+      });
+    });
+
+    it('should map permission and availability errors to messages', async () => {
+      await expect(getCurrentCoordinates(createGeolocation({ code: 1 }))).resolves.toMatchObject({ ok: false, reason: 'denied' });
+      await expect(getCurrentCoordinates(createGeolocation({ code: 3 }))).resolves.toMatchObject({ ok: false, reason: 'unavailable' });
+      await expect(getCurrentCoordinates(null)).resolves.toMatchObject({ ok: false, reason: 'unsupported' });
+    });
+  });
+
+  describe('service area list', () => {
+    let contactInfo;
+
+    beforeAll(async () => {
+      jest.spyOn(console, 'log').mockImplementation(() => {});
+      ({ contactInfo } = await import('../src/data/contact.js'));
+    });
+
+    it('should list the service area towns inside the radius, nearest first', () => {
+      const places = getPlacesInServiceArea().map(({ place }) => place);
+
+      expect(places[0]).toBe('San Jose');
+      expect(new Set(places).size).toBe(places.length);
+      expect(places.length).toBeLessThanOrEqual(Object.keys(SERVICE_AREA_TOWNS).length);
+      expect(places).toContain('Tracy');
+      expect(places).not.toContain('Oakdale');
+      expect(contactInfo.serviceAreas).toEqual([
+        ...places,
+        `Within ${SITE_CONFIG.serviceArea.radiusMiles} miles of San Jose, CA`,
+      ]);
+    });
+
+    it('should place every listed town at its ZIP code centroid', () => {
+      Object.entries(SERVICE_AREA_TOWNS).forEach(([zip, town]) => {
+        expect(town).toEqual(ZIP_CENTROIDS[zip]);
+      });
+    });
+  });
+});
@@ -0,0 +1,66 @@
+/**
+ * Service Dialog Test Suite
+ * Covers the deep-link hash routing of the service detail dialog: malformed
+ * hashes and the history entries left behind when requesting a service
+ *
+ * @jest-environment jsdom
+ */
+
+import { describe, it, expect, beforeAll, beforeEach, afterEach, jest } from '@jest/globals';
+import {
+  initServiceDialog,
+  openServiceDetail,
+  closeServiceDetail,
+  getOpenServiceId,
+} from '../src/components/service-dialog.js';
+
+beforeAll(() => {
+  window.scrollTo = () => {};
+  document.body.innerHTML = `
+    <div class="services-grid"></div>
+    <section id="contact"><form id="contact-form"><select id="service" name="service"></select></form></section>
+  `;
+  initServiceDialog();
+});
+
+beforeEach(() => {
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+  jest.spyOn(console, 'warn').mockImplementation(() => {});
+  window.history.replaceState(null, '', '#services');
+});
+
+afterEach(() => {
+  closeServiceDetail({ updateHistory: false });
+  jest.restoreAllMocks();
+});
+
+describe('Hash routing', () => {
+  it('should open the dialog from a service hash', () => {
+    window.history.pushState(null, '', '#services/soil-analysis');
+    window.dispatchEvent(new PopStateEvent('popstate'));
+
+    expect(getOpenServiceId()).toBe('soil-analysis');
+  });
+
+  it('should ignore a malformed hash instead of throwing', () => {
+    window.history.pushState(null, '', '#services/%E0%A4%A');
+
+    expect(() => window.dispatchEvent(new PopStateEvent('popstate'))).not.toThrow();
+    expect(getOpenServiceId()).toBeNull();
+  });
+});
+
+describe('Requesting a service', () => {
+  it('should replace the deep-link entry so Back does not reopen the dialog', () => {
+    const lengthBefore = window.history.length;
+
+    openServiceDetail('soil-analysis');
+    expect(window.history.length).toBe(lengthBefore + 1);
+
+    document.querySelector('#service-dialog .btn-primary').click();
+
+    expect(getOpenServiceId()).toBeNull();
+    expect(window.location.hash).toBe('#contact');
+    expect(window.history.length).toBe(lengthBefore + 1);
+  });
+});
@@ -0,0 +1,125 @@
+/**
+ * Services Data Test Suite
+ * Covers per-locale service content, locale fallbacks, accent-insensitive
+ * search and missing-translation checks
+ *
+ * @jest-environment jsdom
+ */
+
+import { describe, it, expect, afterEach, jest } from '@jest/globals';
+import {
+  servicesData,
+  getServiceById,
+  getAllServicesSorted,
+  searchServicesByKeyword,
+  localizeService,
+  validateServiceData,
+  findMissingTranslations,
+} from '../src/data/services.js';
+import { setLocale, SUPPORTED_LOCALES } from '../src/utils/i18n.js';
+
+/**
+ * Builds a valid service with English-only content
+ * @param {Object} [overrides] - Fields to replace
+ * @returns {Object} Service data
+ */
+function buildService(overrides = {}) {
+  return {
+    id: 'test-service',
+    title: { en: 'Test Service' },
+    description: { en: 'A service used by the test suite.' },
+    icon: '/images/icons/test.svg',
+    category: 'consulting',
+    featured: false,
+    keywords: { en: ['testing'] },
+    metadata: { duration: '1 day', availability: 'Year-round', priority: 99 },
+    ...overrides,
+  };
+}
+
+afterEach(() => {
+  setLocale('en', { persist: false });
+  localStorage.clear();
+});
+
+describe('Localized content', () => {
+  it('should translate every service into every configured locale', () => {
+    servicesData.forEach((service) => {
+      expect(findMissingTranslations(service)).toEqual([]);
+    });
+  });
+
+  it('should resolve text for the active locale', () => {
+    expect(getServiceById('soil-analysis').title).toBe('Comprehensive Soil Analysis');
+
+    setLocale('es', { persist: false });
+
+    const service = getServiceById('soil-analysis');
+    expect(service.title).toBe('Análisis de suelo integral');
+    expect(service.keywords).toContain('análisis de suelo');
+    expect(service.locale).toBe('es');
+    expect(getAllServicesSorted()[0].title).toBe('Asesoría de cultivos');
+  });
+
+  it('should fall back to English for missing translations', () => {
+    const service = buildService({ title: { en: 'Test Service', es: '' } });
+
+    expect(localizeService(service, 'es').title).toBe('Test Service');
+    expect(localizeService(service, 'es').keywords).toEqual(['testing']);
+    expect(localizeService(buildService({ title: { es: 'Servicio' } }), 'en').title).toBe('Servicio');
+  });
+});
+
+describe('Keyword search', () => {
+  it('should search the active locale regardless of accents and case', () => {
+    setLocale('es', { persist: false });
+
+    const ids = searchServicesByKeyword('analisis de suelo').map((service) => service.id);
+
+    expect(ids).toContain('soil-analysis');
+    expect(searchServicesByKeyword('ASESORÍA').map((service) => service.id)).toContain('crop-consulting');
+  });
+
+  it('should only match text in the searched locale', () => {
+    expect(searchServicesByKeyword('analisis de suelo', 'en')).toEqual([]);
+    expect(searchServicesByKeyword('soil testing', 'en').map((service) => service.id)).toEqual(['soil-analysis']);
+    expect(searchServicesByKeyword('soil testing', 'es')).toEqual([]);
+  });
+
+  it('should ignore empty keywords', () => {
+    const warnSpy = jest.spyOn(console, 'warn').mockImplementation(() => {});
+
+    expect(searchServicesByKeyword('   ')).toEqual([]);
+
+    warnSpy.mockRestore();
+  });
+});
+
+describe('Validation', () => {
+  it('should flag services missing a translation for any configured locale', () => {
+    const warnSpy = jest.spyOn(console, 'warn').mockImplementation(() => {});
+    const service = buildService();
+
+    expect(validateServiceData(service)).toBe(true);
+    expect(findMissingTranslations(service)).toEqual(
+      ['title', 'description', 'keywords'].flatMap((field) => (
+        SUPPORTED_LOCALES.filter((locale) => locale !== 'en').map((locale) => ({ field, locale }))
+      ))
+    );
+    expect(warnSpy).toHaveBeenCalledWith(expect.stringContaining("Missing 'es' translation for title in 'test-service'"));
+
+    warnSpy.mockRestore();
+  });
+
+  it('should reject services without English content', () => {
+    expect(() => validateServiceData(buildService({ title: { es: 'Servicio' } }))).toThrow(
+      "Invalid title in 'test-service'"
+    );
+    expect(() => validateServiceData(buildService({ keywords: { en: [] } }))).toThrow(
+      "Invalid keywords in 'test-service'"
+    );
+    expect(() => validateServiceData(buildService({ description: 'Plain text' }))).toThrow(
+      "Invalid description in 'test-service'"
+    );
+  });
+});
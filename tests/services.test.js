@@ -0,0 +1,164 @@
+/**
+ * Services Section Test Suite
+ * Covers the services grid rendered from the data module, the category chips
+ * and keyword search, the filter kept in the query string and the announced
+ * result count
+ *
+ * @jest-environment jsdom
+ */
+
+import { describe, it, expect, beforeEach, afterEach, jest } from '@jest/globals';
+import { servicesData, getAllServicesSorted, getServicesByCategory, getServiceCategoryCounts } from '../src/data/services.js';
+
+/**
+ * Loads a fresh copy of the services section, as on a page load, and initializes it
+ * @param {string} [search=''] - Query string the page is loaded with
+ */
+async function loadServicesSection(search = '') {
+  window.history.replaceState(null, '', `/${search}`);
+  document.body.innerHTML = `
+    <section id="services">
+      <div class="services-grid" id="services-grid" role="list"></div>
+    </section>
+  `;
+
+  jest.resetModules();
+  const { initializeServicesSection } = await import('../src/components/services.js');
+  initializeServicesSection();
+}
+
+/**
+ * Returns the IDs of the rendered service cards
+ * @returns {string[]} Service IDs in grid order
+ */
+function getCardIds() {
+  return [...document.querySelectorAll('.service-card')].map((card) => card.dataset.serviceId);
+}
+
+/**
+ * Returns the category chip for a category
+ * @param {string|null} category - Category, or null for the all-services chip
+ * @returns {HTMLButtonElement} Chip button
+ */
+function getChip(category) {
+  return [...document.querySelectorAll('.filter-chip')]
+    .find((chip) => chip.getAttribute('data-category') === category);
+}
+
+/**
+ * Returns the text of the page-wide screen reader announcement once it is shown
+ * @returns {string} Announcement text
+ */
+function readAnnouncement() {
+  jest.advanceTimersByTime(100);
+
+  return [...document.body.children]
+    .filter((element) => element.getAttribute('role') === 'status')
+    .map((element) => element.textContent)
+    .join('');
+}
+
+beforeEach(() => {
+  jest.useFakeTimers();
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+  jest.spyOn(console, 'warn').mockImplementation(() => {});
+});
+
+afterEach(() => {
+  jest.useRealTimers();
+  jest.restoreAllMocks();
+  window.history.replaceState(null, '', '/');
+});
+
+describe('Services grid', () => {
+  it('should render a card per service in priority order', async () => {
+    await loadServicesSection();
+
+    expect(getCardIds()).toEqual(getAllServicesSorted().map((service) => service.id));
+  });
+
+  it('should fill each card from the service data', async () => {
+    await loadServicesSection();
+    const [service] = getAllServicesSorted();
+    const card = document.querySelector('.service-card');
+
+    expect(card.dataset.category).toBe(service.category);
+    expect(card.querySelector('h3').textContent).toBe(service.title);
+    expect(card.querySelector('p').textContent).toBe(service.description);
+    expect(card.querySelector('.service-link').getAttribute('aria-label')).toContain(service.title);
+    expect(card.querySelector('.service-icon img').alt).toBe('');
+  });
+});
+
+describe('Filter toolbar', () => {
+  it('should show a chip per category with its service count', async () => {
+    await loadServicesSection();
+    const counts = getServiceCategoryCounts();
+    const chips = [...document.querySelectorAll('.filter-chip')];
+
+    expect(getChip(null).getAttribute('aria-pressed')).toBe('true');
+    expect(getChip(null).querySelector('.filter-chip-count').textContent).toBe(String(servicesData.length));
+    expect(chips).toHaveLength(1 + Object.values(counts).filter((count) => count > 0).length);
+    expect(getChip('technology').querySelector('.filter-chip-count').textContent).toBe(String(counts.technology));
+  });
+
+  it('should filter by category, keep it in the query string and announce the count', async () => {
+    await loadServicesSection();
+
+    getChip('technology').click();
+
+    expect(getCardIds()).toEqual(getServicesByCategory('technology').map((service) => service.id));
+    expect(getChip('technology').getAttribute('aria-pressed')).toBe('true');
+    expect(getChip(null).getAttribute('aria-pressed')).toBe('false');
+    expect(window.location.search).toBe('?category=technology');
+    expect(readAnnouncement()).toBe('2 services in Technology shown');
+
+    getChip(null).click();
+
+    expect(getCardIds()).toHaveLength(servicesData.length);
+    expect(window.location.search).toBe('');
+  });
+
+  it('should search by keyword once typing pauses', async () => {
+    await loadServicesSection();
+    const input = document.getElementById('services-search-input');
+
+    input.value = 'drone';
+    input.dispatchEvent(new Event('input'));
+    expect(getCardIds()).toHaveLength(servicesData.length);
+
+    jest.advanceTimersByTime(250);
+
+    expect(getCardIds()).toEqual(['precision-agriculture']);
+    expect(window.location.search).toBe('?q=drone');
+    expect(readAnnouncement()).toBe('1 service matching "drone" shown');
+  });
+
+  it('should restore a shared filter from the query string on load', async () => {
+    await loadServicesSection('?category=technology&q=drone');
+
+    expect(getCardIds()).toEqual(['precision-agriculture']);
+    expect(document.getElementById('services-search-input').value).toBe('drone');
+    expect(getChip('technology').getAttribute('aria-pressed')).toBe('true');
+    expect(window.location.search).toBe('?category=technology&q=drone');
+
+    getChip(null).click();
+
+    expect(window.location.search).toBe('?q=drone');
+    expect(readAnnouncement()).toBe('1 service matching "drone" shown');
+  });
+
+  it('should show every service for an unknown category', async () => {
+    await loadServicesSection('?category=unknown');
+
+    expect(getCardIds()).toHaveLength(servicesData.length);
+    expect(getChip(null).getAttribute('aria-pressed')).toBe('true');
+  });
+
+  it('should show the empty state when nothing matches', async () => {
+    await loadServicesSection('?q=zzzz');
+
+    expect(getCardIds()).toEqual([]);
+    expect(document.querySelector('.services-empty').hidden).toBe(false);
+  });
+});
@@ -0,0 +1,126 @@
+/**
+ * Site Configuration Consistency Test Suite
+ * Fails when index.html or the derived data modules contradict the site configuration
+ *
+ * @jest-environment jsdom
+ */
+
+import { readFileSync } from 'node:fs';
+import { describe, it, expect, beforeAll, jest } from '@jest/globals';
+import { SITE_CONFIG, formatConfigTime, formatConfigAddress } from '../src/data/site-config.js';
+import { checkSiteConsistency } from '../src/utils/site-consistency.js';
+
+const indexHtml = readFileSync(new URL('../index.html', import.meta.url), 'utf8');
+
+/**
+ * Parse markup into a standalone document
+ * @param {string} html - HTML source
+ * @returns {Document} Parsed document
+ */
+function parse(html) {
+  return new DOMParser().parseFromString(html, 'text/html');
+}
+
+describe('Site Configuration', () => {
+  describe('index.html', () => {
+    it('should not contradict the site configuration', () => {
+      expect(checkSiteConsistency(parse(indexHtml))).toEqual([]);
+    });
+
+    it('should bind the brand name, contact details, address, hours and stats', () => {
+      const bindings = new Set(
+        Array.from(parse(indexHtml).querySelectorAll('[data-site-config]'), (element) => element.dataset.siteConfig)
+      );
+
+      expect(bindings).toEqual(new Set([
+        'brand.name',
+        'contact.phone',
+        'contact.email',
+        'address.street',
+        'address.locality',
+        'address.country',
+        'hours.weekdays',
+        'hours.saturday',
+        'hours.sunday',
+        'stats.yearsOfExperience',
+        'stats.farmsServed',
+        'stats.clientSatisfaction',
+        'stats.acresManaged',
+      ]));
+    });
+  });
+
+  describe('checkSiteConsistency', () => {
+    it('should report bound text that differs from the configuration', () => {
+      const doc = parse('<p data-site-config="stats.yearsOfExperience">20+</p><p data-site-config="brand.nickname">x</p>');
+
+      expect(checkSiteConsistency(doc)).toEqual([
+        expect.objectContaining({ rule: 'binding', expected: '25+', actual: '20+' }),
+        expect.objectContaining({ rule: 'binding', actual: 'brand.nickname' }),
+      ]);
+    });
+
+    it('should report stray phone numbers, emails and years claims anywhere in the page', () => {
+      const doc = parse(`
+        <title>AgroServices</title>
+        <p>Call 1-800-555-0199 or <a href="mailto:info@agroexcellence.com">email us</a>.</p>
+        <p aria-label="Over 20 years of experience">Established long ago</p>
+      `);
+
+      expect(checkSiteConsistency(doc).map(({ rule, actual }) => [rule, actual])).toEqual([
+        ['brand', 'AgroServices'],
+        ['email', 'info@agroexcellence.com'],
+        ['phone', '1-800-555-0199'],
+        ['years', '20 years'],
+      ]);
+    });
+
+    it('should accept configured numbers in any format', () => {
+      const doc = parse(`
+        <a href="tel:${SITE_CONFIG.contact.emergency.raw}">Emergency: 555.999.8888</a>
+        <p>Or call (555) 123-4567</p>
+      `);
+
+      expect(checkSiteConsistency(doc)).toEqual([]);
+    });
+  });
+
+  describe('derived data modules', () => {
+    let contactInfo;
+    let companyInfo;
+
+    beforeAll(async () => {
+      jest.spyOn(console, 'log').mockImplementation(() => {});
+      ({ contactInfo } = await import('../src/data/contact.js'));
+      ({ default: companyInfo } = await import('../src/data/company.js'));
+    });
+
+    it('should use the configured brand and contact methods', () => {
+      expect(contactInfo.businessName).toBe(SITE_CONFIG.brand.name);
+      expect(contactInfo.phone.raw).toBe(SITE_CONFIG.contact.phone.raw);
+      expect(contactInfo.email.raw).toBe(SITE_CONFIG.contact.email.raw);
+      expect(companyInfo.contact.email).toBe(SITE_CONFIG.contact.email.display);
+      expect(companyInfo.contact.phone).toBe(SITE_CONFIG.contact.phone.display);
+    });
+
+    it('should use the configured address, hours and founding year', () => {
+      expect(contactInfo.address.formatted).toBe(formatConfigAddress());
+      expect(companyInfo.contact.address).toBe(formatConfigAddress());
+      expect(contactInfo.hours.weekdays.hours).toBe(
+        `${formatConfigTime(SITE_CONFIG.hours.schedule.weekdays.open)} - ${formatConfigTime(SITE_CONFIG.hours.schedule.weekdays.close)}`
+      );
+      expect(contactInfo.metadata.established).toBe(String(SITE_CONFIG.brand.foundedYear));
+      expect(companyInfo.background.foundedYear).toBe(SITE_CONFIG.brand.foundedYear);
+    });
+
+    it('should quote the configured statistics', () => {
+      expect(companyInfo.yearsOfExperience).toBe(SITE_CONFIG.stats.yearsOfExperience.value);
+      expect(companyInfo.statistics.map((stat) => stat.number)).toEqual([
+        SITE_CONFIG.stats.yearsOfExperience.display,
+        SITE_CONFIG.stats.farmsServed.display,
+        SITE_CONFIG.stats.teamSize.display,
+        SITE_CONFIG.stats.clientSatisfaction.display,
+      ]);
+    });
+  });
+});
@@ -0,0 +1,149 @@
+/**
+ * Social Card Test Suite
+ * Covers the per-service Open Graph cards: the SVG layout, the meta tags of a
+ * service's page, and the page opening its service and keeping its address
+ *
+ * @jest-environment jsdom
+ */
+
+import { describe, it, expect, beforeEach, afterEach, jest } from '@jest/globals';
+import { createSocialCardSvg, applySocialMeta, wrapText, SOCIAL_CARD_CONFIG } from '../src/utils/social-card.js';
+import { getServiceSocialCards } from '../src/data/social-cards.js';
+import { servicesData } from '../src/data/services.js';
+import { initServiceDialog, getOpenServiceId } from '../src/components/service-dialog.js';
+import { initI18n, setLocale } from '../src/utils/i18n.js';
+
+const HEAD = `
+  <title data-i18n="meta.title">Site</title>
+  <meta name="description" data-i18n-attr="content:meta.description" content="Site description" />
+  <meta property="og:title" content="Site" />
+  <meta property="og:image" content="https://agrolanding.example.com/images/og-image.jpg" />
+  <link rel="canonical" href="https://agrolanding.example.com" />
+  <link rel="alternate" hreflang="en" href="https://agrolanding.example.com" />
+  <link rel="alternate" hreflang="es" href="https://agrolanding.example.com/?lang=es" />
+`;
+
+/**
+ * Parses a card into an SVG document
+ * @param {string} svg - SVG markup
+ * @returns {Document} Parsed document
+ */
+function parseSvg(svg) {
+  return new DOMParser().parseFromString(svg, 'image/svg+xml');
+}
+
+beforeEach(() => {
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+  jest.spyOn(console, 'warn').mockImplementation(() => {});
+});
+
+afterEach(() => {
+  setLocale('en', { persist: false });
+  localStorage.clear();
+  document.head.innerHTML = '';
+  jest.restoreAllMocks();
+});
+
+describe('Card layout', () => {
+  it('should draw a well-formed card at Open Graph size', () => {
+    const svg = parseSvg(createSocialCardSvg({
+      title: 'Comprehensive Soil Analysis',
+      category: 'Analysis',
+      brand: 'GreenField',
+      footer: 'agrolanding.example.com',
+    }));
+    const root = svg.documentElement;
+    const text = Array.from(root.querySelectorAll('text')).map((element) => element.textContent);
+
+    expect(svg.querySelector('parsererror')).toBeNull();
+    expect(root.getAttribute('width')).toBe(String(SOCIAL_CARD_CONFIG.WIDTH));
+    expect(root.getAttribute('height')).toBe(String(SOCIAL_CARD_CONFIG.HEIGHT));
+    expect(text).toEqual(expect.arrayContaining(['GreenField', 'ANALYSIS', 'agrolanding.example.com', 'A']));
+    expect(root.querySelector('image')).toBeNull();
+  });
+
+  it('should escape text and embed the icon when there is one', () => {
+    const svg = parseSvg(createSocialCardSvg({
+      title: 'Pest & Disease <Management>',
+      category: 'management',
+      brand: 'GreenField',
+      footer: 'agrolanding.example.com',
+      iconDataUrl: 'data:image/svg+xml;base64,PHN2Zy8+',
+    }));
+    const title = Array.from(svg.querySelectorAll('tspan')).map((line) => line.textContent).join(' ');
+
+    expect(svg.querySelector('parsererror')).toBeNull();
+    expect(title).toBe('Pest & Disease <Management>');
+    expect(svg.querySelector('image').getAttribute('href')).toBe('data:image/svg+xml;base64,PHN2Zy8+');
+  });
+
+  it('should wrap long titles and cut them off after the last line', () => {
+    expect(wrapText('Crop Insurance Advisory', 18, 3)).toEqual(['Crop Insurance', 'Advisory']);
+    expect(wrapText('one two three four five', 7, 2)).toEqual(['one two', 'three…']);
+  });
+});
+
+describe('Service pages', () => {
+  it('should give every service its own page, image and copy', () => {
+    const cards = getServiceSocialCards();
+    const soilAnalysis = cards.find((card) => card.serviceId === 'soil-analysis');
+
+    expect(cards).toHaveLength(servicesData.length);
+    expect(soilAnalysis).toMatchObject({
+      pagePath: 'services/soil-analysis/index.html',
+      imagePath: 'images/og/soil-analysis.png',
+      card: { title: 'Comprehensive Soil Analysis', category: 'Analysis' },
+      meta: {
+        url: 'https://agrolanding.example.com/services/soil-analysis/',
+        image: 'https://agrolanding.example.com/images/og/soil-analysis.png',
+      },
+    });
+  });
+
+  it('should point the Open Graph and Twitter tags at the service', () => {
+    document.head.innerHTML = HEAD;
+    const { meta } = getServiceSocialCards().find((card) => card.serviceId === 'soil-analysis');
+    const content = (selector) => document.head.querySelector(selector).getAttribute('content');
+
+    applySocialMeta(document, meta);
+
+    expect(document.title).toBe(meta.title);
+    expect(content('meta[property="og:title"]')).toBe(meta.title);
+    expect(content('meta[property="og:image"]')).toBe(meta.image);
+    expect(content('meta[property="og:image:width"]')).toBe('1200');
+    expect(content('meta[name="twitter:card"]')).toBe('summary_large_image');
+    expect(content('meta[name="twitter:image"]')).toBe(meta.image);
+    expect(content('meta[name="description"]')).toBe(meta.description);
+    expect(document.querySelector('link[rel="canonical"]').getAttribute('href')).toBe(meta.url);
+    expect(document.querySelector('link[hreflang="es"]').getAttribute('href')).toBe(`${meta.url}?lang=es`);
+
+    // Switching language must not restore the site-wide title and description
+    setLocale('es', { persist: false });
+    expect(document.title).toBe(meta.title);
+    expect(content('meta[name="description"]')).toBe(meta.description);
+  });
+
+  it('should keep the page address when the language changes', () => {
+    document.head.innerHTML = HEAD;
+    document.querySelector('link[rel="canonical"]').setAttribute('href', 'https://agrolanding.example.com/services/soil-analysis/');
+
+    initI18n();
+    setLocale('es', { persist: false });
+
+    expect(document.querySelector('link[rel="canonical"]').href)
+      .toBe('https://agrolanding.example.com/services/soil-analysis/?lang=es');
+
+    document.head.innerHTML = HEAD;
+    initI18n();
+  });
+
+  it('should open the service of its page on load', () => {
+    document.documentElement.setAttribute('data-service-page', 'soil-analysis');
+    document.body.innerHTML = '<div class="services-grid"></div>';
+
+    initServiceDialog();
+
+    expect(window.location.hash).toBe('#services/soil-analysis');
+    expect(getOpenServiceId()).toBe('soil-analysis');
+  });
+});
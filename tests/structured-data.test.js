@@ -0,0 +1,174 @@
+/**
+ * Structured Data Test Suite
+ * Covers the schema.org JSON-LD generated from the data modules, the
+ * required-property validator and embedding the data in the page
+ *
+ * @jest-environment jsdom
+ */
+
+import { describe, it, expect, afterEach } from '@jest/globals';
+import { getStructuredData } from '../src/data/structured-data.js';
+import {
+  validateStructuredData,
+  serializeStructuredData,
+  renderStructuredData,
+  createFaqPage,
+  STRUCTURED_DATA_CONFIG,
+} from '../src/utils/structured-data.js';
+import { SITE_CONFIG } from '../src/data/site-config.js';
+import { servicesData } from '../src/data/services.js';
+import { getTestimonials } from '../src/data/company.js';
+import { setLocale } from '../src/utils/i18n.js';
+
+/**
+ * Finds the LocalBusiness node of a document
+ * @param {Object} data - JSON-LD document
+ * @returns {Object} LocalBusiness node
+ */
+function getBusiness(data) {
+  return data['@graph'].find((node) => node['@type'] === 'LocalBusiness');
+}
+
+afterEach(() => {
+  setLocale('en', { persist: false });
+  localStorage.clear();
+  document.head.innerHTML = '';
+});
+
+describe('Generated structured data', () => {
+  it('should have every required property', () => {
+    const faqs = [{ question: 'Do you serve my farm?', answer: 'We serve farms within 50 miles.' }];
+
+    expect(validateStructuredData(getStructuredData())).toEqual({ valid: true, errors: [] });
+    expect(validateStructuredData(getStructuredData({ locale: 'es', faqs }))).toEqual({ valid: true, errors: [] });
+  });
+
+  it('should describe the business from the site configuration', () => {
+    const business = getBusiness(getStructuredData());
+    const { address } = SITE_CONFIG;
+
+    expect(business.name).toBe(SITE_CONFIG.brand.name);
+    expect(business.telephone).toBe(SITE_CONFIG.contact.phone.raw);
+    expect(business.address).toMatchObject({
+      streetAddress: address.street,
+      addressLocality: address.city,
+      addressRegion: address.state,
+      postalCode: address.zip,
+    });
+    expect(business.geo).toEqual({
+      '@type': 'GeoCoordinates',
+      latitude: address.coordinates.latitude,
+      longitude: address.coordinates.longitude,
+    });
+    expect(business.sameAs).toEqual(Object.values(SITE_CONFIG.social));
+  });
+
+  it('should list regular opening hours and leave out closed days', () => {
+    const { openingHoursSpecification } = getBusiness(getStructuredData());
+
+    expect(openingHoursSpecification).toEqual([
+      {
+        '@type': 'OpeningHoursSpecification',
+        dayOfWeek: ['Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday'],
+        opens: '08:00',
+        closes: '18:00',
+      },
+      { '@type': 'OpeningHoursSpecification', dayOfWeek: ['Saturday'], opens: '09:00', closes: '16:00' },
+    ]);
+  });
+
+  it('should offer every service in the requested language', () => {
+    const catalog = getBusiness(getStructuredData({ locale: 'es' })).hasOfferCatalog;
+    const soilAnalysis = catalog.itemListElement
+      .map((offer) => offer.itemOffered)
+      .find((service) => service['@id'].endsWith('#service-soil-analysis'));
+
+    expect(catalog.itemListElement).toHaveLength(servicesData.length);
+    expect(catalog.name).toBe('Nuestros servicios agrícolas');
+    expect(soilAnalysis.name).toBe('Análisis de suelo integral');
+    expect(soilAnalysis.provider).toEqual({ '@id': getBusiness(getStructuredData())['@id'] });
+  });
+
+  it('should follow the active language by default', () => {
+    setLocale('es', { persist: false });
+
+    expect(getBusiness(getStructuredData()).hasOfferCatalog.name).toBe('Nuestros servicios agrícolas');
+  });
+
+  it('should include testimonials as reviews with an aggregate rating', () => {
+    const business = getBusiness(getStructuredData());
+    const testimonials = getTestimonials();
+
+    expect(business.review).toHaveLength(testimonials.length);
+    expect(business.review[0]).toMatchObject({
+      author: { '@type': 'Person', name: testimonials[0].name },
+      reviewRating: { '@type': 'Rating', ratingValue: testimonials[0].rating },
+    });
+    expect(business.review[0].reviewBody).not.toMatch(/\s{2,}/);
+    expect(getBusiness(getStructuredData({ locale: 'es' })).review[0].reviewBody).toMatch(/^Trabajar con este equipo/);
+    expect(business.aggregateRating).toMatchObject({
+      '@type': 'AggregateRating',
+      reviewCount: testimonials.length,
+    });
+  });
+
+  it('should only add an FAQ page when there are questions', () => {
+    expect(getStructuredData()['@graph'].some((node) => node['@type'] === 'FAQPage')).toBe(false);
+
+    const data = getStructuredData({ faqs: [{ question: 'Q?', answer: 'A.' }] });
+    expect(data['@graph'][1]).toEqual({
+      '@type': 'FAQPage',
+      mainEntity: [{ '@type': 'Question', name: 'Q?', acceptedAnswer: { '@type': 'Answer', text: 'A.' } }],
+    });
+  });
+});
+
+describe('Validator', () => {
+  it('should report missing required properties with their path', () => {
+    const data = getStructuredData();
+    const business = getBusiness(data);
+
+    delete business.telephone;
+    business.address.postalCode = '';
+    business.hasOfferCatalog.itemListElement[0].itemOffered.provider = undefined;
+
+    expect(validateStructuredData(data).errors).toEqual([
+      "LocalBusiness at $.@graph[0] is missing required property 'telephone'",
+      "PostalAddress at $.@graph[0].address is missing required property 'postalCode'",
+      "Service at $.@graph[0].hasOfferCatalog.itemListElement[0].itemOffered is missing required property 'provider'",
+    ]);
+  });
+
+  it('should require the schema.org context and check FAQ entries', () => {
+    const faqPage = createFaqPage([{ question: '', answer: 'A.' }]);
+    const { valid, errors } = validateStructuredData({ '@graph': [faqPage] });
+
+    expect(valid).toBe(false);
+    expect(errors).toEqual([
+      "Document must have '@context' set to 'https://schema.org'",
+      "Question at $.@graph[0].mainEntity[0] is missing required property 'name'",
+    ]);
+    expect(createFaqPage([])).toBeNull();
+  });
+});
+
+describe('Embedding', () => {
+  it('should escape markup so the data cannot close its script element', () => {
+    const json = serializeStructuredData({ text: '</script><b>' });
+
+    expect(json).not.toContain('<');
+    expect(JSON.parse(json)).toEqual({ text: '</script><b>' });
+  });
+
+  it('should create the script element once and update it in place', () => {
+    const script = renderStructuredData(getStructuredData());
+
+    expect(script.type).toBe(STRUCTURED_DATA_CONFIG.MIME_TYPE);
+    expect(script.parentNode).toBe(document.head);
+
+    renderStructuredData(getStructuredData({ locale: 'es' }));
+
+    expect(document.querySelectorAll(`#${STRUCTURED_DATA_CONFIG.SCRIPT_ID}`)).toHaveLength(1);
+    expect(JSON.parse(script.textContent)).toEqual(getStructuredData({ locale: 'es' }));
+  });
+});
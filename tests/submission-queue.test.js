@@ -0,0 +1,324 @@
+/**
+ * Submission Queue Test Suite
+ * Covers the offline queue: de-duplication, priority order, exponential
+ * backoff with jitter, sending on reconnect, dropping entries the server
+ * rejects and the choice of storage backend
+ *
+ * @jest-environment jsdom
+ */
+
+import { describe, it, expect, beforeEach, afterEach, jest } from '@jest/globals';
+import {
+  createSubmissionQueue,
+  createQueueStorage,
+  getRetryDelay,
+  isQueueableFailure,
+  QUEUE_CONFIG,
+} from '../src/utils/submission-queue.js';
+import { SUBMISSION_ERRORS, SUBMISSION_PRIORITY } from '../src/utils/form-submission.js';
+import { createValidator, EMERGENCY_FORM_SCHEMA } from '../src/utils/validation.js';
+
+const PAYLOAD = Object.freeze({
+  name: 'Ann Lee',
+  email: 'ann@example.com',
+  service: 'soil-analysis',
+  message: 'Please test two fields before planting.',
+  consent: true,
+});
+
+/**
+ * In-memory storage backend
+ * @returns {Object} Queue storage
+ */
+function createTestStorage() {
+  const entries = new Map();
+
+  return {
+    name: 'test',
+    entries,
+    getAll: async () => Array.from(entries.values()),
+    put: async (entry) => {
+      entries.set(entry.id, entry);
+    },
+    remove: async (id) => {
+      entries.delete(id);
+    },
+  };
+}
+
+/**
+ * Manually advanced clock with fixed jitter
+ * @param {number} [random=0.5] - Jitter source value
+ * @returns {Object} Queue clock with `advance(ms)` and the scheduled `timers`
+ */
+function createTestClock(random = 0.5) {
+  let now = 1000;
+  let nextId = 1;
+  const timers = new Map();
+
+  return {
+    timers,
+    now: () => now,
+    random: () => random,
+    setTimeout(callback, delay) {
+      timers.set(nextId, { callback, at: now + delay });
+      return nextId++;
+    },
+    clearTimeout(id) {
+      timers.delete(id);
+    },
+    advance(ms) {
+      now += ms;
+      Array.from(timers.entries())
+        .filter(([, timer]) => timer.at <= now)
+        .forEach(([id, timer]) => {
+          timers.delete(id);
+          timer.callback();
+        });
+    },
+  };
+}
+
+/**
+ * Sets what navigator.onLine reports
+ * @param {boolean} online - Whether the browser is online
+ */
+function setOnline(online) {
+  Object.defineProperty(navigator, 'onLine', { value: online, configurable: true });
+}
+
+/**
+ * Waits for pending promise callbacks
+ * @returns {Promise<void>}
+ */
+function settle() {
+  return new Promise((resolve) => setTimeout(resolve, 0));
+}
+
+beforeEach(() => {
+  setOnline(true);
+  jest.spyOn(console, 'warn').mockImplementation(() => {});
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+});
+
+afterEach(() => {
+  setOnline(true);
+  localStorage.clear();
+  delete globalThis.indexedDB;
+  jest.restoreAllMocks();
+});
+
+describe('Retry policy', () => {
+  it('should double the delay per attempt, cap it and add up to 20% jitter', () => {
+    expect(getRetryDelay(1, () => 0)).toBe(QUEUE_CONFIG.BASE_DELAY);
+    expect(getRetryDelay(3, () => 0)).toBe(QUEUE_CONFIG.BASE_DELAY * 4);
+    expect(getRetryDelay(3, () => 0.5)).toBe(QUEUE_CONFIG.BASE_DELAY * 4 * 1.1);
+    expect(getRetryDelay(30, () => 0)).toBe(QUEUE_CONFIG.MAX_DELAY);
+    expect(getRetryDelay(30, () => 0.999)).toBeLessThan(QUEUE_CONFIG.MAX_DELAY * (1 + QUEUE_CONFIG.JITTER_RATIO));
+  });
+
+  it('should only queue failures caused by connectivity', () => {
+    expect(isQueueableFailure({ ok: false, reason: SUBMISSION_ERRORS.OFFLINE })).toBe(true);
+    expect(isQueueableFailure({ ok: false, reason: SUBMISSION_ERRORS.TIMEOUT })).toBe(true);
+    expect(isQueueableFailure({ ok: false, reason: SUBMISSION_ERRORS.SERVER })).toBe(false);
+    expect(isQueueableFailure({ ok: true })).toBe(false);
+  });
+});
+
+describe('Queueing', () => {
+  it('should store a sanitized entry once per submission ID', async () => {
+    const storage = createTestStorage();
+    const queue = createSubmissionQueue({ send: jest.fn(), storage, clock: createTestClock() });
+
+    const first = await queue.enqueue({ ...PAYLOAD, submissionId: 'ignored' }, 'sub-1');
+    const second = await queue.enqueue(PAYLOAD, 'sub-1');
+
+    expect(first).toEqual({ queued: true, duplicate: false, id: 'sub-1', errors: {} });
+    expect(second).toEqual({ queued: true, duplicate: true, id: 'sub-1', errors: {} });
+    expect(storage.entries.size).toBe(1);
+    expect(storage.entries.get('sub-1')).toMatchObject({ createdAt: 1000, attempts: 0 });
+    expect(storage.entries.get('sub-1').payload).not.toHaveProperty('submissionId');
+  });
+
+  it('should validate with the validator of the form the request came from', async () => {
+    const storage = createTestStorage();
+    const queue = createSubmissionQueue({ send: jest.fn(), storage, clock: createTestClock() });
+    const { validate } = createValidator(EMERGENCY_FORM_SCHEMA);
+    const callback = { issueType: 'livestock', name: 'Ann Lee', phone: '(555) 222-3333', consent: true };
+
+    expect((await queue.enqueue(callback, 'sub-1')).queued).toBe(false);
+    expect((await queue.enqueue(callback, 'sub-1', { validate })).queued).toBe(true);
+    expect(storage.entries.get('sub-1').payload.phone).toBe('+15552223333');
+  });
+
+  it('should refuse to store an invalid submission', async () => {
+    const storage = createTestStorage();
+    const queue = createSubmissionQueue({ send: jest.fn(), storage, clock: createTestClock() });
+
+    const result = await queue.enqueue({ ...PAYLOAD, email: 'not-an-email' }, 'sub-1');
+
+    expect(result.queued).toBe(false);
+    expect(result.errors).toHaveProperty('email');
+    expect(storage.entries.size).toBe(0);
+  });
+});
+
+describe('Delivery', () => {
+  it('should send entries oldest first with their submission ID', async () => {
+    const clock = createTestClock();
+    const send = jest.fn(async () => ({ ok: true }));
+    const queue = createSubmissionQueue({ send, storage: createTestStorage(), clock });
+
+    await queue.enqueue(PAYLOAD, 'sub-1');
+    clock.advance(10);
+    await queue.enqueue({ ...PAYLOAD, name: 'Bo Diaz' }, 'sub-2');
+
+    expect(await queue.flush()).toEqual({ sent: 2, pending: 0 });
+    expect(send.mock.calls.map(([payload]) => payload.submissionId)).toEqual(['sub-1', 'sub-2']);
+    expect(await queue.getPending()).toEqual([]);
+  });
+
+  it('should send high-priority entries ahead of older normal ones', async () => {
+    const clock = createTestClock();
+    const send = jest.fn(async () => ({ ok: true }));
+    const queue = createSubmissionQueue({ send, storage: createTestStorage(), clock });
+
+    await queue.enqueue(PAYLOAD, 'sub-1');
+    clock.advance(10);
+    await queue.enqueue({ ...PAYLOAD, priority: SUBMISSION_PRIORITY.NORMAL }, 'sub-2');
+    clock.advance(10);
+    await queue.enqueue({ ...PAYLOAD, priority: SUBMISSION_PRIORITY.HIGH }, 'sub-3');
+
+    expect((await queue.getPending()).map((entry) => entry.id)).toEqual(['sub-3', 'sub-1', 'sub-2']);
+    await queue.flush();
+    expect(send.mock.calls.map(([payload]) => payload.submissionId)).toEqual(['sub-3', 'sub-1', 'sub-2']);
+    expect(send.mock.calls[0][0].priority).toBe(SUBMISSION_PRIORITY.HIGH);
+  });
+
+  it('should back off exponentially while the server cannot be reached', async () => {
+    const clock = createTestClock(0);
+    const send = jest.fn(async () => ({ ok: false, reason: SUBMISSION_ERRORS.NETWORK }));
+    const events = [];
+    const queue = createSubmissionQueue({ send, storage: createTestStorage(), clock });
+    queue.subscribe((event) => events.push(event));
+
+    await queue.enqueue(PAYLOAD, 'sub-1');
+    await queue.flush();
+    clock.advance(QUEUE_CONFIG.BASE_DELAY);
+    await settle();
+    clock.advance(QUEUE_CONFIG.BASE_DELAY * 2);
+    await settle();
+
+    const delays = events.filter((event) => event.type === 'retry-scheduled').map((event) => event.delay);
+    expect(delays).toEqual([QUEUE_CONFIG.BASE_DELAY, QUEUE_CONFIG.BASE_DELAY * 2, QUEUE_CONFIG.BASE_DELAY * 4]);
+    expect(send).toHaveBeenCalledTimes(3);
+    expect((await queue.getPending())[0]).toMatchObject({ attempts: 3, lastAttemptAt: 1000 + QUEUE_CONFIG.BASE_DELAY * 3 });
+  });
+
+  it('should wait for the connection and send as soon as it returns', async () => {
+    const clock = createTestClock();
+    const send = jest.fn(async () => ({ ok: true }));
+    const queue = createSubmissionQueue({ send, storage: createTestStorage(), clock });
+    await queue.enqueue(PAYLOAD, 'sub-1');
+
+    setOnline(false);
+    queue.start();
+    expect(await queue.flush()).toEqual({ sent: 0, pending: 1 });
+    expect(clock.timers.size).toBe(0);
+
+    setOnline(true);
+    window.dispatchEvent(new Event('online'));
+    await settle();
+
+    expect(send).toHaveBeenCalledTimes(1);
+    expect(await queue.getPending()).toEqual([]);
+    queue.stop();
+  });
+
+  it('should drop entries the server rejects and keep those it could not process', async () => {
+    const send = jest.fn(async (payload) => (payload.submissionId === 'sub-1'
+      ? { ok: false, reason: SUBMISSION_ERRORS.VALIDATION }
+      : { ok: false, reason: SUBMISSION_ERRORS.SERVER }));
+    const events = [];
+    const queue = createSubmissionQueue({ send, storage: createTestStorage(), clock: createTestClock() });
+    queue.subscribe((event) => events.push(event.type));
+
+    await queue.enqueue(PAYLOAD, 'sub-1');
+    await queue.enqueue(PAYLOAD, 'sub-2');
+
+    expect(await queue.flush()).toEqual({ sent: 0, pending: 1 });
+    expect((await queue.getPending()).map((entry) => entry.id)).toEqual(['sub-2']);
+    expect(events).toEqual(['queued', 'queued', 'rejected', 'retry-scheduled']);
+  });
+
+  it('should share one pass between concurrent flushes', async () => {
+    const send = jest.fn(async () => ({ ok: true }));
+    const queue = createSubmissionQueue({ send, storage: createTestStorage(), clock: createTestClock() });
+    await queue.enqueue(PAYLOAD, 'sub-1');
+
+    await Promise.all([queue.flush(), queue.flush()]);
+
+    expect(send).toHaveBeenCalledTimes(1);
+  });
+});
+
+describe('Storage backends', () => {
+  it('should use IndexedDB when it opens', async () => {
+    const records = new Map();
+    const request = (result) => {
+      const pending = { result };
+      setTimeout(() => pending.onsuccess && pending.onsuccess(), 0);
+      return pending;
+    };
+    const store = {
+      getAll: () => request(Array.from(records.values())),
+      put: (entry) => request(records.set(entry.id, entry) && entry.id),
+      delete: (id) => request(records.delete(id)),
+    };
+    globalThis.indexedDB = {
+      open: () => request({ transaction: () => ({ objectStore: () => store }) }),
+    };
+
+    const storage = await createQueueStorage();
+    await storage.put({ id: 'sub-1' });
+
+    expect(storage.name).toBe('indexeddb');
+    expect(await storage.getAll()).toEqual([{ id: 'sub-1' }]);
+  });
+
+  it('should fall back to localStorage when IndexedDB fails to open', async () => {
+    globalThis.indexedDB = {
+      open: () => {
+        const pending = { error: new Error('Blocked') };
+        setTimeout(() => pending.onerror(), 0);
+        return pending;
+      },
+    };
+
+    const storage = await createQueueStorage();
+    await storage.put({ id: 'sub-1' });
+
+    expect(storage.name).toBe('localstorage');
+    expect(JSON.parse(localStorage.getItem(QUEUE_CONFIG.STORAGE_KEY))).toEqual([{ id: 'sub-1' }]);
+  });
+
+  it('should keep entries in memory when no persistent storage is available', async () => {
+    jest.spyOn(Storage.prototype, 'setItem').mockImplementation(() => {
+      throw new Error('QuotaExceededError');
+    });
+
+    const storage = await createQueueStorage();
+    await storage.put({ id: 'sub-1' });
+
+    expect(storage.name).toBe('memory');
+    expect(await storage.getAll()).toEqual([{ id: 'sub-1' }]);
+  });
+
+  it('should discard an unreadable stored queue', async () => {
+    localStorage.setItem(QUEUE_CONFIG.STORAGE_KEY, '{not json');
+
+    const storage = await createQueueStorage();
+
+    expect(await storage.getAll()).toEqual([]);
+  });
+});
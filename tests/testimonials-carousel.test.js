@@ -0,0 +1,194 @@
+/**
+ * Testimonials Carousel Test Suite
+ * Covers the aggregate rating, star rating text equivalents and the carousel's
+ * rotation, pause/play and keyboard behaviour
+ *
+ * @jest-environment jsdom
+ */
+
+import { describe, it, expect, beforeEach, afterEach, jest } from '@jest/globals';
+import { getTestimonials, getAggregateRating, RATING_SCALE } from '../src/data/company.js';
+import { createTestimonialsCarousel, createStarRating } from '../src/components/testimonials-carousel.js';
+
+const INTERVAL = 5000;
+
+/**
+ * Stubs matchMedia with a fixed prefers-reduced-motion result
+ * @param {boolean} reduce - Whether the visitor prefers reduced motion
+ */
+function mockReducedMotion(reduce) {
+  window.matchMedia = jest.fn((query) => ({
+    matches: reduce && query.includes('reduce'),
+    media: query,
+    addEventListener: jest.fn(),
+    removeEventListener: jest.fn(),
+  }));
+}
+
+/**
+ * Gets the ID of the visible slide
+ * @param {HTMLElement} element - Carousel element
+ * @returns {string} Slide ID
+ */
+function getVisibleSlideId(element) {
+  return element.querySelector('.testimonial-slide:not([hidden])').id;
+}
+
+describe('Aggregate rating', () => {
+  it('should average every testimonial rating', () => {
+    const ratings = getTestimonials().map((testimonial) => testimonial.rating);
+    const aggregate = getAggregateRating();
+
+    expect(aggregate.reviewCount).toBe(ratings.length);
+    expect(aggregate.ratingValue).toBeCloseTo(ratings.reduce((sum, rating) => sum + rating, 0) / ratings.length, 1);
+    expect(aggregate.bestRating).toBe(RATING_SCALE.best);
+    expect(aggregate.worstRating).toBe(RATING_SCALE.worst);
+  });
+});
+
+describe('Star rating', () => {
+  it('should hide the stars from assistive technology and give a text equivalent', () => {
+    const rating = createStarRating(4);
+
+    expect(rating.querySelector('[aria-hidden="true"]').textContent).toBe('★★★★☆');
+    expect(rating.querySelector('.sr-only').textContent).toBe('Rated 4 out of 5');
+  });
+
+  it('should round fractional ratings for display only', () => {
+    const rating = createStarRating(4.6);
+
+    expect(rating.querySelector('[aria-hidden="true"]').textContent).toBe('★★★★★');
+    expect(rating.querySelector('.sr-only').textContent).toBe('Rated 4.6 out of 5');
+  });
+});
+
+describe('Testimonials carousel', () => {
+  let carousel;
+
+  beforeEach(() => {
+    jest.useFakeTimers();
+    mockReducedMotion(false);
+  });
+
+  afterEach(() => {
+    if (carousel) {
+      carousel.element.remove();
+      carousel.destroy();
+      carousel = null;
+    }
+    jest.useRealTimers();
+    jest.restoreAllMocks();
+  });
+
+  /**
+   * Creates a carousel and attaches it to the document
+   * @param {Object} [options] - Carousel options
+   * @returns {Object} Carousel controller
+   */
+  function mountCarousel(options = {}) {
+    carousel = createTestimonialsCarousel(getTestimonials(), { interval: INTERVAL, ...options });
+    document.body.appendChild(carousel.element);
+    return carousel;
+  }
+
+  it('should follow the WAI-ARIA tabbed carousel structure', () => {
+    const { element } = mountCarousel();
+    const tabs = element.querySelectorAll('[role="tab"]');
+    const slides = element.querySelectorAll('[role="tabpanel"]');
+
+    expect(element.getAttribute('aria-roledescription')).toBe('carousel');
+    expect(element.querySelector('.testimonials-controls').firstElementChild.className).toBe('testimonials-rotation');
+    expect(tabs).toHaveLength(getTestimonials().length);
+    expect(slides[1].getAttribute('aria-roledescription')).toBe('slide');
+    expect(slides[1].getAttribute('aria-label')).toBe(`2 of ${slides.length}`);
+    expect(tabs[1].getAttribute('aria-controls')).toBe(slides[1].id);
+    expect(slides[0].querySelector('.sr-only').textContent).toMatch(/^Rated \d out of 5$/);
+  });
+
+  it('should rotate automatically with the live region off', () => {
+    const { element } = mountCarousel();
+    const slides = element.querySelectorAll('.testimonial-slide');
+
+    expect(carousel.isRotating()).toBe(true);
+    expect(element.querySelector('.testimonials-slides').getAttribute('aria-live')).toBe('off');
+
+    jest.advanceTimersByTime(INTERVAL);
+    expect(getVisibleSlideId(element)).toBe(slides[1].id);
+
+    jest.advanceTimersByTime(INTERVAL * (slides.length - 1));
+    expect(getVisibleSlideId(element)).toBe(slides[0].id);
+  });
+
+  it('should toggle rotation with the pause/play button', () => {
+    const { element } = mountCarousel();
+    const button = element.querySelector('.testimonials-rotation');
+
+    button.click();
+    expect(carousel.isRotating()).toBe(false);
+    expect(button.getAttribute('aria-label')).toBe('Start automatic slide show');
+    expect(element.querySelector('.testimonials-slides').getAttribute('aria-live')).toBe('polite');
+
+    jest.advanceTimersByTime(INTERVAL * 3);
+    expect(carousel.getCurrentIndex()).toBe(0);
+
+    button.click();
+    expect(button.getAttribute('aria-label')).toBe('Stop automatic slide show');
+    jest.advanceTimersByTime(INTERVAL);
+    expect(carousel.getCurrentIndex()).toBe(1);
+  });
+
+  it('should pause while hovered and resume afterwards', () => {
+    const { element } = mountCarousel();
+
+    element.dispatchEvent(new MouseEvent('mouseenter'));
+    jest.advanceTimersByTime(INTERVAL * 2);
+    expect(carousel.getCurrentIndex()).toBe(0);
+
+    element.dispatchEvent(new MouseEvent('mouseleave'));
+    jest.advanceTimersByTime(INTERVAL);
+    expect(carousel.getCurrentIndex()).toBe(1);
+  });
+
+  it('should stop rotating when keyboard focus enters a slide control', () => {
+    const { element } = mountCarousel();
+
+    element.querySelector('[role="tab"]').focus();
+    expect(carousel.isRotating()).toBe(false);
+
+    jest.advanceTimersByTime(INTERVAL * 2);
+    expect(carousel.getCurrentIndex()).toBe(0);
+  });
+
+  it('should not start rotating for visitors who prefer reduced motion', () => {
+    mockReducedMotion(true);
+    const { element } = mountCarousel();
+
+    expect(carousel.isRotating()).toBe(false);
+    expect(element.querySelector('.testimonials-rotation').textContent).toBe('Play');
+  });
+
+  it('should move between slides with arrow keys, Home and End', () => {
+    const { element } = mountCarousel();
+    const tabs = Array.from(element.querySelectorAll('[role="tab"]'));
+    const press = (key) => document.activeElement.dispatchEvent(new KeyboardEvent('keydown', { key, bubbles: true }));
+
+    tabs[0].focus();
+    press('ArrowRight');
+    expect(document.activeElement).toBe(tabs[1]);
+    expect(tabs[1].getAttribute('aria-selected')).toBe('true');
+    expect(getVisibleSlideId(element)).toBe(tabs[1].getAttribute('aria-controls'));
+
+    press('End');
+    expect(carousel.getCurrentIndex()).toBe(tabs.length - 1);
+
+    press('ArrowRight');
+    expect(carousel.getCurrentIndex()).toBe(0);
+    expect(tabs.map((tab) => tab.getAttribute('tabindex'))).toEqual(['0', ...tabs.slice(1).map(() => '-1')]);
+  });
+
+  it('should return null when there are no testimonials', () => {
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+
+    expect(createTestimonialsCarousel([])).toBeNull();
+  });
+});
@@ -0,0 +1,249 @@
+/**
+ * Schema Validation Test Suite
+ * Verifies the declarative validator shared by the contact form and
+ * server-side handlers, including custom, async and cross-field rules
+ *
+ * Runs in the Node environment to confirm the schema has no DOM dependencies
+ *
+ * @jest-environment node
+ */
+
+import { describe, it, expect } from '@jest/globals';
+import {
+  createValidator,
+  CONTACT_FORM_SCHEMA,
+  QUOTE_WIZARD_SCHEMAS,
+  processContactFormData,
+  normalizePhoneNumber,
+  formatPhoneNumber,
+} from '../src/utils/validation.js';
+
+const validContact = {
+  name: 'Maria Lopez',
+  email: 'maria@example.com',
+  phone: '(555) 123-4567',
+  service: 'soil-analysis',
+  message: 'We would like a soil test before spring planting.',
+  consent: 'on',
+};
+
+describe('Schema Validation', () => {
+  describe('CONTACT_FORM_SCHEMA', () => {
+    const validator = createValidator(CONTACT_FORM_SCHEMA);
+
+    it('should accept a complete submission and return sanitized data', () => {
+      const result = validator.validate({ ...validContact, name: '  Maria Lopez  ' });
+
+      expect(result.isValid).toBe(true);
+      expect(result.errors).toEqual({});
+      expect(result.data.name).toBe('Maria Lopez');
+      expect(result.data.consent).toBe(true);
+    });
+
+    it('should report required-field messages', () => {
+      const result = validator.validate({});
+
+      expect(result.isValid).toBe(false);
+      expect(result.errors).toEqual({
+        name: 'Please enter your full name',
+        email: 'Please enter your email address',
+        service: 'Please select a service',
+        message: 'Please enter a message',
+        consent: 'You must agree to the privacy policy to continue',
+      });
+    });
+
+    it('should treat a checked checkbox and a submitted "on" value the same', () => {
+      expect(validator.validateField('consent', { consent: true }).isValid).toBe(true);
+      expect(validator.validateField('consent', { consent: 'on' }).isValid).toBe(true);
+      expect(validator.validateField('consent', { consent: false }).isValid).toBe(false);
+    });
+
+    it('should skip rules for empty optional fields', () => {
+      expect(validator.validateField('phone', { phone: '' })).toEqual({ isValid: true, error: null });
+    });
+
+    it('should run custom validators after built-in rules', () => {
+      expect(validator.validateField('email', { email: 'maria@example..com' }).error)
+        .toBe('Email address cannot contain consecutive dots');
+      expect(validator.validateField('phone', { phone: '555-1234' }).error)
+        .toBe('Phone number must be at least 10 digits');
+    });
+
+    it('should reject unsafe content in any string field', () => {
+      const result = validator.validate({
+        ...validContact,
+        message: 'Hello <script>alert(1)</script> there',
+        notes: '<iframe src="https://example.com"></iframe>',
+      });
+
+      expect(result.errors.message).toBe('Input contains potentially unsafe content');
+      expect(result.errors.notes).toBe('Input contains potentially unsafe content');
+    });
+
+    it('should submit the phone number in E.164 using the selected country', () => {
+      const result = validator.validate({ ...validContact, phone: '55 1234 5678', phoneCountry: 'MX' });
+
+      expect(result.isValid).toBe(true);
+      expect(result.data.phone).toBe('+525512345678');
+      expect(validator.validate({ ...validContact, phone: '612 34 56', phoneCountry: 'ES' }).errors.phone)
+        .toBe('Phone number must be at least 9 digits');
+    });
+
+    it('should produce the same result through processContactFormData', () => {
+      const raw = { ...validContact, email: 'not-an-email' };
+
+      expect(processContactFormData(raw)).toEqual(validator.validate(raw));
+    });
+  });
+
+  describe('Phone numbers', () => {
+    it.each([
+      ['(555) 123-4567', 'US', '+15551234567'],
+      ['1 555 123 4567', 'US', '+15551234567'],
+      ['+1 613 555 0123', 'CA', '+16135550123'],
+      ['55 1234 5678', 'MX', '+525512345678'],
+      ['01 23 45 67 89', 'FR', '+33123456789'],
+      ['+33 (0)1 23 45 67 89', 'US', '+33123456789'],
+      ['0049 30 1234567', 'US', '+49301234567'],
+      ['+44 20 7946 0958', 'US', '+442079460958'],
+    ])('should normalize %s (%s) to %s', (input, region, e164) => {
+      expect(normalizePhoneNumber(input, region).e164).toBe(e164);
+    });
+
+    it('should apply per-country length rules', () => {
+      expect(normalizePhoneNumber('612 345 678', 'ES').isValid).toBe(true);
+      expect(normalizePhoneNumber('612 345 6789', 'ES').error).toBe('Phone number is too long');
+      expect(normalizePhoneNumber('4512 3456', 'DK').isValid).toBe(true);
+    });
+
+    it('should format in the selected region, using international format for other countries', () => {
+      expect(formatPhoneNumber('5551234567', 'US')).toBe('(555) 123-4567');
+      expect(formatPhoneNumber('+33 1 23 45 67 89', 'FR')).toBe('01 23 45 67 89');
+      expect(formatPhoneNumber('+52 5512345678', 'US')).toBe('+52 55 1234 5678');
+      expect(formatPhoneNumber('12-34', 'US')).toBe('12-34');
+    });
+  });
+
+  describe('QUOTE_WIZARD_SCHEMAS', () => {
+    const services = createValidator(QUOTE_WIZARD_SCHEMAS.services);
+    const farm = createValidator(QUOTE_WIZARD_SCHEMAS.farm);
+    const contact = createValidator(QUOTE_WIZARD_SCHEMAS.contact);
+
+    it('should require at least one known service', () => {
+      expect(services.validate({ services: [] }).errors.services).toBe('Please choose at least one service');
+      expect(services.validate({ services: ['soil-analysis', 'made-up'] }).errors.services)
+        .toBe('Please choose services from the list');
+      expect(services.validate({ services: ['soil-analysis', ' irrigation-management '] }).data.services)
+        .toEqual(['soil-analysis', 'irrigation-management']);
+    });
+
+    it('should validate farm size, crops and ZIP code', () => {
+      const result = farm.validate({ acreage: '0', crops: '', zip: '1234' });
+
+      expect(result.errors).toEqual({
+        acreage: 'Farm size must be between 0.1 and 1,000,000 acres',
+        crops: 'Please tell us which crops you grow',
+        zip: 'Please enter a 5-digit ZIP code',
+      });
+      expect(farm.validate({ acreage: '250.5', crops: 'Corn', zip: '12345-6789' }).data.acreage).toBe(250.5);
+    });
+
+    it('should reuse contact form rules for contact details', () => {
+      const result = contact.validate({ name: 'A', email: 'maria@example', phone: '', contactTime: 'midnight' });
+
+      expect(result.errors.name).toBe(processContactFormData({ name: 'A' }).errors.name);
+      expect(result.errors.email).toBe('Please enter a valid email address');
+      expect(result.errors.contactTime).toBe('Please select a preferred contact time');
+      expect(result.errors.phone).toBeUndefined();
+    });
+  });
+
+  describe('createValidator', () => {
+    it('should build default messages from field labels', () => {
+      const validator = createValidator({
+        fields: {
+          farmName: { label: 'Farm name', required: true, minLength: 3 },
+        },
+      });
+
+      expect(validator.validateField('farmName', {}).error).toBe('Farm name is required');
+      expect(validator.validateField('farmName', { farmName: 'AB' }).error)
+        .toBe('Farm name must be at least 3 characters');
+    });
+
+    it('should apply cross-field rules to the reported field', () => {
+      const validator = createValidator({
+        fields: {
+          contactMethod: { required: true },
+          phone: {},
+        },
+        rules: [
+          {
+            fields: ['contactMethod', 'phone'],
+            validate: (values) => (values.contactMethod === 'phone' && !values.phone
+              ? { field: 'phone', message: 'Add a phone number so we can call you' }
+              : null),
+          },
+        ],
+      });
+
+      const result = validator.validate({ contactMethod: 'phone' });
+
+      expect(result.errors).toEqual({ phone: 'Add a phone number so we can call you' });
+      expect(validator.validateField('phone', { contactMethod: 'phone' }).error)
+        .toBe('Add a phone number so we can call you');
+      expect(validator.validate({ contactMethod: 'email' }).isValid).toBe(true);
+    });
+
+    it('should run async validators only when sync rules pass', async () => {
+      const checked = [];
+      const validator = createValidator({
+        fields: {
+          email: {
+            required: true,
+            asyncValidators: [
+              async (value) => {
+                checked.push(value);
+                return value.endsWith('@taken.com') ? 'That address is already registered' : null;
+              },
+            ],
+          },
+        },
+      });
+
+      const missing = await validator.validateAsync({});
+      const taken = await validator.validateFieldAsync('email', { email: 'a@taken.com' });
+      const free = await validator.validateAsync({ email: 'a@free.com' });
+
+      expect(missing.errors.email).toBe('Email is required');
+      expect(taken).toEqual({ isValid: false, error: 'That address is already registered', aborted: false });
+      expect(free.isValid).toBe(true);
+      expect(checked).toEqual(['a@taken.com', 'a@free.com']);
+    });
+
+    it('should report aborted async validation without an error', async () => {
+      const controller = new AbortController();
+      const validator = createValidator({
+        fields: {
+          email: {
+            asyncValidators: [
+              async () => {
+                controller.abort();
+                return 'Should be ignored';
+              },
+            ],
+          },
+        },
+      });
+
+      const result = await validator.validateFieldAsync(
+        'email',
+        { email: 'a@example.com' },
+        { signal: controller.signal }
+      );
+
+      expect(result).toEqual({ isValid: true, error: null, aborted: true });
+    });
+  });
+});
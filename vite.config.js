@@ -1,10 +1,165 @@
 import { defineConfig } from 'vite';
 import { resolve } from 'path';
+import { existsSync, readFileSync } from 'fs';
+import { JSDOM } from 'jsdom';
+import { SITE_CONFIG } from './src/data/site-config.js';
+import { getStructuredData } from './src/data/structured-data.js';
+import { getServiceSocialCards } from './src/data/social-cards.js';
+import {
+  validateStructuredData,
+  serializeStructuredData,
+  STRUCTURED_DATA_CONFIG,
+} from './src/utils/structured-data.js';
+import { createSocialCardSvg, applySocialMeta, SOCIAL_CARD_CONFIG } from './src/utils/social-card.js';
+
+/**
+ * Emits the schema.org JSON-LD into index.html so crawlers that do not run
+ * JavaScript see it; the app refreshes the same element at runtime.
+ * Invalid structured data fails the build.
+ */
+function structuredDataPlugin() {
+  return {
+    name: 'agrolanding-structured-data',
+    transformIndexHtml() {
+      const data = getStructuredData();
+      const { valid, errors } = validateStructuredData(data);
+
+      if (!valid) {
+        throw new Error(`[Structured Data] Invalid JSON-LD:\n${errors.join('\n')}`);
+      }
+
+      return [
+        {
+          tag: 'script',
+          attrs: { type: STRUCTURED_DATA_CONFIG.MIME_TYPE, id: STRUCTURED_DATA_CONFIG.SCRIPT_ID },
+          children: serializeStructuredData(data),
+          injectTo: 'head',
+        },
+      ];
+    },
+  };
+}
+
+/**
+ * Browser globals the section renderers use, provided by jsdom while prerendering
+ */
+const PRERENDER_GLOBALS = ['window', 'document', 'Node', 'HTMLElement', 'localStorage'];
+
+/**
+ * Prerenders the data-driven sections (services grid, about section) into the
+ * built index.html by running the browser renderers under jsdom. The client
+ * hydrates the prerendered about section instead of rendering it again.
+ */
+function prerenderPlugin() {
+  return {
+    name: 'agrolanding-prerender',
+    apply: 'build',
+    async transformIndexHtml(html) {
+      const dom = new JSDOM(html, { url: SITE_CONFIG.brand.siteUrl });
+      const previousGlobals = PRERENDER_GLOBALS.map((name) => [name, Object.getOwnPropertyDescriptor(globalThis, name)]);
+
+      PRERENDER_GLOBALS.forEach((name) => {
+        Object.defineProperty(globalThis, name, { value: dom.window[name], configurable: true, writable: true });
+      });
+
+      try {
+        // Imported here so the renderers load with the DOM globals in place
+        const { prerenderPage } = await import('./src/prerender.js');
+        const sections = prerenderPage(dom.window.document);
+
+        console.log(`[Prerender] Rendered sections: ${sections.join(', ') || 'none'}`);
+        return dom.serialize();
+      } finally {
+        previousGlobals.forEach(([name, descriptor]) => {
+          if (descriptor) {
+            Object.defineProperty(globalThis, name, descriptor);
+          } else {
+            delete globalThis[name];
+          }
+        });
+        dom.window.close();
+      }
+    },
+  };
+}
+
+/**
+ * Reads a public icon as a data: URL so the rasterizer can embed it
+ * @param {string} iconPath - Icon path from the service data (e.g. /images/icons/soil.svg)
+ * @returns {string|undefined} Data URL, or undefined when the file does not exist
+ */
+function readIconDataUrl(iconPath) {
+  const file = resolve(__dirname, 'public', `.${iconPath}`);
+
+  if (!existsSync(file)) {
+    return undefined;
+  }
+
+  return `data:image/svg+xml;base64,${readFileSync(file).toString('base64')}`;
+}
+
+/**
+ * Gives every service a shareable page, services/<id>/index.html, with its own
+ * Open Graph/Twitter meta and a branded 1200×630 card rendered from SVG to PNG
+ * with resvg (no headless browser). Each page is a copy of the prerendered
+ * index.html that opens the service's details on load.
+ */
+function socialCardsPlugin() {
+  return {
+    name: 'agrolanding-social-cards',
+    apply: 'build',
+    generateBundle: {
+      order: 'post',
+      async handler(_options, bundle) {
+        const indexHtml = bundle['index.html'];
+
+        if (!indexHtml) {
+          return;
+        }
+
+        // Loaded lazily so the native binary is only needed for production builds
+        const { Resvg } = await import('@resvg/resvg-js');
+        const cards = getServiceSocialCards();
+
+        cards.forEach(({ serviceId, icon, pagePath, imagePath, card, meta }) => {
+          const svg = createSocialCardSvg({ ...card, iconDataUrl: readIconDataUrl(icon) });
+          const png = new Resvg(svg, {
+            fitTo: { mode: 'width', value: SOCIAL_CARD_CONFIG.WIDTH },
+            font: { loadSystemFonts: true, defaultFontFamily: 'Georgia' },
+          }).render().asPng();
+
+          this.emitFile({ type: 'asset', fileName: imagePath, source: png });
+
+          const dom = new JSDOM(String(indexHtml.source));
+          const { document } = dom.window;
+          const depth = pagePath.split('/').length - 1;
+
+          applySocialMeta(document, meta);
+          document.documentElement.setAttribute('data-service-page', serviceId);
+
+          // Built asset URLs are relative to the site root (base './')
+          document.querySelectorAll('[src^="./"], [href^="./"]').forEach((element) => {
+            const attribute = element.hasAttribute('src') ? 'src' : 'href';
+            element.setAttribute(attribute, `${'../'.repeat(depth)}${element.getAttribute(attribute).slice(2)}`);
+          });
+
+          this.emitFile({ type: 'asset', fileName: pagePath, source: dom.serialize() });
+          dom.window.close();
+        });
+
+        console.log(`[Social Cards] Generated ${cards.length} service pages`);
+      },
+    },
+  };
+}
 
 export default defineConfig({
   // Base path for GitHub Pages deployment
   base: './',
 
+  // Build-time HTML transforms
+  plugins: [prerenderPlugin(), structuredDataPlugin(), socialCardsPlugin()],
+
   // Build configuration
   build: {
     // Output directory